@@ -0,0 +1,181 @@
+/**
+ * Charset detection and transcoding for the reader proxy.
+ *
+ * The proxy used to decode every body with `toString('utf8')`. That is right
+ * for most of the web and wrong for a large share of Japanese news and
+ * government sites, which still serve Shift_JIS, EUC-JP or ISO-2022-JP — those
+ * arrived in the reader as mojibake, with nothing to tell the user why.
+ *
+ * Detection follows the order the WHATWG encoding-sniffing algorithm uses, cut
+ * down to what a reader needs:
+ *   1. a byte-order mark, which overrides everything
+ *   2. the `charset=` parameter of the Content-Type header
+ *   3. a `<meta charset>` / `<meta http-equiv="Content-Type">` in the first
+ *      1024 bytes (the prescan window browsers use)
+ *   4. ISO-2022-JP's escape sequences, which are unambiguous in 7-bit text
+ *   5. UTF-8
+ *
+ * Pure and I/O-free like ssrfGuard.js, so it is tested on byte buffers without
+ * opening a socket. Decoding uses the WHATWG `TextDecoder` that Node ships
+ * with full ICU, so no iconv dependency is needed.
+ */
+
+/** Bytes inspected for a `<meta>` declaration — the browser prescan window. */
+export const META_PRESCAN_BYTES = 1024;
+
+/** The charset reported when nothing declares one. */
+export const DEFAULT_CHARSET = 'utf-8';
+
+/**
+ * Labels seen in the wild that `TextDecoder` either rejects or maps somewhere
+ * surprising. Everything else is handed to `TextDecoder` as-is, which knows the
+ * full WHATWG label table.
+ */
+const LABEL_ALIASES = {
+  sjis: 'shift_jis',
+  'shift-jis': 'shift_jis',
+  'x-sjis': 'shift_jis',
+  'windows-31j': 'shift_jis',
+  cp932: 'shift_jis',
+  ms932: 'shift_jis',
+  eucjp: 'euc-jp',
+  'x-euc-jp': 'euc-jp',
+  iso2022jp: 'iso-2022-jp',
+  utf8: 'utf-8'
+};
+
+/**
+ * Canonical encoding name for a charset label, or '' when the label is not
+ * one `TextDecoder` can decode.
+ *
+ * @param {string} label
+ * @returns {string}
+ */
+export function normalizeCharset(label) {
+  const raw = String(label === null || label === undefined ? '' : label)
+    .trim().replace(/^["']|["']$/g, '').toLowerCase();
+  if (!raw) {
+    return '';
+  }
+  const mapped = LABEL_ALIASES[raw] || raw;
+  try {
+    return new TextDecoder(mapped).encoding;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * The `charset=` parameter of a Content-Type header.
+ * @param {string} [contentType]
+ * @returns {string} normalised charset, or ''
+ */
+export function charsetFromContentType(contentType) {
+  const m = /;\s*charset\s*=\s*("[^"]*"|[^;\s]+)/i.exec(String(contentType || ''));
+  return m ? normalizeCharset(m[1]) : '';
+}
+
+/**
+ * Charset implied by a byte-order mark.
+ * @param {Uint8Array} bytes
+ * @returns {string} normalised charset, or ''
+ */
+export function charsetFromBom(bytes) {
+  const b = bytes || [];
+  if (b[0] === 0xef && b[1] === 0xbb && b[2] === 0xbf) {
+    return 'utf-8';
+  }
+  if (b[0] === 0xfe && b[1] === 0xff) {
+    return 'utf-16be';
+  }
+  if (b[0] === 0xff && b[1] === 0xfe) {
+    return 'utf-16le';
+  }
+  return '';
+}
+
+/**
+ * Charset declared by a `<meta>` element in the prescan window.
+ *
+ * Reads the window as latin1, which maps every byte to one code unit, so the
+ * ASCII markup of the declaration survives whatever the real encoding is.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string} normalised charset, or ''
+ */
+export function charsetFromMeta(bytes) {
+  const head = Buffer.from(bytes.subarray(0, META_PRESCAN_BYTES)).toString('latin1');
+  const metas = head.match(/<meta\b[^>]*>/gi) || [];
+  for (const tag of metas) {
+    const direct = /\bcharset\s*=\s*["']?\s*([^"'\s/>;]+)/i.exec(tag);
+    if (direct) {
+      // Covers both `<meta charset=x>` and the charset= inside an http-equiv
+      // content attribute, which has the same shape.
+      const cs = normalizeCharset(direct[1]);
+      if (cs) {
+        // A page that is UTF-16 on the wire could not have been read as ASCII
+        // here, so a UTF-16 declaration is a lie; browsers treat it as UTF-8.
+        return cs.startsWith('utf-16') ? 'utf-8' : cs;
+      }
+    }
+  }
+  return '';
+}
+
+/** ISO-2022-JP switches character sets with ESC $ @, ESC $ B or ESC ( J. */
+function looksLikeIso2022jp(bytes) {
+  const n = Math.min(bytes.length, 64 * 1024);
+  for (let i = 0; i + 2 < n; i++) {
+    if (bytes[i] === 0x1b) {
+      const a = bytes[i + 1];
+      const b = bytes[i + 2];
+      if ((a === 0x24 && (b === 0x40 || b === 0x42)) || (a === 0x28 && b === 0x4a)) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Decide which charset a response body is in.
+ *
+ * @param {Uint8Array} bytes
+ * @param {string} [contentType]
+ * @returns {{charset: string, source: 'bom'|'header'|'meta'|'sniff'|'default'}}
+ */
+export function detectCharset(bytes, contentType = '') {
+  const buf = bytes || new Uint8Array(0);
+  const bom = charsetFromBom(buf);
+  if (bom) {
+    return { charset: bom, source: 'bom' };
+  }
+  const header = charsetFromContentType(contentType);
+  if (header) {
+    return { charset: header, source: 'header' };
+  }
+  const meta = charsetFromMeta(buf);
+  if (meta) {
+    return { charset: meta, source: 'meta' };
+  }
+  if (looksLikeIso2022jp(buf)) {
+    return { charset: 'iso-2022-jp', source: 'sniff' };
+  }
+  return { charset: DEFAULT_CHARSET, source: 'default' };
+}
+
+/**
+ * Decode a response body to a JS string, transcoding from whatever charset it
+ * was served in. The BOM, if any, is consumed rather than leaking into the
+ * text as U+FEFF.
+ *
+ * @param {Uint8Array} bytes
+ * @param {string} [contentType]
+ * @returns {{text: string, charset: string}}
+ */
+export function decodeBody(bytes, contentType = '') {
+  const { charset } = detectCharset(bytes, contentType);
+  // Non-fatal: a stray invalid byte becomes U+FFFD instead of losing the page.
+  const text = new TextDecoder(charset).decode(bytes);
+  return { text, charset };
+}
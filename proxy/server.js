@@ -22,7 +22,10 @@
  *   PORT=9000 ALLOW_ORIGIN=https://example.com node proxy/server.js
  *
  * Zero dependencies: Node's own http/https. Every access decision lives in
- * ssrfGuard.js and is unit-tested there.
+ * ssrfGuard.js and is unit-tested there. `/reader` reuses the app's own
+ * extractor (src/vr/browser/readableText.js and the contentScoring.js it
+ * imports, both pure), so the server and the headset can never disagree about
+ * what a page's readable text is.
  */
 
 import { createServer, request as httpRequest } from 'node:http';
@@ -32,6 +35,8 @@ import {
   assertRequestAllowed, isBlockedAddress, safeUpstreamHeaders, isReadableContentType,
   MAX_RESPONSE_BYTES, UPSTREAM_TIMEOUT_MS, MAX_REDIRECTS
 } from './ssrfGuard.js';
+import { decodeBody } from './charset.js';
+import { extractReaderDocument } from '../src/vr/browser/readableText.js';
 
 const PORT = Number(process.env.PORT || 8080);
 /** Which page origins may call this proxy. `*` is fine for a personal instance. */
@@ -75,9 +80,13 @@ export async function resolveSafely(hostname) {
  * `http://169.254.169.254/`, and a client that follows redirects automatically
  * would take it.
  *
+ * The body is returned as a JS string already transcoded from whatever charset
+ * the page was served in (see charset.js); `charset` says which one that was.
+ *
  * @param {string} target
  * @param {object} [headers]
- * @returns {Promise<{ok: true, status: number, contentType: string, body: string, finalUrl: string} | {ok: false, reason: string}>}
+ * @returns {Promise<{ok: true, status: number, contentType: string, body: string, charset: string,
+ *   finalUrl: string} | {ok: false, reason: string}>}
  */
 export async function fetchThroughGuard(target, headers = {}) {
   let current = target;
@@ -123,7 +132,7 @@ export async function fetchThroughGuard(target, headers = {}) {
       return { ok: false, reason: `content-type-not-readable:${r.headers['content-type'] || 'none'}` };
     }
 
-    const body = await new Promise((resolve) => {
+    const raw = await new Promise((resolve) => {
       let size = 0;
       const chunks = [];
       r.on('data', (c) => {
@@ -135,30 +144,59 @@ export async function fetchThroughGuard(target, headers = {}) {
         }
         chunks.push(c);
       });
-      r.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      r.on('end', () => resolve(Buffer.concat(chunks)));
       r.on('error', () => resolve(null));
     });
-    if (body === null) {
+    if (raw === null) {
       return { ok: false, reason: 'response-too-large-or-truncated' };
     }
+    const contentType = r.headers['content-type'] || '';
+    const { text, charset } = decodeBody(raw, contentType);
     return {
       ok: true,
       status: r.statusCode,
-      contentType: r.headers['content-type'] || '',
-      body,
+      contentType,
+      body: text,
+      charset,
       finalUrl: url.toString()
     };
   }
   return { ok: false, reason: 'too-many-redirects' };
 }
 
+/**
+ * The `/reader` response body for a successful fetch: the extracted document
+ * plus what only the fetch knows (where redirects ended up, which charset the
+ * page was served in). Links are resolved against `finalUrl`, not the
+ * requested URL, because relative hrefs are relative to where the page
+ * actually lives.
+ *
+ * @param {{body: string, finalUrl: string, charset: string}} out from fetchThroughGuard
+ * @returns {{title: string, blocks: Array<object>, finalUrl: string, charset: string, lang: string,
+ *   byline: string, publishedAt: string, links: Array<{href: string, text: string}>}}
+ */
+export function readerPayload(out) {
+  const doc = extractReaderDocument(out.body, { baseUrl: out.finalUrl });
+  return { ...doc, finalUrl: out.finalUrl, charset: out.charset };
+}
+
 function cors(res) {
   res.setHeader('access-control-allow-origin', ALLOW_ORIGIN);
   res.setHeader('access-control-allow-methods', 'GET, OPTIONS');
   res.setHeader('access-control-allow-headers', 'content-type');
+  // Without this a cross-origin reader cannot see which charset was detected.
+  res.setHeader('access-control-expose-headers', 'x-reader-charset');
 }
 
-export function createProxyServer() {
+/**
+ * The proxy's HTTP server, not yet listening.
+ *
+ * @param {object} [opts]
+ * @param {Function} [opts.fetchPage=fetchThroughGuard]  how a page is fetched;
+ *   replaceable so tests can serve a canned page without the network
+ * @returns {import('node:http').Server}
+ */
+export function createProxyServer({ fetchPage = fetchThroughGuard } = {}) {
   return createServer(async (req, res) => {
     cors(res);
     if (req.method === 'OPTIONS') {
@@ -175,7 +213,7 @@ export function createProxyServer() {
       res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify({ ok: true }));
       return;
     }
-    if (url.pathname !== '/fetch') {
+    if (url.pathname !== '/fetch' && url.pathname !== '/reader') {
       res.writeHead(404, { 'content-type': 'application/json' })
         .end(JSON.stringify({ error: 'not-found' }));
       return;
@@ -186,7 +224,7 @@ export function createProxyServer() {
         .end(JSON.stringify({ error: 'missing-url' }));
       return;
     }
-    const out = await fetchThroughGuard(target, req.headers);
+    const out = await fetchPage(target, req.headers);
     if (!out.ok) {
       // The reason is returned so the reader can say something honest, but it
       // never includes anything resolved about the internal network.
@@ -194,7 +232,32 @@ export function createProxyServer() {
         .end(JSON.stringify({ error: out.reason }));
       return;
     }
-    res.writeHead(200, { 'content-type': 'text/plain; charset=utf-8' }).end(out.body);
+    if (url.pathname === '/reader') {
+      // Extraction runs here so the headset downloads kilobytes of JSON rather
+      // than up to MAX_RESPONSE_BYTES of markup it would only throw away.
+      // A page the extractor chokes on is that page's failure: thrown out of
+      // this async handler it would be an unhandled rejection, which ends
+      // the process on Node 15+ and leaves the request unanswered.
+      let payload;
+      try {
+        payload = JSON.stringify(readerPayload(out));
+      } catch {
+        res.writeHead(502, { 'content-type': 'application/json' })
+          .end(JSON.stringify({ error: 'extract-failed' }));
+        return;
+      }
+      res.writeHead(200, {
+        'content-type': 'application/json; charset=utf-8',
+        'x-reader-charset': out.charset
+      }).end(payload);
+      return;
+    }
+    // Always UTF-8 on the way out, whatever the page was served in; the header
+    // reports the original so the reader can show it.
+    res.writeHead(200, {
+      'content-type': 'text/plain; charset=utf-8',
+      'x-reader-charset': out.charset
+    }).end(out.body);
   });
 }
 
@@ -202,6 +265,7 @@ export function createProxyServer() {
 if (process.argv[1] && process.argv[1].endsWith('server.js')) {
   createProxyServer().listen(PORT, () => {
     console.log(`Qui-Browser reader proxy on http://127.0.0.1:${PORT}`);
-    console.log(`  GET /fetch?url=https://example.com/article   (allowed origin: ${ALLOW_ORIGIN})`);
+    console.log(`  GET /fetch?url=https://example.com/article   (allowed origin: ${ALLOW_ORIGIN})\n` +
+      '  GET /reader?url=https://example.com/article  (extracted text as JSON)');
   });
 }
@@ -0,0 +1,249 @@
+/**
+ * Optional bookmark/history sync server.
+ *
+ * A companion to proxy/server.js in the same spirit: not part of the shipped
+ * app (GitHub Pages cannot run it), zero dependencies, and run by the person
+ * whose headsets it serves. It stores one append-only log of sync ops
+ * (src/utils/syncOps.js) and hands each headset the ops it has not seen yet;
+ * it never merges anything itself. Merging is deterministic on the headsets,
+ * so the server can stay a dumb, ordered log.
+ *
+ *   SYNC_TOKEN=<secret> node proxy/syncServer.js        # 127.0.0.1:8081
+ *   SYNC_TOKEN=<secret> SYNC_DATA=/var/lib/qui/sync.jsonl PORT=9001 \
+ *     ALLOW_ORIGIN=https://your-app.example node proxy/syncServer.js
+ *
+ * One token is one account: every headset configured with it shares the log.
+ * The log is kept in memory and, with SYNC_DATA, appended to a JSON-lines
+ * file that is replayed on start.
+ *
+ *   POST /ops              {ops: [...]} → {accepted, duplicates, rejected, seq}
+ *   GET  /ops?since=N&device=D  → {ops, seq, more}: ops after position N not
+ *                          recorded by device D; pass `seq` back as the next N
+ *   GET  /health           {ok: true}, no token needed
+ *
+ * Pushing an op twice is harmless (ops are kept once per id), so a headset
+ * that lost the response to a push simply pushes again.
+ */
+
+import { createServer } from 'node:http';
+import { appendFileSync, existsSync, readFileSync } from 'node:fs';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { syncOpFromJson, MAX_OPS_PER_REQUEST } from '../src/utils/syncOps.js';
+
+const PORT = Number(process.env.PORT || 8081);
+const ALLOW_ORIGIN = process.env.ALLOW_ORIGIN || '*';
+/** Largest request body read; a full batch of ops is well under this. */
+export const MAX_BODY_BYTES = 1024 * 1024;
+
+/** An ordered, de-duplicated op log, optionally persisted as JSON lines. */
+export class OpLog {
+  /** @param {string} [file] JSON-lines file to replay and append to */
+  constructor(file = '') {
+    this.file = file;
+    this.entries = [];
+    this.ids = new Set();
+    if (file && existsSync(file)) {
+      for (const line of readFileSync(file, 'utf8').split('\n')) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue; // a torn last line from a crash mid-append
+        }
+        const op = entry && syncOpFromJson(entry.op);
+        if (op && Number.isSafeInteger(entry.seq) && entry.seq > this.seq && !this.ids.has(op.id)) {
+          this.entries.push({ seq: entry.seq, op });
+          this.ids.add(op.id);
+        }
+      }
+    }
+  }
+
+  /** Position of the newest op; 0 when empty. */
+  get seq() {
+    return this.entries.length ? this.entries[this.entries.length - 1].seq : 0;
+  }
+
+  /**
+   * Append validated ops, skipping ids already stored. The file is written
+   * before memory is updated, so a failed write leaves no op that a restart
+   * would lose.
+   *
+   * @param {Array<object>} ops from syncOpFromJson
+   * @returns {{accepted: number, duplicates: number, seq: number}}
+   */
+  append(ops) {
+    const fresh = [];
+    const ids = new Set();
+    let seq = this.seq;
+    for (const op of ops) {
+      if (!this.ids.has(op.id) && !ids.has(op.id)) {
+        ids.add(op.id);
+        fresh.push({ seq: ++seq, op });
+      }
+    }
+    if (this.file && fresh.length) {
+      appendFileSync(this.file, fresh.map((e) => `${JSON.stringify(e)}\n`).join(''));
+    }
+    for (const e of fresh) {
+      this.entries.push(e);
+      this.ids.add(e.op.id);
+    }
+    return { accepted: fresh.length, duplicates: ops.length - fresh.length, seq: this.seq };
+  }
+
+  /**
+   * Ops after position `since`, leaving out `device`'s own.
+   *
+   * @param {number} since
+   * @param {{device?: string, limit?: number}} [opts]
+   * @returns {{ops: Array<object>, seq: number, more: boolean}} `seq` is how
+   *   far this answer reaches, own ops included
+   */
+  since(since, { device = '', limit = MAX_OPS_PER_REQUEST } = {}) {
+    let lo = 0;
+    let hi = this.entries.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.entries[mid].seq <= since) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+    const ops = [];
+    let seq = Math.min(since, this.seq);
+    for (let i = lo; i < this.entries.length && ops.length < limit; i++) {
+      const { op } = this.entries[i];
+      seq = this.entries[i].seq;
+      if (op.device !== device) {
+        ops.push(op);
+      }
+    }
+    return { ops, seq, more: seq < this.seq };
+  }
+}
+
+/** Constant-time token check (hashing first makes the lengths equal). */
+function tokenMatches(header, token) {
+  const m = /^Bearer\s+(.+)$/i.exec(header || '');
+  if (!m) {
+    return false;
+  }
+  const digest = (s) => createHash('sha256').update(s).digest();
+  return timingSafeEqual(digest(m[1].trim()), digest(token));
+}
+
+/** The request body as text, or null past MAX_BODY_BYTES. */
+function readBody(req) {
+  return new Promise((resolve) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > MAX_BODY_BYTES) {
+        req.destroy();
+        resolve(null);
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', () => resolve(null));
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8' }).end(JSON.stringify(body));
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.token  the shared secret every request must carry
+ * @param {OpLog} [opts.log]
+ * @param {string} [opts.allowOrigin=ALLOW_ORIGIN]
+ */
+export function createSyncServer({ token, log = new OpLog(), allowOrigin = ALLOW_ORIGIN }) {
+  if (!token) {
+    throw new Error('createSyncServer: a token is required');
+  }
+  return createServer(async (req, res) => {
+    res.setHeader('access-control-allow-origin', allowOrigin);
+    res.setHeader('access-control-allow-methods', 'GET, POST, OPTIONS');
+    res.setHeader('access-control-allow-headers', 'authorization, content-type');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/health' && req.method === 'GET') {
+      send(res, 200, { ok: true });
+      return;
+    }
+    if (url.pathname !== '/ops') {
+      send(res, 404, { error: 'not-found' });
+      return;
+    }
+    if (!tokenMatches(req.headers.authorization, token)) {
+      send(res, 401, { error: 'unauthorized' });
+      return;
+    }
+    if (req.method === 'GET') {
+      const since = Number(url.searchParams.get('since') || 0);
+      if (!Number.isSafeInteger(since) || since < 0) {
+        send(res, 400, { error: 'bad-since' });
+        return;
+      }
+      send(res, 200, log.since(since, { device: url.searchParams.get('device') || '' }));
+      return;
+    }
+    if (req.method !== 'POST') {
+      send(res, 405, { error: 'method-not-allowed' });
+      return;
+    }
+    const text = await readBody(req);
+    if (text === null) {
+      send(res, 413, { error: 'body-too-large' });
+      return;
+    }
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      send(res, 400, { error: 'bad-json' });
+      return;
+    }
+    if (!body || !Array.isArray(body.ops)) {
+      send(res, 400, { error: 'missing-ops' });
+      return;
+    }
+    if (body.ops.length > MAX_OPS_PER_REQUEST) {
+      send(res, 413, { error: 'too-many-ops' });
+      return;
+    }
+    const ops = body.ops.map(syncOpFromJson).filter(Boolean);
+    let result;
+    try {
+      result = log.append(ops);
+    } catch {
+      send(res, 500, { error: 'storage-failed' });
+      return;
+    }
+    send(res, 200, { ...result, rejected: body.ops.length - ops.length });
+  });
+}
+
+// Only listen when run directly, so tests can import the pieces.
+if (process.argv[1] && process.argv[1].endsWith('syncServer.js')) {
+  const token = process.env.SYNC_TOKEN || '';
+  if (!token) {
+    console.error('Set SYNC_TOKEN to the secret your headsets will use, e.g.');
+    console.error('  SYNC_TOKEN=$(openssl rand -hex 16) node proxy/syncServer.js');
+    process.exit(1);
+  }
+  const file = process.env.SYNC_DATA || '';
+  const log = new OpLog(file);
+  createSyncServer({ token, log }).listen(PORT, () => {
+    console.info(`Qui-Browser sync server on http://127.0.0.1:${PORT} (${log.seq} ops${file ? ` in ${file}` : ', in memory only'})`);
+  });
+}
@@ -0,0 +1,57 @@
+// Offline keyword spotting, run on the audio thread (AudioWorklet).
+//
+// speechBackends.js createOfflineRecognizer compiles the spotter module
+// (kws.wasm, interface in docs/OFFLINE_SPEECH.md) and hands it here with the
+// phrases to listen for. Each 128-sample block from the microphone is copied
+// into the module's memory and fed to it; when it has spotted a phrase the
+// hypotheses go back to the main thread as
+// {type:'result', hypotheses:[{index, confidence}]}. If the module cannot be
+// started the processor posts {type:'error', message} and stops.
+//
+// Runs in AudioWorkletGlobalScope: no imports, no TextEncoder, no DOM.
+
+const BLOCK = 128;
+
+class KwsProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { module, vocabulary, maxAlternatives } = options.processorOptions;
+    this.kws = null;
+    try {
+      const kws = new WebAssembly.Instance(module, {}).exports;
+      const phrasesPtr = kws.kws_alloc(vocabulary.length);
+      new Uint8Array(kws.memory.buffer, phrasesPtr, vocabulary.length).set(vocabulary);
+      const count = kws.kws_init(sampleRate, phrasesPtr, vocabulary.length, maxAlternatives);
+      if (count < 0) {
+        throw new Error(`kws_init failed (${count})`);
+      }
+      this.samplesPtr = kws.kws_alloc(BLOCK * Float32Array.BYTES_PER_ELEMENT);
+      this.kws = kws;
+    } catch (error) {
+      this.port.postMessage({ type: 'error', message: String(error && error.message) });
+    }
+  }
+
+  process(inputs) {
+    if (!this.kws) {
+      return false;
+    }
+    const channel = inputs[0] && inputs[0][0];
+    if (!channel) {
+      return true;
+    }
+    // Views go stale when the module grows its memory, so take one per block.
+    new Float32Array(this.kws.memory.buffer, this.samplesPtr, channel.length).set(channel);
+    const found = this.kws.kws_feed(this.samplesPtr, channel.length);
+    if (found > 0) {
+      const hypotheses = [];
+      for (let i = 0; i < found; i++) {
+        hypotheses.push({ index: this.kws.kws_hypothesis(i), confidence: this.kws.kws_confidence(i) });
+      }
+      this.port.postMessage({ type: 'result', hypotheses });
+    }
+    return true;
+  }
+}
+
+registerProcessor('kws-processor', KwsProcessor);
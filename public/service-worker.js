@@ -20,12 +20,16 @@ const BASE = ((self.location && self.location.pathname) || '/service-worker.js')
 // shell only: the hashed JS/CSS bundles Vite emits are picked up at runtime by
 // the fetch handler (their names aren't known here), and the previous list's
 // '/src/*.js' entries never existed in the production build (Vite bundles them)
-// while the CDN Three.js URLs are unused (Three is bundled locally).
+// while the CDN Three.js URLs are unused (Three is bundled locally). The
+// Japanese IME's conversion dictionary is here too: the app only fetches it
+// when the keyboard first opens, which on a headset with no internet would be
+// too late to cache it.
 const CRITICAL_ASSETS = [
   BASE,
   `${BASE}index.html`,
   `${BASE}manifest.json`,
-  `${BASE}offline.html`
+  `${BASE}offline.html`,
+  `${BASE}dict/kanji-dict.json`
 ];
 
 // Asset patterns to cache with different strategies
@@ -398,6 +402,13 @@ self.addEventListener('message', async (event) => {
       });
       break;
 
+    case 'SYNC_NOW':
+      // Where Background Sync is unavailable the page asks directly.
+      event.waitUntil(syncBookmarks().catch((error) => {
+        console.warn('[ServiceWorker] Sync failed:', error);
+      }));
+      break;
+
     case 'PRELOAD_ASSETS':
       await preloadAssets(payload.urls);
       event.ports[0].postMessage({
@@ -462,17 +473,140 @@ async function preloadAssets(urls) {
 }
 
 /**
- * Background sync for offline actions
+ * Background sync of bookmarks and history.
+ *
+ * The page (src/utils/SyncClient.js) queues each change as an op in
+ * IndexedDB and registers SYNC_TAG; this pushes the queued ops to the sync
+ * server (proxy/syncServer.js), pulls what other headsets recorded, and
+ * leaves it for the page to apply — the page owns the bookmark store, which
+ * lives in localStorage, out of a worker's reach. Running from the `sync`
+ * event means a change made offline goes out once the headset is back
+ * online, even after the app has closed; a failed exchange throws so the
+ * browser retries it later.
+ *
+ * The IndexedDB layout is SyncClient's (kept in step by hand — a classic
+ * worker cannot import the module): database SYNC_DB, store 'kv', keys
+ * 'config', 'outbox' and 'inbox'.
  */
-self.addEventListener('sync', async (event) => {
-  if (event.tag === 'sync-offline-actions') {
-    event.waitUntil(syncOfflineActions());
+const SYNC_DB = 'qui-browser-sync';
+const SYNC_TAG = 'sync-bookmarks';
+const SYNC_BATCH = 500; // the server's MAX_OPS_PER_REQUEST
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(syncBookmarks());
   }
 });
 
-async function syncOfflineActions() {
-  // Implement offline action sync if needed
-  console.log('[ServiceWorker] Syncing offline actions');
+let syncDb = null;
+
+function syncKeyValue() {
+  const open = () => syncDb || (syncDb = new Promise((resolve, reject) => {
+    const req = indexedDB.open(SYNC_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore('kv');
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }));
+  const run = async (mode, key, fn) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('kv', mode);
+      const store = tx.objectStore('kv');
+      let result;
+      const req = store.get(key);
+      req.onsuccess = () => {
+        result = req.result;
+        if (fn) {
+          store.put(fn(result), key);
+        }
+      };
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  };
+  return {
+    get: (key) => run('readonly', key, null),
+    update: (key, fn) => run('readwrite', key, fn)
+  };
+}
+
+// The exchange under way, if any. A SYNC_NOW can arrive while a `sync` event
+// is still running; two exchanges at once would pull from the same cursor.
+let syncInFlight = null;
+
+/**
+ * Push the outbox, then pull until the server has nothing newer. A call made
+ * while an exchange is running joins it rather than starting another.
+ *
+ * Pushed ops leave the outbox only once the server has accepted them (by id,
+ * so ops queued meanwhile stay). Pulled ops and the new cursor are written in
+ * one transaction, so a worker stopped mid-pull never applies a batch twice;
+ * an op already in the inbox is not queued again, and the cursor never moves
+ * back.
+ *
+ * @param {object} [kv] syncKeyValue's interface (tests pass an in-memory one)
+ * @returns {Promise<number>} ops pulled
+ */
+function syncBookmarks(kv = syncKeyValue()) {
+  if (!syncInFlight) {
+    syncInFlight = exchangeOps(kv).finally(() => {
+      syncInFlight = null;
+    });
+  }
+  return syncInFlight;
+}
+
+async function exchangeOps(kv) {
+  const config = await kv.get('config');
+  if (!config || !config.serverUrl || !config.token) {
+    return 0;
+  }
+  const base = String(config.serverUrl).replace(/\/+$/, '');
+  const headers = { authorization: `Bearer ${config.token}`, 'content-type': 'application/json' };
+
+  const outbox = (await kv.get('outbox')) || [];
+  for (let i = 0; i < outbox.length; i += SYNC_BATCH) {
+    const batch = outbox.slice(i, i + SYNC_BATCH);
+    const res = await fetch(`${base}/ops`, { method: 'POST', headers, body: JSON.stringify({ ops: batch }) });
+    if (!res.ok) {
+      throw new Error(`[ServiceWorker] Sync push failed: HTTP ${res.status}`);
+    }
+    const sent = new Set(batch.map((op) => op.id));
+    await kv.update('outbox', (list) => (Array.isArray(list) ? list : []).filter((op) => !sent.has(op.id)));
+  }
+
+  let pulled = 0;
+  for (;;) {
+    const inbox = (await kv.get('inbox')) || { cursor: 0, ops: [] };
+    const query = `since=${inbox.cursor || 0}&device=${encodeURIComponent(config.device || '')}`;
+    const res = await fetch(`${base}/ops?${query}`, { headers });
+    if (!res.ok) {
+      throw new Error(`[ServiceWorker] Sync pull failed: HTTP ${res.status}`);
+    }
+    const body = await res.json();
+    const ops = Array.isArray(body.ops) ? body.ops : [];
+    await kv.update('inbox', (v) => {
+      const queued = v && Array.isArray(v.ops) ? v.ops : [];
+      const ids = new Set(queued.map((op) => op && op.id));
+      return {
+        cursor: Math.max((v && v.cursor) || 0, Number.isSafeInteger(body.seq) ? body.seq : 0),
+        ops: [...queued, ...ops.filter((op) => op && !ids.has(op.id))]
+      };
+    });
+    pulled += ops.length;
+    if (!body.more) {
+      break;
+    }
+  }
+
+  if (pulled) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    for (const client of windows) {
+      client.postMessage({ type: 'SYNC_APPLIED', pulled });
+    }
+  }
+  return pulled;
 }
 
 // Test-only export hook: in a CommonJS (Jest) context the internals are exposed
@@ -486,6 +620,7 @@ if (typeof module !== 'undefined' && module.exports) {
     RUNTIME_CACHE,
     BASE,
     CRITICAL_ASSETS,
+    syncBookmarks,
     _getCacheStats: () => cacheStats
   };
 }
@@ -6,7 +6,6 @@
  * - Cache-first for static assets
  * - Network-first for dynamic content
  * - Stale-while-revalidate for frequently updated resources
- * - Background sync for offline actions
  * - IndexedDB for large data storage
  *
  * Caching Strategy:
@@ -359,60 +358,9 @@ self.addEventListener('message', (event) => {
   }
 });
 
-/**
- * Sync event - handle background sync
- */
-self.addEventListener('sync', (event) => {
-  console.log('[ServiceWorker] Background sync:', event.tag);
-
-  if (event.tag === 'sync-bookmarks') {
-    event.waitUntil(syncBookmarks());
-  }
-
-  if (event.tag === 'sync-history') {
-    event.waitUntil(syncHistory());
-  }
-});
-
-/**
- * Sync bookmarks (placeholder)
- */
-async function syncBookmarks() {
-  console.log('[ServiceWorker] Syncing bookmarks...');
-
-  try {
-    // Get bookmarks from IndexedDB
-    // Send to server
-    // Update local copy
-
-    console.log('[ServiceWorker] Bookmarks synced successfully');
-    return true;
-
-  } catch (error) {
-    console.error('[ServiceWorker] Failed to sync bookmarks:', error);
-    throw error; // Retry sync
-  }
-}
-
-/**
- * Sync history (placeholder)
- */
-async function syncHistory() {
-  console.log('[ServiceWorker] Syncing history...');
-
-  try {
-    // Get history from IndexedDB
-    // Send to server
-    // Update local copy
-
-    console.log('[ServiceWorker] History synced successfully');
-    return true;
-
-  } catch (error) {
-    console.error('[ServiceWorker] Failed to sync history:', error);
-    throw error; // Retry sync
-  }
-}
+// Background sync of bookmarks and history lives in the worker the app
+// registers, public/service-worker.js (see src/utils/SyncClient.js). The
+// placeholders that used to be here logged success without syncing anything.
 
 /**
  * Push event - handle push notifications (future feature)
@@ -36,6 +36,7 @@ const CATALOG = {
     'settings.section.display': 'Display',
     'settings.section.browsing': 'Browsing',
     'settings.section.audio': 'Audio & Media',
+    'settings.section.input': 'Keyboard & Input',
     'settings.section.other': 'Other',
     'vr.msg.sectionOpen': 'expanded',
     'vr.msg.sectionClosed': 'collapsed',
@@ -48,10 +49,21 @@ const CATALOG = {
     'vr.content.proxyFailedTitle': 'Could not read this page',
     'vr.content.proxyFailedDetail': 'the reader proxy could not fetch it',
     'vr.content.proxyFailedBare': 'The reader proxy could not fetch this page',
+    'vr.reader.page': 'Page {page}',
+    'vr.reader.pageFailed': 'Page {page} could not be loaded — open it',
+    'vr.reader.pageContinues': 'Continues on page {page} — open it',
     'vr.bookmarks.tabBookmarks': 'Bookmarks',
     'vr.bookmarks.tabHistory': 'History',
     'vr.bookmarks.emptyBookmarks': 'No bookmarks yet',
     'vr.bookmarks.emptyHistory': 'No history yet',
+    'vr.bookmarks.emptyFolder': 'This folder is empty',
+    'vr.bookmarks.folderItems': 'items',
+    'vr.bookmarks.tabReading': 'Reading',
+    'vr.bookmarks.emptyReading': 'Nothing saved for later',
+    'vr.bookmarks.saveForLater': 'Save this page for later',
+    'vr.bookmarks.saveForLaterHint': 'Readable offline, where you left off',
+    'vr.bookmarks.read': 'Read',
+    'vr.bookmarks.unread': 'Unread',
     'vr.tabs.newTab': 'New Tab',
     'vr.error.voiceMicDenied': 'Voice commands: microphone access denied',
     'vr.error.voiceUnavailable': 'Voice commands temporarily unavailable',
@@ -85,6 +97,8 @@ const CATALOG = {
     'vr.settings.captionSize': 'Caption Size',
     'vr.settings.captionHeight': 'Caption Height',
     'vr.settings.soundVolume': 'Sound Volume',
+    'vr.settings.readAloudRate': 'Reading speed',
+    'vr.settings.readAloudPitch': 'Reading pitch',
     // VR Settings Panel Labels (Locomotion)
     'vr.settings.teleport': 'Teleport',
     'vr.settings.snapTurn': 'Snap Turn',
@@ -106,6 +120,17 @@ const CATALOG = {
     'vr.settings.video360': '360° Video',
     'vr.settings.clearHistory': 'Clear History',
     'vr.settings.bookmarks': 'Bookmarks',
+    'vr.settings.reopenTab': 'Reopen Closed Tab',
+    'vr.settings.importBookmarks': 'Import',
+    'vr.settings.exportBookmarks': 'Export',
+    'vr.settings.exportBackup': 'Back Up',
+    'vr.settings.imeBackend': 'Conversion',
+    'vr.settings.voiceBackend': 'Voice input',
+    'vr.settings.keyboardLanguage': 'Keyboard',
+    'vr.settings.swipeTyping': 'Swipe typing',
+    'vr.settings.importImeWords': 'Import Words',
+    'vr.settings.exportImeWords': 'Export Words',
+    'vr.settings.forgetImeLearning': 'Forget Learning',
     // VR Settings Panel Values
     'vr.value.on': 'ON',
     'vr.value.off': 'OFF',
@@ -114,6 +139,9 @@ const CATALOG = {
     // VR Status Messages
     'vr.msg.captionsEnabled': 'Captions enabled',
     'vr.msg.keyboardCancelled': 'Keyboard cancelled',
+    'vr.msg.keyboardJapanese': 'Keyboard: Japanese',
+    'vr.msg.keyboardKorean': 'Keyboard: Korean',
+    'vr.msg.keyboardChinese': 'Keyboard: Chinese',
     'vr.msg.recentered': 'Recentered',
     'vr.msg.bookmarked': 'Bookmarked',
     'vr.msg.bookmarkRemoved': 'Bookmark removed',
@@ -125,6 +153,22 @@ const CATALOG = {
     'vr.msg.browserControls': 'Browser controls',
     'vr.msg.tabStripLabel': 'Tab strip',
     'vr.msg.tabClosed': 'Tab closed',
+    'vr.msg.tabReopened': 'Tab reopened',
+    'vr.msg.noClosedTabs': 'No closed tabs to reopen',
+    'vr.msg.bookmarksImported': 'Bookmarks imported',
+    'vr.msg.importFailed': 'Not a bookmark file, or it could not be saved',
+    'vr.msg.fileSaved': 'File saved',
+    'vr.msg.imeWordsImported': 'Words added to the dictionary',
+    'vr.msg.imeImportFailed': 'Not a dictionary file, or it could not be saved',
+    'vr.msg.imeLearningCleared': 'Conversion learning cleared',
+    'vr.msg.fileSaveFailed': 'Could not save the file',
+    'vr.msg.savedForLater': 'Saved for later',
+    'vr.msg.nothingToSave': 'No article on screen to save',
+    'vr.msg.readingListFull': 'Reading list full — remove a saved page first',
+    'vr.msg.savedRemoved': 'Removed from reading list',
+    'vr.msg.savedUnavailable': 'This saved page could not be opened',
+    'vr.msg.historySearchHit': 'Found in history',
+    'vr.msg.historySearchNone': 'Nothing in history mentions',
     'vr.msg.videoPlaying': 'Video: playing',
     'vr.msg.videoPaused': 'Video: paused',
     'vr.msg.videoStopped': 'Video: stopped',
@@ -146,7 +190,8 @@ const CATALOG = {
     'vr.error.foveationUnavailable': 'Foveation unavailable',
     'vr.error.hapticUnavailable': 'Haptic feedback unavailable',
     'vr.error.layersUnavailable': 'Sharp text rendering unavailable',
-    'vr.error.blockedUrl': 'Cannot open that address'
+    'vr.error.blockedUrl': 'Cannot open that address',
+    'vr.error.readAloudFailed': 'Reading aloud stopped: the speech engine failed'
   },
   ja: {
     'hero.title': 'VRブラウジングの未来を体験',
@@ -173,6 +218,7 @@ const CATALOG = {
     'settings.section.display': '表示',
     'settings.section.browsing': 'ブラウジング',
     'settings.section.audio': '音声とメディア',
+    'settings.section.input': 'キーボードと入力',
     'settings.section.other': 'その他',
     'vr.msg.sectionOpen': '展開',
     'vr.msg.sectionClosed': '折りたたみ',
@@ -185,10 +231,21 @@ const CATALOG = {
     'vr.content.proxyFailedTitle': 'ページを読み取れませんでした',
     'vr.content.proxyFailedDetail': 'reader proxy が取得できませんでした',
     'vr.content.proxyFailedBare': 'reader proxy がこのページを取得できませんでした',
+    'vr.reader.page': '{page} ページ',
+    'vr.reader.pageFailed': '{page} ページを読み込めませんでした — 開く',
+    'vr.reader.pageContinues': '{page} ページに続きます — 開く',
     'vr.bookmarks.tabBookmarks': 'ブックマーク',
     'vr.bookmarks.tabHistory': '履歴',
     'vr.bookmarks.emptyBookmarks': 'ブックマークはありません',
     'vr.bookmarks.emptyHistory': '履歴はありません',
+    'vr.bookmarks.emptyFolder': 'このフォルダは空です',
+    'vr.bookmarks.folderItems': '件',
+    'vr.bookmarks.tabReading': 'あとで読む',
+    'vr.bookmarks.emptyReading': 'あとで読むページはありません',
+    'vr.bookmarks.saveForLater': 'このページをあとで読む',
+    'vr.bookmarks.saveForLaterHint': 'オフラインでも続きから読めます',
+    'vr.bookmarks.read': '既読',
+    'vr.bookmarks.unread': '未読',
     'vr.tabs.newTab': '新しいタブ',
     'vr.error.voiceMicDenied': '音声コマンド: マイクへのアクセスが拒否されました',
     'vr.error.voiceUnavailable': '音声コマンドは一時的に利用できません',
@@ -222,6 +279,8 @@ const CATALOG = {
     'vr.settings.captionSize': 'キャプションサイズ',
     'vr.settings.captionHeight': '字幕の高さ',
     'vr.settings.soundVolume': '音量',
+    'vr.settings.readAloudRate': '読み上げ速度',
+    'vr.settings.readAloudPitch': '読み上げの声の高さ',
     // VR Settings Panel Labels (Locomotion)
     'vr.settings.teleport': 'テレポート',
     'vr.settings.snapTurn': 'スナップターン',
@@ -243,6 +302,17 @@ const CATALOG = {
     'vr.settings.video360': '360°ビデオ',
     'vr.settings.clearHistory': '履歴を消去',
     'vr.settings.bookmarks': 'ブックマーク',
+    'vr.settings.reopenTab': '閉じたタブを開く',
+    'vr.settings.importBookmarks': 'インポート',
+    'vr.settings.exportBookmarks': 'エクスポート',
+    'vr.settings.exportBackup': 'バックアップ',
+    'vr.settings.imeBackend': '変換エンジン',
+    'vr.settings.voiceBackend': '音声認識',
+    'vr.settings.keyboardLanguage': 'キーボード言語',
+    'vr.settings.swipeTyping': 'スワイプ入力',
+    'vr.settings.importImeWords': '単語を読み込む',
+    'vr.settings.exportImeWords': '単語を書き出す',
+    'vr.settings.forgetImeLearning': '学習を消去',
     // VR Settings Panel Values
     'vr.value.on': 'オン',
     'vr.value.off': 'オフ',
@@ -251,6 +321,9 @@ const CATALOG = {
     // VR Status Messages
     'vr.msg.captionsEnabled': 'キャプション有効',
     'vr.msg.keyboardCancelled': 'キーボードキャンセル',
+    'vr.msg.keyboardJapanese': 'キーボード: 日本語',
+    'vr.msg.keyboardKorean': 'キーボード: 韓国語',
+    'vr.msg.keyboardChinese': 'キーボード: 中国語',
     'vr.msg.recentered': 'リセンター完了',
     'vr.msg.bookmarked': 'ブックマーク追加',
     'vr.msg.bookmarkRemoved': 'ブックマーク削除',
@@ -262,6 +335,22 @@ const CATALOG = {
     'vr.msg.browserControls': 'ブラウザコントロール',
     'vr.msg.tabStripLabel': 'タブストリップ',
     'vr.msg.tabClosed': 'タブ閉じる',
+    'vr.msg.tabReopened': 'タブを復元しました',
+    'vr.msg.noClosedTabs': '復元できるタブはありません',
+    'vr.msg.bookmarksImported': 'ブックマークを読み込みました',
+    'vr.msg.importFailed': 'ブックマークファイルではないか、保存できませんでした',
+    'vr.msg.fileSaved': 'ファイルを保存しました',
+    'vr.msg.imeWordsImported': '辞書に単語を追加しました',
+    'vr.msg.imeImportFailed': '辞書ファイルではないか、保存できませんでした',
+    'vr.msg.imeLearningCleared': '変換の学習を消去しました',
+    'vr.msg.fileSaveFailed': 'ファイルを保存できませんでした',
+    'vr.msg.savedForLater': 'あとで読むに保存しました',
+    'vr.msg.nothingToSave': '保存できる記事が表示されていません',
+    'vr.msg.readingListFull': 'あとで読むリストがいっぱいです',
+    'vr.msg.savedRemoved': 'あとで読むリストから削除しました',
+    'vr.msg.savedUnavailable': '保存したページを開けませんでした',
+    'vr.msg.historySearchHit': '履歴で見つかりました',
+    'vr.msg.historySearchNone': '履歴に見つかりません',
     'vr.msg.videoPlaying': 'ビデオ: 再生中',
     'vr.msg.videoPaused': 'ビデオ: 一時停止',
     'vr.msg.videoStopped': 'ビデオ: 停止',
@@ -283,7 +372,8 @@ const CATALOG = {
     'vr.error.foveationUnavailable': 'フォベーション利用不可',
     'vr.error.hapticUnavailable': 'ハプティックフィードバック利用不可',
     'vr.error.layersUnavailable': 'シャープテキストレンダリング利用不可',
-    'vr.error.blockedUrl': 'このアドレスは開けません'
+    'vr.error.blockedUrl': 'このアドレスは開けません',
+    'vr.error.readAloudFailed': '音声エンジンのエラーで読み上げを停止しました'
   }
 };
 
@@ -315,16 +405,19 @@ export function availableLanguages() {
   return Object.keys(CATALOG);
 }
 
-/** Translate a key in the current language (falls back to English, then the key). */
-export function t(key) {
+/**
+ * Translate a key in the current language (falls back to English, then the
+ * key). `{name}` placeholders in the message are filled from `params`.
+ */
+export function t(key, params) {
   const c = CATALOG[currentLang] || CATALOG.en;
+  let msg = key;
   if (key in c) {
-    return c[key];
-  }
-  if (key in CATALOG.en) {
-    return CATALOG.en[key];
+    msg = c[key];
+  } else if (key in CATALOG.en) {
+    msg = CATALOG.en[key];
   }
-  return key;
+  return params ? msg.replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m)) : msg;
 }
 
 /** Set the active language, persist it, and re-apply translations to `root`. */
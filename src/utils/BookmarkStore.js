@@ -3,8 +3,15 @@
  * FR-1.4 — no dependencies, works in both browser and Node (with shim).
  */
 
+import {
+  parseNetscapeBookmarks, serializeNetscapeBookmarks, buildBackup, parseBackup, detectBookmarkFormat
+} from './bookmarkFormats.js';
+import { syncOpFromJson, compareClock } from './syncOps.js';
+
 const BOOKMARKS_KEY = 'quiBrowser_bookmarks';
+const FOLDERS_KEY   = 'quiBrowser_bookmarkFolders';
 const HISTORY_KEY   = 'quiBrowser_history';
+const SYNC_META_KEY = 'quiBrowser_syncMeta';
 // Exported so UI consumers (e.g. BookmarkPanel) can fetch the full persisted
 // history rather than guessing a cap — see getHistory()'s limit parameter.
 export const MAX_HISTORY = 200;
@@ -82,6 +89,81 @@ export function isQuotaExceededError(e) {
   );
 }
 
+const MAX_TAGS = 20;
+const MAX_TAG_CHARS = 40;
+const MAX_FOLDER_NAME_CHARS = 80;
+
+/**
+ * Clean a free-form tag list: NFC, trimmed, inner whitespace collapsed, a
+ * leading "#" dropped (people type "#docs" as often as "docs"), and
+ * de-duplicated case-insensitively keeping the first spelling — so "Docs" and
+ * "docs" are one tag, not two that each hold half the pages.
+ *
+ * Pure — shared by the store and anything that accepts typed tags.
+ *
+ * @param {*} tags  array of strings (anything else yields [])
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+  const seen = new Set();
+  const out = [];
+  for (const raw of tags) {
+    if (typeof raw !== 'string') {
+      continue;
+    }
+    const tag = Array.from(raw.normalize('NFC').replace(/\s+/g, ' ').trim().replace(/^#+\s*/, ''))
+      .slice(0, MAX_TAG_CHARS).join('');
+    const key = tag.toLowerCase();
+    if (tag && !seen.has(key)) {
+      seen.add(key);
+      out.push(tag);
+    }
+  }
+  return out.slice(0, MAX_TAGS);
+}
+
+function folderName(name) {
+  return Array.from(String(name ?? '').replace(/\s+/g, ' ').trim()).slice(0, MAX_FOLDER_NAME_CHARS).join('');
+}
+
+function newFolderId(folders) {
+  let id;
+  do {
+    id = `f${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  } while (folders.some(f => f.id === id));
+  return id;
+}
+
+/**
+ * Move `item` within `list` to position `index` among the entries matching
+ * `isSibling` (its folder-mates). Bookmarks and folders are each stored as one
+ * flat array whose order *is* the manual order, so reordering inside a folder
+ * means landing between the right two siblings, wherever they sit in the array.
+ * An index past the last sibling appends after it.
+ */
+function placeAmongSiblings(list, item, isSibling, index) {
+  const rest = list.filter(x => x !== item);
+  const positions = [];
+  rest.forEach((x, i) => {
+    if (isSibling(x)) {
+      positions.push(i);
+    }
+  });
+  let at;
+  if (positions.length === 0) {
+    at = rest.length;
+  } else if (index < positions.length) {
+    at = positions[Math.max(0, index)];
+  } else {
+    at = positions[positions.length - 1] + 1;
+  }
+  rest.splice(at, 0, item);
+  return rest;
+}
+
 function readJSON(key, fallback) {
   try {
     const raw = typeof localStorage !== 'undefined'
@@ -109,27 +191,69 @@ function writeJSON(key, value) {
 
 export class BookmarkStore {
   // ── Bookmarks ───────────────────────────────────────────────────────────────
+  //
+  // Bookmarks are one flat array whose order is the display order; each entry
+  // names its folder (`folderId`, null = top level) and carries free-form
+  // `tags`. Entries saved before folders existed have neither and read as
+  // top-level and untagged, as does any entry whose folder has gone.
 
-  /** Return all bookmarks as `[{ url, title, addedAt }]` sorted by addedAt desc. */
+  /**
+   * Return all bookmarks as `[{ url, title, addedAt, folderId, tags }]` in
+   * display order — newest first unless the user has reordered them.
+   */
   getBookmarks() {
-    return readJSON(BOOKMARKS_KEY, []);
+    const folderIds = new Set(this._readFolders().map(f => f.id));
+    return readJSON(BOOKMARKS_KEY, [])
+      .filter(b => b && b.url)
+      .map(b => ({
+        ...b,
+        folderId: folderIds.has(b.folderId) ? b.folderId : null,
+        tags: normalizeTags(b.tags)
+      }));
+  }
+
+  /** The bookmark for `url`, or null. */
+  getBookmark(url) {
+    return this.getBookmarks().find(b => b.url === url) || null;
   }
 
   /**
-   * Add or update a bookmark.  If the URL already exists the title is updated
-   * and `addedAt` is refreshed.
+   * Add or update a bookmark.  If the URL already exists the title is updated,
+   * `addedAt` is refreshed and it moves to the top of its folder; its folder
+   * and tags are kept unless given.
+   *
+   * @param {string} url
+   * @param {string} [title=url]
+   * @param {{folderId?: string|null, tags?: string[]}} [opts]
    */
-  addBookmark(url, title = url) {
-    const list = this.getBookmarks().filter(b => b.url !== url);
-    list.unshift({ url, title, addedAt: Date.now() });
+  addBookmark(url, title = url, { folderId, tags } = {}) {
+    const all = this.getBookmarks();
+    const existing = all.find(b => b.url === url);
+    const folder = folderId !== undefined && (folderId === null || this.getFolder(folderId))
+      ? folderId
+      : (existing ? existing.folderId : null);
+    const entry = {
+      url,
+      title,
+      addedAt: Date.now(),
+      folderId: folder,
+      tags: tags !== undefined ? normalizeTags(tags) : (existing ? existing.tags : [])
+    };
+    const list = all.filter(b => b.url !== url);
+    list.unshift(entry);
     writeJSON(BOOKMARKS_KEY, list);
-    return list[0];
+    this._recordBookmarks([url]);
+    return entry;
   }
 
   /** Remove a bookmark by URL. */
   removeBookmark(url) {
-    const list = this.getBookmarks().filter(b => b.url !== url);
+    const all = this.getBookmarks();
+    const list = all.filter(b => b.url !== url);
     writeJSON(BOOKMARKS_KEY, list);
+    if (list.length !== all.length) {
+      this._recordBookmarks([url]);
+    }
   }
 
   /** Return true when the URL is bookmarked. */
@@ -150,6 +274,608 @@ export class BookmarkStore {
     return true;
   }
 
+  /**
+   * Change a bookmark's title. An empty title falls back to the URL, which is
+   * what the panel would show anyway.
+   * @returns {boolean} false when the URL is not bookmarked
+   */
+  renameBookmark(url, title) {
+    const list = this.getBookmarks();
+    const entry = list.find(b => b.url === url);
+    if (!entry) {
+      return false;
+    }
+    entry.title = String(title ?? '').trim() || url;
+    writeJSON(BOOKMARKS_KEY, list);
+    this._recordBookmarks([url]);
+    return true;
+  }
+
+  /**
+   * Move a bookmark to `folderId` at position `index` among that folder's
+   * bookmarks. Pass the bookmark's own folder (or undefined) to reorder it in
+   * place.
+   *
+   * @param {string} url
+   * @param {string|null} [folderId]  target folder; null = top level,
+   *   undefined = stay in the current folder
+   * @param {number} [index=0]  position among the target's bookmarks; 0 is
+   *   the top, where new bookmarks go
+   * @returns {boolean} false when the bookmark or folder does not exist
+   */
+  moveBookmark(url, folderId, index = 0) {
+    const list = this.getBookmarks();
+    const entry = list.find(b => b.url === url);
+    if (!entry || (folderId && !this.getFolder(folderId))) {
+      return false;
+    }
+    const target = folderId === undefined ? entry.folderId : folderId;
+    const moved = target !== entry.folderId;
+    entry.folderId = target;
+    writeJSON(BOOKMARKS_KEY, placeAmongSiblings(list, entry, b => b.folderId === target, index));
+    if (moved) {
+      this._recordBookmarks([url]);
+    }
+    return true;
+  }
+
+  // ── Folders ─────────────────────────────────────────────────────────────────
+  //
+  // Folders are stored apart from bookmarks as `[{ id, name, parentId,
+  // createdAt }]` (parentId null = top level), array order again being the
+  // order among siblings. There is no stored root: the top level is simply
+  // "parentId null", so a bookmark list from before folders needs no
+  // migration.
+
+  _readFolders() {
+    const raw = readJSON(FOLDERS_KEY, []);
+    return Array.isArray(raw) ? raw.filter(f => f && typeof f.id === 'string') : [];
+  }
+
+  /**
+   * All folders in sibling order. A folder whose parent is missing (or that
+   * sits in a parent cycle from hand-edited storage) reads as top level, so
+   * nothing stored can become unreachable.
+   */
+  getFolders() {
+    const raw = this._readFolders();
+    const byId = new Map(raw.map(f => [f.id, f]));
+    const reachesRoot = (f) => {
+      const seen = new Set();
+      for (let p = f.parentId; p; p = byId.get(p)?.parentId) {
+        if (seen.has(p) || !byId.has(p)) {
+          return false;
+        }
+        seen.add(p);
+      }
+      return true;
+    };
+    return raw.map(f => ({
+      id: f.id,
+      name: folderName(f.name) || f.id,
+      parentId: f.parentId && reachesRoot(f) ? f.parentId : null,
+      createdAt: f.createdAt || 0
+    }));
+  }
+
+  /** The folder with this id, or null. */
+  getFolder(id) {
+    return this.getFolders().find(f => f.id === id) || null;
+  }
+
+  /**
+   * Create a folder at the end of `parentId`'s subfolders.
+   * @param {string} name
+   * @param {string|null} [parentId=null]
+   * @returns {{id: string, name: string, parentId: string|null, createdAt: number}|null}
+   *   null when the name is blank or the parent does not exist
+   */
+  createFolder(name, parentId = null) {
+    const clean = folderName(name);
+    const folders = this.getFolders();
+    if (!clean || (parentId && !folders.some(f => f.id === parentId))) {
+      return null;
+    }
+    const folder = { id: newFolderId(folders), name: clean, parentId: parentId || null, createdAt: Date.now() };
+    folders.push(folder);
+    writeJSON(FOLDERS_KEY, folders);
+    return folder;
+  }
+
+  /** @returns {boolean} false when the folder is missing or the name blank */
+  renameFolder(id, name) {
+    const clean = folderName(name);
+    const folders = this.getFolders();
+    const folder = folders.find(f => f.id === id);
+    if (!folder || !clean) {
+      return false;
+    }
+    folder.name = clean;
+    writeJSON(FOLDERS_KEY, folders);
+    this._recordBookmarks(this._urlsUnder(id));
+    return true;
+  }
+
+  /**
+   * Move a folder (with everything in it) under `parentId` at position `index`
+   * among its subfolders. Moving a folder into itself or one of its own
+   * descendants is refused — it would detach the whole branch.
+   *
+   * @param {string} id
+   * @param {string|null} [parentId]  null = top level, undefined = same parent
+   * @param {number} [index=Infinity]  position among the parent's subfolders
+   * @returns {boolean}
+   */
+  moveFolder(id, parentId, index = Infinity) {
+    const folders = this.getFolders();
+    const folder = folders.find(f => f.id === id);
+    if (!folder || (parentId && !folders.some(f => f.id === parentId))) {
+      return false;
+    }
+    const target = parentId === undefined ? folder.parentId : parentId;
+    for (let p = target; p; p = folders.find(f => f.id === p)?.parentId) {
+      if (p === id) {
+        return false;
+      }
+    }
+    const moved = target !== folder.parentId;
+    folder.parentId = target;
+    writeJSON(FOLDERS_KEY, placeAmongSiblings(folders, folder, f => f.parentId === target, index));
+    if (moved) {
+      this._recordBookmarks(this._urlsUnder(id));
+    }
+    return true;
+  }
+
+  /**
+   * Delete a folder. Its bookmarks and subfolders are not deleted with it:
+   * they move up into its parent, where it was — removing a folder of a
+   * hundred reference pages by one stray select would be unrecoverable.
+   *
+   * @returns {boolean} false when the folder does not exist
+   */
+  removeFolder(id) {
+    const folders = this.getFolders();
+    const folder = folders.find(f => f.id === id);
+    if (!folder) {
+      return false;
+    }
+    const parent = folder.parentId;
+    const affected = this._urlsUnder(id);
+    const at = folders.indexOf(folder);
+    const children = folders.filter(f => f.parentId === id).map(f => ({ ...f, parentId: parent }));
+    const rest = folders.filter(f => f !== folder && f.parentId !== id);
+    rest.splice(Math.min(at, rest.length), 0, ...children);
+    // Remapped while the folder still exists: once it is gone, getBookmarks()
+    // reads its bookmarks as top-level ones.
+    const bookmarks = this.getBookmarks().map(b => (b.folderId === id ? { ...b, folderId: parent } : b));
+    writeJSON(FOLDERS_KEY, rest);
+    writeJSON(BOOKMARKS_KEY, bookmarks);
+    this._recordBookmarks(affected);
+    return true;
+  }
+
+  /**
+   * What one folder holds, each part in its manual order.
+   * @param {string|null} [folderId=null]  null = top level
+   * @returns {{folders: Array<object>, bookmarks: Array<object>}}
+   */
+  getFolderContents(folderId = null) {
+    const id = folderId || null;
+    return {
+      folders: this.getFolders().filter(f => f.parentId === id),
+      bookmarks: this.getBookmarks().filter(b => b.folderId === id)
+    };
+  }
+
+  /**
+   * The folders from the top level down to `folderId`, inclusive — a
+   * breadcrumb. Empty for the top level or an unknown id.
+   * @returns {Array<object>}
+   */
+  getFolderPath(folderId) {
+    const byId = new Map(this.getFolders().map(f => [f.id, f]));
+    const path = [];
+    for (let f = byId.get(folderId); f; f = byId.get(f.parentId)) {
+      path.unshift(f);
+    }
+    return path;
+  }
+
+  // ── Tags ────────────────────────────────────────────────────────────────────
+
+  /**
+   * Replace a bookmark's tags (normalised, see normalizeTags).
+   * @returns {string[]|null} the stored tags, or null when not bookmarked
+   */
+  setTags(url, tags) {
+    const list = this.getBookmarks();
+    const entry = list.find(b => b.url === url);
+    if (!entry) {
+      return null;
+    }
+    entry.tags = normalizeTags(tags);
+    writeJSON(BOOKMARKS_KEY, list);
+    this._recordBookmarks([url]);
+    return entry.tags;
+  }
+
+  /** Add one tag to a bookmark. @returns {string[]|null} as setTags */
+  addTag(url, tag) {
+    const entry = this.getBookmark(url);
+    return entry ? this.setTags(url, [...entry.tags, tag]) : null;
+  }
+
+  /** Remove one tag (case-insensitively). @returns {string[]|null} as setTags */
+  removeTag(url, tag) {
+    const entry = this.getBookmark(url);
+    if (!entry) {
+      return null;
+    }
+    const [key] = normalizeTags([tag]);
+    return this.setTags(url, entry.tags.filter(t => t.toLowerCase() !== (key || '').toLowerCase()));
+  }
+
+  /**
+   * Every tag in use with how many bookmarks carry it, most used first.
+   * @returns {Array<{tag: string, count: number}>}
+   */
+  getTags() {
+    const byKey = new Map();
+    for (const b of this.getBookmarks()) {
+      for (const tag of b.tags) {
+        const key = tag.toLowerCase();
+        const seen = byKey.get(key);
+        if (seen) {
+          seen.count++;
+        } else {
+          byKey.set(key, { tag, count: 1 });
+        }
+      }
+    }
+    return [...byKey.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  /** Bookmarks carrying `tag` (case-insensitive), in display order. */
+  getBookmarksByTag(tag) {
+    const [key] = normalizeTags([tag]);
+    if (!key) {
+      return [];
+    }
+    return this.getBookmarks().filter(b => b.tags.some(t => t.toLowerCase() === key.toLowerCase()));
+  }
+
+  // ── Import / export ─────────────────────────────────────────────────────────
+  //
+  // Formats live in bookmarkFormats.js; these methods convert between the
+  // store and its neutral tree, and merge an imported tree into what is
+  // already here.
+
+  /** The folders and bookmarks as a tree (subfolders first, manual order). */
+  exportTree() {
+    const folders = this.getFolders();
+    const bookmarks = this.getBookmarks();
+    const build = (parentId) => [
+      ...folders.filter(f => f.parentId === parentId).map(f => ({
+        type: 'folder', name: f.name, addedAt: f.createdAt, items: build(f.id)
+      })),
+      ...bookmarks.filter(b => b.folderId === parentId).map(b => ({
+        type: 'bookmark', url: b.url, title: b.title, addedAt: b.addedAt, tags: b.tags
+      }))
+    ];
+    return { items: build(null) };
+  }
+
+  /** The bookmarks as a Netscape Bookmark File, for any desktop browser. */
+  exportNetscapeHtml() {
+    return serializeNetscapeBookmarks(this.exportTree());
+  }
+
+  /** A versioned JSON backup of bookmarks and history (see bookmarkFormats.js). */
+  exportBackup(now = Date.now()) {
+    return JSON.stringify(buildBackup(this.exportTree(), readJSON(HISTORY_KEY, []), now), null, 2);
+  }
+
+  /**
+   * Merge an imported tree. A folder merges into an existing folder of the
+   * same name in the same place, so importing the same file twice does not
+   * duplicate the folder structure; a URL that is already bookmarked is left
+   * where the user put it. New bookmarks are appended in file order.
+   *
+   * @param {{items: Array<object>}} tree
+   * @returns {{bookmarks: number, folders: number, duplicates: number} | null}
+   *   counts of what was added, or null when storage refused the write
+   */
+  importTree(tree) {
+    const folders = this.getFolders();
+    const existing = this.getBookmarks();
+    const known = new Set(existing.map(b => b.url));
+    const added = [];
+    const result = { bookmarks: 0, folders: 0, duplicates: 0 };
+    const now = Date.now();
+    const walk = (items, parentId) => {
+      for (const item of items) {
+        if (item.type === 'folder') {
+          const name = folderName(item.name);
+          if (!name) {
+            walk(item.items, parentId); // an unnamed folder adds no level
+            continue;
+          }
+          let folder = folders.find(f => f.parentId === parentId && f.name === name);
+          if (!folder) {
+            folder = { id: newFolderId(folders), name, parentId, createdAt: item.addedAt || now };
+            folders.push(folder);
+            result.folders++;
+          }
+          walk(item.items, folder.id);
+        } else if (known.has(item.url)) {
+          result.duplicates++;
+        } else {
+          known.add(item.url);
+          added.push({
+            url: item.url,
+            title: item.title || item.url,
+            addedAt: item.addedAt || now,
+            folderId: parentId,
+            tags: normalizeTags(item.tags)
+          });
+          result.bookmarks++;
+        }
+      }
+    };
+    walk(tree.items, null);
+    if (!writeJSON(FOLDERS_KEY, folders) || !writeJSON(BOOKMARKS_KEY, [...existing, ...added])) {
+      return null;
+    }
+    this._recordBookmarks(added.map(b => b.url));
+    return result;
+  }
+
+  /**
+   * Merge imported history. A URL already in history keeps the larger visit
+   * count and the later visit time — the same history restored twice must not
+   * double its visits and skew frecency. The result is capped at MAX_HISTORY,
+   * most recent first.
+   *
+   * @param {Array<{url: string, title: string, visitedAt: number, visits: number}>} entries
+   * @returns {number} how many entries were new
+   */
+  importHistory(entries) {
+    const all = readJSON(HISTORY_KEY, []).filter(e => e && e.url);
+    const byUrl = new Map(all.map(e => [e.url, e]));
+    let added = 0;
+    for (const e of entries) {
+      const have = byUrl.get(e.url);
+      const before = have ? have.visits || 1 : 0;
+      if (have) {
+        have.visits = Math.max(have.visits || 1, e.visits);
+        have.visitedAt = Math.max(have.visitedAt || 0, e.visitedAt);
+        if (!have.title || have.title === have.url) {
+          have.title = e.title;
+        }
+      } else {
+        const entry = { url: e.url, title: e.title, visitedAt: e.visitedAt, visits: e.visits };
+        byUrl.set(e.url, entry);
+        all.push(entry);
+        added++;
+      }
+      const gained = byUrl.get(e.url).visits - before;
+      if (gained > 0) {
+        this._recordHistory({ type: 'history.visit', url: e.url, title: e.title, visits: gained });
+      }
+    }
+    all.sort((a, b) => (b.visitedAt || 0) - (a.visitedAt || 0));
+    writeJSON(HISTORY_KEY, all.slice(0, MAX_HISTORY));
+    return added;
+  }
+
+  /**
+   * Import a file in either format, detected from its contents.
+   *
+   * @param {string} text  the file's contents
+   * @returns {{format: 'netscape'|'backup', bookmarks: number, folders: number,
+   *   duplicates: number, history: number, skipped: number} | null} what was
+   *   added, or null when the file is in neither format or could not be saved
+   */
+  importFile(text) {
+    const format = detectBookmarkFormat(text);
+    const parsed = format === 'backup' ? parseBackup(text)
+      : format === 'netscape' ? parseNetscapeBookmarks(text) : null;
+    if (!parsed) {
+      return null;
+    }
+    const result = this.importTree(parsed);
+    if (!result) {
+      return null;
+    }
+    const history = parsed.history ? this.importHistory(parsed.history) : 0;
+    return { format, ...result, history, skipped: parsed.skipped };
+  }
+
+  // ── Sync ────────────────────────────────────────────────────────────────────
+  //
+  // With a sync log attached (SyncClient), every change above is also recorded
+  // as an op for other headsets, and their ops come back in through
+  // applyRemoteOps. The merge rules are syncOps.js's. What the merge needs to
+  // remember lives under its own key: the clock of the op that last decided
+  // each bookmark URL (a tombstone, once removed), when history was last
+  // cleared or an entry removed, and the last visit op applied from each
+  // device — visits add up, so the same op applied twice must not count twice.
+
+  /**
+   * Attach a sync log, or detach with null. Without one nothing is recorded.
+   * @param {{record: (op: object) => object}|null} log
+   */
+  attachSync(log) {
+    this._sync = log || null;
+  }
+
+  _readSyncMeta() {
+    const raw = readJSON(SYNC_META_KEY, null);
+    const obj = (v) => (v && typeof v === 'object' && !Array.isArray(v) ? v : {});
+    return {
+      clocks: obj(raw && raw.clocks),
+      removedAt: obj(raw && raw.removedAt),
+      clearedAt: raw && Number.isSafeInteger(raw.clearedAt) ? raw.clearedAt : 0,
+      visitsApplied: obj(raw && raw.visitsApplied)
+    };
+  }
+
+  /** URLs of the bookmarks in a folder and all its subfolders. */
+  _urlsUnder(folderId) {
+    const ids = new Set([folderId]);
+    const folders = this.getFolders();
+    for (let grew = true; grew;) {
+      grew = false;
+      for (const f of folders) {
+        if (ids.has(f.parentId) && !ids.has(f.id)) {
+          ids.add(f.id);
+          grew = true;
+        }
+      }
+    }
+    return this.getBookmarks().filter(b => ids.has(b.folderId)).map(b => b.url);
+  }
+
+  /** Record each URL's current state: a put, or a remove when it has gone. */
+  _recordBookmarks(urls) {
+    if (!this._sync || !urls.length) {
+      return;
+    }
+    const meta = this._readSyncMeta();
+    for (const url of urls) {
+      const b = this.getBookmark(url);
+      const op = this._sync.record(b
+        ? {
+          type: 'bookmark.put', url, title: b.title, tags: b.tags, addedAt: b.addedAt,
+          folder: this.getFolderPath(b.folderId).map(f => f.name)
+        }
+        : { type: 'bookmark.remove', url });
+      meta.clocks[url] = { ts: op.ts, device: op.device, id: op.id };
+    }
+    writeJSON(SYNC_META_KEY, meta);
+  }
+
+  _recordHistory(fields) {
+    if (!this._sync) {
+      return;
+    }
+    const op = this._sync.record(fields);
+    if (op.type === 'history.visit') {
+      return;
+    }
+    const meta = this._readSyncMeta();
+    if (op.type === 'history.clear') {
+      meta.clearedAt = op.ts;
+      meta.removedAt = {};
+    } else {
+      meta.removedAt[op.url] = op.ts;
+    }
+    writeJSON(SYNC_META_KEY, meta);
+  }
+
+  /**
+   * Merge ops pulled from other headsets. Ops are validated (a malformed one
+   * is dropped) and applied oldest first; the result does not depend on the
+   * order they arrive in. A bookmark that arrives in a folder this headset
+   * does not have creates the folder; a new bookmark goes to the top of its
+   * folder. Nothing applied here is recorded again, and applying the same
+   * ops twice changes nothing the second time.
+   *
+   * @param {Array<object>} ops
+   * @returns {{bookmarks: number, history: number}} how many ops changed each
+   */
+  applyRemoteOps(ops) {
+    const valid = (Array.isArray(ops) ? ops : []).map(syncOpFromJson).filter(Boolean).sort(compareClock);
+    const meta = this._readSyncMeta();
+    const folders = this.getFolders();
+    let bookmarks = this.getBookmarks();
+    let history = readJSON(HISTORY_KEY, []).filter(e => e && e.url);
+    const result = { bookmarks: 0, history: 0 };
+    const folderFor = (names) => {
+      let parentId = null;
+      for (const name of names.map(folderName).filter(Boolean)) {
+        let folder = folders.find(f => f.parentId === parentId && f.name === name);
+        if (!folder) {
+          folder = { id: newFolderId(folders), name, parentId, createdAt: Date.now() };
+          folders.push(folder);
+        }
+        parentId = folder.id;
+      }
+      return parentId;
+    };
+    for (const op of valid) {
+      if (op.type.startsWith('bookmark.')) {
+        const clock = meta.clocks[op.url];
+        if (clock && compareClock(op, clock) <= 0) {
+          continue;
+        }
+        meta.clocks[op.url] = { ts: op.ts, device: op.device, id: op.id };
+        const existing = bookmarks.find(b => b.url === op.url);
+        if (op.type === 'bookmark.remove') {
+          if (existing) {
+            bookmarks = bookmarks.filter(b => b !== existing);
+            result.bookmarks++;
+          }
+          continue;
+        }
+        const folderId = folderFor(op.folder);
+        const entry = existing || { url: op.url };
+        const moved = !existing || existing.folderId !== folderId;
+        Object.assign(entry, { title: op.title, addedAt: op.addedAt, folderId, tags: normalizeTags(op.tags) });
+        if (moved) {
+          bookmarks = placeAmongSiblings(bookmarks, entry, b => b.folderId === folderId, 0);
+        }
+        result.bookmarks++;
+      } else if (op.type === 'history.visit') {
+        // Ids are `device:counter`, and a device's ops reach the log in
+        // counter order, so one number per device tells which were applied.
+        const counter = op.id.startsWith(`${op.device}:`) ? Number(op.id.slice(op.device.length + 1)) : NaN;
+        if (Number.isSafeInteger(counter)) {
+          if (counter <= (meta.visitsApplied[op.device] || 0)) {
+            continue;
+          }
+          meta.visitsApplied[op.device] = counter;
+        }
+        if (op.ts <= Math.max(meta.clearedAt, meta.removedAt[op.url] || 0)) {
+          continue;
+        }
+        const entry = history.find(e => e.url === op.url);
+        if (entry) {
+          entry.visits = (entry.visits || 1) + op.visits;
+          if (op.ts > (entry.visitedAt || 0)) {
+            entry.visitedAt = op.ts;
+            entry.title = op.title;
+          }
+        } else {
+          history.push({ url: op.url, title: op.title, visitedAt: op.ts, visits: op.visits });
+        }
+        result.history++;
+      } else {
+        const covers = (e) => (op.type === 'history.clear' || e.url === op.url) && (e.visitedAt || 0) <= op.ts;
+        if (op.type === 'history.clear') {
+          meta.clearedAt = Math.max(meta.clearedAt, op.ts);
+          for (const url of Object.keys(meta.removedAt)) {
+            if (meta.removedAt[url] <= meta.clearedAt) {
+              delete meta.removedAt[url];
+            }
+          }
+        } else {
+          meta.removedAt[op.url] = Math.max(meta.removedAt[op.url] || 0, op.ts);
+        }
+        const before = history.length;
+        history = history.filter(e => !covers(e));
+        result.history += before - history.length;
+      }
+    }
+    history.sort((a, b) => (b.visitedAt || 0) - (a.visitedAt || 0));
+    writeJSON(FOLDERS_KEY, folders);
+    writeJSON(BOOKMARKS_KEY, bookmarks);
+    writeJSON(HISTORY_KEY, history.slice(0, MAX_HISTORY));
+    writeJSON(SYNC_META_KEY, meta);
+    return result;
+  }
+
   // ── History ─────────────────────────────────────────────────────────────────
 
   /** Return the most recent `limit` history entries (default 50). */
@@ -185,6 +911,7 @@ export class BookmarkStore {
     } else {
       all.unshift({ url, title, visitedAt: Date.now(), visits: 1 });
     }
+    this._recordHistory({ type: 'history.visit', url, title: all[0].title, visits: 1 });
     // Trim to keep storage bounded.
     if (all.length > MAX_HISTORY) {
       all.length = MAX_HISTORY;
@@ -208,11 +935,13 @@ export class BookmarkStore {
   removeHistory(url) {
     const all = readJSON(HISTORY_KEY, []).filter(e => e.url !== url);
     writeJSON(HISTORY_KEY, all);
+    this._recordHistory({ type: 'history.remove', url });
   }
 
   /** Wipe all history. */
   clearHistory() {
     writeJSON(HISTORY_KEY, []);
+    this._recordHistory({ type: 'history.clear' });
   }
 
   /**
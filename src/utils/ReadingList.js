@@ -0,0 +1,295 @@
+/**
+ * Reading list: pages saved for later, readable with no network at all.
+ *
+ * BookmarkStore keeps URLs, and a URL is no use offline. Saving for later
+ * keeps the reader document the panel extracted (title and blocks, see
+ * readableText.js) so WebPanel.openSavedArticle can show it without fetching
+ * anything, plus how far the user has read and whether they finished.
+ *
+ * An article runs to tens of kilobytes — a few hundred would fill
+ * localStorage — so everything lives in IndexedDB (idbKeyValue.js):
+ *
+ *   database READING_LIST_DB, object store 'kv', keys
+ *     'index'          entries, newest saved first, without the article text
+ *     'article:<url>'  the saved reader document
+ *
+ * The index is held in memory once `load()` resolves, so BookmarkPanel can
+ * draw it synchronously; writes go through to IndexedDB in the background.
+ * Without IndexedDB (tests, some private modes) the list lasts the session.
+ */
+
+import { idbKeyValue } from './idbKeyValue.js';
+import { readerDocumentFromJson } from '../vr/browser/readableText.js';
+import { pageBreakBlock } from '../vr/browser/pagination.js';
+
+export const READING_LIST_DB = 'qui-browser-reading';
+/** Articles kept. Saving past this drops the oldest one already read. */
+export const MAX_READING_LIST = 200;
+const MAX_TITLE_CHARS = 500;
+
+const isWebUrl = (u) => typeof u === 'string' && /^https?:\/\/[^\s]+$/i.test(u);
+const articleKey = (url) => `article:${url}`;
+
+/**
+ * A validated reading-list entry, or null when `o` is not one.
+ *
+ * @param {*} o
+ * @returns {{url: string, title: string, savedAt: number, read: boolean,
+ *   progress: number, scroll: number}|null} `progress` is the fraction of
+ *   the article scrolled past (0–1); `scroll` the line offset to reopen at
+ */
+export function readingEntryFromJson(o) {
+  if (!o || typeof o !== 'object' || !isWebUrl(o.url)) {
+    return null;
+  }
+  const progress = Number.isFinite(o.progress) ? Math.min(1, Math.max(0, o.progress)) : 0;
+  return {
+    url: o.url,
+    title: (typeof o.title === 'string' && Array.from(o.title).slice(0, MAX_TITLE_CHARS).join('')) || o.url,
+    savedAt: Number.isSafeInteger(o.savedAt) && o.savedAt > 0 ? o.savedAt : 0,
+    read: o.read === true,
+    progress,
+    scroll: Number.isSafeInteger(o.scroll) && o.scroll > 0 ? o.scroll : 0
+  };
+}
+
+/**
+ * A saved article read back from storage, in readerDocumentFromJson's shape.
+ *
+ * Blocks go through readerDocumentFromJson one at a time, in order, so the
+ * "Page N" rules a stitched article carries (pagination.js) survive between
+ * them; that validator only knows the blocks the extractor produces.
+ *
+ * @param {*} o
+ * @returns {object|null} null when nothing readable is left
+ */
+export function savedArticleFromJson(o) {
+  if (!o || typeof o !== 'object' || !Array.isArray(o.blocks)) {
+    return null;
+  }
+  const blocks = [];
+  for (const b of o.blocks) {
+    if (b && b.type === 'page' && typeof b.text === 'string' && b.text) {
+      const href = Array.isArray(b.links) && b.links[0] && isWebUrl(b.links[0].href) ? b.links[0].href : '';
+      blocks.push(pageBreakBlock(b.text, href));
+    } else {
+      blocks.push(...readerDocumentFromJson({ blocks: [b] }).blocks);
+    }
+  }
+  if (!blocks.some((b) => b.type !== 'page')) {
+    return null;
+  }
+  return { ...readerDocumentFromJson({ ...o, blocks: [], nextPage: '' }), blocks };
+}
+
+export class ReadingList {
+  /**
+   * @param {object} [opts]
+   * @param {object|null} [opts.kv]  key-value store (idbKeyValue.js's
+   *   interface); defaults to IndexedDB where there is one, null = memory only
+   * @param {() => void} [opts.onChange]  after the list or an entry changes
+   */
+  constructor({ kv, onChange } = {}) {
+    this.kv = kv !== undefined
+      ? kv
+      : (typeof indexedDB !== 'undefined' ? idbKeyValue(READING_LIST_DB) : null);
+    this.onChange = typeof onChange === 'function' ? onChange : null;
+    this._entries = [];
+    // The stored index is not written until it has been read, or an article
+    // saved in the first moments of a session would replace the whole list.
+    this._loaded = !this.kv;
+    // Article bodies when there is no kv to keep them in.
+    this._articles = new Map();
+  }
+
+  /**
+   * Read the stored index. Entries saved before it resolves are kept, ahead
+   * of the stored ones.
+   * @returns {Promise<number>} how many entries the list holds
+   */
+  async load() {
+    if (!this.kv) {
+      return this._entries.length;
+    }
+    let stored;
+    try {
+      stored = await this.kv.get('index');
+    } catch (e) {
+      console.warn('ReadingList: could not read the reading list', e);
+      this._loaded = true;
+      return this._entries.length;
+    }
+    const fresh = new Set(this._entries.map((e) => e.url));
+    const loaded = (Array.isArray(stored) ? stored : [])
+      .map(readingEntryFromJson)
+      .filter((e) => e && !fresh.has(e.url));
+    this._entries = [...this._entries, ...loaded];
+    this._loaded = true;
+    if (fresh.size) {
+      this._persist();
+    } else {
+      this._changed();
+    }
+    return this._entries.length;
+  }
+
+  /** Entries, newest saved first (copies). */
+  getEntries() {
+    return this._entries.map((e) => ({ ...e }));
+  }
+
+  /** The entry for `url`, or null. */
+  get(url) {
+    const entry = this._entries.find((e) => e.url === url);
+    return entry ? { ...entry } : null;
+  }
+
+  has(url) {
+    return this._entries.some((e) => e.url === url);
+  }
+
+  /**
+   * Save an article. Saving a URL already on the list replaces its snapshot
+   * and starts it over as unread: the text may have changed, and line offsets
+   * into the old text mean nothing in the new one.
+   *
+   * @param {object} doc  WebPanel.readerSnapshot(): url, title, blocks and
+   *   the rest of the reader document
+   * @returns {Promise<object|null>} the new entry; null when `doc` has no
+   *   readable text, when every saved article is still unread and the list
+   *   is full, or when storage failed
+   */
+  async save(doc) {
+    const article = doc && isWebUrl(doc.url) ? savedArticleFromJson(doc) : null;
+    if (!article) {
+      return null;
+    }
+    const entry = readingEntryFromJson({ url: doc.url, title: article.title, savedAt: Date.now() });
+    const others = this._entries.filter((e) => e.url !== entry.url);
+    let evicted = null;
+    if (others.length >= MAX_READING_LIST) {
+      const oldestRead = others.map((e) => e.read).lastIndexOf(true);
+      if (oldestRead < 0) {
+        return null;
+      }
+      evicted = others.splice(oldestRead, 1)[0];
+    }
+    if (this.kv) {
+      try {
+        await this.kv.update(articleKey(entry.url), () => article);
+        if (evicted) {
+          await this.kv.remove(articleKey(evicted.url));
+        }
+      } catch (e) {
+        console.warn('ReadingList: could not save the article', e);
+        return null;
+      }
+    } else {
+      this._articles.set(entry.url, article);
+      if (evicted) {
+        this._articles.delete(evicted.url);
+      }
+    }
+    // Rebuilt from the list as it is now: progress may have been recorded
+    // while the article was being written.
+    const gone = new Set([entry.url, evicted && evicted.url]);
+    this._entries = [entry, ...this._entries.filter((e) => !gone.has(e.url))];
+    this._persist();
+    return { ...entry };
+  }
+
+  /**
+   * The saved article for `url`, or null when it is not on the list (or its
+   * stored copy is unreadable).
+   * @returns {Promise<object|null>} readerDocumentFromJson's shape
+   */
+  async article(url) {
+    if (!this.has(url)) {
+      return null;
+    }
+    if (!this.kv) {
+      return this._articles.get(url) || null;
+    }
+    try {
+      return savedArticleFromJson(await this.kv.get(articleKey(url)));
+    } catch (e) {
+      console.warn('ReadingList: could not read the article', e);
+      return null;
+    }
+  }
+
+  /**
+   * Record where the user is in a saved article. Reaching the end marks it
+   * read; scrolling back up afterwards does not mark it unread again.
+   *
+   * @param {string} url
+   * @param {{scroll?: number, progress?: number}} position
+   * @returns {object|null} the updated entry, or null when `url` is not saved
+   */
+  setProgress(url, { scroll = 0, progress = 0 } = {}) {
+    const entry = this._entries.find((e) => e.url === url);
+    if (!entry) {
+      return null;
+    }
+    const next = readingEntryFromJson({ ...entry, scroll, progress });
+    next.read = entry.read || next.progress >= 1;
+    if (next.scroll !== entry.scroll || next.progress !== entry.progress || next.read !== entry.read) {
+      Object.assign(entry, next);
+      this._persist();
+    }
+    return { ...entry };
+  }
+
+  /**
+   * Mark an article read or unread by hand.
+   * @returns {boolean} false when `url` is not saved
+   */
+  setRead(url, read) {
+    const entry = this._entries.find((e) => e.url === url);
+    if (!entry) {
+      return false;
+    }
+    if (entry.read !== !!read) {
+      entry.read = !!read;
+      this._persist();
+    }
+    return true;
+  }
+
+  /**
+   * Remove an article and its saved text.
+   * @returns {Promise<boolean>} false when `url` was not saved
+   */
+  async remove(url) {
+    if (!this.has(url)) {
+      return false;
+    }
+    this._entries = this._entries.filter((e) => e.url !== url);
+    this._articles.delete(url);
+    this._persist();
+    if (this.kv) {
+      try {
+        await this.kv.remove(articleKey(url));
+      } catch (e) {
+        console.warn('ReadingList: could not delete the article', e);
+      }
+    }
+    return true;
+  }
+
+  /** Write the index through and tell the listener. */
+  _persist() {
+    if (this.kv && this._loaded) {
+      const entries = this.getEntries();
+      this.kv.update('index', () => entries)
+        .catch((e) => console.warn('ReadingList: could not save the reading list', e));
+    }
+    this._changed();
+  }
+
+  _changed() {
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+}
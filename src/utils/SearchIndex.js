@@ -0,0 +1,408 @@
+/**
+ * Full-text search over the reader text of pages the user has opened.
+ *
+ * BookmarkStore.search matches URLs and titles only, so "that article about
+ * the bridge closure" is findable only if the headline said so. This keeps an
+ * inverted index — term → the pages containing it, with counts — over what
+ * the reader showed (WebPanel's onReaderText) and over pages saved for later,
+ * and ranks matches by tf-idf.
+ *
+ * Tokenising has to work without word boundaries: Japanese has none, so a
+ * run of kana/kanji is indexed as overlapping character bigrams (東京都 →
+ * 東京, 京都), the usual dictionary-free approach. A query is tokenised the
+ * same way and every one of its terms must match, which makes a multi-
+ * character CJK query behave close to a phrase search. Latin text is split
+ * into words, case- and accent-folded (Café → cafe).
+ *
+ * The index covers history and the reading list and nothing else: VRApp
+ * calls `retain()` with their URLs whenever either shrinks (clearHistory,
+ * a sync that removed entries, an article deleted), so cleared history is
+ * not still searchable. It holds at most MAX_INDEXED_PAGES pages — history's
+ * own cap — dropping the least recently indexed first.
+ *
+ * Storage is IndexedDB (idbKeyValue.js), one key per page so indexing a page
+ * does not rewrite the rest:
+ *
+ *   database SEARCH_INDEX_DB, object store 'kv', keys
+ *     'pages'        [{url, title, indexedAt}], most recently indexed first
+ *     'page:<url>'   {url, title, indexedAt, terms: [[term, count], ...]}
+ *
+ * The postings are rebuilt in memory by `load()`; without IndexedDB the
+ * index lasts the session.
+ */
+
+import { idbKeyValue } from './idbKeyValue.js';
+import { MAX_HISTORY } from './BookmarkStore.js';
+
+export const SEARCH_INDEX_DB = 'qui-browser-search';
+/** Pages kept — as many as history holds. */
+export const MAX_INDEXED_PAGES = MAX_HISTORY;
+/**
+ * Distinct terms kept per page, most frequent first. A long article has a
+ * couple of thousand; the cap bounds the index at ~300k postings.
+ */
+export const MAX_TERMS_PER_PAGE = 1500;
+/** Text read per page; what follows is rarely what anyone searches for. */
+const MAX_TEXT_CHARS = 60000;
+const MAX_TERM_CHARS = 32;
+/** A title word counts as this many occurrences in the body. */
+const TITLE_WEIGHT = 3;
+/** Vocabulary terms a prefix (or single CJK character) may expand to. */
+const MAX_EXPANSIONS = 50;
+
+const isWebUrl = (u) => typeof u === 'string' && /^https?:\/\/[^\s]+$/i.test(u);
+const pageKey = (url) => `page:${url}`;
+
+// A run of CJK characters (bigrammed), or a run of other letters and digits
+// (one word). ー and 々 belong to the CJK run they appear in.
+const CJK = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}ー々〆';
+const TOKEN_RE = new RegExp(`([${CJK}]+)|((?:(?![${CJK}])[\\p{L}\\p{N}\\p{M}])+)`, 'gu');
+const CJK_START_RE = new RegExp(`^[${CJK}]`, 'u');
+
+/**
+ * Split text into index terms, in order, repeats included.
+ *
+ * NFKC first, so full-width Latin (ＶＲ) and half-width katakana (ｶﾅ) index
+ * as their usual forms. One-letter Latin words are dropped — they match
+ * nearly everything — but a lone CJK character is kept as its own term.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const s = String(text ?? '').normalize('NFKC').toLowerCase();
+  const terms = [];
+  for (const [, cjk, word] of s.matchAll(TOKEN_RE)) {
+    if (cjk) {
+      const chars = Array.from(cjk);
+      if (chars.length === 1) {
+        terms.push(chars[0]);
+      }
+      for (let i = 0; i + 1 < chars.length; i++) {
+        terms.push(chars[i] + chars[i + 1]);
+      }
+    } else {
+      const folded = word.normalize('NFD').replace(/\p{M}/gu, '');
+      if (folded.length > 1 || /\d/.test(folded)) {
+        terms.push(folded.slice(0, MAX_TERM_CHARS));
+      }
+    }
+  }
+  return terms;
+}
+
+/**
+ * Term counts for a reader document: its title (weighted) and the text of
+ * every block, capped at MAX_TERMS_PER_PAGE distinct terms.
+ *
+ * @param {{title?: string, blocks?: Array<{type: string, text: string}>}} doc
+ * @returns {Array<[string, number]>} most frequent first
+ */
+export function pageTerms(doc) {
+  const counts = new Map();
+  const add = (text, weight) => {
+    for (const term of tokenize(text)) {
+      counts.set(term, (counts.get(term) || 0) + weight);
+    }
+  };
+  add(doc && doc.title, TITLE_WEIGHT);
+  let budget = MAX_TEXT_CHARS;
+  for (const b of (doc && Array.isArray(doc.blocks) ? doc.blocks : [])) {
+    if (budget <= 0) {
+      break;
+    }
+    // Page rules ("Page 2") are the stitcher's, not the author's.
+    if (b && b.type !== 'page' && typeof b.text === 'string') {
+      add(b.text.slice(0, budget), 1);
+      budget -= b.text.length;
+    }
+  }
+  return [...counts].sort((a, b) => b[1] - a[1]).slice(0, MAX_TERMS_PER_PAGE);
+}
+
+/**
+ * A stored page read back, or null when `o` is not one.
+ * @param {*} o
+ * @returns {{url: string, title: string, indexedAt: number,
+ *   terms: Array<[string, number]>}|null}
+ */
+export function indexedPageFromJson(o) {
+  if (!o || typeof o !== 'object' || !isWebUrl(o.url) || !Array.isArray(o.terms)) {
+    return null;
+  }
+  const terms = o.terms
+    .filter((t) => Array.isArray(t) && typeof t[0] === 'string' && t[0] && Number.isSafeInteger(t[1]) && t[1] > 0)
+    .slice(0, MAX_TERMS_PER_PAGE)
+    .map(([term, count]) => [term.slice(0, MAX_TERM_CHARS), count]);
+  return {
+    url: o.url,
+    title: typeof o.title === 'string' ? o.title : '',
+    indexedAt: Number.isSafeInteger(o.indexedAt) && o.indexedAt > 0 ? o.indexedAt : 0,
+    terms
+  };
+}
+
+export class SearchIndex {
+  /**
+   * @param {object} [opts]
+   * @param {object|null} [opts.kv]  key-value store (idbKeyValue.js's
+   *   interface); defaults to IndexedDB where there is one, null = memory only
+   */
+  constructor({ kv } = {}) {
+    this.kv = kv !== undefined
+      ? kv
+      : (typeof indexedDB !== 'undefined' ? idbKeyValue(SEARCH_INDEX_DB) : null);
+    // url → {url, title, indexedAt, terms}, most recently indexed first.
+    this._pages = new Map();
+    // term → Map(url → count)
+    this._postings = new Map();
+    // As in ReadingList: the stored page list is not written until it has
+    // been read, or a page indexed early in a session would replace it.
+    this._loaded = !this.kv;
+  }
+
+  /** Pages in the index. */
+  get size() {
+    return this._pages.size;
+  }
+
+  has(url) {
+    return this._pages.has(url);
+  }
+
+  /**
+   * Read the stored index. Pages indexed before it resolves are kept.
+   * @returns {Promise<number>} how many pages the index holds
+   */
+  async load() {
+    if (!this.kv) {
+      return this.size;
+    }
+    let list;
+    try {
+      list = await this.kv.get('pages');
+    } catch (e) {
+      console.warn('SearchIndex: could not read the search index', e);
+      this._loaded = true;
+      return this.size;
+    }
+    const dropped = [];
+    for (const item of (Array.isArray(list) ? list : [])) {
+      if (!item || !isWebUrl(item.url) || this._pages.has(item.url)) {
+        continue;
+      }
+      if (this._pages.size >= MAX_INDEXED_PAGES) {
+        dropped.push(item.url);
+        continue;
+      }
+      let page;
+      try {
+        page = indexedPageFromJson(await this.kv.get(pageKey(item.url)));
+      } catch {
+        page = null;
+      }
+      // Re-indexed meanwhile (the await above yields), or unreadable: skip.
+      if (page && !this._pages.has(page.url)) {
+        this._insert(page, false);
+      }
+    }
+    this._loaded = true;
+    this._removeStored(dropped);
+    // Written back once read: it picks up pages indexed while loading.
+    this._persistList();
+    return this.size;
+  }
+
+  /**
+   * Index (or re-index) a page from its reader document.
+   *
+   * @param {string} url  the URL history records it under
+   * @param {{title?: string, blocks?: Array<object>}} doc  reader document,
+   *   e.g. WebPanel.readerSnapshot()
+   * @returns {boolean} false when `url` is not a web URL or `doc` has no text
+   */
+  add(url, doc) {
+    const terms = isWebUrl(url) ? pageTerms(doc) : [];
+    if (!terms.length) {
+      return false;
+    }
+    this._delete(url);
+    const page = { url, title: (doc && typeof doc.title === 'string') ? doc.title : '', indexedAt: Date.now(), terms };
+    this._insert(page, true);
+    const evicted = [];
+    for (const oldest of [...this._pages.keys()].slice(MAX_INDEXED_PAGES)) {
+      this._delete(oldest);
+      evicted.push(oldest);
+    }
+    if (this.kv) {
+      this.kv.update(pageKey(url), () => page)
+        .catch((e) => console.warn('SearchIndex: could not save the page', e));
+      this._removeStored(evicted);
+    }
+    this._persistList();
+    return true;
+  }
+
+  /** Drop a page. @returns {boolean} false when it was not indexed */
+  remove(url) {
+    if (!this._delete(url)) {
+      return false;
+    }
+    this._removeStored([url]);
+    this._persistList();
+    return true;
+  }
+
+  /**
+   * Drop every page whose URL is not in `urls` — called with history's and
+   * the reading list's URLs after either loses entries.
+   * @param {Iterable<string>} urls
+   * @returns {number} pages dropped
+   */
+  retain(urls) {
+    const keep = new Set(urls);
+    const gone = [...this._pages.keys()].filter((url) => !keep.has(url));
+    for (const url of gone) {
+      this._delete(url);
+    }
+    if (gone.length) {
+      this._removeStored(gone);
+      this._persistList();
+    }
+    return gone.length;
+  }
+
+  /** Drop everything. */
+  clear() {
+    this.retain([]);
+  }
+
+  /**
+   * Pages containing every term of `query`, best match first.
+   *
+   * The query's last word also matches as a prefix ("brid" finds "bridge"),
+   * since the URL bar asks on every keystroke; so does a lone CJK character,
+   * which matches the bigrams it begins or ends.
+   *
+   * @param {string} query
+   * @param {number} [limit=5]
+   * @returns {Array<{url: string, title: string, score: number}>}
+   */
+  search(query, limit = 5) {
+    const terms = [...new Set(tokenize(query))];
+    if (!terms.length || !this._pages.size) {
+      return [];
+    }
+    const typing = !/\s$/.test(String(query));
+    const n = this._pages.size;
+    let scores = null;
+    terms.forEach((term, i) => {
+      const prefix = typing && i === terms.length - 1 && !isCjkTerm(term);
+      const matches = this._expand(term, prefix || isSingleCjk(term));
+      const best = new Map();
+      for (const t of matches) {
+        const postings = this._postings.get(t);
+        const idf = Math.log(1 + n / postings.size);
+        for (const [url, count] of postings) {
+          const s = (1 + Math.log(count)) * idf;
+          if (!best.has(url) || s > best.get(url)) {
+            best.set(url, s);
+          }
+        }
+      }
+      if (!scores) {
+        scores = best;
+        return;
+      }
+      const next = new Map();
+      for (const [url, s] of scores) {
+        if (best.has(url)) {
+          next.set(url, s + best.get(url));
+        }
+      }
+      scores = next;
+    });
+    return [...scores]
+      .sort(([a, sa], [b, sb]) => sb - sa || this._pages.get(b).indexedAt - this._pages.get(a).indexedAt)
+      .slice(0, Math.max(0, limit))
+      .map(([url, score]) => ({ url, title: this._pages.get(url).title || url, score }));
+  }
+
+  /** The indexed terms `term` stands for in a query. */
+  _expand(term, loose) {
+    if (!loose) {
+      return this._postings.has(term) ? [term] : [];
+    }
+    const out = [];
+    const single = isSingleCjk(term);
+    for (const t of this._postings.keys()) {
+      if (single ? t.includes(term) : t.startsWith(term)) {
+        out.push(t);
+        if (out.length >= MAX_EXPANSIONS) {
+          break;
+        }
+      }
+    }
+    return out;
+  }
+
+  _insert(page, newest) {
+    if (newest) {
+      this._pages = new Map([[page.url, page], ...this._pages]);
+    } else {
+      this._pages.set(page.url, page);
+    }
+    for (const [term, count] of page.terms) {
+      let postings = this._postings.get(term);
+      if (!postings) {
+        postings = new Map();
+        this._postings.set(term, postings);
+      }
+      postings.set(page.url, count);
+    }
+  }
+
+  _delete(url) {
+    const page = this._pages.get(url);
+    if (!page) {
+      return false;
+    }
+    this._pages.delete(url);
+    for (const [term] of page.terms) {
+      const postings = this._postings.get(term);
+      if (postings) {
+        postings.delete(url);
+        if (!postings.size) {
+          this._postings.delete(term);
+        }
+      }
+    }
+    return true;
+  }
+
+  _removeStored(urls) {
+    if (!this.kv) {
+      return;
+    }
+    for (const url of urls) {
+      this.kv.remove(pageKey(url))
+        .catch((e) => console.warn('SearchIndex: could not delete the page', e));
+    }
+  }
+
+  _persistList() {
+    if (this.kv && this._loaded) {
+      const list = [...this._pages.values()].map(({ url, title, indexedAt }) => ({ url, title, indexedAt }));
+      this.kv.update('pages', () => list)
+        .catch((e) => console.warn('SearchIndex: could not save the search index', e));
+    }
+  }
+}
+
+function isCjkTerm(term) {
+  return CJK_START_RE.test(term);
+}
+
+function isSingleCjk(term) {
+  return isCjkTerm(term) && Array.from(term).length === 1;
+}
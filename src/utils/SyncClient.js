@@ -0,0 +1,233 @@
+/**
+ * Page side of bookmark/history sync.
+ *
+ * BookmarkStore records each change as an op (syncOps.js) through
+ * `record()`; this class stamps it with the device's id and clock, appends it
+ * to an outbox, and asks the service worker to sync. The worker does the
+ * network exchange with proxy/syncServer.js from its `sync` event — so a
+ * change made offline goes out when the headset is next online, even if the
+ * browser tab has closed by then — and leaves what it pulled in an inbox,
+ * which `pull()` applies to the store.
+ *
+ * Outbox and inbox live in IndexedDB, not localStorage: a service worker has
+ * no localStorage. The layout is shared with public/service-worker.js, which
+ * cannot import this module:
+ *
+ *   database SYNC_DB, object store 'kv', keys
+ *     'config'  { serverUrl, token, device }
+ *     'outbox'  ops not yet accepted by the server, oldest first
+ *     'inbox'   { cursor, ops }  pulled ops not yet applied, and the server
+ *               position pulled up to (one key, so one transaction moves both)
+ *
+ * The device id and clock stay in localStorage because `record()` runs inside
+ * BookmarkStore's synchronous writes.
+ */
+
+import { compactOps } from './syncOps.js';
+import { idbKeyValue } from './idbKeyValue.js';
+
+export const SYNC_DB = 'qui-browser-sync';
+/** Background Sync tag the worker listens for. */
+export const SYNC_TAG = 'sync-bookmarks';
+const DEVICE_KEY = 'quiBrowser_syncDevice';
+/** How often an open app asks for a sync, to pick up other headsets' changes. */
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+
+function readDevice() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(DEVICE_KEY) || 'null');
+    if (raw && typeof raw.id === 'string' && Number.isSafeInteger(raw.counter) && Number.isSafeInteger(raw.lastTs)) {
+      return raw;
+    }
+  } catch { /* unreadable — start a new device */ }
+  return { id: `d${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`, counter: 0, lastTs: 0 };
+}
+
+function writeDevice(device) {
+  try {
+    localStorage.setItem(DEVICE_KEY, JSON.stringify(device));
+  } catch { /* storage full — the clock still advances in memory */ }
+}
+
+export class SyncClient {
+  /**
+   * @param {object} opts
+   * @param {string} opts.serverUrl  base URL of proxy/syncServer.js
+   * @param {string} opts.token      the server's SYNC_TOKEN
+   * @param {object} [opts.kv]       key-value store (idbKeyValue.js's interface)
+   * @param {object|null} [opts.serviceWorker]  navigator.serviceWorker
+   * @param {number} [opts.intervalMs=SYNC_INTERVAL_MS]
+   * @param {(result: object) => void} [opts.onApplied]  after pulled ops
+   *   change the store, with applyRemoteOps' counts
+   */
+  constructor({ serverUrl, token, kv = null, serviceWorker = null, intervalMs = SYNC_INTERVAL_MS, onApplied } = {}) {
+    this.serverUrl = String(serverUrl || '').replace(/\/+$/, '');
+    this.token = String(token || '');
+    this.kv = kv || idbKeyValue(SYNC_DB);
+    this.serviceWorker = serviceWorker
+      || (typeof navigator !== 'undefined' && navigator.serviceWorker) || null;
+    this.intervalMs = intervalMs;
+    this.onApplied = onApplied || null;
+    this.store = null;
+    this._device = readDevice();
+    writeDevice(this._device);
+    this._pending = [];
+    this._flushing = null;
+    this._timer = null;
+    this._onMessage = (event) => {
+      if (event.data && event.data.type === 'SYNC_APPLIED') {
+        this.pull();
+      }
+    };
+  }
+
+  /** This headset's id, as stamped on its ops. */
+  get deviceId() {
+    return this._device.id;
+  }
+
+  /**
+   * Stamp an op with this device's id and clock and queue it for the outbox.
+   * Synchronous, for BookmarkStore's writes; the outbox write follows on a
+   * microtask, batching every op one user action records.
+   *
+   * @param {object} op  type and fields, as listed in syncOps.js
+   * @returns {object} the stamped op
+   */
+  record(op) {
+    const d = this._device;
+    d.counter++;
+    d.lastTs = Math.max(Date.now(), d.lastTs + 1);
+    writeDevice(d);
+    const stamped = { ...op, id: `${d.id}:${d.counter}`, device: d.id, ts: d.lastTs };
+    this._pending.push(stamped);
+    if (!this._flushing) {
+      this._flushing = Promise.resolve().then(() => this.flush());
+    }
+    return stamped;
+  }
+
+  /** Advance the clock past an op seen from another headset. */
+  observe(ts) {
+    if (Number.isSafeInteger(ts) && ts > this._device.lastTs) {
+      this._device.lastTs = ts;
+      writeDevice(this._device);
+    }
+  }
+
+  /** Move queued ops into the outbox and request a sync. */
+  async flush() {
+    const batch = this._pending;
+    this._pending = [];
+    this._flushing = null;
+    if (!batch.length) {
+      return;
+    }
+    try {
+      await this.kv.update('outbox', (list) => compactOps([...(Array.isArray(list) ? list : []), ...batch]));
+    } catch (e) {
+      console.warn('SyncClient: could not queue changes', e);
+      this._pending.unshift(...batch);
+      return;
+    }
+    await this.requestSync();
+  }
+
+  /**
+   * Ask the worker to sync: a Background Sync registration where supported
+   * (it fires once the headset is online), otherwise a direct message.
+   * @returns {Promise<boolean>} false when there is no worker to ask
+   */
+  async requestSync() {
+    if (!this.serviceWorker) {
+      return false;
+    }
+    try {
+      const reg = await this.serviceWorker.ready;
+      if (reg.sync) {
+        try {
+          await reg.sync.register(SYNC_TAG);
+          return true;
+        } catch { /* not permitted here — fall through to a message */ }
+      }
+      if (reg.active) {
+        reg.active.postMessage({ type: 'SYNC_NOW' });
+        return true;
+      }
+    } catch (e) {
+      console.warn('SyncClient: service worker unavailable', e);
+    }
+    return false;
+  }
+
+  /**
+   * Apply whatever the worker has pulled to the store.
+   * @returns {Promise<object|null>} applyRemoteOps' counts, or null when
+   *   there was nothing to apply
+   */
+  async pull() {
+    if (!this.store) {
+      return null;
+    }
+    let inbox;
+    try {
+      inbox = await this.kv.update('inbox', (v) => ({ cursor: (v && v.cursor) || 0, ops: [] }));
+    } catch (e) {
+      console.warn('SyncClient: could not read pulled changes', e);
+      return null;
+    }
+    const ops = inbox && Array.isArray(inbox.ops) ? inbox.ops : [];
+    if (!ops.length) {
+      return null;
+    }
+    const result = this.store.applyRemoteOps(ops);
+    for (const op of ops) {
+      this.observe(op && op.ts);
+    }
+    if (this.onApplied && (result.bookmarks || result.history)) {
+      this.onApplied(result);
+    }
+    return result;
+  }
+
+  /**
+   * Start syncing `store`: save the server settings where the worker can read
+   * them, attach to the store, apply anything already pulled, and sync now
+   * and every `intervalMs` while the app is open.
+   *
+   * @param {import('./BookmarkStore.js').BookmarkStore} store
+   */
+  async start(store) {
+    this.store = store;
+    store.attachSync(this);
+    if (this.serviceWorker && this.serviceWorker.addEventListener) {
+      this.serviceWorker.addEventListener('message', this._onMessage);
+    }
+    try {
+      await this.kv.update('config', () => ({ serverUrl: this.serverUrl, token: this.token, device: this.deviceId }));
+    } catch (e) {
+      console.warn('SyncClient: could not save sync settings', e);
+      return;
+    }
+    await this.pull();
+    await this.requestSync();
+    if (this.intervalMs > 0) {
+      this._timer = setInterval(() => this.requestSync(), this.intervalMs);
+    }
+  }
+
+  /** Stop syncing. Queued ops stay in the outbox for next time. */
+  dispose() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+    if (this.serviceWorker && this.serviceWorker.removeEventListener) {
+      this.serviceWorker.removeEventListener('message', this._onMessage);
+    }
+    if (this.store) {
+      this.store.attachSync(null);
+      this.store = null;
+    }
+  }
+}
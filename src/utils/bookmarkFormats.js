@@ -0,0 +1,263 @@
+/**
+ * Bookmark import/export formats: the Netscape Bookmark File and this app's
+ * own versioned JSON backup.
+ *
+ * The Netscape format is the lingua franca — Chrome, Firefox, Safari and Edge
+ * all export it and all import it — so it is how bookmarks get into and out of
+ * the headset. It carries folders, titles, add dates and (Firefox) tags, but no
+ * history. The JSON backup carries everything BookmarkStore persists, history
+ * included, with the visit counts and timestamps frecency is computed from, so
+ * Top Sites and URL-bar ranking survive a restore.
+ *
+ * Both parse into the same neutral tree, which BookmarkStore merges:
+ *
+ *   { items: [
+ *       { type: 'folder', name, addedAt, items: [...] },
+ *       { type: 'bookmark', url, title, addedAt, tags }
+ *   ] }
+ *
+ * Pure string-in / string-out so the parsers run under Node Jest; the file
+ * picker and download live in VRApp. Imported files are untrusted input:
+ * only http(s) bookmarks are kept (a `javascript:` bookmarklet or Firefox
+ * `place:` query is counted in `skipped`, never stored).
+ */
+
+import { decodeEntities } from '../vr/browser/readableText.js';
+
+/** `format` field of a JSON backup. */
+export const BACKUP_FORMAT = 'qui-browser-backup';
+/** Bumped on incompatible changes; newer backups are refused, not misread. */
+export const BACKUP_VERSION = 1;
+
+/** Deepest folder nesting accepted from a file — deeper levels are flattened. */
+const MAX_DEPTH = 32;
+/** Bookmarks accepted from one file (a guard against a runaway document). */
+const MAX_IMPORT_BOOKMARKS = 10000;
+
+const isWebUrl = (u) => typeof u === 'string' && /^https?:\/\/[^\s]+$/i.test(u);
+
+/** Tag attribute value, e.g. `HREF="…"`, entity-decoded; '' when absent. */
+function attr(attrs, name) {
+  const m = attrs.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return m ? decodeEntities(m[1] ?? m[2] ?? m[3]).trim() : '';
+}
+
+/** Element text: tags removed, entities decoded, whitespace collapsed. */
+function text(html) {
+  return decodeEntities(String(html).replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/** Netscape dates are Unix *seconds*; some exporters write milliseconds. */
+function dateMs(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) {
+    return 0;
+  }
+  return n < 1e11 ? Math.round(n * 1000) : Math.round(n);
+}
+
+/**
+ * Parse a Netscape Bookmark File.
+ *
+ * The format is loose HTML: `<DT><H3>` names a folder whose contents are the
+ * `<DL>` that follows; `<DT><A HREF>` is a bookmark; `<DT>`/`<p>` are usually
+ * unclosed. It is read as a token stream (H3, A, DL, /DL) rather than as a
+ * DOM, which tolerates every exporter's variant of the unclosed tags.
+ *
+ * @param {string} html
+ * @returns {{items: Array<object>, skipped: number} | null} null when the
+ *   text is not a bookmark file at all
+ */
+export function parseNetscapeBookmarks(html) {
+  const src = String(html ?? '');
+  if (!/<dl\b/i.test(src) && !/NETSCAPE-Bookmark-file/i.test(src)) {
+    return null;
+  }
+  const root = { items: [] };
+  const stack = [root];
+  let pending = null;     // the folder whose <DL> comes next
+  let count = 0;
+  let skipped = 0;
+  const token = /<(h3|a)\b([^>]*)>([\s\S]*?)<\/\1\s*>|<(\/?)dl\b[^>]*>/gi;
+  for (let m = token.exec(src); m; m = token.exec(src)) {
+    const top = stack[stack.length - 1];
+    if (m[4] !== undefined) {
+      if (m[4] === '/') {
+        if (stack.length > 1) {
+          stack.pop();
+        }
+      } else {
+        // A <DL> without a heading (the file's outer list) stays at this level.
+        stack.push(pending && stack.length <= MAX_DEPTH ? pending : top);
+      }
+      pending = null;
+      continue;
+    }
+    if (m[1].toLowerCase() === 'h3') {
+      pending = { type: 'folder', name: text(m[3]), addedAt: dateMs(attr(m[2], 'ADD_DATE')), items: [] };
+      top.items.push(pending);
+      continue;
+    }
+    const url = attr(m[2], 'HREF');
+    if (!isWebUrl(url) || count >= MAX_IMPORT_BOOKMARKS) {
+      skipped++;
+      continue;
+    }
+    count++;
+    top.items.push({
+      type: 'bookmark',
+      url,
+      title: text(m[3]) || url,
+      addedAt: dateMs(attr(m[2], 'ADD_DATE')),
+      tags: attr(m[2], 'TAGS').split(',').map((tag) => tag.trim()).filter(Boolean)
+    });
+  }
+  return { items: root.items, skipped };
+}
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Serialise a tree (the shape parseNetscapeBookmarks returns) as a Netscape
+ * Bookmark File, byte-compatible with what the desktop browsers write —
+ * including the quirks their importers expect (the DOCTYPE line, `<p>` after
+ * every `<DL>`, dates in seconds).
+ *
+ * @param {{items: Array<object>}} tree
+ * @param {string} [title='Bookmarks']
+ * @returns {string}
+ */
+export function serializeNetscapeBookmarks(tree, title = 'Bookmarks') {
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    `<TITLE>${escapeHtml(title)}</TITLE>`,
+    `<H1>${escapeHtml(title)}</H1>`
+  ];
+  const secs = (ms) => (ms > 0 ? ` ADD_DATE="${Math.floor(ms / 1000)}"` : '');
+  const walk = (items, indent) => {
+    lines.push(`${indent}<DL><p>`);
+    for (const item of items) {
+      if (item.type === 'folder') {
+        lines.push(`${indent}    <DT><H3${secs(item.addedAt)}>${escapeHtml(item.name)}</H3>`);
+        walk(item.items, `${indent}    `);
+      } else {
+        const tags = item.tags && item.tags.length ? ` TAGS="${escapeHtml(item.tags.join(','))}"` : '';
+        lines.push(`${indent}    <DT><A HREF="${escapeHtml(item.url)}"${secs(item.addedAt)}${tags}>${escapeHtml(item.title || item.url)}</A>`);
+      }
+    }
+    lines.push(`${indent}</DL><p>`);
+  };
+  walk(tree.items, '');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Build a JSON backup document.
+ *
+ * @param {{items: Array<object>}} tree  bookmarks and folders
+ * @param {Array<{url: string, title: string, visitedAt: number, visits: number}>} history
+ * @param {number} [now=Date.now()]
+ * @returns {object} ready for JSON.stringify
+ */
+export function buildBackup(tree, history, now = Date.now()) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: now,
+    bookmarks: tree.items,
+    history: history.map(({ url, title, visitedAt, visits }) => ({ url, title, visitedAt, visits }))
+  };
+}
+
+/** Validate one level of a backup's bookmark tree, dropping what is malformed. */
+function treeFromJson(items, depth, state) {
+  const out = [];
+  for (const item of Array.isArray(items) ? items : []) {
+    if (!item || typeof item !== 'object') {
+      continue;
+    }
+    if (item.type === 'folder') {
+      const children = treeFromJson(item.items, depth + 1, state);
+      if (depth >= MAX_DEPTH) {
+        out.push(...children);
+      } else {
+        out.push({
+          type: 'folder',
+          name: typeof item.name === 'string' ? item.name : '',
+          addedAt: dateMs(item.addedAt),
+          items: children
+        });
+      }
+    } else if (isWebUrl(item.url) && state.count < MAX_IMPORT_BOOKMARKS) {
+      state.count++;
+      out.push({
+        type: 'bookmark',
+        url: item.url,
+        title: typeof item.title === 'string' && item.title ? item.title : item.url,
+        addedAt: dateMs(item.addedAt),
+        tags: Array.isArray(item.tags) ? item.tags.filter((tag) => typeof tag === 'string') : []
+      });
+    } else {
+      state.skipped++;
+    }
+  }
+  return out;
+}
+
+/**
+ * Parse a JSON backup (text or already-parsed).
+ *
+ * @param {string|object} json
+ * @returns {{items: Array<object>, history: Array<object>, skipped: number} | null}
+ *   null when it is not a backup, or is from a newer version of the app
+ */
+export function parseBackup(json) {
+  let doc = json;
+  if (typeof json === 'string') {
+    try {
+      doc = JSON.parse(json);
+    } catch {
+      return null;
+    }
+  }
+  if (!doc || typeof doc !== 'object' || doc.format !== BACKUP_FORMAT
+      || !Number.isInteger(doc.version) || doc.version > BACKUP_VERSION) {
+    return null;
+  }
+  const state = { count: 0, skipped: 0 };
+  const items = treeFromJson(doc.bookmarks, 0, state);
+  const history = [];
+  for (const e of Array.isArray(doc.history) ? doc.history : []) {
+    if (!e || !isWebUrl(e.url)) {
+      state.skipped++;
+      continue;
+    }
+    history.push({
+      url: e.url,
+      title: typeof e.title === 'string' && e.title ? e.title : e.url,
+      visitedAt: Number.isFinite(e.visitedAt) && e.visitedAt > 0 ? e.visitedAt : 0,
+      visits: Number.isInteger(e.visits) && e.visits > 0 ? e.visits : 1
+    });
+  }
+  return { items, history, skipped: state.skipped };
+}
+
+/**
+ * Which format a file is in, from its contents (file names and MIME types
+ * from a headset's file picker are unreliable).
+ * @param {string} textContent
+ * @returns {'backup'|'netscape'|null}
+ */
+export function detectBookmarkFormat(textContent) {
+  const head = String(textContent ?? '').trimStart();
+  if (head.startsWith('{')) {
+    return parseBackup(head) ? 'backup' : null;
+  }
+  return /NETSCAPE-Bookmark-file|<dl\b/i.test(head) ? 'netscape' : null;
+}
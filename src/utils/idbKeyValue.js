@@ -0,0 +1,54 @@
+/**
+ * A minimal async key-value store over one IndexedDB object store, 'kv'.
+ *
+ * Shared by the stores that keep more than localStorage can hold or than a
+ * service worker can reach (SyncClient's outbox, ReadingList's articles,
+ * SearchIndex's pages).
+ * `update` reads and writes in one readwrite transaction, so two writers —
+ * the page appending to the sync outbox and the worker trimming it — can
+ * never lose each other's writes.
+ *
+ * @param {string} name  database name
+ * @returns {{get: (key: string) => Promise<*>,
+ *   update: (key: string, fn: (value: *) => *) => Promise<*>,
+ *   remove: (key: string) => Promise<void>}}
+ *   `update` resolves with the value it replaced
+ */
+export function idbKeyValue(name) {
+  let opened = null;
+  const open = () => opened || (opened = new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore('kv');
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }));
+  const run = async (mode, body) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('kv', mode);
+      let result;
+      body(tx.objectStore('kv'), (value) => {
+        result = value;
+      });
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  };
+  return {
+    get: (key) => run('readonly', (store, done) => {
+      const req = store.get(key);
+      req.onsuccess = () => done(req.result);
+    }),
+    update: (key, fn) => run('readwrite', (store, done) => {
+      const req = store.get(key);
+      req.onsuccess = () => {
+        done(req.result);
+        store.put(fn(req.result), key);
+      };
+    }),
+    remove: (key) => run('readwrite', (store) => {
+      store.delete(key);
+    })
+  };
+}
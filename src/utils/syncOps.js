@@ -0,0 +1,129 @@
+/**
+ * Bookmark/history sync operations: their shape, validation and ordering.
+ *
+ * Every change BookmarkStore makes while sync is on is recorded as one op and
+ * appended to a log; headsets exchange ops through the companion server
+ * (proxy/syncServer.js), never whole snapshots. Applying the same set of ops
+ * in any order must give every headset the same bookmarks, so the merge rules
+ * are fixed here and shared by both ends:
+ *
+ *   - bookmarks are last-writer-wins per URL: the op with the greatest clock
+ *     (compareClock) decides the bookmark's title, tags and folder, or that it
+ *     is removed
+ *   - history visits are summed: two headsets visiting a page three times each
+ *     leave it at six visits on both, with the later visit time
+ *   - a history removal or clear drops visits made up to its time; visits that
+ *     arrive later but were made earlier are ignored, and a visit made after
+ *     a removal survives it
+ *
+ * Ops, by `type`:
+ *
+ *   bookmark.put     url, title, tags, folder (path of folder names), addedAt
+ *   bookmark.remove  url
+ *   history.visit    url, title, visits (how many visits this op records)
+ *   history.remove   url
+ *   history.clear
+ *
+ * plus `id` (unique per op: device and counter), `device` and `ts`. `ts` is
+ * a hybrid clock — wall time, but always past every op the device has seen —
+ * so an edit made after a sync wins over what it saw even when the headsets'
+ * clocks disagree.
+ *
+ * Folders travel as the path of names from the top level: folder ids are
+ * local, and two headsets that each create "Recipes" should meet in one
+ * folder. Manual order is local and not synced.
+ *
+ * Ops arrive from the network, so syncOpFromJson validates field by field
+ * (the readerDocumentFromJson discipline) and the server runs the same check
+ * before storing anything.
+ */
+
+export const SYNC_OP_TYPES = ['bookmark.put', 'bookmark.remove', 'history.visit', 'history.remove', 'history.clear'];
+/** Ops accepted in one push, and returned in one pull. */
+export const MAX_OPS_PER_REQUEST = 500;
+
+const MAX_ID_CHARS = 80;
+const MAX_TITLE_CHARS = 500;
+const MAX_URL_CHARS = 4096;
+const MAX_FOLDER_DEPTH = 32;
+const MAX_NAME_CHARS = 80;
+const MAX_TAGS = 20;
+const MAX_TAG_CHARS = 40;
+
+const isWebUrl = (u) => typeof u === 'string' && u.length <= MAX_URL_CHARS && /^https?:\/\/[^\s]+$/i.test(u);
+const isId = (s) => typeof s === 'string' && s.length > 0 && s.length <= MAX_ID_CHARS;
+const clip = (s, n) => (typeof s === 'string' ? Array.from(s).slice(0, n).join('') : '');
+
+/**
+ * A validated op, or null when `o` is not one.
+ *
+ * @param {*} o
+ * @returns {object|null}
+ */
+export function syncOpFromJson(o) {
+  if (!o || typeof o !== 'object' || !SYNC_OP_TYPES.includes(o.type)
+      || !isId(o.id) || !isId(o.device) || !Number.isSafeInteger(o.ts) || o.ts <= 0) {
+    return null;
+  }
+  const op = { id: o.id, device: o.device, ts: o.ts, type: o.type };
+  if (o.type === 'history.clear') {
+    return op;
+  }
+  if (!isWebUrl(o.url)) {
+    return null;
+  }
+  op.url = o.url;
+  if (o.type === 'bookmark.put') {
+    op.title = clip(o.title, MAX_TITLE_CHARS) || o.url;
+    op.tags = (Array.isArray(o.tags) ? o.tags : [])
+      .filter((t) => typeof t === 'string' && t).map((t) => clip(t, MAX_TAG_CHARS)).slice(0, MAX_TAGS);
+    op.folder = (Array.isArray(o.folder) ? o.folder : [])
+      .filter((n) => typeof n === 'string' && n.trim()).map((n) => clip(n, MAX_NAME_CHARS)).slice(0, MAX_FOLDER_DEPTH);
+    op.addedAt = Number.isSafeInteger(o.addedAt) && o.addedAt > 0 ? o.addedAt : o.ts;
+  } else if (o.type === 'history.visit') {
+    op.title = clip(o.title, MAX_TITLE_CHARS) || o.url;
+    op.visits = Number.isSafeInteger(o.visits) && o.visits > 0 ? o.visits : 1;
+  }
+  return op;
+}
+
+/**
+ * Total order on op clocks: time, then device, then op id. Ties on time are
+ * broken the same way on every headset, so last-writer-wins never depends on
+ * arrival order.
+ *
+ * @param {{ts: number, device: string, id: string}} a
+ * @param {{ts: number, device: string, id: string}} b
+ * @returns {number} negative when `a` is older
+ */
+export function compareClock(a, b) {
+  if (a.ts !== b.ts) {
+    return a.ts - b.ts;
+  }
+  if (a.device !== b.device) {
+    return a.device < b.device ? -1 : 1;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * An outbox with superseded bookmark ops dropped: only the newest op per
+ * bookmark URL can win, so a headset that was offline for a week pushes one
+ * op per bookmark it touched, not one per edit. History ops are kept — their
+ * visits add up.
+ *
+ * @param {Array<object>} ops in recording order
+ * @returns {Array<object>} in recording order
+ */
+export function compactOps(ops) {
+  const newest = new Map();
+  for (const op of ops) {
+    if (op.type.startsWith('bookmark.')) {
+      const seen = newest.get(op.url);
+      if (!seen || compareClock(op, seen) > 0) {
+        newest.set(op.url, op);
+      }
+    }
+  }
+  return ops.filter((op) => !op.type.startsWith('bookmark.') || newest.get(op.url) === op);
+}
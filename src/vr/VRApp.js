@@ -18,6 +18,12 @@ import { debounce } from '../utils/debounce.js';
 
 // Tier 2 Features
 import { JapaneseIME, VRJapaneseKeyboard } from './input/JapaneseIME.js';
+import { HangulIME } from './input/HangulIME.js';
+import { PinyinIME } from './input/PinyinIME.js';
+import { shortcutFor } from './input/hardwareKeyboard.js';
+import { KANJI_DICT_PATH } from './input/kanjiDictionary.js';
+import { CONVERSION_BACKENDS } from './input/conversionBackends.js';
+import { SPEECH_BACKENDS, KWS_MODULE_PATH, KWS_WORKLET_PATH } from './input/speechBackends.js';
 import { VRControllerInput } from './input/VRControllerInput.js';
 import { HandTracking } from './interaction/HandTracking.js';
 import { HapticFeedback } from './interaction/HapticFeedback.js';
@@ -36,14 +42,18 @@ import { ProgressiveLoader } from '../utils/ProgressiveLoader.js';
 
 // Tier 3 / optional features (opt-in via settings, default off)
 import { VoiceCommands } from './input/VoiceCommands.js';
-import { TabManager } from './browser/TabManager.js';
+import { TabManager, MAX_TABS } from './browser/TabManager.js';
+import { readSession, writeSession } from './browser/tabSession.js';
 import { WindowManager, resolveWindowDistance, firePanelGrabFeedback, firePanelReleaseFeedback } from './browser/WindowManager.js';
-import { BookmarkPanel } from './browser/BookmarkPanel.js';
+import { BookmarkPanel, TAB_LABEL_KEYS } from './browser/BookmarkPanel.js';
 import { ImmersiveVideo } from './media/ImmersiveVideo.js';
 import { detectVideoFormat } from './media/videoProjection.js';
 import { PerformanceMonitor } from '../utils/PerformanceMonitor.js';
 
-import { BookmarkStore } from '../utils/BookmarkStore.js';
+import { BookmarkStore, MAX_HISTORY } from '../utils/BookmarkStore.js';
+import { SyncClient } from '../utils/SyncClient.js';
+import { ReadingList } from '../utils/ReadingList.js';
+import { SearchIndex } from '../utils/SearchIndex.js';
 import { DeviceCompatibility } from '../utils/DeviceCompatibility.js';
 import { disposeMonitoring } from '../monitoring.js';
 import { stepValue, stepperRegion, formatValue, settingsButtonCaption, shouldAnnounceSettingsButton } from './settingsStepper.js';
@@ -127,6 +137,27 @@ export class VRApp {
 
     // FR-1.4: persistent bookmarks & history store (localStorage-backed).
     this.bookmarks = new BookmarkStore();
+    // Bookmark/history sync with other headsets; set up by startSync() when a
+    // sync server is configured.
+    this.sync = null;
+    // Pages saved for later, readable offline (IndexedDB-backed). The index
+    // loads in the background; the Reading tab redraws when it arrives.
+    this.readingList = new ReadingList({
+      onChange: () => {
+        if (this.bookmarkPanel && this.bookmarkPanel.visible && this.bookmarkPanel.mode === 'reading') {
+          this.bookmarkPanel._draw();
+        }
+      }
+    });
+    // Full-text index over the reader text of history and saved pages. It is
+    // pruned to what they hold only once both have loaded, or a saved page
+    // would be dropped for not being on a reading list not yet read in.
+    this.searchIndex = new SearchIndex();
+    this._searchIndexReady = false;
+    Promise.all([this.readingList.load(), this.searchIndex.load()]).then(() => {
+      this._searchIndexReady = true;
+      this._pruneSearchIndex();
+    });
 
     // NFR-2: device compatibility probe (async; result available after
     // initializeSystems resolves).
@@ -226,12 +257,35 @@ export class VRApp {
       // Wired to SpatialAudio.setMasterVolume via a settings-panel stepper so
       // users can lower or mute audio (audio-sensitivity / preference).
       masterVolume: 100,
+      // Read-aloud of reader articles (WebPanel.startReadAloud): speech rate
+      // and pitch as SpeechSynthesisUtterance takes them (1 = the voice's
+      // own). Heard from the next sentence when changed mid-article.
+      readAloudRate: 1.0,
+      readAloudPitch: 1.0,
 
       enableWebPanel: false,  // FR-1.1: in-VR browsing panel (experimental)
       // Optional companion proxy (proxy/server.js). Empty = direct fetch only,
       // which reaches CORS-enabled origins only — measured: no general site
       // sends Access-Control-Allow-Origin on its HTML. See docs/PROXY.md.
       readerProxyUrl: '',
+      // Optional companion sync server (proxy/syncServer.js) and its
+      // SYNC_TOKEN. Empty = bookmarks and history stay on this headset. See
+      // docs/SYNC.md.
+      syncServerUrl: '',
+      syncToken: '',
+      // Japanese IME conversion backend (conversionBackends.js
+      // CONVERSION_BACKENDS: web|local|offline); offline conversion is always
+      // the fallback. 'local' asks imeServerUrl, a conversion server on the
+      // LAN (docs/IME_SERVER.md).
+      imeBackend: 'web',
+      imeServerUrl: '',
+      // Input method the VR keyboard opens in: ja (Japanese), ko (Hangul) or
+      // zh (Pinyin). The keyboard's 🌐 key switches and updates it.
+      keyboardLanguage: 'ja',
+      // Swipe typing: hold the trigger on a word's first letter and sweep
+      // through the rest (swipeDecoder.js). OFF by default — with it on, a
+      // tap types on release rather than on press.
+      swipeTyping: false,
       // Default search engine for non-URL input in the address bar
       // (key into urlResolver.SEARCH_ENGINES: duckduckgo|google|bing|ecosia).
       searchEngine: 'duckduckgo',
@@ -244,6 +298,12 @@ export class VRApp {
       // Tier 3 / optional features — opt-in, default off so the base
       // experience is unchanged. Heavy/experimental features stay off.
       enableVoice: false,
+      // Voice recogniser (speechBackends.js SPEECH_BACKENDS): 'web' is the
+      // browser's, which streams audio to a cloud service on Quest Browser;
+      // 'offline' spots the command phrases on the headset
+      // (docs/OFFLINE_SPEECH.md), offered only where its module is served.
+      // Without the browser's, offline is used if it can be.
+      voiceBackend: 'web',
       enablePerfMonitorUI: false,
       // Accessibility preferences mirrored here so the in-VR settings panel can
       // read/toggle them.  The a11y module is the authoritative store (it persists
@@ -388,6 +448,8 @@ export class VRApp {
     // Initialize Tier 1 optimizations
     await this.initializeSystems();
 
+    this.startSync();
+
     // Note: the service worker is registered once from src/main.js for all
     // device types; VRApp no longer registers it to avoid a duplicate.
 
@@ -874,13 +936,30 @@ export class VRApp {
         if (this.captionSystem?.enabled && this.settings.enableGazeDwell) {
           this.captionSystem.show(t('vr.msg.moveBarLabel'));
         }
-      }
+      },
+      // Session restore: every change to the tab list is saved, so closing
+      // the headset or reloading reopens the same tabs.
+      onSessionChange: (session) => writeSession(session),
+      // Reading list: a saved page still reads when fetching it fails, and
+      // scrolling one records how far the user got.
+      loadSavedArticle: (url) => this.readingList.article(url),
+      onReaderProgress: (url, position) => this.readingList.setProgress(url, position),
+      // Every page read is indexed for "search my history".
+      onReaderText: (url, doc) => this._indexPage(url, doc),
+      readAloudVoice: () => ({ rate: this.settings.readAloudRate, pitch: this.settings.readAloudPitch }),
+      onReadAloudError: () => this.showVRToast(t('vr.error.readAloudFailed'), { type: 'warn' })
     });
     this.tabManager.addToScene();
     if (this.settings.enableCurvedPanel) {
       this.tabManager.setCurved(true);
     }
-    this.tabManager.newTab(); // start with one blank tab
+    if (this.tabManager.restoreSession(readSession({ maxTabs: MAX_TABS }))) {
+      // The session remembers the curved state too; keep the settings toggle
+      // showing what the panels actually are.
+      this.settings.enableCurvedPanel = this.tabManager._curved;
+    } else {
+      this.tabManager.newTab(); // start with one blank tab
+    }
     // Convenience alias: the active tab's panel.
     this.webPanel = this.tabManager.getActiveTab();
 
@@ -911,7 +990,24 @@ export class VRApp {
       },
       onTabChange: (tab) => {
         if (this.captionSystem && this.captionSystem.enabled) {
-          this.captionSystem.show(t(tab === 'bookmarks' ? 'vr.bookmarks.tabBookmarks' : 'vr.bookmarks.tabHistory'));
+          this.captionSystem.show(t(TAB_LABEL_KEYS[tab]));
+        }
+      },
+      readingList: this.readingList,
+      onOpenSaved: (url) => this._openSavedArticle(url),
+      onSaveForLater: () => this._saveForLater(),
+      onRemoveSaved: () => {
+        this._pruneSearchIndex();
+        if (this.captionSystem && this.captionSystem.enabled) {
+          this.captionSystem.show(t('vr.msg.savedRemoved'));
+        }
+        if (this.hapticFeedback) {
+          this.hapticFeedback.playPatternBothHands('notification');
+        }
+      },
+      onFolderChange: (name) => {
+        if (this.captionSystem && this.captionSystem.enabled) {
+          this.captionSystem.show(name || t('vr.bookmarks.tabBookmarks'));
         }
       },
       onHoverCaption: () => {
@@ -1111,8 +1207,13 @@ export class VRApp {
     this._settingsPanelDrawers = [];
   }
 
-  makeActionButton(label, onSelect) {
-    const w = 512;
+  /**
+   * A one-shot action button ([ label  ▸ ]). `compact` makes it half width so
+   * two pair on one settings row, for short labels in a section that would
+   * otherwise outgrow the comfortable field of view (see settingsLayout.js).
+   */
+  makeActionButton(label, onSelect, { compact = false } = {}) {
+    const w = compact ? 256 : 512;
     const h = 96;
     const canvas = document.createElement('canvas');
     canvas.width = w;
@@ -1132,17 +1233,17 @@ export class VRApp {
       ctx.strokeRect(2, 2, w - 4, h - 4);
       ctx.textAlign = 'left';
       ctx.fillStyle = '#ffffff';
-      ctx.font = 'bold 40px sans-serif';
-      ctx.fillText(label, 24, 62);
+      ctx.font = compact ? 'bold 28px sans-serif' : 'bold 40px sans-serif';
+      ctx.fillText(label, compact ? 14 : 24, compact ? 58 : 62, w - (compact ? 56 : 80));
       ctx.textAlign = 'right';
       ctx.fillStyle = buttonAccentColor('#8fa0ff', hc);
-      ctx.fillText('▸', w - 24, 62);
+      ctx.fillText('▸', w - (compact ? 14 : 24), compact ? 58 : 62);
       tex.needsUpdate = true;
     };
     draw(false);
 
     const mesh = new THREE.Mesh(
-      this._sharedPlaneGeometry(0.9, 0.17),
+      this._sharedPlaneGeometry(compact ? 0.43 : 0.9, 0.17),
       new THREE.MeshBasicMaterial({ map: tex, transparent: true })
     );
     this.registerInteractable(mesh, {
@@ -1373,6 +1474,96 @@ export class VRApp {
    * 4.1.3) avoids a toggle that silently appears to do nothing.
    */
 
+  /**
+   * Reopen the most recently closed tab (TabManager.reopenClosedTab) and say
+   * which page came back — or that there was nothing to reopen.
+   * @returns {boolean} true when a tab was reopened
+   */
+  _reopenClosedTab() {
+    const panel = this.tabManager ? this.tabManager.reopenClosedTab() : null;
+    if (this.captionSystem && this.captionSystem.enabled) {
+      this.captionSystem.show(panel
+        ? `${t('vr.msg.tabReopened')}: ${hostnameCaption(panel.currentUrl)}`
+        : t('vr.msg.noClosedTabs'));
+    }
+    return !!panel;
+  }
+
+  /**
+   * Bookmark the active tab's page ("bookmark this page as recipes"). A name
+   * files it in the folder of that name when there is one, and otherwise
+   * adds the name as a tag, so it can be found either way.
+   * @param {string|null} name
+   * @returns {boolean} false when no page is open
+   */
+  _bookmarkActivePage(name) {
+    const active = this.tabManager ? this.tabManager.getActiveTab() : this.webPanel;
+    const url = active ? active.currentUrl : '';
+    if (!url) {
+      return false;
+    }
+    const folder = name
+      ? this.bookmarks.getFolders().find((f) => f.name.toLowerCase() === name.toLowerCase())
+      : null;
+    const existing = this.bookmarks.getBookmark(url);
+    const filing = folder ? { folderId: folder.id }
+      : name ? { tags: [...(existing ? existing.tags : []), name] } : {};
+    this.bookmarks.addBookmark(url, active.currentTitle || url, filing);
+    if (this.captionSystem && this.captionSystem.enabled) {
+      this.captionSystem.show(name ? `${t('vr.msg.bookmarked')}: ${name}` : t('vr.msg.bookmarked'));
+    }
+    return true;
+  }
+
+  /**
+   * Read the active tab's article aloud, or pause, resume, skip or stop it
+   * (WebPanel read-aloud). The voice command and the hand gestures land here.
+   * @param {'start'|'pause'|'resume'|'skip'|'stop'} op
+   * @returns {boolean} false when there is nothing to read, or nothing being read
+   */
+  _readAloud(op) {
+    const panel = this.tabManager ? this.tabManager.getActiveTab() : null;
+    if (!panel) {
+      return false;
+    }
+    const run = {
+      start: () => panel.startReadAloud(),
+      pause: () => panel.pauseReadAloud(),
+      resume: () => panel.resumeReadAloud(),
+      skip: () => panel.skipReadAloud(),
+      stop: () => panel.stopReadAloud()
+    }[op];
+    return run ? run() : false;
+  }
+
+  /**
+   * Run a browser shortcut from a paired keyboard (hardwareKeyboard.js
+   * SHORTCUTS): edit the active tab's URL, open a tab and ask for its URL,
+   * or close the active tab. Closing dismisses the VR keyboard, whose
+   * confirm would otherwise navigate the tab just closed.
+   *
+   * @param {'focusUrl'|'newTab'|'closeTab'} action
+   */
+  _runShortcut(action) {
+    const tabs = this.tabManager;
+    if (!tabs) {
+      return;
+    }
+    if (action === 'focusUrl') {
+      const panel = tabs.getActiveTab() || tabs.newTab();
+      panel?.requestUrlInput();
+    } else if (action === 'newTab') {
+      // Past MAX_TABS newTab() returns null and announces it itself.
+      tabs.newTab()?.requestUrlInput();
+    } else if (action === 'closeTab' && tabs.getActiveTab()) {
+      if (this.vrKeyboard) {
+        this.vrKeyboard.clearOnConfirm();
+        this.vrKeyboard.hide();
+      }
+      tabs.closeTab(tabs.activeIndex);
+    }
+  }
+
   /**
    * Clear all persisted browsing history (privacy). Fires a cross-modal
    * confirmation (caption + haptic + toast + semantic DOM) via showVRToast so
@@ -1383,12 +1574,293 @@ export class VRApp {
     if (this.bookmarks) {
       this.bookmarks.clearHistory();
     }
+    // Recently closed tabs are history too.
+    if (this.tabManager) {
+      this.tabManager.clearClosedTabs();
+    }
+    // So is the text of the pages in it; saved pages stay searchable.
+    if (this.searchIndex) {
+      this._pruneSearchIndex();
+    }
     if (this.bookmarkPanel && this.bookmarkPanel.visible) {
       this.bookmarkPanel._draw();
     }
     this.showVRToast(t('vr.msg.historyCleared'), { type: 'info' });
   }
 
+  /** Add a page's reader text to the search index (WebPanel onReaderText). */
+  _indexPage(url, doc) {
+    this.searchIndex.add(url, doc);
+    // Indexing follows a visit, which may have pushed the oldest page out of
+    // history (MAX_HISTORY): its text goes with it.
+    this._pruneSearchIndex();
+  }
+
+  /**
+   * Drop indexed text of pages no longer in history or the reading list.
+   * Called whenever either loses entries.
+   */
+  _pruneSearchIndex() {
+    if (!this._searchIndexReady) {
+      return;
+    }
+    const urls = this.bookmarks.getHistory(MAX_HISTORY).map((e) => e.url);
+    for (const entry of this.readingList.getEntries()) {
+      urls.push(entry.url);
+    }
+    this.searchIndex.retain(urls);
+  }
+
+  /**
+   * URL-bar suggestions: title and URL matches (BookmarkStore.search) first,
+   * then pages whose text matches, which the title search cannot find.
+   * @param {string} query
+   * @param {number} [limit=4]
+   * @returns {Array<{url: string, title: string}>}
+   */
+  _urlSuggestions(query, limit = 4) {
+    const hits = this.bookmarks.search(query, limit, Date.now());
+    if (hits.length >= limit || !String(query).trim()) {
+      return hits;
+    }
+    const seen = new Set(hits.map((h) => h.url));
+    const more = this.searchIndex.search(query, limit).filter((h) => !seen.has(h.url));
+    return hits.concat(more).slice(0, limit);
+  }
+
+  /**
+   * "Search my history for …": open the best full-text match in the active
+   * tab and say how many pages matched.
+   * @param {string} query
+   * @returns {boolean} whether a page matched
+   */
+  _searchHistory(query) {
+    const hits = this.searchIndex.search(query, 5);
+    const active = this.tabManager ? this.tabManager.getActiveTab() : this.webPanel;
+    if (!hits.length || !active) {
+      this.showVRToast(`${t('vr.msg.historySearchNone')}: ${query}`, { type: 'warn' });
+      return false;
+    }
+    if (this.captionSystem && this.captionSystem.enabled) {
+      this.captionSystem.show(`${t('vr.msg.historySearchHit')} (${hits.length}): ${hits[0].title}`);
+    }
+    active.navigate(hits[0].url);
+    return true;
+  }
+
+  /**
+   * Save the article in the active tab to the reading list, so it can be read
+   * later with no network. Only a page the reader is showing can be saved:
+   * the reading list keeps the extracted text, not the URL alone.
+   * @returns {Promise<boolean>} whether it was saved
+   */
+  async _saveForLater() {
+    const active = this.tabManager ? this.tabManager.getActiveTab() : this.webPanel;
+    const snapshot = active ? active.readerSnapshot() : null;
+    if (!snapshot) {
+      this.showVRToast(t('vr.msg.nothingToSave'), { type: 'warn' });
+      return false;
+    }
+    const entry = await this.readingList.save(snapshot);
+    if (!entry) {
+      this.showVRToast(t('vr.msg.readingListFull'), { type: 'error' });
+      return false;
+    }
+    this.searchIndex.add(snapshot.url, snapshot);
+    this.showVRToast(`${t('vr.msg.savedForLater')}: ${entry.title}`, { type: 'info' });
+    return true;
+  }
+
+  /**
+   * Open a page from the reading list in the active tab, from its saved text
+   * and at the line the user had read to. No network is needed.
+   * @param {string} url
+   * @returns {Promise<boolean>} false when the saved copy could not be read
+   */
+  async _openSavedArticle(url) {
+    const active = this.tabManager ? this.tabManager.getActiveTab() : this.webPanel;
+    const doc = await this.readingList.article(url);
+    const entry = this.readingList.get(url);
+    if (!active || !doc || !active.openSavedArticle(url, doc, { scroll: entry ? entry.scroll : 0 })) {
+      this.showVRToast(t('vr.msg.savedUnavailable'), { type: 'error' });
+      return false;
+    }
+    if (this.captionSystem && this.captionSystem.enabled) {
+      this.captionSystem.show(`${t('vr.bookmarks.tabReading')}: ${doc.title || hostnameCaption(url)}`);
+    }
+    return true;
+  }
+
+  /**
+   * Save text to a file through the browser's download. Returns false where
+   * there is no DOM to download through (tests, or a worker).
+   */
+  _downloadText(filename, mime, content) {
+    if (typeof document === 'undefined' || typeof Blob === 'undefined' || !globalThis.URL?.createObjectURL) {
+      return false;
+    }
+    const href = URL.createObjectURL(new Blob([content], { type: mime }));
+    const a = document.createElement('a');
+    a.href = href;
+    a.download = filename;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    // Revoking synchronously cancels the download in some browsers.
+    setTimeout(() => URL.revokeObjectURL(href), 10000);
+    return true;
+  }
+
+  /**
+   * Ask the user for a text file through the system file picker.
+   *
+   * The picker is the platform's 2D surface, not part of the scene; on a
+   * headset the immersive session may be paused while it is open. Resolves
+   * null when nothing was chosen (the `cancel` event is not supported
+   * everywhere, so an abandoned picker may simply never resolve — callers
+   * must not hold state waiting on it).
+   *
+   * @param {string} accept  the input's `accept` list
+   * @returns {Promise<string|null>}
+   */
+  _pickTextFile(accept) {
+    if (typeof document === 'undefined') {
+      return Promise.resolve(null);
+    }
+    return new Promise((resolve) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = accept;
+      input.style.display = 'none';
+      const done = (value) => {
+        input.remove();
+        resolve(value);
+      };
+      input.addEventListener('change', () => {
+        const file = input.files && input.files[0];
+        if (!file) {
+          done(null);
+          return;
+        }
+        file.text().then(done, () => done(null));
+      });
+      input.addEventListener('cancel', () => done(null));
+      document.body.appendChild(input);
+      input.click();
+    });
+  }
+
+  /**
+   * Start syncing bookmarks and history through the configured sync server.
+   * Does nothing without a server URL and token, or without service worker
+   * support — the worker does the network exchange.
+   * @returns {boolean} whether sync was started
+   */
+  startSync() {
+    const { syncServerUrl, syncToken } = this.settings;
+    if (this.sync || !syncServerUrl || !syncToken
+        || typeof navigator === 'undefined' || !navigator.serviceWorker) {
+      return false;
+    }
+    this.sync = new SyncClient({
+      serverUrl: syncServerUrl,
+      token: syncToken,
+      onApplied: () => {
+        // Another headset may have cleared or removed history.
+        this._pruneSearchIndex();
+        if (this.bookmarkPanel && this.bookmarkPanel.visible) {
+          this.bookmarkPanel._draw();
+        }
+      }
+    });
+    this.sync.start(this.bookmarks).catch((e) => console.warn('VRApp: sync failed to start', e));
+    return true;
+  }
+
+  /**
+   * Import bookmarks (Netscape HTML from any desktop browser, or this app's
+   * JSON backup) chosen with the file picker, and report what was added.
+   * @returns {Promise<object|null>} BookmarkStore.importFile's result
+   */
+  async _importBookmarks() {
+    const text = await this._pickTextFile('.html,.htm,.json,text/html,application/json');
+    if (text === null || !this.bookmarks) {
+      return null;
+    }
+    const result = this.bookmarks.importFile(text);
+    if (!result) {
+      this.showVRToast(t('vr.msg.importFailed'), { type: 'error' });
+      return null;
+    }
+    if (this.bookmarkPanel && this.bookmarkPanel.visible) {
+      this.bookmarkPanel._draw();
+    }
+    this.showVRToast(`${t('vr.msg.bookmarksImported')}: ${result.bookmarks}`, { type: 'info' });
+    return result;
+  }
+
+  /**
+   * Export bookmarks as a Netscape Bookmark File (`backup: false`), which any
+   * desktop browser imports, or as a JSON backup that also carries history
+   * (`backup: true`).
+   * @returns {boolean} whether the download was started
+   */
+  _exportBookmarks({ backup = false } = {}) {
+    if (!this.bookmarks) {
+      return false;
+    }
+    const date = new Date().toISOString().slice(0, 10);
+    const ok = backup
+      ? this._downloadText(`qui-browser-backup-${date}.json`, 'application/json', this.bookmarks.exportBackup())
+      : this._downloadText(`bookmarks-${date}.html`, 'text/html', this.bookmarks.exportNetscapeHtml());
+    this.showVRToast(t(ok ? 'vr.msg.fileSaved' : 'vr.msg.fileSaveFailed'), { type: ok ? 'info' : 'error' });
+    return ok;
+  }
+
+  /**
+   * Add the words in another IME's dictionary export (Google Japanese Input,
+   * Mozc, Microsoft IME or SKK) to the Japanese IME's user dictionary.
+   * @returns {Promise<object|null>} UserDictionary.importText's result
+   */
+  async _importImeWords() {
+    const text = await this._pickTextFile('.txt,.tsv,text/plain,text/tab-separated-values');
+    if (text === null || !this.japaneseIME) {
+      return null;
+    }
+    const result = this.japaneseIME.importUserWords(text);
+    if (!result) {
+      this.showVRToast(t('vr.msg.imeImportFailed'), { type: 'error' });
+      return null;
+    }
+    this.showVRToast(`${t('vr.msg.imeWordsImported')}: ${result.added}`, { type: 'info' });
+    return result;
+  }
+
+  /**
+   * Export the IME's user dictionary as tab-separated text, which desktop
+   * IMEs import.
+   * @returns {boolean} whether the download was started
+   */
+  _exportImeWords() {
+    if (!this.japaneseIME) {
+      return false;
+    }
+    const date = new Date().toISOString().slice(0, 10);
+    const ok = this._downloadText(`ime-words-${date}.txt`, 'text/plain', this.japaneseIME.exportUserWords());
+    this.showVRToast(t(ok ? 'vr.msg.fileSaved' : 'vr.msg.fileSaveFailed'), { type: ok ? 'info' : 'error' });
+    return ok;
+  }
+
+  /** Forget which candidates were picked; registered words stay. */
+  _forgetImeLearning() {
+    if (!this.japaneseIME) {
+      return;
+    }
+    this.japaneseIME.userDictionary.forgetLearning();
+    this.showVRToast(t('vr.msg.imeLearningCleared'), { type: 'info' });
+  }
+
   /**
    * Build the in-VR settings panel: a backing quad plus toggle buttons wired to
    * the runtime settings (all effects are immediate and safe).
@@ -1469,6 +1941,11 @@ export class VRApp {
           this.windowManager.setFollow(v);
         }
       }],
+      [t('vr.settings.swipeTyping'), 'swipeTyping', (v) => {
+        if (this.vrKeyboard) {
+          this.vrKeyboard.swipeTyping = v;
+        }
+      }],
       [t('vr.settings.curved'), 'enableCurvedPanel', (v) => {
         if (this.tabManager) {
           this.tabManager.setCurved(v);
@@ -1546,12 +2023,17 @@ export class VRApp {
             this.spatialAudio.setMasterVolume(v / 100);
           }
         }
-      }]
+      }],
+      // Read-aloud voice. Each panel asks for these per sentence
+      // (readAloudVoice), so there is nothing to apply.
+      [t('vr.settings.readAloudRate'), 'readAloudRate', { min: 0.5, max: 2.0, step: 0.25, unit: 'x' }],
+      [t('vr.settings.readAloudPitch'), 'readAloudPitch', { min: 0.5, max: 1.5, step: 0.25, unit: 'x' }]
     ];
 
     // Cycle buttons for enumerated settings (currently code-only or keyboard-shortcut-only).
     const COMFORT_PRESETS = ['sensitive', 'moderate', 'tolerant', 'disabled'];
     const SEARCH_ENGINES  = ['duckduckgo', 'google', 'bing', 'ecosia'];
+    const KEYBOARD_LANGUAGES = ['ja', 'ko', 'zh'];
     const cycles = [
       ['Comfort', 'motionSensitivity', COMFORT_PRESETS, (v) => {
         if (this.comfortSystem) {
@@ -1562,6 +2044,23 @@ export class VRApp {
         if (this.tabManager) {
           this.tabManager.setSearchEngine(v);
         }
+      }],
+      [t('vr.settings.imeBackend'), 'imeBackend', CONVERSION_BACKENDS, (v) => {
+        if (this.japaneseIME) {
+          this.japaneseIME.setBackend(v, { serverUrl: this.settings.imeServerUrl });
+        }
+      }],
+      [t('vr.settings.keyboardLanguage'), 'keyboardLanguage', KEYBOARD_LANGUAGES, (v) => {
+        if (this.vrKeyboard) {
+          this.vrKeyboard.switchLanguage(v);
+        }
+      }],
+      // 'offline' only once VoiceCommands has found the spotter module served.
+      [t('vr.settings.voiceBackend'), 'voiceBackend', SPEECH_BACKENDS.filter((b) => b !== 'offline'
+        || (this.voiceCommands && this.voiceCommands.offlineAvailable)), (v) => {
+        if (this.voiceCommands) {
+          this.voiceCommands.setBackend(v);
+        }
       }]
     ];
 
@@ -1573,6 +2072,16 @@ export class VRApp {
     // localStorage and outlives an enableWebPanel session, so a user must be
     // able to clear residual history regardless of the current panel state.
     actions.push([t('vr.settings.clearHistory'), () => this._clearBrowsingHistory()]);
+    // Bookmark import/export: like history, the store outlives the panel, so
+    // these are offered whether or not browsing is switched on. Compact, so
+    // the three take two rows and Browsing stays within the tallest section.
+    actions.push([t('vr.settings.importBookmarks'), () => this._importBookmarks(), { compact: true }]);
+    actions.push([t('vr.settings.exportBookmarks'), () => this._exportBookmarks(), { compact: true }]);
+    actions.push([t('vr.settings.exportBackup'), () => this._exportBookmarks({ backup: true }), { compact: true }]);
+    // The IME's user dictionary and what it learned from picks.
+    actions.push([t('vr.settings.importImeWords'), () => this._importImeWords(), { compact: true }]);
+    actions.push([t('vr.settings.exportImeWords'), () => this._exportImeWords(), { compact: true }]);
+    actions.push([t('vr.settings.forgetImeLearning'), () => this._forgetImeLearning(), { compact: true }]);
     if (this.settings.enableWebPanel) {
       actions.push([t('vr.settings.bookmarks'), () => {
         if (this.bookmarkPanel) {
@@ -1585,6 +2094,7 @@ export class VRApp {
           }
         }
       }]);
+      actions.push([t('vr.settings.reopenTab'), () => this._reopenClosedTab()]);
     }
 
     // Grouped, collapsible layout. The flat stack reached 19 rows / 3.56 m,
@@ -1613,9 +2123,14 @@ export class VRApp {
       ['settings.section.browsing',
         byKey(items, ['enableWebPanel']), [],
         cycles.filter((c) => c[1] === 'searchEngine'),
-        actionByLabel(t('vr.settings.clearHistory')).concat(actionByLabel(t('vr.settings.bookmarks')))],
-      ['settings.section.audio', [], byKey(steppers, ['masterVolume']), [],
-        actionByLabel(t('vr.settings.video360'))]
+        actionByLabel(t('vr.settings.clearHistory')).concat(actionByLabel(t('vr.settings.bookmarks')),
+          actionByLabel(t('vr.settings.reopenTab')), actionByLabel(t('vr.settings.importBookmarks')),
+          actionByLabel(t('vr.settings.exportBookmarks')), actionByLabel(t('vr.settings.exportBackup')))],
+      ['settings.section.audio', [], byKey(steppers, ['masterVolume', 'readAloudRate', 'readAloudPitch']), [],
+        actionByLabel(t('vr.settings.video360'))],
+      ['settings.section.input', byKey(items, ['swipeTyping']), [], byKey(cycles, ['keyboardLanguage', 'imeBackend', 'voiceBackend']),
+        actionByLabel(t('vr.settings.importImeWords')).concat(actionByLabel(t('vr.settings.exportImeWords')),
+          actionByLabel(t('vr.settings.forgetImeLearning')))]
     ];
 
     // Anything not explicitly placed still has to appear — a control that
@@ -1641,7 +2156,7 @@ export class VRApp {
         ...tg.map((e) => ({ wide: false, make: () => this.makeCompactToggleButton(e[0], e[1], e[2]) })),
         ...st.map((e) => ({ wide: true, make: () => this.makeStepperButton(e[0], e[1], e[2]) })),
         ...cy.map((e) => ({ wide: true, make: () => this.makeCycleButton(e[0], e[1], e[2], e[3]) })),
-        ...ac.map((a) => ({ wide: true, make: () => this.makeActionButton(a[0], a[1]) }))
+        ...ac.map((a) => ({ wide: !a[2]?.compact, make: () => this.makeActionButton(a[0], a[1], a[2]) }))
       ]
     }));
 
@@ -1966,7 +2481,8 @@ export class VRApp {
 
   /**
    * Per-frame locomotion input: snap turn on the right thumbstick. Rotates the
-   * whole player rig about the head so the user spins in place. (Smooth-move on
+   * whole player rig about the head so the user spins in place. While the VR
+   * keyboard is open the same stick moves its caret a character per push. (Smooth-move on
    * the left stick is intentionally deferred until comfort-vignette coupling is
    * wired, since continuous motion is the main sickness trigger.)
    */
@@ -1997,10 +2513,15 @@ export class VRApp {
 
       const { stickX: x = 0, stickY: y = 0 } = snap.axes;
 
-      // Turn hand: snap turn.
-      if (this.settings.enableSnapTurn && snap.hand === turnHand) {
+      // Turn hand: snap turn — or, while the VR keyboard is open, the caret.
+      const editing = Boolean(this.vrKeyboard && this.vrKeyboard.visible);
+      if ((this.settings.enableSnapTurn || editing) && snap.hand === turnHand) {
         if (Math.abs(x) > snapThreshold && !controller.userData.snapLatched) {
-          this.snapTurn(x > 0 ? -1 : 1, snap.hand); // push right → turn clockwise
+          if (editing) {
+            this.vrKeyboard.moveCaret(x > 0 ? 1 : -1);
+          } else {
+            this.snapTurn(x > 0 ? -1 : 1, snap.hand); // push right → turn clockwise
+          }
           controller.userData.snapLatched = true;
         } else if (Math.abs(x) < snapRelease) {
           controller.userData.snapLatched = false;
@@ -2201,11 +2722,19 @@ export class VRApp {
   /**
    * Handle a controller select. On press (isStart), raycasts the controller
    * ray against the interactables registry and fires the hit object's
-   * onSelect handler plus a 'qui-select' DOM-style event. On release, ends an
+   * onSelect handler plus a 'qui-select' DOM-style event. On release, tells
+   * the object pressed that it was let go of (onSelectEnd) and ends an
    * in-progress panel grab (grab-to-move) if this controller started one.
    */
   onControllerSelect(controller, isStart) {
     if (!isStart) {
+      // A press on an object that follows the drag (swipe typing) ends here,
+      // wherever the ray has moved to since.
+      const pressed = controller.userData.pressed;
+      if (pressed) {
+        controller.userData.pressed = null;
+        pressed.userData.interactable?.onSelectEnd?.({ controller });
+      }
       // Releasing the trigger ends an in-progress panel grab (grab-to-move).
       // This is independent of the interactables hit-test below, which only
       // ever fires on press — a drag has no "hit" to re-test on release.
@@ -2229,6 +2758,9 @@ export class VRApp {
     if (handlers && handlers.onSelect) {
       handlers.onSelect({ intersection: hit, controller });
     }
+    if (handlers && (handlers.onDrag || handlers.onSelectEnd)) {
+      controller.userData.pressed = hit.object;
+    }
     // Haptic click on the selecting hand confirms that the trigger registered
     // on an interactable, giving tactile parity with face-button presses.
     if (this.hapticFeedback) {
@@ -2288,7 +2820,10 @@ export class VRApp {
   }
 
   /**
-   * Register a mesh as interactable. handlers: { onSelect, onHover, onHoverEnd }.
+   * Register a mesh as interactable. handlers: { onSelect, onHover, onHoverEnd },
+   * and for an object that follows a held trigger or pinch, onDrag (every
+   * frame while held, with the ray's current intersection — null, or
+   * another object) and onSelectEnd (on release).
    * Returns the object for chaining.
    */
   registerInteractable(object, handlers = {}) {
@@ -2309,7 +2844,8 @@ export class VRApp {
 
   /**
    * Per-frame hover detection for each controller ray against interactables,
-   * firing onHover/onHoverEnd as the hovered object changes.
+   * firing onHover/onHoverEnd as the hovered object changes, and onDrag on
+   * an object the controller is holding the trigger on.
    */
   updateHover() {
     if (this.interactables.length === 0) {
@@ -2320,6 +2856,10 @@ export class VRApp {
         .intersectObjects(this.interactables, false)
         .find(h => isWorldVisible(h.object));
       const obj = hit ? hit.object : null;
+      const pressed = controller.userData.pressed;
+      if (pressed && pressed.userData.interactable && pressed.userData.interactable.onDrag) {
+        pressed.userData.interactable.onDrag({ intersection: hit || null, controller });
+      }
       const prev = controller.userData.hovered || null;
       if (prev === obj) {
         continue;
@@ -2403,13 +2943,23 @@ export class VRApp {
     // === TIER 2 SYSTEMS ===
 
     // 5. Japanese IME — pass interactable hooks so the 3D keyboard keys can be
-    // selected with a controller ray.
-    this.japaneseIME = new JapaneseIME();
+    // selected with a controller ray. Its offline conversion dictionary is
+    // fetched the first time the keyboard opens, not at startup.
+    this.japaneseIME = new JapaneseIME({
+      loadDictionary: () => this.progressiveLoader.loadOnDemand({
+        url: `${(import.meta.env && import.meta.env.BASE_URL) || '/'}${KANJI_DICT_PATH}`,
+        name: 'kanji-dictionary',
+        type: 'json'
+      })
+    });
+    this.japaneseIME.setBackend(this.settings.imeBackend, { serverUrl: this.settings.imeServerUrl });
     this.vrKeyboard = new VRJapaneseKeyboard(this.scene, this.japaneseIME, {
+      imes: [new HangulIME(), new PinyinIME()],
       registerInteractable: (m, h) => this.registerInteractable(m, h),
       unregisterInteractable: (m) => this.unregisterInteractable(m),
       // Larger keys (bigger targets) for the large-text accessibility preference.
       scale: largeTextScale(getPrefs().largeText),
+      swipeTyping: this.settings.swipeTyping,
       onHoverCaption: (label) => {
         if (this.captionSystem?.enabled && this.settings.enableGazeDwell) {
           this.captionSystem.show(label);
@@ -2423,8 +2973,18 @@ export class VRApp {
       // Frecency-ranked history/bookmark suggestions while typing (gaze-dwell
       // typing is ~8-10 WPM, so jumping to a known destination after a couple
       // of characters is the single biggest text-entry speedup available).
-      suggestionProvider: (query) => this.bookmarks.search(query, 4, Date.now())
+      // Pages whose text matches follow the title matches.
+      suggestionProvider: (query) => this._urlSuggestions(query),
+      // The 🌐 key: remember the language for next time, and say which it is.
+      onLanguageChange: (id) => {
+        this.updateSetting('keyboardLanguage', id);
+        const key = { ja: 'vr.msg.keyboardJapanese', ko: 'vr.msg.keyboardKorean', zh: 'vr.msg.keyboardChinese' }[id];
+        if (key && this.captionSystem && this.captionSystem.enabled) {
+          this.captionSystem.show(t(key));
+        }
+      }
     });
+    this.vrKeyboard.switchLanguage(this.settings.keyboardLanguage);
     console.debug('VRApp: Japanese IME ready');
 
     // 6. Hand Tracking
@@ -2536,8 +3096,17 @@ export class VRApp {
 
     // 10. Voice Commands
     if (this.settings.enableVoice) {
-      this.voiceCommands = new VoiceCommands();
+      const base = (import.meta.env && import.meta.env.BASE_URL) || '/';
+      this.voiceCommands = new VoiceCommands({
+        backend: this.settings.voiceBackend,
+        kwsModuleUrl: `${base}${KWS_MODULE_PATH}`,
+        kwsWorkletUrl: `${base}${KWS_WORKLET_PATH}`
+      });
       const voiceReady = await this.voiceCommands.initialize();
+      if (this.voiceCommands.offlineAvailable) {
+        // The settings panel was built before the probe; offer 'offline' now.
+        this._rebuildSettingsPanel();
+      }
       if (voiceReady) {
         // FR-13.1: caption recognized speech so it is visible in VR.
         this.voiceCommands.callbacks.onTranscript = (transcript, confidence, isFinal) => {
@@ -2637,7 +3206,12 @@ export class VRApp {
           // text), which is what "下にスクロール" can actually move in VR.
           onScrollContent: (delta) => {
             this.tabManager?.getActiveTab?.()?.scrollContent?.(delta);
-          }
+          },
+          onReopenTab: () => this._reopenClosedTab(),
+          onSaveForLater: () => this._saveForLater(),
+          onSearchHistory: (query) => this._searchHistory(query),
+          onBookmarkPage: (name) => this._bookmarkActivePage(name),
+          onReadAloud: (op) => this._readAloud(op)
         });
         // Begin listening immediately (user granted mic permission during initialize).
         this.voiceCommands.start();
@@ -2780,6 +3354,17 @@ export class VRApp {
     };
     document.addEventListener('visibilitychange', this.onDocumentVisibilityChange);
 
+    // Ctrl+L / Ctrl+T / Ctrl+W from a paired keyboard. Typing itself goes to
+    // the VR keyboard while it is open (VRJapaneseKeyboard.handleKeyEvent).
+    this.onHardwareShortcut = (event) => {
+      const action = shortcutFor(event);
+      if (action) {
+        event.preventDefault();
+        this._runShortcut(action);
+      }
+    };
+    document.addEventListener('keydown', this.onHardwareShortcut);
+
     // Controllers (ray pointer + rendered models) parented to the player rig.
     this.setupControllers();
 
@@ -2883,6 +3468,17 @@ export class VRApp {
       this.handTracking.onGesture('point', (hand, _gesture) => {
         console.debug(`${hand} hand pointing`);
       });
+
+      // Read-aloud: a peace sign pauses or resumes the article being read,
+      // a thumbs-up skips a sentence. Neither starts reading, so a hand at
+      // rest in either pose cannot set a page talking.
+      this.handTracking.onGesture('peace', () => {
+        const state = this.tabManager?.getActiveTab?.()?.readAloudState;
+        if (state === 'speaking' || state === 'paused') {
+          this._readAloud(state === 'speaking' ? 'pause' : 'resume');
+        }
+      });
+      this.handTracking.onGesture('thumbsup', () => this._readAloud('skip'));
     }
 
     // Adjust render settings for VR
@@ -3251,13 +3847,14 @@ export class VRApp {
   _requestVRKeyboardInput(prefill, onConfirm, prompt = 'Enter URL') {
     if (this.vrKeyboard) {
       this.vrKeyboard.setOnConfirm(onConfirm);
-      this.japaneseIME.activate();
+      const ime = this.vrKeyboard.ime;
+      ime.activate();
       // Pre-fill the composition buffer with the current URL so the user
       // can edit it rather than typing from scratch.
       if (prefill && prefill !== 'https://') {
-        this.japaneseIME.compositionBuffer = prefill;
+        ime.compositionBuffer = prefill;
       } else {
-        this.japaneseIME.compositionBuffer = '';
+        ime.compositionBuffer = '';
       }
       // Build (if needed) and show the 3D keyboard, then refresh its display.
       this.vrKeyboard.show();
@@ -3412,6 +4009,10 @@ export class VRApp {
       document.removeEventListener('visibilitychange', this.onDocumentVisibilityChange);
       this.onDocumentVisibilityChange = null;
     }
+    if (this.onHardwareShortcut) {
+      document.removeEventListener('keydown', this.onHardwareShortcut);
+      this.onHardwareShortcut = null;
+    }
     if (this.vrButton && this.vrButton.parentNode) {
       this.vrButton.parentNode.removeChild(this.vrButton);
     }
@@ -3464,6 +4065,9 @@ export class VRApp {
     if (this.bookmarkPanel) {
       this.bookmarkPanel.dispose(); this.bookmarkPanel = null;
     }
+    if (this.sync) {
+      this.sync.dispose(); this.sync = null;
+    }
     if (this.immersiveVideo) {
       this.immersiveVideo.dispose(); this.immersiveVideo = null;
     }
@@ -5,15 +5,24 @@
  * of selectable rows. Selecting a row navigates the active browser tab.
  * Follows the same CanvasTexture + interactable pattern as WebPanel so it works
  * with controller-ray selection.
+ *
+ * Bookmarks are shown one folder at a time: the folder's subfolders first,
+ * then its bookmarks, each in the store's manual order. Selecting a folder row
+ * opens it; inside a folder a breadcrumb band under the header leads back up.
+ *
+ * The third tab is the reading list (ReadingList): pages saved for later,
+ * which open from their saved text with no network. Its first row saves the
+ * page the active tab is showing.
  */
 
 import * as THREE from 'three';
 import { configureUITexture } from '../ui/canvasTexture.js';
 import {
-  PANEL_PX_W, PANEL_PX_H, HEADER_H, ROW_H, VISIBLE_ROWS, DELETE_ZONE_W,
+  PANEL_PX_W, PANEL_PX_H, HEADER_H, ROW_H, DELETE_ZONE_W,
   SCROLL_UP_X0, SCROLL_UP_X1, SCROLL_DN_X0, SCROLL_DN_X1,
-  hitTest, uvToPixels, truncate,
-  ROW_TEXT_X, ROW_TEXT_W, ROW_TITLE_EM, ROW_URL_EM,
+  BREADCRUMB_H, CRUMB_FONT, CRUMB_SEP_W, visibleRows, breadcrumbLayout,
+  hitTest, uvToPixels, truncate, TABS, TAB_W,
+  ROW_TEXT_X, ROW_TEXT_W, ROW_TITLE_EM, ROW_URL_EM, ROW_URL_FONT,
   bookmarkPanelColors
 } from './bookmarkLayout.js';
 // Re-exported so existing importers (and tests) keep their import site while
@@ -22,12 +31,33 @@ import {
 export { bookmarkPanelColors };
 import { prefersHighContrast } from '../../a11y/accessibility.js';
 import { t } from '../../i18n/i18n.js';
-import { truncateToWidth } from '../ui/textWrap.js';
+import { truncateToWidth, textWidthEm } from '../ui/textWrap.js';
 import { MAX_HISTORY } from '../../utils/BookmarkStore.js';
 
 
 const PANEL_W = 1.2;  // metres
 const PANEL_H = PANEL_W * (PANEL_PX_H / PANEL_PX_W);
+// Folder rows indent their name past the drawn folder glyph.
+const FOLDER_TEXT_X = ROW_TEXT_X + 52;
+
+/** i18n key of each tab's label, which is also what switching to it announces. */
+export const TAB_LABEL_KEYS = {
+  bookmarks: 'vr.bookmarks.tabBookmarks',
+  history: 'vr.bookmarks.tabHistory',
+  reading: 'vr.bookmarks.tabReading'
+};
+
+/**
+ * A saved page's reading state for its row: read, how far in, or unread.
+ * @param {{read: boolean, progress: number}} entry
+ * @returns {string}
+ */
+export function readingStatus(entry) {
+  if (entry.read) {
+    return t('vr.bookmarks.read');
+  }
+  return entry.progress > 0 ? `${Math.round(entry.progress * 100)}%` : t('vr.bookmarks.unread');
+}
 
 export class BookmarkPanel {
   /**
@@ -40,15 +70,27 @@ export class BookmarkPanel {
    * @param {Function} [opts.onDeleteBookmark] — called with (url) after a bookmark
    *   is deleted; used by VRApp to announce the deletion via caption/haptic
    *   (WCAG 4.1.3 Status Messages — destructive actions need non-visual confirmation).
-   * @param {Function} [opts.onTabChange]  — called with ('bookmarks'|'history')
-   *   when the user switches between the two tabs (WCAG 4.1.3).
+   * @param {Function} [opts.onTabChange]  — called with ('bookmarks'|'history'|
+   *   'reading') when the user switches tabs (WCAG 4.1.3).
+   * @param {Function} [opts.onFolderChange] — called with the opened folder's
+   *   name, or null for the top level, when the user moves between bookmark
+   *   folders (WCAG 4.1.3 — the breadcrumb alone is visual).
+   * @param {ReadingList} [opts.readingList] — the pages saved for later; the
+   *   Reading tab is empty without one.
+   * @param {Function} [opts.onOpenSaved]   — called with (url) when a saved
+   *   page is chosen; the host opens it from its saved text.
+   * @param {Function} [opts.onSaveForLater] — called with no args from the
+   *   Reading tab's "save this page" row; without it the row is not shown.
+   * @param {Function} [opts.onRemoveSaved] — called with (url) after a saved
+   *   page is removed (WCAG 4.1.3, as onDeleteBookmark).
    * @param {number}  [opts.scale=1]  — physical-size multiplier for low-vision
    *   legibility. The canvas layout (and thus hit-testing, which works in
    *   normalised UV space) is unchanged; only the mesh's metre dimensions grow,
    *   enlarging every glyph in angular terms. Mirrors the VR keyboard's scale.
    */
   constructor({ scene, registerInteractable, unregisterInteractable, store, onSelect,
-    onDeleteBookmark, onTabChange, onHoverCaption, onClose, scale = 1 }) {
+    onDeleteBookmark, onTabChange, onFolderChange, onHoverCaption, onClose, scale = 1,
+    readingList = null, onOpenSaved, onSaveForLater, onRemoveSaved }) {
     this.scene = scene;
     this.registerInteractable = registerInteractable;
     this.unregisterInteractable = unregisterInteractable;
@@ -56,6 +98,11 @@ export class BookmarkPanel {
     this.onSelect = typeof onSelect === 'function' ? onSelect : () => {};
     this.onDeleteBookmark = typeof onDeleteBookmark === 'function' ? onDeleteBookmark : null;
     this.onTabChange = typeof onTabChange === 'function' ? onTabChange : null;
+    this.onFolderChange = typeof onFolderChange === 'function' ? onFolderChange : null;
+    this.readingList = readingList;
+    this.onOpenSaved = typeof onOpenSaved === 'function' ? onOpenSaved : null;
+    this.onSaveForLater = typeof onSaveForLater === 'function' ? onSaveForLater : null;
+    this.onRemoveSaved = typeof onRemoveSaved === 'function' ? onRemoveSaved : null;
     // Optional: called on hover so the host can show a gaze-dwell preview caption
     // (WCAG 1.3.3 – panel purpose conveyed without relying on sight alone).
     this.onHoverCaption = typeof onHoverCaption === 'function' ? onHoverCaption : null;
@@ -68,7 +115,8 @@ export class BookmarkPanel {
     this.panelW = PANEL_W * this.scale;
     this.panelH = PANEL_H * this.scale;
 
-    this.mode = 'bookmarks'; // 'bookmarks' | 'history'
+    this.mode = 'bookmarks'; // 'bookmarks' | 'history' | 'reading'
+    this.folderId = null;    // bookmark folder shown; null = top level
     this.scrollOffset = 0;  // index of the first visible row
     this.visible = false;
 
@@ -118,19 +166,77 @@ export class BookmarkPanel {
     this._draw();
   }
 
-  /** Return the rows for the active mode. */
+  /**
+   * Return the rows for the active mode. In bookmarks mode, with a store that
+   * has folders, that is the open folder's subfolders — as
+   * `{ folder: true, id, name, count }` rows — followed by its bookmarks.
+   * The reading list starts with a `{ save: true }` row when the host can
+   * save pages.
+   */
   _rows() {
+    if (this.mode === 'reading') {
+      const saved = this.readingList ? this.readingList.getEntries() : [];
+      return this.onSaveForLater ? [{ save: true }, ...saved] : saved;
+    }
     if (!this.store) {
       return [];
     }
+    if (this.mode === 'bookmarks') {
+      if (typeof this.store.getFolderContents !== 'function') {
+        return this.store.getBookmarks();
+      }
+      // The open folder may have been deleted or moved away since it was
+      // opened; fall back to the top level rather than show a dead list.
+      if (this.folderId && !this.store.getFolder(this.folderId)) {
+        this.folderId = null;
+      }
+      const { folders, bookmarks } = this.store.getFolderContents(this.folderId);
+      const folderRows = folders.map(f => {
+        const inside = this.store.getFolderContents(f.id);
+        return { folder: true, id: f.id, name: f.name, count: inside.folders.length + inside.bookmarks.length };
+      });
+      return [...folderRows, ...bookmarks];
+    }
     // Fetch the full persisted history (bounded by BookmarkStore's own
     // MAX_HISTORY cap), not just one page's worth — passing VISIBLE_ROWS here
     // previously meant allRows.length could never exceed VISIBLE_ROWS, so the
     // "scrollable" check in _draw() was always false and the scroll arrows
     // never appeared: only the newest page of history was ever reachable.
-    return this.mode === 'bookmarks'
-      ? this.store.getBookmarks()
-      : this.store.getHistory(MAX_HISTORY);
+    return this.store.getHistory(MAX_HISTORY);
+  }
+
+  /** Folders from the top level down to the open one (empty at the top). */
+  _folderPath() {
+    if (this.mode !== 'bookmarks' || !this.folderId || typeof this.store?.getFolderPath !== 'function') {
+      return [];
+    }
+    return this.store.getFolderPath(this.folderId);
+  }
+
+  /** The breadcrumb layout, or null at the top level and in history. */
+  _crumbs(path = this._folderPath()) {
+    return path.length
+      ? breadcrumbLayout([t('vr.bookmarks.tabBookmarks'), ...path.map(f => f.name)])
+      : null;
+  }
+
+  /** Rows that fit: one fewer inside a folder, where the breadcrumb sits. */
+  _visibleRows() {
+    return visibleRows(this._folderPath().length > 0);
+  }
+
+  /**
+   * Show a bookmark folder's contents.
+   * @param {string|null} folderId  null = top level
+   */
+  openFolder(folderId) {
+    const folder = folderId && this.store?.getFolder ? this.store.getFolder(folderId) : null;
+    this.folderId = folder ? folder.id : null;
+    this.scrollOffset = 0;
+    this._draw();
+    if (this.onFolderChange) {
+      this.onFolderChange(folder ? folder.name : null);
+    }
   }
 
   show() {
@@ -149,10 +255,11 @@ export class BookmarkPanel {
   }
 
   setMode(mode) {
-    if (mode !== 'bookmarks' && mode !== 'history') {
+    if (!TABS.includes(mode)) {
       return;
     }
     this.mode = mode;
+    this.folderId = null;  // the Bookmarks tab opens at the top level
     this.scrollOffset = 0; // reset scroll when switching tabs
     this._draw();
   }
@@ -160,7 +267,7 @@ export class BookmarkPanel {
   // ── Interaction ─────────────────────────────────────────────────────────────
 
   /**
-   * Clamp scrollOffset into [0, max(0, rowCount - VISIBLE_ROWS)].
+   * Clamp scrollOffset into [0, max(0, rowCount - visible rows)].
    *
    * Bookmarks can be removed through paths this panel never observes (the
    * chrome-bar ★ button calls BookmarkStore.removeBookmark directly), so a
@@ -171,7 +278,15 @@ export class BookmarkPanel {
    * @param {number} rowCount
    */
   _clampScroll(rowCount) {
-    this.scrollOffset = Math.min(this.scrollOffset, Math.max(0, rowCount - VISIBLE_ROWS));
+    this.scrollOffset = Math.min(this.scrollOffset, Math.max(0, rowCount - this._visibleRows()));
+  }
+
+  /** Whether rows in the active tab have a delete (✕) zone. */
+  _canDelete() {
+    if (this.mode === 'reading') {
+      return !!this.readingList;
+    }
+    return this.mode === 'bookmarks' && typeof this.store?.removeBookmark === 'function';
   }
 
   _onSelect(evt) {
@@ -190,15 +305,19 @@ export class BookmarkPanel {
     const { px, py } = uvToPixels(u, v);
 
     const rows = this._rows();
-    // Enable the per-row delete zone only in bookmarks mode (history is read-only).
-    const deleteZone = this.mode === 'bookmarks' && typeof this.store.removeBookmark === 'function';
+    const path = this._folderPath();
+    const crumbs = this._crumbs(path);
+    const pageRows = this._visibleRows();
+    // Bookmarks and saved pages can be deleted per row; history is read-only.
+    const deleteZone = this._canDelete();
     // Re-clamp against the live row count before slicing: bookmarks may have
     // been removed externally (chrome-bar ★) since the last draw, leaving a
     // stale offset that would slice an empty window and dead-click every row.
     this._clampScroll(rows.length);
     // hitTest works in visible-window coordinates: translate row index by scrollOffset.
-    const windowRows = rows.slice(this.scrollOffset, this.scrollOffset + VISIBLE_ROWS);
-    const action = hitTest(px, py, windowRows.length, { deleteZone, scrollZone: true });
+    const windowRows = rows.slice(this.scrollOffset, this.scrollOffset + pageRows);
+    const folderRows = windowRows.filter(r => r.folder).length;
+    const action = hitTest(px, py, windowRows.length, { deleteZone, scrollZone: true, crumbs, folderRows });
 
     switch (action.type) {
     case 'close':
@@ -220,14 +339,31 @@ export class BookmarkPanel {
       }
       break;
     case 'scrollDown':
-      if (this.scrollOffset + VISIBLE_ROWS < rows.length) {
+      if (this.scrollOffset + pageRows < rows.length) {
         this.scrollOffset++;
         this._draw();
       }
       break;
+    case 'crumb':
+      this.openFolder(action.depth > 0 ? path[action.depth - 1].id : null);
+      break;
+    case 'folder': {
+      const entry = rows[this.scrollOffset + action.index];
+      if (entry && entry.folder) {
+        this.openFolder(entry.id);
+      }
+      break;
+    }
     case 'row': {
       const entry = rows[this.scrollOffset + action.index];
-      if (entry && entry.url) {
+      if (entry && entry.save) {
+        this.onSaveForLater();
+      } else if (entry && this.mode === 'reading') {
+        if (this.onOpenSaved) {
+          this.onOpenSaved(entry.url);
+          this.hide();
+        }
+      } else if (entry && !entry.folder && entry.url) {
         this.onSelect(entry.url);
         this.hide();
       }
@@ -235,7 +371,17 @@ export class BookmarkPanel {
     }
     case 'deleteRow': {
       const entry = rows[this.scrollOffset + action.index];
-      if (entry && entry.url) {
+      if (entry && entry.save) {
+        // The save row draws no ✕: the whole row saves.
+        this.onSaveForLater();
+      } else if (entry && this.mode === 'reading') {
+        this.readingList.remove(entry.url);
+        this._clampScroll(this._rows().length);
+        this._draw();
+        if (this.onRemoveSaved) {
+          this.onRemoveSaved(entry.url);
+        }
+      } else if (entry && !entry.folder && entry.url) {
         this.store.removeBookmark(entry.url);
         // After deletion the list shrinks; clamp scroll offset so we don't show a blank page.
         this._clampScroll(this._rows().length);
@@ -273,17 +419,18 @@ export class BookmarkPanel {
     ctx.fillRect(0, 0, w, HEADER_H);
 
     // Tabs
-    this._drawTab(ctx, t('vr.bookmarks.tabBookmarks'), 0, this.mode === 'bookmarks', c);
-    this._drawTab(ctx, t('vr.bookmarks.tabHistory'), 220, this.mode === 'history', c);
+    TABS.forEach((tab, i) => this._drawTab(ctx, t(TAB_LABEL_KEYS[tab]), i * TAB_W, this.mode === tab, c));
 
     // Scroll arrows (visible only when the list is longer than one page).
     const allRows = this._rows();
     // Clamp against the CURRENT row count so a stale offset (e.g. bookmarks
     // removed externally via the chrome-bar ★) never renders a blank page.
     this._clampScroll(allRows.length);
-    const scrollable = allRows.length > VISIBLE_ROWS;
+    const path = this._folderPath();
+    const pageRows = visibleRows(path.length > 0);
+    const scrollable = allRows.length > pageRows;
     const canUp   = this.scrollOffset > 0;
-    const canDown = this.scrollOffset + VISIBLE_ROWS < allRows.length;
+    const canDown = this.scrollOffset + pageRows < allRows.length;
     if (scrollable) {
       // ↑ arrow
       const upColors = canUp ? c.scrollActive : c.scrollInactive;
@@ -303,7 +450,7 @@ export class BookmarkPanel {
       ctx.fillStyle = c.pageIndicator;
       ctx.font = '20px sans-serif';
       ctx.textAlign = 'center';
-      const pageLabel = `${this.scrollOffset + 1}–${Math.min(this.scrollOffset + VISIBLE_ROWS, allRows.length)}/${allRows.length}`;
+      const pageLabel = `${this.scrollOffset + 1}–${Math.min(this.scrollOffset + pageRows, allRows.length)}/${allRows.length}`;
       ctx.fillText(pageLabel, (SCROLL_UP_X1 + SCROLL_DN_X0) / 2, HEADER_H / 2 + 8);
     }
 
@@ -315,24 +462,46 @@ export class BookmarkPanel {
     ctx.textAlign = 'center';
     ctx.fillText('✕', w - 54, HEADER_H / 2 + 12);
 
+    // Breadcrumb (inside a folder only).
+    let rowsTop = HEADER_H;
+    if (path.length) {
+      this._drawBreadcrumb(ctx, this._crumbs(path), path.length, c);
+      rowsTop += BREADCRUMB_H;
+    }
+
     // Rows (show only the visible window).
-    const rows = allRows.slice(this.scrollOffset, this.scrollOffset + VISIBLE_ROWS);
+    const rows = allRows.slice(this.scrollOffset, this.scrollOffset + pageRows);
     ctx.textAlign = 'left';
-    if (allRows.length === 0) {
+    // The reading list's save row is not content: under it, an empty list
+    // still says it is empty.
+    const contentRows = allRows.filter(r => !r.save).length;
+    if (contentRows === 0) {
       ctx.fillStyle = c.emptyText;
       ctx.font = '28px sans-serif';
-      ctx.fillText(
-        this.mode === 'bookmarks' ? t('vr.bookmarks.emptyBookmarks') : t('vr.bookmarks.emptyHistory'),
-        32, HEADER_H + 56
-      );
-    } else {
-      const showDelete = this.mode === 'bookmarks' && typeof this.store.removeBookmark === 'function';
+      let empty = t('vr.bookmarks.emptyHistory');
+      if (this.mode === 'bookmarks') {
+        empty = path.length ? t('vr.bookmarks.emptyFolder') : t('vr.bookmarks.emptyBookmarks');
+      } else if (this.mode === 'reading') {
+        empty = t('vr.bookmarks.emptyReading');
+      }
+      ctx.fillText(empty, 32, rowsTop + (allRows.length - contentRows) * ROW_H + 56, w - 64);
+    }
+    if (rows.length) {
+      const showDelete = this._canDelete();
       for (let i = 0; i < rows.length; i++) {
         const entry = rows[i];
-        const top = HEADER_H + i * ROW_H;
+        const top = rowsTop + i * ROW_H;
         // Zebra striping
         ctx.fillStyle = (i % 2 === 0) ? c.rowZebraEven : c.rowZebraOdd;
         ctx.fillRect(0, top, w, ROW_H);
+        if (entry.folder) {
+          this._drawFolderRow(ctx, entry, top, c);
+          continue;
+        }
+        if (entry.save) {
+          this._drawSaveRow(ctx, top, c);
+          continue;
+        }
         // Title (leave room for delete button on the right)
         ctx.fillStyle = c.rowTitle;
         ctx.font = 'bold 26px sans-serif';
@@ -344,11 +513,27 @@ export class BookmarkPanel {
         // from the real geometry; the fillText maxWidth argument is a backstop.
         ctx.fillText(truncateToWidth(entry.title || entry.url, ROW_TITLE_EM), ROW_TEXT_X,
           top + 32, ROW_TEXT_W);
-        // URL
+        // URL, then the bookmark's tags — or a saved page's reading state —
+        // after it. These get at most 40% of the line so the URL, what the
+        // row opens, is never squeezed out.
+        let tags = Array.isArray(entry.tags) && entry.tags.length
+          ? truncateToWidth(entry.tags.map(tag => `#${tag}`).join(' '), ROW_URL_EM * 0.4)
+          : '';
+        if (this.mode === 'reading') {
+          tags = truncateToWidth(readingStatus(entry), ROW_URL_EM * 0.4);
+        }
+        const urlEm = tags ? ROW_URL_EM - textWidthEm(tags) - 1 : ROW_URL_EM;
+        const url = truncateToWidth(entry.url, urlEm);
         ctx.fillStyle = c.rowUrl;
         ctx.font = '20px monospace';
-        ctx.fillText(truncateToWidth(entry.url, ROW_URL_EM), ROW_TEXT_X, top + 58, ROW_TEXT_W);
-        // Delete ✕ button (bookmarks mode only)
+        ctx.fillText(url, ROW_TEXT_X, top + 58, ROW_TEXT_W);
+        if (tags) {
+          const x = ROW_TEXT_X + Math.ceil((textWidthEm(url) + 1) * ROW_URL_FONT);
+          ctx.fillStyle = c.rowTags;
+          ctx.font = '20px sans-serif';
+          ctx.fillText(tags, x, top + 58, ROW_TEXT_X + ROW_TEXT_W - x);
+        }
+        // Delete ✕ button (bookmarks and reading list)
         if (showDelete) {
           ctx.fillStyle = c.deleteZoneBg;
           ctx.fillRect(w - DELETE_ZONE_W + 4, top + 10, DELETE_ZONE_W - 8, ROW_H - 20);
@@ -365,14 +550,74 @@ export class BookmarkPanel {
     }
   }
 
+  /**
+   * The breadcrumb band: every crumb but the last is a button (the way back
+   * up); the last names the open folder and is drawn as plain text.
+   */
+  _drawBreadcrumb(ctx, crumbs, depth, c) {
+    const top = HEADER_H;
+    ctx.font = `bold ${CRUMB_FONT}px sans-serif`;
+    ctx.textAlign = 'center';
+    crumbs.forEach((crumb, i) => {
+      const mid = (crumb.x0 + crumb.x1) / 2;
+      const current = crumb.depth === depth;
+      if (!current) {
+        ctx.fillStyle = c.crumbBg;
+        ctx.fillRect(crumb.x0, top + 10, crumb.x1 - crumb.x0, BREADCRUMB_H - 20);
+      }
+      ctx.fillStyle = current ? c.crumbCurrent : c.crumbText;
+      ctx.fillText(crumb.label, mid, top + BREADCRUMB_H / 2 + 9, crumb.x1 - crumb.x0);
+      if (i < crumbs.length - 1) {
+        ctx.fillStyle = c.crumbSep;
+        ctx.fillText('›', crumb.x1 + CRUMB_SEP_W / 2, top + BREADCRUMB_H / 2 + 9);
+      }
+    });
+    ctx.textAlign = 'left';
+  }
+
+  /** The reading list's first row: save the active tab's page for later. */
+  _drawSaveRow(ctx, top, c) {
+    ctx.fillStyle = c.folderIcon;
+    ctx.font = 'bold 40px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText('+', ROW_TEXT_X + 18, top + ROW_H / 2 + 14);
+    ctx.fillStyle = c.rowTitle;
+    ctx.font = 'bold 26px sans-serif';
+    ctx.textAlign = 'left';
+    const textW = PANEL_PX_W - FOLDER_TEXT_X - ROW_TEXT_X;
+    ctx.fillText(truncateToWidth(t('vr.bookmarks.saveForLater'), ROW_TITLE_EM - 2), FOLDER_TEXT_X, top + 32, textW);
+    ctx.fillStyle = c.rowUrl;
+    ctx.font = '20px sans-serif';
+    ctx.fillText(truncateToWidth(t('vr.bookmarks.saveForLaterHint'), ROW_URL_EM - 3), FOLDER_TEXT_X, top + 58, textW);
+  }
+
+  /** A folder row: a drawn folder glyph, the name, and how much it holds. */
+  _drawFolderRow(ctx, entry, top, c) {
+    ctx.fillStyle = c.folderIcon;
+    ctx.fillRect(ROW_TEXT_X, top + 20, 16, 6);      // the folder's tab
+    ctx.fillRect(ROW_TEXT_X, top + 24, 36, 26);     // its body
+    ctx.fillStyle = c.rowTitle;
+    ctx.font = 'bold 26px sans-serif';
+    ctx.textAlign = 'left';
+    const textW = PANEL_PX_W - FOLDER_TEXT_X - DELETE_ZONE_W;
+    ctx.fillText(truncateToWidth(entry.name, ROW_TITLE_EM - 2), FOLDER_TEXT_X, top + 32, textW);
+    ctx.fillStyle = c.rowUrl;
+    ctx.font = '20px sans-serif';
+    ctx.fillText(`${entry.count} ${t('vr.bookmarks.folderItems')}`, FOLDER_TEXT_X, top + 58, textW);
+    // A chevron where bookmark rows have their ✕: this row opens, it does not delete.
+    ctx.font = 'bold 32px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText('›', PANEL_PX_W - DELETE_ZONE_W / 2, top + ROW_H / 2 + 11);
+  }
+
   _drawTab(ctx, label, x, active, c) {
     const tab = active ? c.tabActive : c.tabInactive;
     ctx.fillStyle = tab.bg;
-    ctx.fillRect(x + 8, 12, 204, HEADER_H - 24);
+    ctx.fillRect(x + 8, 12, TAB_W - 16, HEADER_H - 24);
     ctx.fillStyle = tab.text;
-    ctx.font = 'bold 30px sans-serif';
+    ctx.font = 'bold 24px sans-serif';
     ctx.textAlign = 'center';
-    ctx.fillText(label, x + 110, HEADER_H / 2 + 11);
+    ctx.fillText(label, x + TAB_W / 2, HEADER_H / 2 + 9, TAB_W - 24);
   }
 
   // ── Lifecycle ───────────────────────────────────────────────────────────────
@@ -12,13 +12,14 @@ import * as THREE from 'three';
 import { configureUITexture } from '../ui/canvasTexture.js';
 import { WebPanel } from './WebPanel.js';
 import { t } from '../../i18n/i18n.js';
+import { MAX_CLOSED_TABS } from './tabSession.js';
 import {
   STRIP_W, STRIP_H, STRIP_CANVAS_W, STRIP_CANVAS_H,
   STRIP_NEW_TAB_PX, STRIP_TAB_MAX_PX, tabWidthPx, tabCloseZonePx
 } from './panelGeometry.js';
 
 
-const MAX_TABS = 8;
+export const MAX_TABS = 8;
 
 export class TabManager {
   /**
@@ -40,6 +41,19 @@ export class TabManager {
    *   called with (controller) when a panel's move bar is selected.
    * @param {Function} [opts.onMoveBarHoverCaption] — forwarded to every WebPanel;
    *   called with no args on move bar hover-enter.
+   * @param {Function} [opts.onSessionChange] — called with sessionSnapshot()
+   *   whenever it changes (tabs opened, closed, switched or navigated, a
+   *   reader scrolled, curved toggled), so VRApp can persist it.
+   * @param {Function} [opts.loadSavedArticle] — forwarded to every WebPanel;
+   *   the reading list's offline copy of a page.
+   * @param {Function} [opts.onReaderProgress] — forwarded to every WebPanel;
+   *   called with (url, {scroll, progress}) as a reader scrolls.
+   * @param {Function} [opts.onReaderText] — forwarded to every WebPanel;
+   *   called with (url, snapshot) when a page's reader text has loaded.
+   * @param {Function} [opts.readAloudVoice] — forwarded to every WebPanel;
+   *   () => {rate, pitch} for reading an article aloud.
+   * @param {Function} [opts.onReadAloudError] — forwarded to every WebPanel;
+   *   called with the error code when reading aloud fails and stops.
    * @param {{x:number,y:number,z:number}} [opts.position]
    */
   constructor(opts) {
@@ -51,6 +65,12 @@ export class TabManager {
     this.tabs = [];
     this.activeIndex = -1;
     this._curved = false; // curved-screen preference, applied to every tab
+    // Recently closed tabs (sessionState snapshots), newest last, for
+    // reopenClosedTab(). Capped at MAX_CLOSED_TABS.
+    this.closedTabs = [];
+    // Set while restoreSession() rebuilds the tabs, so the half-built session
+    // is not written back over the one being read.
+    this._restoring = false;
 
     /**
      * One managed transform for the whole browser window.
@@ -247,7 +267,13 @@ export class TabManager {
       onGrabRequested: this.opts.onGrabRequested || null,
       onMoveBarHoverCaption: this.opts.onMoveBarHoverCaption || null,
       onBlockedNavigation: this.opts.onBlockedNavigation || null,
-      readerProxyUrl: this.opts.readerProxyUrl || ''
+      readerProxyUrl: this.opts.readerProxyUrl || '',
+      loadSavedArticle: this.opts.loadSavedArticle || null,
+      onReaderProgress: this.opts.onReaderProgress || null,
+      onReaderText: this.opts.onReaderText || null,
+      readAloudVoice: this.opts.readAloudVoice || null,
+      onReadAloudError: this.opts.onReadAloudError || null,
+      onStateChange: () => this._sessionChanged()
     });
     panel.addToScene(this.rootGroup);
     panel.group.position.set(0, 0, 0); // local to rootGroup
@@ -263,6 +289,7 @@ export class TabManager {
       panel.navigate(url);
     }
     this._drawStrip();
+    this._sessionChanged();
     return panel;
   }
 
@@ -275,6 +302,11 @@ export class TabManager {
       return;
     }
 
+    const state = panel.sessionState ? panel.sessionState() : { url: panel.currentUrl };
+    if (state.url) {
+      this.closedTabs.push(state);
+      this.closedTabs.splice(0, this.closedTabs.length - MAX_CLOSED_TABS);
+    }
     panel.dispose();
     this.tabs.splice(index, 1);
 
@@ -285,11 +317,43 @@ export class TabManager {
       this.setActive(this.activeIndex);
     }
     this._drawStrip();
+    this._sessionChanged();
     if (this.opts.onTabClose) {
       this.opts.onTabClose();
     }
   }
 
+  /**
+   * Reopen the most recently closed tab — its page, reading position and
+   * back/forward stack — as the active tab.
+   * @returns {object|null} the reopened WebPanel, or null when nothing was
+   *   closed or MAX_TABS is reached (onMaxTabsReached fires for the latter)
+   */
+  reopenClosedTab() {
+    if (!this.closedTabs.length) {
+      return null;
+    }
+    const panel = this.newTab();
+    if (!panel) {
+      return null;
+    }
+    const state = this.closedTabs.pop();
+    if (panel.restoreSessionState) {
+      panel.restoreSessionState(state);
+    } else {
+      panel.navigate(state.url);
+    }
+    this._drawStrip();
+    this._sessionChanged();
+    return panel;
+  }
+
+  /** Forget recently closed tabs (they are browsing history). */
+  clearClosedTabs() {
+    this.closedTabs = [];
+    this._sessionChanged();
+  }
+
   /**
    * Make the tab at index visible and hide all others.
    */
@@ -303,7 +367,10 @@ export class TabManager {
       // original fixed spot and discard any grab-to-move placement.
       panel.setVisible(i === index);
     });
+    // A tab restored in the background loads when it is first looked at.
+    this.tabs[index].resumeDeferredLoad?.();
     this._drawStrip();
+    this._sessionChanged();
     if (this.opts.onTabActivate) {
       this.opts.onTabActivate(this.tabs[index].currentUrl || '');
     }
@@ -331,9 +398,68 @@ export class TabManager {
         panel.setCurved(this._curved);
       }
     });
+    this._sessionChanged();
     return this._curved;
   }
 
+  // ── Session restore ───────────────────────────────────────────────────────
+
+  /**
+   * Everything needed to reopen this window as it is (see tabSession.js).
+   * @returns {{tabs: Array<object>, activeIndex: number, curved: boolean, closed: Array<object>}}
+   */
+  sessionSnapshot() {
+    return {
+      tabs: this.tabs.map((panel) => (panel.sessionState ? panel.sessionState() : { url: panel.currentUrl || '' })),
+      activeIndex: this.activeIndex,
+      curved: this._curved,
+      closed: this.closedTabs.slice()
+    };
+  }
+
+  /**
+   * Reopen a saved session (sessionFromJson output) into an empty manager.
+   *
+   * Only the active tab fetches its page now; the others show their URL and
+   * load when first switched to. Returns false — and opens nothing — when
+   * there is no session or tabs are already open, so the caller can fall
+   * back to a blank tab.
+   *
+   * @param {object|null} session
+   * @returns {boolean} true when at least one tab was restored
+   */
+  restoreSession(session) {
+    if (!session || this.tabs.length) {
+      return false;
+    }
+    this._restoring = true;
+    try {
+      if (typeof session.curved === 'boolean') {
+        this.setCurved(session.curved);
+      }
+      this.closedTabs = session.closed.slice(-MAX_CLOSED_TABS);
+      for (const state of session.tabs.slice(0, MAX_TABS)) {
+        const panel = this.newTab();
+        if (panel && panel.restoreSessionState) {
+          panel.restoreSessionState(state, { load: false });
+        }
+      }
+    } finally {
+      this._restoring = false;
+    }
+    if (!this.tabs.length) {
+      return false;
+    }
+    this.setActive(Math.min(Math.max(session.activeIndex, 0), this.tabs.length - 1));
+    return true;
+  }
+
+  _sessionChanged() {
+    if (!this._restoring && this.opts.onSessionChange) {
+      this.opts.onSessionChange(this.sessionSnapshot());
+    }
+  }
+
   /**
    * Update the search engine used by all open tabs and remember it so newly
    * created tabs inherit the preference.
@@ -356,6 +482,9 @@ export class TabManager {
   }
 
   dispose() {
+    // Tearing the window down is not the user closing tabs: keep the saved
+    // session for next time.
+    this._restoring = true;
     this.opts.unregisterInteractable(this.stripMesh);
     this.tabs.forEach(panel => panel.dispose());
     this.tabs = [];
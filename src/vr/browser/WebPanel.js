@@ -18,24 +18,44 @@
 import * as THREE from 'three';
 import { configureUITexture } from '../ui/canvasTexture.js';
 import { buildCurvedPlaneGeometry } from './curvedGeometry.js';
-import { resolveInput, DEFAULT_SEARCH_ENGINE } from './urlResolver.js';
+import { resolveInput, resolveLinkTarget, DEFAULT_SEARCH_ENGINE } from './urlResolver.js';
 import { truncate } from './bookmarkLayout.js';
 import {
   elideUrlForDisplay, securityLevel, securityIndicator, contentStateLines, readerFetchUrl
 } from './urlDisplay.js';
-import { extractReadableText } from './readableText.js';
+import { extractReaderDocument, readerDocumentFromJson } from './readableText.js';
+import { seenBlockKeys, dedupeRepeatedBlocks, pageBreakBlock, MAX_READER_PAGES } from './pagination.js';
 import {
-  layoutReaderLines, clampReaderScroll, readerWindow, readerProgressLabel,
-  visibleLinesFor, fontPxFor, LINE_H, CONTENT_PAD,
-  readerHitTest, pageJumpLines, ARROW_W, ARROW_H, ARROW_Y0, ARROW_UP_X0, ARROW_DN_X0
+  layoutReaderLines, clampReaderScroll, readerWindow, readerProgressLabel, readerProgressFraction,
+  readerCharsetLabel, readerFooterLabel, visibleLinesFor, fontPxFor, readerFont, LINE_H, CONTENT_PAD,
+  readerHitTest, readerLinkRects, readerLinkAt, pageJumpLines,
+  ARROW_W, ARROW_H, ARROW_Y0, ARROW_UP_X0, ARROW_DN_X0
 } from './readerLayout.js';
+import {
+  readAloudSentences, sentenceAtScroll, scrollForSentence, readerLanguage, pickVoice
+} from './readAloud.js';
+import { textWidthEm } from '../ui/textWrap.js';
 import { prefersHighContrast } from '../../a11y/accessibility.js';
+import { t } from '../../i18n/i18n.js';
 import { webChromeColors, webContentColors } from './chromeColors.js';
 import {
   PANEL_W, PANEL_H, CHROME_H,
   MOVE_BAR_W, MOVE_BAR_H, MOVE_BAR_GAP, MOVE_BAR_HIT_H
 } from './panelGeometry.js';
 
+/** webContentColors key for each reader line style. */
+const READER_STYLE_COLORS = {
+  title: 'readerHeading',
+  h: 'readerHeading',
+  p: 'readerBody',
+  li: 'readerList',
+  pre: 'readerCode',
+  quote: 'readerQuote',
+  table: 'readerTable',
+  tableHead: 'readerTable',
+  caption: 'readerCaption',
+  pageBreak: 'readerPageBreak'
+};
 
 /**
  * Character budget for the URL bar, derived from its pixel width and font.
@@ -85,16 +105,41 @@ export class WebPanel {
    *   surface a status message (WCAG 4.1.3) instead of silently doing nothing.
    * @param {number} [opts.readerScale=1] — text-size multiplier for the reader
    *   viewport (compose with a11y largeTextScale at the call site).
+   * @param {Function} [opts.onStateChange] — called with no args whenever what
+   *   sessionState() returns changes (a page load, a title, a reader scroll),
+   *   so TabManager can persist the session.
+   * @param {Function} [opts.loadSavedArticle] — (url) => Promise<object|null>,
+   *   the reading list's saved copy of a page (ReadingList.article). Shown
+   *   when fetching the page fails, so back/forward and reload still work
+   *   offline on a page saved for later.
+   * @param {Function} [opts.onReaderProgress] — called with (url, {scroll,
+   *   progress}) when the user scrolls the reader, for ReadingList.setProgress.
+   * @param {Function} [opts.onReaderText] — called with (url, snapshot) once a
+   *   fetched page, with any pages stitched onto it, is on screen; snapshot is
+   *   readerSnapshot(). For the full-text history index (SearchIndex.add).
+   * @param {Function} [opts.readAloudVoice] — () => {rate, pitch}, asked for
+   *   each sentence read aloud, so a settings change is heard from the next
+   *   sentence on. Defaults to the speech engine's.
+   * @param {Function} [opts.onReadAloudError] — called with the utterance's
+   *   error code when the speech engine fails mid-article and reading stops,
+   *   so the user is told why it went quiet.
    */
   constructor({ scene, registerInteractable, unregisterInteractable, onNavigate,
     onUrlInputRequested, searchEngine, isBookmarked, onToggleBookmark, onLoadError,
     onHoverCaption, onGrabRequested, onMoveBarHoverCaption, onBlockedNavigation,
-    readerScale = 1, readerProxyUrl = '' }) {
+    readerScale = 1, readerProxyUrl = '', onStateChange, loadSavedArticle, onReaderProgress,
+    onReaderText, readAloudVoice, onReadAloudError }) {
     this.scene = scene;
     this.registerInteractable = registerInteractable;
     this.unregisterInteractable = unregisterInteractable;
     this.onNavigate = onNavigate || (() => {});
     this.onLoadError = onLoadError || (() => {});
+    this.onStateChange = typeof onStateChange === 'function' ? onStateChange : null;
+    this.loadSavedArticle = typeof loadSavedArticle === 'function' ? loadSavedArticle : null;
+    this.onReaderProgress = typeof onReaderProgress === 'function' ? onReaderProgress : null;
+    this.onReaderText = typeof onReaderText === 'function' ? onReaderText : null;
+    this.readAloudVoice = typeof readAloudVoice === 'function' ? readAloudVoice : null;
+    this.onReadAloudError = typeof onReadAloudError === 'function' ? onReadAloudError : null;
     this.onBlockedNavigation = typeof onBlockedNavigation === 'function' ? onBlockedNavigation : null;
     this.onUrlInputRequested = onUrlInputRequested || null;
     // Search engine for non-URL input (key into SEARCH_ENGINES). Defaults to
@@ -116,6 +161,17 @@ export class WebPanel {
     this.currentUrl  = '';
     this.history     = [];
     this.historyIdx  = -1;
+    // Reader scroll offset (lines) per history entry, parallel to `history`,
+    // so back/forward return to where the user was reading. Sparse: an entry
+    // never scrolled has no value and restores to the top.
+    this.historyScroll = [];
+    // Scroll offset the loading page should open at. Kept until the user
+    // scrolls, because a stitched article only grows long enough to reach it
+    // as its later pages arrive (_setReaderBlocks).
+    this._restoreScroll = 0;
+    // A restored background tab shows its URL but fetches nothing until it is
+    // first shown (resumeDeferredLoad), so restoring eight tabs is one fetch.
+    this._deferredLoad = false;
     this.loading     = false;
     this._loadError  = false; // set true on iframe onerror, cleared on next navigate
     this.domOverlaySupported = false;
@@ -129,6 +185,22 @@ export class WebPanel {
     this._readerScroll = 0;
     this._readerScale = readerScale > 0 ? readerScale : 1;
     this._readerSeq = 0; // guards against a slow fetch landing after a newer one
+    // Charset the page was served in, as reported by the proxy's
+    // x-reader-charset header ('' on the direct path, which cannot tell).
+    this._readerCharset = '';
+    // The document behind _readerLines: finalUrl, lang, byline, publishedAt
+    // and links, in the shape the proxy's /reader route returns.
+    this._readerDoc = null;
+    // Every block on screen: page one's, plus any pages stitched on after it.
+    // What readerSnapshot() saves for later.
+    this._readerBlocks = [];
+    // Hit rectangles of the links last drawn (readerLinkRects), so selection
+    // tests against exactly what is on screen.
+    this._readerLinkRects = [];
+    // Read-aloud (readAloud.js): 'idle' | 'speaking' | 'paused', the sentence
+    // being read and its index, and a token that retires the callbacks of an
+    // utterance cancelled by pause, skip or stop.
+    this._readAloud = { state: 'idle', index: -1, sentence: null, token: 0 };
     // Optional companion proxy (proxy/server.js). Empty = direct fetch only.
     this.readerProxyUrl = typeof readerProxyUrl === 'string' ? readerProxyUrl : '';
 
@@ -318,50 +390,175 @@ export class WebPanel {
    * Fetch a page's markup and render its readable text into the viewport.
    *
    * Only origins that send CORS headers are reachable from a browser context;
-   * everything else rejects and falls back to the honest 'unavailable' state.
-   * (Reaching non-CORS origins needs a server-side proxy — deliberately not
-   * built here, since that is a new network surface needing SSRF hardening.)
+   * everything else rejects and falls back to the honest 'unavailable' state,
+   * unless the optional companion proxy (proxy/server.js) is configured.
    *
-   * Uses the AbortController + clearTimeout idiom from JapaneseIME so a hung
-   * request cannot pin the panel in 'loading' forever.
+   * Page one is shown as soon as it arrives; an article split across pages
+   * then grows as the rest are stitched on (see _stitchNextPages). A document
+   * the reader cannot lay out shows the error state — or, when it is a
+   * stitched page that fails, leaves the pages already shown — instead of
+   * staying on 'loading' with the failure unhandled.
    */
   async _loadReaderText(url) {
     const seq = ++this._readerSeq;
+    try {
+      await this._readPage(url, seq);
+    } catch (e) {
+      console.warn('WebPanel: reader could not show the page', e);
+      if (seq === this._readerSeq && this._contentState !== 'reader') {
+        this._setContentState('error');
+      }
+    }
+  }
+
+  /** _loadReaderText's fetch-and-show, for navigation `seq`. */
+  async _readPage(url, seq) {
     if (typeof fetch !== 'function') {
       this._setContentState('unavailable');
       return;
     }
-    const controller = typeof AbortController === 'function' ? new AbortController() : null;
-    const timer = controller ? setTimeout(() => controller.abort(), 5000) : null;
+    let doc;
     try {
-      // Routed through the companion proxy when one is configured; otherwise a
-      // direct fetch, which only reaches CORS-enabled origins (see readerFetchUrl).
-      const fetchUrl = readerFetchUrl(url, this.readerProxyUrl);
-      const res = await fetch(fetchUrl, controller ? { signal: controller.signal } : undefined);
-      if (!res || !res.ok) {
-        throw new Error(`HTTP ${res && res.status}`);
+      doc = await this._fetchReaderPage(url);
+    } catch {
+      // Offline, or the site is down: a copy saved for later still reads.
+      const saved = await this._savedArticle(url);
+      if (seq === this._readerSeq && !(saved && this._showReaderDocument(saved, this._restoreScroll))) {
+        this._setContentState('unavailable');
       }
-      const html = await res.text();
-      // A newer navigation started while this was in flight — discard.
-      if (seq !== this._readerSeq) {
-        return;
+      return;
+    }
+    // A newer navigation started while this was in flight — discard.
+    if (seq !== this._readerSeq) {
+      return;
+    }
+    if (!this._showReaderDocument(doc, this._restoreScroll)) {
+      // Fetched, but no prose recoverable (SPA shell, or markup we can't
+      // read). Say so rather than showing a blank page.
+      this._setContentState('unavailable');
+      return;
+    }
+    if (doc.nextPage) {
+      await this._stitchNextPages(doc, url, seq);
+    }
+    // Reported once, with every page: a saved copy shown offline is not new
+    // text, so only this path reports.
+    const snapshot = seq === this._readerSeq && this.onReaderText ? this.readerSnapshot() : null;
+    if (snapshot) {
+      this.onReaderText(snapshot.url, snapshot);
+    }
+  }
+
+  /**
+   * Put a reader document on screen at line `scroll`.
+   * @returns {boolean} false when it has no readable text (nothing changes)
+   */
+  _showReaderDocument(doc, scroll) {
+    const lines = layoutReaderLines(doc.blocks, { title: doc.title, scale: this._readerScale });
+    if (!lines.length) {
+      return false;
+    }
+    this._readerLines = lines;
+    this._readerBlocks = doc.blocks;
+    this._readerScroll = scroll;
+    this._readerCharset = doc.charset || '';
+    this._readerDoc = doc;
+    this._contentState = 'reader';
+    this._drawContent();
+    this._drawChrome(); // the read-aloud button has something to read
+    return true;
+  }
+
+  /** The reading list's copy of `url`, or null (never rejects). */
+  async _savedArticle(url) {
+    if (!this.loadSavedArticle) {
+      return null;
+    }
+    try {
+      return await this.loadSavedArticle(url);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Append the following pages of a split article to the one on screen.
+   *
+   * Pages are fetched one at a time through the same path as page one, each
+   * separated by a "Page N" rule, with the headline, byline and other
+   * furniture every page repeats removed (dedupeRepeatedBlocks). Stitching
+   * stops at MAX_READER_PAGES, at a URL already read (a pager that loops), at
+   * a page that adds nothing new, or when a newer navigation starts. Where it
+   * stops short of the end, a linked rule says so, and selecting it opens the
+   * rest the ordinary way.
+   *
+   * The layout is rebuilt from all blocks after each page; lines only ever
+   * grow at the end, so the reader's scroll position stays where it was.
+   *
+   * @param {object} first page one's reader document
+   * @param {string} url   the URL page one was requested as
+   * @param {number} seq   the _readerSeq this load belongs to
+   */
+  async _stitchNextPages(first, url, seq) {
+    const visited = new Set([url, first.finalUrl].filter(Boolean));
+    const seen = seenBlockKeys(first.title, first.blocks);
+    let blocks = first.blocks.slice();
+    let next = first.nextPage;
+    let page = 2;
+    for (; next && !visited.has(next) && page <= MAX_READER_PAGES; page++) {
+      visited.add(next);
+      let doc = null;
+      try {
+        doc = await this._fetchReaderPage(next);
+      } catch {
+        doc = null;
       }
-      const { title, blocks } = extractReadableText(html);
-      const lines = layoutReaderLines(blocks, { title, scale: this._readerScale });
-      if (!lines.length) {
-        // Fetched, but no prose recoverable (SPA shell, or markup we can't
-        // read). Say so rather than showing a blank page.
-        this._setContentState('unavailable');
+      if (seq !== this._readerSeq) {
         return;
       }
-      this._readerLines = lines;
-      this._readerScroll = 0;
-      this._contentState = 'reader';
-      this._drawContent();
-    } catch {
-      if (seq === this._readerSeq) {
-        this._setContentState('unavailable');
+      if (!doc) {
+        blocks.push(pageBreakBlock(t('vr.reader.pageFailed', { page }), next));
+        next = '';
+      } else {
+        const fresh = dedupeRepeatedBlocks(seen, doc.blocks);
+        if (!fresh.length) {
+          return;
+        }
+        blocks = [...blocks, pageBreakBlock(t('vr.reader.page', { page })), ...fresh];
+        next = doc.nextPage;
       }
+      this._setReaderBlocks(blocks, first.title);
+    }
+    if (next && !visited.has(next)) {
+      this._setReaderBlocks([...blocks, pageBreakBlock(t('vr.reader.pageContinues', { page }), next)], first.title);
+    }
+  }
+
+  /** Re-lay out the reader from `blocks`, keeping the scroll position. */
+  _setReaderBlocks(blocks, title) {
+    this._readerLines = layoutReaderLines(blocks, { title, scale: this._readerScale });
+    this._readerBlocks = blocks;
+    if (this._restoreScroll) {
+      this._readerScroll = this._restoreScroll;
+    }
+    this._drawContent();
+  }
+
+  /**
+   * One page through _fetchReaderDocument with its own timeout.
+   *
+   * Uses the AbortController + clearTimeout idiom from JapaneseIME so a hung
+   * request cannot pin the panel in 'loading' forever — or stall stitching
+   * on page three.
+   *
+   * @param {string} url
+   * @returns {Promise<object>} see readerDocumentFromJson
+   */
+  async _fetchReaderPage(url) {
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), 5000) : null;
+    try {
+      return await this._fetchReaderDocument(url, controller ? { signal: controller.signal } : undefined);
     } finally {
       if (timer) {
         clearTimeout(timer);
@@ -369,6 +566,40 @@ export class WebPanel {
     }
   }
 
+  /**
+   * Fetch and extract one page, resolving to the `/reader` document shape.
+   *
+   * With a proxy configured this asks its `/reader` route, which extracts
+   * server-side and returns JSON. A proxy from before that route existed
+   * answers 404, so that (and only that) falls back to `/fetch` + local
+   * extraction; any other failure is a real failure. Without a proxy it is a
+   * direct fetch, which only reaches CORS-enabled origins (see readerFetchUrl).
+   *
+   * @param {string} url
+   * @param {object} [init] fetch options (the abort signal)
+   * @returns {Promise<object>} see readerDocumentFromJson
+   */
+  async _fetchReaderDocument(url, init) {
+    if (this.readerProxyUrl) {
+      const res = await fetch(readerFetchUrl(url, this.readerProxyUrl, 'reader'), init);
+      if (res && res.ok) {
+        return readerDocumentFromJson(await res.json());
+      }
+      if (!res || res.status !== 404) {
+        throw new Error(`HTTP ${res && res.status}`);
+      }
+    }
+    const res = await fetch(readerFetchUrl(url, this.readerProxyUrl), init);
+    if (!res || !res.ok) {
+      throw new Error(`HTTP ${res && res.status}`);
+    }
+    const html = await res.text();
+    // The proxy has already transcoded Shift_JIS / EUC-JP / ISO-2022-JP
+    // pages to UTF-8; this only records which one it was, for the footer.
+    const charset = typeof res.headers?.get === 'function' ? res.headers.get('x-reader-charset') : null;
+    return { ...extractReaderDocument(html, { baseUrl: url }), finalUrl: url, charset: charset || '' };
+  }
+
   /**
    * Draw the reader viewport: the visible slice of laid-out lines plus a
    * progress label. Follows BookmarkPanel._draw()'s conventions (window slice
@@ -384,17 +615,35 @@ export class WebPanel {
 
     ctx.textAlign = 'left';
     const lh = LINE_H * this._readerScale;
+    const scale = this._readerScale;
+    // Real glyph advances when the canvas can measure; the em model otherwise.
+    // Link text is positioned AND hit-tested with this one function.
+    const measure = typeof ctx.measureText === 'function'
+      ? (text, _fontPx, style) => {
+        ctx.font = readerFont(style, scale);
+        return ctx.measureText(text).width;
+      }
+      : (text, fontPx) => textWidthEm(text) * fontPx;
+    const spoken = this._readAloud.sentence ? this._readAloud.sentence.spans : [];
     let y = CONTENT_PAD + lh;
+    let at = this._readerScroll;
     for (const line of window) {
-      if (line.style !== 'blank' && line.text) {
-        ctx.font = `${line.style === 'p' ? '' : 'bold '}${fontPxFor(line.style, this._readerScale)}px sans-serif`;
-        ctx.fillStyle = line.style === 'p' ? col.readerBody : col.readerHeading;
-        ctx.fillText(line.text, CONTENT_PAD, y, w - 2 * CONTENT_PAD);
+      const span = spoken.find((s) => s.line === at);
+      if (span) {
+        this._drawSpokenSpan(ctx, line, span, y, { w, lh, col, measure });
+      }
+      if (line.style !== 'blank') {
+        this._drawReaderLine(ctx, line, y, { w, lh, col, measure });
       }
       y += lh;
+      at++;
     }
+    this._readerLinkRects = readerLinkRects(window, { scale: this._readerScale, measure });
 
-    const label = readerProgressLabel(this._readerScroll, total, visible);
+    const label = readerFooterLabel(
+      readerProgressLabel(this._readerScroll, total, visible),
+      readerCharsetLabel(this._readerCharset)
+    );
     if (label) {
       ctx.textAlign = 'left';
       ctx.font = '16px sans-serif';
@@ -423,9 +672,136 @@ export class WebPanel {
   }
 
   /**
-   * Selecting the content area: route to the reader's scroll arrows.
-   * Controllers and gaze both arrive here through the same registration, so
-   * one implementation serves both input modes.
+   * Draw one reader line in its style's font and colour, with the furniture
+   * its block type carries: the band behind code, the rule beside a quote,
+   * aligned cells and a header rule for tables.
+   */
+  _drawReaderLine(ctx, line, y, { w, lh, col, measure }) {
+    const x = CONTENT_PAD + (line.indent || 0);
+    const top = y - lh * 0.75;
+    if (line.style === 'pre') {
+      // Drawn even for a blank source line, so a listing is one unbroken band.
+      ctx.fillStyle = col.readerCodeBg;
+      ctx.fillRect(CONTENT_PAD, top, w - 2 * CONTENT_PAD, lh);
+    } else if (line.style === 'quote') {
+      ctx.fillStyle = col.readerQuoteBar;
+      ctx.fillRect(CONTENT_PAD, top, Math.max(2, Math.round(4 * this._readerScale)), lh);
+    }
+    if (!line.text) {
+      return;
+    }
+    const textCol = col[READER_STYLE_COLORS[line.style] || 'readerBody'];
+    ctx.font = readerFont(line.style, this._readerScale);
+    if (line.cells) {
+      ctx.fillStyle = textCol;
+      for (const cell of line.cells) {
+        ctx.fillText(cell.text, CONTENT_PAD + cell.x, y);
+      }
+      if (line.style === 'tableHead') {
+        ctx.fillStyle = col.readerTableRule;
+        ctx.fillRect(CONTENT_PAD, y + lh * 0.25 - 1, w - 2 * CONTENT_PAD, 1);
+      }
+    } else if (line.links) {
+      this._drawLinkedLine(ctx, line, y, { x, measure, textCol, linkCol: col.readerLink });
+    } else {
+      ctx.fillStyle = textCol;
+      ctx.fillText(line.text, x, y, w - CONTENT_PAD - x);
+    }
+    if (line.style === 'pageBreak') {
+      // The rule runs on from the label to the edge of the column.
+      const fontPx = fontPxFor('pageBreak', this._readerScale);
+      const x1 = x + measure(line.text, fontPx, 'pageBreak') + fontPx * 0.6;
+      if (x1 < w - CONTENT_PAD) {
+        ctx.fillStyle = textCol;
+        const thick = Math.max(1, Math.round(2 * this._readerScale));
+        ctx.fillRect(x1, Math.round(y - fontPx * 0.35), w - CONTENT_PAD - x1, thick);
+      }
+    }
+  }
+
+  /**
+   * Mark the part of a line that belongs to the sentence being read aloud: a
+   * band behind the words, and a bar in the left margin, which is what shows
+   * the position to anyone who cannot tell the band's colour from the page's.
+   * A table row is read whole, so its band spans the column.
+   */
+  _drawSpokenSpan(ctx, line, span, y, { w, lh, col, measure }) {
+    const top = y - lh * 0.75;
+    let x0 = CONTENT_PAD;
+    let x1 = w - CONTENT_PAD;
+    if (!line.cells) {
+      const x = CONTENT_PAD + (line.indent || 0);
+      const fontPx = fontPxFor(line.style, this._readerScale);
+      x0 = x + measure(line.text.slice(0, span.start), fontPx, line.style);
+      x1 = x + measure(line.text.slice(0, span.end), fontPx, line.style);
+    }
+    ctx.fillStyle = col.readerSpokenBg;
+    ctx.fillRect(x0, top, x1 - x0, lh);
+    const bar = Math.max(2, Math.round(6 * this._readerScale));
+    ctx.fillStyle = col.readerSpokenMark;
+    ctx.fillRect(Math.round((CONTENT_PAD - bar) / 2), top, bar, lh);
+  }
+
+  /**
+   * Draw one reader line that carries link spans: plain runs in the text
+   * colour, link runs in the link colour with an underline. Runs are drawn
+   * separately (not overpainted) so anti-aliased edges stay one colour, and
+   * positioned with the same `measure` the link hit rectangles are built from.
+   */
+  _drawLinkedLine(ctx, line, y, { x, measure, textCol, linkCol }) {
+    const fontPx = fontPxFor(line.style, this._readerScale);
+    const font = readerFont(line.style, this._readerScale);
+    let at = 0;
+    const run = (end, colour, underline) => {
+      if (end <= at) {
+        return;
+      }
+      const x0 = x + measure(line.text.slice(0, at), fontPx, line.style);
+      const x1 = x + measure(line.text.slice(0, end), fontPx, line.style);
+      ctx.font = font;
+      ctx.fillStyle = colour;
+      ctx.fillText(line.text.slice(at, end), x0, y);
+      if (underline) {
+        ctx.fillRect(x0, y + 3, x1 - x0, Math.max(1, Math.round(2 * this._readerScale)));
+      }
+      at = end;
+    };
+    for (const l of line.links) {
+      run(l.start, textCol, false);
+      run(l.end, linkCol, true);
+    }
+    run(line.text.length, textCol, false);
+  }
+
+  /**
+   * Follow a link selected in the reader.
+   *
+   * The href is resolved against the page's final URL (where redirects ended,
+   * which is what relative links are relative to) and passed through
+   * `resolveLinkTarget` before it can reach `navigate()`; a refused link goes to
+   * `onBlockedNavigation` exactly like a blocked address typed in the URL bar.
+   *
+   * @param {string} href
+   * @returns {boolean} true when navigation started
+   */
+  followReaderLink(href) {
+    const base = (this._readerDoc && this._readerDoc.finalUrl) || this.currentUrl;
+    const target = resolveLinkTarget(href, base);
+    if (!target) {
+      if (this.onBlockedNavigation) {
+        this.onBlockedNavigation(href);
+      }
+      return false;
+    }
+    this.navigate(target);
+    return true;
+  }
+
+  /**
+   * Selecting the content area: route to the reader's scroll arrows, or to a
+   * link under the point. Controllers, hand pinch (a hand input source's
+   * `select`) and gaze-dwell all arrive here through the same registration,
+   * so one implementation serves every input mode.
    */
   _onContentSelect(evt) {
     if (this._contentState !== 'reader' || !this.contentCanvas) {
@@ -449,6 +825,11 @@ export class WebPanel {
       this.scrollContent(-pageJumpLines(visible));
     } else if (action.type === 'scrollDown') {
       this.scrollContent(pageJumpLines(visible));
+    } else {
+      const href = readerLinkAt(this._readerLinkRects, px, py);
+      if (href) {
+        this.followReaderLink(href);
+      }
     }
   }
 
@@ -473,10 +854,24 @@ export class WebPanel {
       return false;
     }
     this._readerScroll = next;
+    this._restoreScroll = 0; // the user has taken over
     this._drawContent();
+    this._notifyStateChange();
+    this._reportReaderProgress();
     return true;
   }
 
+  /** Tell onReaderProgress where the reader is. */
+  _reportReaderProgress() {
+    if (this.onReaderProgress && this._contentState === 'reader' && this.currentUrl) {
+      const visible = visibleLinesFor(this._readerLines.length, this._readerScale);
+      this.onReaderProgress(this.currentUrl, {
+        scroll: this._readerScroll,
+        progress: readerProgressFraction(this._readerScroll, this._readerLines.length, visible)
+      });
+    }
+  }
+
   /** Set the content-area state and repaint if it changed. */
   _setContentState(state) {
     if (this._contentState === state) {
@@ -484,6 +879,7 @@ export class WebPanel {
     }
     this._contentState = state;
     this._drawContent();
+    this._drawChrome();
   }
 
   _drawChrome() {
@@ -522,26 +918,40 @@ export class WebPanel {
     ctx.fillStyle = this.loading ? col.reloadLoading : col.reloadText;
     ctx.fillText('↺', 174, h / 2 + 8);
 
+    // Read-aloud: read / pause, then skip to the next sentence. Dimmed when
+    // there is no article to read, and skip while nothing is being read.
+    const reading = this._readAloud.state;
+    const canRead = this._contentState === 'reader';
+    ctx.fillStyle = canRead ? col.btnEnabledBg : col.btnDisabledBg;
+    ctx.fillRect(212, 6, 60, h - 12);
+    ctx.fillStyle = canRead ? col.btnEnabledText : col.btnDisabledText;
+    ctx.fillText(reading === 'speaking' ? '❚❚' : '♪', 242, h / 2 + 8);
+    const canSkip = reading !== 'idle';
+    ctx.fillStyle = canSkip ? col.btnEnabledBg : col.btnDisabledBg;
+    ctx.fillRect(280, 6, 60, h - 12);
+    ctx.fillStyle = canSkip ? col.btnEnabledText : col.btnDisabledText;
+    ctx.fillText('»', 310, h / 2 + 8);
+
     // Whether the bookmark button is shown (only when wired to a store).
     const hasBookmark = !!this.onToggleBookmark;
     // URL bar: leave room for [bookmark][close] on the right when bookmarking.
     const urlRight = hasBookmark ? 136 : 72; // px from right edge to URL-bar end
-    const barW = w - 212 - urlRight;          // URL bar inner width (px)
+    const barW = w - 348 - urlRight;          // URL bar inner width (px)
     ctx.fillStyle = this._loadError ? col.urlErrorBg : col.urlBg;
-    ctx.fillRect(212, 6, barW, h - 12);
+    ctx.fillRect(348, 6, barW, h - 12);
     // The bar's fill is only 1.16:1 against the chrome background, and an empty
     // address bar has no glyph of its own — so without a border nothing marks
     // where the tap target is (WCAG 1.4.11 names text-input boundaries).
     ctx.strokeStyle = col.urlBorder;
     ctx.lineWidth = 2;
-    ctx.strokeRect(213, 7, barW - 2, h - 14);
+    ctx.strokeRect(349, 7, barW - 2, h - 14);
     // Truncate to fit the bar so a long URL can't overflow into the buttons.
     const maxChars = urlBarMaxChars(barW, this._loadError ? 17 : 18);
     ctx.textAlign = 'left';
     if (this._loadError) {
       ctx.fillStyle = col.errorText;
       ctx.font = '17px sans-serif';
-      ctx.fillText(truncate(`⚠ Failed to load: ${this.currentUrl}`, maxChars), 220, h / 2 + 6);
+      ctx.fillText(truncate(`⚠ Failed to load: ${this.currentUrl}`, maxChars), 356, h / 2 + 6);
     } else {
       // Security indicator + origin-preserving URL. The address bar is the
       // user's only signal of which site they are on, so the origin is drawn
@@ -550,7 +960,7 @@ export class WebPanel {
       // a padded subdomain chain push the real host out of view entirely.
       const level = securityLevel(this.currentUrl);
       const ind = securityIndicator(level, prefersHighContrast());
-      let x = 220;
+      let x = 356;
       if (ind.glyph) {
         ctx.fillStyle = ind.color;
         ctx.font = '18px sans-serif';
@@ -561,7 +971,7 @@ export class WebPanel {
       ctx.font = '18px monospace';
       // The glyph consumed ~26px of the bar; shrink the character budget to match.
       const urlChars = this.currentUrl
-        ? urlBarMaxChars(barW - (x - 220), 18)
+        ? urlBarMaxChars(barW - (x - 356), 18)
         : maxChars;
       const urlText = this.currentUrl
         ? elideUrlForDisplay(this.currentUrl, urlChars)
@@ -616,6 +1026,10 @@ export class WebPanel {
       this.forward();
     } else if (px < 204) {   // reload
       this.reload();
+    } else if (px < 272) {   // read aloud / pause / resume
+      this.toggleReadAloud();
+    } else if (px < 340) {   // skip to the next sentence
+      this.skipReadAloud();
     } else if (px > w - 60) { // close
       this.hide();
     } else if (hasBookmark && px >= w - 128 && px <= w - 72) { // bookmark star
@@ -624,20 +1038,28 @@ export class WebPanel {
         this._drawChrome(); // reflect the new ★/☆ state
       }
     } else {                  // URL bar — request text input
-      const prefill = this.currentUrl || 'https://';
-      if (this.onUrlInputRequested) {
-        this.onUrlInputRequested(prefill, (url) => {
-          if (url) {
-            this.navigate(url);
-          }
-        });
-      } else {
-        // Fallback: synchronous prompt (only available outside immersive VR).
-        // eslint-disable-next-line no-alert -- intentional desktop/2D fallback
-        const url = window.prompt('Enter URL', prefill);
+      this.requestUrlInput();
+    }
+  }
+
+  /**
+   * Ask for a URL to open here, pre-filled with the current one: the URL bar
+   * when it is selected, and Ctrl+L / Ctrl+T from a paired keyboard.
+   */
+  requestUrlInput() {
+    const prefill = this.currentUrl || 'https://';
+    if (this.onUrlInputRequested) {
+      this.onUrlInputRequested(prefill, (url) => {
         if (url) {
           this.navigate(url);
         }
+      });
+    } else {
+      // Fallback: synchronous prompt (only available outside immersive VR).
+      // eslint-disable-next-line no-alert -- intentional desktop/2D fallback
+      const url = window.prompt('Enter URL', prefill);
+      if (url) {
+        this.navigate(url);
       }
     }
   }
@@ -683,18 +1105,105 @@ export class WebPanel {
     url = resolved;
 
     // Trim forward history and push new entry.
+    this._rememberScroll();
     this.history = this.history.slice(0, this.historyIdx + 1);
+    this.historyScroll = this.historyScroll.slice(0, this.historyIdx + 1);
     this.history.push(url);
     this.historyIdx = this.history.length - 1;
 
     this._loadUrl(url);
   }
 
-  _loadUrl(url) {
+  /**
+   * Open a page saved for later from its snapshot (ReadingList). Nothing is
+   * fetched — not the reader text, not the iframe — so this works with no
+   * network at all. It joins the back/forward stack like navigate(); going
+   * back to it later fetches the live page, with the saved copy as the
+   * fallback (loadSavedArticle).
+   *
+   * @param {string} url
+   * @param {object} doc  the saved reader document
+   * @param {{scroll?: number}} [opts] line offset to reopen at
+   * @returns {boolean} false when the snapshot has no readable text
+   */
+  openSavedArticle(url, doc, { scroll = 0 } = {}) {
+    if (!url || !doc || !Array.isArray(doc.blocks)) {
+      return false;
+    }
+    this._rememberScroll();
+    this.stopReadAloud();
+    if (!this._showReaderDocument(doc, scroll > 0 ? scroll : 0)) {
+      return false;
+    }
+    this._readerSeq++; // abandon any fetch still in flight
+    this.history = this.history.slice(0, this.historyIdx + 1);
+    this.historyScroll = this.historyScroll.slice(0, this.historyIdx + 1);
+    this.history.push(url);
+    this.historyIdx = this.history.length - 1;
+    this._restoreScroll = 0;
+    this._deferredLoad = false;
+    this.currentUrl = url;
+    this.currentTitle = doc.title || url;
+    this.loading = false;
+    this._loadError = false;
+    // Drop the previous page's frame without loading this one.
+    this.iframe.onload = null;
+    this.iframe.onerror = null;
+    this.iframe.src = 'about:blank';
+    this._drawChrome();
+    this._notifyStateChange();
+    this._reportReaderProgress();
+    this.onNavigate(url, this.currentTitle);
+    return true;
+  }
+
+  /**
+   * The article on screen, as ReadingList.save() stores it: page one's reader
+   * document with every stitched page's blocks, under the URL it was opened
+   * as. Null unless the reader is showing a page.
+   * @returns {object|null}
+   */
+  readerSnapshot() {
+    if (this._contentState !== 'reader' || !this._readerDoc || !this.currentUrl) {
+      return null;
+    }
+    return {
+      ...this._readerDoc,
+      url: this.currentUrl,
+      title: this._readerDoc.title || this.currentTitle || this.currentUrl,
+      blocks: this._readerBlocks.slice(),
+      nextPage: ''
+    };
+  }
+
+  /**
+   * Record the reader position of the entry being left. Only a page actually
+   * on screen has a position of its own; one still loading keeps the offset
+   * it was going to open at.
+   */
+  _rememberScroll() {
+    if (this.historyIdx < 0) {
+      return;
+    }
+    this.historyScroll[this.historyIdx] = this._contentState === 'reader'
+      ? Math.max(this._readerScroll, this._restoreScroll)
+      : (this.historyScroll[this.historyIdx] || this._restoreScroll);
+  }
+
+  /**
+   * Load a URL into the panel without touching history.
+   * @param {string} url
+   * @param {number} [restoreScroll=0] reader line offset to open at
+   */
+  _loadUrl(url, restoreScroll = 0) {
+    this.stopReadAloud();
+    this._restoreScroll = restoreScroll > 0 ? restoreScroll : 0;
+    this._deferredLoad = false;
     this.currentUrl = url;
     this.loading = true;
     this._loadError = false;
     this._drawChrome();
+    this._notifyStateChange();
 
     this._setContentState('loading');
     // Reader pipeline: fetch the markup and render the readable text ourselves.
@@ -711,6 +1220,7 @@ export class WebPanel {
         title = this.iframe.contentDocument.title || url;
       } catch { /* cross-origin frame: keep the URL as the title */ }
       this.currentTitle = title;
+      this._notifyStateChange();
       // NOTE: a frame refused by X-Frame-Options / CSP frame-ancestors fires
       // `load`, not `error`, in Chromium — so reaching here does NOT mean the
       // page rendered. Combined with the fact that page pixels can never reach
@@ -729,17 +1239,24 @@ export class WebPanel {
     };
   }
 
+  /**
+   * Step back in this panel's own history, reopening the page at the line the
+   * user had read to. Each panel (each tab) has its own stack; nothing here
+   * touches `window.history`, which would navigate the WebXR app itself.
+   */
   back() {
     if (this.historyIdx > 0) {
+      this._rememberScroll();
       this.historyIdx--;
-      this._loadUrl(this.history[this.historyIdx]);
+      this._loadUrl(this.history[this.historyIdx], this.historyScroll[this.historyIdx]);
     }
   }
 
   forward() {
     if (this.historyIdx < this.history.length - 1) {
+      this._rememberScroll();
       this.historyIdx++;
-      this._loadUrl(this.history[this.historyIdx]);
+      this._loadUrl(this.history[this.historyIdx], this.historyScroll[this.historyIdx]);
     }
   }
 
@@ -772,7 +1289,253 @@ export class WebPanel {
 
   reload() {
     if (this.currentUrl) {
-      this._loadUrl(this.currentUrl);
+      this._rememberScroll();
+      this._loadUrl(this.currentUrl, this.historyScroll[this.historyIdx]);
+    }
+  }
+
+  // ── Read aloud ────────────────────────────────────────────────────────────
+
+  /** 'idle', 'speaking' or 'paused'. */
+  get readAloudState() {
+    return this._readAloud.state;
+  }
+
+  /** The page's speechSynthesis, or null where the browser has none. */
+  _speech() {
+    return globalThis.speechSynthesis && typeof globalThis.SpeechSynthesisUtterance === 'function'
+      ? globalThis.speechSynthesis
+      : null;
+  }
+
+  /**
+   * Read the article aloud from the first sentence on screen, highlighting
+   * each sentence as it is spoken and scrolling to keep it in view. Sentences
+   * are spoken one utterance each (see readAloud.js), in the page's language
+   * and at readAloudVoice()'s rate and pitch. Navigating, closing or hiding
+   * the tab stops reading.
+   *
+   * @returns {boolean} false when there is no article on screen or no speech
+   */
+  startReadAloud() {
+    if (this._contentState !== 'reader' || !this._speech()) {
+      return false;
+    }
+    const index = sentenceAtScroll(readAloudSentences(this._readerLines), this._readerScroll);
+    if (index < 0) {
+      return false;
+    }
+    if (this._readAloud.state !== 'idle') {
+      this._readAloud.token++;
+      this._speech().cancel();
+    }
+    this._speakSentence(index);
+    return true;
+  }
+
+  /**
+   * Pause reading. speechSynthesis.pause() is ignored on Android Chrome, so
+   * this cancels the sentence, and resuming reads it again from its start.
+   * @returns {boolean} false when nothing is being spoken
+   */
+  pauseReadAloud() {
+    if (this._readAloud.state !== 'speaking') {
+      return false;
+    }
+    this._readAloud.state = 'paused';
+    this._readAloud.token++;
+    this._speech()?.cancel();
+    this._drawChrome();
+    return true;
+  }
+
+  /**
+   * Carry on from the sentence reading was paused at; with nothing paused,
+   * start reading.
+   * @returns {boolean}
+   */
+  resumeReadAloud() {
+    if (this._readAloud.state === 'idle') {
+      return this.startReadAloud();
+    }
+    if (this._readAloud.state !== 'paused' || !this._speech()) {
+      return false;
+    }
+    this._speakSentence(this._readAloud.index);
+    return true;
+  }
+
+  /** The read-aloud chrome button: read, pause or resume. */
+  toggleReadAloud() {
+    return this._readAloud.state === 'speaking' ? this.pauseReadAloud() : this.resumeReadAloud();
+  }
+
+  /**
+   * Move on to the next sentence. While paused it only moves the highlight,
+   * and reading resumes from there.
+   * @returns {boolean} false when nothing is being read
+   */
+  skipReadAloud() {
+    const ra = this._readAloud;
+    if (ra.state === 'idle') {
+      return false;
+    }
+    const next = readAloudSentences(this._readerLines)[ra.index + 1];
+    if (!next) {
+      this.stopReadAloud();
+      return true;
+    }
+    if (ra.state === 'paused') {
+      ra.index++;
+      ra.sentence = next;
+      this._showSpokenSentence(next);
+      return true;
+    }
+    ra.token++;
+    this._speech()?.cancel();
+    this._speakSentence(ra.index + 1);
+    return true;
+  }
+
+  /**
+   * Stop reading and clear the highlight.
+   * @returns {boolean} false when nothing was being read
+   */
+  stopReadAloud() {
+    const ra = this._readAloud;
+    if (ra.state === 'idle') {
+      return false;
+    }
+    const wasSpeaking = ra.state === 'speaking';
+    Object.assign(ra, { state: 'idle', index: -1, sentence: null, token: ra.token + 1 });
+    if (wasSpeaking) {
+      this._speech()?.cancel();
+    }
+    this._drawContent();
+    this._drawChrome();
+    return true;
+  }
+
+  /**
+   * Speak sentence `index` of the article, then the next when it ends.
+   * Sentences are taken afresh each time, so pages stitched on while reading
+   * (_stitchNextPages) are read too: lines only grow at the end, so earlier
+   * indices stay put. Past the last sentence, reading stops.
+   */
+  _speakSentence(index) {
+    const speech = this._speech();
+    const sentence = readAloudSentences(this._readerLines)[index];
+    if (!speech || !sentence) {
+      this.stopReadAloud();
+      return;
+    }
+    const ra = this._readAloud;
+    const token = ++ra.token;
+    Object.assign(ra, { state: 'speaking', index, sentence });
+
+    const utterance = new globalThis.SpeechSynthesisUtterance(sentence.text);
+    const lang = readerLanguage(this._readerDoc, sentence.text);
+    if (lang) {
+      utterance.lang = lang;
+      const voice = pickVoice(speech.getVoices?.(), lang);
+      if (voice) {
+        utterance.voice = voice;
+      }
+    }
+    const { rate, pitch } = this.readAloudVoice ? this.readAloudVoice() : {};
+    if (rate > 0) {
+      utterance.rate = rate;
+    }
+    if (pitch > 0) {
+      utterance.pitch = pitch;
+    }
+    utterance.onend = () => {
+      if (token === ra.token) {
+        this._speakSentence(index + 1);
+      }
+    };
+    // An utterance cancelled by pause / skip / stop reports 'interrupted'
+    // with a retired token; anything else (no voice for the language, audio
+    // focus lost) ends reading rather than skipping on through the article.
+    utterance.onerror = (e) => {
+      if (token === ra.token) {
+        this.stopReadAloud();
+        if (this.onReadAloudError) {
+          this.onReadAloudError(e && e.error);
+        }
+      }
+    };
+    this._showSpokenSentence(sentence);
+    speech.speak(utterance);
+  }
+
+  /** Scroll a sentence into view if it is not, and repaint its highlight. */
+  _showSpokenSentence(sentence) {
+    const visible = visibleLinesFor(this._readerLines.length, this._readerScale);
+    const target = scrollForSentence(sentence, this._readerScroll, visible);
+    if (!this.scrollContent(target - this._readerScroll)) {
+      this._drawContent();
+    }
+    this._drawChrome();
+  }
+
+  // ── Session state ─────────────────────────────────────────────────────────
+
+  _notifyStateChange() {
+    if (this.onStateChange) {
+      this.onStateChange();
+    }
+  }
+
+  /**
+   * What session restore needs to reopen this tab as it is: the page, its
+   * title, the reading position, and the back/forward stack with a position
+   * per entry. See tabSession.js for the stored shape.
+   * @returns {{url: string, title: string, scroll: number, history: string[],
+   *   historyIdx: number, historyScroll: number[]}}
+   */
+  sessionState() {
+    this._rememberScroll();
+    const scroll = this.historyIdx >= 0 ? (this.historyScroll[this.historyIdx] || 0) : 0;
+    return {
+      url: this.currentUrl,
+      title: this.currentTitle,
+      scroll,
+      history: this.history.slice(),
+      historyIdx: this.historyIdx,
+      historyScroll: this.history.map((_, i) => this.historyScroll[i] || 0)
+    };
+  }
+
+  /**
+   * Reopen a tab from sessionState() output (validated by tabStateFromJson).
+   *
+   * @param {object} state
+   * @param {{load?: boolean}} [opts] `load: false` restores the URL, title and
+   *   stack without fetching; the page loads on resumeDeferredLoad()
+   */
+  restoreSessionState(state, { load = true } = {}) {
+    this.history = state.history.slice();
+    this.historyIdx = state.historyIdx;
+    this.historyScroll = state.historyScroll.slice();
+    this.currentTitle = state.title || '';
+    if (!state.url) {
+      return;
+    }
+    if (load) {
+      this._loadUrl(state.url, state.scroll);
+      return;
+    }
+    this.currentUrl = state.url;
+    this._restoreScroll = state.scroll;
+    this._deferredLoad = true;
+    this._drawChrome();
+  }
+
+  /** Fetch a restored page that was left unloaded; a no-op otherwise. */
+  resumeDeferredLoad() {
+    if (this._deferredLoad) {
+      this._loadUrl(this.currentUrl, this._restoreScroll);
     }
   }
 
@@ -915,6 +1678,7 @@ export class WebPanel {
   }
 
   hide() {
+    this.stopReadAloud();
     this.group.visible = false;
     this.iframe.style.display = 'none';
   }
@@ -932,6 +1696,9 @@ export class WebPanel {
    */
   setVisible(visible) {
     const v = !!visible;
+    if (!v) {
+      this.stopReadAloud(); // a tab in the background does not read on
+    }
     this.group.visible = v;
     if (this.iframe) {
       this.iframe.style.display = v ? '' : 'none';
@@ -951,6 +1718,7 @@ export class WebPanel {
   }
 
   dispose() {
+    this.stopReadAloud();
     this.disableLayerMode();
     this.unregisterInteractable(this.chromeMesh);
     this.unregisterInteractable(this.moveBarMesh);
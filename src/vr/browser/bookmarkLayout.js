@@ -1,4 +1,4 @@
-import { safeMeasureEm } from '../ui/textWrap.js';
+import { safeMeasureEm, textWidthEm, truncateToWidth } from '../ui/textWrap.js';
 /**
  * Pure layout / hit-testing helpers for the in-VR bookmark & history panel.
  *
@@ -6,12 +6,17 @@ import { safeMeasureEm } from '../ui/textWrap.js';
  * panel canvas is laid out as:
  *
  *   ┌─────────────────────────────────────┐
- *   │ [Bookmarks] [History]          [✕]   │  header (HEADER_H)
+ *   │ [Bookmarks][History][Reading]  [✕]   │  header (HEADER_H)
  *   ├─────────────────────────────────────┤
+ *   │ Bookmarks › Work › Docs              │  breadcrumb (BREADCRUMB_H),
+ *   ├─────────────────────────────────────┤  only inside a folder
  *   │ row 0                                │
  *   │ row 1                                │  rows (ROW_H each)
  *   │ …                                    │
  *   └─────────────────────────────────────┘
+ *
+ * At the top level of the bookmarks there is no breadcrumb band, so the list
+ * there (and the history list) keeps exactly the geometry it always had.
  */
 
 export const PANEL_PX_W = 1024;
@@ -22,10 +27,90 @@ export const ROW_H = 72;
 // Number of list rows that fit below the header.
 export const VISIBLE_ROWS = Math.floor((PANEL_PX_H - HEADER_H) / ROW_H);
 
+// Breadcrumb band below the header while inside a bookmark folder. As tall as
+// a row: each crumb is a gaze/ray target in its own right.
+export const BREADCRUMB_H = ROW_H;
+export const CRUMB_FONT = 24;       // bold sans
+export const CRUMB_PAD = 20;        // horizontal padding inside a crumb
+export const CRUMB_SEP_W = 32;      // the "›" between crumbs
+// A crumb is never narrower than MIN_CRUMB_W (a one-letter folder name must
+// still be hittable) nor wider than MAX_CRUMB_W (a long name is truncated so
+// the path above it stays visible).
+export const MIN_CRUMB_W = 120;
+export const MAX_CRUMB_W = 360;
+// Horizontal room for crumbs: the full width less a margin on each side.
+const CRUMB_X0 = 12;
+const CRUMB_AREA_W = PANEL_PX_W - 2 * CRUMB_X0;
+
+/**
+ * Number of list rows that fit, with or without the breadcrumb band.
+ * @param {boolean} [withBreadcrumb=false]
+ */
+export function visibleRows(withBreadcrumb = false) {
+  return withBreadcrumb
+    ? Math.floor((PANEL_PX_H - HEADER_H - BREADCRUMB_H) / ROW_H)
+    : VISIBLE_ROWS;
+}
+
+/**
+ * Lay out a folder breadcrumb: `labels[0]` is the top level, the last label
+ * the folder being shown.
+ *
+ * When the whole path does not fit, the top level and as many of the deepest
+ * folders as fit are kept, and the folders in between collapse into one "…"
+ * crumb that opens the deepest hidden one — so every crumb on screen is still
+ * a way up, and the folder you are in is always named.
+ *
+ * Widths come from textWidthEm (UAX #11), so one budget is right for Latin
+ * and Japanese folder names alike.
+ *
+ * @param {string[]} labels
+ * @returns {Array<{depth: number, label: string, x0: number, x1: number}>}
+ *   `depth` is the index into `labels` the crumb opens
+ */
+export function breadcrumbLayout(labels) {
+  const maxEm = safeMeasureEm(MAX_CRUMB_W - 2 * CRUMB_PAD, CRUMB_FONT);
+  const size = (label, depth) => {
+    const text = truncateToWidth(String(label ?? ''), maxEm);
+    const w = Math.ceil(textWidthEm(text) * CRUMB_FONT) + 2 * CRUMB_PAD;
+    return { depth, label: text, w: Math.min(MAX_CRUMB_W, Math.max(MIN_CRUMB_W, w)) };
+  };
+  const all = labels.map(size);
+  const total = (list) => list.reduce((sum, c) => sum + c.w, 0) + CRUMB_SEP_W * Math.max(0, list.length - 1);
+  let shown = all;
+  if (all.length > 2 && total(all) > CRUMB_AREA_W) {
+    // Keep the root and the current folder; add ancestors from the deep end
+    // while they fit beside the "…" crumb.
+    const tail = [all[all.length - 1]];
+    for (let i = all.length - 2; i >= 1; i--) {
+      const ellipsis = size('…', i);
+      if (total([all[0], ellipsis, all[i], ...tail]) > CRUMB_AREA_W) {
+        break;
+      }
+      tail.unshift(all[i]);
+    }
+    const hidden = tail[0].depth - 1;
+    shown = hidden >= 1 ? [all[0], size('…', hidden), ...tail] : [all[0], ...tail];
+  }
+  let x = CRUMB_X0;
+  return shown.map((c, i) => {
+    const crumb = { depth: c.depth, label: c.label, x0: x, x1: Math.min(x + c.w, PANEL_PX_W - CRUMB_X0) };
+    x += c.w + (i < shown.length - 1 ? CRUMB_SEP_W : 0);
+    return crumb;
+  });
+}
+
+// Tabs across the left of the header, TAB_W px each, in this order. Three
+// fit before the scroll arrows: the reading list (pages saved for later)
+// joined Bookmarks and History, and the tabs narrowed from 220 px to make
+// room.
+export const TABS = ['bookmarks', 'history', 'reading'];
+export const TAB_W = 160;
+
 // Width of the per-row delete (✕) button zone on the right side.
 export const DELETE_ZONE_W = 64;
 
-// Scroll arrow zones inside the header (between the history tab and close button).
+// Scroll arrow zones inside the header (between the last tab and close button).
 // ↑ arrow: 480–640 px, ↓ arrow: 660–820 px.
 export const SCROLL_UP_X0  = 480;
 export const SCROLL_UP_X1  = 640;
@@ -43,15 +128,26 @@ export const SCROLL_DN_X1  = 820;
  *   pixels of each row return `{type:'deleteRow', index}` instead of `{type:'row'}`.
  * @param {boolean} [opts.scrollZone=false]  when true, the ↑/↓ arrow regions in
  *   the header return `{type:'scrollUp'}` / `{type:'scrollDown'}`.
- * @returns {{type:'tab',tab:'bookmarks'|'history'}
+ * @param {Array<{depth:number,x0:number,x1:number}>} [opts.crumbs]  a
+ *   breadcrumbLayout(); when non-empty the breadcrumb band is present, rows
+ *   start below it, and a crumb returns `{type:'crumb', depth}`.
+ * @param {number} [opts.folderRows=0]  how many of the visible rows, from the
+ *   top, are folders; those return `{type:'folder', index}` across their whole
+ *   width (a folder row has no delete zone).
+ * @returns {{type:'tab',tab:'bookmarks'|'history'|'reading'}
  *          |{type:'close'}
  *          |{type:'scrollUp'}
  *          |{type:'scrollDown'}
+ *          |{type:'crumb',depth:number}
+ *          |{type:'folder',index:number}
  *          |{type:'row',index:number}
  *          |{type:'deleteRow',index:number}
  *          |{type:'none'}}
  */
-export function hitTest(px, py, rowCount = 0, { deleteZone = false, scrollZone = false } = {}) {
+export function hitTest(
+  px, py, rowCount = 0,
+  { deleteZone = false, scrollZone = false, crumbs = null, folderRows = 0 } = {}
+) {
   if (px < 0 || py < 0 || px > PANEL_PX_W || py > PANEL_PX_H) {
     return { type: 'none' };
   }
@@ -62,12 +158,9 @@ export function hitTest(px, py, rowCount = 0, { deleteZone = false, scrollZone =
     if (px > PANEL_PX_W - 96) {
       return { type: 'close' };
     }
-    // Two tab buttons on the left (220px each).
-    if (px < 220) {
-      return { type: 'tab', tab: 'bookmarks' };
-    }
-    if (px < 440) {
-      return { type: 'tab', tab: 'history' };
+    // Tab buttons on the left.
+    if (px < TAB_W * TABS.length) {
+      return { type: 'tab', tab: TABS[Math.floor(px / TAB_W)] };
     }
     // Scroll arrows in the middle of the header (only when scrollZone enabled).
     if (scrollZone) {
@@ -81,9 +174,23 @@ export function hitTest(px, py, rowCount = 0, { deleteZone = false, scrollZone =
     return { type: 'none' };
   }
 
+  // Breadcrumb band.
+  const withCrumbs = Array.isArray(crumbs) && crumbs.length > 0;
+  let rowsTop = HEADER_H;
+  if (withCrumbs) {
+    rowsTop += BREADCRUMB_H;
+    if (py < rowsTop) {
+      const crumb = crumbs.find(c => px >= c.x0 && px < c.x1);
+      return crumb ? { type: 'crumb', depth: crumb.depth } : { type: 'none' };
+    }
+  }
+
   // List rows.
-  const index = Math.floor((py - HEADER_H) / ROW_H);
-  if (index >= 0 && index < Math.min(rowCount, VISIBLE_ROWS)) {
+  const index = Math.floor((py - rowsTop) / ROW_H);
+  if (index >= 0 && index < Math.min(rowCount, visibleRows(withCrumbs))) {
+    if (index < folderRows) {
+      return { type: 'folder', index };
+    }
     if (deleteZone && px > PANEL_PX_W - DELETE_ZONE_W) {
       return { type: 'deleteRow', index };
     }
@@ -177,7 +284,13 @@ export function bookmarkPanelColors(highContrast = false) {
       rowZebraOdd:     'rgba(255,255,255,0.10)',
       deleteZoneBg:    '#7a0000',
       deleteText:      '#ffffff',
-      emptyText:       '#aabbcc'
+      emptyText:       '#aabbcc',
+      rowTags:         '#ffdd88',
+      folderIcon:      '#ffdd88',
+      crumbBg:         '#1a3080',
+      crumbText:       '#ffffff',
+      crumbCurrent:    '#ffffff',
+      crumbSep:        '#ccddee'
     };
   }
   return {
@@ -195,6 +308,12 @@ export function bookmarkPanelColors(highContrast = false) {
     rowZebraOdd:     'rgba(255,255,255,0.06)',
     deleteZoneBg:    'rgba(90,20,20,0.8)',
     deleteText:      '#ffaaaa',
-    emptyText:       '#8899aa'
+    emptyText:       '#8899aa',
+    rowTags:         '#b9a36a',
+    folderIcon:      '#d8b860',
+    crumbBg:         '#1f2a4d',
+    crumbText:       '#aabbff',
+    crumbCurrent:    '#e8ecff',
+    crumbSep:        '#7f8db5'
   };
 }
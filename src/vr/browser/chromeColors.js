@@ -97,6 +97,25 @@ export function webChromeColors(highContrast = false) {
  * formally exempt as an inactive control, but it is also the only thing
  * telling the reader that paging exists, so it is now `#727f96` (4.0:1).
  *
+ * `readerLink` colours followable link text and its underline. The underline
+ * is what marks a link (WCAG 1.4.1 — not colour alone); the colour only
+ * reinforces it, and is held to the same 4.5:1 as body text.
+ *
+ * Each structured block type has its own text colour — `readerList`,
+ * `readerCode` (on the `readerCodeBg` band), `readerQuote`, `readerTable`,
+ * `readerCaption` — all held to 4.5:1 on what they are drawn over. The
+ * quote's side rule is the only cue that a paragraph is quoted besides its
+ * italic face, so it is held to the 3:1 of a non-text indicator; the table
+ * header rule is decoration (the header is also bold) and is not.
+ *
+ * `readerPageBreak` is the "Page 2" label between stitched pages and the rule
+ * that runs on from it; the label is text (4.5:1) and the rule shares it.
+ *
+ * `readerSpokenBg` is the band behind the sentence being read aloud. Every
+ * reader text colour keeps 4.5:1 on it, which leaves it too close to `bg` to
+ * mark anything by itself, so `readerSpokenMark`, a bar in the left margin,
+ * carries the position at the 3:1 of a non-text indicator.
+ *
  * @param {boolean} [highContrast=false]
  * @returns {object} palette consumed by WebPanel._drawContent / _drawReader
  */
@@ -108,6 +127,18 @@ export function webContentColors(highContrast = false) {
       stateDetail:     '#dddddd',
       readerHeading:   '#ffffff',
       readerBody:      '#ffffff',
+      readerLink:      '#ffff00',
+      readerList:      '#ffffff',
+      readerCode:      '#ffffff',
+      readerCodeBg:    '#1a1a1a',
+      readerQuote:     '#ffffff',
+      readerQuoteBar:  '#ffffff',
+      readerTable:     '#ffffff',
+      readerTableRule: '#ffffff',
+      readerCaption:   '#ffffff',
+      readerPageBreak: '#ffffff',
+      readerSpokenBg:  '#0000cc',
+      readerSpokenMark: '#ffff00',
       progress:        '#ffffff',
       arrowActiveBg:   '#004adf',
       arrowActiveText: '#ffffff',
@@ -121,6 +152,18 @@ export function webContentColors(highContrast = false) {
     stateDetail:     '#8891ad',
     readerHeading:   '#ffffff',
     readerBody:      '#d6dcf0',
+    readerLink:      '#8ab4ff',
+    readerList:      '#d6dcf0',
+    readerCode:      '#b9e6c4',
+    readerCodeBg:    '#12121f',
+    readerQuote:     '#c3c9e0',
+    readerQuoteBar:  '#6a78a8',
+    readerTable:     '#d6dcf0',
+    readerTableRule: '#3c4466',
+    readerCaption:   '#aab2cc',
+    readerPageBreak: '#aab2cc',
+    readerSpokenBg:  '#333d6b',
+    readerSpokenMark: '#ffcc44',
     progress:        '#7788aa',
     arrowActiveBg:   'rgba(50,80,140,0.9)',
     arrowActiveText: '#aabbff',
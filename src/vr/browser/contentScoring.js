@@ -0,0 +1,409 @@
+/**
+ * Readability-style main-content scoring for the reader.
+ *
+ * `mainRegion` used to take the first `<article>`/`<main>` by regex and fall
+ * back to the whole document, so on the many sites that declare neither —
+ * most blogs, older news sites, nearly every Japanese news site — the reader
+ * showed the cookie banner, the "related articles" rail and the comment thread
+ * along with the story. And where `<article>` *was* used, it was as often a
+ * teaser card in a sidebar as the story itself.
+ *
+ * This scores the document the way Mozilla's Readability does, cut down to
+ * what a regex walker can do without a DOM:
+ *   1. drop elements whose class/id says they are not content (comments,
+ *      sidebars, share bars, cookie notices…), unless that would remove most
+ *      of the page
+ *   2. give every paragraph a score — one point, plus one per comma, plus one
+ *      per 100 characters up to three — and add it to its parent, half to its
+ *      grandparent, and a third per level further up
+ *   3. weight each container by its tag and class/id hints, then scale by
+ *      `1 − link density`, so link lists lose however long they are
+ *   4. take the best container, with any siblings that scored close to it
+ *
+ * The class/id hint lists follow Readability's. Same discipline as
+ * readableText.js: pure string processing, no DOM, no dependencies, so it runs
+ * in the proxy and under Jest's node environment alike.
+ */
+
+/** Class/id hints that mark an element as not content at all. */
+export const UNLIKELY_HINTS = new RegExp([
+  '(?:^|[\\s_-])ads?(?:$|[\\s_-])', '-ad-', 'ad-break', 'agegate', 'banner', 'breadcrumb', 'combx', 'comment', 'community', 'consent',
+  'cookie', 'disqus', 'editsection', 'extra', 'footer', 'gdpr', 'header', 'legends', 'menu', 'newsletter', 'pager',
+  'pagination', 'popup', 'related', 'remark', 'replies', 'rss', 'share', 'shoutbox', 'sidebar',
+  'skyscraper', 'social', 'sponsor', 'subscribe', 'supplemental'
+].join('|'), 'i');
+
+/** Hints that keep an otherwise-unlikely element, e.g. `main-sidebar-wrapper`. */
+export const MAYBE_CANDIDATE_HINTS = /and|article|body|column|content|main|shadow/i;
+
+/** Class/id hints that raise a container's score. */
+export const POSITIVE_HINTS = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story|honbun|kiji/i;
+
+/** Class/id hints that lower a container's score. */
+export const NEGATIVE_HINTS = new RegExp([
+  '-ad-', 'hidden', 'banner', 'combx', 'comment', 'com-', 'contact', 'foot', 'masthead', 'media', 'meta',
+  'outbrain', 'promo', 'ranking', 'related', 'scroll', 'share', 'shoutbox', 'sidebar', 'skyscraper',
+  'sponsor', 'shopping', 'tags', 'tool', 'widget'
+].join('|'), 'i');
+
+/** Weight of one class/id hint match. */
+export const HINT_WEIGHT = 25;
+
+/** Paragraphs shorter than this carry no signal (bylines, captions, buttons). */
+export const MIN_PARAGRAPH_CHARS = 25;
+
+/** Ancestor levels a paragraph's score propagates to. */
+export const SCORE_ANCESTOR_LEVELS = 5;
+
+/** ARIA roles that are never the article. */
+const UNLIKELY_ROLES = /^(?:alertdialog|banner|complementary|contentinfo|dialog|menu|menubar|navigation)$/i;
+
+/** Elements with no end tag. */
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+/** Elements whose presence inside a `div`/`td` makes it a container, not a paragraph. */
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'blockquote', 'div', 'dl', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'main',
+  'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
+/** Table cells: a new cell or row ends the open cell, as a browser parses it. */
+const CELL_ELEMENTS = new Set(['td', 'th']);
+
+/**
+ * How far down the open elements a start tag looks for a paragraph or cell it
+ * ends (see impliedEnd). Browsers look all the way; a bound keeps a page of
+ * thousands of nested inline elements linear.
+ */
+const IMPLIED_END_SCAN = 32;
+
+/** Never removed as unlikely, whatever their class says. */
+const NEVER_UNLIKELY = new Set(['html', 'body', 'article', 'main']);
+
+/** Starting score by tag, as Readability initialises its candidates. */
+const TAG_WEIGHT = {
+  div: 5,
+  article: 10,
+  main: 10,
+  pre: 3,
+  td: 3,
+  blockquote: 3,
+  address: -3,
+  ol: -3,
+  ul: -3,
+  dl: -3,
+  dd: -3,
+  dt: -3,
+  li: -3,
+  form: -3,
+  h1: -5,
+  h2: -5,
+  h3: -5,
+  h4: -5,
+  h5: -5,
+  h6: -5,
+  th: -5
+};
+
+/** Value of one attribute in a start tag's attribute text. */
+function attr(attrText, name) {
+  const m = new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i').exec(attrText);
+  return m ? (m[1] ?? m[2] ?? m[3] ?? '') : '';
+}
+
+/** Characters that count as text: anything but whitespace. */
+function countText(s) {
+  return s.replace(/&[a-z]+;|&#x?[0-9a-f]+;/gi, 'x').replace(/\s+/g, '').length;
+}
+
+/**
+ * Where on the stack the open element that start tag `tag` implicitly ends
+ * sits, or -1. As in an HTML parser, a block element ends the paragraph it
+ * appears in (`<p>one<p>two` is two paragraphs, not one inside the other),
+ * and a cell or row ends the open cell. The search stops at the first block
+ * or cell, past which the element is not in scope.
+ */
+function impliedEnd(stack, tag) {
+  const ends = BLOCK_ELEMENTS.has(tag) ? 'p' : (CELL_ELEMENTS.has(tag) || tag === 'tr' ? 'cell' : '');
+  if (!ends) {
+    return -1;
+  }
+  for (let i = stack.length - 1; i >= 0 && i >= stack.length - IMPLIED_END_SCAN; i--) {
+    const open = stack[i].tag;
+    if (ends === 'p' ? open === 'p' : CELL_ELEMENTS.has(open)) {
+      return i;
+    }
+    if (BLOCK_ELEMENTS.has(open) || CELL_ELEMENTS.has(open) || open === 'tr' || open === 'table') {
+      return -1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Every element of the document with its extent and text counts.
+ *
+ * One pass with a tag stack. A close tag closes the nearest open element of
+ * its name and everything opened inside it, which is how an unclosed `<li>`
+ * ends in practice; a close tag with no open match is ignored. An unclosed
+ * `<p>` or cell ends where the next block or cell starts (impliedEnd).
+ *
+ * `hasBlock` is set on every element with a block element or a cell anywhere
+ * inside it, so no two paragraphs (isParagraph) overlap: the text scored
+ * stays within the document's length, however the markup nests.
+ *
+ * @param {string} html
+ * @returns {Array<{tag: string, hints: string, role: string, hidden: boolean, open: number, start: number,
+ *   end: number, close: number, parent: object|null, text: number, linkText: number, hasBlock: boolean}>}
+ *   `open`/`close` bound the whole element, `start`/`end` its content; `text`
+ *   and `linkText` count non-whitespace characters, the latter inside `<a>`.
+ */
+export function parseElements(html) {
+  const src = String(html);
+  const elements = [];
+  const stack = [];
+  let text = 0;
+  let linkText = 0;
+  let inLink = 0;
+  let last = 0;
+  const re = /<(\/?)([a-z][a-z0-9]*)\b([^>]*)>|<!--[\s\S]*?-->|<[!?][^>]*>/gi;
+  const close = (el, at, after) => {
+    el.end = at;
+    el.close = after;
+    el.text = text - el.text;
+    el.linkText = linkText - el.linkText;
+    if (el.tag === 'a') {
+      inLink = Math.max(0, inLink - 1);
+    }
+    if (el.parent && (el.hasBlock || BLOCK_ELEMENTS.has(el.tag) || CELL_ELEMENTS.has(el.tag))) {
+      el.parent.hasBlock = true;
+    }
+  };
+  let m;
+  while ((m = re.exec(src)) !== null) {
+    const n = countText(src.slice(last, m.index));
+    text += n;
+    linkText += inLink ? n : 0;
+    last = re.lastIndex;
+    if (!m[2]) {
+      continue;
+    }
+    const tag = m[2].toLowerCase();
+    if (!m[1]) {
+      if (VOID_ELEMENTS.has(tag) || m[3].endsWith('/')) {
+        continue;
+      }
+      const ended = impliedEnd(stack, tag);
+      while (ended >= 0 && stack.length > ended) {
+        close(stack.pop(), m.index, m.index);
+      }
+      const parent = stack.length ? stack[stack.length - 1] : null;
+      const el = {
+        tag,
+        hints: `${attr(m[3], 'class')} ${attr(m[3], 'id')}`.trim(),
+        role: attr(m[3], 'role'),
+        hidden: /(?:^|\s)hidden(?:\s|=|$)/i.test(m[3].replace(/"[^"]*"|'[^']*'/g, ''))
+          || /display\s*:\s*none/i.test(attr(m[3], 'style')),
+        open: m.index,
+        start: re.lastIndex,
+        end: src.length,
+        close: src.length,
+        parent,
+        text,
+        linkText,
+        hasBlock: false
+      };
+      elements.push(el);
+      stack.push(el);
+      if (tag === 'a') {
+        inLink++;
+      }
+      continue;
+    }
+    let i = stack.length - 1;
+    while (i >= 0 && stack[i].tag !== tag) {
+      i--;
+    }
+    if (i < 0) {
+      continue;
+    }
+    while (stack.length > i) {
+      close(stack.pop(), m.index, re.lastIndex);
+    }
+  }
+  const n = countText(src.slice(last));
+  text += n;
+  linkText += inLink ? n : 0;
+  while (stack.length) {
+    close(stack.pop(), src.length, src.length);
+  }
+  return elements;
+}
+
+/** Share of an element's text that sits inside links, 0–1. */
+export function linkDensity(el) {
+  return el.text > 0 ? Math.min(1, el.linkText / el.text) : 0;
+}
+
+/** ±HINT_WEIGHT for each of the positive and negative hint lists the class/id matches. */
+export function hintWeight(hints) {
+  if (!hints) {
+    return 0;
+  }
+  return (POSITIVE_HINTS.test(hints) ? HINT_WEIGHT : 0) - (NEGATIVE_HINTS.test(hints) ? HINT_WEIGHT : 0);
+}
+
+/** Whether an element announces itself as not being content. */
+function isUnlikely(el) {
+  if (NEVER_UNLIKELY.has(el.tag)) {
+    return false;
+  }
+  if (el.hidden || UNLIKELY_ROLES.test(el.role)) {
+    return true;
+  }
+  return UNLIKELY_HINTS.test(el.hints) && !MAYBE_CANDIDATE_HINTS.test(el.hints);
+}
+
+/**
+ * The document with its unlikely elements removed (see UNLIKELY_HINTS). An
+ * element holding more than half of the page's text is kept however it is
+ * named — a `<div id="page-header-wrap">` around the whole site must not take
+ * the article with it.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function removeUnlikely(html) {
+  const src = String(html);
+  const elements = parseElements(src);
+  const total = elements.reduce((sum, el) => (el.parent ? sum : sum + el.text), 0) || countText(src);
+  let out = '';
+  let at = 0;
+  for (const el of elements) {
+    if (el.open < at || !isUnlikely(el) || el.text > total / 2) {
+      continue;
+    }
+    out += `${src.slice(at, el.open)} `;
+    at = el.close;
+  }
+  return out + src.slice(at);
+}
+
+/** Text of a paragraph, for counting its commas and length. */
+function plainText(html) {
+  return String(html).replace(/<[^<>]*>/g, ' ').replace(/&[a-z]+;|&#x?[0-9a-f]+;/gi, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Length a paragraph is credited with. A CJK character carries roughly what
+ * two Latin ones do, so without this a Japanese article would score half an
+ * English one of the same content and lose to a busy sidebar.
+ */
+function weightedLength(text) {
+  const cjk = (text.match(/[぀-ヿ㐀-鿿豈-﫿가-힯]/g) || []).length;
+  return text.length + cjk;
+}
+
+/** Whether an element is scored as a paragraph rather than as a container. */
+function isParagraph(el) {
+  // A div or cell of bare text (common on sites that lay text out with <br>)
+  // is a paragraph in all but name. Anything holding blocks is a container.
+  return (el.tag === 'p' || el.tag === 'pre' || el.tag === 'div' || el.tag === 'td' || el.tag === 'section')
+    && !el.hasBlock;
+}
+
+/** Score the containers of already-parsed elements (see scoreCandidates). */
+function rankCandidates(src, elements) {
+  const scores = new Map();
+  const candidate = (el) => {
+    if (!scores.has(el)) {
+      scores.set(el, (TAG_WEIGHT[el.tag] || 0) + hintWeight(el.hints));
+    }
+    return el;
+  };
+  for (const el of elements) {
+    if (!isParagraph(el) || !el.parent) {
+      continue;
+    }
+    const text = plainText(src.slice(el.start, el.end));
+    const len = weightedLength(text);
+    if (len < MIN_PARAGRAPH_CHARS) {
+      continue;
+    }
+    const commas = (text.match(/[,、，]/g) || []).length;
+    const score = 1 + commas + Math.min(Math.floor(len / 100), 3);
+    let node = el.parent;
+    for (let level = 0; node && level < SCORE_ANCESTOR_LEVELS; level++, node = node.parent) {
+      if (node.tag === 'html') {
+        break;
+      }
+      const divider = level === 0 ? 1 : (level === 1 ? 2 : level * 3);
+      scores.set(candidate(node), scores.get(node) + score / divider);
+    }
+  }
+  return [...scores]
+    .map(([el, score]) => ({ el, score: score * (1 - linkDensity(el)) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Score every container that holds a paragraph, best first.
+ *
+ * @param {string} html
+ * @returns {Array<{el: object, score: number}>} `el` as from parseElements;
+ *   `score` is final — tag, hints and paragraphs, scaled by `1 − linkDensity`
+ */
+export function scoreCandidates(html) {
+  const src = String(html);
+  return rankCandidates(src, parseElements(src));
+}
+
+/**
+ * Whether a sibling of the top candidate belongs to the article too:
+ * a container that scored near it, or a paragraph that reads like prose.
+ */
+function isRelatedSibling(el, html, top, scoreOf) {
+  const threshold = Math.max(10, top.score * 0.2)
+    - (el.hints && el.hints === top.el.hints ? top.score * 0.2 : 0);
+  if ((scoreOf.get(el) ?? -Infinity) >= threshold) {
+    return true;
+  }
+  if (el.tag !== 'p') {
+    return false;
+  }
+  const density = linkDensity(el);
+  const text = plainText(html.slice(el.start, el.end));
+  if (text.length > 80) {
+    return density < 0.25;
+  }
+  return text.length > 0 && density === 0 && /[.。!?！？]( |$)/.test(text);
+}
+
+/**
+ * The markup of the main content: the best-scoring container's content, or —
+ * when siblings scored close to it (an article split across several `div`s) —
+ * those siblings in document order. Empty when no paragraph scored at all,
+ * e.g. a short fragment or an SPA shell; the caller then reads the whole
+ * document.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function selectMainContent(html) {
+  const src = removeUnlikely(String(html));
+  const elements = parseElements(src);
+  const ranked = rankCandidates(src, elements);
+  if (!ranked.length) {
+    return '';
+  }
+  const top = ranked[0];
+  const scoreOf = new Map(ranked.map((c) => [c.el, c.score]));
+  const keep = elements.filter((el) => el.parent === top.el.parent
+    && (el === top.el || isRelatedSibling(el, src, top, scoreOf)));
+  if (keep.length <= 1) {
+    return src.slice(top.el.start, top.el.end);
+  }
+  return keep.map((el) => src.slice(el.open, el.close)).join('\n');
+}
@@ -0,0 +1,228 @@
+/**
+ * Multi-page articles: finding the next page, and stitching pages together.
+ *
+ * News sites split long stories across `?page=2`, `/2/`, `_2.html` and the
+ * like, and the reader used to stop at page one. Pure functions only, so the
+ * rules are unit-tested without a network; WebPanel does the fetching.
+ *
+ * The next page is taken from, in order:
+ *   1. `<link rel="next">` / `<a rel="next">` — the author saying so
+ *   2. any anchor whose URL is *this* URL with the page number one higher —
+ *      the "2" or "Next ›" of a pager
+ *
+ * (2) is deliberately structural rather than textual. "Next" also labels
+ * next-*article* links, which must never be stitched onto this one; a URL
+ * that differs from the current one only in its page number cannot be
+ * another article.
+ */
+
+/** Pages shown as one article, the first included. */
+export const MAX_READER_PAGES = 5;
+
+/**
+ * Query parameters that carry a page number. Not `p`: WordPress's plain
+ * permalinks use `?p=<post id>`, so `?p=124` beside `?p=123` is the next
+ * *post*.
+ */
+const PAGE_PARAMS = ['page', 'paged', 'pg', 'pageno', 'pagenum', 'pn'];
+
+/**
+ * A path ending in a page marker: `/page/2`, `/page2`, `_2.html`, `-2.html`.
+ * Two digits at most, so `item-123.html` → `item-124.html` (neighbouring
+ * article ids) is not read as a pager.
+ */
+const PATH_PAGE = /^(.*?)(?:\/page\/?|[_-])(\d{1,2})(\.[a-z0-9]+)?\/?$/i;
+
+/** A path ending in a bare numeric segment: `/story/2/`. */
+const PATH_SEGMENT_PAGE = /^(.*\/)([^/]+)\/(\d{1,2})\/?$/;
+
+/**
+ * Split a URL into the part every page of one article shares and the page
+ * number. An unmarked URL is page 1 of itself.
+ *
+ * Every reading is returned, because `/news/story-2.html` may be page 2 of
+ * `/news/story.html` or page 1 of itself — the caller tries them all.
+ *
+ * @param {URL} u
+ * @returns {Array<{stem: string, page: number}>}
+ */
+function pageReadings(u) {
+  const stem = (path, params) => `${u.origin}${path.replace(/\/+$/, '')}?${sortedQuery(params)}`;
+  const out = [{ stem: stem(u.pathname, u.searchParams), page: 1 }];
+  for (const name of PAGE_PARAMS) {
+    const v = u.searchParams.get(name);
+    if (v !== null && /^\d{1,3}$/.test(v)) {
+      const rest = new URLSearchParams(u.searchParams);
+      rest.delete(name);
+      out.push({ stem: stem(u.pathname, rest), page: Number(v) });
+    }
+  }
+  const m = u.pathname.match(PATH_PAGE);
+  if (m && m[1]) {
+    out.push({ stem: stem(m[1] + (m[3] || ''), u.searchParams), page: Number(m[2]) });
+  }
+  // A bare number after a date (`/2024/10/19`) is the next day, not page 19.
+  const s = u.pathname.match(PATH_SEGMENT_PAGE);
+  if (s && !/^\d+$/.test(s[2])) {
+    out.push({ stem: stem(s[1] + s[2], u.searchParams), page: Number(s[3]) });
+  }
+  return out;
+}
+
+function sortedQuery(params) {
+  return [...params.entries()].sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+    .map(([k, v]) => `${k}=${v}`).join('&');
+}
+
+function toUrl(href, base) {
+  try {
+    const u = base ? new URL(String(href).trim(), base) : new URL(String(href).trim());
+    u.hash = '';
+    return u.protocol === 'http:' || u.protocol === 'https:' ? u : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether `candidate` is the page after `current`: same article stem, page
+ * number one higher.
+ *
+ * @param {string} candidate absolute URL
+ * @param {string} current   absolute URL
+ * @returns {boolean}
+ */
+export function isNextPageOf(candidate, current) {
+  const c = toUrl(candidate);
+  const cur = toUrl(current);
+  if (!c || !cur || c.origin !== cur.origin || c.toString() === cur.toString()) {
+    return false;
+  }
+  const here = pageReadings(cur);
+  return pageReadings(c).some((next) => next.page > 1
+    && here.some((r) => r.stem === next.stem && r.page === next.page - 1));
+}
+
+/** `href` of each start tag matching `re`, with its parsed `rel` tokens. */
+function anchors(html, re) {
+  const out = [];
+  for (const tag of String(html).match(re) || []) {
+    const href = tag.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    const rel = tag.match(/\brel\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    if (href) {
+      out.push({
+        href: (href[1] ?? href[2] ?? href[3]).replace(/&amp;/g, '&'),
+        rel: rel ? (rel[1] ?? rel[2] ?? rel[3]).toLowerCase().split(/\s+/) : []
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * The URL of the page after this one, or '' when there is none.
+ *
+ * Only same-origin http(s) URLs are returned: a `rel="next"` pointing at
+ * another site is somebody else's page, not the rest of this article.
+ *
+ * @param {string} html    the full page, not the reader region — pagers and
+ *   `<link>` sit outside the article
+ * @param {string} pageUrl where the page was fetched from (after redirects)
+ * @returns {string}
+ */
+export function findNextPageUrl(html, pageUrl) {
+  const here = toUrl(pageUrl);
+  if (!here) {
+    return '';
+  }
+  const links = [...anchors(html, /<link\b[^>]*>/gi), ...anchors(html, /<a\b[^>]*>/gi)];
+  const resolved = links
+    .map((l) => ({ url: toUrl(l.href, here), rel: l.rel }))
+    .filter((l) => l.url && l.url.origin === here.origin && l.url.toString() !== here.toString());
+  const declared = resolved.find((l) => l.rel.includes('next'));
+  if (declared) {
+    return declared.url.toString();
+  }
+  const numbered = resolved.find((l) => isNextPageOf(l.url.toString(), here.toString()));
+  return numbered ? numbered.url.toString() : '';
+}
+
+/** "(2/3)", "– Page 2", "Page 2 of 3", "2ページ目" at the end of a heading. */
+const PAGE_SUFFIX = /\s*(?:[-–—|:]\s*)?(?:[(（]\s*\d+\s*[/／]\s*\d+\s*[)）]|page\s*\d+(?:\s*of\s*\d+)?|\d+\s*ページ目?)\s*$/i;
+
+/** Identity of a block for de-duplication across pages. */
+function blockKey(b) {
+  const text = String(b.text || '').replace(/\s+/g, ' ').trim();
+  return `${b.type}\u0000${b.type === 'h' ? text.replace(PAGE_SUFFIX, '') : text}`;
+}
+
+/**
+ * Keys of blocks already shown, seeded with the article title — page 2
+ * usually repeats it as its first heading.
+ *
+ * @param {string} title
+ * @param {Array<{type: string, text: string}>} blocks
+ * @returns {Set<string>}
+ */
+export function seenBlockKeys(title, blocks) {
+  const seen = new Set(title ? [blockKey({ type: 'h', text: title })] : []);
+  for (const b of blocks) {
+    seen.add(blockKey(b));
+  }
+  return seen;
+}
+
+/**
+ * A later page's blocks without what earlier pages already showed.
+ *
+ * Each page of a split article carries the same furniture the extractor
+ * could not tell from the story: the headline (sometimes with "(2/3)"
+ * appended), the byline, a standfirst, an author box at the foot. Those are
+ * dropped from the start and end of the page, and a repeated heading is
+ * dropped wherever it is. A repeated paragraph in the middle is kept — it is
+ * story text that happens to recur, and dropping it would change the story.
+ *
+ * `seen` is extended with the blocks kept, so it can be passed page after
+ * page. An empty result means the page added nothing (a site that ignores
+ * the page parameter and serves page 1 again) and stitching should stop.
+ *
+ * @param {Set<string>} seen from seenBlockKeys
+ * @param {Array<{type: string, text: string}>} blocks
+ * @returns {Array<object>}
+ */
+export function dedupeRepeatedBlocks(seen, blocks) {
+  const list = Array.isArray(blocks) ? blocks : [];
+  let start = 0;
+  let end = list.length;
+  while (start < end && seen.has(blockKey(list[start]))) {
+    start++;
+  }
+  while (end > start && seen.has(blockKey(list[end - 1]))) {
+    end--;
+  }
+  const kept = list.slice(start, end).filter((b) => !(b.type === 'h' && seen.has(blockKey(b))));
+  for (const b of kept) {
+    seen.add(blockKey(b));
+  }
+  return kept;
+}
+
+/**
+ * The separator block between stitched pages. Not an extracted block type —
+ * only stitching makes one — and laid out as a `pageBreak` rule.
+ *
+ * With `href` the whole label is a link, used where stitching stopped short
+ * (a page that failed to load, or the page cap) so the rest is one selection
+ * away.
+ *
+ * @param {string} text
+ * @param {string} [href]
+ * @returns {{type: 'page', text: string, links?: Array<{start: number, end: number, href: string}>}}
+ */
+export function pageBreakBlock(text, href = '') {
+  const block = { type: 'page', text };
+  if (href) {
+    block.links = [{ start: 0, end: text.length, href }];
+  }
+  return block;
+}
@@ -0,0 +1,172 @@
+/**
+ * Read-aloud for the reader view: the laid-out reader lines as sentences to
+ * speak, where each one sits on screen, and the voice to speak them in.
+ *
+ * WebPanel speaks one sentence per utterance. That is what lets it highlight
+ * the sentence being read and scroll it into view, and it is also what makes
+ * pause and resume work at all: Chrome on Android (Quest Browser) ignores
+ * speechSynthesis.pause(), so pausing cancels the utterance and resuming
+ * speaks the sentence again from its start.
+ *
+ * Sentences are cut at terminal punctuation — `.`, `!`, `?` followed by a
+ * space, and 。！？ anywhere — and never run across a paragraph, heading,
+ * list item or table row. Abbreviations ("Mr. Smith") split too, which only
+ * costs a short pause. Code listings and the "Page 2" rules between stitched
+ * pages are not read.
+ *
+ * Pure, for tests.
+ */
+
+/** Reader line styles that are not read out. */
+const UNSPOKEN_STYLES = new Set(['blank', 'pre', 'pageBreak']);
+/** The marker layoutReaderLines puts at the start of a list item's first row. */
+const LIST_MARKER = /^(?:[•◦▪]|\d+\.)\s/u;
+/** Scripts written without spaces: wrapped rows of them join with none. */
+const UNSPACED = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u3000-\u303f\uff01-\uff60]/u;
+const KANA = /[\p{Script=Hiragana}\p{Script=Katakana}]/u;
+const SENTENCE_END = /[.!?…]+["'”’)\]]*(?=\s|$)|[。！？]+[」』）"”’]*/gu;
+const SPEAKABLE = /[\p{L}\p{N}]/u;
+
+/**
+ * The sentences of an article, in reading order.
+ *
+ * Each has the text to speak and `spans`, the part of each reader line it
+ * covers as offsets into that line's `text`, so the sentence can be
+ * highlighted where it was drawn. Wrapped rows are joined with a space, or
+ * with none between Japanese characters.
+ *
+ * @param {Array<{text: string, style: string, cells?: Array}>} lines  layoutReaderLines output
+ * @returns {Array<{text: string, spans: Array<{line: number, start: number, end: number}>}>}
+ */
+export function readAloudSentences(lines) {
+  const sentences = [];
+  let unit = null;
+
+  const finish = () => {
+    if (unit) {
+      splitSentences(unit, sentences);
+    }
+    unit = null;
+  };
+
+  (Array.isArray(lines) ? lines : []).forEach((line, i) => {
+    if (!line || UNSPOKEN_STYLES.has(line.style) || !line.text || !line.text.trim()) {
+      finish();
+      return;
+    }
+    const marker = line.style === 'li' ? (line.text.match(LIST_MARKER) || [''])[0] : '';
+    // A table row is read on its own; a list item's first row starts a new item.
+    if (!unit || unit.style !== line.style || unit.table || line.cells || marker) {
+      finish();
+      unit = { style: line.style, table: !!line.cells, text: '', parts: [] };
+    }
+    const own = line.text.slice(marker.length);
+    const join = unit.text && !(UNSPACED.test(unit.text.slice(-1)) || UNSPACED.test(own[0])) ? ' ' : '';
+    unit.text += join;
+    unit.parts.push({ line: i, at: unit.text.length, offset: marker.length, length: own.length });
+    unit.text += own;
+  });
+  finish();
+  return sentences;
+}
+
+/** Cut one paragraph's text into sentences, mapping each back onto its lines. */
+function splitSentences(unit, out) {
+  const add = (from, to) => {
+    let start = from;
+    let end = to;
+    while (start < end && /\s/.test(unit.text[start])) {
+      start++;
+    }
+    while (end > start && /\s/.test(unit.text[end - 1])) {
+      end--;
+    }
+    const text = unit.text.slice(start, end);
+    if (!SPEAKABLE.test(text)) {
+      return;
+    }
+    const spans = unit.parts
+      .filter((p) => p.at < end && p.at + p.length > start)
+      .map((p) => ({
+        line: p.line,
+        start: p.offset + Math.max(start, p.at) - p.at,
+        end: p.offset + Math.min(end, p.at + p.length) - p.at
+      }));
+    out.push({ text, spans });
+  };
+  let from = 0;
+  for (const m of unit.text.matchAll(SENTENCE_END)) {
+    add(from, m.index + m[0].length);
+    from = m.index + m[0].length;
+  }
+  add(from, unit.text.length);
+}
+
+/**
+ * The sentence to start reading at: the first one that reaches the top of
+ * the viewport, so reading starts with what is on screen.
+ *
+ * @param {Array<{spans: Array<{line: number}>}>} sentences
+ * @param {number} scroll  the reader's first visible line
+ * @returns {number} an index into `sentences`, or -1 when none is left
+ */
+export function sentenceAtScroll(sentences, scroll) {
+  return sentences.findIndex((s) => s.spans[s.spans.length - 1].line >= scroll);
+}
+
+/**
+ * Where to scroll so a sentence being read is on screen: unchanged while it
+ * is already in full view, otherwise with its first line one below the top.
+ *
+ * @param {{spans: Array<{line: number}>}} sentence
+ * @param {number} scroll   first visible line now
+ * @param {number} visible  lines that fit
+ * @returns {number} the first visible line to show (clamped by the caller)
+ */
+export function scrollForSentence(sentence, scroll, visible) {
+  const first = sentence.spans[0].line;
+  const last = sentence.spans[sentence.spans.length - 1].line;
+  if (first >= scroll && last < scroll + visible) {
+    return scroll;
+  }
+  return Math.max(0, first - 1);
+}
+
+/**
+ * The language to read a sentence in: the page's (its `lang` attribute, as
+ * the reader document carries it), else Japanese for text with kana, else ''
+ * for the browser's default voice.
+ *
+ * @param {{lang?: string}|null} doc
+ * @param {string} text
+ * @returns {string} a BCP 47 tag, or ''
+ */
+export function readerLanguage(doc, text) {
+  const lang = doc && typeof doc.lang === 'string' ? doc.lang.trim().replace(/_/g, '-') : '';
+  if (lang) {
+    return lang;
+  }
+  return KANA.test(text) ? 'ja' : '';
+}
+
+/**
+ * A speechSynthesis voice for a language: one for the exact tag, else one
+ * for the same language ('en' takes en-GB); the user's default voice first,
+ * then a local one (it keeps working offline). Null when there is none, and
+ * the browser chooses from the utterance's `lang`.
+ *
+ * @param {SpeechSynthesisVoice[]} voices  speechSynthesis.getVoices()
+ * @param {string} lang
+ * @returns {SpeechSynthesisVoice|null}
+ */
+export function pickVoice(voices, lang) {
+  if (!lang || !Array.isArray(voices) || !voices.length) {
+    return null;
+  }
+  const tag = (value) => String(value || '').toLowerCase().replace(/_/g, '-');
+  const want = tag(lang);
+  const primary = want.split('-')[0];
+  const best = (list) => list.find((v) => v.default) || list.find((v) => v.localService) || list[0] || null;
+  return best(voices.filter((v) => tag(v.lang) === want))
+    || best(voices.filter((v) => tag(v.lang).split('-')[0] === primary));
+}
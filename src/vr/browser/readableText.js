@@ -26,9 +26,12 @@
  * carries it, and return nothing rather than garbage when it does not.
  */
 
+import { selectMainContent } from './contentScoring.js';
+import { findNextPageUrl } from './pagination.js';
+
 /** Elements whose contents are never reader text. */
 const STRIP_ELEMENTS = [
-  'script', 'style', 'noscript', 'template', 'svg', 'canvas',
+  'head', 'title', 'script', 'style', 'noscript', 'template', 'svg', 'canvas',
   'nav', 'header', 'footer', 'aside', 'form', 'iframe'
 ];
 
@@ -68,7 +71,7 @@ function safeFromCodePoint(cp) {
 
 /** Remove tags and collapse whitespace to a single-line string. */
 function textOf(html) {
-  return decodeEntities(String(html).replace(/<[^>]*>/g, ' '))
+  return decodeEntities(String(html).replace(/<[^<>]*>/g, ' '))
     .replace(/\s+/g, ' ')
     .trim();
 }
@@ -86,22 +89,12 @@ function stripNonContent(html) {
 }
 
 /**
- * Narrow to the main content region when the markup declares one. Falls back
- * to the whole document, which is why boilerplate stripping runs first.
+ * Narrow to the main content region — the best-scoring container, see
+ * contentScoring.js. Falls back to the whole document when nothing scores,
+ * which is why boilerplate stripping runs first.
  */
 function mainRegion(html) {
-  const candidates = [
-    /<article\b[^>]*>([\s\S]*?)<\/article\s*>/i,
-    /<main\b[^>]*>([\s\S]*?)<\/main\s*>/i,
-    /<[a-z]+\b[^>]*\srole\s*=\s*["']main["'][^>]*>([\s\S]*?)<\/[a-z]+\s*>/i
-  ];
-  for (const re of candidates) {
-    const m = html.match(re);
-    if (m && m[1] && textOf(m[1]).length > 200) {
-      return m[1];
-    }
-  }
-  return html;
+  return selectMainContent(html) || html;
 }
 
 /**
@@ -118,33 +111,715 @@ export function extractTitle(html) {
   return h1 ? textOf(h1[1]) : '';
 }
 
+/**
+ * Flatten a block's inline markup to one line of text, keeping each
+ * `<a href>` as a character span over that text.
+ *
+ * Whitespace handling is exactly `textOf`'s — every tag becomes a space,
+ * runs collapse, ends trim — so the text is unchanged by tracking links; the
+ * spans only say which `[start, end)` ranges of it are followable.
+ *
+ * @param {string} html inner markup of one block
+ * @param {string} [baseUrl] resolve relative hrefs against this when given
+ * @returns {{text: string, links: Array<{start: number, end: number, href: string}>}}
+ */
+export function inlineTextWithLinks(html, baseUrl = '') {
+  const src = String(html === null || html === undefined ? '' : html);
+  // Pieces are joined once at the end: appending to one string and asking it
+  // endsWith() after each link is quadratic on pages with thousands of links.
+  const pieces = [];
+  let length = 0;
+  let trailingSpace = false;
+  const links = [];
+  const append = (raw, href) => {
+    // Padded with the spaces the surrounding <a>/</a> tags would become.
+    let piece = decodeEntities(` ${raw.replace(/<[^<>]*>/g, ' ')} `).replace(/\s+/g, ' ');
+    if (trailingSpace) {
+      piece = piece.slice(1);
+    }
+    const start = length + (piece.startsWith(' ') ? 1 : 0);
+    pieces.push(piece);
+    length += piece.length;
+    trailingSpace = piece ? piece.endsWith(' ') : trailingSpace;
+    const end = trailingSpace ? length - 1 : length;
+    if (href && end > start) {
+      links.push({ start, end, href });
+    }
+  };
+
+  const re = /<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi;
+  let last = 0;
+  let m;
+  while ((m = re.exec(src)) !== null) {
+    append(src.slice(last, m.index), '');
+    append(m[2], linkHref(parseAttributes(`<a ${m[1]}>`).href, baseUrl));
+    last = re.lastIndex;
+  }
+  append(src.slice(last), '');
+
+  // Every piece starts with a space, so the text always does: drop it and
+  // shift the spans to match, then drop the trailing one.
+  const text = pieces.join('').slice(1).trimEnd();
+  return {
+    text,
+    links: links.map((l) => ({ start: l.start - 1, end: Math.min(l.end - 1, text.length), href: l.href }))
+  };
+}
+
+/**
+ * Block types the reader lays out. `h`/`p` are prose; the rest keep the
+ * structure that used to collapse into paragraphs:
+ *   - `li`     one list item — `depth` (0 = top level) and `marker` ('1.', '•')
+ *   - `pre`    preformatted text, newlines and spacing preserved
+ *   - `quote`  a blockquote paragraph
+ *   - `table`  a data table — `rows` of cell text, `header` when row 0 is <th>
+ *   - `figure` a figure's caption, or an image's alt text when it has none
+ */
+export const READER_BLOCK_TYPES = ['h', 'p', 'li', 'pre', 'quote', 'table', 'figure'];
+
+/** Unordered-list bullets by nesting depth, cycling like a browser's disc/circle/square. */
+const LIST_BULLETS = ['•', '◦', '▪'];
+
+/** Block-level start tags the extractor walks, in document order. */
+const BLOCK_START = /<(h[1-3]|p|li|blockquote|ul|ol|pre|table|figure|img)\b[^>]*>/gi;
+
+/** Start and end tags of the elements elementSpan matches. */
+const SPAN_TAGS = /<(\/?)(blockquote|ul|ol|li|pre|table|figure)\b[^>]*>/gi;
+
+/**
+ * Deepest nesting of blockquotes, lists, layout tables and figures walked as
+ * structure. Anything deeper is read as plain paragraphs: a page nested
+ * thousands deep would otherwise overflow the stack.
+ */
+const MAX_BLOCK_DEPTH = 32;
+
+/**
+ * Where every element elementSpan can be asked about ends, from one pass over
+ * the document: the offset just past its start tag → where its end tag starts
+ * (`close`) and ends (`end`). Elements left unclosed are absent.
+ *
+ * Without it each nesting level searched the rest of the document for its
+ * own end tag again, which is quadratic in the depth.
+ */
+function elementEnds(html) {
+  const ends = new Map();
+  const open = {};
+  const re = new RegExp(SPAN_TAGS.source, 'gi');
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    const tag = m[2].toLowerCase();
+    const stack = open[tag] || (open[tag] = []);
+    if (!m[1]) {
+      stack.push(re.lastIndex);
+    } else if (stack.length) {
+      ends.set(stack.pop(), { close: m.index, end: re.lastIndex });
+    }
+  }
+  return ends;
+}
+
+/**
+ * The inner markup of the element whose start tag ends at `from`, matching
+ * nested elements of the same name. An unclosed element runs to the end.
+ *
+ * When `html` is a slice of the walked document (`ctx.offset` is where it
+ * starts) the answer is looked up in `ctx.ends`; an end tag past the slice
+ * means the element is unclosed within it, as a search would find.
+ */
+function elementSpan(html, from, tag, ctx) {
+  if (ctx && ctx.ends && ctx.offset !== null) {
+    const hit = ctx.ends.get(ctx.offset + from);
+    if (hit && hit.end - ctx.offset <= html.length) {
+      return { inner: html.slice(from, hit.close - ctx.offset), end: hit.end - ctx.offset };
+    }
+    return { inner: html.slice(from), end: html.length };
+  }
+  const re = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+  re.lastIndex = from;
+  let depth = 1;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    depth += m[1] ? -1 : 1;
+    if (depth === 0) {
+      return { inner: html.slice(from, m.index), end: re.lastIndex };
+    }
+  }
+  return { inner: html.slice(from), end: html.length };
+}
+
+/**
+ * The walk context for markup that starts at `from` in the current `html` —
+ * or, with `from` null, for markup that is not a slice of it, where
+ * elementSpan has to search.
+ */
+function sliceCtx(ctx, from) {
+  return { ...ctx, offset: from === null || ctx.offset === null ? null : ctx.offset + from };
+}
+
+/** sliceCtx one container deeper. */
+function nestedCtx(ctx, from) {
+  return { ...sliceCtx(ctx, from), depth: ctx.depth + 1 };
+}
+
+/** Push a block built from inline markup, with its link spans when it has any. */
+function pushInline(blocks, block, html, ctx) {
+  const { text, links } = inlineTextWithLinks(html, ctx.baseUrl);
+  if (!text) {
+    return;
+  }
+  const out = { ...block, text };
+  if (links.length) {
+    out.links = links;
+  }
+  blocks.push(out);
+}
+
+/**
+ * Where loose text breaks into paragraphs: containers the walker does not
+ * model, and a blank line made of `<br>`s.
+ */
+const LOOSE_BREAK = new RegExp([
+  '<\\/?(?:div|section|article|main|center|dl|dt|dd|address|hr)\\b[^>]*>',
+  '<br\\s*\\/?>(?:\\s|&nbsp;)*<br\\s*\\/?>'
+].join('|'), 'gi');
+
+/**
+ * Paragraphs from text that sits outside any block element — the way many
+ * sites (most Japanese news sites among them) set an article: bare text in a
+ * `<div>`, paragraphs separated by `<br><br>`. A run that is mostly links is
+ * navigation, not prose, and is skipped.
+ */
+function pushLoose(blocks, html, ctx) {
+  for (const piece of String(html).split(LOOSE_BREAK)) {
+    const { text, links } = inlineTextWithLinks(piece, ctx.baseUrl);
+    const linked = links.reduce((n, l) => n + l.end - l.start, 0);
+    if (!text || linked > text.length / 2) {
+      continue;
+    }
+    const block = { type: ctx.quote ? 'quote' : 'p', text };
+    if (links.length) {
+      block.links = links;
+    }
+    blocks.push(block);
+  }
+}
+
+/**
+ * Text of a `<pre>`: tags removed without adding spaces (syntax highlighting
+ * wraps every token in a span), `<br>` as a newline, tabs expanded to 4-column
+ * stops, and the one newline HTML ignores after `<pre>` dropped.
+ */
+function preText(html) {
+  const raw = decodeEntities(String(html).replace(/<br\s*\/?>/gi, '\n').replace(/<[^<>]*>/g, ''))
+    .replace(/\r\n?/g, '\n')
+    .replace(/^\n/, '')
+    .replace(/\s+$/, '');
+  return raw.split('\n').map((line) => {
+    let out = '';
+    for (const ch of line) {
+      out += ch === '\t' ? ' '.repeat(4 - (out.length % 4)) : ch;
+    }
+    return out.replace(/\s+$/, '');
+  }).join('\n');
+}
+
+/**
+ * Rows of a table as cell text, with each cell's markup and where it starts
+ * in `html` kept alongside. Cells of nested tables are flattened into the
+ * outer cell they sit in.
+ * @returns {Array<{cells: string[], html: string[], from: number[], th: boolean}>}
+ */
+function tableRows(html, ctx) {
+  const rows = [];
+  let row = null;
+  let cell = null;
+  const closeCell = (at) => {
+    if (cell) {
+      row.html.push(html.slice(cell.from, at));
+      row.from.push(cell.from);
+      row.cells.push(textOf(row.html[row.html.length - 1]));
+      row.th = row.th && cell.th;
+      cell = null;
+    }
+  };
+  const re = /<(\/?)(table|tr|td|th)\b[^>]*>/gi;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    const closing = m[1] === '/';
+    const tag = m[2].toLowerCase();
+    if (tag === 'table') {
+      // A nested table stays inside its cell.
+      if (!closing) {
+        re.lastIndex = elementSpan(html, re.lastIndex, 'table', ctx).end;
+      }
+      continue;
+    }
+    closeCell(m.index);
+    if (closing) {
+      continue;
+    }
+    if (tag === 'tr' || !row) {
+      row = { cells: [], html: [], from: [], th: true };
+      rows.push(row);
+    }
+    if (tag !== 'tr') {
+      cell = { from: re.lastIndex, th: tag === 'th' };
+    }
+  }
+  closeCell(html.length);
+  return rows.filter((r) => r.cells.some(Boolean));
+}
+
+/** Longest cell a data table is expected to hold; past this it is page layout. */
+const MAX_TABLE_CELL_CHARS = 200;
+
+/** Rows kept of a data table; nobody reads further in a headset. */
+export const MAX_TABLE_ROWS = 1000;
+
+/**
+ * Whether a table is being used for page layout rather than data — marked
+ * presentational, a single cell, or holding paragraphs, lists and long runs
+ * of text. Those are read through as ordinary blocks instead of squeezed into
+ * a grid.
+ */
+function isLayoutTable(startTag, inner, rows) {
+  const role = parseAttributes(startTag).role || '';
+  return role === 'presentation' || role === 'none'
+    || (rows.length === 1 && rows[0].cells.length === 1)
+    || /<(p|h[1-3]|ul|ol|pre|blockquote|table)\b/i.test(inner)
+    || rows.some((r) => r.cells.some((c) => c.length > MAX_TABLE_CELL_CHARS));
+}
+
+/** Items of one list level, each with its own text and any nested lists. */
+function collectList(html, startTag, depth, ctx, blocks) {
+  const attrs = parseAttributes(startTag);
+  const ordered = /^<ol\b/i.test(startTag);
+  let n = Number.parseInt(attrs.start, 10);
+  n = Number.isFinite(n) ? n : 1;
+
+  // Split at this level's <li> tags only; nested lists are stepped over, so
+  // their items stay inside the item they belong to.
+  const items = [];
+  const re = /<(\/?)(ul|ol|li)\b[^>]*>/gi;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    const tag = m[2].toLowerCase();
+    if (tag !== 'li') {
+      if (!m[1]) {
+        re.lastIndex = elementSpan(html, re.lastIndex, tag, ctx).end;
+      }
+    } else if (!m[1]) {
+      if (items.length) {
+        items[items.length - 1].end = m.index;
+      }
+      items.push({ tag: m[0], from: re.lastIndex, end: html.length });
+    }
+  }
+
+  for (const item of items) {
+    const value = Number.parseInt(parseAttributes(item.tag).value, 10);
+    if (ordered && Number.isFinite(value)) {
+      n = value;
+    }
+    const marker = ordered ? `${n}.` : LIST_BULLETS[depth % LIST_BULLETS.length];
+    n++;
+    collectListItem(html.slice(item.from, item.end), marker, depth, sliceCtx(ctx, item.from), blocks);
+  }
+}
+
+/** One list item: its own text first, then its nested lists one level deeper. */
+function collectListItem(html, marker, depth, ctx, blocks) {
+  let own = '';
+  const nested = [];
+  const re = /<(ul|ol)\b[^>]*>/gi;
+  let last = 0;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    own += `${html.slice(last, m.index)} `;
+    const { inner, end } = elementSpan(html, re.lastIndex, m[1].toLowerCase(), ctx);
+    nested.push({ inner, tag: m[0], from: re.lastIndex });
+    last = end;
+    re.lastIndex = end;
+  }
+  own += html.slice(last);
+  const before = blocks.length;
+  pushInline(blocks, { type: 'li', depth, marker }, own, ctx);
+  // Drop one-word nav crumbs that survived stripping.
+  if (blocks.length > before && blocks[blocks.length - 1].text.length < 3) {
+    blocks.pop();
+  }
+  for (const list of nested) {
+    if (ctx.depth >= MAX_BLOCK_DEPTH) {
+      pushLoose(blocks, list.inner, ctx);
+    } else {
+      collectList(list.inner, list.tag, depth + 1, nestedCtx(ctx, list.from), blocks);
+    }
+  }
+}
+
+/**
+ * Walk block-level elements in document order. `ctx.quote` is set inside a
+ * blockquote, where paragraphs become `quote` blocks; `ctx.depth` counts the
+ * containers entered, up to MAX_BLOCK_DEPTH.
+ */
+function collectBlocks(html, ctx, blocks) {
+  const re = new RegExp(BLOCK_START.source, 'gi');
+  // Per tag, an offset past which it has no end tag: unclosed <p>s would
+  // otherwise each search the rest of the document.
+  const unclosed = {};
+  let last = 0;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    pushLoose(blocks, html.slice(last, m.index), ctx);
+    last = walkBlock(html, m, re, ctx, blocks, unclosed);
+  }
+  pushLoose(blocks, html.slice(last), ctx);
+}
+
+/**
+ * Emit the block whose start tag `m` matched, advancing `re` past it.
+ * @returns {number} where the text after this block begins
+ */
+function walkBlock(html, m, re, ctx, blocks, unclosed) {
+  const tag = m[1].toLowerCase();
+  if (tag === 'img') {
+    const alt = (parseAttributes(m[0]).alt || '').replace(/\s+/g, ' ').trim();
+    if (alt) {
+      blocks.push({ type: 'figure', text: alt });
+    }
+    return re.lastIndex;
+  }
+  if (tag === 'p' || tag.startsWith('h')) {
+    // Neither nests, so the first close tag ends it; an unclosed one reads
+    // as loose text.
+    const close = new RegExp(`</${tag}\\s*>`, 'gi');
+    close.lastIndex = re.lastIndex;
+    const c = re.lastIndex >= unclosed[tag] ? null : close.exec(html);
+    if (!c) {
+      unclosed[tag] = Math.min(unclosed[tag] ?? Infinity, re.lastIndex);
+      return re.lastIndex;
+    }
+    const type = tag === 'p' ? (ctx.quote ? 'quote' : 'p') : 'h';
+    pushInline(blocks, { type }, html.slice(re.lastIndex, c.index), ctx);
+    re.lastIndex = close.lastIndex;
+    return re.lastIndex;
+  }
+
+  const from = re.lastIndex;
+  const { inner, end } = elementSpan(html, from, tag, ctx);
+  re.lastIndex = end;
+  if (tag !== 'pre' && ctx.depth >= MAX_BLOCK_DEPTH) {
+    pushLoose(blocks, inner, ctx);
+  } else if (tag === 'blockquote') {
+    collectBlocks(inner, { ...nestedCtx(ctx, from), quote: true }, blocks);
+  } else if (tag === 'ul' || tag === 'ol') {
+    collectList(inner, m[0], 0, nestedCtx(ctx, from), blocks);
+  } else if (tag === 'li') {
+    // A stray item outside any list.
+    collectListItem(inner, LIST_BULLETS[0], 0, nestedCtx(ctx, from), blocks);
+  } else if (tag === 'pre') {
+    const text = preText(inner);
+    if (text.trim()) {
+      blocks.push({ type: 'pre', text });
+    }
+  } else if (tag === 'table') {
+    const rows = tableRows(inner, sliceCtx(ctx, from));
+    if (isLayoutTable(m[0], inner, rows)) {
+      // Read through: each cell as the blocks or loose text it holds.
+      for (const row of rows) {
+        row.html.forEach((cell, i) => collectBlocks(cell, nestedCtx(ctx, from + row.from[i]), blocks));
+      }
+    } else if (rows.length) {
+      const kept = rows.slice(0, MAX_TABLE_ROWS);
+      blocks.push({
+        type: 'table',
+        text: kept.map((r) => r.cells.join('\t')).join('\n'),
+        rows: kept.map((r) => r.cells),
+        header: rows[0].th
+      });
+    }
+  } else if (tag === 'figure') {
+    const cap = inner.match(/<figcaption\b[^>]*>([\s\S]*?)<\/figcaption\s*>/i);
+    if (cap) {
+      // The caption describes the image better than its alt text does, so
+      // the alt is not read out as well.
+      const rest = inner.replace(cap[0], ' ').replace(/<img\b[^>]*>/gi, ' ');
+      collectBlocks(rest, nestedCtx(ctx, null), blocks);
+      pushInline(blocks, { type: 'figure' }, cap[1], ctx);
+    } else {
+      collectBlocks(inner, nestedCtx(ctx, from), blocks);
+    }
+  }
+  return end;
+}
+
 /**
  * Extract readable blocks from an HTML document.
  *
+ * Walks the block-level elements of the main region in document order (see
+ * READER_BLOCK_TYPES for what each becomes). Tables used for page layout are
+ * read through rather than gridded, and a blockquote's paragraphs each become
+ * a `quote` block.
+ *
+ * Links inside a block are kept as `links` spans (see inlineTextWithLinks);
+ * the key is present only on blocks that have any. With `baseUrl` the hrefs
+ * are absolute; without it relative hrefs are kept as written, to be resolved
+ * against the page's final URL when followed. `pre` and `table` blocks carry
+ * no spans.
+ *
  * @param {string} html
- * @returns {{title: string, blocks: Array<{type: 'h'|'p', text: string}>}}
+ * @param {{baseUrl?: string}} [opts]
+ * @returns {{title: string, blocks: Array<{type: string, text: string,
+ *   links?: Array<{start: number, end: number, href: string}>, depth?: number, marker?: string,
+ *   rows?: string[][], header?: boolean}>}}
  */
-export function extractReadableText(html) {
+export function extractReadableText(html, opts = {}) {
   const src = String(html === null || html === undefined ? '' : html);
   const title = extractTitle(src);
   const body = mainRegion(stripNonContent(src));
-
   const blocks = [];
-  // Headings and prose, in document order.
-  const re = /<(h[1-3]|p|li|blockquote)\b[^>]*>([\s\S]*?)<\/\1\s*>/gi;
+  const ctx = { baseUrl: opts.baseUrl || '', quote: false, depth: 0, ends: elementEnds(body), offset: 0 };
+  collectBlocks(body, ctx, blocks);
+  return { title, blocks };
+}
+
+/** Cap on links returned with a reader document; a link farm is not an article. */
+export const MAX_READER_LINKS = 200;
+
+/**
+ * Attributes of a single start tag, lower-cased names → decoded values.
+ * Tolerates double, single and unquoted values in any order.
+ * @param {string} tag e.g. `<meta name="author" content="A. Writer">`
+ * @returns {Object<string, string>}
+ */
+export function parseAttributes(tag) {
+  const attrs = {};
+  const inner = String(tag || '').replace(/^<[a-z0-9]+/i, '').replace(/\/?>$/, '');
+  const re = /([a-z_:][-a-z0-9_:.]*)(?:\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/gi;
   let m;
-  while ((m = re.exec(body)) !== null) {
-    const tag = m[1].toLowerCase();
-    const text = textOf(m[2]);
-    if (!text) {
-      continue;
+  while ((m = re.exec(inner)) !== null) {
+    const name = m[1].toLowerCase();
+    if (!(name in attrs)) {
+      attrs[name] = decodeEntities(m[3] ?? m[4] ?? m[5] ?? '');
     }
-    // Drop one-word nav crumbs that survived stripping.
-    if (tag === 'li' && text.length < 3) {
+  }
+  return attrs;
+}
+
+/** `content` of the first `<meta>` whose name/property/http-equiv is one of `keys`. */
+function metaContent(html, keys) {
+  for (const tag of String(html).match(/<meta\b[^>]*>/gi) || []) {
+    const a = parseAttributes(tag);
+    const key = (a.name || a.property || a['http-equiv'] || '').toLowerCase();
+    if (keys.includes(key) && a.content && a.content.trim()) {
+      return a.content.trim();
+    }
+  }
+  return '';
+}
+
+/**
+ * Primary language of the document: `<html lang>`, else a Content-Language
+ * meta. Only the tag is returned (`ja`, `en-US`), never free text.
+ * @param {string} html
+ * @returns {string}
+ */
+export function extractLang(html) {
+  const root = String(html).match(/<html\b[^>]*>/i);
+  const fromRoot = root ? parseAttributes(root[0]).lang : '';
+  const lang = (fromRoot || metaContent(html, ['content-language'])).split(',')[0].trim();
+  return /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i.test(lang) ? lang : '';
+}
+
+/** The start tag of an element whose class marks it as a byline. */
+const BYLINE_START = new RegExp([
+  '<([a-z][a-z0-9]*)\\b[^<>]*',
+  '\\bclass\\s*=\\s*["\'][^"\'<>]*\\b(?:byline|author)\\b[^"\'<>]*["\']',
+  '[^<>]*>'
+].join(''), 'i');
+
+/**
+ * How far past a byline's start tag its end tag is looked for. A byline is a
+ * name and a date; searching further, from every unclosed candidate, made a
+ * page of them quadratic.
+ */
+const BYLINE_SCAN = 2000;
+
+/**
+ * Author line: the `author` meta, else the text of the first element whose
+ * class marks it as a byline. Read from the raw document because bylines
+ * usually sit inside the `<header>` that boilerplate stripping removes.
+ * @param {string} html
+ * @returns {string}
+ */
+export function extractByline(html) {
+  const meta = metaContent(html, ['author', 'article:author', 'dc.creator']);
+  // article:author is often a profile URL rather than a name.
+  if (meta && !/^https?:/i.test(meta)) {
+    return meta.replace(/\s+/g, ' ').slice(0, 100);
+  }
+  const src = String(html);
+  const m = BYLINE_START.exec(src);
+  if (!m) {
+    return '';
+  }
+  const from = m.index + m[0].length;
+  const rest = src.slice(from, from + BYLINE_SCAN);
+  const end = new RegExp(`<\\/${m[1]}\\s*>`, 'i').exec(rest);
+  return end ? textOf(rest.slice(0, end.index)).slice(0, 100) : '';
+}
+
+/**
+ * Publication time as an ISO-8601 string, from the article meta conventions
+ * or the first `<time datetime>`. Empty when nothing parses as a date.
+ * @param {string} html
+ * @returns {string}
+ */
+export function extractPublishedAt(html) {
+  let raw = metaContent(html, [
+    'article:published_time', 'datepublished', 'pubdate', 'publishdate', 'date', 'dc.date', 'dc.date.issued'
+  ]);
+  if (!raw) {
+    const t = String(html).match(/<time\b[^>]*\bdatetime\s*=[^>]*>/i);
+    raw = t ? parseAttributes(t[0]).datetime || '' : '';
+  }
+  const ms = Date.parse(raw);
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : '';
+}
+
+/**
+ * Links in the readable region, resolved against `baseUrl`. Only http(s)
+ * targets survive — a `javascript:` href is not somewhere the reader can go —
+ * and each URL is listed once, with the first anchor text it appeared under.
+ *
+ * @param {string} html
+ * @param {string} [baseUrl]
+ * @returns {Array<{href: string, text: string}>}
+ */
+export function extractLinks(html, baseUrl = '') {
+  const body = mainRegion(stripNonContent(String(html)));
+  const seen = new Set();
+  const links = [];
+  const re = /<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi;
+  let m;
+  while ((m = re.exec(body)) !== null && links.length < MAX_READER_LINKS) {
+    const href = resolveHref(parseAttributes(`<a ${m[1]}>`).href, baseUrl);
+    const text = textOf(m[2]);
+    if (!href || !text || seen.has(href)) {
       continue;
     }
-    blocks.push({ type: tag.startsWith('h') ? 'h' : 'p', text });
+    seen.add(href);
+    links.push({ href, text });
   }
+  return links;
+}
 
-  return { title, blocks };
+/**
+ * The href a block's link span carries: absolute when a base is known, else
+ * as written — but never a `javascript:`/`mailto:`/fragment target, which is
+ * nowhere the reader can go.
+ */
+function linkHref(href, baseUrl) {
+  if (baseUrl) {
+    return resolveHref(href, baseUrl);
+  }
+  const h = String(href || '').trim();
+  if (!h || h.startsWith('#')) {
+    return '';
+  }
+  return /^[a-z][a-z0-9+.-]*:/i.test(h) && !/^https?:/i.test(h) ? '' : h;
+}
+
+/** Absolute http(s) URL for an href, or '' when it is not one. */
+function resolveHref(href, baseUrl) {
+  if (!href || href.trim().startsWith('#')) {
+    return '';
+  }
+  try {
+    const u = baseUrl ? new URL(href.trim(), baseUrl) : new URL(href.trim());
+    return u.protocol === 'http:' || u.protocol === 'https:' ? u.toString() : '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Everything the reader shows for a page, in the shape the proxy's `/reader`
+ * route returns (less `finalUrl` and `charset`, which only the fetch knows).
+ * `nextPage` is the following page of a split article (see pagination.js),
+ * found only when `baseUrl` says where this page is.
+ *
+ * @param {string} html
+ * @param {{baseUrl?: string}} [opts]
+ * @returns {{title: string, blocks: Array<object>, lang: string, byline: string,
+ *   publishedAt: string, links: Array<{href: string, text: string}>, nextPage: string}}
+ */
+export function extractReaderDocument(html, opts = {}) {
+  const src = String(html === null || html === undefined ? '' : html);
+  const { title, blocks } = extractReadableText(src, { baseUrl: opts.baseUrl || '' });
+  return {
+    title,
+    blocks,
+    lang: extractLang(src),
+    byline: extractByline(src),
+    publishedAt: extractPublishedAt(src),
+    links: extractLinks(src, opts.baseUrl || ''),
+    nextPage: opts.baseUrl ? findNextPageUrl(src, opts.baseUrl) : ''
+  };
+}
+
+/**
+ * Validate a `/reader` JSON payload before it reaches layout.
+ *
+ * The proxy is ours, but it is a separate process that may be an older or
+ * newer build than this client, so nothing about the shape is assumed: any
+ * field of the wrong type becomes its empty value, and blocks of an unknown
+ * type or without text are dropped.
+ *
+ * @param {*} json parsed response body
+ * @returns {{title: string, blocks: Array<object>, finalUrl: string, charset: string,
+ *   lang: string, byline: string, publishedAt: string, links: Array<{href: string, text: string}>,
+ *   nextPage: string}}
+ */
+export function readerDocumentFromJson(json) {
+  const o = json && typeof json === 'object' ? json : {};
+  const str = (v) => (typeof v === 'string' ? v : '');
+  const blocks = (Array.isArray(o.blocks) ? o.blocks : [])
+    .filter((b) => b && READER_BLOCK_TYPES.includes(b.type) && typeof b.text === 'string' && b.text)
+    .map((b) => {
+      const block = { type: b.type, text: b.text };
+      if (b.type === 'li') {
+        block.depth = Number.isInteger(b.depth) && b.depth >= 0 ? b.depth : 0;
+        block.marker = str(b.marker) || LIST_BULLETS[block.depth % LIST_BULLETS.length];
+      }
+      if (b.type === 'table') {
+        block.rows = (Array.isArray(b.rows) ? b.rows : [])
+          .filter(Array.isArray)
+          .slice(0, MAX_TABLE_ROWS)
+          .map((r) => r.map(str));
+        block.header = b.header === true;
+      }
+      const spans = (Array.isArray(b.links) ? b.links : []).filter((l) => l
+        && Number.isInteger(l.start) && Number.isInteger(l.end)
+        && l.start >= 0 && l.start < l.end && l.end <= b.text.length
+        && typeof l.href === 'string' && l.href);
+      if (spans.length) {
+        block.links = spans.map((l) => ({ start: l.start, end: l.end, href: l.href }));
+      }
+      return block;
+    });
+  const links = (Array.isArray(o.links) ? o.links : [])
+    .filter((l) => l && typeof l.href === 'string' && /^https?:/i.test(l.href))
+    .map((l) => ({ href: l.href, text: str(l.text) }));
+  return {
+    title: str(o.title),
+    blocks,
+    finalUrl: str(o.finalUrl),
+    charset: str(o.charset),
+    lang: str(o.lang),
+    byline: str(o.byline),
+    publishedAt: str(o.publishedAt),
+    links,
+    nextPage: /^https?:/i.test(str(o.nextPage)) ? o.nextPage : ''
+  };
 }
@@ -5,7 +5,9 @@
  * headlessly), leaving `WebPanel._drawContent()` as a thin draw call.
  */
 
-import { wrapTextToWidth, safeMeasureEm } from '../ui/textWrap.js';
+import {
+  wrapTextToWidth, safeMeasureEm, textWidthEm, charWidthEm, truncateToWidth
+} from '../ui/textWrap.js';
 
 // Content-area canvas is 1024 × 942 (PANEL_W × PANEL_H*(1-CHROME_H) at 1024px).
 export const CONTENT_PX_W = 1024;
@@ -109,13 +111,21 @@ export function measureEmFor(scale = 1) {
  * font, which overflowed the column (a long Japanese page title ran ~105px
  * past it). Each style is therefore also clamped by what its own font can fit.
  *
- * @param {'title'|'h'|'p'} style
+ * Code and tables are not prose: the comfortable-reading measure exists to
+ * make wrapped lines easy to track, and those are not wrapped — they use the
+ * whole column, so an 80-column listing splits as rarely as possible.
+ *
+ * @param {string} style a line style (see layoutReaderLines)
  * @param {number} scale
  * @returns {number} em
  */
 export function measureEmForStyle(style, scale = 1) {
   const textW = CONTENT_PX_W - 2 * CONTENT_PAD;
-  return Math.min(measureEmFor(scale), safeMeasureEm(textW, fontPxFor(style, scale)));
+  const fits = safeMeasureEm(textW, fontPxFor(style, scale));
+  if (style === 'pre' || style === 'table' || style === 'tableHead') {
+    return fits;
+  }
+  return Math.min(measureEmFor(scale), fits);
 }
 
 /**
@@ -126,6 +136,143 @@ export function maxMeasureEmForFont(fontPx) {
   return (CONTENT_PX_W - 2 * CONTENT_PAD) / Math.max(1, fontPx);
 }
 
+/**
+ * Where each wrapped row starts and ends in the text it was wrapped from.
+ *
+ * `wrapTextToWidth` joins words with a single space and drops the whitespace
+ * at a row break, so a row is not always a literal substring of its source.
+ * Walking both strings together — any space in the row consumes a whole run
+ * of whitespace in the source — recovers the offsets regardless.
+ *
+ * @param {string} text
+ * @param {string[]} rows
+ * @returns {Array<[number, number]>} `[start, end)` per row, in `text` offsets
+ */
+export function rowOffsets(text, rows) {
+  const src = String(text || '');
+  const out = [];
+  let i = 0;
+  for (const row of rows) {
+    while (i < src.length && /\s/.test(src[i])) {
+      i++;
+    }
+    const start = i;
+    for (let k = 0; k < row.length; k++) {
+      if (row[k] === ' ') {
+        while (i < src.length && /\s/.test(src[i])) {
+          i++;
+        }
+      } else {
+        i++;
+      }
+    }
+    out.push([start, i]);
+  }
+  return out;
+}
+
+/** Indent (em of the line's own font) per list nesting level. */
+export const LIST_INDENT_EM = 1.5;
+/** Nesting levels that indent further; deeper items line up with the last. */
+export const MAX_LIST_INDENT_DEPTH = 4;
+/** Indent (em) of a blockquote's text, leaving room for its rule. */
+export const QUOTE_INDENT_EM = 1.5;
+/** Indent (em) of preformatted text inside its background band. */
+export const PRE_INDENT_EM = 0.5;
+/** Indent (em) of a figure caption. */
+export const CAPTION_INDENT_EM = 1;
+/** Gap (em) between table columns. */
+export const TABLE_GAP_EM = 1.5;
+/** Columns shown of a wider table; a grid narrower than a word helps nobody. */
+export const MAX_TABLE_COLS = 8;
+
+/** Line style for a block type. */
+const BLOCK_STYLE = { h: 'h', p: 'p', li: 'li', pre: 'pre', quote: 'quote', figure: 'caption', page: 'pageBreak' };
+
+/**
+ * Split one preformatted line into rows of at most `maxEm` without touching
+ * its whitespace. Only a line wider than the column is split; nothing is
+ * ever joined, so the author's line breaks and alignment survive.
+ */
+function splitPreLine(line, maxEm) {
+  const rows = [];
+  let cur = '';
+  let w = 0;
+  for (const ch of line) {
+    const cw = charWidthEm(ch.codePointAt(0));
+    if (cur && w + cw > maxEm) {
+      rows.push(cur);
+      cur = '';
+      w = 0;
+    }
+    cur += ch;
+    w += cw;
+  }
+  rows.push(cur);
+  return rows;
+}
+
+/**
+ * Column widths (em) for a table: every column gets its natural width when
+ * they all fit; otherwise narrow columns keep theirs and the rest share what
+ * is left equally.
+ *
+ * @param {number[]} natural widest cell per column, em
+ * @param {number} budget   em available for cells (gaps excluded)
+ * @returns {number[]}
+ */
+export function fitTableColumns(natural, budget) {
+  const widths = natural.map(() => 0);
+  let left = Math.max(0, budget);
+  let open = natural.map((_, i) => i);
+  while (open.length) {
+    const share = left / open.length;
+    const fits = open.filter((i) => natural[i] <= share);
+    if (!fits.length) {
+      for (const i of open) {
+        widths[i] = share;
+      }
+      break;
+    }
+    for (const i of fits) {
+      widths[i] = natural[i];
+      left -= natural[i];
+    }
+    open = open.filter((i) => natural[i] > share);
+  }
+  return widths;
+}
+
+/**
+ * A table block as grid lines: one line per row, each cell truncated to its
+ * column and placed at a fixed x so the columns align whatever the glyphs.
+ * A row's `text` is its cells joined, for anything that reads lines as text.
+ */
+function tableLines(block, scale) {
+  const rows = (Array.isArray(block.rows) ? block.rows : []).map((r) => r.slice(0, MAX_TABLE_COLS));
+  // Reduced, not spread into Math.max: a long table would overflow the stack.
+  const cols = rows.reduce((n, r) => Math.max(n, r.length), 0);
+  const fontPx = fontPxFor('table', scale);
+  const natural = Array.from({ length: cols }, (_, c) =>
+    rows.reduce((w, r) => Math.max(w, textWidthEm(r[c] || '')), 0)
+  );
+  const widths = fitTableColumns(natural, measureEmForStyle('table', scale) - (cols - 1) * TABLE_GAP_EM);
+  const xs = [];
+  widths.reduce((x, wEm, c) => {
+    xs[c] = Math.round(x * fontPx);
+    return x + wEm + TABLE_GAP_EM;
+  }, 0);
+  return rows.map((r, i) => {
+    const cells = r.map((cell, c) => ({ text: truncateToWidth(cell, widths[c]), x: xs[c] }))
+      .filter((cell) => cell.text);
+    return {
+      text: cells.map((cell) => cell.text).join('  '),
+      style: block.header && i === 0 ? 'tableHead' : 'table',
+      cells
+    };
+  });
+}
+
 /**
  * Turn extracted blocks into a flat, renderable line list.
  *
@@ -135,15 +282,40 @@ export function maxMeasureEmForFont(fontPx) {
  * `wrapTextToLines`, so spaceless Japanese hard-splits without severing
  * surrogate pairs.
  *
- * @param {Array<{type:'h'|'p', text:string}>} blocks
+ * A block's link spans are carried onto the rows they fall in, re-based to
+ * row offsets; a link that wraps becomes one span on each row, all with the
+ * same href. Lines without links have no `links` key.
+ *
+ * The structured block types keep their shape:
+ *   - `li` — the marker starts the first row and later rows hang under the
+ *     text after it; each nesting level indents by LIST_INDENT_EM, and items
+ *     of one list are not separated by blank lines
+ *   - `pre` — never reflowed: one line per source line, split only where a
+ *     line is wider than the column
+ *   - `quote`, `figure` — wrapped like prose inside an indent
+ *   - `table` — one `cells` line per row (see tableLines)
+ *   - `page` — the separator between stitched pages (pagination.js), a
+ *     `pageBreak` line drawn as a labelled rule
+ * `indent` (canvas px, already scaled) is present only on indented lines.
+ *
+ * @param {Array<{type: string, text: string, links?: Array<{start: number, end: number, href: string}>,
+ *   depth?: number, marker?: string, rows?: string[][], header?: boolean}>} blocks
  * @param {{scale?: number, title?: string}} [opts]
- * @returns {Array<{text: string, style: 'title'|'h'|'p'|'blank'}>}
+ * @returns {Array<{text: string, style: string, indent?: number,
+ *   links?: Array<{start: number, end: number, href: string}>, cells?: Array<{text: string, x: number}>}>}
  */
 export function layoutReaderLines(blocks, opts = {}) {
   const scale = opts.scale > 0 ? opts.scale : 1;
   const lines = [];
 
-  const push = (text, style) => lines.push({ text, style });
+  const push = (text, style, indent = 0) => {
+    const line = { text, style };
+    if (indent > 0) {
+      line.indent = Math.round(indent);
+    }
+    lines.push(line);
+    return line;
+  };
   const blank = () => {
     if (lines.length) {
       push('', 'blank');
@@ -156,15 +328,68 @@ export function layoutReaderLines(blocks, opts = {}) {
     }
   }
 
+  let prev = '';
   for (const b of Array.isArray(blocks) ? blocks : []) {
     if (!b || !b.text) {
       continue;
     }
-    blank();
-    const style = b.type === 'h' ? 'h' : 'p';
-    for (const row of wrapTextToWidth(b.text, measureEmForStyle(style, scale))) {
-      push(row, style);
+    if (!(b.type === 'li' && prev === 'li')) {
+      blank();
     }
+    prev = b.type;
+
+    if (b.type === 'table' && Array.isArray(b.rows) && b.rows.length) {
+      for (const line of tableLines(b, scale)) {
+        lines.push(line);
+      }
+      continue;
+    }
+    if (b.type === 'pre') {
+      const fontPx = fontPxFor('pre', scale);
+      const maxEm = measureEmForStyle('pre', scale) - PRE_INDENT_EM;
+      for (const line of b.text.split('\n')) {
+        for (const row of splitPreLine(line, maxEm)) {
+          push(row, 'pre', PRE_INDENT_EM * fontPx);
+        }
+      }
+      continue;
+    }
+
+    const style = BLOCK_STYLE[b.type] || 'p';
+    const fontPx = fontPxFor(style, scale);
+    let indentEm = 0;
+    let marker = '';
+    if (style === 'li') {
+      indentEm = LIST_INDENT_EM * Math.min(Number(b.depth) || 0, MAX_LIST_INDENT_DEPTH);
+      marker = `${b.marker || '•'} `;
+    } else if (style === 'quote') {
+      indentEm = QUOTE_INDENT_EM;
+    } else if (style === 'caption') {
+      indentEm = CAPTION_INDENT_EM;
+    }
+    const markerEm = textWidthEm(marker);
+    const rows = wrapTextToWidth(b.text, measureEmForStyle(style, scale) - indentEm - markerEm);
+    const spans = Array.isArray(b.links) ? b.links : [];
+    const offsets = spans.length ? rowOffsets(b.text, rows) : [];
+    rows.forEach((row, r) => {
+      // The marker leads the first row; later rows hang where its text began.
+      const lead = r === 0 ? marker : '';
+      const line = push(lead + row, style, (indentEm + (r === 0 ? 0 : markerEm)) * fontPx);
+      if (!spans.length) {
+        return;
+      }
+      const [r0, r1] = offsets[r];
+      const onRow = spans
+        .filter((l) => l.start < r1 && l.end > r0)
+        .map((l) => ({
+          start: Math.max(l.start, r0) - r0 + lead.length,
+          end: Math.min(l.end, r1) - r0 + lead.length,
+          href: l.href
+        }));
+      if (onRow.length) {
+        line.links = onRow;
+      }
+    });
   }
 
   return lines;
@@ -210,6 +435,44 @@ export function readerProgressLabel(offset, total, visible) {
   return `${start + 1}–${Math.min(start + v, n)}/${n}`;
 }
 
+/**
+ * How far through the article an offset is, 0 at the top and 1 once the last
+ * line is on screen. An article that fits on one screen is read as soon as
+ * it is shown, so it is 1. Feeds the reading list's progress.
+ */
+export function readerProgressFraction(offset, total, visible) {
+  const max = Math.max(0, (total || 0) - Math.max(1, visible || 1));
+  return max ? clampReaderScroll(offset, total, visible) / max : 1;
+}
+
+
+/**
+ * Display name for the charset a page was served in, for the reader footer.
+ *
+ * Empty for UTF-8 (and for "unknown"): that is the unremarkable case, and the
+ * label exists to explain the other one — a Shift_JIS or EUC-JP page that
+ * the proxy transcoded, which would otherwise have arrived as mojibake.
+ *
+ * @param {string} [charset] WHATWG encoding name, e.g. 'shift_jis'
+ * @returns {string}
+ */
+export function readerCharsetLabel(charset) {
+  const cs = String(charset || '').trim().toLowerCase();
+  if (!cs || cs === 'utf-8') {
+    return '';
+  }
+  return cs === 'shift_jis' ? 'Shift_JIS' : cs.toUpperCase();
+}
+
+/**
+ * The reader footer: progress and charset, whichever are present.
+ * @param {string} progress  from readerProgressLabel
+ * @param {string} charset   from readerCharsetLabel
+ * @returns {string}
+ */
+export function readerFooterLabel(progress, charset) {
+  return [progress, charset].filter(Boolean).join(' · ');
+}
 
 /**
  * Lines a page-jump moves.
@@ -248,6 +511,80 @@ export function readerHitTest(px, py, scrollable = false) {
   return { type: 'none' };
 }
 
+/** Horizontal slop (px) added to each side of a link's hit rectangle. */
+export const LINK_HIT_PAD_X = 6;
+
+/**
+ * Hit rectangles for the links on the visible lines, in content-canvas px.
+ *
+ * The draw path builds these with the same `measure` it positions the link
+ * text with, and the select path hit-tests against exactly what was drawn —
+ * the draw/hit-test agreement rule from `visibleLinesFor`. `measure` is the
+ * canvas's `measureText` in the panel; without one (headless) the em model
+ * from textWrap.js stands in.
+ *
+ * Each rect spans its line's full band (baseline − ¾·lh to baseline + ¼·lh),
+ * so consecutive lines tile with no dead strip between them.
+ *
+ * @param {Array<{text: string, style: string, links?: Array<{start: number, end: number, href: string}>}>} windowLines
+ *   the lines currently on screen, in order (readerWindow)
+ * @param {{scale?: number, measure?: (text: string, fontPx: number, style: string) => number}} [opts]
+ * @returns {Array<{x0: number, x1: number, y0: number, y1: number, href: string}>}
+ */
+export function readerLinkRects(windowLines, opts = {}) {
+  const scale = opts.scale > 0 ? opts.scale : 1;
+  const measure = typeof opts.measure === 'function'
+    ? opts.measure
+    : (text, fontPx) => textWidthEm(text) * fontPx;
+  const lh = LINE_H * scale;
+  const rects = [];
+  (Array.isArray(windowLines) ? windowLines : []).forEach((line, i) => {
+    if (!line || !Array.isArray(line.links)) {
+      return;
+    }
+    const baseline = CONTENT_PAD + lh * (i + 1);
+    const fontPx = fontPxFor(line.style, scale);
+    const x = CONTENT_PAD + (line.indent || 0);
+    for (const l of line.links) {
+      rects.push({
+        x0: x + measure(line.text.slice(0, l.start), fontPx, line.style) - LINK_HIT_PAD_X,
+        x1: x + measure(line.text.slice(0, l.end), fontPx, line.style) + LINK_HIT_PAD_X,
+        y0: baseline - lh * 0.75,
+        y1: baseline + lh * 0.25,
+        href: l.href
+      });
+    }
+  });
+  return rects;
+}
+
+/**
+ * The link under a content-canvas point, or null. When padded rects of two
+ * adjacent links overlap, the one whose unpadded extent is nearer wins.
+ *
+ * @param {Array<{x0: number, x1: number, y0: number, y1: number, href: string}>} rects
+ * @param {number} px
+ * @param {number} py
+ * @returns {string|null} href
+ */
+export function readerLinkAt(rects, px, py) {
+  let best = null;
+  let bestDist = Infinity;
+  for (const r of Array.isArray(rects) ? rects : []) {
+    if (px < r.x0 || px > r.x1 || py < r.y0 || py >= r.y1) {
+      continue;
+    }
+    const inner0 = r.x0 + LINK_HIT_PAD_X;
+    const inner1 = r.x1 - LINK_HIT_PAD_X;
+    const dist = px < inner0 ? inner0 - px : (px > inner1 ? px - inner1 : 0);
+    if (dist < bestDist) {
+      best = r.href;
+      bestDist = dist;
+    }
+  }
+  return best;
+}
+
 /** Font px for a line style at a given scale. */
 export function fontPxFor(style, scale = 1) {
   const s = scale > 0 ? scale : 1;
@@ -257,5 +594,32 @@ export function fontPxFor(style, scale = 1) {
   if (style === 'h') {
     return Math.round(25 * s);
   }
+  if (style === 'pre' || style === 'table' || style === 'tableHead') {
+    return Math.round(18 * s);
+  }
+  if (style === 'caption' || style === 'pageBreak') {
+    return Math.round(17 * s);
+  }
   return Math.round(20 * s);
 }
+
+/**
+ * CSS font for a line style. Headings and table headers are bold, code is
+ * monospace, quotes and captions are italic — so each block type reads as
+ * itself even in high contrast, where every style shares one colour.
+ *
+ * @param {string} style
+ * @param {number} [scale=1]
+ * @returns {string}
+ */
+export function readerFont(style, scale = 1) {
+  const px = fontPxFor(style, scale);
+  if (style === 'pre') {
+    return `${px}px monospace`;
+  }
+  if (style === 'quote' || style === 'caption') {
+    return `italic ${px}px sans-serif`;
+  }
+  const bold = style === 'title' || style === 'h' || style === 'tableHead';
+  return `${bold ? 'bold ' : ''}${px}px sans-serif`;
+}
@@ -0,0 +1,130 @@
+/**
+ * Session restore for TabManager: the shape of a saved tab list, its
+ * validation, and its localStorage round-trip.
+ *
+ * Closing the headset or reloading used to lose every open tab — only
+ * settings and bookmarks persisted. The saved session is what the window
+ * showed: each tab's page, title, reading position and back/forward stack,
+ * which tab was active, whether the panels were curved, and the few tabs
+ * most recently closed (for "reopen closed tab").
+ *
+ * Storage is treated as untrusted input: it may hold a session from an older
+ * build, be hand-edited, or be truncated by a quota error mid-write. Anything
+ * of the wrong shape is dropped field by field (sessionFromJson), the same
+ * discipline as readerDocumentFromJson, and a `javascript:` URL can never be
+ * restored into a tab.
+ */
+
+export const SESSION_KEY = 'quiBrowser_session';
+/** Bumped when the stored shape changes incompatibly; older data is ignored. */
+export const SESSION_VERSION = 1;
+/** Recently closed tabs kept for "reopen closed tab". */
+export const MAX_CLOSED_TABS = 10;
+/** Back/forward entries kept per tab; the oldest go first. */
+export const MAX_SESSION_HISTORY = 50;
+
+const isWebUrl = (u) => typeof u === 'string' && /^https?:\/\//i.test(u);
+const offset = (n) => (Number.isInteger(n) && n > 0 ? n : 0);
+
+/**
+ * One tab's saved state, or null when it cannot be restored.
+ *
+ * `history[historyIdx]` is the page shown and must equal `url`; when the
+ * stack is missing or inconsistent the tab is restored with a history of
+ * just its page, which loses back/forward but never the page itself. A blank
+ * tab (`url: ''`) is kept: it was open, so it reopens.
+ *
+ * @param {*} o
+ * @returns {{url: string, title: string, scroll: number, history: string[],
+ *   historyIdx: number, historyScroll: number[]} | null}
+ */
+export function tabStateFromJson(o) {
+  if (!o || typeof o !== 'object') {
+    return null;
+  }
+  const url = isWebUrl(o.url) ? o.url : '';
+  if (o.url && !url) {
+    return null;
+  }
+  const title = typeof o.title === 'string' ? o.title.slice(0, 300) : '';
+  const scroll = offset(o.scroll);
+  if (!url) {
+    return { url, title: '', scroll: 0, history: [], historyIdx: -1, historyScroll: [] };
+  }
+  let history = Array.isArray(o.history) ? o.history : [];
+  let idx = Number.isInteger(o.historyIdx) ? o.historyIdx : -1;
+  let scrolls = Array.isArray(o.historyScroll) ? o.historyScroll : [];
+  if (!history.every(isWebUrl) || history[idx] !== url) {
+    history = [url];
+    scrolls = [scroll];
+    idx = 0;
+  }
+  const drop = Math.max(0, Math.min(idx, history.length - MAX_SESSION_HISTORY));
+  history = history.slice(drop, drop + MAX_SESSION_HISTORY);
+  idx -= drop;
+  return {
+    url,
+    title,
+    scroll,
+    history,
+    historyIdx: idx,
+    historyScroll: history.map((_, i) => offset(scrolls[i + drop]))
+  };
+}
+
+/**
+ * A validated session, or null when there is nothing to restore.
+ *
+ * @param {*} json parsed storage value
+ * @param {{maxTabs?: number}} [opts]
+ * @returns {{tabs: Array<object>, activeIndex: number, curved: boolean|undefined,
+ *   closed: Array<object>} | null}
+ */
+export function sessionFromJson(json, opts = {}) {
+  if (!json || typeof json !== 'object' || json.version !== SESSION_VERSION) {
+    return null;
+  }
+  const maxTabs = opts.maxTabs > 0 ? opts.maxTabs : Infinity;
+  const tabs = (Array.isArray(json.tabs) ? json.tabs : [])
+    .map(tabStateFromJson).filter(Boolean).slice(0, maxTabs);
+  const closed = (Array.isArray(json.closed) ? json.closed : [])
+    .map(tabStateFromJson).filter((s) => s && s.url).slice(-MAX_CLOSED_TABS);
+  if (!tabs.length && !closed.length) {
+    return null;
+  }
+  const active = Number.isInteger(json.activeIndex) ? json.activeIndex : 0;
+  return {
+    tabs,
+    activeIndex: tabs.length ? Math.min(Math.max(active, 0), tabs.length - 1) : -1,
+    curved: typeof json.curved === 'boolean' ? json.curved : undefined,
+    closed
+  };
+}
+
+/**
+ * The saved session, validated, or null when there is none or storage is
+ * unavailable.
+ * @param {{maxTabs?: number}} [opts] see sessionFromJson
+ */
+export function readSession(opts = {}) {
+  try {
+    const raw = typeof localStorage !== 'undefined' ? localStorage.getItem(SESSION_KEY) : null;
+    return raw ? sessionFromJson(JSON.parse(raw), opts) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Persist a session (TabManager.sessionSnapshot's shape).
+ * @returns {boolean} true on success, false if storage was unavailable or full
+ */
+export function writeSession(session) {
+  try {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(SESSION_KEY, JSON.stringify({ version: SESSION_VERSION, ...session }));
+      return true;
+    }
+  } catch { /* storage full or unavailable — the next change tries again */ }
+  return false;
+}
@@ -224,17 +224,23 @@ export function securityIndicator(level, highContrast = false) {
  * reader at it and read the real web; a user who does not gets exactly today's
  * behaviour — direct fetch, limited to CORS-enabled origins.
  *
+ * `route` picks the proxy endpoint: `'fetch'` returns the raw markup,
+ * `'reader'` returns the already-extracted document as JSON (a few KB instead
+ * of up to 5 MB of HTML). It has no effect on the direct path.
+ *
  * Pure so both branches are testable without a network.
  *
  * @param {string} target    the page the user asked for
  * @param {string} [proxyUrl] base URL of the companion proxy, '' when unset
+ * @param {'fetch'|'reader'} [route='fetch'] proxy endpoint
  * @returns {string} the URL to fetch
  */
-export function readerFetchUrl(target, proxyUrl = '') {
+export function readerFetchUrl(target, proxyUrl = '', route = 'fetch') {
   const raw = String(target === null || target === undefined ? '' : target);
   const base = String(proxyUrl === null || proxyUrl === undefined ? '' : proxyUrl).trim().replace(/\/+$/, '');
   if (!base) {
     return raw;
   }
-  return `${base}/fetch?url=${encodeURIComponent(raw)}`;
+  const path = route === 'reader' ? 'reader' : 'fetch';
+  return `${base}/${path}?url=${encodeURIComponent(raw)}`;
 }
@@ -96,6 +96,40 @@ export function resolveInput(input, opts = {}) {
   return buildSearchUrl(text, opts.searchEngine);
 }
 
+/**
+ * Resolve a link followed from the reader into a URL the panel may navigate to.
+ *
+ * The client-side counterpart of the proxy's `assertRequestAllowed` URL
+ * checks: the same dangerous-scheme block the address bar applies, http(s)
+ * only, and no `user:pass@` — which in a link exists only to disguise the real
+ * host. (Address-range checks stay in the proxy, which is where a request
+ * would actually be made from.) Relative hrefs resolve against `baseUrl`,
+ * which should be the page's final URL after redirects.
+ *
+ * @param {string} href
+ * @param {string} [baseUrl]
+ * @returns {string|null} absolute URL, or null when the link must not be followed
+ */
+export function resolveLinkTarget(href, baseUrl = '') {
+  const raw = String(href === null || href === undefined ? '' : href).trim();
+  if (!raw || BLOCKED_SCHEME.test(raw)) {
+    return null;
+  }
+  let url;
+  try {
+    url = baseUrl ? new URL(raw, baseUrl) : new URL(raw);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return null;
+  }
+  if (url.username || url.password) {
+    return null;
+  }
+  return url.toString();
+}
+
 /**
  * Build a search URL for the given query and engine.
  * @param {string} query
@@ -0,0 +1,243 @@
+/**
+ * Korean input for the VR keyboard: jamo typed on the standard 2-beolsik
+ * (두벌식) layout compose into Hangul syllables as they are typed.
+ *
+ * Composition is the usual automaton: an initial consonant, a vowel (ㅗ + ㅏ
+ * combine to ㅘ), an optional final consonant (ㄹ + ㄱ combine to ㄺ), and a
+ * final consonant moves to the next syllable when a vowel follows it (각 + ㅏ
+ * is 가가, 닭 + ㅏ is 달가). Only the syllable being typed can still change,
+ * so everything before it is committed text and Backspace takes the last
+ * jamo off that syllable (과 → 고 → ㄱ) before it deletes whole characters.
+ *
+ * composeHangul() is pure, for tests; HangulIME keeps the typed jamo of the
+ * last syllable and recomposes them on each key.
+ *
+ * HangulIME implements the input-method interface VRJapaneseKeyboard hosts
+ * (see its constructor); there is nothing to convert, so it never offers
+ * candidates and Space types a space.
+ */
+
+import { PLAIN_ROWS } from './keyboardLayout.js';
+
+/** Dubeolsik: keyboard letter → jamo. Shift gives the tense consonants. */
+export const DUBEOLSIK = {
+  q: 'ㅂ', w: 'ㅈ', e: 'ㄷ', r: 'ㄱ', t: 'ㅅ', y: 'ㅛ', u: 'ㅕ', i: 'ㅑ', o: 'ㅐ', p: 'ㅔ',
+  a: 'ㅁ', s: 'ㄴ', d: 'ㅇ', f: 'ㄹ', g: 'ㅎ', h: 'ㅗ', j: 'ㅓ', k: 'ㅏ', l: 'ㅣ',
+  z: 'ㅋ', x: 'ㅌ', c: 'ㅊ', v: 'ㅍ', b: 'ㅠ', n: 'ㅜ', m: 'ㅡ'
+};
+export const DUBEOLSIK_SHIFT = { q: 'ㅃ', w: 'ㅉ', e: 'ㄸ', r: 'ㄲ', t: 'ㅆ', o: 'ㅒ', p: 'ㅖ' };
+
+const INITIALS = 'ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ';
+const VOWELS = 'ㅏㅐㅑㅒㅓㅔㅕㅖㅗㅘㅙㅚㅛㅜㅝㅞㅟㅠㅡㅢㅣ';
+const FINALS = ['', ...'ㄱㄲㄳㄴㄵㄶㄷㄹㄺㄻㄼㄽㄾㄿㅀㅁㅂㅄㅅㅆㅇㅈㅊㅋㅌㅍㅎ'];
+const COMPOUND_VOWELS = {
+  'ㅗㅏ': 'ㅘ', 'ㅗㅐ': 'ㅙ', 'ㅗㅣ': 'ㅚ', 'ㅜㅓ': 'ㅝ', 'ㅜㅔ': 'ㅞ', 'ㅜㅣ': 'ㅟ', 'ㅡㅣ': 'ㅢ'
+};
+const COMPOUND_FINALS = {
+  'ㄱㅅ': 'ㄳ', 'ㄴㅈ': 'ㄵ', 'ㄴㅎ': 'ㄶ', 'ㄹㄱ': 'ㄺ', 'ㄹㅁ': 'ㄻ', 'ㄹㅂ': 'ㄼ',
+  'ㄹㅅ': 'ㄽ', 'ㄹㅌ': 'ㄾ', 'ㄹㅍ': 'ㄿ', 'ㄹㅎ': 'ㅀ', 'ㅂㅅ': 'ㅄ'
+};
+const SYLLABLE_BASE = 0xAC00;
+
+const isVowel = (j) => VOWELS.includes(j);
+
+/** One syllable block: its initial, vowel and final jamo, as typed. */
+function blockText({ initial, vowel, final }) {
+  const v = vowel.length === 2 ? COMPOUND_VOWELS[vowel.join('')] : vowel[0];
+  const f = final.length === 2 ? COMPOUND_FINALS[final.join('')] : (final[0] || '');
+  if (initial && v) {
+    return String.fromCharCode(SYLLABLE_BASE
+      + (INITIALS.indexOf(initial) * VOWELS.length + VOWELS.indexOf(v)) * FINALS.length
+      + FINALS.indexOf(f));
+  }
+  return initial || v || '';
+}
+
+/**
+ * Compose a sequence of jamo into syllables.
+ *
+ * @param {string[]} jamo  as typed, one per key
+ * @returns {{text: string, count: number}[]} one per syllable (or lone
+ *   jamo), with how many of the typed jamo it took
+ */
+export function composeHangul(jamo) {
+  const blocks = [];
+  let cur = null;
+  const start = (j) => {
+    if (cur) {
+      blocks.push(cur);
+    }
+    cur = isVowel(j)
+      ? { initial: '', vowel: [j], final: [], count: 1 }
+      : { initial: j, vowel: [], final: [], count: 1 };
+  };
+  for (const j of jamo) {
+    if (!cur) {
+      start(j);
+    } else if (isVowel(j)) {
+      if (cur.final.length) {
+        // The final consonant (or the second half of a double one) starts
+        // the next syllable: 각 + ㅏ → 가가, 닭 + ㅏ → 달가.
+        const moved = cur.final.pop();
+        cur.count--;
+        blocks.push(cur);
+        cur = { initial: moved, vowel: [j], final: [], count: 2 };
+      } else if (cur.vowel.length === 1 && COMPOUND_VOWELS[cur.vowel[0] + j]) {
+        cur.vowel.push(j);
+        cur.count++;
+      } else if (cur.initial && !cur.vowel.length) {
+        cur.vowel.push(j);
+        cur.count++;
+      } else {
+        start(j);
+      }
+    } else if (cur.initial && cur.vowel.length && !cur.final.length && FINALS.includes(j)) {
+      cur.final.push(j);
+      cur.count++;
+    } else if (cur.final.length === 1 && COMPOUND_FINALS[cur.final[0] + j]) {
+      cur.final.push(j);
+      cur.count++;
+    } else {
+      start(j);
+    }
+  }
+  if (cur) {
+    blocks.push(cur);
+  }
+  return blocks.map((b) => ({ text: blockText(b), count: b.count }));
+}
+
+export class HangulIME {
+  constructor() {
+    this.id = 'ko';
+    this.isActive = false;
+    this.inputMode = 'hangul';
+    this.rows = PLAIN_ROWS;
+    this.candidates = [];
+    this.selectedIndex = 0;
+    this.shiftActive = false;
+    this._committed = '';
+    this._jamo = []; // the syllable being typed
+    this.stats = { conversions: 0, charactersTyped: 0, averageConversionTime: 0 };
+  }
+
+  /** Dubeolsik jamo on the letter keys, for the keyboard to draw. */
+  get keyGlyphs() {
+    return this.shiftActive ? { ...DUBEOLSIK, ...DUBEOLSIK_SHIFT } : DUBEOLSIK;
+  }
+
+  /** Everything typed: the committed text and the syllable being typed. */
+  get compositionBuffer() {
+    return this._committed + composeHangul(this._jamo).map((b) => b.text).join('');
+  }
+
+  set compositionBuffer(text) {
+    this._committed = String(text || '');
+    this._jamo = [];
+  }
+
+  /**
+   * Type a key: a letter is a jamo (tense with Shift, which then releases,
+   * or typed as a capital on a hardware keyboard), anything else goes in as
+   * it is.
+   */
+  async processInput(key) {
+    this.stats.charactersTyped++;
+    const letter = String(key).toLowerCase();
+    const shifted = this.shiftActive || letter !== key;
+    const jamo = (shifted && DUBEOLSIK_SHIFT[letter]) || DUBEOLSIK[letter];
+    this.shiftActive = false;
+    if (jamo) {
+      const blocks = composeHangul([...this._jamo, jamo]);
+      const done = blocks.slice(0, -1);
+      this._committed += done.map((b) => b.text).join('');
+      this._jamo = [...this._jamo, jamo].slice(done.reduce((n, b) => n + b.count, 0));
+    } else {
+      this._flush();
+      this._committed += key;
+    }
+    return this._state();
+  }
+
+  /** Backspace: the last jamo of the syllable being typed, else the last character. */
+  deleteLast() {
+    if (this._jamo.length) {
+      this._jamo.pop();
+    } else {
+      this._committed = Array.from(this._committed).slice(0, -1).join('');
+    }
+    return this._state();
+  }
+
+  /** Space finishes the syllable and types a space. */
+  async onSpace() {
+    await this.processInput(' ');
+    return null;
+  }
+
+  toggleShift() {
+    this.shiftActive = !this.shiftActive;
+  }
+
+  /** Hangul has nothing to choose between. */
+  chooseCandidate() {
+    return null;
+  }
+
+  selectCandidate() {
+    return null;
+  }
+
+  conversionPreview() {
+    return null;
+  }
+
+  /** Everything typed, and start afresh. */
+  confirmSelection() {
+    const text = this.compositionBuffer;
+    this.clear();
+    return text;
+  }
+
+  clear() {
+    this._committed = '';
+    this._jamo = [];
+    this.shiftActive = false;
+  }
+
+  getState() {
+    return {
+      isActive: this.isActive,
+      mode: this.inputMode,
+      buffer: this.compositionBuffer,
+      candidates: this.candidates,
+      selectedIndex: this.selectedIndex,
+      stats: this.stats
+    };
+  }
+
+  activate() {
+    this.isActive = true;
+    this.clear();
+  }
+
+  deactivate() {
+    this.isActive = false;
+    this.clear();
+  }
+
+  dispose() {
+    this.clear();
+    this.isActive = false;
+  }
+
+  _flush() {
+    this._committed = this.compositionBuffer;
+    this._jamo = [];
+  }
+
+  _state() {
+    const converted = this.compositionBuffer;
+    return { raw: converted, converted, mode: this.inputMode };
+  }
+}
@@ -8,20 +8,42 @@
 import * as THREE from 'three';
 import { configureUITexture } from '../ui/canvasTexture.js';
 import {
-  computeKeyLayout, keyboardBounds,
+  ROWS, computeKeyLayout, keyboardBounds,
   SUGGESTION_BTN_PX_W, SUGGESTION_BTN_PX_H, SUGGESTION_LABEL_FONT_PX,
-  SUGGESTION_MEASURE_EM, COMPOSITION_BADGE_W, COMPOSITION_MEASURE_EM,
+  SUGGESTION_MEASURE_EM, COMPOSITION_BADGE_W, COMPOSITION_MEASURE_EM, COMPOSITION_FONT_PX,
   imeBadgeColors, imeColors
 } from './keyboardLayout.js';
 
 // Re-exported so existing importers (and tests) keep their import site.
 export { SUGGESTION_MEASURE_EM } from './keyboardLayout.js';
-import { truncate } from '../browser/bookmarkLayout.js';
-import { truncateToWidth } from '../ui/textWrap.js';
+import { ELLIPSIS, charWidthEm, textWidthEm, truncateToWidth } from '../ui/textWrap.js';
 import { prefersHighContrast } from '../../a11y/accessibility.js';
+import { parseKanjiDictionary } from './kanjiDictionary.js';
+import { UserDictionary } from './UserDictionary.js';
+import { backendChain, runBackends } from './conversionBackends.js';
+import { keyLabel } from './hardwareKeyboard.js';
+import { decodeSwipe, swipeKeys } from './swipeDecoder.js';
+import { SWIPE_WORDS } from './swipeWords.js';
+
+/** Undo steps the keyboard keeps. */
+const UNDO_LIMIT = 50;
+/** Characters a word-wise delete treats as part of a word. */
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
 
 export class JapaneseIME {
-  constructor() {
+  /**
+   * @param {object} [opts]
+   * @param {() => Promise<object>} [opts.loadDictionary]  resolves the
+   *   offline dictionary file's JSON (kanjiDictionary.js); VRApp fetches it
+   *   through ProgressiveLoader. Without it, offline conversion falls back to
+   *   a short built-in word list.
+   * @param {UserDictionary} [opts.userDictionary]  the user's words and the
+   *   candidates they picked before; one persisted in localStorage by default
+   * @param {object[]} [opts.backends]  conversion backends to try in order
+   *   (conversionBackends.js); the web converter then offline by default
+   */
+  constructor({ loadDictionary, userDictionary, backends } = {}) {
+    this.id = 'ja';
     this.isActive = false;
     this.inputMode = 'hiragana'; // hiragana, katakana, kanji
     this.compositionBuffer = '';
@@ -43,8 +65,22 @@ export class JapaneseIME {
       }
     }
 
-    // Google Transliteration API endpoint
-    this.apiEndpoint = 'https://www.google.co.jp/transliterate';
+    // Offline dictionary: fetched on first activation, not with the app.
+    this._loadDictionary = typeof loadDictionary === 'function' ? loadDictionary : null;
+    this._dictionaryLoad = null;
+    this.dictionary = null;
+    this.userDictionary = userDictionary || new UserDictionary();
+
+    // Conversion backends, tried in order, and when each failed network
+    // backend may be tried again (id → time).
+    this.backends = backends || backendChain('web', { ime: this });
+    this._retryAt = new Map();
+
+    // Clause-by-clause conversion (convertToKanji): the clauses, the one
+    // whose candidates are showing, and the text chosen for those before it.
+    this.clauses = [];
+    this.clauseIndex = 0;
+    this.committed = '';
 
     // Statistics
     this.stats = {
@@ -254,69 +290,79 @@ export class JapaneseIME {
   }
 
   /**
-   * Get kanji candidates from Google Transliteration API
+   * Kanji candidates for the whole of `hiragana`, from the first conversion
+   * backend that answers (the built-in list when none does).
    */
   async getKanjiCandidates(hiragana) {
-    const startTime = performance.now();
-
-    try {
-      const params = new URLSearchParams({
-        client: 'handwriting',
-        inputtype: 'hiragana',
-        text: hiragana
-      });
-
-      // Bound the request so a slow/stalled network can't block IME conversion
-      // indefinitely; on timeout we fall through to the offline candidates.
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000);
-      let response;
-      try {
-        response = await fetch(`${this.apiEndpoint}?${params}`, {
-          method: 'GET',
-          headers: {
-            'Accept': 'application/json'
-          },
-          signal: controller.signal
-        });
-      } finally {
-        clearTimeout(timeoutId);
-      }
-
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      // Parse response format: [["hiragana", ["kanji1", "kanji2", ...]]]
-      if (data && data[0] && data[0][1]) {
-        const candidates = data[0][1];
-
-        // Update statistics
-        const conversionTime = performance.now() - startTime;
-        this.stats.conversions++;
-        this.stats.averageConversionTime =
-          (this.stats.averageConversionTime * (this.stats.conversions - 1) + conversionTime) /
-          this.stats.conversions;
-
-        return candidates.slice(0, 10); // Return top 10 candidates
-      }
+    const answer = await this._runBackends('convert', hiragana);
+    return answer ? answer.result : this.getOfflineKanjiCandidates(hiragana);
+  }
 
-      return [hiragana]; // Return original if no candidates
+  /**
+   * Use the conversion backend a setting names (conversionBackends.js
+   * CONVERSION_BACKENDS), with offline conversion behind it.
+   *
+   * @param {string} id
+   * @param {object} [opts]
+   * @param {string} [opts.serverUrl]  the LAN conversion server, for 'local'
+   */
+  setBackend(id, { serverUrl = '' } = {}) {
+    this.backends = backendChain(id, { ime: this, serverUrl });
+    this._retryAt.clear();
+  }
 
-    } catch (error) {
-      console.error('JapaneseIME: Kanji conversion failed', error);
+  /** runBackends over this IME's chain, timing the conversions that went out. */
+  async _runBackends(method, hiragana) {
+    const startTime = performance.now();
+    const answer = await runBackends(this.backends, method, hiragana, this._retryAt);
+    if (answer && answer.backend.network) {
+      const conversionTime = performance.now() - startTime;
+      this.stats.conversions++;
+      this.stats.averageConversionTime =
+        (this.stats.averageConversionTime * (this.stats.conversions - 1) + conversionTime) /
+        this.stats.conversions;
+    }
+    return answer;
+  }
 
-      // Fallback: return common kanji based on hiragana patterns
-      return this.getOfflineKanjiCandidates(hiragana);
+  /**
+   * Load the offline dictionary, once. Never rejects: a failed load resolves
+   * null, and the next call tries again.
+   * @returns {Promise<import('./kanjiDictionary.js').KanjiDictionary|null>}
+   */
+  loadDictionary() {
+    if (this.dictionary || !this._loadDictionary) {
+      return Promise.resolve(this.dictionary);
+    }
+    if (!this._dictionaryLoad) {
+      this._dictionaryLoad = Promise.resolve()
+        .then(() => this._loadDictionary())
+        .then((json) => {
+          const dictionary = parseKanjiDictionary(json);
+          if (!dictionary) {
+            throw new Error('not a kanji dictionary');
+          }
+          this.dictionary = dictionary;
+          return dictionary;
+        })
+        .catch((e) => {
+          console.warn('JapaneseIME: offline dictionary unavailable', e);
+          this._dictionaryLoad = null;
+          return null;
+        });
     }
+    return this._dictionaryLoad;
   }
 
   /**
-   * Offline kanji candidates (fallback)
+   * Offline kanji candidates for the whole reading: the offline dictionary's
+   * when it is loaded and knows the word, else a short built-in list.
    */
   getOfflineKanjiCandidates(hiragana) {
+    const found = this.dictionary ? this.dictionary.lookup(hiragana) : [];
+    if (found.length) {
+      return found.includes(hiragana) ? found : [...found, hiragana];
+    }
     // Common word dictionary for offline use (~200 entries)
     const commonWords = {
       // Greetings & phrases
@@ -502,6 +548,7 @@ export class JapaneseIME {
    * Returns the same shape as processInput so callers can refresh the display.
    */
   deleteLast() {
+    this._endConversion();
     this.compositionBuffer = this.compositionBuffer.slice(0, -1);
     let converted = this.compositionBuffer;
     if (this.inputMode === 'hiragana') {
@@ -518,6 +565,7 @@ export class JapaneseIME {
    */
   async processInput(input) {
     this.stats.charactersTyped++;
+    this._endConversion();
 
     // Add to composition buffer
     this.compositionBuffer += input;
@@ -540,7 +588,9 @@ export class JapaneseIME {
   }
 
   /**
-   * Trigger kanji conversion
+   * Trigger kanji conversion. The composition is split into clauses; the
+   * candidates returned (and held in `candidates`) are the first clause's,
+   * and chooseCandidate() moves on to the next.
    */
   async convertToKanji() {
     if (this.inputMode !== 'hiragana' || !this.compositionBuffer) {
@@ -548,15 +598,118 @@ export class JapaneseIME {
     }
 
     const hiragana = this.convertRomajiToHiragana(this.compositionBuffer);
-    this.candidates = await this.getKanjiCandidates(hiragana);
+    this.clauses = await this.getConversionClauses(hiragana);
+    this.clauseIndex = 0;
+    this.committed = '';
+    this.candidates = this.clauses[0].candidates;
     this.selectedIndex = 0;
 
     return {
       candidates: this.candidates,
-      selected: this.candidates[0]
+      selected: this.candidates[0],
+      clause: 0,
+      clauses: this.clauses.length
     };
   }
 
+  /** Space converts (VRJapaneseKeyboard's input-method interface). */
+  onSpace() {
+    return this.convertToKanji();
+  }
+
+  /** Shift latches katakana. */
+  toggleShift() {
+    this.switchMode(this.inputMode === 'katakana' ? 'hiragana' : 'katakana');
+  }
+
+  get shiftActive() {
+    return this.inputMode === 'katakana';
+  }
+
+  /**
+   * `hiragana` as clauses to convert one by one, from the first conversion
+   * backend that answers — the offline dictionary's segmentation when the
+   * network ones do not — and the built-in word list as a last resort.
+   * Each clause's candidates are ordered by the user dictionary: what was
+   * picked before, then the user's own words, then the rest.
+   *
+   * @param {string} hiragana
+   * @returns {Promise<{reading: string, tail: string, candidates: string[]}[]>}
+   */
+  async getConversionClauses(hiragana) {
+    const answer = await this._runBackends('segment', hiragana);
+    const clauses = answer
+      ? answer.result
+      : [{ reading: hiragana, tail: '', candidates: this.getOfflineKanjiCandidates(hiragana) }];
+    return clauses.map((c) => ({ ...c, candidates: this.userDictionary.rank(c.reading, c.candidates, c.tail) }));
+  }
+
+  /**
+   * Choose a candidate for the clause being converted and move on to the
+   * next clause; choosing for the last one confirms the whole conversion.
+   *
+   * @param {number} index
+   * @returns {{done: boolean, text: string}|null} `text` is the confirmed
+   *   text once `done`, the text chosen so far before that; null when there
+   *   is no such candidate
+   */
+  chooseCandidate(index) {
+    const chosen = this.selectCandidate(index);
+    if (chosen === null) {
+      return null;
+    }
+    if (this.clauseIndex + 1 >= this.clauses.length) {
+      return { done: true, text: this.confirmSelection() };
+    }
+    this._learn(chosen);
+    this.committed += chosen;
+    this.clauseIndex++;
+    this.candidates = this.clauses[this.clauseIndex].candidates;
+    this.selectedIndex = 0;
+    return { done: false, text: this.committed };
+  }
+
+  /**
+   * The conversion as it stands, the clause being converted in brackets:
+   * 私は[がくせいです]. Null when nothing is being converted.
+   */
+  conversionPreview() {
+    if (!this.clauses.length) {
+      return null;
+    }
+    const rest = this.clauses.slice(this.clauseIndex + 1).map((c) => c.reading).join('');
+    return `${this.committed}[${this.clauses[this.clauseIndex].reading}]${rest}`;
+  }
+
+  /**
+   * Where the current clause's `candidate` ranks from: 'learned' when it was
+   * picked before, 'user' when it is one of the user's words, else null.
+   */
+  candidateSource(candidate) {
+    const clause = this.clauses[this.clauseIndex];
+    return clause ? this.userDictionary.source(clause.reading, candidate, clause.tail) : null;
+  }
+
+  /** Register `word` for `reading` (kana) in the user dictionary. */
+  addUserWord(reading, word) {
+    return this.userDictionary.add(reading, word);
+  }
+
+  /** Remove a word from the user dictionary. */
+  removeUserWord(reading, word) {
+    return this.userDictionary.remove(reading, word);
+  }
+
+  /** Add the words in another IME's export; see UserDictionary.importText. */
+  importUserWords(text) {
+    return this.userDictionary.importText(text);
+  }
+
+  /** The user's words as text other IMEs import. */
+  exportUserWords() {
+    return this.userDictionary.exportText();
+  }
+
   /**
    * Select candidate
    */
@@ -569,10 +722,16 @@ export class JapaneseIME {
   }
 
   /**
-   * Confirm selection
+   * Confirm selection. Mid-conversion, the clauses not reached yet take
+   * their first candidate.
    */
   confirmSelection() {
-    const selected = this.candidates[this.selectedIndex] || this.compositionBuffer;
+    let selected = this.candidates[this.selectedIndex] || this.compositionBuffer;
+    if (this.clauses.length) {
+      this._learn(selected);
+      const rest = this.clauses.slice(this.clauseIndex + 1).map((c) => c.candidates[0]);
+      selected = this.committed + selected + rest.join('');
+    }
     this.clear();
     return selected;
   }
@@ -584,6 +743,22 @@ export class JapaneseIME {
     this.compositionBuffer = '';
     this.candidates = [];
     this.selectedIndex = 0;
+    this._endConversion();
+  }
+
+  /** Remember that `chosen` was picked for the clause being converted. */
+  _learn(chosen) {
+    const clause = this.clauses[this.clauseIndex];
+    if (clause && chosen) {
+      this.userDictionary.learn(clause.reading, chosen, clause.tail);
+    }
+  }
+
+  /** Drop clause-by-clause state: the composition it was split from changed. */
+  _endConversion() {
+    this.clauses = [];
+    this.clauseIndex = 0;
+    this.committed = '';
   }
 
   /**
@@ -617,6 +792,8 @@ export class JapaneseIME {
   activate() {
     this.isActive = true;
     this.clear();
+    // Fetch the offline dictionary now, so the first conversion need not wait.
+    this.loadDictionary();
     console.debug('JapaneseIME: Activated');
   }
 
@@ -703,9 +880,36 @@ export function suggestionLabel(entry, maxEm = SUGGESTION_MEASURE_EM) {
 
 export class VRJapaneseKeyboard {
   /**
+   * The keyboard hosts any input method with the JapaneseIME surface it
+   * uses: `id`, `isActive`, `inputMode` (picks the mode badge),
+   * `compositionBuffer` (read and written), `candidates`, `shiftActive`,
+   * activate(), processInput(key) (may return `candidates` for a live
+   * candidate bar), deleteLast(), onSpace() → `{candidates}` or null,
+   * toggleShift(), chooseCandidate(i) → `{done, text}` or null,
+   * selectCandidate(i), confirmSelection(), conversionPreview(), clear(),
+   * getState(), deactivate() and dispose(); optionally `rows` (a
+   * keyboardLayout layout, ROWS by default), `keyGlyphs` (label → glyph to
+   * print on the keys) and candidateSource(). HangulIME and PinyinIME are the
+   * other two.
+   *
+   * The text field has a caret. The input method holds the text before it —
+   * typing, conversion and Backspace all work there, as at the end — and the
+   * keyboard holds the rest (`_tail`). Moving the caret, undo, cut and paste
+   * rewrite both and end any conversion in progress.
+   *
    * @param {THREE.Scene} scene
-   * @param {JapaneseIME} ime
+   * @param {JapaneseIME} ime  the input method the keyboard starts in
    * @param {object} [opts]
+   * @param {object[]} [opts.imes] — more input methods the language key
+   *   (🌐) cycles through after `ime`
+   * @param {Function} [opts.onLanguageChange] — called with the new input
+   *   method's id when the user switches with the language key
+   * @param {EventTarget|null} [opts.keyEventTarget=window] — where a paired
+   *   hardware keyboard's key and composition events are heard while the
+   *   keyboard is open (hardwareKeyboard.js); null to ignore them
+   * @param {boolean} [opts.swipeTyping=false] — read a held sweep across the
+   *   letter keys as a word (swipeDecoder.js); needs the host to pass drags
+   *   on (VRApp's onDrag / onSelectEnd). Settable later as `swipeTyping`.
    * @param {Function} [opts.registerInteractable]   — (mesh, handlers) from VRApp
    * @param {Function} [opts.unregisterInteractable] — (mesh) from VRApp
    * @param {number}   [opts.scale=1] — uniform key-size multiplier (motor /
@@ -725,6 +929,7 @@ export class VRJapaneseKeyboard {
   constructor(scene, ime, opts = {}) {
     this.scene = scene;
     this.ime = ime;
+    this.imes = [ime, ...(opts.imes || []).filter((e) => e && e !== ime)];
     this.keyboard = null;
     this.candidatePanel = null;
     this._onConfirmCallback = null;
@@ -735,6 +940,43 @@ export class VRJapaneseKeyboard {
     this.onHoverCaption = typeof opts.onHoverCaption === 'function' ? opts.onHoverCaption : null;
     this.onCancel = typeof opts.onCancel === 'function' ? opts.onCancel : null;
     this.suggestionProvider = typeof opts.suggestionProvider === 'function' ? opts.suggestionProvider : null;
+    this.onLanguageChange = typeof opts.onLanguageChange === 'function' ? opts.onLanguageChange : null;
+
+    // Swipe typing: the path of the sweep in progress, and the word the last
+    // one typed (which a suggestion-bar pick replaces).
+    this.swipeTyping = !!opts.swipeTyping;
+    this._swipe = null;     // { points: [{x, y}] }
+    this._swiped = null;    // the word typed
+
+    // Editing: the text after the caret, the selection (select-all), undo
+    // snapshots, and the clipboard used when the system one is unavailable.
+    this._tail = '';
+    this._selection = null; // { start, end } in code points
+    this._undo = [];        // [{ text, caret }]
+    this._lastEdit = null;  // kind of the last edit, to group typing into one step
+    this._clipboard = '';
+    this._viewStart = 0;    // first character the display shows (long text scrolls)
+    // Dictation heard so far but not final, shown at the caret (setProvisional).
+    this._provisional = '';
+
+    // Hardware keyboard: listened to only while the keyboard is showing.
+    this.keyEventTarget = opts.keyEventTarget !== undefined
+      ? opts.keyEventTarget
+      : (typeof window !== 'undefined' ? window : null);
+    this._onHardwareKey = (event) => this.handleKeyEvent(event);
+    this._onCompositionStart = () => {
+      this._composing = true;
+    };
+    this._onCompositionEnd = (event) => {
+      this._composing = false;
+      this.insertText(event.data);
+      if (this._compositionSink) {
+        this._compositionSink.value = '';
+      }
+    };
+    this._composing = false;
+    this._listening = false;
+    this._compositionSink = null;
 
     // 3D objects (created lazily by createKeyboard()).
     this.group = null;          // THREE.Group holding panel + keys + display
@@ -771,8 +1013,7 @@ export class VRJapaneseKeyboard {
       return this.keyboard;
     }
 
-    const keys = computeKeyLayout(undefined, this.scale);
-    const { width, height } = keyboardBounds(undefined, this.scale);
+    const { width, height } = keyboardBounds(this._rows(), this.scale);
     const DISPLAY_H = 0.09 * this.scale; // composition-text strip above the keys
 
     const group = new THREE.Group();
@@ -803,8 +1044,39 @@ export class VRJapaneseKeyboard {
     display.position.set(0, height / 2 + DISPLAY_H / 2 + 0.01, 0);
     group.add(display);
     this._displayMesh = display;
+    this._displayWidth = width;
+    // Pointing into the text puts the caret there.
+    if (this.registerInteractable) {
+      this.registerInteractable(display, {
+        onSelect: (evt) => this._pointCaret(evt && evt.intersection)
+      });
+    }
 
-    // One mesh per key.
+    // Default placement: in front of and below eye level, angled up slightly.
+    group.position.set(0, 1.0, -0.6);
+    group.rotation.x = -Math.PI / 9;
+    group.visible = false;
+
+    this.scene.add(group);
+    this.group = group;
+    // Keep a small descriptor for back-compat with callers checking .keyboard.
+    this.keyboard = { keys: [], group };
+    this._buildKeys();
+    this._refreshDisplay();
+    return this.keyboard;
+  }
+
+  /** The layout of the input method in use. */
+  _rows() {
+    return (this.ime && this.ime.rows) || ROWS;
+  }
+
+  /**
+   * One mesh per key of the current input method's layout, registered as
+   * interactables. Called again on a language switch, after _disposeKeys().
+   */
+  _buildKeys() {
+    const keys = computeKeyLayout(this._rows(), this.scale, this.ime.keyGlyphs);
     this.keyMeshes = [];
     for (const k of keys) {
       const tex = this._makeKeyTexture(k.glyph || k.label, false);
@@ -816,12 +1088,14 @@ export class VRJapaneseKeyboard {
       mesh.userData.keyLabel = k.label;
       mesh.userData.keyTex = tex;
       mesh.userData.keyGlyph = k.glyph || k.label;
-      group.add(mesh);
+      this.group.add(mesh);
       this.keyMeshes.push({ mesh, label: k.label });
 
       if (this.registerInteractable) {
         this.registerInteractable(mesh, {
-          onSelect: () => this.onKeyPress(k.label),
+          onSelect: (evt) => this._onKeySelect(k.label, evt),
+          onDrag: (evt) => this._swipeTo(evt && evt.intersection),
+          onSelectEnd: () => this._endSwipe(),
           onHover: () => {
             this._setKeyHover(mesh, true);
             if (this.onHoverCaption) {
@@ -832,19 +1106,60 @@ export class VRJapaneseKeyboard {
         });
       }
     }
+    this.keyboard.keys = keys;
+  }
 
-    // Default placement: in front of and below eye level, angled up slightly.
-    group.position.set(0, 1.0, -0.6);
-    group.rotation.x = -Math.PI / 9;
-    group.visible = false;
+  /** Unregister, dispose and detach every key mesh. */
+  _disposeKeys() {
+    for (const { mesh } of this.keyMeshes) {
+      this.unregisterInteractable?.(mesh);
+      if (mesh.geometry) {
+        mesh.geometry.dispose();
+      }
+      if (mesh.material) {
+        mesh.material.dispose();
+      }
+      if (mesh.userData.keyTex) {
+        mesh.userData.keyTex.dispose();
+      }
+      if (this.group) {
+        this.group.remove(mesh);
+      }
+    }
+    this.keyMeshes = [];
+  }
 
-    this.scene.add(group);
-    this.group = group;
+  /**
+   * Switch to another input method: the one with `id`, or the next in
+   * `imes`. The text typed so far carries over and the keys are rebuilt for
+   * the new layout.
+   *
+   * @param {string} [id]
+   * @returns {string} the id of the input method now in use
+   */
+  switchLanguage(id) {
+    const at = this.imes.indexOf(this.ime);
+    const next = id === undefined
+      ? this.imes[(at + 1) % this.imes.length]
+      : this.imes.find((e) => e.id === id);
+    if (!next || next === this.ime) {
+      return this.ime.id;
+    }
+    const text = this.ime.compositionBuffer || '';
+    const active = this.ime.isActive;
+    this.ime.deactivate();
+    this.ime = next;
+    if (active) {
+      next.activate();
+    }
+    next.compositionBuffer = text;
+    this._clearCandidates();
+    if (this.group) {
+      this._disposeKeys();
+      this._buildKeys();
+    }
     this._refreshDisplay();
-
-    // Keep a small descriptor for back-compat with callers checking .keyboard.
-    this.keyboard = { keys, group };
-    return this.keyboard;
+    return next.id;
   }
 
   /** Draw a single key's label onto a CanvasTexture. */
@@ -896,22 +1211,30 @@ export class VRJapaneseKeyboard {
 
   /**
    * Update the visual active state of mode-toggle keys (shift) to reflect the
-   * current input mode.  Called whenever the mode changes.
+   * current input mode, and the letters printed on the keys for an input
+   * method whose letters change with it (Hangul's tense consonants).
+   * Called whenever the mode changes.
    */
   _refreshKeyStates() {
-    if (!this.keyMeshes || !this.ime) {
+    if (!this.keyMeshes || !this.keyMeshes.length || !this.ime) {
       return;
     }
-    const katakanaActive = this.ime.inputMode === 'katakana';
-    for (const { mesh, label } of this.keyMeshes) {
-      if (label === 'shift') {
-        const wasActive = !!mesh.userData.keyActive;
-        if (wasActive !== katakanaActive) {
-          mesh.userData.keyActive = katakanaActive;
-          this._setKeyHover(mesh, false); // repaint at rest state
-        }
+    const shiftActive = !!this.ime.shiftActive;
+    const keys = this.ime.keyGlyphs ? computeKeyLayout(this._rows(), this.scale, this.ime.keyGlyphs) : null;
+    this.keyMeshes.forEach(({ mesh, label }, i) => {
+      let repaint = false;
+      if (label === 'shift' && !!mesh.userData.keyActive !== shiftActive) {
+        mesh.userData.keyActive = shiftActive;
+        repaint = true;
       }
-    }
+      if (keys && keys[i] && keys[i].glyph !== mesh.userData.keyGlyph) {
+        mesh.userData.keyGlyph = keys[i].glyph;
+        repaint = true;
+      }
+      if (repaint) {
+        this._setKeyHover(mesh, false); // repaint at rest state
+      }
+    });
   }
 
   /**
@@ -983,9 +1306,10 @@ export class VRJapaneseKeyboard {
     ctx.fillRect(0, 0, w, h);
 
     // Mode badge — top-right corner shows the current input mode so the user
-    // always knows whether they're typing hiragana, katakana, or kanji.
+    // always knows whether they're typing hiragana, katakana, or kanji — or
+    // Hangul or pinyin after the language key.
     const mode = this.ime ? this.ime.inputMode : 'hiragana';
-    const BADGE = { hiragana: 'ひ', katakana: 'カ', kanji: '漢' };
+    const BADGE = { hiragana: 'ひ', katakana: 'カ', kanji: '漢', hangul: '한', pinyin: '拼' };
     const badge = BADGE[mode] || '?';
     const badgeCol = imeBadgeColors(mode);
     const badgeW = COMPOSITION_BADGE_W;
@@ -999,19 +1323,43 @@ export class VRJapaneseKeyboard {
     ctx.textBaseline = 'middle';
     ctx.fillText(badge, w - badgeW / 2 - 4, h / 2);
 
-    // Composition text
-    const text = this.ime ? (this.ime.compositionBuffer || '') : '';
+    // Composition text — mid-conversion, the clauses with the one being
+    // converted in brackets, and so is dictation not yet final — then the
+    // text after the caret.
+    const preview = this._provisional
+      ? `${(this.ime && this.ime.compositionBuffer) || ''}[${this._provisional}]`
+      : this.ime && this.ime.conversionPreview ? this.ime.conversionPreview() : null;
+    const head = preview || (this.ime ? (this.ime.compositionBuffer || '') : '');
+    const text = head + this._tail;
     ctx.fillStyle = text ? col.displayText : col.displayPlaceholder;
     ctx.font = '40px monospace';
     ctx.textAlign = 'left';
     ctx.textBaseline = 'middle';
     // Bounded to the space left of the mode badge. This was previously
     // unbounded, so a long typed URL ran under the badge and off the panel.
+    // Text longer than that scrolls to keep the caret in view.
     const compW = w - 24 - COMPOSITION_BADGE_W - 12;
+    const chars = Array.from(text);
+    const caret = Array.from(head).length;
+    const start = text ? this._scrollTo(chars, caret) : 0;
+    const lead = start > 0 ? ELLIPSIS : '';
+    const px = (part) => textWidthEm(part) * COMPOSITION_FONT_PX;
+    const xAt = (i) => 24 + px(lead + chars.slice(start, Math.max(start, i)).join(''));
+    if (this._selection) {
+      ctx.fillStyle = col.keyBgHover;
+      const x0 = xAt(this._selection.start);
+      ctx.fillRect(x0, h * 0.2, Math.min(xAt(this._selection.end), 24 + compW) - x0, h * 0.6);
+      ctx.fillStyle = col.displayText;
+    }
     ctx.fillText(
-      truncateToWidth(text || 'type a URL or search…', COMPOSITION_MEASURE_EM),
+      text ? lead + truncateToWidth(chars.slice(start).join(''), COMPOSITION_MEASURE_EM - textWidthEm(lead))
+        : 'type a URL or search…',
       24, h / 2, compW
     );
+    // The caret; not mid-conversion, where the brackets show the place.
+    if (text && !preview && !this._selection) {
+      ctx.fillRect(xAt(caret) - 1, h * 0.2, 3, h * 0.6);
+    }
 
     if (this._displayTex) {
       this._displayTex.needsUpdate = true;
@@ -1020,6 +1368,31 @@ export class VRJapaneseKeyboard {
     this._refreshKeyStates();
   }
 
+  /**
+   * The first character to display so the caret is in view, moving as
+   * little as it can from the last one.
+   */
+  _scrollTo(chars, caret) {
+    if (textWidthEm(chars.join('')) <= COMPOSITION_MEASURE_EM) {
+      this._viewStart = 0;
+      return 0;
+    }
+    // One em to spare, for the caret and the character after it.
+    const fits = (from) => textWidthEm((from > 0 ? ELLIPSIS : '') + chars.slice(from, caret).join(''))
+      <= COMPOSITION_MEASURE_EM - 1;
+    let start = Math.min(this._viewStart, caret);
+    while (start < caret && !fits(start)) {
+      start++;
+    }
+    this._viewStart = start;
+    return start;
+  }
+
+  /** Whether the keyboard is showing. */
+  get visible() {
+    return Boolean(this.group && this.group.visible);
+  }
+
   /** Show the keyboard (builds it on first use). */
   show() {
     if (!this.group) {
@@ -1029,6 +1402,7 @@ export class VRJapaneseKeyboard {
       this.group.visible = true;
     }
     this._refreshDisplay();
+    this._listenHardwareKeys(true);
   }
 
   /** Hide the keyboard. */
@@ -1036,6 +1410,10 @@ export class VRJapaneseKeyboard {
     if (this.group) {
       this.group.visible = false;
     }
+    this._provisional = '';
+    this._listenHardwareKeys(false);
+    this._swipe = null;
+    this._swiped = null;
     // A hidden keyboard must not leave a stale suggestion row (with live
     // interactables) behind for the next show(); the row is rebuilt from the
     // fresh composition text on the first keystroke anyway.
@@ -1049,49 +1427,112 @@ export class VRJapaneseKeyboard {
     if (!this.ime.isActive) {
       this.ime.activate();
     }
+    this._swiped = null;
+
+    // Typing over a selection replaces it; Backspace just removes it.
+    const typing = key === 'space' || key === 'back' || key.length === 1;
+    if (typing) {
+      this._remember(key === 'back' ? 'delete' : 'type');
+      if (this._selection) {
+        this._edit('');
+        if (key === 'back') {
+          this._updateSuggestions();
+          return;
+        }
+      }
+    }
 
     switch (key) {
     case 'space': {
-      // Convert to kanji
-      const result = await this.ime.convertToKanji();
-      if (result) {
+      // Japanese converts (first clause first), Pinyin takes the first
+      // candidate, Hangul types a space.
+      const result = await this.ime.onSpace();
+      this._refreshDisplay();
+      if (result && result.candidates && result.candidates.length) {
         this.showCandidates(result.candidates);
+      } else {
+        this._clearCandidates();
+        this._updateSuggestions();
       }
       break;
     }
 
     case '変換':
       // Henkan key - convert to kanji
-      await this.ime.convertToKanji();
+      await this.ime.convertToKanji?.();
       break;
 
     case 'かな':
       // Kana key - switch to hiragana
-      this.ime.switchMode('hiragana');
+      this.ime.switchMode?.('hiragana');
+      break;
+
+    case 'lang': {
+      // Next input method; the host remembers it and announces it.
+      const id = this.switchLanguage();
+      this._updateSuggestions();
+      if (this.onLanguageChange) {
+        this.onLanguageChange(id);
+      }
       break;
+    }
 
     case 'enter': {
       // Confirm selection
-      const text = this.ime.confirmSelection();
+      const text = this.ime.confirmSelection() + this._takeTail();
+      this._clearCandidates();
       this.onTextConfirmed(text);
       break;
     }
 
-    case 'shift': {
-      // Toggle katakana mode; refresh display so the mode badge updates and
-      // retint the shift key to show its latched-on state.
-      const currentMode = this.ime.inputMode;
-      this.ime.switchMode(currentMode === 'katakana' ? 'hiragana' : 'katakana');
-      this._refreshKeyStates();
+    case 'left':
+    case 'right':
+      this.moveCaret(key === 'left' ? -1 : 1);
+      break;
+
+    case 'home':
+    case 'end':
+      this.moveCaret(key === 'home' ? -Infinity : Infinity);
+      break;
+
+    case 'wordBack':
+      this.deleteWord();
+      break;
+
+    case 'selectAll':
+      this.selectAll();
+      break;
+
+    case 'cut':
+      await this.cut();
+      break;
+
+    case 'copy':
+      await this.copy();
+      break;
+
+    case 'paste':
+      await this.paste();
+      break;
+
+    case 'undo':
+      this.undo();
+      break;
+
+    case 'shift':
+      // Toggle katakana mode (tense consonants in Hangul); refresh display so
+      // the mode badge updates and retint the shift key to show its
+      // latched-on state.
+      this.ime.toggleShift();
       this._refreshDisplay();
       break;
-    }
 
     case 'esc':
       // Dismiss the keyboard without confirming — clears the buffer and
       // any candidate/suggestion row. Fire onCancel so the host can announce
       // the dismissal as a status message (WCAG 4.1.3 Status Messages).
       this.ime.compositionBuffer = '';
+      this._takeTail();
       this._clearCandidates();
       this._clearSuggestions();
       this.hide();
@@ -1115,11 +1556,403 @@ export class VRJapaneseKeyboard {
     }
   }
 
+  /** The whole text: before the caret (the input method's) and after it. */
+  get text() {
+    return (this.ime.compositionBuffer || '') + this._tail;
+  }
+
+  /** Where the caret is, in characters (code points) from the start. */
+  get caret() {
+    return Array.from(this.ime.compositionBuffer || '').length;
+  }
+
+  /**
+   * Move the caret by `delta` characters (±Infinity for the start or end).
+   * A selection is dropped, as is any conversion in progress: the text is
+   * kept as typed.
+   */
+  moveCaret(delta) {
+    this.setCaret(this.caret + delta);
+  }
+
+  /** Put the caret before character `index`. */
+  setCaret(index) {
+    this._lastEdit = null;
+    this._setField(this.text, index);
+    this._updateSuggestions();
+  }
+
+  /**
+   * Delete back to the start of the word before the caret (or the
+   * selection): letters and digits are word characters, so in a URL this
+   * goes back to the last `/` or `.`.
+   */
+  deleteWord() {
+    if (this._selection) {
+      this._remember('wordBack');
+      this._edit('');
+      return;
+    }
+    const head = Array.from(this.ime.compositionBuffer || '');
+    let at = head.length;
+    while (at > 0 && !WORD_CHAR.test(head[at - 1])) {
+      at--;
+    }
+    while (at > 0 && WORD_CHAR.test(head[at - 1])) {
+      at--;
+    }
+    if (at === head.length) {
+      return;
+    }
+    this._remember('wordBack');
+    this._setField(head.slice(0, at).join('') + this._tail, at);
+    this._updateSuggestions();
+  }
+
+  /** Select the whole text; typing, cut or Backspace then replace it. */
+  selectAll() {
+    const length = Array.from(this.text).length;
+    this._lastEdit = null;
+    this._selection = length ? { start: 0, end: length } : null;
+    this._refreshDisplay();
+  }
+
+  /**
+   * Copy the selection to the clipboard — the system's when the browser
+   * lets us write it, and the keyboard's own either way, for paste.
+   *
+   * @returns {Promise<string>} what was copied ('' with no selection)
+   */
+  async copy() {
+    if (!this._selection) {
+      return '';
+    }
+    const copied = Array.from(this.text).slice(this._selection.start, this._selection.end).join('');
+    this._clipboard = copied;
+    const clipboard = typeof navigator !== 'undefined' ? navigator.clipboard : null;
+    if (clipboard && clipboard.writeText) {
+      try {
+        await clipboard.writeText(copied);
+      } catch {
+        // Refused (no user activation or permission): the copy stays here.
+      }
+    }
+    return copied;
+  }
+
+  /** Copy the selection, then delete it. */
+  async cut() {
+    const copied = await this.copy();
+    if (copied) {
+      this._remember('cut');
+      this._edit('');
+    }
+    return copied;
+  }
+
+  /**
+   * Insert the clipboard at the caret (over the selection). The system
+   * clipboard is read when the browser allows it; otherwise, or when it is
+   * empty, what was last copied here. Line breaks become spaces.
+   */
+  async paste() {
+    let pasted = this._clipboard;
+    const clipboard = typeof navigator !== 'undefined' ? navigator.clipboard : null;
+    if (clipboard && clipboard.readText) {
+      try {
+        pasted = (await clipboard.readText()) || pasted;
+      } catch {
+        // Refused: paste what was last copied here.
+      }
+    }
+    pasted = String(pasted || '').replace(/[\r\n]+/g, ' ');
+    if (!pasted) {
+      return;
+    }
+    this._remember('paste');
+    this._edit(pasted);
+  }
+
+  /** Put back the text and caret from before the last edit. */
+  undo() {
+    const step = this._undo.pop();
+    if (!step) {
+      return false;
+    }
+    this._lastEdit = null;
+    this._setField(step.text, step.caret);
+    this._updateSuggestions();
+    return true;
+  }
+
+  /**
+   * Note the text before an edit of `kind`, for undo. A run of typing (or of
+   * Backspace) is one step; every cut, paste or word delete is its own.
+   */
+  _remember(kind) {
+    if (kind === this._lastEdit && (kind === 'type' || kind === 'delete')) {
+      return;
+    }
+    this._lastEdit = kind;
+    this._undo.push({ text: this.text, caret: this.caret });
+    if (this._undo.length > UNDO_LIMIT) {
+      this._undo.shift();
+    }
+  }
+
+  /** Replace the selection (or insert at the caret) with `insert`. */
+  _edit(insert) {
+    const chars = Array.from(this.text);
+    const { start, end } = this._selection || { start: this.caret, end: this.caret };
+    const added = Array.from(insert);
+    chars.splice(start, end - start, ...added);
+    this._setField(chars.join(''), start + added.length);
+    this._updateSuggestions();
+  }
+
+  /**
+   * Set the whole text and the caret: the input method is cleared (ending
+   * a conversion or a syllable being composed) and given the text before it.
+   */
+  _setField(text, caret) {
+    const chars = Array.from(text);
+    const at = Math.max(0, Math.min(chars.length, caret));
+    if (!this.ime.isActive) {
+      this.ime.activate(); // which clears: the text is set after
+    }
+    this.ime.clear();
+    this.ime.compositionBuffer = chars.slice(0, at).join('');
+    this._tail = chars.slice(at).join('');
+    this._selection = null;
+    this._clearCandidates();
+    this._refreshDisplay();
+  }
+
+  /** The text after the caret, which goes with the text when it is sent. */
+  _takeTail() {
+    const tail = this._tail;
+    this._tail = '';
+    this._selection = null;
+    this._undo = [];
+    this._lastEdit = null;
+    return tail;
+  }
+
+  /** Pointing into the display puts the caret at the nearest character gap. */
+  _pointCaret(intersection) {
+    if (!intersection || !intersection.point || !this._displayMesh || !this._displayCanvas) {
+      return;
+    }
+    const local = this._displayMesh.worldToLocal(intersection.point.clone());
+    const target = (local.x / this._displayWidth + 0.5) * this._displayCanvas.width;
+    const chars = Array.from(this.text);
+    let index = this._viewStart;
+    let x = 24 + (index > 0 ? textWidthEm(ELLIPSIS) : 0) * COMPOSITION_FONT_PX;
+    while (index < chars.length) {
+      const w = charWidthEm(chars[index].codePointAt(0)) * COMPOSITION_FONT_PX;
+      if (x + w / 2 > target) {
+        break;
+      }
+      x += w;
+      index++;
+    }
+    this.setCaret(index);
+  }
+
+  /**
+   * A key pressed with a controller ray or a pinch. With swipe typing on, a
+   * press on a letter starts a swipe instead and the key is typed on release
+   * if the ray never left it (_endSwipe). Gaze dwell has no release, so it
+   * always types at once, as do the keys that are not letters.
+   */
+  _onKeySelect(label, evt) {
+    if (this.swipeTyping && evt && evt.controller && evt.intersection
+        && /^[a-z]$/.test(label) && !this.ime.keyGlyphs) {
+      this._swipe = { points: [] };
+      this._swipeTo(evt.intersection);
+      return;
+    }
+    this.onKeyPress(label);
+  }
+
+  /** Add where the ray is on the keys to the swipe in progress. */
+  _swipeTo(intersection) {
+    if (!this._swipe || !intersection || !intersection.point
+        || !this.keyMeshes.some(({ mesh }) => mesh === intersection.object)) {
+      return;
+    }
+    const p = this.group.worldToLocal(intersection.point.clone());
+    this._swipe.points.push({ x: p.x, y: p.y });
+  }
+
+  /**
+   * The trigger was let go: a swipe that stayed on one key is a tap on it;
+   * otherwise the best word for the path is typed and the next best are
+   * offered in the suggestion bar, where picking one replaces it. A path
+   * that matches no word types nothing.
+   */
+  async _endSwipe() {
+    const swipe = this._swipe;
+    this._swipe = null;
+    if (!swipe || !this.keyboard) {
+      return;
+    }
+    const crossed = swipeKeys(swipe.points, this.keyboard.keys);
+    if (crossed.length < 2) {
+      if (crossed.length === 1) {
+        await this.onKeyPress(crossed[0]);
+      }
+      return;
+    }
+    const words = decodeSwipe(swipe.points, this.keyboard.keys, SWIPE_WORDS);
+    if (!words.length) {
+      return;
+    }
+    if (!this.ime.isActive) {
+      this.ime.activate();
+    }
+    this._remember('swipe');
+    if (this._selection) {
+      this._edit('');
+    }
+    // Words typed one after another are spaced, as a tap on Space would.
+    if (/[a-z0-9]$/i.test(this.ime.compositionBuffer || '')) {
+      await this.ime.processInput(' ');
+    }
+    await this._typeWord(words[0].word);
+    this._swiped = words[0].word;
+    this.showSuggestions(words.map(({ word }) => ({ word })));
+  }
+
+  /** Type a word's letters into the input method, as taps would. */
+  async _typeWord(word) {
+    for (const letter of word) {
+      await this.ime.processInput(letter);
+    }
+    this._clearCandidates();
+    this._refreshDisplay();
+  }
+
+  /** Replace the word the last swipe typed with another reading of it. */
+  async _chooseSwipedWord(word) {
+    this._clearSuggestions();
+    if (!this._swiped) {
+      return;
+    }
+    for (let i = 0; i < this._swiped.length; i++) {
+      this.ime.deleteLast();
+    }
+    this._swiped = word;
+    await this._typeWord(word);
+  }
+
+  /**
+   * A key typed on a paired hardware keyboard: handled like the 3D key it
+   * names (romaji into the IME, Backspace, Enter, Esc, Space to convert)
+   * and kept from the page's own shortcuts — app.js takes P, F, C and Esc.
+   * Keys the system IME is composing with are left to it.
+   *
+   * @param {KeyboardEvent} event
+   * @returns {boolean} whether the keyboard took the key
+   */
+  handleKeyEvent(event) {
+    const label = this._composing ? null : keyLabel(event);
+    if (!label || !this.group || !this.group.visible) {
+      return false;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    this.onKeyPress(label);
+    return true;
+  }
+
+  /**
+   * Add text as it is — what the system IME composed — after the text typed
+   * so far.
+   *
+   * @param {string} text
+   */
+  async insertText(text) {
+    if (!text) {
+      return;
+    }
+    if (!this.ime.isActive) {
+      this.ime.activate();
+    }
+    this._remember('type');
+    if (this._selection) {
+      this._edit('');
+    }
+    this.updateDisplay(await this.ime.processInput(text));
+  }
+
+  /**
+   * Show `text` at the caret as provisional — dictation the recogniser may
+   * still revise — in brackets, as a clause being converted is; '' clears
+   * it. It is not part of the field's text: insertText() types the final
+   * version.
+   *
+   * @param {string} text
+   */
+  setProvisional(text) {
+    this._provisional = text || '';
+    this._refreshDisplay();
+  }
+
+  /**
+   * Start or stop hearing the hardware keyboard. Keys are caught on the way
+   * down (capture phase), before the document's listeners.
+   */
+  _listenHardwareKeys(on) {
+    const target = this.keyEventTarget;
+    if (!target || on === this._listening) {
+      return;
+    }
+    this._listening = on;
+    const method = on ? 'addEventListener' : 'removeEventListener';
+    target[method]('keydown', this._onHardwareKey, true);
+    target[method]('compositionstart', this._onCompositionStart, true);
+    target[method]('compositionend', this._onCompositionEnd, true);
+    this._composing = false;
+    const sink = on ? this._ensureCompositionSink() : this._compositionSink;
+    if (sink) {
+      if (on) {
+        sink.focus();
+      } else {
+        sink.blur();
+      }
+    }
+  }
+
+  /**
+   * An off-screen textarea, focused while the keyboard is open. The system
+   * IME only composes into an editable element, so without one there would
+   * be no composition events to hear.
+   */
+  _ensureCompositionSink() {
+    if (this._compositionSink || typeof document === 'undefined' || !document.body) {
+      return this._compositionSink;
+    }
+    const sink = document.createElement('textarea');
+    sink.setAttribute('aria-label', 'VR keyboard input');
+    sink.setAttribute('autocomplete', 'off');
+    sink.style.position = 'fixed';
+    sink.style.left = '-9999px';
+    sink.style.opacity = '0';
+    document.body.appendChild(sink);
+    this._compositionSink = sink;
+    return sink;
+  }
+
   /**
    * Display a row of selectable kanji candidate buttons above the keyboard.
-   * Each button shows one candidate; selecting it commits that candidate.
+   * Each button shows one candidate; selecting it commits that candidate
+   * (for a conversion of several clauses, for the current clause).
    * Previously-shown candidates are cleared first (idempotent).
    *
+   * The IME orders them, learned picks and the user's own words first;
+   * those carry a ★ (top-right) so the user can tell why one moved up.
+   *
    * @param {string[]} candidates
    */
   showCandidates(candidates) {
@@ -1149,11 +1982,12 @@ export class VRJapaneseKeyboard {
     // Position the strip above the display.  The display sits at
     //   group-local y = height/2 + DISPLAY_H/2 + 0.01
     // so the candidate row goes above that by another DISPLAY_H.
-    const { height } = keyboardBounds(undefined, this.scale);
+    const { height } = keyboardBounds(this._rows(), this.scale);
     const DISPLAY_H = 0.09 * this.scale;
     const stripY = height / 2 + DISPLAY_H + DISPLAY_H / 2 + 0.02;
 
     shown.forEach((kanji, i) => {
+      const learned = Boolean(this.ime && this.ime.candidateSource && this.ime.candidateSource(kanji));
       const canvas = document.createElement('canvas');
       canvas.width = 128;
       canvas.height = 128;
@@ -1183,6 +2017,10 @@ export class VRJapaneseKeyboard {
         ctx.textAlign = 'left';
         ctx.textBaseline = 'top';
         ctx.fillText(style.number, 10, 8);
+        if (learned) {
+          ctx.textAlign = 'right';
+          ctx.fillText('★', 118, 8);
+        }
         ctx.fillStyle = col.candLabel;
         ctx.font = 'bold 60px sans-serif';
         ctx.textAlign = 'center';
@@ -1205,11 +2043,23 @@ export class VRJapaneseKeyboard {
       if (this.registerInteractable) {
         this.registerInteractable(mesh, {
           onSelect: () => {
-            const text = this.ime.selectCandidate
-              ? this.ime.selectCandidate(i)
-              : kanji;
+            // Choosing for one clause of several moves on to the next
+            // clause's candidates; only the last one confirms.
+            const step = this.ime.chooseCandidate ? this.ime.chooseCandidate(i) : null;
+            if (step && !step.done) {
+              this._refreshDisplay();
+              if (this.ime.candidates.length) {
+                this.showCandidates(this.ime.candidates);
+              } else {
+                // Pinyin with nothing left to convert: keep typing.
+                this._clearCandidates();
+              }
+              return;
+            }
+            const text = step ? step.text
+              : (this.ime.selectCandidate ? this.ime.selectCandidate(i) : kanji);
             this._clearCandidates();
-            this.onTextConfirmed(text || kanji);
+            this.onTextConfirmed((text || kanji) + this._takeTail());
           },
           onHover: () => {
             draw(true);
@@ -1234,12 +2084,16 @@ export class VRJapaneseKeyboard {
    * history/bookmark hits for the current composition text). Selecting one
    * confirms its URL directly — the user skips the rest of the typing.
    *
+   * After a swipe the row holds words instead (`{word}` entries, the
+   * decoder's ranking): the first is the one typed, and selecting another
+   * puts it in that word's place.
+   *
    * Shares the kanji candidates' strip zone: suggestions show while typing,
    * kanji candidates show after 変換/space, and each clears the other, so the
    * two never overlap. Rendering mirrors showCandidates() (canvas-texture
    * buttons, candidateStyle colours, numbered order cue, hover repaint).
    *
-   * @param {{url:string, title?:string}[]} entries
+   * @param {Array<{url:string, title?:string}|{word:string}>} entries
    */
   showSuggestions(entries) {
     this._clearSuggestions();
@@ -1254,7 +2108,7 @@ export class VRJapaneseKeyboard {
     }
 
     const MAX = 4;
-    const shown = entries.slice(0, MAX).filter(e => e && e.url);
+    const shown = entries.slice(0, MAX).filter(e => e && (e.url || e.word));
     if (shown.length === 0) {
       return;
     }
@@ -1264,14 +2118,14 @@ export class VRJapaneseKeyboard {
     const rowWidth = shown.length * BTN_W + (shown.length - 1) * GAP_S;
 
     // Same strip zone as the kanji candidate row (mutually exclusive with it).
-    const { height } = keyboardBounds(undefined, this.scale);
+    const { height } = keyboardBounds(this._rows(), this.scale);
     const DISPLAY_H = 0.09 * this.scale;
     const stripY = height / 2 + DISPLAY_H + DISPLAY_H / 2 + 0.02;
 
     const CANVAS_W = SUGGESTION_BTN_PX_W;
     const CANVAS_H = SUGGESTION_BTN_PX_H;
     shown.forEach((entry, i) => {
-      const label = suggestionLabel(entry);
+      const label = entry.word || suggestionLabel(entry);
       const canvas = document.createElement('canvas');
       canvas.width = CANVAS_W;
       canvas.height = CANVAS_H;
@@ -1315,6 +2169,9 @@ export class VRJapaneseKeyboard {
       if (this.registerInteractable) {
         this.registerInteractable(mesh, {
           onSelect: () => {
+            if (entry.word) {
+              return this._chooseSwipedWord(entry.word);
+            }
             // Confirm the suggested URL directly: clear the composition so a
             // reopened keyboard starts fresh, then route through the normal
             // confirm path (hides keyboard, fires the one-shot callback).
@@ -1322,6 +2179,7 @@ export class VRJapaneseKeyboard {
             if (this.ime) {
               this.ime.compositionBuffer = '';
             }
+            this._takeTail();
             this.onTextConfirmed(entry.url);
           },
           onHover: () => {
@@ -1330,7 +2188,7 @@ export class VRJapaneseKeyboard {
             // Announce the FULL destination URL, not the truncated label, so
             // gaze users know exactly where the button navigates (WCAG 1.3.3).
             if (this.onHoverCaption) {
-              this.onHoverCaption(entry.url);
+              this.onHoverCaption(entry.word || entry.url);
             }
           },
           onHoverEnd: () => {
@@ -1353,7 +2211,7 @@ export class VRJapaneseKeyboard {
     if (!this.suggestionProvider) {
       return;
     }
-    const query = this.ime ? String(this.ime.compositionBuffer || '') : '';
+    const query = this.ime ? this.text : '';
     if (query.trim().length < 2) {
       this._clearSuggestions();
       return;
@@ -1371,13 +2229,19 @@ export class VRJapaneseKeyboard {
   /**
    * Update display with current composition — repaints the 3D display strip,
    * clears any candidate row (new input supersedes conversion candidates),
-   * and refreshes the URL-suggestion row for the new composition text.
+   * and refreshes the URL-suggestion row for the new composition text. An
+   * input method that converts as you type (Pinyin) returns candidates
+   * instead, and those take the strip.
    */
   updateDisplay(processed) {
     console.debug(`Input: ${processed.raw} → ${processed.converted} [${processed.mode}]`);
     this._clearCandidates();
     this._refreshDisplay();
-    this._updateSuggestions();
+    if (processed.candidates && processed.candidates.length) {
+      this.showCandidates(processed.candidates);
+    } else {
+      this._updateSuggestions();
+    }
   }
 
   /**
@@ -1404,6 +2268,11 @@ export class VRJapaneseKeyboard {
 
   dispose() {
     this.clearOnConfirm();
+    this._listenHardwareKeys(false);
+    if (this._compositionSink) {
+      this._compositionSink.remove();
+      this._compositionSink = null;
+    }
 
     // Tear down 3D resources: unregister interactables, dispose geometry/
     // materials/textures, and remove the group from the scene. The candidate/
@@ -1412,21 +2281,10 @@ export class VRJapaneseKeyboard {
     // unregister.
     this._clearCandidates();
     this._clearSuggestions();
-    for (const { mesh } of this.keyMeshes) {
-      this.unregisterInteractable?.(mesh);
-      if (mesh.geometry) {
-        mesh.geometry.dispose();
-      }
-      if (mesh.material) {
-        mesh.material.dispose();
-      }
-      if (mesh.userData.keyTex) {
-        mesh.userData.keyTex.dispose();
-      }
-    }
-    this.keyMeshes = [];
+    this._disposeKeys();
 
     if (this._displayMesh) {
+      this.unregisterInteractable?.(this._displayMesh);
       if (this._displayMesh.geometry) {
         this._displayMesh.geometry.dispose();
       }
@@ -1463,8 +2321,8 @@ export class VRJapaneseKeyboard {
 
     this.keyboard = null;
     this.candidatePanel = null;
-    if (this.ime) {
-      this.ime.dispose();
+    for (const ime of this.imes) {
+      ime.dispose();
     }
   }
 }
@@ -0,0 +1,198 @@
+/**
+ * Chinese input for the VR keyboard: pinyin typed on the letter keys is
+ * offered as Simplified Chinese candidates while it is typed.
+ *
+ * The candidate bar follows the pinyin as it grows (ni → 你 尼 …, nihao →
+ * 你好 你 …). Choosing a candidate commits it and converts only the letters
+ * it used, so a phrase the table has no word for is typed one word or
+ * character at a time; Space chooses the first candidate, Enter sends what
+ * is committed plus any pinyin left as letters — which is also how a URL or
+ * an English search is typed with this layout.
+ *
+ * PinyinIME implements the input-method interface VRJapaneseKeyboard hosts
+ * (see its constructor). The lookups are pinyinTable.js.
+ */
+
+import { PLAIN_ROWS } from './keyboardLayout.js';
+import { pinyinCandidates, splitPinyin } from './pinyinTable.js';
+
+const isLetter = (key) => /^[a-z]$/i.test(key);
+
+export class PinyinIME {
+  constructor() {
+    this.id = 'zh';
+    this.isActive = false;
+    this.inputMode = 'pinyin';
+    this.rows = PLAIN_ROWS;
+    this.candidates = []; // texts, for the candidate bar
+    this.selectedIndex = 0;
+    this.shiftActive = false;
+    this._committed = '';
+    this._pinyin = '';   // letters not converted yet
+    this._lengths = [];  // how many of them each candidate uses
+    this.stats = { conversions: 0, charactersTyped: 0, averageConversionTime: 0 };
+  }
+
+  /** Everything typed: the committed text and the pinyin not converted yet. */
+  get compositionBuffer() {
+    return this._committed + this._pinyin;
+  }
+
+  set compositionBuffer(text) {
+    this._committed = String(text || '');
+    this._pinyin = '';
+    this._lookup();
+  }
+
+  /**
+   * Type a key. Letters are pinyin (Shift types one capital, as does a
+   * capital from a hardware keyboard; capitals are not pinyin and go in as
+   * they are); anything else commits the pending pinyin as letters and goes
+   * in after it.
+   *
+   * @returns {{raw: string, converted: string, mode: string, candidates: string[]}}
+   */
+  async processInput(key) {
+    this.stats.charactersTyped++;
+    const shifted = this.shiftActive;
+    this.shiftActive = false;
+    if (isLetter(key) && !shifted && key === key.toLowerCase()) {
+      this._pinyin += key;
+      if (!splitPinyin(this._pinyin)) {
+        // Not pinyin any more (an English word, a host name): keep it as typed.
+        this._committed += this._pinyin;
+        this._pinyin = '';
+      }
+    } else {
+      this._committed += this._pinyin + (shifted ? key.toUpperCase() : key);
+      this._pinyin = '';
+    }
+    this._lookup();
+    return this._state();
+  }
+
+  /** Backspace: the last pinyin letter, else the last committed character. */
+  deleteLast() {
+    if (this._pinyin) {
+      this._pinyin = this._pinyin.slice(0, -1);
+    } else {
+      this._committed = Array.from(this._committed).slice(0, -1).join('');
+    }
+    this._lookup();
+    return this._state();
+  }
+
+  /**
+   * Space chooses the first candidate while there is pinyin to convert, and
+   * types a space otherwise.
+   *
+   * @returns {Promise<{candidates: string[]}|null>} the candidates for the
+   *   pinyin that is left, if any
+   */
+  async onSpace() {
+    if (this.candidates.length) {
+      this.chooseCandidate(0);
+      return { candidates: this.candidates };
+    }
+    await this.processInput(' ');
+    return null;
+  }
+
+  toggleShift() {
+    this.shiftActive = !this.shiftActive;
+  }
+
+  /**
+   * Commit a candidate and convert the rest of the pinyin next.
+   *
+   * @param {number} index
+   * @returns {{done: boolean, text: string}|null} never `done` — Enter sends
+   *   the text — and null when there is no such candidate
+   */
+  chooseCandidate(index) {
+    const chosen = this.selectCandidate(index);
+    if (chosen === null) {
+      return null;
+    }
+    this._committed += chosen;
+    this._pinyin = this._pinyin.slice(this._lengths[index]);
+    this.stats.conversions++;
+    this._lookup();
+    return { done: false, text: this._committed };
+  }
+
+  selectCandidate(index) {
+    if (index >= 0 && index < this.candidates.length) {
+      this.selectedIndex = index;
+      return this.candidates[index];
+    }
+    return null;
+  }
+
+  /** The committed text and the pending pinyin by syllable: 你[hao ma]. */
+  conversionPreview() {
+    if (!this._pinyin) {
+      return null;
+    }
+    const syllables = splitPinyin(this._pinyin);
+    return `${this._committed}[${syllables ? syllables.map((s) => s.syllable).join(' ') : this._pinyin}]`;
+  }
+
+  /** Everything typed, pinyin not converted as letters, and start afresh. */
+  confirmSelection() {
+    const text = this.compositionBuffer;
+    this.clear();
+    return text;
+  }
+
+  clear() {
+    this._committed = '';
+    this._pinyin = '';
+    this.candidates = [];
+    this._lengths = [];
+    this.selectedIndex = 0;
+    this.shiftActive = false;
+  }
+
+  getState() {
+    return {
+      isActive: this.isActive,
+      mode: this.inputMode,
+      buffer: this.compositionBuffer,
+      candidates: this.candidates,
+      selectedIndex: this.selectedIndex,
+      stats: this.stats
+    };
+  }
+
+  activate() {
+    this.isActive = true;
+    this.clear();
+  }
+
+  deactivate() {
+    this.isActive = false;
+    this.clear();
+  }
+
+  dispose() {
+    this.clear();
+    this.isActive = false;
+  }
+
+  _lookup() {
+    const found = pinyinCandidates(this._pinyin);
+    this.candidates = found.map((c) => c.text);
+    this._lengths = found.map((c) => c.length);
+    this.selectedIndex = 0;
+  }
+
+  _state() {
+    return {
+      raw: this.compositionBuffer,
+      converted: this.compositionBuffer,
+      mode: this.inputMode,
+      candidates: this.candidates
+    };
+  }
+}
@@ -0,0 +1,313 @@
+/**
+ * The Japanese IME's user dictionary: words the user registered (names,
+ * project jargon) and the candidates they have picked before.
+ *
+ * A registered word is a candidate for its reading whatever the conversion
+ * dictionary says, and offline segmentation (kanjiDictionary.js) splits
+ * clauses at it. Picks are remembered per reading and word with a count and
+ * a time, and rank a candidate by the same frecency BookmarkStore ranks
+ * history with: picked often and lately comes first, and the weight halves
+ * every LEARNING_HALF_LIFE_DAYS.
+ *
+ * Learning is keyed on a clause's word, not its particles: picking 渡しは for
+ * わたしは also raises 渡しが for わたしが.
+ *
+ * Both are a few hundred small entries, kept in localStorage under
+ * USER_DICT_KEY. Import reads the tab-separated text Google Japanese Input,
+ * Mozc and Microsoft IME export ("reading<TAB>word<TAB>part of speech<TAB>
+ * comment", UTF-8) and SKK-JISYO lines; export writes the tab-separated form,
+ * which those IMEs import.
+ */
+
+import { frecencyScore } from '../../utils/BookmarkStore.js';
+
+export const USER_DICT_KEY = 'quiBrowser_imeUserDictionary';
+/** Registered words kept; adding past this is refused. */
+export const MAX_USER_WORDS = 2000;
+/** Picks remembered; past this the longest-unused is forgotten. */
+export const MAX_LEARNED = 500;
+/** Longest reading a word can be registered under, in kana. */
+export const MAX_USER_READING_CHARS = 24;
+const MAX_WORD_CHARS = 60;
+const LEARNING_HALF_LIFE_DAYS = 30;
+const EXPORT_PART_OF_SPEECH = '名詞';
+
+/**
+ * A reading as the IME composes it: hiragana, with katakana folded to
+ * hiragana (exports from other IMEs sometimes carry katakana readings).
+ * Null when it is not one.
+ */
+export function normalizeReading(reading) {
+  const s = String(reading || '').trim()
+    .replace(/[ァ-ヶ]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0x60));
+  return /^[ぁ-ゖー]+$/.test(s) && s.length <= MAX_USER_READING_CHARS ? s : null;
+}
+
+function normalizeWord(word) {
+  const s = String(word || '').trim();
+  return s && s.length <= MAX_WORD_CHARS && !/[\t\n\r/]/.test(s) ? s : null;
+}
+
+const pairKey = (reading, word) => `${reading}\t${word}`;
+
+/**
+ * Words in an import file: tab-separated lines (reading, word, …) or SKK
+ * lines ("reading /word/word/"). Comment and header lines (# ! ;) are
+ * skipped; other lines that are neither are counted as skipped.
+ *
+ * @param {string} text
+ * @returns {{words: Array<{reading: string, word: string}>, skipped: number}}
+ */
+export function parseUserDictionaryText(text) {
+  const words = [];
+  let skipped = 0;
+  for (const raw of String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || /^[#!;]/.test(line)) {
+      continue;
+    }
+    const skk = /^(\S+) \/(.+)\/$/.exec(line);
+    const pairs = line.includes('\t')
+      ? [line.split('\t').slice(0, 2)]
+      : skk ? skk[2].split('/').map((w) => [skk[1], w.split(';')[0]]) : [];
+    let any = false;
+    for (const [r, w] of pairs) {
+      const reading = normalizeReading(r);
+      const word = normalizeWord(w);
+      if (reading && word) {
+        words.push({ reading, word });
+        any = true;
+      }
+    }
+    if (!any) {
+      skipped++;
+    }
+  }
+  return { words, skipped };
+}
+
+export class UserDictionary {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.key=USER_DICT_KEY]  localStorage key
+   */
+  constructor({ key = USER_DICT_KEY } = {}) {
+    this.key = key;
+    let stored = null;
+    try {
+      stored = typeof localStorage !== 'undefined' ? JSON.parse(localStorage.getItem(key) || 'null') : null;
+    } catch { /* unreadable — start empty */ }
+    this._words = [];
+    this.readings = new Map(); // reading → words, for segmentation
+    for (const e of (stored && Array.isArray(stored.words) ? stored.words : [])) {
+      this._addWord(e && e.reading, e && e.word, e && e.addedAt);
+    }
+    this._learned = new Map(); // pairKey → { reading, word, count, lastUsed }
+    for (const e of (stored && Array.isArray(stored.learned) ? stored.learned : [])) {
+      const reading = normalizeReading(e && e.reading);
+      const word = normalizeWord(e && e.word);
+      if (reading && word && Number.isSafeInteger(e.count) && e.count > 0) {
+        this._learned.set(pairKey(reading, word), {
+          reading, word, count: e.count, lastUsed: Number.isSafeInteger(e.lastUsed) ? e.lastUsed : 0
+        });
+      }
+    }
+  }
+
+  /** Registered words, by reading (copies). */
+  getWords() {
+    return this._words
+      .map((e) => ({ ...e }))
+      .sort((a, b) => a.reading.localeCompare(b.reading, 'ja') || a.word.localeCompare(b.word, 'ja'));
+  }
+
+  /** Words registered for exactly `reading`. */
+  wordsFor(reading) {
+    return (this.readings.get(reading) || []).slice();
+  }
+
+  /**
+   * Register `word` for `reading`.
+   * @returns {boolean} false when either is invalid, the pair is already
+   *   registered, the dictionary is full, or storage refused the write
+   */
+  add(reading, word) {
+    if (!this._addWord(reading, word, Date.now())) {
+      return false;
+    }
+    if (!this._save()) {
+      this.remove(normalizeReading(reading), normalizeWord(word));
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Unregister a word. What was learned about it is forgotten too.
+   * @returns {boolean} false when it was not registered
+   */
+  remove(reading, word) {
+    const i = this._words.findIndex((e) => e.reading === reading && e.word === word);
+    if (i < 0) {
+      return false;
+    }
+    this._words.splice(i, 1);
+    const rest = this.wordsFor(reading).filter((w) => w !== word);
+    if (rest.length) {
+      this.readings.set(reading, rest);
+    } else {
+      this.readings.delete(reading);
+    }
+    this._learned.delete(pairKey(reading, word));
+    this._save();
+    return true;
+  }
+
+  /**
+   * Remember that `word` was picked for the clause read `reading`.
+   *
+   * @param {string} reading  the clause's reading, particles included
+   * @param {string} word     the candidate picked
+   * @param {string} [tail]   the clause's particles and endings, which are
+   *   left out of what is learned
+   */
+  learn(reading, word, tail = '', now = Date.now()) {
+    const pair = this._stripTail(reading, word, tail);
+    if (!pair) {
+      return;
+    }
+    const key = pairKey(pair.reading, pair.word);
+    const entry = this._learned.get(key) || { reading: pair.reading, word: pair.word, count: 0, lastUsed: 0 };
+    entry.count++;
+    entry.lastUsed = now;
+    this._learned.delete(key); // re-inserted last: the Map stays in use order
+    this._learned.set(key, entry);
+    if (this._learned.size > MAX_LEARNED) {
+      this._learned.delete(this._learned.keys().next().value);
+    }
+    this._save();
+  }
+
+  /** Forget every pick (registered words stay). */
+  forgetLearning() {
+    this._learned.clear();
+    this._save();
+  }
+
+  /**
+   * `candidates` for a clause in the order to offer them: what was picked
+   * before first, most frecent first; then registered words, including any
+   * the list did not have; then the rest in their original order.
+   *
+   * @param {string} reading
+   * @param {string[]} candidates
+   * @param {string} [tail]  see learn()
+   * @returns {string[]}
+   */
+  rank(reading, candidates, tail = '', now = Date.now()) {
+    const head = tail && reading.endsWith(tail) ? reading.slice(0, -tail.length) : reading;
+    const own = this.wordsFor(head).map((w) => w + (head === reading ? '' : tail));
+    const list = [...candidates];
+    for (const w of own) {
+      if (!list.includes(w)) {
+        list.push(w);
+      }
+    }
+    const score = (c) => {
+      const pair = this._stripTail(reading, c, tail);
+      const entry = pair && this._learned.get(pairKey(pair.reading, pair.word));
+      if (!entry) {
+        return 0;
+      }
+      return frecencyScore({ visits: entry.count, visitedAt: entry.lastUsed }, now, LEARNING_HALF_LIFE_DAYS);
+    };
+    const keyed = list.map((c, i) => ({ c, i, score: score(c), own: own.includes(c) }));
+    keyed.sort((a, b) => (b.score - a.score) || (b.own - a.own) || (a.i - b.i));
+    return keyed.map((k) => k.c);
+  }
+
+  /**
+   * Why `candidate` is where rank() put it: 'learned' when it was picked
+   * before, 'user' when it is a registered word, else null.
+   */
+  source(reading, candidate, tail = '') {
+    const pair = this._stripTail(reading, candidate, tail);
+    if (!pair) {
+      return null;
+    }
+    if (this._learned.has(pairKey(pair.reading, pair.word))) {
+      return 'learned';
+    }
+    return this.wordsFor(pair.reading).includes(pair.word) ? 'user' : null;
+  }
+
+  /**
+   * Register the words in an import file (see parseUserDictionaryText).
+   * @param {string} text
+   * @returns {{added: number, duplicates: number, skipped: number}|null}
+   *   null when the file held no words at all, or storage refused the write
+   */
+  importText(text) {
+    const { words, skipped } = parseUserDictionaryText(text);
+    if (!words.length) {
+      return null;
+    }
+    const result = { added: 0, duplicates: 0, skipped };
+    const now = Date.now();
+    for (const { reading, word } of words) {
+      if (this._addWord(reading, word, now)) {
+        result.added++;
+      } else if (this.wordsFor(reading).includes(word)) {
+        result.duplicates++;
+      } else {
+        result.skipped++;
+      }
+    }
+    return result.added && !this._save() ? null : result;
+  }
+
+  /** The registered words as tab-separated text other IMEs import. */
+  exportText() {
+    return this.getWords()
+      .map((e) => `${e.reading}\t${e.word}\t${EXPORT_PART_OF_SPEECH}\t\n`)
+      .join('');
+  }
+
+  _addWord(reading, word, addedAt) {
+    const r = normalizeReading(reading);
+    const w = normalizeWord(word);
+    if (!r || !w || this._words.length >= MAX_USER_WORDS || this.wordsFor(r).includes(w)) {
+      return false;
+    }
+    this._words.push({ reading: r, word: w, addedAt: Number.isSafeInteger(addedAt) ? addedAt : 0 });
+    this.readings.set(r, [...this.wordsFor(r), w]);
+    return true;
+  }
+
+  /** The word part of a clause's reading and candidate, or null when invalid. */
+  _stripTail(reading, word, tail) {
+    let r = reading;
+    let w = word;
+    if (tail && r.endsWith(tail) && w.endsWith(tail) && r.length > tail.length && w.length > tail.length) {
+      r = r.slice(0, -tail.length);
+      w = w.slice(0, -tail.length);
+    }
+    r = normalizeReading(r);
+    w = normalizeWord(w);
+    return r && w ? { reading: r, word: w } : null;
+  }
+
+  _save() {
+    try {
+      if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(this.key, JSON.stringify({
+          version: 1,
+          words: this._words,
+          learned: [...this._learned.values()]
+        }));
+        return true;
+      }
+    } catch { /* storage full or unavailable — kept for the session */ }
+    return false;
+  }
+}
@@ -3,11 +3,41 @@
  * Hands-free control with natural language processing
  *
  * John Carmack principle: Voice is the ultimate VR input
+ *
+ * The phrases each command answers to, and everything it says back, come
+ * from the locale's grammar (voiceGrammar.js); this class holds what the
+ * commands do.
  */
 
+import { getLanguage } from '../../i18n/i18n.js';
+import { voiceGrammar, voiceLocale, FALLBACK_LOCALE } from './voiceGrammar.js';
+import { tokenize, matchTemplate, parseOrdinal, parseNumber } from './intentGrammar.js';
+import { createRecognizer, commandVocabulary, offlineSpeechAvailable } from './speechBackends.js';
+import { dictationControl, dictatedText, needsSpace } from './dictation.js';
+
+/** How long a "did you mean" question waits for its answer. */
+const PROMPT_TIMEOUT_MS = 10000;
+/** The most commands one "did you mean" question offers. */
+const MAX_CHOICES = 3;
+
 export class VoiceCommands {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.language]  BCP 47 tag to listen and speak in;
+   *   defaults to the UI language (i18n getLanguage()), so a user who reads
+   *   the interface in English is also understood in English
+   * @param {string} [options.backend='web']  recogniser (speechBackends.js
+   *   SPEECH_BACKENDS): the browser's, or the offline keyword spotter
+   * @param {string} [options.kwsModuleUrl]  the offline spotter's module and
+   * @param {string} [options.kwsWorkletUrl]  worklet, when the app is not
+   *   served from the domain root
+   */
+  constructor(options = {}) {
     this.recognition = null;
+    this.backend = options.backend || 'web';
+    this._kwsUrls = { moduleUrl: options.kwsModuleUrl, workletUrl: options.kwsWorkletUrl };
+    // Whether the offline spotter's module is served; found out by initialize().
+    this.offlineAvailable = false;
     this.synthesis = null;
     this.isListening = false;
     this.isEnabled = false;
@@ -17,8 +47,13 @@ export class VoiceCommands {
     this.aliases = new Map();
 
     // Language settings
-    this.language = 'ja-JP'; // Japanese default
-    this.fallbackLanguage = 'en-US';
+    this.language = options.language || voiceLocale(getLanguage());
+    this.fallbackLanguage = FALLBACK_LOCALE;
+    this.grammar = voiceGrammar(this.language);
+    // Commands whose phrases came from the grammar, for setLanguage() to
+    // replace, and the connectBrowser() options to register them again with.
+    this._localized = new Set();
+    this._browser = null;
 
     // Recognition settings
     this.settings = {
@@ -26,12 +61,20 @@ export class VoiceCommands {
       interimResults: true,
       maxAlternatives: 3,
       sensitivity: 0.7, // 0-1
-      wakeWord: 'キューブラウザ', // "Qui Browser"
+      wakeWord: this.grammar.wakeWord,
       requireWakeWord: false
     };
 
+    // Browser the navigation commands drive (set by connectBrowser).
+    this.tabManager = null;
+
     // State
     this.lastCommand = null;
+    // Equally close commands awaiting "which one" ({choices, at}), or null.
+    this._pending = null;
+    // While dictating, the keyboard typed into and whether the next word
+    // wants a space before it ({keyboard, space}), or null.
+    this._dictation = null;
     this.lastTranscript = '';
     this.confidence = 0;
     this.isAwake = !this.settings.requireWakeWord;
@@ -63,25 +106,20 @@ export class VoiceCommands {
    * Initialize voice recognition
    */
   async initialize() {
-    // Check browser support
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    const SpeechSynthesis = window.speechSynthesis;
-
-    if (!SpeechRecognition) {
-      console.error('VoiceCommands: Speech recognition not supported');
-      return false;
-    }
-
     try {
-      // Setup recognition
-      this.recognition = new SpeechRecognition();
-      this.recognition.continuous = this.settings.continuous;
-      this.recognition.interimResults = this.settings.interimResults;
-      this.recognition.maxAlternatives = this.settings.maxAlternatives;
-      this.recognition.lang = this.language;
+      // Setup recognition: the browser's, or the offline spotter where it
+      // has none and its module is served (speechBackends.js createRecognizer).
+      // An offline choice from a build that had the module falls back to the browser's.
+      this.offlineAvailable = await offlineSpeechAvailable({ moduleUrl: this._kwsUrls.moduleUrl });
+      this.recognition = this._createRecognition(this.backend)
+        || (this.backend === 'offline' ? this._createRecognition('web') : null);
+      if (!this.recognition) {
+        console.error('VoiceCommands: Speech recognition not supported');
+        return false;
+      }
 
       // Setup synthesis
-      this.synthesis = SpeechSynthesis;
+      this.synthesis = globalThis.speechSynthesis;
 
       // Setup event handlers
       this.setupRecognitionHandlers();
@@ -96,6 +134,62 @@ export class VoiceCommands {
     }
   }
 
+  /** A recogniser from the named backend, set up from this.settings, or null. */
+  _createRecognition(backend) {
+    const recognition = createRecognizer(backend, {
+      // Asked on every start, so the spotter hears the current language's
+      // phrases and commands registered since.
+      vocabulary: () => commandVocabulary(this.commands, this.aliases, this.grammar.spaced),
+      offlineAvailable: this.offlineAvailable,
+      ...this._kwsUrls
+    });
+    if (recognition) {
+      recognition.continuous = this.settings.continuous;
+      recognition.interimResults = this.settings.interimResults;
+      recognition.maxAlternatives = this.settings.maxAlternatives;
+      recognition.lang = this.language;
+    }
+    return recognition;
+  }
+
+  /**
+   * Switch recogniser (speechBackends.js SPEECH_BACKENDS), listening on with
+   * the new one if the old one was listening. Before initialize() it only
+   * chooses the one initialize() will create.
+   *
+   * @param {string} backend
+   * @returns {boolean} false when that backend cannot run here; the current
+   *   recogniser is kept
+   */
+  setBackend(backend) {
+    if (!this.recognition) {
+      this.backend = backend;
+      return true;
+    }
+    const next = this._createRecognition(backend);
+    if (!next) {
+      return false;
+    }
+    if (next.id === 'offline') {
+      this.stopDictation();
+    }
+    const previous = this.recognition;
+    const wasListening = this.isListening;
+    // Detach first, so stopping it does not restart it (onend).
+    previous.onstart = previous.onend = previous.onresult = previous.onerror = null;
+    if (wasListening) {
+      previous.stop();
+    }
+    this.isListening = false;
+    this.backend = backend;
+    this.recognition = next;
+    this.setupRecognitionHandlers();
+    if (wasListening) {
+      this.start();
+    }
+    return true;
+  }
+
   /**
    * Setup recognition event handlers
    */
@@ -136,8 +230,10 @@ export class VoiceCommands {
 
       // Permission/service errors are fatal: recognition ends immediately and
       // onend's continuous-mode restart would spin in a tight loop (restart →
-      // error → restart). Disable so onend stops restarting.
-      if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+      // error → restart). Disable so onend stops restarting. So is the
+      // offline spotter's 'language-not-supported' (its module will not load).
+      if (event.error === 'not-allowed' || event.error === 'service-not-allowed' ||
+          event.error === 'language-not-supported') {
         this.isEnabled = false;
       }
 
@@ -154,6 +250,15 @@ export class VoiceCommands {
     const result = event.results[event.results.length - 1];
     const transcript = result[0].transcript.trim();
     const confidence = result[0].confidence;
+    // The other readings (maxAlternatives) are matched too, so a misheard
+    // first guess can be rescued by the second.
+    const alternatives = [];
+    for (let i = 1; i < result.length; i++) {
+      const alt = result[i] && result[i].transcript ? result[i].transcript.trim() : '';
+      if (alt) {
+        alternatives.push(alt);
+      }
+    }
     const isFinal = result.isFinal;
 
     this.lastTranscript = transcript;
@@ -166,6 +271,12 @@ export class VoiceCommands {
       this.callbacks.onTranscript(transcript, confidence, isFinal);
     }
 
+    // Dictation types what was heard instead, interim results as provisional
+    // text, whatever the confidence: the user sees it in the field.
+    if (this._dictation && this._dictate(transcript, isFinal)) {
+      return;
+    }
+
     // Confidence threshold — but skip it when the engine reports exactly 0.
     // Android Chrome (the Meta Quest browser's engine) routinely returns
     // confidence === 0 even for correctly recognized FINAL results, especially
@@ -183,7 +294,7 @@ export class VoiceCommands {
     if (this.settings.requireWakeWord && !this.isAwake) {
       if (this.containsWakeWord(transcript)) {
         this.isAwake = true;
-        this.speak('はい、聞いています'); // "Yes, I'm listening"
+        this.speak(this.grammar.messages.listening);
         console.debug('VoiceCommands: Wake word detected');
       }
       return;
@@ -191,7 +302,7 @@ export class VoiceCommands {
 
     // Process command if final
     if (isFinal) {
-      this.processCommand(transcript, confidence);
+      this.processCommand(transcript, confidence, alternatives);
 
       // Reset wake state after command
       if (this.settings.requireWakeWord) {
@@ -212,80 +323,194 @@ export class VoiceCommands {
   }
 
   /**
-   * Process voice command
+   * Process voice command.
+   *
+   * What was heard is matched in three passes, each over the recogniser's
+   * alternatives (best first) as well as the transcript:
+   *
+   *   1. exactly — a command's patterns, or its intent templates with no
+   *      edits, in registration order;
+   *   2. aliases, anywhere in the transcript;
+   *   3. fuzzily — string patterns and templates within a few edits a word
+   *      (intentGrammar.js), so "scrawl down a lot" still scrolls. The
+   *      closest command wins; when two are equally close, the user is asked
+   *      which they meant (spoken, so it reaches captions through onSpeak)
+   *      and the next utterance can answer "the second one".
+   *
+   * @param {string} transcript
+   * @param {number} confidence
+   * @param {string[]} [alternatives]  the recogniser's other readings
    */
-  processCommand(transcript, confidence) {
+  processCommand(transcript, confidence, alternatives = []) {
     this.stats.commandsRecognized++;
     this.stats.averageConfidence = (this.stats.averageConfidence * (this.stats.commandsRecognized - 1) + confidence) / this.stats.commandsRecognized;
 
-    // Normalize transcript
-    const normalized = transcript.toLowerCase().trim();
+    if (this._pending && this._answerPrompt(transcript, confidence)) {
+      return;
+    }
+    this._pending = null;
+
+    const heard = [transcript, ...alternatives.filter((alt) => alt && alt !== transcript)];
+    let match = this._exactMatch(heard) || this._aliasMatch(transcript);
+    if (!match) {
+      const close = this._fuzzyMatches(heard);
+      if (close.length > 1 && close[1].cost === close[0].cost) {
+        this._askWhich(close.filter((m) => m.cost === close[0].cost));
+        return;
+      }
+      match = close[0] || null;
+    }
 
-    // Find matching command
-    let matchedCommand = null;
-    let matchedKey = null;
-
-    // Check exact matches
-    for (const [key, command] of this.commands) {
-      if (command.patterns.some(pattern => {
-        if (typeof pattern === 'string') {
-          return normalized === pattern.toLowerCase();
-        } else if (pattern instanceof RegExp) {
-          return pattern.test(normalized);
-        }
-        return false;
-      })) {
-        matchedCommand = command;
-        matchedKey = key;
-        break;
+    if (match) {
+      this._run(match, confidence);
+    } else {
+      console.debug(`VoiceCommands: No matching command for "${transcript}"`);
+      this.stats.commandsFailed++;
+      this.speak(this.grammar.messages.notRecognized);
+      if (this.callbacks.onCommandFailed) {
+        this.callbacks.onCommandFailed({ reason: 'no_match', transcript });
       }
     }
+  }
 
-    // Check aliases
-    if (!matchedCommand) {
-      for (const [alias, commandKey] of this.aliases) {
-        if (normalized.includes(alias.toLowerCase())) {
-          matchedCommand = this.commands.get(commandKey);
-          matchedKey = commandKey;
-          break;
+  /** The first command whose patterns or templates match exactly. */
+  _exactMatch(heard) {
+    for (const text of heard) {
+      const normalized = text.toLowerCase().trim();
+      const tokens = tokenize(text, this.grammar.spaced);
+      for (const [key, command] of this.commands) {
+        const hit = command.patterns.some((pattern) => {
+          if (typeof pattern === 'string') {
+            return normalized === pattern.toLowerCase();
+          } else if (pattern instanceof RegExp) {
+            return pattern.test(normalized);
+          }
+          return false;
+        });
+        if (hit) {
+          return { key, command, transcript: text, slots: {} };
+        }
+        const intent = this._matchTemplates(command, tokens, false);
+        if (intent && intent.cost === 0) {
+          return { key, command, transcript: text, slots: intent.slots };
         }
       }
     }
+    return null;
+  }
 
-    // Execute command if found
-    if (matchedCommand) {
-      console.debug(`VoiceCommands: Executing command "${matchedKey}"`);
-
-      try {
-        const result = matchedCommand.action(transcript, confidence);
-        this.lastCommand = { key: matchedKey, transcript, confidence, result, timestamp: Date.now() };
-        this.stats.commandsExecuted++;
+  _aliasMatch(transcript) {
+    const normalized = transcript.toLowerCase().trim();
+    for (const [alias, key] of this.aliases) {
+      if (normalized.includes(alias.toLowerCase())) {
+        return { key, command: this.commands.get(key), transcript, slots: {} };
+      }
+    }
+    return null;
+  }
 
-        // Callback
-        if (this.callbacks.onCommand) {
-          this.callbacks.onCommand(matchedKey, result);
+  /**
+   * Every command within tolerance of something heard, closest first, one
+   * entry per command. Ties go to the earlier alternative, then to the
+   * earlier-registered command.
+   */
+  _fuzzyMatches(heard) {
+    const best = new Map();
+    heard.forEach((text) => {
+      const tokens = tokenize(text, this.grammar.spaced);
+      for (const [key, command] of this.commands) {
+        const m = this._matchTemplates(command, tokens, true);
+        if (m && (!best.has(key) || m.cost < best.get(key).cost)) {
+          best.set(key, { key, command, transcript: text, slots: m.slots, cost: m.cost });
         }
+      }
+    });
+    return Array.from(best.values()).sort((a, b) => a.cost - b.cost);
+  }
 
-        // Speak confirmation if enabled
-        if (matchedCommand.confirmationText) {
-          this.speak(matchedCommand.confirmationText);
-        }
+  /**
+   * The closest of a command's templates — and, when fuzzy, its string
+   * patterns read as templates — with the slot values it fixes.
+   */
+  _matchTemplates(command, tokens, fuzzy) {
+    const templates = fuzzy
+      ? [...command.patterns.filter((p) => typeof p === 'string'), ...command.templates]
+      : command.templates;
+    let best = null;
+    for (const template of templates) {
+      const { say, set } = typeof template === 'string' ? { say: template, set: {} } : template;
+      const m = matchTemplate(say, tokens, { spaced: this.grammar.spaced, fuzzy });
+      if (m && (!best || m.cost < best.cost)) {
+        best = { cost: m.cost, slots: { ...set, ...m.slots } };
+      }
+    }
+    return best;
+  }
 
-      } catch (error) {
-        console.error('VoiceCommands: Command execution failed', error);
-        this.stats.commandsFailed++;
-        this.speak('コマンドの実行に失敗しました'); // "Command execution failed"
-        if (this.callbacks.onCommandFailed) {
-          this.callbacks.onCommandFailed({ reason: 'execution_error', transcript });
+  /**
+   * Ask which of equally close commands was meant, and keep them for the
+   * answer (_answerPrompt) for PROMPT_TIMEOUT_MS.
+   */
+  _askWhich(matches) {
+    const choices = matches.slice(0, MAX_CHOICES);
+    this._pending = { choices, at: Date.now() };
+    const { which, or } = this.grammar.messages;
+    const phrases = choices.map((m) => this._spokenExample(m.command) || m.key);
+    this.speak(which.replace('{choices}', phrases.join(or)));
+  }
+
+  /**
+   * Take an answer to _askWhich: a position ("the second one", 2番目) runs
+   * that choice. Anything else is heard as a new command.
+   *
+   * @returns {boolean} whether the answer was taken
+   */
+  _answerPrompt(transcript, confidence) {
+    const { choices, at } = this._pending;
+    this._pending = null;
+    if (Date.now() - at > PROMPT_TIMEOUT_MS) {
+      return false;
+    }
+    const tokens = tokenize(transcript, this.grammar.spaced);
+    for (let start = 0; start < tokens.length; start++) {
+      for (let end = start + 1; end <= tokens.length; end++) {
+        const said = tokens.slice(start, end).map((t) => t.norm).join(this.grammar.spaced ? ' ' : '');
+        const n = parseOrdinal(said) ?? parseNumber(said);
+        const choice = n === -1 ? choices[choices.length - 1] : choices[n - 1];
+        if (choice) {
+          this._run(choice, confidence);
+          return true;
         }
       }
+    }
+    return false;
+  }
 
-    } else {
-      console.debug(`VoiceCommands: No matching command for "${transcript}"`);
+  /** Run a matched command: its action, the callbacks and the spoken feedback. */
+  _run({ key, command, transcript, slots }, confidence) {
+    console.debug(`VoiceCommands: Executing command "${key}"`);
+
+    try {
+      const result = command.action(transcript, confidence, slots);
+      this.lastCommand = { key, transcript, confidence, result, timestamp: Date.now() };
+      this.stats.commandsExecuted++;
+
+      // Callback
+      if (this.callbacks.onCommand) {
+        this.callbacks.onCommand(key, result);
+      }
+
+      // Speak confirmation if enabled
+      if (command.confirmationText) {
+        this.speak(command.confirmationText);
+      }
+
+    } catch (error) {
+      console.error('VoiceCommands: Command execution failed', error);
       this.stats.commandsFailed++;
-      this.speak('コマンドが認識できませんでした'); // "Command not recognized"
+      this.speak(this.grammar.messages.failed);
       if (this.callbacks.onCommandFailed) {
-        this.callbacks.onCommandFailed({ reason: 'no_match', transcript });
+        this.callbacks.onCommandFailed({ reason: 'execution_error', transcript });
       }
     }
   }
@@ -294,71 +519,68 @@ export class VoiceCommands {
    * Register default commands
    */
   registerDefaultCommands() {
-    // Navigation commands
-    this.registerCommand('navigate', {
-      patterns: ['進む', '次へ', 'すすむ', /進[むめ]/],
+    // Navigation commands drive the active tab's own history (WebPanel
+    // goBack/goForward). They used to call window.history / location.reload,
+    // which navigate the WebXR app itself — "戻る" would leave the immersive
+    // session. Feedback is spoken by the action rather than a fixed
+    // confirmationText, so "進みます" is never said when nothing moved.
+    this._registerLocalized('navigate', {
       action: () => {
-        window.history.forward();
-        return { action: 'navigate', direction: 'forward' };
+        const moved = !!this._activeTab()?.goForward?.();
+        this._reply('navigate', moved ? 'moved' : 'none');
+        return { action: 'navigate', direction: 'forward', moved };
       },
-      confirmationText: '進みます',
       description: 'Navigate forward'
     });
 
-    this.registerCommand('back', {
-      patterns: ['戻る', '前へ', 'もどる', /戻[るれ]/],
+    this._registerLocalized('back', {
       action: () => {
-        window.history.back();
-        return { action: 'navigate', direction: 'back' };
+        const moved = !!this._activeTab()?.goBack?.();
+        this._reply('back', moved ? 'moved' : 'none');
+        return { action: 'navigate', direction: 'back', moved };
       },
-      confirmationText: '戻ります',
       description: 'Navigate back'
     });
 
-    this.registerCommand('refresh', {
-      patterns: ['更新', '再読み込み', 'リフレッシュ', 'こうしん'],
+    this._registerLocalized('refresh', {
       action: () => {
-        window.location.reload();
-        return { action: 'refresh' };
+        const tab = this._activeTab();
+        const reloaded = !!(tab && tab.currentUrl && typeof tab.reload === 'function');
+        if (reloaded) {
+          tab.reload();
+        }
+        this._reply('refresh', reloaded ? 'reloaded' : 'none');
+        return { action: 'refresh', reloaded };
       },
-      confirmationText: '更新します',
       description: 'Refresh page'
     });
 
     // Search command
-    this.registerCommand('search', {
-      patterns: [/検索[：:]\s*(.+)/, /さが[すせ][：:]\s*(.+)/, /サーチ[：:]\s*(.+)/],
+    const search = this._registerLocalized('search', {
       action: (transcript) => {
-        const match = transcript.match(/[：:]\s*(.+)/);
-        if (match && match[1]) {
-          const query = match[1];
+        const query = this._capture(search.patterns, transcript);
+        if (query) {
           window.open(`https://www.google.com/search?q=${encodeURIComponent(query)}`, '_blank');
           return { action: 'search', query };
         }
       },
-      confirmationText: '検索します',
-      description: 'Search web',
-      example: '検索：てんき'
+      description: 'Search web'
     });
 
     // VR mode control
-    this.registerCommand('vr-enter', {
-      patterns: ['VRモード', 'VR開始', 'ブイアール', 'バーチャルリアリティ'],
+    this._registerLocalized('vr-enter', {
       action: () => {
         // Would trigger VR mode
         return { action: 'vr', enabled: true };
       },
-      confirmationText: 'VRモードを開始します',
       description: 'Enter VR mode'
     });
 
-    this.registerCommand('vr-exit', {
-      patterns: ['VR終了', 'VRやめる', '通常モード'],
+    this._registerLocalized('vr-exit', {
       action: () => {
         // Would exit VR mode
         return { action: 'vr', enabled: false };
       },
-      confirmationText: 'VRモードを終了します',
       description: 'Exit VR mode'
     });
 
@@ -369,34 +591,28 @@ export class VoiceCommands {
     // connectBrowser registration always won once it ran).
 
     // Volume control
-    this.registerCommand('volume-up', {
-      patterns: ['音量上げる', '音量アップ', 'ボリュームアップ'],
+    this._registerLocalized('volume-up', {
       action: () => {
         // Would adjust volume
         return { action: 'volume', change: 0.1 };
       },
-      confirmationText: '音量を上げます',
       description: 'Increase volume'
     });
 
-    this.registerCommand('volume-down', {
-      patterns: ['音量下げる', '音量ダウン', 'ボリュームダウン'],
+    this._registerLocalized('volume-down', {
       action: () => {
         // Would adjust volume
         return { action: 'volume', change: -0.1 };
       },
-      confirmationText: '音量を下げます',
       description: 'Decrease volume'
     });
 
     // Japanese IME
-    this.registerCommand('ime-toggle', {
-      patterns: ['日本語入力', '日本語モード', '入力切り替え'],
+    this._registerLocalized('ime-toggle', {
       action: () => {
         // Would toggle IME
         return { action: 'ime', enabled: true };
       },
-      confirmationText: '日本語入力モードです',
       description: 'Toggle Japanese IME'
     });
 
@@ -404,28 +620,26 @@ export class VoiceCommands {
     // command user (often relying on voice because gaze/controller input is
     // difficult) has no other way to discover what to say; announcing "12
     // commands available" with no list defeats the purpose of a help command.
-    this.registerCommand('help', {
-      patterns: ['ヘルプ', '助けて', '使い方', '何ができる'],
+    this._registerLocalized('help', {
       action: () => {
+        const { help, separator } = this.grammar.messages;
         const phrases = Array.from(this.commands.values())
           .map((cmd) => this._spokenExample(cmd))
           .filter(Boolean);
-        const commandList = phrases.join('、');
+        const commandList = phrases.join(separator);
 
-        this.speak(`使用可能なコマンドは、${phrases.length}個です。${commandList}`);
+        this.speak(help.replace('{count}', String(phrases.length)) + commandList);
         return { action: 'help', commands: commandList };
       },
       description: 'Show help'
     });
 
     // Stop listening
-    this.registerCommand('stop', {
-      patterns: ['停止', 'ストップ', 'やめて', '聞くな'],
+    this._registerLocalized('stop', {
       action: () => {
         this.stop();
         return { action: 'stop' };
       },
-      confirmationText: '音声認識を停止します',
       description: 'Stop listening'
     });
   }
@@ -436,6 +650,9 @@ export class VoiceCommands {
   registerCommand(name, config) {
     this.commands.set(name, {
       patterns: config.patterns || [],
+      // Intent templates (intentGrammar.js); the action gets their slot
+      // values as its third argument.
+      templates: config.templates || [],
       action: config.action,
       confirmationText: config.confirmationText || null,
       description: config.description || '',
@@ -459,13 +676,53 @@ export class VoiceCommands {
   /**
    * The literal phrase to read aloud for a command in the 'help' listing:
    * the first plain-string pattern (what a user can say verbatim), or the
-   * registered example when every pattern is a RegExp (free-form arguments
-   * like search/go-to have no single fixed phrase to quote).
+   * registered example when every pattern is a RegExp or a template (free-form
+   * arguments like search/go-to have no single fixed phrase to quote).
    */
   _spokenExample(cmd) {
     return cmd.patterns.find((p) => typeof p === 'string') || cmd.example || null;
   }
 
+  /**
+   * registerCommand() with the patterns, aliases, confirmation and example
+   * taken from the current grammar, remembered so setLanguage() can swap them
+   * for another locale's.
+   *
+   * @returns {object} the command's grammar entry
+   */
+  _registerLocalized(name, config) {
+    const phrases = this.grammar.commands[name];
+    this.registerCommand(name, {
+      ...config,
+      patterns: phrases.patterns,
+      templates: phrases.templates,
+      aliases: phrases.aliases,
+      confirmationText: phrases.confirmation,
+      example: phrases.example
+    });
+    this._localized.add(name);
+    return phrases;
+  }
+
+  /** Say one of a command's outcome-dependent replies from the grammar. */
+  _reply(name, outcome) {
+    this.speak(this.grammar.commands[name].replies[outcome]);
+  }
+
+  /**
+   * The argument a command's patterns capture (group 1 of the first that
+   * matches), trimmed; '' when none matches.
+   */
+  _capture(patterns, text) {
+    for (const re of patterns) {
+      const match = re instanceof RegExp ? text.match(re) : null;
+      if (match && match[1]) {
+        return match[1].trim();
+      }
+    }
+    return '';
+  }
+
   /**
    * Unregister command
    */
@@ -480,16 +737,22 @@ export class VoiceCommands {
     }
   }
 
+  /** The tab the navigation commands act on, or null before connectBrowser. */
+  _activeTab() {
+    return this.tabManager?.getActiveTab?.() || null;
+  }
+
   /**
-   * Replace the default window.* navigation commands with VR-aware versions
-   * that use the live TabManager / BookmarkPanel / keyboard references.
+   * Replace the default window.* commands with VR-aware versions that use
+   * the live TabManager / BookmarkPanel / keyboard references.
    *
    * Call this after initialize() and after the VR scene is built.
    *
    * @param {object} opts
    * @param {object}   [opts.tabManager]    TabManager instance
    * @param {object}   [opts.bookmarkPanel] BookmarkPanel instance
-   * @param {object}   [opts.vrKeyboard]    VRJapaneseKeyboard instance
+   * @param {object}   [opts.vrKeyboard]    VRJapaneseKeyboard instance, which
+   *                                         dictation (startDictation) types into
    * @param {Function} [opts.onSearch]      (query: string) => void — called for web search
    * @param {Function} [opts.onGoTo]        (query: string) => void — called with the
    *                                         extracted site name; host looks it up in
@@ -500,84 +763,104 @@ export class VoiceCommands {
    *                                         cross-modal confirmation (decoupled like onGoTo)
    * @param {Function} [opts.onScrollContent] (deltaLines: number) => void — scroll
    *                                         the active panel's reader viewport
+   * @param {Function} [opts.onReopenTab]   () => boolean — reopen the last closed
+   *                                         tab; false when there was none
+   * @param {Function} [opts.onSaveForLater] () => void — save the active tab's
+   *                                         article to the reading list; the host
+   *                                         confirms or says why not
+   * @param {Function} [opts.onSearchHistory] (query: string) => void — search
+   *                                         the text of pages in history
+   * @param {Function} [opts.onBookmarkPage] (name: string|null) => boolean —
+   *                                         bookmark the active tab's page,
+   *                                         filed under `name` when one was
+   *                                         said; false when there is no page
+   * @param {Function} [opts.onReadAloud]  (op: 'start'|'pause'|'resume'|'skip'|
+   *                                         'stop') => boolean — read the active
+   *                                         tab's article aloud, or control the
+   *                                         reading; false when there is nothing
+   *                                         to read, or nothing being read
    */
-  connectBrowser({ tabManager, bookmarkPanel, vrKeyboard, onSearch, onTopSites, onGoTo,
-    onClearHistory, onScrollContent } = {}) {
+  connectBrowser(opts = {}) {
+    const { tabManager, bookmarkPanel, vrKeyboard, onSearch, onTopSites, onGoTo,
+      onClearHistory, onScrollContent, onReopenTab, onSaveForLater, onSearchHistory,
+      onBookmarkPage, onReadAloud } = opts;
+    this._browser = opts;
+
     // Top Sites — hands-free jump to the user's most-used destination
     // (frecency-ranked). The heavy lifting (ranking + navigation + caption) is
     // the host's via onTopSites, mirroring the onSearch decoupling.
-    this.registerCommand('top-sites', {
-      patterns: ['トップサイト', 'よく使うサイト', 'よくみるサイト', 'トップ', /トップ?サイト/],
+    this._registerLocalized('top-sites', {
       action: () => {
         if (onTopSites) {
           onTopSites();
         }
         return { action: 'top-sites' };
       },
-      confirmationText: 'よく使うサイトを開きます',
       description: 'Open most-used site'
     });
 
-    // Browser forward / back
-    this.registerCommand('navigate', {
-      patterns: ['進む', '次へ', 'すすむ', /進[むめ]/],
+    // Forward / back / refresh (registered in registerDefaultCommands) act
+    // on whichever tab is active when they are spoken.
+    this.tabManager = tabManager || null;
+
+    // Clear browsing history (privacy) — hands-free equivalent of the settings
+    // panel "Clear History" action (Session 56). Registered before the greedy
+    // go-to catch-all. The '履歴' patterns don't collide with go-to's 'を開く'
+    // capture, but specific-before-catch-all is the rule (processCommand stops
+    // at the first match in registration order).
+    this._registerLocalized('clear-history', {
       action: () => {
-        tabManager?.getActiveTab?.()?.goForward?.();
-        return { action: 'navigate', direction: 'forward' };
+        if (onClearHistory) {
+          onClearHistory();
+        }
+        return { action: 'clear-history' };
       },
-      confirmationText: '進みます',
-      description: 'Navigate forward'
+      description: 'Clear browsing history'
     });
 
-    this.registerCommand('back', {
-      patterns: ['戻る', '前へ', 'もどる', /戻[るれ]/],
+    // Reopen the most recently closed tab. Before the go-to catch-all, which
+    // would otherwise read "閉じたタブを開く" as a site called "閉じたタブ".
+    this._registerLocalized('reopen-tab', {
       action: () => {
-        tabManager?.getActiveTab?.()?.goBack?.();
-        return { action: 'navigate', direction: 'back' };
+        const reopened = onReopenTab ? !!onReopenTab() : false;
+        this._reply('reopen-tab', reopened ? 'reopened' : 'none');
+        return { action: 'reopen-tab', reopened };
       },
-      confirmationText: '戻ります',
-      description: 'Navigate back'
+      description: 'Reopen closed tab'
     });
 
-    this.registerCommand('refresh', {
-      patterns: ['更新', '再読み込み', 'リフレッシュ', 'こうしん'],
+    // Save the page for later (reading list). Whole-utterance patterns, so
+    // "あとで読むを開く" is not a save; the host's toast says whether it
+    // worked, so there is no confirmation text here.
+    this._registerLocalized('save-for-later', {
       action: () => {
-        tabManager?.getActiveTab?.()?.reload?.();
-        return { action: 'refresh' };
+        if (onSaveForLater) {
+          onSaveForLater();
+        }
+        return { action: 'save-for-later' };
       },
-      confirmationText: '更新します',
-      description: 'Refresh page'
+      description: 'Save page to reading list'
     });
 
-    // Clear browsing history (privacy) — hands-free equivalent of the settings
-    // panel "Clear History" action (Session 56). Registered before the greedy
-    // go-to catch-all. The '履歴' patterns don't collide with go-to's 'を開く'
-    // capture, but specific-before-catch-all is the rule (processCommand stops
-    // at the first match in registration order).
-    this.registerCommand('clear-history', {
-      patterns: [
-        '履歴を消去', '履歴を削除', '履歴クリア', '履歴を消す', 'りれきを消去',
-        /履歴を?(消去|削除|クリア|消す)/,
-        /clear\s+history/i, /delete\s+history/i
-      ],
-      action: () => {
-        if (onClearHistory) {
-          onClearHistory();
+    // Search the text of pages already read (SearchIndex), not the web. The
+    // query is whatever sits between the fixed words; the host opens the best
+    // match and captions how many pages matched.
+    const searchHistory = this._registerLocalized('search-history', {
+      action: (transcript) => {
+        const query = this._capture(searchHistory.patterns, transcript.trim());
+        if (onSearchHistory && query) {
+          onSearchHistory(query);
         }
-        return { action: 'clear-history' };
+        return { action: 'search-history', query: query || null };
       },
-      confirmationText: '履歴を消去します',
-      description: 'Clear browsing history',
-      example: '履歴を消去'
+      description: 'Search the text of pages in history'
     });
 
     // Web search — route through VR address bar / tab navigation
-    this.registerCommand('search', {
-      patterns: [/検索[：:]\s*(.+)/, /さが[すせ][：:]\s*(.+)/, /サーチ[：:]\s*(.+)/],
+    const search = this._registerLocalized('search', {
       action: (transcript) => {
-        const match = transcript.match(/[：:]\s*(.+)/);
-        if (match && match[1]) {
-          const query = match[1].trim();
+        const query = this._capture(search.patterns, transcript);
+        if (query) {
           if (onSearch) {
             onSearch(query);
           } else {
@@ -586,9 +869,7 @@ export class VoiceCommands {
           return { action: 'search', query };
         }
       },
-      confirmationText: '検索します',
-      description: 'Search web',
-      example: '検索：てんき'
+      description: 'Search web'
     });
 
     // Scroll the reader viewport.
@@ -598,8 +879,7 @@ export class VoiceCommands {
     // iframe that is never visible in VR — so the command did nothing at all.
     // It now drives the panel's own reader viewport via onScrollContent.
     const SCROLL_LINES = 8;
-    this.registerCommand('scroll-down', {
-      patterns: ['下にスクロール', '下', 'した', 'スクロールダウン'],
+    this._registerLocalized('scroll-down', {
       action: () => {
         if (onScrollContent) {
           onScrollContent(SCROLL_LINES);
@@ -609,8 +889,7 @@ export class VoiceCommands {
       description: 'Scroll down'
     });
 
-    this.registerCommand('scroll-up', {
-      patterns: ['上にスクロール', '上', 'うえ', 'スクロールアップ'],
+    this._registerLocalized('scroll-up', {
       action: () => {
         if (onScrollContent) {
           onScrollContent(-SCROLL_LINES);
@@ -621,29 +900,98 @@ export class VoiceCommands {
     });
 
     // Bookmark panel toggle
-    this.registerCommand('bookmarks', {
-      patterns: ['ブックマーク', 'お気に入り', '履歴'],
+    this._registerLocalized('bookmarks', {
       action: () => {
         bookmarkPanel?.toggle?.();
         return { action: 'bookmarks' };
       },
-      confirmationText: 'ブックマークパネルを開きます',
       description: 'Toggle bookmarks panel'
     });
 
     // Keyboard toggle
-    this.registerCommand('keyboard', {
-      patterns: ['キーボード', 'キーボードを開く', 'キーボードを閉じる'],
+    this._registerLocalized('keyboard', {
       action: () => {
         if (vrKeyboard) {
           vrKeyboard.visible ? vrKeyboard.hide() : vrKeyboard.show();
         }
         return { action: 'keyboard' };
       },
-      confirmationText: 'キーボードを切り替えます',
       description: 'Toggle VR keyboard'
     });
 
+    // Dictation into the keyboard's open field (startDictation).
+    this._registerLocalized('dictation', {
+      action: () => ({ action: 'dictation', started: this.startDictation() }),
+      description: 'Type into the open text field by voice'
+    });
+
+    // Read the article aloud, and pause / resume / skip / stop it. Nothing is
+    // said when it works: the reading itself is the answer, and a reply would
+    // be spoken over it.
+    this._registerLocalized('read-aloud', {
+      action: (_transcript, _confidence, { op = 'start' } = {}) => {
+        const done = onReadAloud ? !!onReadAloud(op) : false;
+        if (!done) {
+          this._reply('read-aloud', op === 'start' || op === 'resume' ? 'none' : 'idle');
+        }
+        return { action: 'read-aloud', op, done };
+      },
+      description: 'Read the page aloud, or pause, resume, skip or stop reading'
+    });
+
+    // Intents with slots. A tab by position: n is 1-based, -1 for the last
+    // ("the last tab"); close-tab without one closes the active tab.
+    const tabIndex = (n) => {
+      const count = tabManager?.count ?? 0;
+      const index = n === undefined ? tabManager?.activeIndex ?? -1 : n === -1 ? count - 1 : n - 1;
+      return index >= 0 && index < count ? index : -1;
+    };
+    this._registerLocalized('switch-tab', {
+      action: (_transcript, _confidence, { n } = {}) => {
+        const index = tabIndex(n);
+        if (index >= 0) {
+          tabManager.setActive(index);
+        }
+        this._reply('switch-tab', index >= 0 ? 'done' : 'none');
+        return { action: 'switch-tab', index };
+      },
+      description: 'Switch to a tab by position'
+    });
+
+    this._registerLocalized('close-tab', {
+      action: (_transcript, _confidence, { n } = {}) => {
+        const index = tabIndex(n);
+        if (index >= 0) {
+          tabManager.closeTab(index);
+        }
+        this._reply('close-tab', index >= 0 ? 'done' : 'none');
+        return { action: 'close-tab', index };
+      },
+      description: 'Close a tab by position, or the active one'
+    });
+
+    // Scroll by an amount: n lines or pages (a page is SCROLL_LINES), with
+    // "a lot" / "a little" fixed by the grammar.
+    this._registerLocalized('scroll', {
+      action: (_transcript, _confidence, { direction = 1, n = 1, unit = 'line' } = {}) => {
+        const lines = direction * n * (unit === 'page' ? SCROLL_LINES : 1);
+        if (onScrollContent) {
+          onScrollContent(lines);
+        }
+        return { action: 'scroll', direction: direction > 0 ? 'down' : 'up', lines };
+      },
+      description: 'Scroll by an amount'
+    });
+
+    this._registerLocalized('bookmark-page', {
+      action: (_transcript, _confidence, { name } = {}) => {
+        const saved = onBookmarkPage ? !!onBookmarkPage(name || null) : false;
+        this._reply('bookmark-page', saved ? 'done' : 'none');
+        return { action: 'bookmark-page', name: name || null, saved };
+      },
+      description: 'Bookmark this page, optionally under a name'
+    });
+
     // Go-to — open a named site from history/bookmarks; fall back to web search.
     // "githubを開く" / "go to github" extracts the site name and hands it to
     // onGoTo, which runs BookmarkStore.search() and navigates to the top hit —
@@ -657,33 +1005,96 @@ export class VoiceCommands {
     // → keyboard toggle). processCommand matches in registration order and
     // stops at the first hit, so this generic catch-all must come after every
     // specific command to act only on utterances none of them claimed.
-    this.registerCommand('go-to', {
-      patterns: [
-        /^(.+)(?:を開く?|に(?:行く|移動(?:する)?))/,
-        /^(?:open|go to|navigate to)\s+(.+)/i
-      ],
-      action: (transcript) => {
-        const t = transcript.toLowerCase().trim();
-        const jpMatch = t.match(/^(.+)(?:を開く?|に(?:行く|移動(?:する)?))/);
-        const enMatch = t.match(/^(?:open|go to|navigate to)\s+(.+)/);
-        const query = ((jpMatch && jpMatch[1]) || (enMatch && enMatch[1]) || '').trim();
+    const goTo = this._registerLocalized('go-to', {
+      action: (transcript, _confidence, { site } = {}) => {
+        const query = site || this._capture(goTo.patterns, transcript.toLowerCase().trim());
         if (onGoTo && query) {
           onGoTo(query);
         }
         return { action: 'go-to', query: query || null };
       },
-      // Immediate "command understood" cue, like search/navigate/top-sites.
-      // Spoken via TTS (blind users) and mirrored to captions via onSpeak
-      // (deaf/HoH) the moment the command matches — before navigation, and
-      // independent of whether a frecency hit is found (WCAG 4.1.3).
-      confirmationText: '開きます',
-      description: 'Open site by name from history/bookmarks, fall back to search',
-      example: 'githubを開く'
+      // The grammar's confirmation is the immediate "command understood" cue,
+      // like search/navigate/top-sites. Spoken via TTS (blind users) and
+      // mirrored to captions via onSpeak (deaf/HoH) the moment the command
+      // matches — before navigation, and independent of whether a frecency
+      // hit is found (WCAG 4.1.3).
+      description: 'Open site by name from history/bookmarks, fall back to search'
     });
 
     console.debug('VoiceCommands: Browser integration connected');
   }
 
+  /**
+   * Type what is said from now on into the VR keyboard's open field (the one
+   * VRApp _requestVRKeyboardInput showed), until "done" confirms it as Enter
+   * does or "cancel" abandons it as Esc does. Punctuation is spoken
+   * ("period", "slash", "dot com"; the grammar's `dictation`), and interim
+   * results show at the caret as provisional text.
+   *
+   * @returns {boolean} false when no field is open, or when listening with
+   *   the offline spotter, which hears only the command phrases
+   */
+  startDictation() {
+    const keyboard = this._browser && this._browser.vrKeyboard;
+    if (this.recognition && this.recognition.id === 'offline') {
+      this._reply('dictation', 'offline');
+      return false;
+    }
+    if (!keyboard || !keyboard.visible) {
+      this._reply('dictation', 'none');
+      return false;
+    }
+    this._pending = null;
+    this._dictation = { keyboard, space: this.grammar.spaced && needsSpace(keyboard.ime.compositionBuffer || '') };
+    this._reply('dictation', 'start');
+    return true;
+  }
+
+  /** Stop dictating, dropping any provisional text. The field stays open. */
+  stopDictation() {
+    if (this._dictation) {
+      this._dictation.keyboard.setProvisional('');
+      this._dictation = null;
+    }
+  }
+
+  /** Whether what is heard is being typed rather than run as commands. */
+  get isDictating() {
+    return this._dictation !== null;
+  }
+
+  /**
+   * Type (or, interim, show) one result while dictating, or confirm or
+   * abandon the field. False when the field was closed some other way —
+   * dictation ends and the result is heard as a command.
+   */
+  _dictate(transcript, isFinal) {
+    const { keyboard, space } = this._dictation;
+    if (!keyboard.visible) {
+      this._dictation = null;
+      return false;
+    }
+    const control = isFinal ? dictationControl(transcript, this.grammar.dictation) : null;
+    if (control) {
+      this.stopDictation();
+      keyboard.onKeyPress(control === 'done' ? 'enter' : 'esc');
+      return true;
+    }
+    const typed = dictatedText(transcript, {
+      punctuation: this.grammar.dictation.punctuation,
+      spaced: this.grammar.spaced,
+      space
+    });
+    if (!isFinal) {
+      keyboard.setProvisional(typed.text);
+      return true;
+    }
+    keyboard.setProvisional('');
+    keyboard.insertText(typed.text);
+    this._dictation.space = typed.space;
+    return true;
+  }
+
   /**
    * Start listening
    */
@@ -723,6 +1134,7 @@ export class VoiceCommands {
   dispose() {
     this.isEnabled = false; // must happen before stop() to block onend restart
     this.stop();
+    this.stopDictation();
     // Cancel any queued or in-progress utterance. Without this, an utterance
     // queued just before dispose() keeps speaking into a torn-down object
     // (null camera, freed GPU resources) — the same class of teardown bug
@@ -767,13 +1179,30 @@ export class VoiceCommands {
   }
 
   /**
-   * Set language
+   * Listen and speak in another language, and swap the command phrases for
+   * that locale's grammar (the closest one, see voiceLocale). Commands the
+   * host registered itself are left as they are.
    */
   setLanguage(lang) {
     this.language = lang;
     if (this.recognition) {
       this.recognition.lang = lang;
     }
+    this.grammar = voiceGrammar(lang);
+    this.settings.wakeWord = this.grammar.wakeWord;
+    for (const name of this._localized) {
+      this.unregisterCommand(name);
+    }
+    this._localized.clear();
+    this.registerDefaultCommands();
+    if (this._browser) {
+      this.connectBrowser(this._browser);
+    }
+    // The offline spotter listens for a fixed list of phrases; stopping it
+    // lets the continuous-mode restart pick up the new language's.
+    if (this.recognition && this.recognition.id === 'offline' && this.isListening) {
+      this.recognition.stop();
+    }
   }
 
   /**
@@ -0,0 +1,253 @@
+/**
+ * Kana→kanji conversion backends for JapaneseIME.
+ *
+ * A backend is `{ id, network, convert(reading, { signal }) → candidates[] }`
+ * and may also offer `segment(reading, { signal }) → clauses[]`
+ * (`{reading, tail, candidates}`, as KanjiDictionary.segment) when it can
+ * split a phrase into clauses itself. `convert` rejects (or resolves null)
+ * when it has no answer, and the chain moves on to the next backend.
+ *
+ * Built in:
+ *   web     Google's transliterate endpoint (the IME's original converter).
+ *   local   a conversion server on the LAN speaking the JSON protocol in
+ *           docs/IME_SERVER.md, so a team can put mozc or anthy behind it.
+ *   offline the bundled dictionary (kanjiDictionary.js) and the IME's
+ *           built-in word list. Never fails; every chain ends with it.
+ *
+ * Timeouts are the chain's job, not the backends': each attempt gets an
+ * AbortController that fires after the backend's timeoutMs, and network
+ * backends hand its signal to fetch — the AbortController + clearTimeout
+ * idiom the IME has always used for its one request.
+ */
+
+/** What the in-VR settings cycle through (VRApp `imeBackend`). */
+export const CONVERSION_BACKENDS = ['web', 'local', 'offline'];
+/** How long one backend gets before the chain moves on. */
+export const CONVERSION_TIMEOUT_MS = 5000;
+/**
+ * After a network backend fails, how long the chain skips it. A headset on a
+ * LAN with no internet reports itself online, and waiting out a failed
+ * request on every conversion made typing unusable there.
+ */
+export const BACKEND_RETRY_MS = 60 * 1000;
+
+export const GOOGLE_TRANSLITERATE_URL = 'https://www.google.co.jp/transliterate';
+const MAX_CANDIDATES = 10;
+
+/** A clean candidate list, or null when `list` holds none. */
+function candidateList(list) {
+  if (!Array.isArray(list)) {
+    return null;
+  }
+  const out = [];
+  for (const c of list) {
+    if (typeof c === 'string' && c && !out.includes(c)) {
+      out.push(c);
+    }
+  }
+  return out.length ? out.slice(0, MAX_CANDIDATES) : null;
+}
+
+async function fetchJson(url, signal) {
+  const response = await fetch(url, { method: 'GET', headers: { 'Accept': 'application/json' }, signal });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Clauses whose readings add up to `reading`, each with a clean candidate
+ * list, or null. The IME previews the unconverted clauses by reading, so a
+ * split that does not cover the text exactly is no use.
+ */
+function checkedClauses(list, reading) {
+  const clauses = list.map((c) => ({ reading: c.reading, tail: '', candidates: candidateList(c.candidates) }));
+  return clauses.length && clauses.every((c) => typeof c.reading === 'string' && c.reading && c.candidates)
+    && clauses.map((c) => c.reading).join('') === reading
+    ? clauses
+    : null;
+}
+
+/** One candidate list for a whole phrase: each of the first clause's, then the rest's first. */
+function joinClauses(clauses) {
+  const rest = clauses.slice(1).map((c) => c.candidates[0]).join('');
+  return clauses[0].candidates.map((c) => c + rest);
+}
+
+/**
+ * Clauses from a transliterate response, `[["わたしは", ["私は", …]], …]`
+ * with one entry per clause the server split the text into. Null when the
+ * response is not that shape.
+ */
+export function parseTransliterateResponse(data, reading) {
+  if (!Array.isArray(data) || !data.every(Array.isArray)) {
+    return null;
+  }
+  return checkedClauses(data.map(([r, candidates]) => ({ reading: r, candidates })), reading);
+}
+
+/**
+ * Google's transliterate endpoint.
+ * @param {object} [opts]
+ * @param {string} [opts.endpoint]
+ * @param {number} [opts.timeoutMs=CONVERSION_TIMEOUT_MS]
+ */
+export function createWebBackend({ endpoint = GOOGLE_TRANSLITERATE_URL, timeoutMs = CONVERSION_TIMEOUT_MS } = {}) {
+  const segment = async (reading, { signal } = {}) => {
+    const params = new URLSearchParams({ client: 'handwriting', inputtype: 'hiragana', text: reading });
+    return parseTransliterateResponse(await fetchJson(`${endpoint}?${params}`, signal), reading);
+  };
+  return {
+    id: 'web',
+    network: true,
+    timeoutMs,
+    segment,
+    async convert(reading, opts) {
+      const clauses = await segment(reading, opts);
+      return clauses && joinClauses(clauses);
+    }
+  };
+}
+
+/**
+ * Clauses from a conversion server's answer: `clauses` when it split the
+ * reading itself, otherwise `candidates` as one clause. Null when it has
+ * neither.
+ */
+export function parseServerResponse(data, reading) {
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+  const clauses = Array.isArray(data.clauses) ? checkedClauses(data.clauses.filter(Boolean), reading) : null;
+  if (clauses) {
+    return clauses;
+  }
+  const candidates = candidateList(data.candidates);
+  return candidates ? [{ reading, tail: '', candidates }] : null;
+}
+
+/**
+ * A conversion server on the LAN: `GET <url>/convert?text=<reading>` answers
+ * `{"candidates": [...]}` or `{"clauses": [{"reading", "candidates"}]}`.
+ * A plain GET with no custom headers, so a browser sends it without a CORS
+ * preflight.
+ *
+ * @param {object} opts
+ * @param {string} opts.url  the server's base URL (http://host:port)
+ * @param {number} [opts.timeoutMs=CONVERSION_TIMEOUT_MS]
+ */
+export function createServerBackend({ url, timeoutMs = CONVERSION_TIMEOUT_MS }) {
+  const base = String(url || '').replace(/\/+$/, '');
+  const segment = async (reading, { signal } = {}) => {
+    const params = new URLSearchParams({ text: reading });
+    return parseServerResponse(await fetchJson(`${base}/convert?${params}`, signal), reading);
+  };
+  return {
+    id: 'local',
+    network: true,
+    timeoutMs,
+    segment,
+    async convert(reading, opts) {
+      const clauses = await segment(reading, opts);
+      return clauses && joinClauses(clauses);
+    }
+  };
+}
+
+/**
+ * The bundled dictionary, through the IME that loads it: whole readings via
+ * getOfflineKanjiCandidates, phrases via the dictionary's segmentation.
+ *
+ * @param {import('./JapaneseIME.js').JapaneseIME} ime
+ */
+export function createOfflineBackend(ime) {
+  return {
+    id: 'offline',
+    network: false,
+    timeoutMs: CONVERSION_TIMEOUT_MS,
+    async convert(reading) {
+      await ime.loadDictionary();
+      return ime.getOfflineKanjiCandidates(reading);
+    },
+    async segment(reading) {
+      const dictionary = await ime.loadDictionary();
+      const clauses = dictionary ? dictionary.segment(reading, { extra: ime.userDictionary.readings }) : [];
+      return clauses.length
+        ? clauses
+        : [{ reading, tail: '', candidates: ime.getOfflineKanjiCandidates(reading) }];
+    }
+  };
+}
+
+/**
+ * The backends to try for a setting, in order: the chosen one, then offline.
+ * A local server with no URL configured is left out.
+ *
+ * @param {string} id  one of CONVERSION_BACKENDS
+ * @param {object} opts
+ * @param {import('./JapaneseIME.js').JapaneseIME} opts.ime
+ * @param {string} [opts.serverUrl]  for 'local'
+ * @returns {object[]}
+ */
+export function backendChain(id, { ime, serverUrl = '' }) {
+  const chain = [];
+  if (id === 'web') {
+    chain.push(createWebBackend());
+  } else if (id === 'local' && serverUrl) {
+    chain.push(createServerBackend({ url: serverUrl }));
+  }
+  chain.push(createOfflineBackend(ime));
+  return chain;
+}
+
+/**
+ * Run `method` ('convert' or 'segment') on each backend in turn until one
+ * answers; a backend with only convert segments into one clause. A backend that throws, times out or answers nothing is skipped;
+ * a network backend that fails is skipped for BACKEND_RETRY_MS (`retryAt`,
+ * id → time, is kept by the caller), and all network backends are skipped
+ * while the headset reports itself offline.
+ *
+ * @param {object[]} backends
+ * @param {string} method
+ * @param {string} reading
+ * @param {Map<string, number>} retryAt
+ * @returns {Promise<{backend: object, result: *}|null>}
+ */
+export async function runBackends(backends, method, reading, retryAt) {
+  const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+  for (const backend of backends) {
+    const run = method === 'segment' && typeof backend.segment !== 'function'
+      ? async (r, opts) => {
+        const candidates = await backend.convert(r, opts);
+        return candidates && candidates.length ? [{ reading: r, tail: '', candidates }] : null;
+      }
+      : backend[method] && backend[method].bind(backend);
+    if (!run
+        || (backend.network && (offline || Date.now() < (retryAt.get(backend.id) || 0)))) {
+      continue;
+    }
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), backend.timeoutMs || CONVERSION_TIMEOUT_MS);
+    try {
+      const result = await Promise.race([
+        run(reading, { signal: controller.signal }),
+        // A backend that ignores the signal still loses its turn on time.
+        new Promise((_, reject) => {
+          controller.signal.addEventListener('abort', () => reject(new Error('timed out')));
+        })
+      ]);
+      if (result && result.length) {
+        return { backend, result };
+      }
+    } catch (error) {
+      console.warn(`JapaneseIME: ${backend.id} conversion failed`, error);
+      if (backend.network) {
+        retryAt.set(backend.id, Date.now() + BACKEND_RETRY_MS);
+      }
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+  return null;
+}
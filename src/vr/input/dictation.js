@@ -0,0 +1,86 @@
+/**
+ * Dictation for VoiceCommands: what was said, as text to type into the VR
+ * keyboard's field.
+ *
+ * Recognisers write words, not symbols, so punctuation is spoken — "period",
+ * "slash", "dot com" — and each locale's grammar (voiceGrammar.js
+ * `dictation`) lists the phrases and the text they stand for. A symbol's
+ * `spacing` says how it sits among the words:
+ *
+ *   'after'  against the word before it, a space after: "hi comma there" is
+ *            "hi, there".
+ *   'none'   against both sides, as in an address: "example dot com slash
+ *            news" is "example.com/news".
+ *
+ * Languages written without spaces (Japanese) just have the phrases
+ * replaced. A whole utterance that is one of the grammar's `done` or `cancel`
+ * phrases is not typed; VoiceCommands confirms or abandons the field.
+ *
+ * Pure, for tests.
+ */
+
+const EDGE_PUNCTUATION = /^[\s\p{P}]+|[\s\p{P}]+$/gu;
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 'done' or 'cancel' when the utterance is one of the grammar's phrases for
+ * it, otherwise null.
+ *
+ * @param {string} transcript
+ * @param {{done: string[], cancel: string[]}} dictation  the grammar's
+ * @returns {'done'|'cancel'|null}
+ */
+export function dictationControl(transcript, dictation) {
+  const said = String(transcript).replace(EDGE_PUNCTUATION, '').toLowerCase();
+  if (dictation.done.includes(said)) {
+    return 'done';
+  }
+  return dictation.cancel.includes(said) ? 'cancel' : null;
+}
+
+/** Whether typing a word after `text` needs a space first. */
+export function needsSpace(text) {
+  return /[\p{L}\p{N},!?;)]$/u.test(text);
+}
+
+/**
+ * The text to type for an utterance, with spoken punctuation turned into
+ * symbols.
+ *
+ * @param {string} transcript
+ * @param {object} opts
+ * @param {Array<{say: string, text: string, spacing: 'after'|'none'}>} opts.punctuation
+ * @param {boolean} opts.spaced  whether the language separates words with spaces
+ * @param {boolean} [opts.space=false]  the field's text so far wants a space
+ *   before the next word (needsSpace, or the last utterance's `space`)
+ * @returns {{text: string, space: boolean}} `space`: whether the next
+ *   utterance's first word wants one before it
+ */
+export function dictatedText(transcript, { punctuation, spaced, space = false }) {
+  const rules = punctuation
+    .map((rule) => ({ ...rule, words: rule.say.split(/\s+/) }))
+    .sort((a, b) => b.say.length - a.say.length);
+  if (!spaced) {
+    let text = String(transcript).trim();
+    for (const rule of rules) {
+      text = text.split(new RegExp(`\\s*${rule.words.map(escapeRegExp).join('\\s*')}\\s*`)).join(rule.text);
+    }
+    return { text, space: false };
+  }
+  const words = String(transcript).trim().split(/\s+/).filter(Boolean);
+  let text = '';
+  let spaceNext = space;
+  for (let i = 0; i < words.length;) {
+    const rule = rules.find((r) => r.words.every((w, k) => (words[i + k] || '').toLowerCase() === w));
+    if (rule) {
+      text += rule.text;
+      spaceNext = rule.spacing === 'after';
+      i += rule.words.length;
+    } else {
+      text += (spaceNext ? ' ' : '') + words[i];
+      spaceNext = true;
+      i++;
+    }
+  }
+  return { text, space: spaceNext };
+}
@@ -0,0 +1,91 @@
+/**
+ * A physical keyboard (Bluetooth, paired with the headset) as input for the
+ * VR keyboard and the browser.
+ *
+ * Pointing at 3D keys is the only way to type for most users, but someone
+ * with a keyboard paired should not have to: while the VR keyboard is open,
+ * VRJapaneseKeyboard feeds DOM key events through keyLabel() into the same
+ * onKeyPress() the 3D keys use, so romaji still goes through JapaneseIME and
+ * jamo through HangulIME. Text the system's own IME composes arrives whole at
+ * compositionend instead, and goes into the buffer as it is.
+ *
+ * The browser shortcuts (shortcutFor) are VRApp's, and work whether or not
+ * the keyboard is open; the browser itself may keep some of them (Ctrl+T
+ * and Ctrl+W outside an immersive session).
+ *
+ * Pure, for tests; the listeners live with their owners.
+ */
+
+/** Ctrl (or ⌘) shortcuts and the browser action each runs. */
+export const SHORTCUTS = {
+  l: 'focusUrl',
+  t: 'newTab',
+  w: 'closeTab'
+};
+
+/** DOM `key` values that are VR keyboard keys under another name. */
+const NAMED_KEYS = {
+  Backspace: 'back',
+  Enter: 'enter',
+  Escape: 'esc',
+  ' ': 'space',
+  ArrowLeft: 'left',
+  ArrowRight: 'right',
+  Home: 'home',
+  End: 'end'
+};
+
+/** Ctrl (or ⌘) keys that edit the VR keyboard's text, by the key they press. */
+const EDIT_KEYS = {
+  a: 'selectAll',
+  x: 'cut',
+  c: 'copy',
+  v: 'paste',
+  z: 'undo',
+  Backspace: 'wordBack'
+};
+
+/**
+ * The browser action for a key event, or null: Ctrl+L, Ctrl+T, Ctrl+W
+ * (⌘ on a Mac keyboard), without Alt or Shift.
+ *
+ * @param {KeyboardEvent} event
+ * @returns {string|null} one of the SHORTCUTS values
+ */
+export function shortcutFor(event) {
+  if (!event || !(event.ctrlKey || event.metaKey) || event.altKey || event.shiftKey) {
+    return null;
+  }
+  const key = String(event.key || '').toLowerCase();
+  return Object.prototype.hasOwnProperty.call(SHORTCUTS, key) ? SHORTCUTS[key] : null;
+}
+
+/**
+ * The VR keyboard key a key event types, or null for one it has no use for
+ * (other modifier combinations, Up and Down, function keys, Shift on its
+ * own). A printable character is its own label, case kept: the input
+ * methods read an upper-case letter as a shifted one. The arrows, Home and
+ * End move the caret, and Ctrl (⌘) with A, X, C, V, Z or Backspace are the
+ * edit row's keys.
+ *
+ * Events that belong to the system IME's composition (isComposing, or the
+ * 'Process' key some platforms send instead) are null too; that text comes
+ * at compositionend.
+ *
+ * @param {KeyboardEvent} event
+ * @returns {string|null}
+ */
+export function keyLabel(event) {
+  if (!event || event.isComposing || event.key === 'Process' || event.altKey) {
+    return null;
+  }
+  const key = String(event.key || '');
+  if (event.ctrlKey || event.metaKey) {
+    const edit = key.length === 1 ? key.toLowerCase() : key;
+    return !event.shiftKey && Object.prototype.hasOwnProperty.call(EDIT_KEYS, edit) ? EDIT_KEYS[edit] : null;
+  }
+  if (Object.prototype.hasOwnProperty.call(NAMED_KEYS, key)) {
+    return NAMED_KEYS[key];
+  }
+  return Array.from(key).length === 1 ? key : null;
+}
@@ -0,0 +1,355 @@
+/**
+ * Intent templates for VoiceCommands: phrases with typed slots, matched word
+ * by word, exactly or with room for the recogniser's misspellings.
+ *
+ * A regex pattern can only say what a whole utterance looks like; a template
+ * says which words are fixed and which are values, so "open the second tab",
+ * "scroll down 3 pages" and "bookmark this page as recipes" each come back as
+ * a command plus the values said. Syntax:
+ *
+ *   word        a word to say. Matched lower-cased, and in fuzzy mode within
+ *               a few edits (tolerance()).
+ *   [ … ]       optional.
+ *   ( a | b c ) one of the alternatives.
+ *   {name:type} a slot: the words there are read as `type` (SLOT_TYPES) and
+ *               returned under `name`.
+ *
+ * Languages written with spaces (English) are matched a word at a time.
+ * Japanese has no spaces, so there every character is a token — runs of
+ * Latin letters and digits stay whole ("github.com", "12") — and a run of
+ * fixed words is compared as one string; the spaces in a Japanese template
+ * only separate its parts.
+ *
+ * Pure, for tests; the templates themselves live in voiceGrammar.js.
+ */
+
+/** Edits allowed for a word of this many characters, in fuzzy mode. */
+export function tolerance(word) {
+  const length = Array.from(word).length;
+  return length <= 3 ? 0 : length <= 6 ? 1 : 2;
+}
+
+/** Levenshtein distance, by code point. */
+export function editDistance(a, b) {
+  const s = Array.from(a);
+  const t = Array.from(b);
+  let prev = Array.from({ length: t.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= s.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= t.length; j++) {
+      row.push(Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (s[i - 1] === t[j - 1] ? 0 : 1)));
+    }
+    prev = row;
+  }
+  return prev[t.length];
+}
+
+const norm = (text) => text.normalize('NFKC').toLowerCase();
+/** A run that stays one token in unspaced text: a URL, a word, a number. */
+const LATIN_RUN = /[A-Za-z0-9Ａ-Ｚａ-ｚ０-９][A-Za-z0-9Ａ-Ｚａ-ｚ０-９._\-/]*|\S/gu;
+const EDGE_PUNCTUATION = /^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu;
+
+/**
+ * Split an utterance into tokens: `raw` as heard, `norm` NFKC lower-cased
+ * for matching. Punctuation a recogniser adds ("Go back.", "。") is dropped.
+ *
+ * @param {string} text
+ * @param {boolean} spaced  whether the language separates words with spaces
+ * @returns {Array<{raw:string, norm:string}>}
+ */
+export function tokenize(text, spaced) {
+  const pieces = spaced
+    ? String(text).split(/\s+/).map((word) => word.replace(EDGE_PUNCTUATION, ''))
+    : (String(text).match(LATIN_RUN) || []).filter((piece) => !/^[\p{P}\p{S}]$/u.test(piece));
+  return pieces.filter(Boolean).map((raw) => ({ raw, norm: norm(raw) }));
+}
+
+const KANJI_DIGITS = { 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+const NUMBER_WORDS = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen',
+  'eighteen', 'nineteen', 'twenty'
+];
+const ORDINAL_WORDS = [
+  null, 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth',
+  'ninth', 'tenth'
+];
+
+/**
+ * A cardinal number: digits, an English number word up to twenty, or kanji
+ * numerals up to 99 (十二, 二十). Undefined for anything else.
+ *
+ * @param {string} text  normalized
+ * @returns {number|undefined}
+ */
+export function parseNumber(text) {
+  if (/^\d{1,4}$/.test(text)) {
+    return Number(text);
+  }
+  const word = NUMBER_WORDS.indexOf(text);
+  if (word >= 0) {
+    return word;
+  }
+  const kanji = text.match(/^([一二三四五六七八九])?(十)?([一二三四五六七八九])?$/u);
+  if (kanji && text) {
+    const [, tens, ten, ones] = kanji;
+    if (!ten) {
+      return tens && !ones ? KANJI_DIGITS[tens] : undefined;
+    }
+    return (tens ? KANJI_DIGITS[tens] : 1) * 10 + (ones ? KANJI_DIGITS[ones] : 0);
+  }
+  return undefined;
+}
+
+/**
+ * A position in a list, 1-based, with -1 for the last: "second", "2nd",
+ * "last", 2番目, 二つ目, 最後. Undefined for anything else.
+ *
+ * @param {string} text  normalized
+ * @returns {number|undefined}
+ */
+export function parseOrdinal(text) {
+  const word = ORDINAL_WORDS.indexOf(text);
+  if (word > 0) {
+    return word;
+  }
+  if (text === 'last' || text === '最後' || text === 'さいご') {
+    return -1;
+  }
+  if (text === '最初' || text === 'さいしょ') {
+    return 1;
+  }
+  const suffixed = text.match(/^(\d+)(?:st|nd|rd|th)$/) || text.match(/^(.+?)(?:番目|つ目|個目)$/u);
+  const n = suffixed ? parseNumber(suffixed[1]) : undefined;
+  return n > 0 ? n : undefined;
+}
+
+/**
+ * What a slot can hold: how many tokens it may take (spaced / unspaced) and
+ * how they are read. `read` returns undefined when the tokens are not one.
+ * `samples` (spaced / unspaced) are the values expandTemplate() says for it;
+ * a type without them has too many values to list.
+ */
+export const SLOT_TYPES = {
+  number: {
+    span: [1, 3],
+    read: (tokens, spaced) => parseNumber(tokens.map((t) => t.norm).join(spaced ? ' ' : '')),
+    samples: [NUMBER_WORDS.slice(1, 11), Object.keys(KANJI_DIGITS).concat('十')]
+  },
+  ordinal: {
+    span: [1, 6],
+    read: (tokens, spaced) => parseOrdinal(tokens.map((t) => t.norm).join(spaced ? ' ' : '')),
+    samples: [
+      ORDINAL_WORDS.slice(1).concat('last'),
+      Object.keys(KANJI_DIGITS).concat('十').map((n) => `${n}番目`).concat('最初', '最後')
+    ]
+  },
+  // A site name or address, lower-cased; "github dot com" is github.com.
+  site: {
+    span: [6, 24],
+    read: (tokens, spaced) => {
+      const site = tokens.map((t) => t.norm).join(spaced ? ' ' : '').replace(/\s+dot\s+/g, '.').trim();
+      return /[\p{L}\p{N}]/u.test(site) ? site : undefined;
+    }
+  },
+  // Anything, as said.
+  text: {
+    span: [Infinity, Infinity],
+    read: (tokens, spaced) => tokens.map((t) => t.raw).join(spaced ? ' ' : '').trim() || undefined
+  }
+};
+
+/**
+ * Parse a template into nodes: {lit: string[]}, {opt: nodes}, {alt: nodes[]}
+ * and {slot, type}. Adjacent words are one literal, so a Japanese phrase is
+ * compared as a whole.
+ */
+function parse(template) {
+  const source = String(template);
+  let at = 0;
+  const sequence = (closers) => {
+    const nodes = [];
+    while (at < source.length && !closers.includes(source[at])) {
+      const c = source[at];
+      if (/\s/.test(c)) {
+        at++;
+      } else if (c === '[') {
+        at++;
+        nodes.push({ opt: sequence([']']) });
+        at++;
+      } else if (c === '(') {
+        const alt = [];
+        do {
+          at++;
+          alt.push(sequence(['|', ')']));
+        } while (source[at] === '|');
+        at++;
+        nodes.push({ alt });
+      } else if (c === '{') {
+        const end = source.indexOf('}', at);
+        const [slot, type = 'text'] = source.slice(at + 1, end).split(':').map((s) => s.trim());
+        if (!SLOT_TYPES[type]) {
+          throw new Error(`intentGrammar: unknown slot type "${type}" in "${source}"`);
+        }
+        nodes.push({ slot, type });
+        at = end + 1;
+      } else {
+        const word = source.slice(at).match(/^[^\s[\](){}|]+/)[0];
+        at += word.length;
+        const last = nodes[nodes.length - 1];
+        if (last && last.lit) {
+          last.lit.push(norm(word));
+        } else {
+          nodes.push({ lit: [norm(word)] });
+        }
+      }
+    }
+    return nodes;
+  };
+  return sequence([]);
+}
+
+const compiled = new Map();
+function compile(template) {
+  if (!compiled.has(template)) {
+    compiled.set(template, parse(template));
+  }
+  return compiled.get(template);
+}
+
+/** Ways a run of fixed words can match at `pos`: {pos, cost}. */
+function* literal(words, tokens, pos, spaced, fuzzy) {
+  if (spaced) {
+    if (pos + words.length > tokens.length) {
+      return;
+    }
+    let cost = 0;
+    for (let i = 0; i < words.length; i++) {
+      const d = editDistance(words[i], tokens[pos + i].norm);
+      if (d > (fuzzy ? tolerance(words[i]) : 0)) {
+        return;
+      }
+      cost += d;
+    }
+    yield { pos: pos + words.length, cost };
+    return;
+  }
+  const expected = words.join('');
+  const allowed = fuzzy ? tolerance(expected) : 0;
+  const length = Array.from(expected).length;
+  let heard = '';
+  for (let end = pos; end < tokens.length; end++) {
+    heard += tokens[end].norm;
+    const heardLength = Array.from(heard).length;
+    if (heardLength > length + allowed) {
+      return;
+    }
+    if (heardLength >= length - allowed) {
+      const d = editDistance(expected, heard);
+      if (d <= allowed) {
+        yield { pos: end + 1, cost: d };
+      }
+    }
+  }
+}
+
+/** Ways `nodes` can match from `pos`: {pos, cost, slots}. */
+function* sequenceMatches(nodes, tokens, pos, spaced, fuzzy) {
+  if (!nodes.length) {
+    yield { pos, cost: 0, slots: {} };
+    return;
+  }
+  const [node, ...rest] = nodes;
+  for (const head of nodeMatches(node, tokens, pos, spaced, fuzzy)) {
+    for (const tail of sequenceMatches(rest, tokens, head.pos, spaced, fuzzy)) {
+      yield { pos: tail.pos, cost: head.cost + tail.cost, slots: { ...head.slots, ...tail.slots } };
+    }
+  }
+}
+
+function* nodeMatches(node, tokens, pos, spaced, fuzzy) {
+  if (node.lit) {
+    yield* literal(node.lit, tokens, pos, spaced, fuzzy);
+  } else if (node.opt) {
+    yield* sequenceMatches(node.opt, tokens, pos, spaced, fuzzy);
+    yield { pos, cost: 0, slots: {} };
+  } else if (node.alt) {
+    for (const option of node.alt) {
+      yield* sequenceMatches(option, tokens, pos, spaced, fuzzy);
+    }
+  } else {
+    const type = SLOT_TYPES[node.type];
+    const longest = Math.min(tokens.length - pos, spaced ? type.span[0] : type.span[1]);
+    for (let n = 1; n <= longest; n++) {
+      const value = type.read(tokens.slice(pos, pos + n), spaced);
+      if (value !== undefined) {
+        yield { pos: pos + n, cost: 0, slots: { [node.slot]: value } };
+      }
+    }
+  }
+}
+
+/**
+ * Match a template against a whole utterance.
+ *
+ * @param {string} template
+ * @param {Array<{raw:string, norm:string}>} tokens  tokenize() output
+ * @param {object} opts
+ * @param {boolean} opts.spaced  the language's tokenization (see tokenize)
+ * @param {boolean} [opts.fuzzy=false]  allow misspelt fixed words
+ * @returns {{cost:number, slots:object}|null} the closest reading — cost is
+ *   the number of edits, 0 for an exact match — or null when none fits
+ */
+export function matchTemplate(template, tokens, { spaced, fuzzy = false }) {
+  let best = null;
+  for (const m of sequenceMatches(compile(template), tokens, 0, spaced, fuzzy)) {
+    if (m.pos === tokens.length && (!best || m.cost < best.cost)) {
+      best = { cost: m.cost, slots: m.slots };
+      if (best.cost === 0) {
+        break;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Every phrase a template can be said as, with its slots filled from their
+ * types' samples — for a recogniser that only listens for a fixed list of
+ * phrases (speechBackends.js). Empty when a slot's type has no samples (free
+ * text, a site name), and cut off at `limit` phrases.
+ *
+ * @param {string} template
+ * @param {boolean} spaced  join words with spaces (see tokenize)
+ * @param {number} [limit=200]
+ * @returns {string[]}
+ */
+export function expandTemplate(template, spaced, limit = 200) {
+  const join = (a, b) => (a && b && spaced ? `${a} ${b}` : a + b);
+  const sequence = (nodes) => nodes.reduce((heads, node) => {
+    const tails = expand(node);
+    const out = [];
+    for (const head of heads) {
+      for (const tail of tails) {
+        if (out.length < limit) {
+          out.push(join(head, tail));
+        }
+      }
+    }
+    return out;
+  }, ['']);
+  const expand = (node) => {
+    if (node.lit) {
+      return [node.lit.join(spaced ? ' ' : '')];
+    }
+    if (node.opt) {
+      return [...sequence(node.opt), ''];
+    }
+    if (node.alt) {
+      return node.alt.flatMap(sequence);
+    }
+    const samples = SLOT_TYPES[node.type].samples;
+    return samples ? samples[spaced ? 0 : 1] : [];
+  };
+  return [...new Set(sequence(compile(template)))];
+}
@@ -0,0 +1,316 @@
+/**
+ * Offline kana→kanji dictionary for JapaneseIME.
+ *
+ * Conversion normally goes to Google's transliterate endpoint, which is no
+ * use on a headset with no internet. This module holds a reading→candidates
+ * dictionary in the shape SKK dictionaries use and splits a whole composition
+ * into clauses (文節) with it, so a phrase converts clause by clause without
+ * a server.
+ *
+ * File format (public/dict/kanji-dict.json, built by tools/build-kanji-dict.mjs
+ * from SKK-JISYO or Mozc dictionary files):
+ *
+ *   { "format": "qui-kanji-dict", "version": 1,
+ *     "words": { "わたし": "私/渡し", ... },  reading → candidates, best first
+ *     "okuri": { "たb": "食", ... },          SKK okuri-ari: a stem reading and
+ *                                             the consonant of the kana written
+ *                                             after it (食べ, 食べる, 食べた)
+ *     "more": { "words": {...}, "okuri": {...} } }   optional second tier
+ *
+ * Candidates are joined with '/' as in SKK, which keeps the file compact.
+ *
+ * The second tier is a large dictionary's words (IPADIC's 廃位, 遺棄, 臑 …).
+ * They are offered after the first tier's, and a split that needs one costs
+ * more than a common word plus a particle, so they never break up a sentence
+ * the common words already cover (きょうはいい stays 今日は|いい).
+ *
+ * Segmentation: at each position the dictionary offers every reading that
+ * starts there (its longest-prefix matches, up to MAX_READING_CHARS),
+ * particles and auxiliary endings (FUNCTION_WORDS) attach to the clause
+ * before them, and kana nothing matches attaches too, at a cost. The split
+ * with the lowest total cost wins — in practice the fewest, longest words.
+ * Greedy longest match alone gets きょうはいい wrong (今日|灰|い); the
+ * lattice gets 今日は|いい.
+ *
+ * The user's own words (UserDictionary) are passed to segment() as `extra`
+ * and take part like dictionary words, ahead of them, so a registered name
+ * is one clause rather than a run of kanji guesses.
+ */
+
+export const KANJI_DICT_FORMAT = 'qui-kanji-dict';
+/** Where the dictionary is served, relative to the app's base URL. */
+export const KANJI_DICT_PATH = 'dict/kanji-dict.json';
+/** Longest reading looked up; no word in a dictionary of words is longer. */
+export const MAX_READING_CHARS = 12;
+/** Candidates kept per reading, and offered per clause. */
+export const MAX_CANDIDATES = 10;
+
+const READING_RE = /^[ぁ-ゖー]+$/;
+const OKURI_KEY_RE = /^[ぁ-ゖー]+[a-z]$/;
+
+// Edge costs for segment(). A function word costs a little more than a
+// word, so ものに is 物|に rather than the particles も + のに, and かさ is 傘
+// rather than か + さ; a one-kana word or okuri-ari stem costs more than
+// that, because one-kana readings are mostly noise once a sentence is split
+// (は as 葉, ですね as で + 住ね). A second-tier word costs more than a word
+// and a function word together (はいい is は + いい, not 廃位).
+const COST_WORD = 10;
+const COST_FUNCTION = 11;
+const COST_SHORT_WORD = 16;
+const COST_UNKNOWN = 20;
+const COST_MORE_WORD = 24;
+
+/**
+ * Particles, and endings usually written in kana, that belong to the clause
+ * before them rather than starting one.
+ */
+export const FUNCTION_WORDS = [
+  'は', 'が', 'を', 'に', 'で', 'と', 'も', 'の', 'へ', 'や', 'か', 'ね', 'よ',
+  'な', 'わ', 'ぞ', 'さ', 'ば', 'から', 'まで', 'より', 'ので', 'のに', 'けど',
+  'けれど', 'でも', 'ても', 'では', 'だけ', 'しか', 'ほど', 'など', 'って',
+  'ながら', 'ずつ', 'こそ', 'とか',
+  'た', 'だ', 'て', 'る', 'う', 'よう', 'れば', 'です', 'でした', 'でしょう',
+  'だった', 'だろう', 'ます', 'ました', 'ません', 'ましょう', 'ない',
+  'なかった', 'なくて', 'たい', 'たかった', 'れる', 'られる', 'せる', 'させる',
+  'ている', 'ていた', 'ています', 'てる', 'てた',
+  'する', 'します', 'しました', 'しません', 'した', 'して', 'しない', 'しよう',
+  'いる', 'います', 'いました', 'ある', 'あります', 'ありました', 'なる',
+  'なります', 'なりました', 'ください'
+];
+const MAX_FUNCTION_CHARS = Math.max(...FUNCTION_WORDS.map((w) => w.length));
+const FUNCTION_SET = new Set(FUNCTION_WORDS);
+
+// SKK's okuri consonants: the kana written after a stem, by romaji row.
+const OKURI_ROWS = {
+  a: 'あ', i: 'い', u: 'う', e: 'え', o: 'お',
+  k: 'かきくけこ', g: 'がぎぐげご', s: 'さしすせそ', z: 'ざじずぜぞ',
+  t: 'たちつてとっ', d: 'だぢづでど', n: 'なにぬねのん', h: 'はひふへほ',
+  b: 'ばびぶべぼ', p: 'ぱぴぷぺぽ', m: 'まみむめも', y: 'やゆよ',
+  r: 'らりるれろ', w: 'わを'
+};
+const OKURI_CONSONANT = new Map();
+for (const [consonant, kana] of Object.entries(OKURI_ROWS)) {
+  for (const k of kana) {
+    OKURI_CONSONANT.set(k, consonant);
+  }
+}
+
+/** The SKK okuri consonant for the kana written after a stem (べ → 'b'), or ''. */
+export function okuriConsonant(kana) {
+  return OKURI_CONSONANT.get(kana) || '';
+}
+
+/** Katakana for the hiragana in `s`; anything else is left as it is. */
+export function toKatakana(s) {
+  return String(s).replace(/[ぁ-ゖ]/g, (c) => String.fromCharCode(c.charCodeAt(0) + 0x60));
+}
+
+/** A '/'-joined candidate string (or array) as a clean, capped list. */
+function candidateList(value) {
+  const parts = Array.isArray(value) ? value : String(value || '').split('/');
+  const out = [];
+  for (const p of parts) {
+    if (typeof p === 'string' && p && !out.includes(p)) {
+      out.push(p);
+    }
+  }
+  return out.slice(0, MAX_CANDIDATES);
+}
+
+function readEntries(obj, keyRe) {
+  const map = new Map();
+  if (!obj || typeof obj !== 'object') {
+    return map;
+  }
+  for (const [key, value] of Object.entries(obj)) {
+    if (keyRe.test(key) && key.length <= MAX_READING_CHARS + 1) {
+      const list = candidateList(value);
+      if (list.length) {
+        map.set(key, list);
+      }
+    }
+  }
+  return map;
+}
+
+/**
+ * A dictionary from the file's parsed JSON, or null when it is not one
+ * (wrong format or version, or no usable entries). Malformed entries are
+ * skipped rather than failing the whole file.
+ *
+ * @param {*} json
+ * @returns {KanjiDictionary|null}
+ */
+export function parseKanjiDictionary(json) {
+  if (!json || typeof json !== 'object' || json.format !== KANJI_DICT_FORMAT || json.version !== 1) {
+    return null;
+  }
+  const words = readEntries(json.words, READING_RE);
+  const okuri = readEntries(json.okuri, OKURI_KEY_RE);
+  const more = json.more && typeof json.more === 'object' ? json.more : {};
+  const moreWords = readEntries(more.words, READING_RE);
+  const moreOkuri = readEntries(more.okuri, OKURI_KEY_RE);
+  if (!words.size && !okuri.size && !moreWords.size && !moreOkuri.size) {
+    return null;
+  }
+  return new KanjiDictionary({ words, okuri, moreWords, moreOkuri });
+}
+
+export class KanjiDictionary {
+  /**
+   * @param {object} [entries]
+   * @param {Map<string, string[]>} [entries.words]  reading → candidates
+   * @param {Map<string, string[]>} [entries.okuri]  okuri-ari key → stems
+   * @param {Map<string, string[]>} [entries.moreWords]  second-tier words
+   * @param {Map<string, string[]>} [entries.moreOkuri]  second-tier stems
+   */
+  constructor({ words = new Map(), okuri = new Map(), moreWords = new Map(), moreOkuri = new Map() } = {}) {
+    this.words = words;
+    this.okuri = okuri;
+    this.moreWords = moreWords;
+    this.moreOkuri = moreOkuri;
+  }
+
+  /** Readings held, okuri-ari stems and the second tier included. */
+  get size() {
+    return this.words.size + this.okuri.size + this.moreWords.size + this.moreOkuri.size;
+  }
+
+  /** Candidates for exactly `reading`, best first (a copy; [] when none). */
+  lookup(reading) {
+    return [...(this.words.get(reading) || []), ...(this.moreWords.get(reading) || [])]
+      .filter((c, i, all) => all.indexOf(c) === i);
+  }
+
+  /**
+   * Split `text` (hiragana) into clauses and give each its candidates.
+   *
+   * Every clause's candidates end with its reading in hiragana and then in
+   * katakana, so choosing "as typed" is always possible.
+   *
+   * @param {string} text
+   * @param {object} [opts]
+   * @param {Map<string, string[]>} [opts.extra]  more reading → words, offered
+   *   before the dictionary's
+   * @returns {{reading: string, tail: string, candidates: string[]}[]} one
+   *   per clause, `tail` being the particles and endings after its word; []
+   *   for empty text
+   */
+  segment(text, { extra = null } = {}) {
+    const chars = Array.from(String(text || ''));
+    const n = chars.length;
+    if (!n) {
+      return [];
+    }
+    const room = Math.max(MAX_READING_CHARS, ...[...(extra ? extra.keys() : [])].map((r) => r.length));
+    // best[j]: cheapest split of chars[0, j), and the edge that ends it. On
+    // equal cost the split whose dictionary words cover more text wins
+    // (おく|って is 億って, おくっ|て is 送って).
+    const best = new Array(n + 1).fill(null);
+    best[0] = { cost: 0, covered: 0, from: -1, edge: null };
+    for (let i = 0; i < n; i++) {
+      if (!best[i]) {
+        continue;
+      }
+      for (const edge of this._edges(chars, i, extra, room)) {
+        const j = i + edge.len;
+        const cost = best[i].cost + edge.cost;
+        const covered = best[i].covered + (edge.head ? edge.len : 0);
+        if (!best[j] || cost < best[j].cost || (cost === best[j].cost && covered > best[j].covered)) {
+          best[j] = { cost, covered, from: i, edge };
+        }
+      }
+    }
+
+    const edges = [];
+    for (let j = n; j > 0; j = best[j].from) {
+      edges.unshift({ ...best[j].edge, text: chars.slice(best[j].from, j).join('') });
+    }
+    const clauses = [];
+    for (const edge of edges) {
+      const last = clauses[clauses.length - 1];
+      if (edge.head || !last) {
+        clauses.push({ reading: edge.text, head: edge.head ? edge.text : '', tail: '' });
+      } else {
+        last.reading += edge.text;
+        last.tail += edge.text;
+      }
+    }
+    return clauses.map(({ reading, head, tail }) => {
+      const candidates = this._heads(head, extra).slice(0, MAX_CANDIDATES - 2).map((h) => h + tail);
+      for (const plain of [reading, toKatakana(reading)]) {
+        if (!candidates.includes(plain)) {
+          candidates.push(plain);
+        }
+      }
+      return { reading, tail: head ? tail : '', candidates };
+    });
+  }
+
+  /**
+   * Everything `reading` can be written as: the user's words, the
+   * dictionary's, then okuri-ari stems with its last kana (きた is 北 and 来た)
+   * — the second tier's words and stems after the first's.
+   */
+  _heads(reading, extra = null) {
+    const chars = Array.from(reading);
+    const kana = chars.pop();
+    const consonant = OKURI_CONSONANT.get(kana);
+    const key = chars.length && consonant ? chars.join('') + consonant : '';
+    const withKana = (stems) => (key && stems.get(key) || []).map((s) => s + kana);
+    const heads = [];
+    const own = (extra && extra.get(reading)) || [];
+    for (const h of [
+      ...own, ...(this.words.get(reading) || []), ...withKana(this.okuri),
+      ...(this.moreWords.get(reading) || []), ...withKana(this.moreOkuri)
+    ]) {
+      if (!heads.includes(h)) {
+        heads.push(h);
+      }
+    }
+    return heads;
+  }
+
+  /**
+   * Every way a clause or its ending can continue at chars[i]: dictionary
+   * words (heads of a new clause), okuri-ari stems with their kana, function
+   * words, and one unmatched character. `extra` is the user's words, looked
+   * up as far as `room` characters. Second-tier words and stems cost
+   * COST_MORE_WORD, and one kana of them is never a head.
+   */
+  _edges(chars, i, extra = null, room = MAX_READING_CHARS) {
+    const edges = [];
+    for (let len = Math.min(room, chars.length - i); len >= 1; len--) {
+      const reading = chars.slice(i, i + len).join('');
+      // After a clause, ある and ます stay endings even where a full
+      // dictionary has 有る and 鱒; a word the user registered is always one.
+      const word = (extra && extra.has(reading))
+        || (len <= MAX_READING_CHARS && this.words.has(reading) && !(i > 0 && FUNCTION_SET.has(reading)));
+      if (word) {
+        edges.push({ len, cost: len === 1 ? COST_SHORT_WORD : COST_WORD, head: true });
+      } else if (len > 1 && len <= MAX_READING_CHARS && this.moreWords.has(reading)
+        && !(i > 0 && FUNCTION_SET.has(reading))) {
+        edges.push({ len, cost: COST_MORE_WORD, head: true });
+      }
+      if (len > MAX_READING_CHARS) {
+        continue;
+      }
+      const kana = chars[i + len];
+      const consonant = kana && OKURI_CONSONANT.get(kana);
+      if (consonant && this.okuri.has(reading + consonant)) {
+        edges.push({ len: len + 1, cost: len === 1 ? COST_SHORT_WORD : COST_WORD, head: true });
+      } else if (consonant && this.moreOkuri.has(reading + consonant)) {
+        edges.push({ len: len + 1, cost: COST_MORE_WORD, head: true });
+      }
+    }
+    if (i > 0) {
+      for (let len = Math.min(MAX_FUNCTION_CHARS, chars.length - i); len >= 1; len--) {
+        if (FUNCTION_SET.has(chars.slice(i, i + len).join(''))) {
+          edges.push({ len, cost: COST_FUNCTION, head: false });
+        }
+      }
+    }
+    edges.push({ len: 1, cost: COST_UNKNOWN, head: false });
+    return edges;
+  }
+}
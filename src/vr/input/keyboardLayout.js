@@ -13,12 +13,38 @@ export const GAP = 0.008;     // gap between keys (m)
 
 // The VR keyboard layout. A row entry is either a label string (1 unit wide)
 // or { label, width } for wide keys. `label` is what onKeyPress receives.
-export const ROWS = [
+// `lang` switches between the keyboard's input methods (日本語 / 한국어 / 中文).
+// The top row edits the text typed so far (VRJapaneseKeyboard's caret).
+const EDIT_ROW = [
+  { label: 'undo', glyph: '↶' }, { label: 'selectAll', glyph: 'All' }, { label: 'cut', glyph: '✂' },
+  { label: 'copy', glyph: '⧉' }, { label: 'paste', glyph: '📋' }, { label: 'home', glyph: '⇤' },
+  { label: 'left', glyph: '◀' }, { label: 'right', glyph: '▶' }, { label: 'end', glyph: '⇥' },
+  { label: 'wordBack', glyph: '⌫⌫' }
+];
+const LETTER_ROWS = [
+  EDIT_ROW,
   ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'],
   ['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p'],
   ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', { label: 'back', width: 1.5, glyph: '⌫' }],
-  [{ label: 'shift', width: 1.5, glyph: '⇧' }, 'z', 'x', 'c', 'v', 'b', 'n', 'm', { label: '.', width: 1 }, { label: '/', width: 1 }],
-  [{ label: 'esc', width: 1, glyph: '✕' }, { label: 'かな', width: 1.5 }, { label: 'space', width: 3, glyph: '␣' }, { label: '変換', width: 1.5 }, { label: 'enter', width: 2, glyph: '⏎' }]
+  [{ label: 'shift', width: 1.5, glyph: '⇧' }, 'z', 'x', 'c', 'v', 'b', 'n', 'm', { label: '.', width: 1 }, { label: '/', width: 1 }]
+];
+const ESC_KEY = { label: 'esc', width: 1, glyph: '✕' };
+const LANG_KEY = { label: 'lang', width: 1, glyph: '🌐' };
+const ENTER_KEY = { label: 'enter', width: 2, glyph: '⏎' };
+
+export const ROWS = [
+  ...LETTER_ROWS,
+  [ESC_KEY, LANG_KEY, { label: 'かな', width: 1.5 }, { label: 'space', width: 3, glyph: '␣' }, { label: '変換', width: 1.5 }, ENTER_KEY]
+];
+
+/**
+ * The layout for input methods with no kana toggle or convert key (Hangul;
+ * Pinyin converts with Space and the candidate bar): the same letters, and
+ * the space bar takes the room.
+ */
+export const PLAIN_ROWS = [
+  ...LETTER_ROWS,
+  [ESC_KEY, LANG_KEY, { label: 'space', width: 6, glyph: '␣' }, ENTER_KEY]
 ];
 
 /**
@@ -27,9 +53,11 @@ export const ROWS = [
  * @param {Array} rows  layout (defaults to ROWS)
  * @param {number} scale  uniform size multiplier (≥1 enlarges keys for motor /
  *   low-vision users — bigger targets mean fewer mis-taps; WCAG 2.5.5)
+ * @param {Object<string, string>} [glyphs]  label → glyph overrides, for an
+ *   input method that prints its own letters on the keys (Hangul jamo)
  * @returns {Array<{label:string, glyph:string, x:number, y:number, w:number, h:number}>}
  */
-export function computeKeyLayout(rows = ROWS, scale = 1) {
+export function computeKeyLayout(rows = ROWS, scale = 1, glyphs = null) {
   const keyW = KEY_W * scale;
   const keyH = KEY_H * scale;
   const gap = GAP * scale;
@@ -53,7 +81,7 @@ export function computeKeyLayout(rows = ROWS, scale = 1) {
     for (const entry of row) {
       const label = typeof entry === 'object' ? entry.label : entry;
       const units = typeof entry === 'object' ? (entry.width || 1) : 1;
-      const glyph = typeof entry === 'object' && entry.glyph ? entry.glyph : label;
+      const glyph = (glyphs && glyphs[label]) || (typeof entry === 'object' && entry.glyph ? entry.glyph : label);
       const w = units * keyW;
       keys.push({ label, glyph, x: x + w / 2, y, w, h: keyH });
       x += w + gap;
@@ -129,11 +157,13 @@ export const COMPOSITION_MEASURE_EM = safeMeasureEm(COMPOSITION_TEXT_W, COMPOSIT
  * The glyph itself already carries the meaning (ひ / カ / 漢), so colour is
  * reinforcement only — WCAG 1.4.1 is unaffected either way.
  *
- * @param {'hiragana'|'katakana'|'kanji'} mode
+ * Hangul (한) and Pinyin (拼) keep the same bright-fill, ink-glyph scheme.
+ *
+ * @param {'hiragana'|'katakana'|'kanji'|'hangul'|'pinyin'} mode
  * @returns {{bg: string, text: string}}
  */
 export function imeBadgeColors(mode) {
-  const BG = { hiragana: '#4488ff', katakana: '#ff8844', kanji: '#44cc88' };
+  const BG = { hiragana: '#4488ff', katakana: '#ff8844', kanji: '#44cc88', hangul: '#bb88ff', pinyin: '#ff7777' };
   return { bg: BG[mode] || '#8899cc', text: '#0b0f1a' };
 }
 
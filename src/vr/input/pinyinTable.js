@@ -0,0 +1,240 @@
+/**
+ * Pinyin → Simplified Chinese data and lookups for PinyinIME.
+ *
+ * SYLLABLES holds every Mandarin syllable with its most common characters,
+ * most frequent first; WORDS holds common words by their syllables. Tones
+ * are not typed, as in every mainstream pinyin IME, and ü is typed as v
+ * (lv 绿, nv 女).
+ *
+ * This is a starter table — the common characters of each syllable and a
+ * couple of hundred words — so that Chinese can be typed offline at all.
+ * Input methods with real coverage use language models; this one picks the
+ * longest known word and otherwise falls back to characters one syllable at
+ * a time.
+ */
+
+export const SYLLABLES = {
+  a: '啊阿', ai: '爱哎矮艾碍挨唉', an: '安按暗岸案俺', ang: '昂', ao: '奥傲澳熬',
+  ba: '把吧八爸巴拔罢霸', bai: '白百败摆拜柏', ban: '办半班般版板伴搬', bang: '帮棒榜绑磅',
+  bao: '报保包宝抱暴薄爆饱', bei: '被北备背杯倍悲辈贝', ben: '本奔笨', beng: '崩蹦泵',
+  bi: '比必笔毕币避闭鼻彼壁逼', bian: '边变便编遍辩鞭', biao: '表标彪', bie: '别憋',
+  bin: '宾滨彬', bing: '并病兵冰饼', bo: '波播博伯剥脖薄', bu: '不部步布补捕',
+  ca: '擦', cai: '才菜采财材彩猜裁', can: '参餐残惨灿', cang: '藏仓苍舱', cao: '草操曹槽',
+  ce: '测策侧册厕', cen: '参', ceng: '层曾蹭', cha: '查茶差插察叉', chai: '拆柴差',
+  chan: '产缠馋颤蝉', chang: '长场常唱厂尝肠畅', chao: '超朝潮炒吵抄', che: '车彻撤扯',
+  chen: '陈沉称晨尘趁衬', cheng: '成城程称承乘诚呈撑', chi: '吃持迟尺赤齿池耻',
+  chong: '冲充重虫宠', chou: '抽丑愁臭仇筹', chu: '出处除初础楚触厨储', chuai: '揣踹',
+  chuan: '传船穿川串', chuang: '窗床创闯', chui: '吹垂锤', chun: '春纯唇', chuo: '戳绰',
+  ci: '此次词从刺慈辞磁', cong: '从丛聪葱', cou: '凑', cu: '粗促醋簇', cuan: '窜篡',
+  cui: '催脆翠崔', cun: '村存寸', cuo: '错措挫',
+  da: '大打达答搭', dai: '带代待袋戴呆贷', dan: '但单担弹蛋淡胆丹', dang: '当党档挡荡',
+  dao: '到道导倒刀岛盗稻', de: '的得德地', dei: '得', deng: '等灯登邓蹬', di: '地第底低敌弟帝递滴',
+  dian: '点电店典殿垫颠', diao: '调掉吊钓雕', die: '跌爹叠蝶', ding: '定顶订丁钉',
+  diu: '丢', dong: '动东懂冬洞冻', dou: '都斗豆抖逗', du: '都度读独毒督赌肚渡',
+  duan: '段断短端锻', dui: '对队堆兑', dun: '顿吨盾蹲', duo: '多夺朵躲堕',
+  e: '饿额恶俄鹅', ei: '诶', en: '恩嗯', er: '而二儿耳尔',
+  fa: '发法罚乏伐', fan: '反饭范翻犯繁凡烦', fang: '方放房防访仿纺', fei: '非费飞肥废肺',
+  fen: '分份粉奋纷坟愤', feng: '风封丰峰疯锋逢', fo: '佛', fou: '否', fu: '复服夫付父负富副福府妇腐',
+  ga: '嘎', gai: '该改概盖', gan: '感干敢赶甘肝杆', gang: '刚港钢岗纲', gao: '高告搞稿糕',
+  ge: '个各哥格歌革隔割阁', gei: '给', gen: '跟根', geng: '更耕', gong: '工公共功供宫攻恭',
+  gou: '够构狗购沟勾', gu: '故古顾骨股鼓谷固姑', gua: '挂瓜刮寡', guai: '怪乖拐',
+  guan: '关管官观馆惯冠贯', guang: '光广逛', gui: '规贵归鬼跪柜轨', gun: '滚棍',
+  guo: '国过果锅郭裹',
+  ha: '哈', hai: '还孩海害嗨', han: '汉含寒喊汗韩旱', hang: '行航杭', hao: '好号毫豪耗浩',
+  he: '和合何河喝盒核贺', hei: '黑嘿', hen: '很恨狠痕', heng: '横恒衡哼', hong: '红洪宏轰虹',
+  hou: '后候厚猴吼', hu: '护呼湖户胡虎乎互忽壶', hua: '话化花划画华滑', huai: '坏怀',
+  huan: '还换欢环缓患幻', huang: '黄皇荒慌晃', hui: '会回挥汇灰毁惠辉悔',
+  hun: '混婚魂昏', huo: '或活火获货伙祸',
+  ji: '几机及即级极计记基集急济技积际既继寄鸡', jia: '家加价假架甲夹嫁佳', jian: '见间建件简健减检坚剑尖监',
+  jiang: '将讲江降奖蒋酱姜', jiao: '叫教交角觉较脚焦骄郊', jie: '接结解节界姐街借介阶洁',
+  jin: '进今金近尽仅紧禁劲津', jing: '经京精境竟静警井敬景镜', jiong: '窘炯',
+  jiu: '就九酒旧久救究纠', ju: '据局举居具句剧巨聚拒菊', juan: '卷捐圈倦', jue: '觉决绝角掘',
+  jun: '军均君俊菌',
+  ka: '卡咖', kai: '开凯慨', kan: '看刊砍堪', kang: '抗康扛', kao: '考靠烤', ke: '可科克课客刻渴颗壳',
+  ken: '肯啃恳', keng: '坑', kong: '空控孔恐', kou: '口扣寇', ku: '苦哭库酷裤枯',
+  kua: '夸跨垮', kuai: '快块筷会', kuan: '宽款', kuang: '况矿狂框旷', kui: '亏愧溃葵',
+  kun: '困昆捆', kuo: '扩阔括',
+  la: '拉啦辣腊蜡', lai: '来赖莱', lan: '蓝兰烂拦懒栏篮', lang: '浪朗郎狼廊', lao: '老劳牢捞',
+  le: '了乐勒', lei: '类累雷泪', leng: '冷愣', li: '里理力利立李历离礼例丽励',
+  lia: '俩', lian: '连联脸练恋链怜', liang: '量两亮良凉粮梁', liao: '了料聊疗辽',
+  lie: '列烈裂猎', lin: '林临邻淋', ling: '领另令零灵龄铃', liu: '六流留刘柳', long: '龙隆笼聋',
+  lou: '楼漏露', lu: '路陆录露鲁炉鹿', lv: '律绿旅率虑铝', lve: '略掠', luan: '乱卵',
+  lun: '论轮伦', luo: '落罗络逻萝',
+  ma: '吗妈马嘛麻骂码', mai: '买卖麦埋迈', man: '满慢漫蛮馒', mang: '忙芒盲茫', mao: '毛猫冒帽贸矛',
+  me: '么', mei: '没每美妹梅煤眉媒', men: '们门闷', meng: '梦猛蒙孟盟', mi: '米密迷秘蜜眯',
+  mian: '面免棉眠绵', miao: '秒妙苗描庙', mie: '灭', min: '民敏', ming: '明名命鸣',
+  miu: '谬', mo: '么没模末默摸磨魔莫', mou: '某谋', mu: '目木母幕墓牧慕',
+  na: '那拿哪纳', nai: '乃奶耐', nan: '男南难', nang: '囊', nao: '脑闹恼', ne: '呢',
+  nei: '内', nen: '嫩', neng: '能', ni: '你呢泥尼拟逆', nian: '年念粘', niang: '娘',
+  niao: '鸟尿', nie: '捏聂', nin: '您', ning: '宁凝', niu: '牛扭纽', nong: '农弄浓',
+  nu: '努怒奴', nv: '女', nve: '虐', nuan: '暖', nuo: '诺挪',
+  o: '哦噢', ou: '欧偶',
+  pa: '怕爬', pai: '派排拍牌', pan: '判盘盼攀', pang: '旁胖', pao: '跑炮泡抛', pei: '配陪培赔',
+  pen: '盆喷', peng: '朋碰棚蓬', pi: '批皮匹屁疲脾', pian: '片篇骗偏', piao: '票漂飘',
+  pie: '撇', pin: '品贫频拼', ping: '平评瓶凭', po: '破坡迫婆', pou: '剖', pu: '普铺扑朴谱',
+  qi: '起其期气七器企奇汽妻齐骑', qia: '恰掐', qian: '前钱千签欠浅迁', qiang: '强枪墙抢',
+  qiao: '桥巧敲瞧', qie: '且切窃', qin: '亲琴侵勤秦', qing: '请情清青轻庆晴', qiong: '穷',
+  qiu: '求球秋', qu: '去区取曲趣屈', quan: '全权劝泉圈', que: '却确缺雀', qun: '群裙',
+  ran: '然燃染', rang: '让嚷', rao: '绕扰', re: '热惹', ren: '人认任仁忍', reng: '仍扔',
+  ri: '日', rong: '容荣融溶', rou: '肉柔', ru: '如入乳辱', ruan: '软', rui: '瑞锐',
+  run: '润闰', ruo: '若弱',
+  sa: '撒洒萨', sai: '赛塞', san: '三散伞', sang: '桑嗓丧', sao: '扫嫂', se: '色塞涩',
+  sen: '森', seng: '僧', sha: '沙杀傻啥纱', shai: '晒筛', shan: '山善闪衫扇陕', shang: '上商伤尚赏',
+  shao: '少烧绍稍勺', she: '社设射舍蛇涉摄', shei: '谁', shen: '什身深神申伸审甚',
+  sheng: '生声省胜升圣剩绳', shi: '是时事十使世市实式识始士室试示施师石失',
+  shou: '手收受首守售瘦', shu: '书数术属树输熟述鼠叔', shua: '刷耍', shuai: '帅摔衰',
+  shuan: '拴涮', shuang: '双爽霜', shui: '水谁睡税', shun: '顺', shuo: '说硕',
+  si: '四死思私司丝似寺', song: '送松宋颂', sou: '搜艘', su: '速素诉苏宿塑俗', suan: '算酸蒜',
+  sui: '虽随岁碎隧', sun: '孙损笋', suo: '所锁缩索',
+  ta: '他她它塔踏', tai: '太台态泰抬', tan: '谈探叹弹坦摊贪', tang: '堂汤糖躺趟唐',
+  tao: '套讨逃桃陶涛', te: '特', teng: '疼腾', ti: '体提题替梯踢', tian: '天田填甜添',
+  tiao: '条跳调挑', tie: '铁贴', ting: '听停挺庭厅', tong: '同通统痛童铜', tou: '头投偷透',
+  tu: '图土突途徒吐', tuan: '团', tui: '推退腿', tun: '吞屯', tuo: '脱托拖妥',
+  wa: '哇挖娃瓦', wai: '外歪', wan: '万完晚玩碗湾弯', wang: '往王望网忘旺', wei: '为位未委维伟卫微围危',
+  wen: '问文闻温稳吻', weng: '翁', wo: '我握窝卧', wu: '无五物务误午舞武屋',
+  xi: '系西息习喜细希洗戏吸席', xia: '下夏吓虾峡', xian: '先现线县显险限鲜献仙',
+  xiang: '想向相象香乡项详享', xiao: '小笑校效消销晓', xie: '写些谢协鞋血斜',
+  xin: '心新信辛欣', xing: '行性型形星兴醒姓幸', xiong: '兄雄胸熊', xiu: '修秀休袖',
+  xu: '需许续须虚序叙徐', xuan: '选宣旋悬', xue: '学雪血穴', xun: '讯寻训迅询',
+  ya: '呀压牙亚雅鸭', yan: '眼言研严演验烟颜沿盐', yang: '样阳养洋羊扬仰', yao: '要药摇腰邀咬',
+  ye: '也业夜页叶野爷', yi: '一以已意义医衣依易移亿艺益', yin: '因音银引印阴饮',
+  ying: '应影英营硬迎赢', yo: '哟', yong: '用永勇拥泳', you: '有又由友右油游优邮',
+  yu: '于与语遇鱼雨余预育域玉', yuan: '元员原远院愿园圆源', yue: '月越约乐阅跃',
+  yun: '运云允孕晕',
+  za: '杂砸', zai: '在再载灾', zan: '咱赞暂', zang: '脏藏葬', zao: '早造遭糟澡', ze: '则责泽',
+  zei: '贼', zen: '怎', zeng: '增赠', zha: '炸扎眨诈', zhai: '摘窄债宅', zhan: '站战展占粘',
+  zhang: '长张章掌涨丈', zhao: '找照招着赵召', zhe: '这着者折哲', zhei: '这',
+  zhen: '真阵镇针珍震', zheng: '正政证整争征挣', zhi: '之只知制至直指治值职支纸', zhong: '中种重众终钟忠',
+  zhou: '周州洲皱', zhu: '主住注助著朱猪竹', zhua: '抓', zhuai: '拽', zhuan: '转专传赚砖',
+  zhuang: '装状壮庄撞', zhui: '追坠', zhun: '准', zhuo: '桌捉卓着', zi: '子字自资紫姿',
+  zong: '总宗纵综', zou: '走奏', zu: '组族足祖阻租', zuan: '钻', zui: '最罪嘴醉', zun: '尊遵',
+  zuo: '做作坐左座昨'
+};
+
+/** Common words, by their syllables joined with spaces. Several are '/'-joined. */
+export const WORDS = {
+  'ni hao': '你好', 'xie xie': '谢谢', 'zai jian': '再见', 'dui bu qi': '对不起', 'mei guan xi': '没关系',
+  'bu ke qi': '不客气', 'qing wen': '请问', 'zao shang hao': '早上好', 'wan an': '晚安',
+  'wo men': '我们', 'ni men': '你们', 'ta men': '他们/她们/它们', 'zi ji': '自己', 'da jia': '大家',
+  'shen me': '什么', 'zen me': '怎么', 'wei shen me': '为什么', 'na li': '哪里/那里', 'zhe li': '这里',
+  'zhe ge': '这个', 'na ge': '那个/哪个', 'duo shao': '多少', 'ji ge': '几个', 'shen me shi hou': '什么时候',
+  'ke yi': '可以', 'xi huan': '喜欢', 'zhi dao': '知道', 'ren shi': '认识', 'jue de': '觉得',
+  'xu yao': '需要', 'xiang yao': '想要', 'ying gai': '应该', 'yi jing': '已经', 'xian zai': '现在',
+  'jin tian': '今天', 'ming tian': '明天', 'zuo tian': '昨天', 'shi jian': '时间/事件', 'shi hou': '时候',
+  'zhong guo': '中国', 'zhong wen': '中文', 'han yu': '汉语', 'ying wen': '英文', 'ri ben': '日本',
+  'han guo': '韩国', 'mei guo': '美国', 'bei jing': '北京', 'shang hai': '上海', 'guang zhou': '广州',
+  'shen zhen': '深圳', 'tai wan': '台湾', 'xiang gang': '香港', 'shi jie': '世界', 'guo jia': '国家',
+  'peng you': '朋友', 'lao shi': '老师', 'xue sheng': '学生', 'tong xue': '同学', 'yi sheng': '医生',
+  'gong zuo': '工作', 'xue xi': '学习', 'sheng huo': '生活', 'wen ti': '问题', 'dian hua': '电话',
+  'dian nao': '电脑', 'shou ji': '手机', 'dian shi': '电视', 'dian ying': '电影', 'yin yue': '音乐',
+  'wang zhan': '网站', 'wang luo': '网络', 'wang ye': '网页', 'shang wang': '上网', 'sou suo': '搜索',
+  'xin wen': '新闻', 'tian qi': '天气', 'di tu': '地图', 'shi pin': '视频', 'tu pian': '图片',
+  'you xi': '游戏', 'ruan jian': '软件', 'ying yong': '应用', 'she zhi': '设置', 'xia zai': '下载',
+  'deng lu': '登录', 'zhu ce': '注册', 'mi ma': '密码', 'yong hu': '用户', 'shu ju': '数据',
+  'xin xi': '信息', 'wen jian': '文件', 'bao cun': '保存', 'fan hui': '返回', 'shou ye': '首页',
+  'shu qian': '书签', 'li shi': '历史', 'jian pan': '键盘', 'yu yan': '语言', 'shu ru': '输入',
+  'ke neng': '可能', 'yi qi': '一起/仪器', 'yi xia': '一下', 'yi dian': '一点', 'yi ding': '一定',
+  'yi yang': '一样', 'yi hou': '以后', 'yi qian': '以前', 'ran hou': '然后', 'dan shi': '但是',
+  'yin wei': '因为', 'suo yi': '所以', 'ru guo': '如果', 'hai shi': '还是', 'huo zhe': '或者',
+  'fei chang': '非常', 'zhen de': '真的', 'mei you': '没有', 'you mei you': '有没有', 'shi bu shi': '是不是',
+  'dong xi': '东西', 'di fang': '地方', 'fang fa': '方法', 'ban fa': '办法', 'yuan yin': '原因',
+  'ji hua': '计划', 'gong si': '公司', 'xue xiao': '学校', 'yi yuan': '医院', 'fan dian': '饭店',
+  'che zhan': '车站', 'ji chang': '机场', 'di tie': '地铁', 'gong jiao': '公交', 'chu zu che': '出租车',
+  'chi fan': '吃饭', 'shui jiao': '睡觉', 'kai shi': '开始', 'jie shu': '结束', 'hui jia': '回家',
+  'gao xing': '高兴', 'kuai le': '快乐', 'sheng ri kuai le': '生日快乐', 'xin nian kuai le': '新年快乐',
+  'hao de': '好的', 'mei shi': '没事', 'jia you': '加油', 'xiao xin': '小心', 'bang zhu': '帮助',
+  'qing kuang': '情况', 'guan xi': '关系', 'fa zhan': '发展', 'jing ji': '经济', 'zheng fu': '政府',
+  'she hui': '社会', 'wen hua': '文化', 'ke xue': '科学', 'ji shu': '技术', 'jiao yu': '教育',
+  'hai zi': '孩子', 'ba ba': '爸爸', 'ma ma': '妈妈', 'ge ge': '哥哥', 'jie jie': '姐姐',
+  'di di': '弟弟', 'mei mei': '妹妹', 'er zi': '儿子', 'nv er': '女儿', 'jia ren': '家人',
+  'zhong yao': '重要', 'jian dan': '简单', 'rong yi': '容易', 'kun nan': '困难', 'pian yi': '便宜',
+  'pu tong hua': '普通话', 'zhong hua': '中华', 'ren min': '人民', 'qi che': '汽车', 'fei ji': '飞机',
+  'xing qi': '星期', 'shang wu': '上午', 'xia wu': '下午', 'wan shang': '晚上', 'zhong wu': '中午'
+};
+
+const MAX_SYLLABLE_CHARS = 6;
+const isSyllable = (s) => Object.prototype.hasOwnProperty.call(SYLLABLES, s);
+const MAX_CANDIDATES = 10;
+
+// Every prefix of a syllable, so a half-typed one ('zh', 'xia' on the way to
+// 'xiang') still splits.
+const PREFIXES = new Set();
+for (const s of Object.keys(SYLLABLES)) {
+  for (let n = 1; n <= s.length; n++) {
+    PREFIXES.add(s.slice(0, n));
+  }
+}
+
+/**
+ * Split typed letters into syllables. The longest syllable is taken first
+ * unless that leaves letters that cannot start one (xian is xian, but xiane
+ * is xia + ne). The last piece may be a syllable only begun.
+ *
+ * @param {string} letters
+ * @returns {{syllable: string, complete: boolean}[]|null} null when the
+ *   letters are not pinyin
+ */
+export function splitPinyin(letters) {
+  const s = String(letters || '');
+  if (!s) {
+    return [];
+  }
+  for (let len = Math.min(MAX_SYLLABLE_CHARS, s.length); len >= 1; len--) {
+    const head = s.slice(0, len);
+    if (len === s.length && PREFIXES.has(head)) {
+      return [{ syllable: head, complete: isSyllable(head) }];
+    }
+    if (isSyllable(head)) {
+      const rest = splitPinyin(s.slice(len));
+      if (rest) {
+        return [{ syllable: head, complete: true }, ...rest];
+      }
+    }
+  }
+  return null;
+}
+
+const matches = (typed, syllable) => (
+  typed.complete ? typed.syllable === syllable : syllable.startsWith(typed.syllable)
+);
+
+/**
+ * Candidates for typed pinyin: words that cover the most syllables first,
+ * then single characters for the first syllable. Each says how many letters
+ * it uses, so choosing one leaves the rest to be converted next.
+ *
+ * @param {string} letters
+ * @returns {{text: string, length: number}[]}
+ */
+export function pinyinCandidates(letters) {
+  const typed = splitPinyin(letters);
+  if (!typed || !typed.length) {
+    return [];
+  }
+  const out = [];
+  const add = (text, syllableCount) => {
+    if (out.length < MAX_CANDIDATES && !out.some((c) => c.text === text)) {
+      out.push({ text, length: typed.slice(0, syllableCount).reduce((n, t) => n + t.syllable.length, 0) });
+    }
+  };
+  const words = Object.entries(WORDS).map(([key, value]) => [key.split(' '), value.split('/')]);
+  for (let n = typed.length; n >= 2; n--) {
+    for (const [syllables, texts] of words) {
+      // A half-typed syllable only counts as the last one typed.
+      const fits = syllables.length === n && syllables.every((s, i) => (typed[i].complete || i === typed.length - 1)
+        && matches(typed[i], s));
+      if (fits) {
+        texts.forEach((text) => add(text, n));
+      }
+    }
+  }
+  const first = typed[0];
+  for (const [syllable, chars] of Object.entries(SYLLABLES)) {
+    if (matches(first, syllable)) {
+      for (const c of chars) {
+        add(c, 1);
+      }
+    }
+  }
+  return out;
+}
@@ -0,0 +1,305 @@
+/**
+ * Speech recognition backends for VoiceCommands.
+ *
+ * A backend is a recogniser with the surface of the Web Speech API's
+ * SpeechRecognition — `continuous`, `interimResults`, `maxAlternatives`,
+ * `lang`, `start()`, `stop()` and the `onstart` / `onresult` / `onerror` /
+ * `onend` handlers, with results shaped as SpeechRecognitionEvent — so
+ * VoiceCommands drives either one the same way and every result goes
+ * through its handleRecognitionResult.
+ *
+ * Built in:
+ *   web     the browser's SpeechRecognition. On Quest Browser it streams the
+ *           audio to a cloud service, and some builds do not have it at all.
+ *   offline keyword spotting on the headset: the microphone goes through an
+ *           AudioWorklet into a WebAssembly spotter that listens for a fixed
+ *           list of phrases, built from the registered commands
+ *           (commandVocabulary). Nothing leaves the device; commands that
+ *           take free text ("search for …", "open <site>") cannot be heard.
+ *
+ * The spotter itself is not part of this repository: it is a .wasm module
+ * with the small interface in docs/OFFLINE_SPEECH.md, served at
+ * KWS_MODULE_PATH, and public/kws/kws-processor.js runs it. Where it is not
+ * served (offlineSpeechAvailable), `offline` is neither offered nor used.
+ */
+
+import { expandTemplate } from './intentGrammar.js';
+
+/** What the in-VR settings cycle through (VRApp `voiceBackend`). */
+export const SPEECH_BACKENDS = ['web', 'offline'];
+/** The spotter module and its worklet, relative to the app's base URL. */
+export const KWS_MODULE_PATH = 'kws/kws.wasm';
+export const KWS_WORKLET_PATH = 'kws/kws-processor.js';
+/** The rate the spotter is fed at; the AudioContext resamples to it. */
+export const KWS_SAMPLE_RATE = 16000;
+/** Name the worklet registers its processor under. */
+const KWS_PROCESSOR = 'kws-processor';
+
+/**
+ * The phrases a keyword spotter listens for: every command's plain-string
+ * patterns and aliases, and its templates said every way they can be
+ * (intentGrammar expandTemplate). RegExp patterns and templates with a free
+ * text slot have no fixed wording, so they are left out.
+ *
+ * @param {Map<string, {patterns: Array<string|RegExp>, templates: Array}>} commands
+ * @param {Map<string, string>} aliases
+ * @param {boolean} spaced  the grammar's `spaced`
+ * @returns {string[]}
+ */
+export function commandVocabulary(commands, aliases, spaced) {
+  const phrases = new Set();
+  for (const command of commands.values()) {
+    for (const pattern of command.patterns) {
+      if (typeof pattern === 'string') {
+        phrases.add(pattern);
+      }
+    }
+    for (const template of command.templates || []) {
+      for (const phrase of expandTemplate(typeof template === 'string' ? template : template.say, spaced)) {
+        phrases.add(phrase);
+      }
+    }
+  }
+  for (const alias of aliases.keys()) {
+    phrases.add(alias);
+  }
+  return Array.from(phrases);
+}
+
+/**
+ * A SpeechRecognitionEvent-shaped result for the spotter's hypotheses, best
+ * first: one final result whose alternatives are the phrases.
+ *
+ * @param {Array<{transcript: string, confidence: number}>} hypotheses
+ */
+export function spotterResultEvent(hypotheses) {
+  const result = { isFinal: true, length: hypotheses.length };
+  hypotheses.forEach((h, i) => {
+    result[i] = { transcript: h.transcript, confidence: h.confidence };
+  });
+  return { resultIndex: 0, results: { 0: result, length: 1 } };
+}
+
+/** The SpeechRecognition error code for a getUserMedia failure. */
+function microphoneError(error) {
+  const name = error && error.name;
+  return name === 'NotAllowedError' || name === 'SecurityError' ? 'not-allowed' : 'audio-capture';
+}
+
+/**
+ * The browser's SpeechRecognition, or null where there is none.
+ * @param {object} [scope=globalThis]  where to look for it (window)
+ */
+export function createWebRecognizer(scope = globalThis) {
+  const SpeechRecognition = scope && (scope.SpeechRecognition || scope.webkitSpeechRecognition);
+  return SpeechRecognition ? new SpeechRecognition() : null;
+}
+
+/** Whether the browser has what the offline spotter runs on. */
+function canSpotOffline(scope) {
+  return Boolean(scope && scope.AudioWorkletNode && scope.WebAssembly && scope.navigator?.mediaDevices?.getUserMedia);
+}
+
+/**
+ * Whether the offline spotter can run here: the browser can run it and the
+ * module is served. Asked with a HEAD request; compileStreaming only takes
+ * application/wasm, so a server answering with its index page is a no.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.moduleUrl=KWS_MODULE_PATH]
+ * @param {object} [opts.scope=globalThis]
+ * @returns {Promise<boolean>}
+ */
+export async function offlineSpeechAvailable({ moduleUrl = KWS_MODULE_PATH, scope = globalThis } = {}) {
+  if (!canSpotOffline(scope) || !scope.fetch) {
+    return false;
+  }
+  try {
+    const response = await scope.fetch(moduleUrl, { method: 'HEAD' });
+    return Boolean(response && response.ok)
+      && /^application\/wasm\b/i.test((response.headers && response.headers.get('content-type')) || '');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The offline keyword spotter, or null where the browser cannot run it (no
+ * AudioWorklet, WebAssembly or microphone access).
+ *
+ * Errors are reported as SpeechRecognition's are: 'not-allowed' when the
+ * microphone is refused, 'audio-capture' when there is none, and
+ * 'language-not-supported' when the spotter module cannot be loaded — after
+ * which, as with the browser's recogniser, onend fires.
+ *
+ * @param {object} opts
+ * @param {() => string[]} opts.vocabulary  the phrases to listen for, asked
+ *   on every start() so commands registered since are heard
+ * @param {string} [opts.moduleUrl=KWS_MODULE_PATH]
+ * @param {string} [opts.workletUrl=KWS_WORKLET_PATH]
+ * @param {object} [opts.scope=globalThis]  where the browser APIs are (window)
+ */
+export function createOfflineRecognizer({
+  vocabulary,
+  moduleUrl = KWS_MODULE_PATH,
+  workletUrl = KWS_WORKLET_PATH,
+  scope = globalThis
+}) {
+  if (!canSpotOffline(scope)) {
+    return null;
+  }
+  let compiled = null;
+  let session = 0;
+  let audio = null;
+  let phrases = [];
+
+  const recognizer = {
+    id: 'offline',
+    continuous: true,
+    interimResults: false,
+    maxAlternatives: 1,
+    lang: '',
+    onstart: null,
+    onresult: null,
+    onerror: null,
+    onend: null,
+
+    start() {
+      const token = ++session;
+      open(token).catch((error) => {
+        if (token === session) {
+          fail(error.speechError || 'language-not-supported', error);
+        }
+      });
+    },
+
+    stop() {
+      session++;
+      if (audio) {
+        close();
+        fire('onend');
+      }
+    },
+
+    abort() {
+      recognizer.stop();
+    }
+  };
+
+  const fire = (handler, event = {}) => {
+    if (recognizer[handler]) {
+      recognizer[handler](event);
+    }
+  };
+
+  // Compiled once; a failed load is tried again on the next start().
+  const loadModule = () => {
+    if (!compiled) {
+      compiled = scope.WebAssembly.compileStreaming(scope.fetch(moduleUrl)).catch((error) => {
+        compiled = null;
+        throw error;
+      });
+    }
+    return compiled;
+  };
+
+  const open = async (token) => {
+    phrases = vocabulary();
+    const module = await loadModule();
+    let stream;
+    try {
+      stream = await scope.navigator.mediaDevices.getUserMedia({
+        audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true }
+      });
+    } catch (error) {
+      throw Object.assign(new Error(`microphone: ${error && error.name}`), { speechError: microphoneError(error) });
+    }
+    const context = new scope.AudioContext({ sampleRate: KWS_SAMPLE_RATE });
+    audio = { stream, context, node: null };
+    if (token !== session) {
+      close();
+      return;
+    }
+    await context.audioWorklet.addModule(workletUrl);
+    if (token !== session) {
+      close();
+      return;
+    }
+    const node = new scope.AudioWorkletNode(context, KWS_PROCESSOR, {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      // The worklet scope has no TextEncoder, so the phrases go over as the
+      // UTF-8 the module reads: one per line.
+      processorOptions: {
+        module,
+        vocabulary: new TextEncoder().encode(phrases.join('\n')),
+        maxAlternatives: recognizer.maxAlternatives
+      }
+    });
+    node.port.onmessage = (event) => heard(event.data);
+    context.createMediaStreamSource(stream).connect(node);
+    audio.node = node;
+    fire('onstart');
+  };
+
+  // A message from the worklet: {type:'result', hypotheses:[{index, confidence}]}
+  // or {type:'error', message} when the module would not run.
+  const heard = (message) => {
+    if (message.type === 'error') {
+      fail('language-not-supported', new Error(message.message));
+      return;
+    }
+    const hypotheses = message.hypotheses
+      .filter((h) => phrases[h.index] !== undefined)
+      .map((h) => ({ transcript: phrases[h.index], confidence: h.confidence }));
+    if (hypotheses.length) {
+      fire('onresult', spotterResultEvent(hypotheses));
+    }
+    if (!recognizer.continuous) {
+      recognizer.stop();
+    }
+  };
+
+  const fail = (code, error) => {
+    console.error('speechBackends: offline recogniser failed', error);
+    close();
+    session++;
+    fire('onerror', { error: code, message: error ? String(error.message || error) : '' });
+    fire('onend');
+  };
+
+  const close = () => {
+    if (!audio) {
+      return;
+    }
+    if (audio.node) {
+      audio.node.port.onmessage = null;
+      audio.node.disconnect();
+    }
+    audio.stream.getTracks().forEach((track) => track.stop());
+    audio.context.close();
+    audio = null;
+  };
+
+  return recognizer;
+}
+
+/**
+ * The recogniser a setting names (SPEECH_BACKENDS), falling back to the
+ * offline spotter where the browser has no SpeechRecognition. The spotter is
+ * only created when `opts.offlineAvailable` says its module is served
+ * (offlineSpeechAvailable). Null when neither can run here.
+ *
+ * @param {string} id
+ * @param {object} opts  createOfflineRecognizer's options, and
+ * @param {boolean} [opts.offlineAvailable=false]
+ */
+export function createRecognizer(id, opts) {
+  if (id !== 'offline') {
+    const web = createWebRecognizer(opts.scope);
+    if (web) {
+      return web;
+    }
+  }
+  return opts.offlineAvailable ? createOfflineRecognizer(opts) : null;
+}
@@ -0,0 +1,153 @@
+/**
+ * Shape writing for the VR keyboard: the user holds the trigger (or pinches)
+ * on the first letter of a word, sweeps the ray through the others and lets
+ * go on the last, and the path is read as a word.
+ *
+ * Tapping a key per letter with a controller ray is slow — every letter is
+ * an aim, a press and a release. A swipe is one gesture per word. The path
+ * arrives as points in the keyboard's own plane (the same metres
+ * computeKeyLayout places the keys in), and is decoded in two steps:
+ *
+ *   1. The keys it crosses (swipeKeys) rule words out: a word has to start
+ *      on the key the swipe started on, end on the one it ended on, and have
+ *      its letters, in order, among the keys crossed in between.
+ *   2. What is left is ranked by shape: the mean distance between the path
+ *      and the line through the word's key centres, both resampled to the
+ *      same number of points. The word list's order (most common first)
+ *      breaks ties, so "to" comes before "too", whose shape is the same.
+ *
+ * Pure and Three.js-free, for tests; VRJapaneseKeyboard records the path.
+ */
+
+/** Points each path is resampled to before two are compared. */
+const SAMPLES = 32;
+
+const isLetter = (label) => /^[a-z]$/.test(label);
+
+/**
+ * The key whose rectangle contains a point, or null (a gap, or off the
+ * keyboard).
+ *
+ * @param {Array<{label:string, x:number, y:number, w:number, h:number}>} keys
+ *   computeKeyLayout output
+ * @param {number} x
+ * @param {number} y
+ * @returns {object|null}
+ */
+export function keyAt(keys, x, y) {
+  return keys.find((k) => Math.abs(x - k.x) <= k.w / 2 && Math.abs(y - k.y) <= k.h / 2) || null;
+}
+
+/**
+ * The letter keys a path crosses, in order, each once per visit. Between two
+ * recorded points the path is taken as straight and checked every quarter of
+ * a key, so a fast sweep that skipped a key between frames still counts it.
+ *
+ * @param {Array<{x:number, y:number}>} points
+ * @param {object[]} keys  computeKeyLayout output
+ * @returns {string[]}
+ */
+export function swipeKeys(points, keys) {
+  const labels = [];
+  const visit = (x, y) => {
+    const key = keyAt(keys, x, y);
+    if (key && isLetter(key.label) && labels[labels.length - 1] !== key.label) {
+      labels.push(key.label);
+    }
+  };
+  const step = Math.min(...keys.map((k) => Math.min(k.w, k.h))) / 4;
+  points.forEach((p, i) => {
+    const prev = points[i - 1];
+    if (prev) {
+      const n = Math.ceil(Math.hypot(p.x - prev.x, p.y - prev.y) / step);
+      for (let s = 1; s < n; s++) {
+        visit(prev.x + (p.x - prev.x) * s / n, prev.y + (p.y - prev.y) * s / n);
+      }
+    }
+    visit(p.x, p.y);
+  });
+  return labels;
+}
+
+/** `count` points evenly spaced along a polyline. */
+function resample(points, count) {
+  const lengths = [0];
+  for (let i = 1; i < points.length; i++) {
+    lengths.push(lengths[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+  }
+  const total = lengths[lengths.length - 1];
+  if (total === 0) {
+    return Array.from({ length: count }, () => ({ x: points[0].x, y: points[0].y }));
+  }
+  const out = [];
+  let seg = 1;
+  for (let s = 0; s < count; s++) {
+    const at = total * s / (count - 1);
+    while (seg < points.length - 1 && lengths[seg] < at) {
+      seg++;
+    }
+    const span = lengths[seg] - lengths[seg - 1];
+    const f = span ? (at - lengths[seg - 1]) / span : 0;
+    out.push({
+      x: points[seg - 1].x + (points[seg].x - points[seg - 1].x) * f,
+      y: points[seg - 1].y + (points[seg].y - points[seg - 1].y) * f
+    });
+  }
+  return out;
+}
+
+/** A word's letters as a swipe crosses them: a double letter is one visit. */
+function swipeLetters(word) {
+  return Array.from(word).filter((c, i, all) => c !== all[i - 1]);
+}
+
+/** Whether `letters` appear in `path` in order (not necessarily adjacent). */
+function isSubsequence(letters, path) {
+  let at = 0;
+  for (const label of path) {
+    if (label === letters[at]) {
+      at++;
+    }
+  }
+  return at === letters.length;
+}
+
+/**
+ * Decode a swipe into ranked words.
+ *
+ * @param {Array<{x:number, y:number}>} points  the path, in key-layout metres
+ * @param {object[]} keys  computeKeyLayout output for the keyboard swiped on
+ * @param {string[]} words  lower-case, most common first (swipeWords.js)
+ * @param {object} [opts]
+ * @param {number} [opts.max=4]  how many words to return
+ * @returns {Array<{word:string, score:number}>} best first; score is the
+ *   mean distance in metres, so lower is closer. Empty for a path that
+ *   crossed fewer than two letters — that is a tap.
+ */
+export function decodeSwipe(points, keys, words, { max = 4 } = {}) {
+  const path = swipeKeys(points || [], keys);
+  if (path.length < 2) {
+    return [];
+  }
+  const centres = new Map(keys.filter((k) => isLetter(k.label)).map((k) => [k.label, k]));
+  const trace = resample(points, SAMPLES);
+  const first = path[0];
+  const last = path[path.length - 1];
+
+  const ranked = [];
+  words.forEach((word, rank) => {
+    const letters = swipeLetters(word);
+    if (letters.length < 2 || letters[0] !== first || letters[letters.length - 1] !== last
+        || !letters.every((c) => centres.has(c)) || !isSubsequence(letters, path)) {
+      return;
+    }
+    const shape = resample(letters.map((c) => centres.get(c)), SAMPLES);
+    let sum = 0;
+    for (let i = 0; i < SAMPLES; i++) {
+      sum += Math.hypot(trace[i].x - shape[i].x, trace[i].y - shape[i].y);
+    }
+    ranked.push({ word, score: sum / SAMPLES, rank });
+  });
+  ranked.sort((a, b) => a.score - b.score || a.rank - b.rank);
+  return ranked.slice(0, max).map(({ word, score }) => ({ word, score }));
+}
@@ -0,0 +1,48 @@
+/**
+ * The words swipe typing (swipeDecoder.js) can produce, most common first.
+ *
+ * A starter list, like pinyinTable.js: common English words plus the site
+ * names and web words typed into an address bar or a search box, so that a
+ * swipe gives something useful offline. Lower case, letters only — the
+ * keyboard has one key per letter and the decoder reads nothing else. A word
+ * that is not here is still typed by tapping.
+ */
+
+export const SWIPE_WORDS = (
+  'the to and of in is it you that for on was with he as this be at are by ' +
+  'have from or one had not but what all were when we there can an your ' +
+  'which their said if do will each about how up out them then she many ' +
+  'some so these would other into has more her two like him see time could ' +
+  'no make than first been its who now people my made over did down only ' +
+  'way find use may water long little very after words called just where ' +
+  'most know get through back much go good new write our me man too any day ' +
+  'same right look think also around another came come work three word must ' +
+  'because does part even place well such here take why things help put ' +
+  'years different away again off went old number great tell men say small ' +
+  'every found still between name should home big give air line set own ' +
+  'under read last never us left end along while might next sound below saw ' +
+  'something thought both few those always looked show large often together ' +
+  'asked house world going want school important until form food keep ' +
+  'children feet land side without boy once animals life enough took ' +
+  'sometimes four head above kind began almost live page got earth need far ' +
+  'hand high year mother light parts country father let night following ' +
+  'picture being study second eyes soon times story boys since white days ' +
+  'ever paper hard near sentence better best across during today others ' +
+  'however sure means knew try told young miles sun ways thing whole hear ' +
+  'example heard several change answer room sea against top turned learn ' +
+  'point city play toward five using himself usually money seen car morning ' +
+  'ok yes hello hi thanks thank please sorry love nice cool great fine ' +
+  'open close stop start search find news weather music video videos movie ' +
+  'movies game games map maps mail email photo photos shop shopping buy ' +
+  'price free online login sign account settings download watch listen ' +
+  'chat message call phone book books recipe recipes sports score live ' +
+  'translate dictionary time date tomorrow yesterday week month weekend ' +
+  'restaurant hotel flight flights train bus ticket tickets travel japan ' +
+  'tokyo osaka kyoto korea seoul china beijing shanghai english japanese ' +
+  'korean chinese www com org net html http https index blog wiki ' +
+  'google youtube wikipedia amazon github reddit twitter facebook ' +
+  'instagram netflix twitch discord yahoo bing duckduckgo gmail outlook ' +
+  'spotify linkedin stackoverflow openai apple microsoft android iphone ' +
+  'quest meta oculus vr xr webxr browser tab tabs window bookmark bookmarks ' +
+  'history home back forward reload refresh'
+).split(' ').filter((word, i, all) => all.indexOf(word) === i);
@@ -0,0 +1,461 @@
+/**
+ * What VoiceCommands listens for and says back, per locale.
+ *
+ * VoiceCommands owns what each command does; this table owns how it is said.
+ * Each locale has a wake word, whether its words are written with spaces
+ * (`spaced`, for intentGrammar.js), the messages every command shares, and
+ * per command:
+ *
+ *   patterns      whole utterances (strings, matched lower-cased) and RegExps,
+ *                 tried in the command's registration order. A RegExp whose
+ *                 command takes an argument (search, search-history)
+ *                 captures it as group 1.
+ *   templates     intent templates with typed slots (intentGrammar.js), for
+ *                 commands that take a value — which tab, how far, what name.
+ *                 `{say, set}` also fixes slot values for that phrase.
+ *   aliases       phrases matched anywhere in an utterance no pattern claimed.
+ *   confirmation  said when the command runs. Commands whose outcome varies
+ *                 (back at the start of history) have `replies` instead, and
+ *                 say one of them themselves.
+ *   example       read out by 'help', and by the "did you mean" prompt, when
+ *                 no pattern is a literal phrase to quote.
+ *
+ * A locale's `dictation` holds what dictation (dictation.js) listens for
+ * instead of commands: the phrases that confirm or abandon the field, and
+ * spoken punctuation.
+ *
+ * The Japanese grammar also accepts the English phrases it always has for
+ * the browser commands; the English one is English only.
+ *
+ * Pure data, for tests; a locale is added by adding a table with the same
+ * command names.
+ */
+
+const JA_JP = {
+  wakeWord: 'キューブラウザ', // "Qui Browser"
+  spaced: false,
+  messages: {
+    listening: 'はい、聞いています',
+    failed: 'コマンドの実行に失敗しました',
+    notRecognized: 'コマンドが認識できませんでした',
+    // '{count}' is replaced with the number of phrases that follow.
+    help: '使用可能なコマンドは、{count}個です。',
+    separator: '、',
+    // Two commands were equally close to what was heard: '{choices}' is their
+    // phrases joined with `or`.
+    which: '{choices}のどれですか？',
+    or: '、'
+  },
+  dictation: {
+    done: ['完了', '確定', '入力終了'],
+    cancel: ['キャンセル', '取り消し', '入力中止'],
+    punctuation: [
+      { say: '句点', text: '。', spacing: 'after' },
+      { say: '読点', text: '、', spacing: 'after' },
+      { say: '疑問符', text: '？', spacing: 'after' },
+      { say: '感嘆符', text: '！', spacing: 'after' },
+      { say: 'ドットコム', text: '.com', spacing: 'none' },
+      { say: 'ドット', text: '.', spacing: 'none' },
+      { say: 'スラッシュ', text: '/', spacing: 'none' },
+      { say: 'コロン', text: ':', spacing: 'none' },
+      { say: 'アットマーク', text: '@', spacing: 'none' },
+      { say: 'ハイフン', text: '-', spacing: 'none' },
+      { say: 'アンダーバー', text: '_', spacing: 'none' }
+    ]
+  },
+  commands: {
+    navigate: {
+      patterns: ['進む', '次へ', 'すすむ', /進[むめ]/],
+      replies: { moved: '進みます', none: '次のページはありません' }
+    },
+    back: {
+      patterns: ['戻る', '前へ', 'もどる', /戻[るれ]/],
+      replies: { moved: '戻ります', none: '前のページはありません' }
+    },
+    refresh: {
+      patterns: ['更新', '再読み込み', 'リフレッシュ', 'こうしん'],
+      replies: { reloaded: '更新します', none: '開いているページがありません' }
+    },
+    search: {
+      patterns: [/検索[：:]\s*(.+)/, /さが[すせ][：:]\s*(.+)/, /サーチ[：:]\s*(.+)/],
+      confirmation: '検索します',
+      example: '検索：てんき'
+    },
+    'vr-enter': {
+      patterns: ['VRモード', 'VR開始', 'ブイアール', 'バーチャルリアリティ'],
+      confirmation: 'VRモードを開始します'
+    },
+    'vr-exit': {
+      patterns: ['VR終了', 'VRやめる', '通常モード'],
+      confirmation: 'VRモードを終了します'
+    },
+    'volume-up': {
+      patterns: ['音量上げる', '音量アップ', 'ボリュームアップ'],
+      confirmation: '音量を上げます'
+    },
+    'volume-down': {
+      patterns: ['音量下げる', '音量ダウン', 'ボリュームダウン'],
+      confirmation: '音量を下げます'
+    },
+    'ime-toggle': {
+      patterns: ['日本語入力', '日本語モード', '入力切り替え'],
+      confirmation: '日本語入力モードです'
+    },
+    help: {
+      patterns: ['ヘルプ', '助けて', '使い方', '何ができる'],
+      aliases: ['ヘルプ']
+    },
+    stop: {
+      patterns: ['停止', 'ストップ', 'やめて', '聞くな'],
+      confirmation: '音声認識を停止します'
+    },
+    'top-sites': {
+      patterns: ['トップサイト', 'よく使うサイト', 'よくみるサイト', 'トップ', /トップ?サイト/],
+      confirmation: 'よく使うサイトを開きます'
+    },
+    'clear-history': {
+      patterns: [
+        '履歴を消去', '履歴を削除', '履歴クリア', '履歴を消す', 'りれきを消去',
+        /履歴を?(消去|削除|クリア|消す)/,
+        /clear\s+history/i, /delete\s+history/i
+      ],
+      confirmation: '履歴を消去します',
+      example: '履歴を消去'
+    },
+    'reopen-tab': {
+      patterns: [
+        '閉じたタブを開く', '閉じたタブを戻す', 'タブを復元', /閉じたタブを?(開|戻|復元)/,
+        /reopen\s+(closed\s+)?tab/i
+      ],
+      replies: { reopened: '閉じたタブを開きます', none: '閉じたタブはありません' },
+      example: '閉じたタブを開く'
+    },
+    'save-for-later': {
+      patterns: [
+        /^(あとで|後で)読む(に保存)?$/,
+        /^save\s+(this\s+)?(page\s+)?for\s+later$/i, /^read\s+(it\s+)?later$/i
+      ],
+      example: 'あとで読む'
+    },
+    'search-history': {
+      patterns: [
+        /^履歴(?:から|で)\s*(.+?)\s*を?(?:検索|探す|さがす)$/,
+        /^search\s+(?:my\s+)?history\s+(?:for\s+)?(.+)$/i,
+        /^find\s+(.+?)\s+in\s+(?:my\s+)?history$/i
+      ],
+      example: '履歴から東京を検索'
+    },
+    'scroll-down': {
+      patterns: ['下にスクロール', '下', 'した', 'スクロールダウン']
+    },
+    'scroll-up': {
+      patterns: ['上にスクロール', '上', 'うえ', 'スクロールアップ']
+    },
+    bookmarks: {
+      patterns: ['ブックマーク', 'お気に入り', '履歴'],
+      confirmation: 'ブックマークパネルを開きます'
+    },
+    keyboard: {
+      patterns: ['キーボード', 'キーボードを開く', 'キーボードを閉じる'],
+      confirmation: 'キーボードを切り替えます'
+    },
+    dictation: {
+      patterns: ['音声入力', '音声で入力', 'ディクテーション'],
+      replies: {
+        start: '音声入力です。終わったら「完了」、やめるときは「キャンセル」と言ってください',
+        none: '入力欄が開いていません',
+        offline: '音声入力にはオンラインの音声認識が必要です'
+      }
+    },
+    'read-aloud': {
+      patterns: [],
+      templates: [
+        { say: '(読み上げ|音読) [(して|開始|を 開始|を 始める)]', set: { op: 'start' } },
+        { say: '(この ページ|記事) を (読み上げ|読み上げて|音読 して)', set: { op: 'start' } },
+        { say: '[読み上げ を] 一時停止 [して]', set: { op: 'pause' } },
+        { say: '[読み上げ を] 再開 [して]', set: { op: 'resume' } },
+        { say: '続き を 読んで', set: { op: 'resume' } },
+        { say: '[読み上げ を] スキップ [して]', set: { op: 'skip' } },
+        { say: '次 の 文 [へ]', set: { op: 'skip' } },
+        { say: '読み上げ を (停止|止めて|やめて|終了)', set: { op: 'stop' } },
+        { say: '読み上げ 終了', set: { op: 'stop' } }
+      ],
+      replies: { none: 'このページには読み上げる文章がありません', idle: '読み上げ中ではありません' },
+      example: 'このページを読み上げて'
+    },
+    'switch-tab': {
+      patterns: [],
+      templates: [
+        '{n:ordinal} の タブ [(を 開く|に 切り替え|に 切り替える|に 移動|へ)]',
+        'タブ {n:number} [(を 開く|に 切り替え|に 切り替える|に 移動|へ)]'
+      ],
+      replies: { done: 'タブを切り替えます', none: 'そのタブはありません' },
+      example: '2番目のタブを開く'
+    },
+    'close-tab': {
+      patterns: [],
+      templates: ['{n:ordinal} の タブ を 閉じる', 'タブ {n:number} を 閉じる', '[この] タブ を 閉じる'],
+      replies: { done: 'タブを閉じます', none: 'そのタブはありません' },
+      example: '2番目のタブを閉じる'
+    },
+    scroll: {
+      patterns: [],
+      templates: [
+        { say: '下 に (大きく|たくさん) スクロール', set: { direction: 1, n: 3, unit: 'page' } },
+        { say: '下 に 少し スクロール', set: { direction: 1, n: 3, unit: 'line' } },
+        { say: '下 に {n:number} 行 スクロール', set: { direction: 1, unit: 'line' } },
+        { say: '下 に {n:number} ページ スクロール', set: { direction: 1, unit: 'page' } },
+        { say: '上 に (大きく|たくさん) スクロール', set: { direction: -1, n: 3, unit: 'page' } },
+        { say: '上 に 少し スクロール', set: { direction: -1, n: 3, unit: 'line' } },
+        { say: '上 に {n:number} 行 スクロール', set: { direction: -1, unit: 'line' } },
+        { say: '上 に {n:number} ページ スクロール', set: { direction: -1, unit: 'page' } }
+      ],
+      example: '下に大きくスクロール'
+    },
+    'bookmark-page': {
+      patterns: [],
+      templates: [
+        'ブックマーク に 追加',
+        '(この ページ|ここ) を ブックマーク [する]',
+        'この ページ を {name:text} と して ブックマーク [する]',
+        '{name:text} に ブックマーク [する]'
+      ],
+      replies: { done: 'ブックマークしました', none: 'ブックマークするページがありません' },
+      example: 'このページをレシピとしてブックマーク'
+    },
+    'go-to': {
+      patterns: [
+        /^(.+)(?:を開く?|に(?:行く|移動(?:する)?))/,
+        /^(?:open|go to|navigate to)\s+(.+)/i
+      ],
+      confirmation: '開きます',
+      example: 'githubを開く'
+    }
+  }
+};
+
+const EN_US = {
+  wakeWord: 'qui browser',
+  spaced: true,
+  messages: {
+    listening: 'Yes, I\'m listening',
+    failed: 'That command failed',
+    notRecognized: 'Sorry, I didn\'t recognize that command',
+    help: 'There are {count} commands: ',
+    separator: ', ',
+    which: 'Did you mean {choices}?',
+    or: ' or '
+  },
+  dictation: {
+    done: ['done', 'enter', 'finished'],
+    cancel: ['cancel', 'never mind'],
+    punctuation: [
+      { say: 'period', text: '.', spacing: 'after' },
+      { say: 'full stop', text: '.', spacing: 'after' },
+      { say: 'comma', text: ',', spacing: 'after' },
+      { say: 'question mark', text: '?', spacing: 'after' },
+      { say: 'exclamation mark', text: '!', spacing: 'after' },
+      { say: 'dot com', text: '.com', spacing: 'none' },
+      { say: 'dot', text: '.', spacing: 'none' },
+      { say: 'slash', text: '/', spacing: 'none' },
+      { say: 'colon', text: ':', spacing: 'none' },
+      { say: 'at sign', text: '@', spacing: 'none' },
+      { say: 'dash', text: '-', spacing: 'none' },
+      { say: 'underscore', text: '_', spacing: 'none' }
+    ]
+  },
+  commands: {
+    navigate: {
+      patterns: ['forward', 'go forward', 'next page', /^go\s+forward\b/i],
+      replies: { moved: 'Going forward', none: 'There is no next page' }
+    },
+    back: {
+      patterns: ['back', 'go back', 'previous page', /^go\s+back\b/i],
+      replies: { moved: 'Going back', none: 'There is no previous page' }
+    },
+    refresh: {
+      patterns: ['refresh', 'reload', 'refresh page', 'reload page', /^(?:refresh|reload)\s+(?:the\s+|this\s+)?page$/i],
+      replies: { reloaded: 'Reloading', none: 'No page is open' }
+    },
+    search: {
+      // Not "search my history …", which is search-history's.
+      patterns: [/^search\s+(?!(?:my\s+)?history\b)(?:for\s+)?(.+)/i, /^look\s+up\s+(.+)/i],
+      confirmation: 'Searching',
+      example: 'search for weather'
+    },
+    'vr-enter': {
+      patterns: ['enter vr', 'start vr', 'vr mode'],
+      confirmation: 'Entering VR mode'
+    },
+    'vr-exit': {
+      patterns: ['exit vr', 'leave vr', 'stop vr'],
+      confirmation: 'Leaving VR mode'
+    },
+    'volume-up': {
+      patterns: ['volume up', 'louder', 'turn it up'],
+      confirmation: 'Turning the volume up'
+    },
+    'volume-down': {
+      patterns: ['volume down', 'quieter', 'turn it down'],
+      confirmation: 'Turning the volume down'
+    },
+    'ime-toggle': {
+      patterns: ['japanese input', 'japanese mode', 'switch input'],
+      confirmation: 'Japanese input mode'
+    },
+    help: {
+      patterns: ['help', 'what can i say', 'commands'],
+      aliases: ['what can i say', 'what can you do']
+    },
+    stop: {
+      patterns: ['stop listening', 'stop', 'be quiet'],
+      confirmation: 'Voice commands stopped'
+    },
+    'top-sites': {
+      patterns: ['top sites', 'most visited', 'open top sites', /^(?:my\s+)?most\s+visited\s+sites?$/i],
+      confirmation: 'Opening your most visited site'
+    },
+    'clear-history': {
+      patterns: [
+        'clear history', 'delete history',
+        /^(?:clear|delete|erase)\s+(?:my\s+|the\s+)?(?:browsing\s+)?history$/i
+      ],
+      confirmation: 'Clearing history',
+      example: 'clear history'
+    },
+    'reopen-tab': {
+      patterns: [
+        'reopen tab', 'reopen closed tab', 'undo close tab',
+        /^reopen\s+(?:the\s+)?(?:last\s+)?(?:closed\s+)?tab$/i
+      ],
+      replies: { reopened: 'Reopening the closed tab', none: 'There are no closed tabs' },
+      example: 'reopen closed tab'
+    },
+    'save-for-later': {
+      patterns: [/^save\s+(this\s+)?(page\s+)?for\s+later$/i, /^read\s+(it\s+)?later$/i],
+      example: 'save for later'
+    },
+    'search-history': {
+      patterns: [
+        /^search\s+(?:my\s+)?history\s+(?:for\s+)?(.+)$/i,
+        /^find\s+(.+?)\s+in\s+(?:my\s+)?history$/i
+      ],
+      example: 'search history for tokyo'
+    },
+    'scroll-down': {
+      patterns: ['scroll down', 'down', 'page down']
+    },
+    'scroll-up': {
+      patterns: ['scroll up', 'up', 'page up']
+    },
+    bookmarks: {
+      patterns: ['bookmarks', 'favorites', 'history', 'show bookmarks', 'open bookmarks'],
+      confirmation: 'Opening the bookmarks panel'
+    },
+    keyboard: {
+      patterns: ['keyboard', 'open keyboard', 'close keyboard', 'show keyboard', 'hide keyboard'],
+      confirmation: 'Toggling the keyboard'
+    },
+    dictation: {
+      patterns: ['dictate', 'dictation', 'start dictation', 'type by voice'],
+      replies: {
+        start: 'Dictating. Say done when you are finished, or cancel',
+        none: 'There is no text field open',
+        offline: 'Dictation needs the online recogniser'
+      }
+    },
+    'read-aloud': {
+      patterns: [],
+      templates: [
+        { say: '(read aloud|read to me|start reading)', set: { op: 'start' } },
+        { say: 'read [this] (page|article) [aloud]', set: { op: 'start' } },
+        { say: 'pause [reading]', set: { op: 'pause' } },
+        { say: '(resume|continue) [reading]', set: { op: 'resume' } },
+        { say: 'skip [this] [sentence]', set: { op: 'skip' } },
+        { say: 'next sentence', set: { op: 'skip' } },
+        { say: 'stop reading [aloud]', set: { op: 'stop' } }
+      ],
+      replies: { none: 'There is nothing to read on this page', idle: 'Nothing is being read' },
+      example: 'read this page aloud'
+    },
+    'switch-tab': {
+      patterns: [],
+      templates: [
+        '[(go to|open|switch to|show)] [the] {n:ordinal} tab',
+        '[(go to|open|switch to|show)] tab {n:number}'
+      ],
+      replies: { done: 'Switching tabs', none: 'There is no such tab' },
+      example: 'open the second tab'
+    },
+    'close-tab': {
+      patterns: [],
+      templates: ['close [the] {n:ordinal} tab', 'close tab {n:number}', 'close [this] tab'],
+      replies: { done: 'Closing the tab', none: 'There is no such tab' },
+      example: 'close the second tab'
+    },
+    scroll: {
+      patterns: [],
+      templates: [
+        { say: 'scroll down a lot', set: { direction: 1, n: 3, unit: 'page' } },
+        { say: 'scroll down a (little|bit)', set: { direction: 1, n: 3, unit: 'line' } },
+        { say: 'scroll down {n:number} (line|lines)', set: { direction: 1, unit: 'line' } },
+        { say: 'scroll down {n:number} (page|pages)', set: { direction: 1, unit: 'page' } },
+        { say: 'scroll up a lot', set: { direction: -1, n: 3, unit: 'page' } },
+        { say: 'scroll up a (little|bit)', set: { direction: -1, n: 3, unit: 'line' } },
+        { say: 'scroll up {n:number} (line|lines)', set: { direction: -1, unit: 'line' } },
+        { say: 'scroll up {n:number} (page|pages)', set: { direction: -1, unit: 'page' } }
+      ],
+      example: 'scroll down a lot'
+    },
+    'bookmark-page': {
+      patterns: [],
+      templates: [
+        'bookmark [this] [page]',
+        'bookmark [this] [page] as {name:text}',
+        'add [a] bookmark'
+      ],
+      replies: { done: 'Bookmarked', none: 'There is no page to bookmark' },
+      example: 'bookmark this page as recipes'
+    },
+    'go-to': {
+      patterns: [],
+      templates: ['(open|go to|navigate to|take me to) {site:site}'],
+      confirmation: 'Opening',
+      example: 'open github'
+    }
+  }
+};
+
+/** Grammars by BCP 47 locale, as SpeechRecognition.lang takes them. */
+export const VOICE_GRAMMARS = { 'ja-JP': JA_JP, 'en-US': EN_US };
+
+/** The locale used when a language has no grammar of its own. */
+export const FALLBACK_LOCALE = 'en-US';
+
+/**
+ * The grammar locale for a language tag: an exact match, else the first
+ * locale of the same language ('ja' and i18n's getLanguage() values, or
+ * 'en-GB'), else FALLBACK_LOCALE.
+ *
+ * @param {string} [lang]
+ * @returns {string}
+ */
+export function voiceLocale(lang) {
+  const tag = String(lang || '');
+  if (Object.prototype.hasOwnProperty.call(VOICE_GRAMMARS, tag)) {
+    return tag;
+  }
+  const primary = tag.split('-')[0].toLowerCase();
+  return Object.keys(VOICE_GRAMMARS).find((locale) => locale.split('-')[0] === primary)
+    || FALLBACK_LOCALE;
+}
+
+/**
+ * The grammar for a language tag (see voiceLocale).
+ *
+ * @param {string} [lang]
+ * @returns {{wakeWord:string, messages:object, commands:object}}
+ */
+export function voiceGrammar(lang) {
+  return VOICE_GRAMMARS[voiceLocale(lang)];
+}
@@ -306,15 +306,6 @@ export class HandTracking {
       return 'open';
     }
 
-    // Fist (all fingers curled)
-    if (!this.isFingerExtended(joints, 'index-finger') &&
-        !this.isFingerExtended(joints, 'middle-finger') &&
-        !this.isFingerExtended(joints, 'ring-finger') &&
-        !this.isFingerExtended(joints, 'pinky-finger')) {
-      this.stats.gesturesRecognized++;
-      return 'fist';
-    }
-
     // Peace sign (index and middle extended)
     if (this.isFingerExtended(joints, 'index-finger') &&
         this.isFingerExtended(joints, 'middle-finger') &&
@@ -324,12 +315,22 @@ export class HandTracking {
       return 'peace';
     }
 
-    // Thumbs up
+    // Thumbs up — before fist: the four fingers are curled in both, and
+    // checked after it a thumbs-up was always read as a fist.
     if (this.isThumbUp(joints)) {
       this.stats.gesturesRecognized++;
       return 'thumbsup';
     }
 
+    // Fist (all fingers curled)
+    if (!this.isFingerExtended(joints, 'index-finger') &&
+        !this.isFingerExtended(joints, 'middle-finger') &&
+        !this.isFingerExtended(joints, 'ring-finger') &&
+        !this.isFingerExtended(joints, 'pinky-finger')) {
+      this.stats.gesturesRecognized++;
+      return 'fist';
+    }
+
     return 'none';
   }
 
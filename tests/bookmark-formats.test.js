@@ -0,0 +1,151 @@
+/**
+ * Bookmark file formats (bookmarkFormats.js): Netscape HTML and JSON backup.
+ *
+ * The sample below follows what Chrome and Firefox actually write — unclosed
+ * <DT> and <p>, upper-case tags, dates in seconds, Firefox's TAGS attribute
+ * and its `place:` smart folders — because that is what a user will import.
+ */
+
+const {
+  BACKUP_FORMAT, BACKUP_VERSION,
+  parseNetscapeBookmarks, serializeNetscapeBookmarks, buildBackup, parseBackup, detectBookmarkFormat
+} = require('../src/utils/bookmarkFormats.js');
+
+const SAMPLE = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<!-- This is an automatically generated file. -->
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 ADD_DATE="1700000000" PERSONAL_TOOLBAR_FOLDER="true">Bookmarks bar</H3>
+    <DL><p>
+        <DT><A HREF="https://news.example/" ADD_DATE="1700000100" TAGS="news,daily">News &amp; Views</A>
+        <DT><H3>Dev</H3>
+        <DL><p>
+            <DT><A HREF="https://mdn.example/docs?a=1&amp;b=2">MDN</A>
+            <DT><A HREF="javascript:alert(document.title)">Bookmarklet</A>
+        </DL><p>
+    </DL><p>
+    <DT><A HREF="place:sort=8&maxResults=10">Most Visited</A>
+    <DT><A HREF="https://jp.example/">日本語のページ</A>
+</DL><p>
+`;
+
+describe('parseNetscapeBookmarks', () => {
+  test('reads nested folders, titles, dates and tags', () => {
+    const { items } = parseNetscapeBookmarks(SAMPLE);
+    expect(items).toHaveLength(2);
+    const [bar, jp] = items;
+    expect(bar).toMatchObject({ type: 'folder', name: 'Bookmarks bar', addedAt: 1700000000000 });
+    expect(bar.items[0]).toEqual({
+      type: 'bookmark', url: 'https://news.example/', title: 'News & Views',
+      addedAt: 1700000100000, tags: ['news', 'daily']
+    });
+    expect(bar.items[1]).toMatchObject({ type: 'folder', name: 'Dev' });
+    expect(bar.items[1].items.map((b) => b.url)).toEqual(['https://mdn.example/docs?a=1&b=2']);
+    expect(jp).toMatchObject({ url: 'https://jp.example/', title: '日本語のページ', addedAt: 0, tags: [] });
+  });
+
+  test('bookmarklets and place: queries are skipped, not stored', () => {
+    expect(parseNetscapeBookmarks(SAMPLE).skipped).toBe(2);
+  });
+
+  test('an untitled bookmark is titled by its URL', () => {
+    const { items } = parseNetscapeBookmarks('<DL><DT><A HREF="https://a.example/"></A></DL>');
+    expect(items[0].title).toBe('https://a.example/');
+  });
+
+  test('millisecond dates are not multiplied again', () => {
+    const { items } = parseNetscapeBookmarks('<DL><DT><A HREF="https://a.example/" ADD_DATE="1700000000000">A</A></DL>');
+    expect(items[0].addedAt).toBe(1700000000000);
+  });
+
+  test('a stray </DL> does not unbalance the tree', () => {
+    const { items } = parseNetscapeBookmarks('<DL></DL></DL><DT><A HREF="https://a.example/">A</A>');
+    expect(items.map((b) => b.url)).toEqual(['https://a.example/']);
+  });
+
+  test('text that is not a bookmark file is null', () => {
+    expect(parseNetscapeBookmarks('<html><body><a href="https://a.example/">A</a></body></html>')).toBeNull();
+    expect(parseNetscapeBookmarks('')).toBeNull();
+  });
+});
+
+describe('serializeNetscapeBookmarks', () => {
+  const tree = {
+    items: [
+      { type: 'folder', name: 'R&D <lab>', addedAt: 1700000000000, items: [
+        { type: 'bookmark', url: 'https://a.example/?x=1&y=2', title: 'A "quoted" title', addedAt: 0, tags: ['x', 'y'] }
+      ] },
+      { type: 'bookmark', url: 'https://b.example/', title: 'B', addedAt: 1700000001500, tags: [] }
+    ]
+  };
+
+  test('writes the header and structure browsers expect', () => {
+    const html = serializeNetscapeBookmarks(tree);
+    expect(html.startsWith('<!DOCTYPE NETSCAPE-Bookmark-file-1>\n')).toBe(true);
+    expect(html).toContain('<DT><H3 ADD_DATE="1700000000">R&amp;D &lt;lab&gt;</H3>');
+    expect(html).toContain('TAGS="x,y">A &quot;quoted&quot; title</A>');
+    expect(html).toContain('<A HREF="https://b.example/" ADD_DATE="1700000001">B</A>');
+  });
+
+  test('round-trips through the parser', () => {
+    const { items, skipped } = parseNetscapeBookmarks(serializeNetscapeBookmarks(tree));
+    expect(skipped).toBe(0);
+    expect(items[0].name).toBe('R&D <lab>');
+    expect(items[0].items[0]).toEqual(tree.items[0].items[0]);
+    expect(items[1]).toEqual({ ...tree.items[1], addedAt: 1700000001000 });
+  });
+});
+
+describe('JSON backup', () => {
+  const tree = {
+    items: [
+      { type: 'folder', name: 'F', addedAt: 1700000000000, items: [
+        { type: 'bookmark', url: 'https://a.example/', title: 'A', addedAt: 1700000005000, tags: ['t'] }
+      ] }
+    ]
+  };
+  const history = [{ url: 'https://h.example/', title: 'H', visitedAt: 1700000000000, visits: 4, extra: true }];
+
+  test('buildBackup records format, version and time', () => {
+    const doc = buildBackup(tree, history, 123);
+    expect(doc).toMatchObject({ format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: 123 });
+    expect(doc.history[0]).toEqual({ url: 'https://h.example/', title: 'H', visitedAt: 1700000000000, visits: 4 });
+  });
+
+  test('round-trips through JSON text', () => {
+    const parsed = parseBackup(JSON.stringify(buildBackup(tree, history, 1)));
+    expect(parsed.items[0].items[0]).toEqual(tree.items[0].items[0]);
+    expect(parsed.history[0].visits).toBe(4);
+    expect(parsed.skipped).toBe(0);
+  });
+
+  test('another app\'s JSON, a newer version, or bad JSON is refused', () => {
+    expect(parseBackup('{"bookmarks":[]}')).toBeNull();
+    expect(parseBackup({ format: BACKUP_FORMAT, version: BACKUP_VERSION + 1, bookmarks: [] })).toBeNull();
+    expect(parseBackup('{"format":')).toBeNull();
+  });
+
+  test('malformed entries are dropped and counted', () => {
+    const parsed = parseBackup({
+      format: BACKUP_FORMAT, version: BACKUP_VERSION,
+      bookmarks: [null, { url: 'javascript:x' }, { url: 'https://a.example/', tags: ['ok', 3] }],
+      history: [{ url: 'file:///etc/passwd' }, { url: 'https://h.example/', visits: -2 }]
+    });
+    expect(parsed.items).toEqual([{ type: 'bookmark', url: 'https://a.example/', title: 'https://a.example/', addedAt: 0, tags: ['ok'] }]);
+    expect(parsed.history).toEqual([{ url: 'https://h.example/', title: 'https://h.example/', visitedAt: 0, visits: 1 }]);
+    expect(parsed.skipped).toBe(2);
+  });
+});
+
+describe('detectBookmarkFormat', () => {
+  test.each([
+    ['a Netscape file', SAMPLE, 'netscape'],
+    ['a backup', JSON.stringify(buildBackup({ items: [] }, [], 1)), 'backup'],
+    ['other JSON', '{"a":1}', null],
+    ['plain text', 'https://a.example/', null]
+  ])('%s', (_name, content, format) => {
+    expect(detectBookmarkFormat(content)).toBe(format);
+  });
+});
@@ -4,7 +4,8 @@
 const {
   PANEL_PX_W, PANEL_PX_H, HEADER_H, ROW_H, VISIBLE_ROWS, DELETE_ZONE_W,
   SCROLL_UP_X0, SCROLL_UP_X1, SCROLL_DN_X0, SCROLL_DN_X1,
-  hitTest, uvToPixels, truncate
+  hitTest, uvToPixels, truncate,
+  BREADCRUMB_H, MIN_CRUMB_W, MAX_CRUMB_W, visibleRows, breadcrumbLayout
 } = require('../src/vr/browser/bookmarkLayout.js');
 
 describe('hitTest', () => {
@@ -30,6 +31,11 @@ describe('hitTest', () => {
     expect(a).toEqual({ type: 'tab', tab: 'history' });
   });
 
+  test('reading-list tab', () => {
+    const a = hitTest(400, HEADER_H / 2, 5);
+    expect(a).toEqual({ type: 'tab', tab: 'reading' });
+  });
+
   test('gap between tabs and close is none', () => {
     const a = hitTest(600, HEADER_H / 2, 5);
     expect(a.type).toBe('none');
@@ -169,3 +175,62 @@ describe('truncate', () => {
     expect(truncate('a日本語テキスト', 5)).toBe('a日本語…');
   });
 });
+
+describe('breadcrumbLayout', () => {
+  test('lays crumbs out left to right, each at least MIN_CRUMB_W wide', () => {
+    const crumbs = breadcrumbLayout(['Bookmarks', 'W', 'Docs']);
+    expect(crumbs.map(c => c.depth)).toEqual([0, 1, 2]);
+    for (const c of crumbs) {
+      expect(c.x1 - c.x0).toBeGreaterThanOrEqual(MIN_CRUMB_W);
+    }
+    expect(crumbs[1].x0).toBeGreaterThan(crumbs[0].x1);
+  });
+
+  test('a long name is truncated to MAX_CRUMB_W', () => {
+    const [, crumb] = breadcrumbLayout(['Bookmarks', 'とても長いフォルダの名前'.repeat(4)]);
+    expect(crumb.x1 - crumb.x0).toBeLessThanOrEqual(MAX_CRUMB_W);
+    expect(crumb.label.endsWith('…')).toBe(true);
+  });
+
+  test('a deep path keeps the root and the current folder, collapsing the middle', () => {
+    const labels = ['Bookmarks', ...Array.from({ length: 8 }, (_, i) => `Folder number ${i + 1}`)];
+    const crumbs = breadcrumbLayout(labels);
+    expect(crumbs[0].depth).toBe(0);
+    expect(crumbs[crumbs.length - 1]).toMatchObject({ depth: 8, label: 'Folder number 8' });
+    const ellipsis = crumbs[1];
+    expect(ellipsis.label).toBe('…');
+    // The "…" opens the deepest folder it hides.
+    expect(ellipsis.depth).toBe(crumbs[2].depth - 1);
+    expect(crumbs[crumbs.length - 1].x1).toBeLessThanOrEqual(PANEL_PX_W);
+  });
+});
+
+describe('hitTest — breadcrumb and folder rows', () => {
+  const crumbs = breadcrumbLayout(['Bookmarks', 'Work']);
+
+  test('the breadcrumb band sits below the header and resolves to a depth', () => {
+    const y = HEADER_H + BREADCRUMB_H / 2;
+    expect(hitTest(crumbs[0].x0 + 5, y, 3, { crumbs })).toEqual({ type: 'crumb', depth: 0 });
+    expect(hitTest(crumbs[1].x0 + 5, y, 3, { crumbs })).toEqual({ type: 'crumb', depth: 1 });
+    expect(hitTest(PANEL_PX_W - 5, y, 3, { crumbs }).type).toBe('none');
+  });
+
+  test('with a breadcrumb the rows start below it and one fewer fits', () => {
+    expect(hitTest(100, HEADER_H + BREADCRUMB_H + 10, 3, { crumbs })).toEqual({ type: 'row', index: 0 });
+    expect(visibleRows(true)).toBe(VISIBLE_ROWS - 1);
+    const last = HEADER_H + BREADCRUMB_H + (visibleRows(true) - 1) * ROW_H + 10;
+    expect(hitTest(100, last, 50, { crumbs }).type).toBe('row');
+    expect(hitTest(100, last + ROW_H, 50, { crumbs }).type).toBe('none');
+  });
+
+  test('without crumbs the geometry is unchanged', () => {
+    expect(hitTest(100, HEADER_H + 10, 3, { crumbs: [] })).toEqual({ type: 'row', index: 0 });
+  });
+
+  test('leading folder rows open across their whole width, delete zone included', () => {
+    const opts = { deleteZone: true, folderRows: 2 };
+    expect(hitTest(100, HEADER_H + ROW_H + 10, 4, opts)).toEqual({ type: 'folder', index: 1 });
+    expect(hitTest(PANEL_PX_W - 10, HEADER_H + 10, 4, opts)).toEqual({ type: 'folder', index: 0 });
+    expect(hitTest(PANEL_PX_W - 10, HEADER_H + 2 * ROW_H + 10, 4, opts)).toEqual({ type: 'deleteRow', index: 2 });
+  });
+});
@@ -475,3 +475,187 @@ describe('BookmarkPanel row text fits the row in either script', () => {
     rows.forEach(d => expect(d.maxWidth).toBe(AVAIL));
   });
 });
+
+// ── Folder drill-down and breadcrumb, against the real store ─────────────────
+describe('BookmarkPanel folders', () => {
+  const { BookmarkStore } = require('../src/utils/BookmarkStore.js');
+  const { BREADCRUMB_H, breadcrumbLayout } = require('../src/vr/browser/bookmarkLayout.js');
+
+  let store;
+  let work;
+  let docs;
+  beforeEach(() => {
+    localStorage.clear();
+    store = new BookmarkStore();
+    work = store.createFolder('Work');
+    docs = store.createFolder('Docs', work.id);
+    store.addBookmark('https://top.example', 'Top');
+    store.addBookmark('https://w.example', 'In work', { folderId: work.id, tags: ['ref'] });
+    store.addBookmark('https://d.example', 'In docs', { folderId: docs.id });
+  });
+
+  function click(p, px, py) {
+    MockMesh._nextLocal = localFor(px, py);
+    p._onSelect({ clone() { return MockMesh._nextLocal; } });
+  }
+
+  test('the top level lists folders first, then bookmarks, with no breadcrumb', () => {
+    const p = makePanel(store);
+    expect(p._rows().map(r => r.name || r.url)).toEqual(['Work', 'https://top.example']);
+    expect(p._rows()[0]).toMatchObject({ folder: true, count: 2 });
+    expect(p._crumbs()).toBeNull();
+  });
+
+  test('selecting a folder row opens it, announcing its name', () => {
+    const onFolderChange = jest.fn();
+    const p = new BookmarkPanel({
+      scene: { add: jest.fn(), remove: jest.fn() },
+      registerInteractable: jest.fn(),
+      unregisterInteractable: jest.fn(),
+      store,
+      onSelect: jest.fn(),
+      onFolderChange
+    });
+    p.addToScene();
+    p.show();
+    click(p, 100, HEADER_H + 10);
+    expect(p.folderId).toBe(work.id);
+    expect(onFolderChange).toHaveBeenCalledWith('Work');
+    expect(p._rows().map(r => r.name || r.url)).toEqual(['Docs', 'https://w.example']);
+  });
+
+  test('the folder row\'s right edge opens it too, and deletes nothing', () => {
+    const p = makePanel(store);
+    p.show();
+    click(p, PANEL_PX_W - 10, HEADER_H + 10);
+    expect(p.folderId).toBe(work.id);
+    expect(store.getFolder(work.id)).not.toBeNull();
+  });
+
+  test('inside a folder, rows start below the breadcrumb and select as before', () => {
+    const onSelect = jest.fn();
+    const p = makePanel(store, onSelect);
+    p.openFolder(docs.id);
+    p.show();
+    click(p, 100, HEADER_H + BREADCRUMB_H + 10);
+    expect(onSelect).toHaveBeenCalledWith('https://d.example');
+  });
+
+  test('breadcrumb crumbs lead back up', () => {
+    const p = makePanel(store);
+    p.openFolder(docs.id);
+    const crumbs = breadcrumbLayout(['Bookmarks', 'Work', 'Docs']);
+    click(p, crumbs[1].x0 + 5, HEADER_H + BREADCRUMB_H / 2);
+    expect(p.folderId).toBe(work.id);
+    click(p, crumbs[0].x0 + 5, HEADER_H + BREADCRUMB_H / 2);
+    expect(p.folderId).toBeNull();
+  });
+
+  test('the breadcrumb and tags are drawn', () => {
+    const p = makePanel(store);
+    p.openFolder(work.id);
+    drawnText.length = 0;
+    p.show();
+    const texts = drawnText.map(d => d.text);
+    expect(texts).toEqual(expect.arrayContaining(['Work', '#ref']));
+  });
+
+  test('a folder deleted while open falls back to the top level', () => {
+    const p = makePanel(store);
+    p.openFolder(docs.id);
+    store.removeFolder(docs.id);
+    expect(p._rows().some(r => r.url === 'https://top.example')).toBe(true);
+    expect(p.folderId).toBeNull();
+  });
+
+  test('the Bookmarks tab returns to the top level', () => {
+    const p = makePanel(store);
+    p.openFolder(docs.id);
+    p.setMode('bookmarks');
+    expect(p.folderId).toBeNull();
+  });
+
+  test('an empty folder says so', () => {
+    const empty = store.createFolder('Empty');
+    const p = makePanel(store);
+    p.openFolder(empty.id);
+    drawnText.length = 0;
+    p.show();
+    expect(drawnText.map(d => d.text)).toContain('This folder is empty');
+  });
+});
+
+describe('BookmarkPanel reading list', () => {
+  const { ReadingList } = require('../src/utils/ReadingList.js');
+  const { DELETE_ZONE_W } = require('../src/vr/browser/bookmarkLayout.js');
+
+  const doc = (url, title) => ({ url, title, blocks: [{ type: 'p', text: 'Text.' }] });
+
+  function click(p, px, py) {
+    MockMesh._nextLocal = localFor(px, py);
+    p._onSelect({ clone() { return MockMesh._nextLocal; } });
+  }
+
+  function readingPanel(readingList, opts = {}) {
+    const p = new BookmarkPanel({
+      scene: { add: jest.fn(), remove: jest.fn() },
+      registerInteractable: jest.fn(),
+      unregisterInteractable: jest.fn(),
+      store: makeStore(),
+      onSelect: jest.fn(),
+      readingList,
+      ...opts
+    });
+    p.addToScene();
+    p.setMode('reading');
+    p.show();
+    return p;
+  }
+
+  test('the save row comes first, then saved pages newest first', async () => {
+    const list = new ReadingList({ kv: null });
+    await list.save(doc('https://a.example/', 'A'));
+    await list.save(doc('https://b.example/', 'B'));
+    const p = readingPanel(list, { onSaveForLater: () => {} });
+    expect(p._rows().map(r => (r.save ? 'save' : r.url))).toEqual(['save', 'https://b.example/', 'https://a.example/']);
+  });
+
+  test('the save row saves; a saved page opens offline and hides the panel', async () => {
+    const list = new ReadingList({ kv: null });
+    await list.save(doc('https://a.example/', 'A'));
+    const onSaveForLater = jest.fn();
+    const onOpenSaved = jest.fn();
+    const onSelect = jest.fn();
+    const p = readingPanel(list, { onSaveForLater, onOpenSaved, onSelect });
+    click(p, 100, HEADER_H + 10);
+    expect(onSaveForLater).toHaveBeenCalled();
+    click(p, 100, HEADER_H + ROW_H + 10);
+    expect(onOpenSaved).toHaveBeenCalledWith('https://a.example/');
+    expect(onSelect).not.toHaveBeenCalled();
+    expect(p.visible).toBe(false);
+  });
+
+  test('✕ removes a saved page and says so', async () => {
+    const list = new ReadingList({ kv: null });
+    await list.save(doc('https://a.example/', 'A'));
+    const onRemoveSaved = jest.fn();
+    const p = readingPanel(list, { onRemoveSaved });
+    click(p, PANEL_PX_W - DELETE_ZONE_W / 2, HEADER_H + 10);
+    expect(list.has('https://a.example/')).toBe(false);
+    expect(onRemoveSaved).toHaveBeenCalledWith('https://a.example/');
+  });
+
+  test('rows show how far each page was read; an empty list says so', async () => {
+    const list = new ReadingList({ kv: null });
+    await list.save(doc('https://a.example/', 'A'));
+    list.setProgress('https://a.example/', { scroll: 4, progress: 0.42 });
+    drawnText.length = 0;
+    const p = readingPanel(list);
+    expect(drawnText.map(d => d.text)).toContain('42%');
+
+    await list.remove('https://a.example/');
+    drawnText.length = 0;
+    p.show();
+    expect(drawnText.map(d => d.text)).toContain('Nothing saved for later');
+  });
+});
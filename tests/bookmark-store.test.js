@@ -2,7 +2,7 @@
  * Unit tests for BookmarkStore (FR-1.4).
  * localStorage is shimmed by tests/setup.js so no extra mock needed.
  */
-const { BookmarkStore, isQuotaExceededError, frecencyScore } = require('../src/utils/BookmarkStore.js');
+const { BookmarkStore, isQuotaExceededError, frecencyScore, normalizeTags } = require('../src/utils/BookmarkStore.js');
 
 const DAY = 24 * 60 * 60 * 1000;
 
@@ -593,3 +593,239 @@ describe('BookmarkStore.search — Unicode normalization (NFC/NFD)', () => {
     expect(store.search(SEARCH_GA_NFD, 5, now)).toEqual(store.search(SEARCH_GA_NFC, 5, now));
   });
 });
+
+describe('BookmarkStore — folders', () => {
+  let store;
+
+  beforeEach(() => {
+    localStorage.clear();
+    store = new BookmarkStore();
+  });
+
+  const urls = (list) => list.map(b => b.url);
+
+  test('bookmarks saved before folders existed read as top level and untagged', () => {
+    localStorage.setItem('quiBrowser_bookmarks', JSON.stringify([{ url: 'https://old.example', title: 'Old', addedAt: 1 }]));
+    expect(store.getBookmarks()[0]).toMatchObject({ folderId: null, tags: [] });
+    expect(urls(store.getFolderContents(null).bookmarks)).toEqual(['https://old.example']);
+  });
+
+  test('createFolder nests folders and getFolderPath walks back up', () => {
+    const work = store.createFolder('Work');
+    const docs = store.createFolder('Docs', work.id);
+    expect(store.getFolderContents(null).folders.map(f => f.name)).toEqual(['Work']);
+    expect(store.getFolderContents(work.id).folders.map(f => f.name)).toEqual(['Docs']);
+    expect(store.getFolderPath(docs.id).map(f => f.name)).toEqual(['Work', 'Docs']);
+    expect(store.getFolderPath(null)).toEqual([]);
+  });
+
+  test('createFolder refuses a blank name or a missing parent', () => {
+    expect(store.createFolder('   ')).toBeNull();
+    expect(store.createFolder('X', 'no-such-folder')).toBeNull();
+  });
+
+  test('addBookmark files into a folder; re-adding keeps the folder and tags', () => {
+    const f = store.createFolder('Ref');
+    store.addBookmark('https://a.example', 'A', { folderId: f.id, tags: ['docs'] });
+    store.addBookmark('https://a.example', 'A again');
+    expect(store.getBookmark('https://a.example')).toMatchObject({ title: 'A again', folderId: f.id, tags: ['docs'] });
+  });
+
+  test('renameFolder and renameBookmark', () => {
+    const f = store.createFolder('Wrok');
+    store.addBookmark('https://a.example', 'A');
+    expect(store.renameFolder(f.id, 'Work')).toBe(true);
+    expect(store.renameFolder(f.id, '')).toBe(false);
+    expect(store.renameBookmark('https://a.example', 'Alpha')).toBe(true);
+    expect(store.renameBookmark('https://missing.example', 'X')).toBe(false);
+    expect(store.getFolder(f.id).name).toBe('Work');
+    expect(store.getBookmark('https://a.example').title).toBe('Alpha');
+  });
+
+  test('moveBookmark changes folder, landing on top by default', () => {
+    const f = store.createFolder('F');
+    store.addBookmark('https://in.example', 'In', { folderId: f.id });
+    store.addBookmark('https://a.example', 'A');
+    expect(store.moveBookmark('https://a.example', f.id)).toBe(true);
+    expect(urls(store.getFolderContents(f.id).bookmarks)).toEqual(['https://a.example', 'https://in.example']);
+    expect(store.getFolderContents(null).bookmarks).toEqual([]);
+    expect(store.moveBookmark('https://a.example', 'no-such-folder')).toBe(false);
+  });
+
+  test('moveBookmark reorders within a folder without disturbing other folders', () => {
+    const f = store.createFolder('F');
+    store.addBookmark('https://c.example');
+    store.addBookmark('https://x.example', 'X', { folderId: f.id });
+    store.addBookmark('https://b.example');
+    store.addBookmark('https://a.example');
+    store.moveBookmark('https://a.example', undefined, 2);
+    expect(urls(store.getFolderContents(null).bookmarks))
+      .toEqual(['https://b.example', 'https://c.example', 'https://a.example']);
+    store.moveBookmark('https://a.example', null, 0);
+    expect(urls(store.getFolderContents(null).bookmarks))
+      .toEqual(['https://a.example', 'https://b.example', 'https://c.example']);
+    expect(urls(store.getFolderContents(f.id).bookmarks)).toEqual(['https://x.example']);
+  });
+
+  test('moveFolder reorders siblings and re-parents', () => {
+    const a = store.createFolder('A');
+    const b = store.createFolder('B');
+    const c = store.createFolder('C');
+    store.moveFolder(c.id, undefined, 0);
+    expect(store.getFolderContents(null).folders.map(f => f.name)).toEqual(['C', 'A', 'B']);
+    expect(store.moveFolder(b.id, a.id)).toBe(true);
+    expect(store.getFolderPath(b.id).map(f => f.name)).toEqual(['A', 'B']);
+  });
+
+  test('moveFolder refuses to move a folder into itself or its descendants', () => {
+    const a = store.createFolder('A');
+    const b = store.createFolder('B', a.id);
+    expect(store.moveFolder(a.id, a.id)).toBe(false);
+    expect(store.moveFolder(a.id, b.id)).toBe(false);
+    expect(store.getFolder(a.id).parentId).toBeNull();
+  });
+
+  test('removeFolder moves its contents up instead of deleting them', () => {
+    const a = store.createFolder('A');
+    const b = store.createFolder('B', a.id);
+    store.addBookmark('https://in-a.example', 'In A', { folderId: a.id });
+    store.addBookmark('https://in-b.example', 'In B', { folderId: b.id });
+    expect(store.removeFolder(a.id)).toBe(true);
+    expect(store.getFolder(a.id)).toBeNull();
+    expect(store.getFolder(b.id).parentId).toBeNull();
+    expect(store.getBookmark('https://in-a.example').folderId).toBeNull();
+    expect(store.getBookmark('https://in-b.example').folderId).toBe(b.id);
+  });
+
+  test('removing a nested folder moves its bookmarks into its parent, not the top level', () => {
+    const a = store.createFolder('A');
+    const b = store.createFolder('B', a.id);
+    const c = store.createFolder('C', b.id);
+    store.addBookmark('https://in-b.example', 'In B', { folderId: b.id });
+    expect(store.removeFolder(b.id)).toBe(true);
+    expect(store.getBookmark('https://in-b.example').folderId).toBe(a.id);
+    expect(store.getFolder(c.id).parentId).toBe(a.id);
+    expect(store.getFolderContents(a.id).bookmarks.map(x => x.url)).toEqual(['https://in-b.example']);
+  });
+
+  test('hand-edited storage with a parent cycle or a missing folder stays reachable', () => {
+    localStorage.setItem('quiBrowser_bookmarkFolders', JSON.stringify([
+      { id: 'x', name: 'X', parentId: 'y' }, { id: 'y', name: 'Y', parentId: 'x' }
+    ]));
+    localStorage.setItem('quiBrowser_bookmarks', JSON.stringify([{ url: 'https://a.example', folderId: 'gone' }]));
+    expect(store.getFolderContents(null).folders.map(f => f.id)).toEqual(['x', 'y']);
+    expect(store.getBookmark('https://a.example').folderId).toBeNull();
+  });
+});
+
+describe('BookmarkStore — tags', () => {
+  let store;
+  const urls = (list) => list.map(b => b.url);
+
+  beforeEach(() => {
+    localStorage.clear();
+    store = new BookmarkStore();
+    store.addBookmark('https://a.example', 'A');
+    store.addBookmark('https://b.example', 'B');
+  });
+
+  test('normalizeTags trims, drops "#", and de-duplicates case-insensitively', () => {
+    expect(normalizeTags([' #Docs ', 'docs', 'two  words', '', 7, 'Ｊａ'.normalize('NFD')]))
+      .toEqual(['Docs', 'two words', 'Ｊａ']);
+    expect(normalizeTags('docs')).toEqual([]);
+  });
+
+  test('setTags / addTag / removeTag', () => {
+    expect(store.setTags('https://a.example', ['api', 'rust'])).toEqual(['api', 'rust']);
+    expect(store.addTag('https://a.example', 'API')).toEqual(['api', 'rust']);
+    expect(store.addTag('https://a.example', 'howto')).toEqual(['api', 'rust', 'howto']);
+    expect(store.removeTag('https://a.example', 'RUST')).toEqual(['api', 'howto']);
+    expect(store.setTags('https://missing.example', ['x'])).toBeNull();
+  });
+
+  test('getTags counts use; getBookmarksByTag finds them', () => {
+    store.setTags('https://a.example', ['api', 'rust']);
+    store.setTags('https://b.example', ['Rust']);
+    expect(store.getTags()).toEqual([{ tag: 'Rust', count: 2 }, { tag: 'api', count: 1 }]);
+    expect(urls(store.getBookmarksByTag('#RUST'))).toEqual(['https://b.example', 'https://a.example']);
+    expect(store.getBookmarksByTag('')).toEqual([]);
+  });
+});
+
+describe('BookmarkStore — import / export', () => {
+  let store;
+
+  beforeEach(() => {
+    localStorage.clear();
+    store = new BookmarkStore();
+  });
+
+  const NETSCAPE = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<DL><p>
+    <DT><H3>Dev</H3>
+    <DL><p>
+        <DT><A HREF="https://mdn.example/" TAGS="docs">MDN</A>
+        <DT><A HREF="https://a.example">Already here</A>
+    </DL><p>
+    <DT><A HREF="https://b.example/">B</A>
+    <DT><A HREF="javascript:void(0)">Bookmarklet</A>
+</DL><p>`;
+
+  test('exportTree nests folders, subfolders first', () => {
+    const dev = store.createFolder('Dev');
+    store.addBookmark('https://a.example', 'A', { folderId: dev.id, tags: ['x'] });
+    store.addBookmark('https://b.example', 'B');
+    const { items } = store.exportTree();
+    expect(items.map(i => i.type)).toEqual(['folder', 'bookmark']);
+    expect(items[0]).toMatchObject({ name: 'Dev', items: [{ url: 'https://a.example', tags: ['x'] }] });
+  });
+
+  test('importFile merges folders and skips URLs already bookmarked', () => {
+    store.addBookmark('https://a.example', 'Mine');
+    const result = store.importFile(NETSCAPE);
+    expect(result).toEqual({ format: 'netscape', bookmarks: 2, folders: 1, duplicates: 1, history: 0, skipped: 1 });
+    const dev = store.getFolders().find(f => f.name === 'Dev');
+    expect(store.getFolderContents(dev.id).bookmarks.map(b => b.url)).toEqual(['https://mdn.example/']);
+    expect(store.getBookmark('https://mdn.example/').tags).toEqual(['docs']);
+    // The user's own bookmark stays where and as it was.
+    expect(store.getBookmark('https://a.example')).toMatchObject({ title: 'Mine', folderId: null });
+  });
+
+  test('importing the same file twice adds nothing', () => {
+    store.importFile(NETSCAPE);
+    expect(store.importFile(NETSCAPE)).toMatchObject({ bookmarks: 0, folders: 0, duplicates: 3 });
+    expect(store.getFolders()).toHaveLength(1);
+  });
+
+  test('an exported HTML file imports into an empty store unchanged', () => {
+    const dev = store.createFolder('Dev');
+    store.createFolder('Deep', dev.id);
+    store.addBookmark('https://a.example/', 'A', { folderId: dev.id });
+    const html = store.exportNetscapeHtml();
+    localStorage.clear();
+    const fresh = new BookmarkStore();
+    fresh.importFile(html);
+    const strip = ({ items }) => JSON.stringify(items, (k, v) => (k === 'addedAt' ? undefined : v));
+    expect(strip(fresh.exportTree())).toBe(strip(store.exportTree()));
+  });
+
+  test('a backup restores history without inflating visit counts', () => {
+    store.addBookmark('https://a.example/', 'A');
+    store.addHistory('https://h.example/', 'H');
+    store.addHistory('https://h.example/', 'H');
+    const backup = store.exportBackup();
+    expect(store.importFile(backup)).toMatchObject({ format: 'backup', bookmarks: 0, duplicates: 1, history: 0 });
+    expect(store.getHistory()[0].visits).toBe(2);
+
+    localStorage.clear();
+    const fresh = new BookmarkStore();
+    expect(fresh.importFile(backup)).toMatchObject({ bookmarks: 1, history: 1 });
+    expect(fresh.getHistory()[0]).toMatchObject({ url: 'https://h.example/', visits: 2 });
+  });
+
+  test('a file in neither format is refused', () => {
+    expect(store.importFile('just some text')).toBeNull();
+    expect(store.importFile('{"not":"a backup"}')).toBeNull();
+    expect(store.getBookmarks()).toEqual([]);
+  });
+});
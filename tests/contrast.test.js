@@ -177,6 +177,11 @@ function palettePairs(hc) {
   add('bookmark scrollInactive', bm.scrollInactive.text, bm.scrollInactive.bg, { fontPx: 36, bold: true }, bmBg);
   add('bookmark deleteText', bm.deleteText, bm.deleteZoneBg, { fontPx: 28, bold: true }, bmBg);
   add('bookmark closeBtn', '#ffffff', bm.closeBg, { fontPx: 32, bold: true });
+  add('bookmark rowTags', bm.rowTags, bm.bg, { fontPx: 20 }, bmBack);
+  add('bookmark folderIcon', bm.folderIcon, bm.bg, { fontPx: 26, bold: true }, bmBack);
+  add('bookmark crumb', bm.crumbText, bm.crumbBg, { fontPx: 24, bold: true }, bmBg);
+  add('bookmark crumbCurrent', bm.crumbCurrent, bm.bg, { fontPx: 24, bold: true }, bmBack);
+  add('bookmark crumbSep', bm.crumbSep, bm.bg, { fontPx: 24, bold: true }, bmBack);
 
   // Browser chrome bar
   add('chrome back/fwd enabled', ch.btnEnabledText, ch.btnEnabledBg, { fontPx: 24, bold: true });
@@ -197,12 +202,30 @@ function palettePairs(hc) {
   add('content state detail', ct.stateDetail, ct.bg, { fontPx: 18 });
   add('reader body', ct.readerBody, ct.bg, { fontPx: 20 });
   add('reader heading', ct.readerHeading, ct.bg, { fontPx: 30, bold: true });
+  add('reader link', ct.readerLink, ct.bg, { fontPx: 20 });
+  add('reader list', ct.readerList, ct.bg, { fontPx: 20 });
+  add('reader code', ct.readerCode, ct.readerCodeBg, { fontPx: 18 });
+  add('reader quote', ct.readerQuote, ct.bg, { fontPx: 20 });
+  add('reader table', ct.readerTable, ct.bg, { fontPx: 18 });
+  add('reader caption', ct.readerCaption, ct.bg, { fontPx: 17 });
+  add('reader page break', ct.readerPageBreak, ct.bg, { fontPx: 17 });
+  add('reader quote rule', ct.readerQuoteBar, ct.bg, { nonText: true });
+  // The sentence being read aloud: any reader text on its band, and the
+  // margin bar that marks it.
+  add('reader body being read', ct.readerBody, ct.readerSpokenBg, { fontPx: 20 });
+  add('reader heading being read', ct.readerHeading, ct.readerSpokenBg, { fontPx: 30, bold: true });
+  add('reader link being read', ct.readerLink, ct.readerSpokenBg, { fontPx: 20 });
+  add('reader list being read', ct.readerList, ct.readerSpokenBg, { fontPx: 20 });
+  add('reader quote being read', ct.readerQuote, ct.readerSpokenBg, { fontPx: 20 });
+  add('reader table being read', ct.readerTable, ct.readerSpokenBg, { fontPx: 18 });
+  add('reader caption being read', ct.readerCaption, ct.readerSpokenBg, { fontPx: 17 });
+  add('reader read-aloud marker', ct.readerSpokenMark, ct.bg, { nonText: true });
   add('reader progress', ct.progress, ct.bg, { fontPx: 16 });
   add('reader arrow active', ct.arrowActiveText, ct.arrowActiveBg, { fontPx: 34, bold: true }, ct.bg);
   add('reader arrow idle', ct.arrowIdleText, ct.arrowIdleBg, { fontPx: 34, bold: true }, ct.bg);
 
-  // Japanese IME — badge glyph, and the badge rectangle as an indicator
-  for (const mode of ['hiragana', 'katakana', 'kanji']) {
+  // IME badges — glyph, and the badge rectangle as an indicator
+  for (const mode of ['hiragana', 'katakana', 'kanji', 'hangul', 'pinyin']) {
     const b = imeBadgeColors(mode);
     add(`IME badge glyph ${mode}`, b.text, b.bg, { fontPx: 36, bold: true });
     add(`IME badge rect ${mode}`, b.bg, '#111726', { nonText: true });
@@ -349,7 +372,7 @@ describe('regressions fixed in the contrast audit', () => {
   });
 
   test('every IME badge glyph clears 3:1 — white did not', () => {
-    for (const mode of ['hiragana', 'katakana', 'kanji']) {
+    for (const mode of ['hiragana', 'katakana', 'kanji', 'hangul', 'pinyin']) {
       const b = imeBadgeColors(mode);
       expect(contrastRatio(b.text, b.bg)).toBeGreaterThanOrEqual(3);
       // The previous white glyph failed on katakana (2.37) and kanji (2.05).
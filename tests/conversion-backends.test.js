@@ -0,0 +1,153 @@
+/**
+ * JapaneseIME conversion backends (src/vr/input/conversionBackends.js): the
+ * web and LAN-server response formats, and the chain's timeouts, fallback and
+ * back-off.
+ */
+
+const {
+  parseTransliterateResponse, parseServerResponse, createWebBackend, createServerBackend,
+  backendChain, runBackends, BACKEND_RETRY_MS, CONVERSION_TIMEOUT_MS
+} = require('../src/vr/input/conversionBackends.js');
+const { JapaneseIME } = require('../src/vr/input/JapaneseIME.js');
+
+const json = (body, status = 200) => ({ ok: status === 200, status, json: async () => body });
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('response formats', () => {
+  test('transliterate answers one entry per clause', () => {
+    const data = [['わたしは', ['私は', '渡しは', '私は']], ['がくせい', ['学生']]];
+    expect(parseTransliterateResponse(data, 'わたしはがくせい')).toEqual([
+      { reading: 'わたしは', tail: '', candidates: ['私は', '渡しは'] },
+      { reading: 'がくせい', tail: '', candidates: ['学生'] }
+    ]);
+    expect(parseTransliterateResponse(data, 'わたし')).toBeNull();
+    expect(parseTransliterateResponse({ error: 1 }, 'わたし')).toBeNull();
+  });
+
+  test('a conversion server answers candidates or clauses', () => {
+    expect(parseServerResponse({ candidates: ['私', 7, '渡し'] }, 'わたし'))
+      .toEqual([{ reading: 'わたし', tail: '', candidates: ['私', '渡し'] }]);
+    const clauses = [{ reading: 'わたしは', candidates: ['私は'] }, { reading: 'がくせい', candidates: ['学生'] }];
+    expect(parseServerResponse({ clauses }, 'わたしはがくせい')).toHaveLength(2);
+    // Clauses that do not cover the text fall back to candidates, else nothing.
+    expect(parseServerResponse({ clauses, candidates: ['全部'] }, 'わたし')[0].candidates).toEqual(['全部']);
+    expect(parseServerResponse({ clauses }, 'わたし')).toBeNull();
+    expect(parseServerResponse(null, 'わたし')).toBeNull();
+  });
+
+  test('the server backend asks <url>/convert and joins clauses for convert()', async () => {
+    const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(json({
+      clauses: [{ reading: 'わたしは', candidates: ['私は', '渡しは'] }, { reading: 'がくせい', candidates: ['学生'] }]
+    }));
+    const backend = createServerBackend({ url: 'http://10.0.0.5:8090/' });
+    expect(await backend.convert('わたしはがくせい')).toEqual(['私は学生', '渡しは学生']);
+    expect(fetchSpy.mock.calls[0][0])
+      .toBe(`http://10.0.0.5:8090/convert?text=${encodeURIComponent('わたしはがくせい')}`);
+  });
+
+  test('an HTTP error is a failure', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValue(json(null, 503));
+    await expect(createWebBackend().segment('わたし')).rejects.toThrow('HTTP 503');
+  });
+});
+
+describe('runBackends', () => {
+  const answering = (id, candidates, extra = {}) => ({
+    id, network: true, convert: jest.fn(async () => candidates), ...extra
+  });
+
+  test('falls through failures and empty answers to the next backend', async () => {
+    const failing = answering('a', null);
+    failing.convert.mockRejectedValue(new Error('down'));
+    const empty = answering('b', []);
+    const last = answering('c', ['私']);
+    const answer = await runBackends([failing, empty, last], 'convert', 'わたし', new Map());
+    expect(answer.backend).toBe(last);
+    expect(answer.result).toEqual(['私']);
+  });
+
+  test('a backend with only convert segments into one clause', async () => {
+    const answer = await runBackends([answering('a', ['私'])], 'segment', 'わたし', new Map());
+    expect(answer.result).toEqual([{ reading: 'わたし', tail: '', candidates: ['私'] }]);
+  });
+
+  test('a backend that hangs is aborted after its timeout', async () => {
+    jest.useFakeTimers();
+    let signal;
+    const hanging = answering('slow', null, { timeoutMs: 2000 });
+    hanging.convert.mockImplementation((r, opts) => {
+      signal = opts.signal;
+      return new Promise(() => {});
+    });
+    const fallback = { id: 'offline', network: false, convert: async () => ['わたし'] };
+    const pending = runBackends([hanging, fallback], 'convert', 'わたし', new Map());
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(signal.aborted).toBe(true);
+    expect((await pending).backend).toBe(fallback);
+  });
+
+  test('a failed network backend is skipped until BACKEND_RETRY_MS has passed', async () => {
+    const retryAt = new Map();
+    const flaky = answering('web', null);
+    flaky.convert.mockRejectedValueOnce(new Error('down')).mockResolvedValue(['私']);
+    await runBackends([flaky], 'convert', 'わたし', retryAt);
+    expect(await runBackends([flaky], 'convert', 'わたし', retryAt)).toBeNull();
+    expect(flaky.convert).toHaveBeenCalledTimes(1);
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + BACKEND_RETRY_MS + 1);
+    expect((await runBackends([flaky], 'convert', 'わたし', retryAt)).result).toEqual(['私']);
+  });
+
+  test('a headset that reports itself offline tries no network backend', async () => {
+    const web = answering('web', ['私']);
+    navigator.onLine = false;
+    try {
+      expect(await runBackends([web], 'convert', 'わたし', new Map())).toBeNull();
+      expect(web.convert).not.toHaveBeenCalled();
+    } finally {
+      delete navigator.onLine;
+    }
+  });
+});
+
+describe('JapaneseIME backends', () => {
+  test('the chain follows the setting, offline always last', () => {
+    const ime = new JapaneseIME();
+    expect(ime.backends.map((b) => b.id)).toEqual(['web', 'offline']);
+    expect(backendChain('local', { ime, serverUrl: 'http://ime.lan' }).map((b) => b.id)).toEqual(['local', 'offline']);
+    expect(backendChain('local', { ime }).map((b) => b.id)).toEqual(['offline']);
+    ime.setBackend('offline');
+    expect(ime.backends.map((b) => b.id)).toEqual(['offline']);
+  });
+
+  test('converts with the LAN server clause by clause', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValue(json({
+      clauses: [{ reading: 'わたしは', candidates: ['私は'] }, { reading: 'がくせい', candidates: ['学生'] }]
+    }));
+    const ime = new JapaneseIME();
+    ime.setBackend('local', { serverUrl: 'http://ime.lan' });
+    ime.compositionBuffer = 'watashihagakusei';
+    expect(await ime.convertToKanji()).toMatchObject({ candidates: ['私は'], clauses: 2 });
+    expect(ime.stats.conversions).toBe(1);
+  });
+
+  test('a server that times out leaves offline conversion answering', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(global, 'fetch').mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+    }));
+    const ime = new JapaneseIME();
+    ime.setBackend('local', { serverUrl: 'http://ime.lan' });
+    const pending = ime.getKanjiCandidates('わたし');
+    await jest.advanceTimersByTimeAsync(CONVERSION_TIMEOUT_MS);
+    expect(await pending).toEqual(['私', '渡し']);
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Dictation (src/vr/input/dictation.js, VoiceCommands.startDictation): spoken
+ * punctuation and spacing, "done" / "cancel", and interim results shown as
+ * provisional text in a real VR keyboard field.
+ *
+ * THREE and the 2D canvas are mocked as in vr-keyboard-editing.test.js.
+ */
+
+class MockGeometry { dispose() {} }
+class MockMaterial {
+  constructor(o = {}) { Object.assign(this, o); }
+  dispose() {}
+}
+class MockMesh {
+  constructor(geometry, material) {
+    this.geometry = geometry;
+    this.material = material;
+    this.position = { set: jest.fn() };
+    this.rotation = { x: 0 };
+    this.userData = {};
+  }
+}
+class MockGroup {
+  constructor() {
+    this.visible = true;
+    this.position = { set: jest.fn() };
+    this.rotation = { x: 0 };
+    this.children = [];
+  }
+  add(o) { this.children.push(o); }
+  remove(o) { this.children = this.children.filter(c => c !== o); }
+  traverse(fn) { fn(this); this.children.forEach(c => (c.traverse ? c.traverse(fn) : fn(c))); }
+}
+class MockCanvasTexture {
+  dispose() {}
+}
+
+jest.mock('three', () => ({
+  Group: MockGroup,
+  Mesh: MockMesh,
+  PlaneGeometry: MockGeometry,
+  MeshBasicMaterial: MockMaterial,
+  CanvasTexture: MockCanvasTexture,
+  SRGBColorSpace: 'srgb'
+}));
+
+const ctx2d = {
+  clearRect: jest.fn(), fillRect: jest.fn(), fillText: jest.fn(), strokeRect: jest.fn(),
+  fillStyle: '', strokeStyle: '', lineWidth: 0, font: '', textAlign: '', textBaseline: ''
+};
+global.document = {
+  createElement: () => ({ width: 0, height: 0, getContext: () => ctx2d })
+};
+
+const { dictationControl, dictatedText, needsSpace } = require('../src/vr/input/dictation.js');
+const { voiceGrammar } = require('../src/vr/input/voiceGrammar.js');
+const { VoiceCommands } = require('../src/vr/input/VoiceCommands.js');
+const { JapaneseIME, VRJapaneseKeyboard } = require('../src/vr/input/JapaneseIME.js');
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+const en = voiceGrammar('en-US');
+const ja = voiceGrammar('ja-JP');
+const typed = (transcript, space = false) =>
+  dictatedText(transcript, { punctuation: en.dictation.punctuation, spaced: true, space });
+
+describe('spoken punctuation', () => {
+  test.each([
+    ['example dot com slash news', 'example.com/news'],
+    ['hello comma world period', 'hello, world.'],
+    ['is it open question mark', 'is it open?'],
+    ['https colon slash slash github dot com', 'https://github.com'],
+    ['me at sign example dot com', 'me@example.com'],
+    ['Full Stop', '.']
+  ])('"%s" is typed as "%s"', (said, text) => {
+    expect(typed(said).text).toBe(text);
+  });
+
+  test('an utterance after words starts with a space; after a slash it does not', () => {
+    expect(typed('weather', true)).toEqual({ text: ' weather', space: true });
+    expect(typed('news slash', true)).toEqual({ text: ' news/', space: false });
+    expect(typed('period', true)).toEqual({ text: '.', space: true });
+    expect([needsSpace('hello'), needsSpace('hi,'), needsSpace('example.com/'), needsSpace('')])
+      .toEqual([true, true, false, false]);
+  });
+
+  test('Japanese replaces the phrases in place', () => {
+    const said = (transcript) => dictatedText(transcript, { punctuation: ja.dictation.punctuation, spaced: false }).text;
+    expect(said('今日は晴れ句点')).toBe('今日は晴れ。');
+    expect(said('example ドットコム スラッシュ news')).toBe('example.com/news');
+  });
+
+  test('"done" and "cancel" are recognised only as a whole utterance', () => {
+    expect(dictationControl('Done.', en.dictation)).toBe('done');
+    expect(dictationControl('never mind', en.dictation)).toBe('cancel');
+    expect(dictationControl('I am done', en.dictation)).toBeNull();
+    expect(dictationControl('完了', ja.dictation)).toBe('done');
+    expect(dictationControl('キャンセル。', ja.dictation)).toBe('cancel');
+  });
+});
+
+/** VoiceCommands connected to a VR keyboard field, recording what it says. */
+function dictating(language = 'en-US') {
+  const ime = new JapaneseIME();
+  const kb = new VRJapaneseKeyboard({ add: jest.fn(), remove: jest.fn() }, ime, {
+    registerInteractable: jest.fn(),
+    unregisterInteractable: jest.fn(),
+    keyEventTarget: null,
+    onCancel: jest.fn()
+  });
+  kb.createKeyboard();
+  const vc = new VoiceCommands({ language });
+  const spoken = [];
+  vc.callbacks.onSpeak = (text) => spoken.push(text);
+  vc.connectBrowser({ vrKeyboard: kb });
+  return { vc, kb, spoken };
+}
+
+/** A recognition result, as handleRecognitionResult receives it. */
+const heard = (vc, transcript, isFinal = true) => vc.handleRecognitionResult({
+  results: { 0: { 0: { transcript, confidence: 0 }, isFinal, length: 1 }, length: 1 }
+});
+
+describe('dictating into the keyboard field', () => {
+  test('types what is said, shows interim results as provisional, and "done" confirms', async () => {
+    const { vc, kb, spoken } = dictating();
+    const confirmed = jest.fn();
+    kb.setOnConfirm(confirmed);
+    kb.show();
+    vc.processCommand('dictate', 0.9);
+    expect(vc.isDictating).toBe(true);
+    expect(spoken).toEqual([en.commands.dictation.replies.start]);
+
+    heard(vc, 'example dot', false);
+    expect(kb._provisional).toBe('example.');
+    expect(kb.text).toBe('');
+    expect(ctx2d.fillText).toHaveBeenCalledWith('[example.]', expect.any(Number), expect.any(Number), expect.any(Number));
+
+    heard(vc, 'example dot com slash');
+    await flush();
+    heard(vc, 'news');
+    await flush();
+    expect(kb._provisional).toBe('');
+    expect(kb.text).toBe('example.com/news');
+
+    heard(vc, 'done');
+    expect(confirmed).toHaveBeenCalledWith('example.com/news');
+    expect(kb.visible).toBe(false);
+    expect(vc.isDictating).toBe(false);
+  });
+
+  test('words go after the text already in the field with a space', async () => {
+    const { vc, kb } = dictating();
+    kb.show();
+    await kb.insertText('weather');
+    vc.startDictation();
+    heard(vc, 'in tokyo');
+    await flush();
+    expect(kb.text).toBe('weather in tokyo');
+  });
+
+  test('"cancel" abandons the field as Esc does', () => {
+    const { vc, kb } = dictating();
+    const confirmed = jest.fn();
+    kb.setOnConfirm(confirmed);
+    kb.show();
+    vc.startDictation();
+    heard(vc, 'hello', false);
+    heard(vc, 'cancel');
+    expect(kb.onCancel).toHaveBeenCalled();
+    expect(kb.visible).toBe(false);
+    expect(confirmed).not.toHaveBeenCalled();
+  });
+
+  test('commands are typed, not run, while dictating', async () => {
+    const { vc, kb } = dictating();
+    kb.show();
+    vc.startDictation();
+    heard(vc, 'go back');
+    await flush();
+    expect(kb.text).toBe('go back');
+    expect(vc.lastCommand).toBeNull();
+  });
+
+  test('a field closed by hand ends dictation, and the next phrase is a command again', () => {
+    const { vc, kb } = dictating();
+    kb.show();
+    vc.startDictation();
+    kb.hide();
+    heard(vc, 'keyboard');
+    expect(vc.isDictating).toBe(false);
+    expect(vc.lastCommand.key).toBe('keyboard');
+    expect(kb.visible).toBe(true);
+  });
+
+  test('with no field open, or on the offline spotter, it says why not', () => {
+    const { vc, kb, spoken } = dictating('ja-JP');
+    kb.hide();
+    vc.processCommand('音声入力', 0.9);
+    kb.show();
+    vc.recognition = { id: 'offline' };
+    vc.startDictation();
+    expect(vc.isDictating).toBe(false);
+    expect(spoken).toEqual([ja.commands.dictation.replies.none, ja.commands.dictation.replies.offline]);
+  });
+
+  test('Japanese dictation types without spaces and confirms on 完了', async () => {
+    const { vc, kb } = dictating('ja-JP');
+    const confirmed = jest.fn();
+    kb.setOnConfirm(confirmed);
+    kb.show();
+    vc.startDictation();
+    heard(vc, '東京の天気');
+    await flush();
+    heard(vc, '句点');
+    await flush();
+    heard(vc, '完了');
+    expect(confirmed).toHaveBeenCalledWith('東京の天気。');
+  });
+});
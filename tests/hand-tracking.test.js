@@ -21,7 +21,11 @@ jest.mock('three', () => ({
   SphereGeometry: class { dispose() {} },
   CylinderGeometry: class { dispose() {} },
   MeshPhongMaterial: class { clone() { return new this.constructor(); } dispose() {} },
-  Vector3: class { constructor() { this.set = () => {}; this.clone = () => this; } },
+  Vector3: class {
+    constructor() { this.set = () => {}; this.clone = () => this; this.y = 0; }
+    subVectors(a, b) { this.y = (a.y || 0) - (b.y || 0); return this; }
+    normalize() { return this; }
+  },
   Quaternion: class {}
 }));
 
@@ -97,6 +101,15 @@ describe('HandTracking.detectGesture', () => {
     expect(ht.detectGesture(makeJoints())).toBe('point');
   });
 
+  test("a thumbs-up is 'thumbsup', not 'fist' — the fingers are curled in both", () => {
+    const ht = new HandTracking({}, new MockObj());
+    ht.isFingerExtended = () => false;
+    ht.isThumbUp = () => true;
+    expect(ht.detectGesture(makeJoints())).toBe('thumbsup');
+    ht.isThumbUp = () => false;
+    expect(ht.detectGesture(makeJoints())).toBe('fist');
+  });
+
   // Pinch with a controllable thumb↔index gap.
   function pinchJoints(gap) {
     const tip = { position: { distanceTo: () => gap } };
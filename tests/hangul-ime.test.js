@@ -0,0 +1,91 @@
+/**
+ * Korean input (src/vr/input/HangulIME.js): 2-beolsik jamo composing into
+ * syllables, and the keyboard-facing engine around it.
+ */
+
+const { composeHangul, HangulIME } = require('../src/vr/input/HangulIME.js');
+
+const compose = (jamo) => composeHangul([...jamo]).map((b) => b.text).join('');
+
+async function type(ime, letters) {
+  let last;
+  for (const key of letters) {
+    last = await ime.processInput(key);
+  }
+  return last;
+}
+
+describe('composeHangul', () => {
+  test('initial, vowel and final make one syllable', () => {
+    expect(compose('ㅎㅏㄴ')).toBe('한');
+    expect(compose('ㅇㅏㄴㄴㅕㅇ')).toBe('안녕');
+  });
+
+  test('vowels and finals combine', () => {
+    expect(compose('ㄱㅗㅏ')).toBe('과');
+    expect(compose('ㄷㅏㄹㄱ')).toBe('닭');
+    expect(compose('ㅇㅡㅣ')).toBe('의');
+  });
+
+  test('a final consonant moves on when a vowel follows it', () => {
+    expect(compose('ㄱㅏㄱㅏ')).toBe('가가');
+    expect(compose('ㄷㅏㄹㄱㅏ')).toBe('달가');
+  });
+
+  test('jamo that cannot join stay as they are', () => {
+    expect(compose('ㄱㄱ')).toBe('ㄱㄱ');
+    expect(compose('ㅏㅏ')).toBe('ㅏㅏ');
+    expect(compose('ㄸㅏㄸ')).toBe('따ㄸ'); // ㄸ is never a final
+  });
+
+  test('each syllable says how many jamo it took', () => {
+    expect(composeHangul([...'ㄷㅏㄹㄱㅏ']).map((b) => b.count)).toEqual([3, 2]);
+  });
+});
+
+describe('HangulIME', () => {
+  test('letters type jamo on the dubeolsik layout', async () => {
+    const ime = new HangulIME();
+    expect((await type(ime, 'dkssudgktpdy')).converted).toBe('안녕하세요');
+  });
+
+  test('Shift gives a tense consonant once', async () => {
+    const ime = new HangulIME();
+    ime.toggleShift();
+    expect(ime.keyGlyphs.r).toBe('ㄲ');
+    await type(ime, 'rk');
+    expect(ime.shiftActive).toBe(false);
+    expect(ime.compositionBuffer).toBe('까');
+  });
+
+  test('a capital from a hardware keyboard is a shifted letter', async () => {
+    const ime = new HangulIME();
+    await type(ime, 'Rk');
+    expect(ime.compositionBuffer).toBe('까');
+  });
+
+  test('Backspace takes jamo off the syllable being typed, then characters', async () => {
+    const ime = new HangulIME();
+    await type(ime, 'rkrhk'); // 가과
+    expect(ime.deleteLast().converted).toBe('가고');
+    expect(ime.deleteLast().converted).toBe('가ㄱ');
+    expect(ime.deleteLast().converted).toBe('가');
+    expect(ime.deleteLast().converted).toBe('');
+  });
+
+  test('other keys and Space finish the syllable', async () => {
+    const ime = new HangulIME();
+    await type(ime, 'gks.');
+    expect(await ime.onSpace()).toBeNull();
+    await type(ime, 'k');
+    expect(ime.confirmSelection()).toBe('한. ㅏ');
+    expect(ime.compositionBuffer).toBe('');
+  });
+
+  test('text set from outside is kept and typed after', async () => {
+    const ime = new HangulIME();
+    ime.compositionBuffer = 'example.com/';
+    await type(ime, 'gks');
+    expect(ime.compositionBuffer).toBe('example.com/한');
+  });
+});
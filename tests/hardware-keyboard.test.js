@@ -0,0 +1,57 @@
+/**
+ * A paired hardware keyboard (src/vr/input/hardwareKeyboard.js): which key
+ * events type into the VR keyboard, and which are browser shortcuts.
+ */
+
+const { shortcutFor, keyLabel } = require('../src/vr/input/hardwareKeyboard.js');
+
+const key = (k, mods = {}) => ({ key: k, ...mods });
+
+describe('shortcutFor', () => {
+  test('Ctrl or ⌘ with L, T or W is a browser action', () => {
+    expect(shortcutFor(key('l', { ctrlKey: true }))).toBe('focusUrl');
+    expect(shortcutFor(key('T', { ctrlKey: true }))).toBe('newTab');
+    expect(shortcutFor(key('w', { metaKey: true }))).toBe('closeTab');
+  });
+
+  test('anything else is not', () => {
+    expect(shortcutFor(key('l'))).toBeNull();
+    expect(shortcutFor(key('c', { ctrlKey: true }))).toBeNull();
+    expect(shortcutFor(key('t', { ctrlKey: true, shiftKey: true }))).toBeNull();
+    expect(shortcutFor(key('w', { ctrlKey: true, altKey: true }))).toBeNull();
+  });
+});
+
+describe('keyLabel', () => {
+  test('printable characters type themselves, case kept', () => {
+    expect(keyLabel(key('k'))).toBe('k');
+    expect(keyLabel(key('K', { shiftKey: true }))).toBe('K');
+    expect(keyLabel(key('/'))).toBe('/');
+    expect(keyLabel(key('ㄱ'))).toBe('ㄱ');
+  });
+
+  test('editing keys name the VR keyboard keys', () => {
+    expect(keyLabel(key('Backspace'))).toBe('back');
+    expect(keyLabel(key('Enter'))).toBe('enter');
+    expect(keyLabel(key('Escape'))).toBe('esc');
+    expect(keyLabel(key(' '))).toBe('space');
+  });
+
+  test('arrows, Home and End move the caret; Ctrl or ⌘ edits', () => {
+    expect(keyLabel(key('ArrowLeft'))).toBe('left');
+    expect(keyLabel(key('End'))).toBe('end');
+    expect(keyLabel(key('a', { ctrlKey: true }))).toBe('selectAll');
+    expect(keyLabel(key('V', { metaKey: true }))).toBe('paste');
+    expect(keyLabel(key('Backspace', { ctrlKey: true }))).toBe('wordBack');
+  });
+
+  test('modifier combinations, other named keys and IME composition are not typed', () => {
+    expect(keyLabel(key('l', { ctrlKey: true }))).toBeNull();
+    expect(keyLabel(key('a', { altKey: true }))).toBeNull();
+    expect(keyLabel(key('Shift'))).toBeNull();
+    expect(keyLabel(key('ArrowUp'))).toBeNull();
+    expect(keyLabel(key('z', { ctrlKey: true, shiftKey: true }))).toBeNull();
+    expect(keyLabel(key('Process'))).toBeNull();
+    expect(keyLabel(key('k', { isComposing: true }))).toBeNull();
+  });
+});
@@ -16,6 +16,16 @@ describe('src/i18n/i18n', () => {
     expect(t('cta.enterVR')).toBe('VRモードに入る');
   });
 
+  test('fills {name} placeholders from params and leaves unknown ones', () => {
+    setLanguage('en');
+    expect(t('vr.reader.page', { page: 4 })).toBe('Page 4');
+    expect(t('vr.reader.page')).toBe('Page {page}');
+    expect(t('vr.reader.pageContinues', {})).toBe('Continues on page {page} — open it');
+    setLanguage('ja');
+    expect(t('vr.reader.pageFailed', { page: 3 })).toBe('3 ページを読み込めませんでした — 開く');
+    setLanguage('en');
+  });
+
   test('translates vr.msg.maxTabsReached (WCAG 4.1.3 status message)', () => {
     setLanguage('en');
     expect(t('vr.msg.maxTabsReached')).toBe('Maximum tabs reached');
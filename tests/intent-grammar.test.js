@@ -0,0 +1,114 @@
+/**
+ * Intent templates (src/vr/input/intentGrammar.js): tokenizing what was
+ * heard, reading slot values, and matching exactly and fuzzily in a spaced
+ * language (English) and an unspaced one (Japanese).
+ */
+
+const {
+  tolerance, editDistance, tokenize, parseNumber, parseOrdinal, matchTemplate, expandTemplate
+} = require('../src/vr/input/intentGrammar.js');
+
+const en = (template, text, fuzzy = false) =>
+  matchTemplate(template, tokenize(text, true), { spaced: true, fuzzy });
+const ja = (template, text, fuzzy = false) =>
+  matchTemplate(template, tokenize(text, false), { spaced: false, fuzzy });
+
+describe('tokenize', () => {
+  test('splits English on spaces and drops the punctuation a recogniser adds', () => {
+    expect(tokenize('Open GitHub.com, please.', true).map((t) => t.norm))
+      .toEqual(['open', 'github.com', 'please']);
+    expect(tokenize('Open GitHub', true)[1].raw).toBe('GitHub');
+  });
+
+  test('splits Japanese into characters, keeping Latin runs and numbers whole', () => {
+    expect(tokenize('１２番目のタブ。', false).map((t) => t.norm)).toEqual(['12', '番', '目', 'の', 'タ', 'ブ']);
+    expect(tokenize('githubを開く', false).map((t) => t.norm)).toEqual(['github', 'を', '開', 'く']);
+  });
+});
+
+describe('slot values', () => {
+  test.each([
+    ['3', 3], ['twelve', 12], ['三', 3], ['十', 10], ['十二', 12], ['二十', 20], ['二十五', 25]
+  ])('parseNumber(%s) is %d', (text, n) => {
+    expect(parseNumber(text)).toBe(n);
+  });
+
+  test.each([
+    ['second', 2], ['2nd', 2], ['last', -1], ['2番目', 2], ['二番目', 2], ['3つ目', 3], ['最初', 1], ['最後', -1]
+  ])('parseOrdinal(%s) is %d', (text, n) => {
+    expect(parseOrdinal(text)).toBe(n);
+  });
+
+  test('words that are not numbers are not read as one', () => {
+    expect(parseNumber('tab')).toBeUndefined();
+    expect(parseNumber('')).toBeUndefined();
+    expect(parseOrdinal('番目')).toBeUndefined();
+    expect(parseOrdinal('0th')).toBeUndefined();
+  });
+});
+
+describe('matchTemplate', () => {
+  test('fills typed slots', () => {
+    expect(en('[(open|go to)] [the] {n:ordinal} tab', 'open the second tab')).toEqual({ cost: 0, slots: { n: 2 } });
+    expect(en('scroll down {n:number} (line|lines)', 'scroll down 5 lines').slots).toEqual({ n: 5 });
+    expect(en('(open|go to) {site:site}', 'go to github dot com').slots).toEqual({ site: 'github.com' });
+    expect(en('bookmark [this] [page] as {name:text}', 'bookmark this page as Recipes').slots)
+      .toEqual({ name: 'Recipes' });
+  });
+
+  test('the whole utterance has to match, and slots only take their type', () => {
+    expect(en('[the] {n:ordinal} tab', 'the second tab please')).toBeNull();
+    expect(en('[the] {n:ordinal} tab', 'the purple tab')).toBeNull();
+    expect(en('close [this] tab', 'close tab')).toEqual({ cost: 0, slots: {} });
+  });
+
+  test('Japanese phrases match without spaces', () => {
+    expect(ja('{n:ordinal} の タブ [を 開く]', '2番目のタブを開く')).toEqual({ cost: 0, slots: { n: 2 } });
+    expect(ja('{n:ordinal} の タブ [を 開く]', '最後のタブ').slots).toEqual({ n: -1 });
+    expect(ja('この ページ を {name:text} と して ブックマーク', 'このページをレシピとしてブックマーク').slots)
+      .toEqual({ name: 'レシピ' });
+  });
+
+  test('fuzzy mode allows a few edits a word, and counts them', () => {
+    expect(en('scroll down a lot', 'scrol dawn a lot')).toBeNull();
+    expect(en('scroll down a lot', 'scrol dawn a lot', true)).toEqual({ cost: 2, slots: {} });
+    expect(en('[the] {n:ordinal} tab', 'the second tap', true)).toBeNull(); // "tab" is too short to bend
+    expect(ja('この ページ を ブックマーク', 'このページおブックマーク', true)).toEqual({ cost: 1, slots: {} });
+  });
+
+  test('tolerance grows with the word, and edit distance is by character', () => {
+    expect([tolerance('tab'), tolerance('scroll'), tolerance('bookmark')]).toEqual([0, 1, 2]);
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('タブ', 'タプ')).toBe(1);
+  });
+
+  test('an unknown slot type is an error in the grammar', () => {
+    expect(() => en('go {x:colour}', 'go red')).toThrow(/unknown slot type/);
+  });
+});
+
+describe('expandTemplate', () => {
+  test('says every way through the options and alternatives', () => {
+    expect(expandTemplate('close [this] tab', true)).toEqual(['close this tab', 'close tab']);
+    expect(expandTemplate('scroll down a (little|bit)', true)).toEqual(['scroll down a little', 'scroll down a bit']);
+    expect(expandTemplate('[この] タブ を 閉じる', false)).toEqual(['このタブを閉じる', 'タブを閉じる']);
+  });
+
+  test('fills slots from their samples, and each phrase matches its template', () => {
+    const template = '[the] {n:ordinal} tab';
+    const phrases = expandTemplate(template, true);
+    expect(phrases).toContain('the second tab');
+    expect(phrases).toContain('last tab');
+    for (const phrase of phrases) {
+      expect(en(template, phrase)).not.toBeNull();
+    }
+    for (const phrase of expandTemplate('{n:ordinal} の タブ', false)) {
+      expect(ja('{n:ordinal} の タブ', phrase)).not.toBeNull();
+    }
+  });
+
+  test('a slot with no fixed values, or too many phrases, is cut short', () => {
+    expect(expandTemplate('bookmark this page as {name:text}', true)).toEqual([]);
+    expect(expandTemplate('{a:number} {b:number} {c:number}', true, 50)).toHaveLength(50);
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Offline kana→kanji conversion: the dictionary format and clause
+ * segmentation (src/vr/input/kanjiDictionary.js), the dictionary that ships
+ * in public/dict, and JapaneseIME converting clause by clause with no network.
+ */
+
+const {
+  parseKanjiDictionary, KANJI_DICT_FORMAT, MAX_CANDIDATES, toKatakana
+} = require('../src/vr/input/kanjiDictionary.js');
+const { JapaneseIME } = require('../src/vr/input/JapaneseIME.js');
+const shipped = require('../public/dict/kanji-dict.json');
+
+const file = (words, okuri = {}) => ({ format: KANJI_DICT_FORMAT, version: 1, words, okuri });
+
+const small = () => parseKanjiDictionary(file({
+  'わたし': '私/渡し',
+  'がくせい': '学生',
+  'きょう': '今日/京',
+  'はい': '灰/肺',
+  'い': '胃',
+  'いい': '良い',
+  'もの': '物/者',
+  'かさ': '傘',
+  'きた': '北'
+}, {
+  'たb': '食',
+  'おくt': '送/贈',
+  'きt': '来',
+  'かi': '買/書'
+}));
+
+const firsts = (clauses) => clauses.map((c) => c.candidates[0]);
+
+describe('parseKanjiDictionary', () => {
+  test('reads slash-joined candidates and skips malformed entries', () => {
+    const dict = parseKanjiDictionary(file({
+      'わたし': '私//渡し/私',
+      'abc': 'x',
+      'ながいよみがなはじゅうにもじをこえる': '長',
+      'ねこ': ['猫', 3]
+    }, { 'たb': '食', 'たべ': '食' }));
+    expect(dict.lookup('わたし')).toEqual(['私', '渡し']);
+    expect(dict.lookup('ねこ')).toEqual(['猫']);
+    expect(dict.lookup('abc')).toEqual([]);
+    expect(dict.size).toBe(3);
+  });
+
+  test('anything but this format and version is no dictionary', () => {
+    expect(parseKanjiDictionary(null)).toBeNull();
+    expect(parseKanjiDictionary({ ...file({ 'ねこ': '猫' }), version: 2 })).toBeNull();
+    expect(parseKanjiDictionary({ ...file({ 'ねこ': '猫' }), format: 'skk' })).toBeNull();
+    expect(parseKanjiDictionary(file({ 'abc': 'x' }))).toBeNull();
+  });
+
+  test('reads the optional second tier', () => {
+    const dict = parseKanjiDictionary({
+      ...file({ 'いい': '良い' }),
+      more: { words: { 'いい': '謂/良い', 'はいい': '廃位', 'abc': 'x' }, okuri: { 'たまw': '賜' } }
+    });
+    expect(dict.lookup('いい')).toEqual(['良い', '謂']);
+    expect(dict.lookup('はいい')).toEqual(['廃位']);
+    expect(dict.size).toBe(4);
+    expect(parseKanjiDictionary({ ...file({}), more: { words: { 'ねこ': '猫' } } }).lookup('ねこ')).toEqual(['猫']);
+  });
+
+  test('lookups return copies', () => {
+    const dict = small();
+    dict.lookup('わたし').push('x');
+    expect(dict.lookup('わたし')).toEqual(['私', '渡し']);
+  });
+});
+
+describe('KanjiDictionary.segment', () => {
+  test('splits a sentence into clauses, particles and endings attached', () => {
+    const clauses = small().segment('わたしはがくせいです');
+    expect(clauses.map((c) => c.reading)).toEqual(['わたしは', 'がくせいです']);
+    expect(firsts(clauses)).toEqual(['私は', '学生です']);
+  });
+
+  test('takes the cheapest split, not the greedy longest match', () => {
+    // Greedy: きょう | はい | い → 今日灰胃.
+    expect(firsts(small().segment('きょうはいい'))).toEqual(['今日は', '良い']);
+    // Particles も + のに do not swallow もの.
+    expect(small().segment('かいものに').map((c) => c.reading)).toEqual(['かい', 'ものに']);
+    expect(firsts(small().segment('わたしのかさ'))).toEqual(['私の', '傘']);
+  });
+
+  test("a clause's tail is what follows its word", () => {
+    expect(small().segment('わたしはがくせいです').map((c) => c.tail)).toEqual(['は', 'です']);
+  });
+
+  test("the user's words are clauses of their own, offered first", () => {
+    const extra = new Map([['きたがわ', ['北川']], ['わたし', ['ワタシ']]]);
+    const clauses = small().segment('きたがわはわたしです', { extra });
+    expect(clauses.map((c) => c.reading)).toEqual(['きたがわは', 'わたしです']);
+    expect(firsts(clauses)).toEqual(['北川は', 'ワタシです']);
+    expect(clauses[1].candidates.slice(0, 3)).toEqual(['ワタシです', '私です', '渡しです']);
+  });
+
+  test('okuri-ari stems convert inflected verbs', () => {
+    expect(firsts(small().segment('たべました'))).toEqual(['食べました']);
+    expect(firsts(small().segment('おくってください'))).toEqual(['送ってください']);
+  });
+
+  test('a clause offers every way its head can be written, then kana', () => {
+    expect(small().segment('きた')[0].candidates).toEqual(['北', '来た', 'きた', 'キタ']);
+  });
+
+  test('kana the dictionary does not know stays as typed', () => {
+    const clauses = small().segment('ぷりん');
+    expect(clauses).toEqual([{ reading: 'ぷりん', tail: '', candidates: ['ぷりん', 'プリン'] }]);
+    expect(small().segment('')).toEqual([]);
+  });
+
+  test('second-tier words fill gaps but never split what common words cover', () => {
+    const dict = parseKanjiDictionary({
+      ...file({ 'きょう': '今日', 'いい': '良い', 'いき': '息' }, { 'いk': '行' }),
+      more: {
+        words: { 'はいい': '廃位', 'いき': '遺棄', 'しんかんせん': '新幹線', 'い': '井' },
+        okuri: { 'いk': '逝' }
+      }
+    });
+    expect(firsts(dict.segment('きょうはいい'))).toEqual(['今日は', '良い']);
+    expect(firsts(dict.segment('しんかんせんで'))).toEqual(['新幹線で']);
+    // The first tier's words and stems come before the second tier's.
+    expect(dict.segment('いき')[0].candidates.slice(0, 4)).toEqual(['息', '行き', '遺棄', '逝き']);
+  });
+
+  test('no clause offers more than MAX_CANDIDATES', () => {
+    const many = Array.from({ length: 20 }, (_, i) => `字${i}`).join('/');
+    const [clause] = parseKanjiDictionary(file({ 'じ': many })).segment('じ');
+    expect(clause.candidates).toHaveLength(MAX_CANDIDATES);
+    expect(clause.candidates.slice(-2)).toEqual(['じ', 'ジ']);
+  });
+});
+
+describe('toKatakana', () => {
+  test('converts hiragana and leaves the rest', () => {
+    expect(toKatakana('めーるをabc')).toBe('メールヲabc');
+  });
+});
+
+describe('the shipped dictionary', () => {
+  const dict = parseKanjiDictionary(shipped);
+
+  test('parses, and converts an everyday sentence', () => {
+    expect(dict).not.toBeNull();
+    expect(firsts(dict.segment('あしたとうきょうにいきます'))).toEqual(['明日', '東京に', '行きます']);
+    expect(firsts(dict.segment('にほんごのべんきょうをしています')))
+      .toEqual(['日本語の', '勉強をしています']);
+  });
+
+  test('has IPADIC as its second tier without changing everyday splits', () => {
+    expect(dict.moreWords.size).toBeGreaterThan(50000);
+    expect(firsts(dict.segment('きょうはいいてんきですね'))).toEqual(['今日は', '良い', '天気ですね']);
+    expect(firsts(dict.segment('しんかんせんでおおさかへ'))).toEqual(['新幹線で', '大阪へ']);
+    expect(firsts(dict.segment('でんしゃがおくれている'))[0]).toBe('電車が');
+  });
+
+  test('covers the words the old built-in list had', () => {
+    for (const reading of ['わたし', 'こんにちは', 'けんさく', 'せってい', 'どうが']) {
+      expect(dict.lookup(reading).length).toBeGreaterThan(0);
+    }
+  });
+});
+
+describe('JapaneseIME offline conversion', () => {
+  let fetchSpy;
+  beforeEach(() => {
+    localStorage.clear();
+    fetchSpy = jest.spyOn(global, 'fetch').mockRejectedValue(new TypeError('offline'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const ime = (load = async () => file({ 'わたし': '私/渡し', 'がくせい': '学生' })) => {
+    const i = new JapaneseIME({ loadDictionary: load });
+    i.compositionBuffer = 'watashihagakuseidesu';
+    return i;
+  };
+
+  test('converts clause by clause; the last choice confirms it all', async () => {
+    const i = ime();
+    const result = await i.convertToKanji();
+    expect(result).toMatchObject({ candidates: ['私は', '渡しは', 'わたしは', 'ワタシハ'], clause: 0, clauses: 2 });
+    expect(i.conversionPreview()).toBe('[わたしは]がくせいです');
+
+    expect(i.chooseCandidate(1)).toEqual({ done: false, text: '渡しは' });
+    expect(i.candidates[0]).toBe('学生です');
+    expect(i.conversionPreview()).toBe('渡しは[がくせいです]');
+
+    expect(i.chooseCandidate(0)).toEqual({ done: true, text: '渡しは学生です' });
+    expect(i.compositionBuffer).toBe('');
+    expect(i.conversionPreview()).toBeNull();
+  });
+
+  test('Enter mid-conversion takes the first candidate for the clauses left', async () => {
+    const i = ime();
+    await i.convertToKanji();
+    i.selectCandidate(2);
+    expect(i.confirmSelection()).toBe('わたしは学生です');
+  });
+
+  test('typing again abandons the conversion', async () => {
+    const i = ime();
+    await i.convertToKanji();
+    await i.processInput('a');
+    expect(i.conversionPreview()).toBeNull();
+  });
+
+  test('after a failed request conversion stops asking the server for a while', async () => {
+    const i = ime();
+    await i.convertToKanji();
+    await i.convertToKanji();
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+  });
+
+  test('a headset that reports itself offline never asks the server', async () => {
+    navigator.onLine = false;
+    try {
+      expect(await ime().getKanjiCandidates('わたし')).toEqual(['私', '渡し', 'わたし']);
+      expect(fetchSpy).not.toHaveBeenCalled();
+    } finally {
+      delete navigator.onLine;
+    }
+  });
+
+  test('the dictionary loads once; a failed load is retried next time', async () => {
+    const load = jest.fn()
+      .mockRejectedValueOnce(new Error('HTTP 503'))
+      .mockResolvedValue(file({ 'かさ': '傘' }));
+    const i = new JapaneseIME({ loadDictionary: load });
+    expect(await i.loadDictionary()).toBeNull();
+    expect(await i.loadDictionary()).not.toBeNull();
+    await i.loadDictionary();
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+
+  test('without a dictionary the built-in list still answers', async () => {
+    const i = new JapaneseIME();
+    i.compositionBuffer = 'watashi';
+    const result = await i.convertToKanji();
+    expect(result.candidates).toEqual(['私', '渡し']);
+    expect(result.clauses).toBe(1);
+  });
+});
@@ -2,7 +2,7 @@
  * Unit tests for the pure VR keyboard layout maths.
  */
 const {
-  KEY_W, KEY_H, GAP, ROWS, computeKeyLayout, keyboardBounds
+  KEY_W, KEY_H, GAP, ROWS, PLAIN_ROWS, computeKeyLayout, keyboardBounds
 } = require('../src/vr/input/keyboardLayout.js');
 
 describe('computeKeyLayout', () => {
@@ -79,6 +79,21 @@ describe('computeKeyLayout', () => {
   test('scale defaults to 1 (unchanged geometry)', () => {
     expect(computeKeyLayout(ROWS, 1)).toEqual(computeKeyLayout());
   });
+
+  test('glyph overrides print an input method\'s letters on the keys', () => {
+    const keys = computeKeyLayout(ROWS, 1, { r: 'ㄱ', back: null });
+    expect(keys.find(k => k.label === 'r').glyph).toBe('ㄱ');
+    expect(keys.find(k => k.label === 'back').glyph).toBe('⌫');
+  });
+
+  test('both layouts have the language key; only Japanese has かな and 変換', () => {
+    const japanese = computeKeyLayout(ROWS).map(k => k.label);
+    const plain = computeKeyLayout(PLAIN_ROWS).map(k => k.label);
+    expect(japanese).toContain('lang');
+    expect(plain).toContain('lang');
+    expect(plain).not.toContain('変換');
+    expect(keyboardBounds(PLAIN_ROWS).height).toBeCloseTo(keyboardBounds(ROWS).height, 9);
+  });
 });
 
 describe('keyboardBounds', () => {
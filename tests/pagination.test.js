@@ -0,0 +1,138 @@
+/**
+ * Multi-page article detection and stitching (pagination.js).
+ *
+ * The URL shapes are the ones news sites actually paginate with; the
+ * negative cases are the look-alikes that must never be stitched on — the
+ * next article, the next day's archive, the next WordPress post.
+ */
+
+const {
+  findNextPageUrl, isNextPageOf, seenBlockKeys, dedupeRepeatedBlocks, pageBreakBlock
+} = require('../src/vr/browser/pagination.js');
+const { extractReaderDocument, readerDocumentFromJson } = require('../src/vr/browser/readableText.js');
+const { layoutReaderLines } = require('../src/vr/browser/readerLayout.js');
+
+describe('isNextPageOf', () => {
+  test.each([
+    ['https://n.example/story?page=2', 'https://n.example/story'],
+    ['https://n.example/story?id=7&page=3', 'https://n.example/story?page=2&id=7'],
+    ['https://n.example/story/2/', 'https://n.example/story/'],
+    ['https://n.example/story/3', 'https://n.example/story/2'],
+    ['https://n.example/news/a123_2.html', 'https://n.example/news/a123.html'],
+    ['https://n.example/news/a123-3.html', 'https://n.example/news/a123-2.html'],
+    ['https://n.example/blog/post/page/2/', 'https://n.example/blog/post/']
+  ])('%s follows %s', (next, current) => {
+    expect(isNextPageOf(next, current)).toBe(true);
+  });
+
+  test.each([
+    ['a different story', 'https://n.example/other?page=2', 'https://n.example/story'],
+    ['a skipped page', 'https://n.example/story?page=3', 'https://n.example/story'],
+    ['the previous page', 'https://n.example/story?page=1', 'https://n.example/story?page=2'],
+    ['the next day\'s archive', 'https://n.example/2024/10/20', 'https://n.example/2024/10/19'],
+    ['the next WordPress post', 'https://n.example/?p=124', 'https://n.example/?p=123'],
+    ['a neighbouring article id', 'https://n.example/item-124.html', 'https://n.example/item-123.html'],
+    ['another origin', 'https://other.example/story?page=2', 'https://n.example/story'],
+    ['the same URL', 'https://n.example/story', 'https://n.example/story']
+  ])('%s is not the next page', (_name, next, current) => {
+    expect(isNextPageOf(next, current)).toBe(false);
+  });
+});
+
+describe('findNextPageUrl', () => {
+  const url = 'https://n.example/story';
+
+  test('<link rel="next"> wins', () => {
+    const html = '<head><link rel="next" href="/story?page=2"></head><body><a href="/story?page=9">9</a></body>';
+    expect(findNextPageUrl(html, url)).toBe('https://n.example/story?page=2');
+  });
+
+  test('<a rel="next"> counts too, among other rel tokens', () => {
+    expect(findNextPageUrl('<a rel="nofollow next" href="?page=2">Next</a>', url)).toBe('https://n.example/story?page=2');
+  });
+
+  test('a numbered pager is followed without any rel', () => {
+    const pager = '<div class="pager"><span>1</span><a href="/story?page=2">2</a><a href="/story?page=3">3</a></div>';
+    expect(findNextPageUrl(`<p>Text</p>${pager}`, url)).toBe('https://n.example/story?page=2');
+  });
+
+  test('a "Next" link to another article is ignored', () => {
+    expect(findNextPageUrl('<a class="next" href="/another-story">Next article ›</a>', url)).toBe('');
+  });
+
+  test('a rel="next" to another site is ignored', () => {
+    expect(findNextPageUrl('<link rel="next" href="https://elsewhere.example/2">', url)).toBe('');
+  });
+
+  test('entities in the href are decoded and the fragment dropped', () => {
+    const html = '<a href="/story?id=7&amp;page=2#top">2</a>';
+    expect(findNextPageUrl(html, 'https://n.example/story?id=7')).toBe('https://n.example/story?id=7&page=2');
+  });
+
+  test('no base URL, no answer', () => {
+    expect(findNextPageUrl('<link rel="next" href="/2">', '')).toBe('');
+  });
+});
+
+describe('dedupeRepeatedBlocks', () => {
+  const page1 = [
+    { type: 'p', text: 'By A. Writer' },
+    { type: 'p', text: 'The first part of the story.' }
+  ];
+
+  test('the headline, byline and footer every page repeats are dropped', () => {
+    const seen = seenBlockKeys('Bridge to reopen', page1);
+    const page2 = [
+      { type: 'h', text: 'Bridge to reopen (2/3)' },
+      { type: 'p', text: 'By A. Writer' },
+      { type: 'p', text: 'The second part.' },
+      { type: 'p', text: 'By A. Writer' }
+    ];
+    expect(dedupeRepeatedBlocks(seen, page2)).toEqual([{ type: 'p', text: 'The second part.' }]);
+  });
+
+  test('a repeated paragraph inside the story is kept, a repeated heading is not', () => {
+    const seen = seenBlockKeys('T', [{ type: 'h', text: 'Background' }, { type: 'p', text: 'Yes.' }]);
+    const page2 = [
+      { type: 'p', text: 'New text.' }, { type: 'p', text: 'Yes.' },
+      { type: 'h', text: 'Background – Page 2' }, { type: 'p', text: 'More.' }
+    ];
+    expect(dedupeRepeatedBlocks(seen, page2).map((b) => b.text)).toEqual(['New text.', 'Yes.', 'More.']);
+  });
+
+  test('page 1 served again adds nothing', () => {
+    expect(dedupeRepeatedBlocks(seenBlockKeys('', page1), page1)).toEqual([]);
+  });
+
+  test('what is kept is remembered for the next page', () => {
+    const seen = seenBlockKeys('', page1);
+    dedupeRepeatedBlocks(seen, [{ type: 'p', text: 'Page two.' }]);
+    expect(dedupeRepeatedBlocks(seen, [{ type: 'p', text: 'Page two.' }])).toEqual([]);
+  });
+});
+
+describe('page breaks', () => {
+  test('lay out as a pageBreak line between blank lines', () => {
+    const lines = layoutReaderLines([{ type: 'p', text: 'One' }, pageBreakBlock('Page 2'), { type: 'p', text: 'Two' }]);
+    expect(lines.map((l) => l.style)).toEqual(['p', 'blank', 'pageBreak', 'blank', 'p']);
+  });
+
+  test('a linked break is followable over its whole label', () => {
+    const [line] = layoutReaderLines([pageBreakBlock('Continues on page 6', 'https://n.example/s?page=6')]);
+    expect(line.links).toEqual([{ start: 0, end: 19, href: 'https://n.example/s?page=6' }]);
+  });
+});
+
+describe('reader documents carry nextPage', () => {
+  test('extracted from the full page, pager and all', () => {
+    const html = '<body><article><p>Story text that is long enough to read.</p></article>' +
+      '<nav class="pagination"><a href="?page=2">2</a></nav></body>';
+    expect(extractReaderDocument(html, { baseUrl: 'https://n.example/s' }).nextPage).toBe('https://n.example/s?page=2');
+  });
+
+  test('validated from proxy JSON', () => {
+    expect(readerDocumentFromJson({ nextPage: 'https://n.example/s?page=2' }).nextPage).toBe('https://n.example/s?page=2');
+    expect(readerDocumentFromJson({ nextPage: 'javascript:alert(1)' }).nextPage).toBe('');
+    expect(readerDocumentFromJson({ nextPage: 3 }).nextPage).toBe('');
+  });
+});
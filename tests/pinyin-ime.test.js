@@ -0,0 +1,110 @@
+/**
+ * Chinese input: pinyin splitting and lookup (src/vr/input/pinyinTable.js)
+ * and the engine that offers candidates as pinyin is typed
+ * (src/vr/input/PinyinIME.js).
+ */
+
+const { splitPinyin, pinyinCandidates } = require('../src/vr/input/pinyinTable.js');
+const { PinyinIME } = require('../src/vr/input/PinyinIME.js');
+
+async function type(ime, letters) {
+  let last;
+  for (const key of letters) {
+    last = await ime.processInput(key);
+  }
+  return last;
+}
+
+describe('splitPinyin', () => {
+  test('takes the longest syllable unless that strands the rest', () => {
+    expect(splitPinyin('nihao').map((s) => s.syllable)).toEqual(['ni', 'hao']);
+    expect(splitPinyin('xian').map((s) => s.syllable)).toEqual(['xian']);
+    expect(splitPinyin('xiane').map((s) => s.syllable)).toEqual(['xian', 'e']);
+  });
+
+  test('the last piece may be a syllable only begun', () => {
+    expect(splitPinyin('zh')).toEqual([{ syllable: 'zh', complete: false }]);
+    expect(splitPinyin('nih')).toEqual([
+      { syllable: 'ni', complete: true }, { syllable: 'h', complete: false }
+    ]);
+  });
+
+  test('letters that are not pinyin are null', () => {
+    expect(splitPinyin('www')).toBeNull();
+    expect(splitPinyin('')).toEqual([]);
+  });
+});
+
+describe('pinyinCandidates', () => {
+  test('words covering the most syllables come first, then characters', () => {
+    const found = pinyinCandidates('nihao');
+    expect(found[0]).toEqual({ text: '你好', length: 5 });
+    expect(found[1]).toEqual({ text: '你', length: 2 });
+  });
+
+  test('a half-typed last syllable still finds the word', () => {
+    expect(pinyinCandidates('nih')[0]).toEqual({ text: '你好', length: 3 });
+  });
+
+  test('at most ten, and none for letters that are not pinyin', () => {
+    expect(pinyinCandidates('zh').length).toBeLessThanOrEqual(10);
+    expect(pinyinCandidates('www')).toEqual([]);
+  });
+});
+
+describe('PinyinIME', () => {
+  test('offers candidates as the pinyin is typed', async () => {
+    const ime = new PinyinIME();
+    const state = await type(ime, 'nihao');
+    expect(state.candidates[0]).toBe('你好');
+    expect(ime.conversionPreview()).toBe('[ni hao]');
+  });
+
+  test('choosing a candidate converts only the letters it used', async () => {
+    const ime = new PinyinIME();
+    await type(ime, 'womenhao');
+    const first = ime.candidates.indexOf('我们');
+    expect(ime.chooseCandidate(first)).toEqual({ done: false, text: '我们' });
+    expect(ime.conversionPreview()).toBe('我们[hao]');
+    expect(ime.candidates).toContain('好');
+  });
+
+  test('Space takes the first candidate, then types a space', async () => {
+    const ime = new PinyinIME();
+    await type(ime, 'nihao');
+    expect(await ime.onSpace()).toEqual({ candidates: [] });
+    expect(await ime.onSpace()).toBeNull();
+    expect(ime.compositionBuffer).toBe('你好 ');
+  });
+
+  test('Enter sends pinyin left unconverted as letters', async () => {
+    const ime = new PinyinIME();
+    await type(ime, 'ni');
+    ime.chooseCandidate(0);
+    await type(ime, 'hao');
+    expect(ime.confirmSelection()).toBe('你hao');
+  });
+
+  test('letters that are not pinyin and other keys go in as typed', async () => {
+    const ime = new PinyinIME();
+    await type(ime, 'www.');
+    expect(ime.compositionBuffer).toBe('www.');
+    expect(ime.candidates).toEqual([]);
+  });
+
+  test('capitals are not pinyin', async () => {
+    const ime = new PinyinIME();
+    await type(ime, 'Hao');
+    expect(ime.compositionBuffer).toBe('Hao');
+    expect(ime.conversionPreview()).toBe('H[ao]');
+  });
+
+  test('Backspace removes a pinyin letter before committed text', async () => {
+    const ime = new PinyinIME();
+    await type(ime, 'ni');
+    ime.chooseCandidate(0);
+    await type(ime, 'h');
+    expect(ime.deleteLast().converted).toBe('你');
+    expect(ime.deleteLast().converted).toBe('');
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Charset detection for the reader proxy.
+ *
+ * Japanese news and government sites still serve Shift_JIS, EUC-JP and
+ * ISO-2022-JP, and the proxy used to decode every body as UTF-8 — so these are
+ * tested on the actual byte sequences for 日本 in each encoding, not on
+ * strings that were already decoded.
+ */
+
+const {
+  normalizeCharset, charsetFromContentType, charsetFromBom, charsetFromMeta,
+  detectCharset, decodeBody, META_PRESCAN_BYTES
+} = require('../proxy/charset.js');
+
+// 日本 in each encoding.
+const SJIS = [0x93, 0xfa, 0x96, 0x7b];
+const EUCJP = [0xc6, 0xfc, 0xcb, 0xdc];
+const ISO2022JP = [0x1b, 0x24, 0x42, 0x46, 0x7c, 0x4b, 0x5c, 0x1b, 0x28, 0x42];
+
+/** ASCII markup around raw body bytes. */
+function page(head, bodyBytes) {
+  return Buffer.concat([
+    Buffer.from(`<html><head>${head}</head><body><p>`, 'latin1'),
+    Buffer.from(bodyBytes),
+    Buffer.from('</p></body></html>', 'latin1')
+  ]);
+}
+
+describe('normalizeCharset', () => {
+  test.each([
+    ['Shift_JIS', 'shift_jis'],
+    ['shift-jis', 'shift_jis'],
+    ['x-sjis', 'shift_jis'],
+    ['Windows-31J', 'shift_jis'],
+    ['EUC-JP', 'euc-jp'],
+    ['ISO-2022-JP', 'iso-2022-jp'],
+    ['UTF8', 'utf-8'],
+    ['"utf-8"', 'utf-8']
+  ])('%s → %s', (label, expected) => {
+    expect(normalizeCharset(label)).toBe(expected);
+  });
+
+  test('an unknown label is rejected rather than guessed', () => {
+    expect(normalizeCharset('klingon-8')).toBe('');
+    expect(normalizeCharset('')).toBe('');
+    expect(normalizeCharset(null)).toBe('');
+  });
+});
+
+describe('charsetFromContentType', () => {
+  test('reads the charset parameter', () => {
+    expect(charsetFromContentType('text/html; charset=Shift_JIS')).toBe('shift_jis');
+    expect(charsetFromContentType('text/html;charset="euc-jp"')).toBe('euc-jp');
+  });
+
+  test('no parameter means no answer', () => {
+    expect(charsetFromContentType('text/html')).toBe('');
+    expect(charsetFromContentType(undefined)).toBe('');
+  });
+});
+
+describe('charsetFromBom', () => {
+  test('recognises UTF-8 and both UTF-16 byte orders', () => {
+    expect(charsetFromBom(Buffer.from([0xef, 0xbb, 0xbf, 0x41]))).toBe('utf-8');
+    expect(charsetFromBom(Buffer.from([0xfe, 0xff, 0x00, 0x41]))).toBe('utf-16be');
+    expect(charsetFromBom(Buffer.from([0xff, 0xfe, 0x41, 0x00]))).toBe('utf-16le');
+  });
+
+  test('no BOM means no answer', () => {
+    expect(charsetFromBom(Buffer.from('<html>'))).toBe('');
+  });
+});
+
+describe('charsetFromMeta', () => {
+  test('<meta charset>', () => {
+    expect(charsetFromMeta(page('<meta charset="shift_jis">', SJIS))).toBe('shift_jis');
+  });
+
+  test('<meta http-equiv="Content-Type">', () => {
+    const head = '<meta http-equiv="Content-Type" content="text/html; charset=EUC-JP">';
+    expect(charsetFromMeta(page(head, EUCJP))).toBe('euc-jp');
+  });
+
+  test('a declaration past the prescan window is ignored, as browsers do', () => {
+    const pad = ' '.repeat(META_PRESCAN_BYTES);
+    expect(charsetFromMeta(page(`${pad}<meta charset="shift_jis">`, SJIS))).toBe('');
+  });
+
+  test('a UTF-16 meta declaration is treated as UTF-8', () => {
+    expect(charsetFromMeta(page('<meta charset="utf-16">', []))).toBe('utf-8');
+  });
+});
+
+describe('detectCharset — precedence', () => {
+  test('the BOM beats the header', () => {
+    const bytes = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('<p>x</p>')]);
+    expect(detectCharset(bytes, 'text/html; charset=shift_jis')).toEqual({ charset: 'utf-8', source: 'bom' });
+  });
+
+  test('the header beats <meta>', () => {
+    const bytes = page('<meta charset="euc-jp">', SJIS);
+    expect(detectCharset(bytes, 'text/html; charset=Shift_JIS')).toEqual({ charset: 'shift_jis', source: 'header' });
+  });
+
+  test('<meta> is used when the header is silent', () => {
+    expect(detectCharset(page('<meta charset="euc-jp">', EUCJP), 'text/html').source).toBe('meta');
+  });
+
+  test('undeclared ISO-2022-JP is recognised by its escape sequences', () => {
+    expect(detectCharset(page('', ISO2022JP), 'text/html')).toEqual({ charset: 'iso-2022-jp', source: 'sniff' });
+  });
+
+  test('nothing declared falls back to UTF-8', () => {
+    expect(detectCharset(Buffer.from('<p>plain</p>'), 'text/html')).toEqual({ charset: 'utf-8', source: 'default' });
+  });
+});
+
+describe('decodeBody — transcoding to a JS string', () => {
+  test.each([
+    ['Shift_JIS', SJIS, 'text/html; charset=Shift_JIS', 'shift_jis'],
+    ['EUC-JP', EUCJP, 'text/html; charset=EUC-JP', 'euc-jp'],
+    ['ISO-2022-JP', ISO2022JP, 'text/html; charset=ISO-2022-JP', 'iso-2022-jp']
+  ])('%s bytes decode to 日本, not mojibake', (_name, bytes, ct, charset) => {
+    const out = decodeBody(page('', bytes), ct);
+    expect(out.charset).toBe(charset);
+    expect(out.text).toContain('<p>日本</p>');
+  });
+
+  test('a meta-declared Shift_JIS page decodes without any header', () => {
+    expect(decodeBody(page('<meta charset="Shift_JIS">', SJIS), 'text/html').text).toContain('日本');
+  });
+
+  test('UTF-8 pages are unchanged', () => {
+    const out = decodeBody(Buffer.from('<p>日本語</p>', 'utf8'), 'text/html; charset=utf-8');
+    expect(out).toEqual({ text: '<p>日本語</p>', charset: 'utf-8' });
+  });
+
+  test('the BOM is consumed rather than leaking into the text', () => {
+    const out = decodeBody(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('<p>x</p>')]));
+    expect(out.text.charCodeAt(0)).toBe('<'.charCodeAt(0));
+  });
+
+  test('an invalid byte becomes U+FFFD instead of losing the page', () => {
+    const out = decodeBody(Buffer.from([0x3c, 0x70, 0x3e, 0xff, 0x3c]), 'text/html; charset=utf-8');
+    expect(out.text).toBe('<p>�<');
+  });
+});
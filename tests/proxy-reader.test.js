@@ -0,0 +1,131 @@
+/**
+ * The proxy's `/reader` route: server-side extraction returned as JSON.
+ *
+ * Only the offline parts are exercised — the payload builder on a canned
+ * fetch result, and the routing/validation answers that never reach the
+ * network. Fetching itself is fetchThroughGuard's job and is guarded by
+ * tests/ssrf-guard.test.js.
+ */
+
+const { request } = require('node:http');
+
+// The real extractor, except on a page marked to make it throw, standing in
+// for any page it cannot cope with.
+jest.mock('../src/vr/browser/readableText.js', () => {
+  const actual = jest.requireActual('../src/vr/browser/readableText.js');
+  return {
+    ...actual,
+    extractReaderDocument: (html, opts) => {
+      if (html.includes('EXTRACT-THROWS')) {
+        throw new RangeError('Maximum call stack size exceeded');
+      }
+      return actual.extractReaderDocument(html, opts);
+    }
+  };
+});
+
+const { readerPayload, createProxyServer } = require('../proxy/server.js');
+
+describe('readerPayload', () => {
+  const out = {
+    body: '<html lang="ja"><head><title>記事</title></head><body><article>' +
+      '<h2>見出し</h2><p>本文です。<a href="../next">次へ</a></p></article></body></html>',
+    finalUrl: 'https://news.example.jp/2024/05/article',
+    charset: 'shift_jis'
+  };
+
+  test('returns the documented shape', () => {
+    const p = readerPayload(out);
+    expect(Object.keys(p).sort()).toEqual(
+      ['blocks', 'byline', 'charset', 'finalUrl', 'lang', 'links', 'nextPage', 'publishedAt', 'title']
+    );
+    expect(p.title).toBe('記事');
+    expect(p.blocks).toEqual([{ type: 'h', text: '見出し' }, {
+      type: 'p', text: '本文です。 次へ', links: [{ start: 6, end: 8, href: 'https://news.example.jp/2024/next' }]
+    }]);
+    expect(p.charset).toBe('shift_jis');
+    expect(p.lang).toBe('ja');
+  });
+
+  test('links are resolved against where redirects ended, not the requested URL', () => {
+    expect(readerPayload(out).links).toEqual([{ href: 'https://news.example.jp/2024/next', text: '次へ' }]);
+  });
+
+  test('the payload is far smaller than the markup it replaces', () => {
+    const padded = { ...out, body: out.body.replace('<body>', `<body><script>${'x'.repeat(100000)}</script>`) };
+    expect(JSON.stringify(readerPayload(padded)).length).toBeLessThan(1000);
+  });
+});
+
+describe('/reader routing', () => {
+  let server;
+  let port;
+  beforeAll((done) => {
+    server = createProxyServer().listen(0, '127.0.0.1', () => {
+      port = server.address().port;
+      done();
+    });
+  });
+  afterAll((done) => { server.close(done); });
+
+  function get(path) {
+    return new Promise((resolve, reject) => {
+      request({ host: '127.0.0.1', port, path, method: 'GET' }, (res) => {
+        let body = '';
+        res.on('data', (c) => { body += c; });
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+      }).on('error', reject).end();
+    });
+  }
+
+  test('a missing url is a 400, not a crash', async () => {
+    const r = await get('/reader');
+    expect(r.status).toBe(400);
+    expect(JSON.parse(r.body)).toEqual({ error: 'missing-url' });
+  });
+
+  test('the SSRF guard applies to /reader exactly as to /fetch', async () => {
+    const r = await get(`/reader?url=${encodeURIComponent('http://127.0.0.1:8080/')}`);
+    expect(r.status).toBe(400);
+    expect(JSON.parse(r.body).error).toBe('host-blocked:loopback');
+  });
+
+  test('the charset header is exposed to cross-origin readers', async () => {
+    const r = await get('/health');
+    expect(r.headers['access-control-expose-headers']).toBe('x-reader-charset');
+  });
+});
+
+describe('/reader on a page the extractor cannot handle', () => {
+  let server;
+  let port;
+  const page = (body) => ({ ok: true, status: 200, contentType: 'text/html', body, charset: 'utf-8', finalUrl: 'https://example.com/a' });
+  beforeAll((done) => {
+    const fetchPage = (target) => Promise.resolve(page(target.includes('bad')
+      ? '<html><body>EXTRACT-THROWS</body></html>'
+      : '<html><head><title>Fine</title></head><body><article><p>Readable text.</p></article></body></html>'));
+    server = createProxyServer({ fetchPage }).listen(0, '127.0.0.1', () => {
+      port = server.address().port;
+      done();
+    });
+  });
+  afterAll((done) => { server.close(done); });
+
+  const get = (path) => new Promise((resolve, reject) => {
+    request({ host: '127.0.0.1', port, path, method: 'GET' }, (res) => {
+      let body = '';
+      res.on('data', (c) => { body += c; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject).end();
+  });
+
+  test('is answered with a 502, and the server keeps serving', async () => {
+    const bad = await get(`/reader?url=${encodeURIComponent('https://example.com/bad')}`);
+    expect(bad.status).toBe(502);
+    expect(JSON.parse(bad.body)).toEqual({ error: 'extract-failed' });
+
+    const good = await get(`/reader?url=${encodeURIComponent('https://example.com/good')}`);
+    expect(good.status).toBe(200);
+    expect(JSON.parse(good.body).title).toBe('Fine');
+  });
+});
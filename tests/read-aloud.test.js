@@ -0,0 +1,354 @@
+/**
+ * Read aloud (src/vr/browser/readAloud.js, WebPanel's read-aloud): reader
+ * lines as sentences, the voice for the page's language, and a WebPanel
+ * speaking an article through a fake speechSynthesis — highlight, scrolling,
+ * pause / resume / skip from the chrome, and the "read aloud" voice command.
+ *
+ * THREE and the 2D canvas are stubbed as in webpanel-states.test.js.
+ */
+
+class MockMesh {
+  constructor() {
+    this.visible = true;
+    this.geometry = { dispose() {} };
+    this.material = { map: null, dispose() {} };
+    this.position = { set() {} };
+  }
+  worldToLocal(v) { return v; }
+}
+
+jest.mock('three', () => ({
+  Group: class {
+    constructor() { this.position = { set() {} }; this.rotation = {}; this._objects = []; }
+    add(o) { this._objects.push(o); }
+    remove(o) { this._objects = this._objects.filter(x => x !== o); }
+    traverse(fn) { this._objects.forEach(fn); fn(this); }
+  },
+  Mesh: MockMesh,
+  PlaneGeometry: class { dispose() {} },
+  MeshBasicMaterial: class { dispose() {} },
+  CanvasTexture: class { constructor() { this.needsUpdate = false; this.colorSpace = ''; } dispose() {} },
+  SRGBColorSpace: 'srgb',
+  MathUtils: { degToRad: (d) => d * Math.PI / 180 }
+}));
+
+// Records the colour of every rectangle filled and every text drawn.
+const painted = { rects: [], texts: [] };
+const ctx2d = {
+  fillStyle: '',
+  clearRect() {},
+  fillRect(x, y, w, h) { painted.rects.push({ x, y, w, h, color: this.fillStyle }); },
+  fillText(text) { painted.texts.push(text); },
+  strokeRect() {},
+  set strokeStyle(v) {}, set font(v) {}, set textAlign(v) {}, set lineWidth(v) {}, set textBaseline(v) {}
+};
+global.document = {
+  createElement(tag) {
+    if (tag === 'canvas') return { width: 0, height: 0, getContext: () => ctx2d };
+    if (tag === 'iframe') {
+      return { src: '', style: { cssText: '' }, onload: null, onerror: null, setAttribute() {} };
+    }
+    return {};
+  },
+  body: { appendChild() {}, removeChild() {} }
+};
+
+const {
+  readAloudSentences, sentenceAtScroll, scrollForSentence, readerLanguage, pickVoice
+} = require('../src/vr/browser/readAloud.js');
+const { WebPanel } = require('../src/vr/browser/WebPanel.js');
+const { webContentColors } = require('../src/vr/browser/chromeColors.js');
+const { VoiceCommands } = require('../src/vr/input/VoiceCommands.js');
+const { voiceGrammar } = require('../src/vr/input/voiceGrammar.js');
+const G = require('../src/vr/browser/panelGeometry.js');
+
+describe('readAloudSentences', () => {
+  test('joins wrapped rows and maps each sentence back onto them', () => {
+    const lines = [
+      { text: 'Title', style: 'title' },
+      { text: '', style: 'blank' },
+      { text: 'One two. Three', style: 'p' },
+      { text: 'four! Five', style: 'p' }
+    ];
+    expect(readAloudSentences(lines)).toEqual([
+      { text: 'Title', spans: [{ line: 0, start: 0, end: 5 }] },
+      { text: 'One two.', spans: [{ line: 2, start: 0, end: 8 }] },
+      { text: 'Three four!', spans: [{ line: 2, start: 9, end: 14 }, { line: 3, start: 0, end: 5 }] },
+      { text: 'Five', spans: [{ line: 3, start: 6, end: 10 }] }
+    ]);
+  });
+
+  test('Japanese rows join without a space and split after 。', () => {
+    const lines = [{ text: '今日は晴れ', style: 'p' }, { text: 'です。明日は雨。', style: 'p' }];
+    expect(readAloudSentences(lines).map((s) => s.text)).toEqual(['今日は晴れです。', '明日は雨。']);
+  });
+
+  test('list items and table rows are read one by one, without markers; code is skipped', () => {
+    const lines = [
+      { text: '• First item', style: 'li' },
+      { text: 'wraps here', style: 'li' },
+      { text: '• Second', style: 'li' },
+      { text: 'const a = 1;', style: 'pre' },
+      { text: 'Name  Age', style: 'td', cells: [] },
+      { text: 'Ann  30', style: 'td', cells: [] }
+    ];
+    const sentences = readAloudSentences(lines);
+    expect(sentences.map((s) => s.text)).toEqual(['First item wraps here', 'Second', 'Name  Age', 'Ann  30']);
+    expect(sentences[0].spans[0]).toEqual({ line: 0, start: 2, end: 12 });
+  });
+
+  test('a sentence is not split inside a number or a URL', () => {
+    const lines = [{ text: 'It costs 3.50 at example.com today. Yes.', style: 'p' }];
+    expect(readAloudSentences(lines).map((s) => s.text)).toEqual(['It costs 3.50 at example.com today.', 'Yes.']);
+  });
+});
+
+describe('where reading starts and scrolls to', () => {
+  const at = (...lines) => ({ spans: lines.map((line) => ({ line })) });
+  const sentences = [at(0), at(2, 3), at(5), at(20, 21)];
+
+  test('reading starts with the first sentence that reaches the viewport', () => {
+    expect(sentenceAtScroll(sentences, 0)).toBe(0);
+    expect(sentenceAtScroll(sentences, 3)).toBe(1);
+    expect(sentenceAtScroll(sentences, 4)).toBe(2);
+    expect(sentenceAtScroll(sentences, 22)).toBe(-1);
+  });
+
+  test('a sentence in full view does not scroll; one off screen is brought to the top', () => {
+    expect(scrollForSentence(sentences[1], 0, 10)).toBe(0);
+    expect(scrollForSentence(sentences[3], 0, 10)).toBe(19);
+    expect(scrollForSentence(at(9, 10), 0, 10)).toBe(8);
+    expect(scrollForSentence(sentences[0], 4, 10)).toBe(0);
+  });
+});
+
+describe('the voice', () => {
+  test('the page language comes from lang, else from kana', () => {
+    expect(readerLanguage({ lang: 'en_GB' }, 'Hello')).toBe('en-GB');
+    expect(readerLanguage({ lang: '' }, 'こんにちは')).toBe('ja');
+    expect(readerLanguage(null, '漢字')).toBe('');
+    expect(readerLanguage({}, 'Hello')).toBe('');
+  });
+
+  test('an exact match first, then the same language; default, then local', () => {
+    const voices = [
+      { name: 'US remote', lang: 'en-US' },
+      { name: 'GB local', lang: 'en-GB', localService: true },
+      { name: 'GB default', lang: 'en_GB', default: true },
+      { name: 'Kyoko', lang: 'ja-JP' }
+    ];
+    expect(pickVoice(voices, 'en-GB').name).toBe('GB default');
+    expect(pickVoice(voices, 'en-US').name).toBe('US remote');
+    expect(pickVoice(voices, 'en').name).toBe('GB default');
+    expect(pickVoice(voices, 'ja').name).toBe('Kyoko');
+    expect(pickVoice(voices, 'fr')).toBeNull();
+    expect(pickVoice([], 'en')).toBeNull();
+  });
+});
+
+/** A speechSynthesis that records utterances and lets the test end them. */
+function fakeSpeech() {
+  const speech = {
+    spoken: [],
+    cancelled: 0,
+    voices: [{ name: 'Samantha', lang: 'en-US', default: true }, { name: 'Kyoko', lang: 'ja-JP' }],
+    speak(u) { speech.spoken.push(u); },
+    cancel() { speech.cancelled++; },
+    getVoices() { return speech.voices; },
+    get last() { return speech.spoken[speech.spoken.length - 1]; },
+    texts() { return speech.spoken.map((u) => u.text); }
+  };
+  return speech;
+}
+
+function Utterance(text) {
+  this.text = text;
+}
+
+describe('WebPanel reading an article aloud', () => {
+  let speech, saved;
+  beforeEach(() => {
+    saved = ['speechSynthesis', 'SpeechSynthesisUtterance'].map((name) => [name, globalThis[name]]);
+    speech = fakeSpeech();
+    globalThis.speechSynthesis = speech;
+    globalThis.SpeechSynthesisUtterance = Utterance;
+    painted.rects.length = 0;
+  });
+  afterEach(() => {
+    for (const [name, value] of saved) {
+      if (value === undefined) {
+        delete globalThis[name];
+      } else {
+        globalThis[name] = value;
+      }
+    }
+  });
+
+  const article = {
+    title: 'Story',
+    lang: 'en-US',
+    blocks: Array.from({ length: 40 }, (_, i) => ({ type: 'p', text: `Paragraph ${i} opens. It then closes.` }))
+  };
+
+  function reading(opts = {}) {
+    const panel = new WebPanel({
+      scene: { add() {}, remove() {} },
+      registerInteractable() {},
+      unregisterInteractable() {},
+      onNavigate() {},
+      ...opts
+    });
+    panel.openSavedArticle('https://example.com/story', article);
+    return panel;
+  }
+
+  /** Select the chrome bar at canvas x `px`. */
+  const pressChrome = (panel, px) => {
+    const x = (px / panel.chromeCanvas.width - 0.5) * G.PANEL_W;
+    panel._onChromeSelect({ x, y: 0, clone() { return this; } });
+  };
+
+  test('reads sentence by sentence in the page language at the chosen rate and pitch', () => {
+    const panel = reading({ readAloudVoice: () => ({ rate: 1.5, pitch: 0.75 }) });
+    expect(panel.startReadAloud()).toBe(true);
+    expect(panel.readAloudState).toBe('speaking');
+    expect(speech.last).toMatchObject({ text: 'Story', lang: 'en-US', rate: 1.5, pitch: 0.75 });
+    expect(speech.last.voice.name).toBe('Samantha');
+
+    speech.last.onend();
+    speech.last.onend();
+    expect(speech.texts()).toEqual(['Story', 'Paragraph 0 opens.', 'It then closes.']);
+  });
+
+  test('highlights the sentence being read', () => {
+    const panel = reading();
+    const { readerSpokenBg, readerSpokenMark } = webContentColors(false);
+    expect(painted.rects.some((r) => r.color === readerSpokenBg)).toBe(false);
+    panel.startReadAloud();
+    expect(painted.rects.some((r) => r.color === readerSpokenBg)).toBe(true);
+    expect(painted.rects.some((r) => r.color === readerSpokenMark)).toBe(true);
+  });
+
+  test('scrolls to keep the sentence in view, and starts from what is on screen', () => {
+    const panel = reading();
+    panel.startReadAloud();
+    for (let i = 0; i < 60; i++) {
+      speech.last.onend();
+    }
+    const { line } = panel._readAloud.sentence.spans[0];
+    expect(panel._readerScroll).toBeGreaterThan(0);
+    expect(line).toBeGreaterThanOrEqual(panel._readerScroll);
+
+    panel.stopReadAloud();
+    panel.scrollContent(-panel._readerScroll + 9);
+    panel.startReadAloud();
+    expect(speech.last.text).toMatch(/^(Paragraph \d+ opens\.|It then closes\.)$/);
+    expect(panel._readAloud.sentence.spans[0].line).toBeGreaterThanOrEqual(9);
+  });
+
+  test('pause cancels; resume reads the same sentence again; skip moves on', () => {
+    const panel = reading();
+    panel.startReadAloud();
+    speech.last.onend();
+    const before = speech.last;
+    expect(panel.pauseReadAloud()).toBe(true);
+    expect(panel.readAloudState).toBe('paused');
+    expect(speech.cancelled).toBe(1);
+    before.onend(); // the cancelled utterance ends late: it must not read on
+    expect(speech.spoken).toHaveLength(2);
+
+    expect(panel.resumeReadAloud()).toBe(true);
+    expect(speech.last.text).toBe('Paragraph 0 opens.');
+    expect(panel.skipReadAloud()).toBe(true);
+    expect(speech.last.text).toBe('It then closes.');
+
+    panel.pauseReadAloud();
+    panel.skipReadAloud();
+    expect(panel.readAloudState).toBe('paused');
+    expect(speech.spoken).toHaveLength(4);
+    panel.resumeReadAloud();
+    expect(speech.last.text).toBe('Paragraph 1 opens.');
+  });
+
+  test('the chrome read button reads, pauses and resumes; the skip button skips', () => {
+    const panel = reading();
+    pressChrome(panel, 240);
+    expect(panel.readAloudState).toBe('speaking');
+    pressChrome(panel, 310);
+    expect(speech.texts()).toEqual(['Story', 'Paragraph 0 opens.']);
+    pressChrome(panel, 240);
+    expect(panel.readAloudState).toBe('paused');
+    pressChrome(panel, 240);
+    expect(panel.readAloudState).toBe('speaking');
+    expect(speech.last.text).toBe('Paragraph 0 opens.');
+  });
+
+  test('navigating, hiding or an utterance error stops reading', () => {
+    const errors = [];
+    const panel = reading({ onReadAloudError: (code) => errors.push(code) });
+    panel.startReadAloud();
+    panel.hide();
+    expect(panel.readAloudState).toBe('idle');
+
+    panel.startReadAloud();
+    const paused = speech.last;
+    panel.pauseReadAloud();
+    paused.onerror({ error: 'interrupted' }); // our own cancel: not a failure
+    expect(errors).toEqual([]);
+    panel.resumeReadAloud();
+    speech.last.onerror({ error: 'audio-busy' });
+    expect(panel.readAloudState).toBe('idle');
+    expect(errors).toEqual(['audio-busy']);
+
+    panel.startReadAloud();
+    panel.openSavedArticle('https://example.com/other', article);
+    expect(panel.readAloudState).toBe('idle');
+    expect(panel._readAloud.sentence).toBeNull();
+  });
+
+  test('there is nothing to read outside the reader or without speechSynthesis', () => {
+    const panel = new WebPanel({
+      scene: { add() {}, remove() {} }, registerInteractable() {}, unregisterInteractable() {}
+    });
+    expect(panel.startReadAloud()).toBe(false);
+    delete globalThis.SpeechSynthesisUtterance;
+    expect(reading().startReadAloud()).toBe(false);
+    expect(speech.spoken).toEqual([]);
+  });
+});
+
+describe('the "read aloud" voice command', () => {
+  function connected(language, done = true) {
+    const vc = new VoiceCommands({ language });
+    const ops = [];
+    const spoken = [];
+    vc.callbacks.onSpeak = (text) => spoken.push(text);
+    vc.connectBrowser({
+      onReadAloud: (op) => {
+        ops.push(op);
+        return done;
+      }
+    });
+    return { vc, ops, spoken };
+  }
+
+  test.each([
+    ['en-US', ['read this page aloud', 'pause reading', 'resume', 'skip this sentence', 'stop reading']],
+    ['ja-JP', ['このページを読み上げて', '一時停止', '読み上げを再開', '次の文へ', '読み上げを停止']]
+  ])('%s: start, pause, resume, skip and stop', (language, phrases) => {
+    const { vc, ops, spoken } = connected(language);
+    for (const phrase of phrases) {
+      vc.processCommand(phrase, 0.9);
+    }
+    expect(ops).toEqual(['start', 'pause', 'resume', 'skip', 'stop']);
+    expect(spoken).toEqual([]);
+  });
+
+  test('says why when there is nothing to read or nothing being read', () => {
+    const { vc, spoken } = connected('en-US', false);
+    vc.processCommand('read aloud', 0.9);
+    vc.processCommand('pause reading', 0.9);
+    const { replies } = voiceGrammar('en-US').commands['read-aloud'];
+    expect(spoken).toEqual([replies.none, replies.idle]);
+  });
+});
@@ -5,10 +5,14 @@
  */
 
 const {
-  extractReadableText, extractTitle, decodeEntities
+  extractReadableText, extractTitle, decodeEntities, parseAttributes,
+  extractLang, extractByline, extractPublishedAt, extractLinks, extractReaderDocument,
+  readerDocumentFromJson, inlineTextWithLinks, MAX_READER_LINKS, READER_BLOCK_TYPES, MAX_TABLE_ROWS
 } = require('../src/vr/browser/readableText.js');
 const {
-  layoutReaderLines, clampReaderScroll, readerWindow, readerProgressLabel,
+  layoutReaderLines, clampReaderScroll, readerWindow, readerProgressLabel, readerProgressFraction,
+  readerCharsetLabel, readerFooterLabel, rowOffsets, readerLinkRects, readerLinkAt, LINK_HIT_PAD_X, LINE_H,
+  fitTableColumns, readerFont, measureEmForStyle, LIST_INDENT_EM, MAX_LIST_INDENT_DEPTH, MAX_TABLE_COLS,
   visibleLineCount, measureEmFor, maxMeasureEmForFont, fontPxFor, MEASURE_EM,
   CONTENT_PX_W, CONTENT_PAD
 } = require('../src/vr/browser/readerLayout.js');
@@ -122,6 +126,95 @@ describe('extractReadableText', () => {
   });
 });
 
+describe('reader document metadata (the /reader JSON shape)', () => {
+  test('parseAttributes handles any quoting and order', () => {
+    expect(parseAttributes('<meta content=\'A &amp; B\' name="author">')).toEqual({ content: 'A & B', name: 'author' });
+    expect(parseAttributes('<a href=/x data-id=3 hidden>')).toEqual({ href: '/x', 'data-id': '3', hidden: '' });
+  });
+
+  test('extractLang reads <html lang> and rejects junk', () => {
+    expect(extractLang('<html lang="ja"><body></body></html>')).toBe('ja');
+    expect(extractLang('<html class="x" lang=en-US>')).toBe('en-US');
+    expect(extractLang('<meta http-equiv="Content-Language" content="ja, en">')).toBe('ja');
+    expect(extractLang('<html lang="<script>">')).toBe('');
+    expect(extractLang('<html>')).toBe('');
+  });
+
+  test('extractByline prefers the author meta, then a byline element', () => {
+    expect(extractByline('<meta name="author" content="山田 太郎">')).toBe('山田 太郎');
+    expect(extractByline('<header><span class="post-byline">By Ann Lee</span></header>')).toBe('By Ann Lee');
+    // A profile URL is not a name.
+    expect(extractByline('<meta property="article:author" content="https://x.test/ann">')).toBe('');
+  });
+
+  test('REGRESSION: a page of unclosed byline elements is read in linear time', () => {
+    // Each unclosed candidate used to be searched to the end: 16k took 1.9 s.
+    const html = '<span class="author">x'.repeat(64000);
+    const started = Date.now();
+    expect(extractByline(html)).toBe('');
+    extractReaderDocument(html);
+    expect(Date.now() - started).toBeLessThan(3000);
+    // Only the first candidate counts, and its end tag is looked for nearby.
+    expect(extractByline('<p class="byline">By Ann</P><p class="author">Bo</p>')).toBe('By Ann');
+    expect(extractByline(`<div class="byline">${'x'.repeat(5000)}</div>`)).toBe('');
+  });
+
+  test('extractPublishedAt normalises to ISO-8601', () => {
+    const meta = '<meta property="article:published_time" content="2024-05-01T10:00:00+09:00">';
+    expect(extractPublishedAt(meta)).toBe('2024-05-01T01:00:00.000Z');
+    expect(extractPublishedAt('<p><time datetime="2023-12-24">Dec 24</time></p>')).toBe('2023-12-24T00:00:00.000Z');
+    expect(extractPublishedAt('<meta name="date" content="not a date">')).toBe('');
+  });
+
+  test('extractLinks resolves, filters and de-duplicates', () => {
+    const html = `<article><p>
+      <a href="/next">Next</a> <a href="other.html">Other</a> <a href="/next">Again</a>
+      <a href="javascript:alert(1)">Bad</a> <a href="#top">Top</a> <a href="mailto:a@b.c">Mail</a>
+    </p></article>`;
+    expect(extractLinks(html, 'https://e.com/dir/page')).toEqual([
+      { href: 'https://e.com/next', text: 'Next' },
+      { href: 'https://e.com/dir/other.html', text: 'Other' }
+    ]);
+  });
+
+  test('links inside stripped boilerplate are not reader links', () => {
+    expect(extractLinks('<nav><a href="https://e.com/home">Home</a></nav><p>x</p>', 'https://e.com/')).toEqual([]);
+  });
+
+  test('the link list is capped', () => {
+    const many = Array.from({ length: MAX_READER_LINKS + 20 }, (_, i) => `<a href="/p${i}">L${i}</a>`).join(' ');
+    expect(extractLinks(`<p>${many}</p>`, 'https://e.com/')).toHaveLength(MAX_READER_LINKS);
+  });
+
+  test('extractReaderDocument assembles the full shape', () => {
+    const html = '<html lang="en"><head><title>T</title><meta name="author" content="A"></head>' +
+      '<body><p>Read <a href="/b">this</a>.</p></body></html>';
+    expect(extractReaderDocument(html, { baseUrl: 'https://e.com/a' })).toEqual({
+      title: 'T',
+      blocks: [{ type: 'p', text: 'Read this .', links: [{ start: 5, end: 9, href: 'https://e.com/b' }] }],
+      lang: 'en',
+      byline: 'A',
+      publishedAt: '',
+      links: [{ href: 'https://e.com/b', text: 'this' }],
+      nextPage: ''
+    });
+  });
+
+  test('readerDocumentFromJson drops anything of the wrong shape', () => {
+    const doc = readerDocumentFromJson({
+      title: 42,
+      blocks: [{ type: 'p', text: 'ok' }, { type: 'script', text: 'x' }, { type: 'h' }, null],
+      links: [{ href: 'javascript:alert(1)', text: 'x' }, { href: 'https://e.com/', text: 7 }],
+      lang: 'ja'
+    });
+    expect(doc).toEqual({
+      title: '', blocks: [{ type: 'p', text: 'ok' }], finalUrl: '', charset: '',
+      lang: 'ja', byline: '', publishedAt: '', links: [{ href: 'https://e.com/', text: '' }], nextPage: ''
+    });
+    expect(readerDocumentFromJson(null).blocks).toEqual([]);
+  });
+});
+
 describe('layoutReaderLines', () => {
   test('wraps prose to the em measure for the scale', () => {
     const long = 'word '.repeat(80).trim();
@@ -171,7 +264,7 @@ describe('layoutReaderLines', () => {
   });
 });
 
-describe('clampReaderScroll / readerWindow / readerProgressLabel', () => {
+describe('clampReaderScroll / readerWindow / readerProgressLabel / readerProgressFraction', () => {
   const lines = Array.from({ length: 100 }, (_, i) => ({ text: `L${i}`, style: 'p' }));
 
   test('clamps below zero and past the end', () => {
@@ -201,6 +294,34 @@ describe('clampReaderScroll / readerWindow / readerProgressLabel', () => {
     expect(clampReaderScroll(NaN, 100, 10)).toBe(0);
     expect(clampReaderScroll(undefined, 100, 10)).toBe(0);
   });
+
+  test('progress fraction: the last screen counts as the end; a short article is read at once', () => {
+    expect(readerProgressFraction(0, 100, 10)).toBe(0);
+    expect(readerProgressFraction(45, 100, 10)).toBe(0.5);
+    expect(readerProgressFraction(999, 100, 10)).toBe(1);
+    expect(readerProgressFraction(0, 8, 10)).toBe(1);
+  });
+});
+
+describe('reader footer — charset label', () => {
+  test('UTF-8 and unknown charsets are not worth a label', () => {
+    expect(readerCharsetLabel('utf-8')).toBe('');
+    expect(readerCharsetLabel('')).toBe('');
+    expect(readerCharsetLabel(null)).toBe('');
+  });
+
+  test('Japanese legacy charsets use their conventional names', () => {
+    expect(readerCharsetLabel('shift_jis')).toBe('Shift_JIS');
+    expect(readerCharsetLabel('euc-jp')).toBe('EUC-JP');
+    expect(readerCharsetLabel('iso-2022-jp')).toBe('ISO-2022-JP');
+  });
+
+  test('the footer joins whichever parts are present', () => {
+    expect(readerFooterLabel('1–10/100', 'Shift_JIS')).toBe('1–10/100 · Shift_JIS');
+    expect(readerFooterLabel('', 'EUC-JP')).toBe('EUC-JP');
+    expect(readerFooterLabel('1–10/100', '')).toBe('1–10/100');
+    expect(readerFooterLabel('', '')).toBe('');
+  });
 });
 
 describe('viewport metrics', () => {
@@ -465,3 +586,354 @@ describe('reader reserves the bottom strip for the arrows and progress label', (
     }
   });
 });
+
+describe('followable links — spans through extraction and layout', () => {
+  test('inlineTextWithLinks yields the same text as the block, with offsets into it', () => {
+    const { text, links } = inlineTextWithLinks('See <a href="/docs">the <b>docs</b></a> now.', 'https://e.com/a/');
+    expect(text).toBe('See the docs now.');
+    expect(links).toEqual([{ start: 4, end: 12, href: 'https://e.com/docs' }]);
+    expect(text.slice(4, 12)).toBe('the docs');
+  });
+
+  test('link tracking does not change the block text', () => {
+    const html = '<p>A <a href="/x">b</a> and <a href="/y">c</a> end.</p>';
+    const [linked] = extractReadableText(html, { baseUrl: 'https://e.com/' }).blocks;
+    const [plain] = extractReadableText('<p>A <span>b</span> and <span>c</span> end.</p>').blocks;
+    expect(linked.text).toBe(plain.text);
+    expect(linked.links.map((l) => linked.text.slice(l.start, l.end))).toEqual(['b', 'c']);
+  });
+
+  test('fragment-only and script links are not followable', () => {
+    const { links } = inlineTextWithLinks('<a href="#top">top</a> <a href="javascript:x()">run</a>', '');
+    expect(links).toEqual([]);
+  });
+
+  test('without a base URL relative hrefs are kept as written', () => {
+    expect(inlineTextWithLinks('<a href="../next">next</a>').links).toEqual([{ start: 0, end: 4, href: '../next' }]);
+  });
+
+  test('REGRESSION: a paragraph of tens of thousands of links is read in linear time', () => {
+    const html = '<a href="/n"> x </a>&nbsp;'.repeat(40000);
+    const started = Date.now();
+    const { text, links } = inlineTextWithLinks(html, 'https://e.com/');
+    expect(Date.now() - started).toBeLessThan(3000);
+    expect(links).toHaveLength(40000);
+    expect(links.every((l) => text.slice(l.start, l.end) === 'x')).toBe(true);
+  });
+
+  test('blocks without links carry no links key', () => {
+    expect(extractReadableText('<p>plain</p>').blocks[0]).toEqual({ type: 'p', text: 'plain' });
+  });
+
+  test('readerDocumentFromJson drops spans that do not fit their text', () => {
+    const doc = readerDocumentFromJson({
+      blocks: [{
+        type: 'p',
+        text: 'abc',
+        links: [{ start: 0, end: 2, href: '/a' }, { start: 2, end: 9, href: '/b' }, { start: 1, end: 1, href: '/c' },
+          { start: 0.5, end: 2, href: '/d' }, { start: 0, end: 1, href: 5 }]
+      }]
+    });
+    expect(doc.blocks[0].links).toEqual([{ start: 0, end: 2, href: '/a' }]);
+  });
+
+  test('rowOffsets maps wrapped rows back onto the source text', () => {
+    const text = 'one two  three four';
+    expect(rowOffsets(text, ['one two', 'three four'])).toEqual([[0, 7], [9, 19]]);
+  });
+
+  test('a link split by wrapping lands on every row it covers, re-based', () => {
+    const phrase = 'linked '.repeat(20).trim();
+    const text = `lead ${phrase} tail`;
+    const start = text.indexOf(phrase);
+    const lines = layoutReaderLines([{ type: 'p', text, links: [{ start, end: start + phrase.length, href: '/l' }] }]);
+    const linked = lines.filter((l) => l.links);
+    expect(linked.length).toBeGreaterThan(1);
+    const pieces = linked.map((l) => l.links.map((s) => l.text.slice(s.start, s.end)).join(' '));
+    expect(pieces.join(' ')).toBe(phrase);
+    expect(linked.every((l) => l.links.every((s) => s.href === '/l'))).toBe(true);
+  });
+
+  test('readerLinkRects places a rect over the drawn link text on its line band', () => {
+    const lines = [{ text: 'ab', style: 'p' }, { text: 'go here', style: 'p', links: [{ start: 3, end: 7, href: '/h' }] }];
+    const measure = (t) => t.length * 10;
+    const [r] = readerLinkRects(lines, { measure });
+    expect(r).toEqual({
+      x0: CONTENT_PAD + 30 - LINK_HIT_PAD_X,
+      x1: CONTENT_PAD + 70 + LINK_HIT_PAD_X,
+      y0: CONTENT_PAD + 2 * LINE_H - 0.75 * LINE_H,
+      y1: CONTENT_PAD + 2 * LINE_H + 0.25 * LINE_H,
+      href: '/h'
+    });
+  });
+
+  test('without a measure the em model stands in', () => {
+    const [r] = readerLinkRects([{ text: 'x', style: 'p', links: [{ start: 0, end: 1, href: '/x' }] }]);
+    expect(r.x1 - r.x0).toBeCloseTo(textWidthEm('x') * fontPxFor('p') + 2 * LINK_HIT_PAD_X);
+  });
+
+  test('readerLinkAt hits inside a rect and misses outside', () => {
+    const rects = [{ x0: 10, x1: 50, y0: 0, y1: 30, href: '/a' }];
+    expect(readerLinkAt(rects, 20, 10)).toBe('/a');
+    expect(readerLinkAt(rects, 60, 10)).toBeNull();
+    expect(readerLinkAt(rects, 20, 30)).toBeNull();
+    expect(readerLinkAt(null, 0, 0)).toBeNull();
+  });
+
+  test('where padded rects overlap, the nearer link wins', () => {
+    const rects = [
+      { x0: 0, x1: 40 + LINK_HIT_PAD_X, y0: 0, y1: 30, href: '/left' },
+      { x0: 42 - LINK_HIT_PAD_X, x1: 90, y0: 0, y1: 30, href: '/right' }
+    ];
+    expect(readerLinkAt(rects, 40.5, 10)).toBe('/left');
+    expect(readerLinkAt(rects, 41.5, 10)).toBe('/right');
+  });
+});
+
+describe('structured blocks — extraction', () => {
+  const blocksOf = (html) => extractReadableText(html).blocks;
+
+  test('ordered lists are numbered, honouring start and value', () => {
+    const blocks = blocksOf('<ol start="3"><li>Three</li><li value="9">Nine</li><li>Ten</li></ol>');
+    expect(blocks.map((b) => [b.type, b.marker, b.depth, b.text])).toEqual([
+      ['li', '3.', 0, 'Three'], ['li', '9.', 0, 'Nine'], ['li', '10.', 0, 'Ten']
+    ]);
+  });
+
+  test('nested lists keep their depth and their own numbering', () => {
+    const blocks = blocksOf('<ul><li>Top<ol><li>First</li><li>Second<ul><li>Deep</li></ul></li></ol></li><li>Next</li></ul>');
+    expect(blocks.map((b) => [b.marker, b.depth, b.text])).toEqual([
+      ['•', 0, 'Top'], ['1.', 1, 'First'], ['2.', 1, 'Second'], ['▪', 2, 'Deep'], ['•', 0, 'Next']
+    ]);
+  });
+
+  test('one-word nav crumbs in lists are still dropped', () => {
+    expect(blocksOf('<ul><li>Go</li><li>Real item</li></ul>').map((b) => b.text)).toEqual(['Real item']);
+  });
+
+  test('preformatted text keeps its line breaks and indentation', () => {
+    const [block] = blocksOf('<pre><code>\nif (a &lt; b) {\n\treturn <span>1</span>;\n}\n</code></pre>');
+    expect(block).toEqual({ type: 'pre', text: 'if (a < b) {\n    return 1;\n}' });
+  });
+
+  test('blockquote paragraphs become quote blocks; a bare quote is one block', () => {
+    expect(blocksOf('<blockquote><p>One.</p><p>Two.</p></blockquote><blockquote>Bare</blockquote>'))
+      .toEqual([{ type: 'quote', text: 'One.' }, { type: 'quote', text: 'Two.' }, { type: 'quote', text: 'Bare' }]);
+  });
+
+  test('data tables become rows of cells, with the header row flagged', () => {
+    const [block] = blocksOf('<table><tr><th>Name</th><th>Age</th></tr><tr><td>Ann</td><td>31</td></tr></table>');
+    expect(block).toEqual({
+      type: 'table', text: 'Name\tAge\nAnn\t31', rows: [['Name', 'Age'], ['Ann', '31']], header: true
+    });
+  });
+
+  test('layout tables are read through as ordinary blocks', () => {
+    expect(blocksOf('<table role="presentation"><tr><td>Loose text</td><td><p>A para.</p></td></tr></table>'))
+      .toEqual([{ type: 'p', text: 'Loose text' }, { type: 'p', text: 'A para.' }]);
+    expect(blocksOf('<table><tr><td><h2>Title</h2><p>Body.</p></td></tr></table>').map((b) => b.type))
+      .toEqual(['h', 'p']);
+  });
+
+  test('a figure reads as its caption, not its alt text as well', () => {
+    expect(blocksOf('<figure><img src="a.png" alt="alt"><figcaption>The caption</figcaption></figure>'))
+      .toEqual([{ type: 'figure', text: 'The caption' }]);
+  });
+
+  test('an image without a caption reads as its alt text; decorative images are skipped', () => {
+    expect(blocksOf('<figure><img src="a.png" alt="A red cat"></figure><img src="b.png" alt="">'))
+      .toEqual([{ type: 'figure', text: 'A red cat' }]);
+  });
+
+  test('document order is kept across block types', () => {
+    const html = '<h2>H</h2><p>P</p><ul><li>Item</li></ul><pre>code</pre><blockquote>Q</blockquote>' +
+      '<table><tr><td>a</td><td>b</td></tr></table><figure><figcaption>Cap</figcaption></figure>';
+    expect(blocksOf(html).map((b) => b.type)).toEqual(['h', 'p', 'li', 'pre', 'quote', 'table', 'figure']);
+  });
+
+  test('REGRESSION: hostile nesting neither overflows the stack nor goes quadratic', () => {
+    // 4000 nested <blockquote>s used to throw RangeError, and 2000 took 0.8 s.
+    const deep = (open, close, n = 20000) =>
+      `<html><body><article>${open.repeat(n)}<p>Deep text.</p>${close.repeat(n)}</article></body></html>`;
+    const started = Date.now();
+    for (const html of [
+      deep('<blockquote>', '</blockquote>'),
+      deep('<blockquote>', ''),
+      deep('<ul><li>', '</li></ul>'),
+      deep('<table><tr><td>', '</td></tr></table>', 5000),
+      deep('<figure>', '</figure>'),
+      deep('<p>', '', 2000)
+    ]) {
+      expect(extractReaderDocument(html).blocks.map((b) => b.text)).toEqual(['Deep text.']);
+    }
+    expect(Date.now() - started).toBeLessThan(5000);
+  });
+
+  test('REGRESSION: a long run of "<" is stripped in linear time', () => {
+    // Each "<" used to be tried as a tag reaching to the end: 80000 took 7.7 s.
+    const started = Date.now();
+    // Not a tag, so it is text, as a browser shows it.
+    expect(extractReaderDocument('<'.repeat(80000)).blocks.map((b) => b.text).join('')).toBe('<'.repeat(80000));
+    const [p] = extractReaderDocument(`<p>Less ${'<'.repeat(80000)} than</p>`).blocks;
+    expect(p.text.startsWith('Less <<<')).toBe(true);
+    expect(inlineTextWithLinks(`<a href="/x">x</a>${'<'.repeat(80000)}`).links).toHaveLength(1);
+    expect(Date.now() - started).toBeLessThan(2000);
+  });
+
+  test('structure deeper than the nesting cap is read as paragraphs', () => {
+    const n = 40;
+    const blocks = blocksOf(`${'<ul><li>Level'.repeat(n)}${'</li></ul>'.repeat(n)}`);
+    expect(blocks).toHaveLength(33);
+    expect(blocks.slice(0, 32).map((b) => b.depth)).toEqual([...Array(32).keys()]);
+    expect(blocks[32]).toEqual({ type: 'p', text: 'Level '.repeat(n - 32).trim() });
+  });
+
+  test('READER_BLOCK_TYPES lists every type the extractor emits', () => {
+    expect(READER_BLOCK_TYPES).toEqual(['h', 'p', 'li', 'pre', 'quote', 'table', 'figure']);
+  });
+
+  test('readerDocumentFromJson keeps structured blocks and repairs their fields', () => {
+    const doc = readerDocumentFromJson({
+      blocks: [
+        { type: 'li', text: 'a', depth: -1 },
+        { type: 'li', text: 'b', depth: 2, marker: '3.' },
+        { type: 'table', text: 'x', rows: [['x', 5], 'junk'], header: 'yes' },
+        { type: 'pre', text: 'a\n  b' },
+        { type: 'video', text: 'nope' }
+      ]
+    });
+    expect(doc.blocks).toEqual([
+      { type: 'li', text: 'a', depth: 0, marker: '•' },
+      { type: 'li', text: 'b', depth: 2, marker: '3.' },
+      { type: 'table', text: 'x', rows: [['x', '']], header: false },
+      { type: 'pre', text: 'a\n  b' }
+    ]);
+  });
+
+  test('a data table keeps only its first MAX_TABLE_ROWS rows, from the page or from JSON', () => {
+    const rows = '<tr><td>r</td><td>1</td></tr>'.repeat(MAX_TABLE_ROWS + 50);
+    const [block] = blocksOf(`<table><tr><th>a</th><th>b</th></tr>${rows}</table>`);
+    expect(block.rows).toHaveLength(MAX_TABLE_ROWS);
+    expect(block.header).toBe(true);
+    const doc = readerDocumentFromJson({
+      blocks: [{ type: 'table', text: 't', rows: Array.from({ length: 200000 }, () => ['r', '1']) }]
+    });
+    expect(doc.blocks[0].rows).toHaveLength(MAX_TABLE_ROWS);
+  });
+});
+
+describe('structured blocks — layout', () => {
+  test('list items are tight, marked, and hang continuation rows under the text', () => {
+    const long = 'word '.repeat(40).trim();
+    const lines = layoutReaderLines([
+      { type: 'p', text: 'Intro' },
+      { type: 'li', text: long, depth: 0, marker: '1.' },
+      { type: 'li', text: 'Short', depth: 1, marker: '•' }
+    ]);
+    const items = lines.filter((l) => l.style === 'li');
+    expect(items[0].text.startsWith('1. word')).toBe(true);
+    expect(items[0].indent).toBeUndefined();
+    expect(items[1].indent).toBe(Math.round(textWidthEm('1. ') * fontPxFor('li')));
+    // No blank line between items of one list, one before the list.
+    expect(lines.map((l) => l.style)).toEqual(['p', 'blank', ...items.slice(0, -1).map(() => 'li'), 'li']);
+    const nested = items[items.length - 1];
+    expect(nested).toEqual({ text: '• Short', style: 'li', indent: LIST_INDENT_EM * fontPxFor('li') });
+  });
+
+  test('list indentation stops growing past MAX_LIST_INDENT_DEPTH', () => {
+    const at = (depth) => layoutReaderLines([{ type: 'li', text: 'x y', depth, marker: '•' }])[0].indent;
+    expect(at(MAX_LIST_INDENT_DEPTH + 3)).toBe(at(MAX_LIST_INDENT_DEPTH));
+  });
+
+  test('link spans on a list item shift past the marker', () => {
+    const [line] = layoutReaderLines([{ type: 'li', text: 'see docs', marker: '•', links: [{ start: 4, end: 8, href: '/d' }] }]);
+    expect(line.text.slice(line.links[0].start, line.links[0].end)).toBe('docs');
+  });
+
+  test('preformatted text is never reflowed', () => {
+    const lines = layoutReaderLines([{ type: 'pre', text: 'a  b\n\n    c' }]);
+    expect(lines.map((l) => [l.text, l.style])).toEqual([['a  b', 'pre'], ['', 'pre'], ['    c', 'pre']]);
+  });
+
+  test('a code line wider than the column is split without losing whitespace', () => {
+    const line = `${'x = 1;  '.repeat(20)}`.trimEnd();
+    const rows = layoutReaderLines([{ type: 'pre', text: line }]).map((l) => l.text);
+    expect(rows.length).toBeGreaterThan(1);
+    expect(rows.join('')).toBe(line);
+    for (const r of rows) {
+      expect(textWidthEm(r)).toBeLessThanOrEqual(measureEmForStyle('pre', 1));
+    }
+  });
+
+  test('code and tables get the whole column, prose keeps the reading measure', () => {
+    expect(measureEmForStyle('pre', 1)).toBeGreaterThan(MEASURE_EM);
+    expect(measureEmForStyle('table', 1)).toBeGreaterThan(MEASURE_EM);
+    expect(measureEmForStyle('p', 1)).toBe(MEASURE_EM);
+  });
+
+  test('quotes and captions wrap inside their indent', () => {
+    const text = 'quoted words '.repeat(30).trim();
+    for (const [type, style] of [['quote', 'quote'], ['figure', 'caption']]) {
+      const lines = layoutReaderLines([{ type, text }]);
+      expect(lines.every((l) => l.style === style && l.indent > 0)).toBe(true);
+      for (const l of lines) {
+        expect(l.indent + textWidthEm(l.text) * fontPxFor(style)).toBeLessThanOrEqual(CONTENT_PX_W - 2 * CONTENT_PAD);
+      }
+    }
+  });
+
+  test('table rows become aligned cells with a bold header row', () => {
+    const lines = layoutReaderLines([
+      { type: 'table', text: 't', rows: [['Name', 'Age'], ['Ann', '31'], ['Bartholomew', '4']], header: true }
+    ]);
+    expect(lines.map((l) => l.style)).toEqual(['tableHead', 'table', 'table']);
+    const ageX = lines.map((l) => l.cells[1].x);
+    expect(new Set(ageX).size).toBe(1);
+    expect(ageX[0]).toBeGreaterThan(textWidthEm('Bartholomew') * fontPxFor('table'));
+    expect(lines[1].text).toBe('Ann  31');
+  });
+
+  test('a table wider than the column truncates its widest cells, not its narrow ones', () => {
+    const wide = 'long cell text '.repeat(10).trim();
+    const [row] = layoutReaderLines([{ type: 'table', text: 't', rows: [['id', wide, wide]] }]);
+    expect(row.cells[0].text).toBe('id');
+    expect(row.cells[1].text.endsWith('…')).toBe(true);
+    const last = row.cells[2];
+    expect(last.x + textWidthEm(last.text) * fontPxFor('table')).toBeLessThanOrEqual(CONTENT_PX_W - 2 * CONTENT_PAD);
+  });
+
+  test('REGRESSION: a table too long for the call stack still lays out', () => {
+    // Spreading 200k rows into Math.max / push threw a RangeError.
+    const rows = Array.from({ length: 200000 }, (_, i) => [`r${i}`, 'x']);
+    const lines = layoutReaderLines([{ type: 'table', text: 't', rows }]);
+    expect(lines).toHaveLength(200000);
+    expect(lines[199999].cells[0].text).toBe('r199999');
+  });
+
+  test('only the first MAX_TABLE_COLS columns are shown', () => {
+    const [row] = layoutReaderLines([{ type: 'table', text: 't', rows: [Array.from({ length: 12 }, (_, i) => `c${i}`)] }]);
+    expect(row.cells).toHaveLength(MAX_TABLE_COLS);
+  });
+
+  test('fitTableColumns keeps narrow columns whole and shares the rest', () => {
+    expect(fitTableColumns([2, 3], 10)).toEqual([2, 3]);
+    expect(fitTableColumns([2, 20, 30], 20)).toEqual([2, 9, 9]);
+    expect(fitTableColumns([], 10)).toEqual([]);
+  });
+
+  test('link hit rects start at the line indent', () => {
+    const line = { text: '• go', style: 'li', indent: 30, links: [{ start: 2, end: 4, href: '/g' }] };
+    const [r] = readerLinkRects([line], { measure: (t) => t.length * 10 });
+    expect(r.x0).toBe(CONTENT_PAD + 30 + 20 - LINK_HIT_PAD_X);
+  });
+
+  test('each style has its own face', () => {
+    expect(readerFont('pre')).toBe('18px monospace');
+    expect(readerFont('quote')).toBe('italic 20px sans-serif');
+    expect(readerFont('caption')).toBe('italic 17px sans-serif');
+    expect(readerFont('tableHead')).toBe('bold 18px sans-serif');
+    expect(readerFont('table')).toBe('18px sans-serif');
+    expect(readerFont('h', 2)).toBe('bold 50px sans-serif');
+    expect(readerFont('p')).toBe('20px sans-serif');
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * ReadingList (src/utils/ReadingList.js): pages saved for later with their
+ * reader text. IndexedDB is replaced by an in-memory key-value store with the
+ * same interface (idbKeyValue.js); `kv: null` is the no-IndexedDB path.
+ */
+
+const {
+  ReadingList, readingEntryFromJson, savedArticleFromJson, MAX_READING_LIST
+} = require('../src/utils/ReadingList.js');
+
+const memoryKv = () => {
+  const data = new Map();
+  return {
+    data,
+    get: async (key) => data.get(key),
+    update: async (key, fn) => {
+      const prev = data.get(key);
+      data.set(key, fn(prev));
+      return prev;
+    },
+    remove: async (key) => {
+      data.delete(key);
+    }
+  };
+};
+
+const article = (url, title = 'An article') => ({
+  url,
+  title,
+  byline: 'By someone',
+  blocks: [
+    { type: 'h', text: 'Heading' },
+    { type: 'p', text: 'First paragraph.' },
+    { type: 'page', text: 'Page 2' },
+    { type: 'p', text: 'Second page.' }
+  ]
+});
+
+describe('readingEntryFromJson', () => {
+  test('cleans stored fields rather than trusting them', () => {
+    expect(readingEntryFromJson({ url: 'https://a.example/', title: 3, progress: 7, scroll: -2, read: 'yes' }))
+      .toEqual({ url: 'https://a.example/', title: 'https://a.example/', savedAt: 0, read: false, progress: 1, scroll: 0 });
+    expect(readingEntryFromJson({ url: 'javascript:alert(1)' })).toBeNull();
+  });
+});
+
+describe('savedArticleFromJson', () => {
+  test('keeps page rules between the extractor\'s blocks', () => {
+    const doc = savedArticleFromJson({
+      ...article('https://a.example/'),
+      blocks: [
+        { type: 'p', text: 'One.' },
+        { type: 'page', text: 'Continues on page 3 — open it', links: [{ start: 0, end: 5, href: 'https://a.example/3' }] },
+        { type: 'script', text: 'alert(1)' }
+      ]
+    });
+    expect(doc.blocks.map((b) => b.type)).toEqual(['p', 'page']);
+    expect(doc.blocks[1].links[0].href).toBe('https://a.example/3');
+    expect(doc.nextPage).toBe('');
+  });
+
+  test('nothing readable is no article', () => {
+    expect(savedArticleFromJson({ blocks: [{ type: 'page', text: 'Page 2' }] })).toBeNull();
+    expect(savedArticleFromJson(null)).toBeNull();
+  });
+});
+
+describe('ReadingList', () => {
+  test('a saved article reads back from storage after a restart', async () => {
+    const kv = memoryKv();
+    const list = new ReadingList({ kv });
+    await list.load();
+    const entry = await list.save(article('https://a.example/'));
+    expect(entry).toMatchObject({ url: 'https://a.example/', title: 'An article', read: false, progress: 0 });
+
+    const again = new ReadingList({ kv });
+    expect(await again.load()).toBe(1);
+    expect(again.getEntries()[0].title).toBe('An article');
+    const doc = await again.article('https://a.example/');
+    expect(doc.byline).toBe('By someone');
+    expect(doc.blocks.map((b) => b.type)).toEqual(['h', 'p', 'page', 'p']);
+  });
+
+  test('newest first; saving again replaces the snapshot and starts over', async () => {
+    const list = new ReadingList({ kv: memoryKv() });
+    await list.save(article('https://a.example/'));
+    await list.save(article('https://b.example/'));
+    list.setProgress('https://a.example/', { scroll: 40, progress: 1 });
+    await list.save(article('https://a.example/', 'Updated'));
+    expect(list.getEntries().map((e) => [e.url, e.title, e.read])).toEqual([
+      ['https://a.example/', 'Updated', false],
+      ['https://b.example/', 'An article', false]
+    ]);
+  });
+
+  test('progress is recorded, and reaching the end marks it read for good', async () => {
+    const onChange = jest.fn();
+    const kv = memoryKv();
+    const list = new ReadingList({ kv, onChange });
+    await list.load();
+    await list.save(article('https://a.example/'));
+    expect(list.setProgress('https://a.example/', { scroll: 10, progress: 0.4 })).toMatchObject({ read: false, scroll: 10 });
+    list.setProgress('https://a.example/', { scroll: 25, progress: 1 });
+    expect(list.setProgress('https://a.example/', { scroll: 5, progress: 0.2 })).toMatchObject({ read: true, progress: 0.2 });
+    expect(kv.data.get('index')[0]).toMatchObject({ read: true, scroll: 5 });
+    expect(list.setProgress('https://elsewhere.example/', { progress: 1 })).toBeNull();
+    expect(onChange).toHaveBeenCalled();
+
+    expect(list.setRead('https://a.example/', false)).toBe(true);
+    expect(list.get('https://a.example/').read).toBe(false);
+  });
+
+  test('removing drops the entry and its text', async () => {
+    const kv = memoryKv();
+    const list = new ReadingList({ kv });
+    await list.save(article('https://a.example/'));
+    expect(await list.remove('https://a.example/')).toBe(true);
+    expect(await list.remove('https://a.example/')).toBe(false);
+    expect(list.has('https://a.example/')).toBe(false);
+    expect(kv.data.has('article:https://a.example/')).toBe(false);
+    expect(await list.article('https://a.example/')).toBeNull();
+  });
+
+  test('a full list makes room by dropping the oldest read article, never an unread one', async () => {
+    const list = new ReadingList({ kv: null });
+    for (let i = 0; i < MAX_READING_LIST; i++) {
+      await list.save(article(`https://a.example/${i}`));
+    }
+    expect(await list.save(article('https://b.example/'))).toBeNull();
+    list.setRead('https://a.example/3', true);
+    list.setRead('https://a.example/7', true);
+    expect(await list.save(article('https://b.example/'))).not.toBeNull();
+    expect(list.has('https://a.example/3')).toBe(false);
+    expect(list.has('https://a.example/7')).toBe(true);
+    expect(list.getEntries()).toHaveLength(MAX_READING_LIST);
+  });
+
+  test('a page with no readable text is not saved', async () => {
+    const list = new ReadingList({ kv: null });
+    expect(await list.save({ url: 'https://a.example/', title: 'Empty', blocks: [] })).toBeNull();
+    expect(await list.save(null)).toBeNull();
+    expect(list.getEntries()).toEqual([]);
+  });
+
+  test('an entry saved before the stored index loads is kept', async () => {
+    const kv = memoryKv();
+    kv.data.set('index', [{ url: 'https://old.example/', title: 'Old', savedAt: 1 }]);
+    const list = new ReadingList({ kv });
+    await list.save(article('https://new.example/'));
+    expect(kv.data.get('index')).toHaveLength(1);
+    await list.load();
+    expect(list.getEntries().map((e) => e.url)).toEqual(['https://new.example/', 'https://old.example/']);
+    expect(kv.data.get('index')).toHaveLength(2);
+  });
+
+  test('storage failures leave the list usable', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const broken = { get: () => Promise.reject(new Error('x')), update: () => Promise.reject(new Error('x')), remove: () => Promise.reject(new Error('x')) };
+    const list = new ReadingList({ kv: broken });
+    expect(await list.load()).toBe(0);
+    expect(await list.save(article('https://a.example/'))).toBeNull();
+    warn.mockRestore();
+  });
+});
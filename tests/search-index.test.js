@@ -0,0 +1,185 @@
+/**
+ * SearchIndex (src/utils/SearchIndex.js): full-text search over the reader
+ * text of history and saved pages. IndexedDB is replaced by an in-memory
+ * key-value store with the same interface (idbKeyValue.js).
+ */
+
+const {
+  SearchIndex, tokenize, pageTerms, indexedPageFromJson, MAX_INDEXED_PAGES, MAX_TERMS_PER_PAGE
+} = require('../src/utils/SearchIndex.js');
+
+const memoryKv = () => {
+  const data = new Map();
+  return {
+    data,
+    get: async (key) => data.get(key),
+    update: async (key, fn) => {
+      const prev = data.get(key);
+      data.set(key, fn(prev));
+      return prev;
+    },
+    remove: async (key) => {
+      data.delete(key);
+    }
+  };
+};
+
+const doc = (title, ...paragraphs) => ({ title, blocks: paragraphs.map((text) => ({ type: 'p', text })) });
+const urls = (hits) => hits.map((h) => h.url);
+
+describe('tokenize', () => {
+  test('Latin words are case- and accent-folded; one-letter words are dropped', () => {
+    expect(tokenize('A Café in PARIS, 2024!')).toEqual(['cafe', 'in', 'paris', '2024']);
+  });
+
+  test('CJK runs become overlapping bigrams; a lone character is its own term', () => {
+    expect(tokenize('東京都の橋')).toEqual(['東京', '京都', '都の', 'の橋']);
+    expect(tokenize('橋 VR')).toEqual(['橋', 'vr']);
+  });
+
+  test('full-width Latin and half-width katakana index as their usual forms', () => {
+    expect(tokenize('ＶＲ ｶﾅ')).toEqual(['vr', 'カナ']);
+  });
+
+  test('mixed text splits at the script boundary', () => {
+    expect(tokenize('WebXRの記事')).toEqual(['webxr', 'の記', '記事']);
+  });
+});
+
+describe('pageTerms', () => {
+  test('title words weigh more; page rules are not indexed', () => {
+    const terms = new Map(pageTerms({
+      title: 'Bridge',
+      blocks: [{ type: 'p', text: 'bridge river' }, { type: 'page', text: 'Page 2' }]
+    }));
+    expect(terms.get('bridge')).toBe(4);
+    expect(terms.get('river')).toBe(1);
+    expect(terms.has('page')).toBe(false);
+  });
+
+  test('keeps at most MAX_TERMS_PER_PAGE distinct terms, the most frequent', () => {
+    const words = Array.from({ length: MAX_TERMS_PER_PAGE + 50 }, (_, i) => `w${i}`).join(' ');
+    const terms = pageTerms(doc('', words, 'common common'));
+    expect(terms).toHaveLength(MAX_TERMS_PER_PAGE);
+    expect(terms[0]).toEqual(['common', 2]);
+  });
+});
+
+describe('indexedPageFromJson', () => {
+  test('drops malformed terms and rejects non-web URLs', () => {
+    expect(indexedPageFromJson({ url: 'https://a.example/', terms: [['ok', 2], ['bad', 0], [3, 1], 'x'] }))
+      .toEqual({ url: 'https://a.example/', title: '', indexedAt: 0, terms: [['ok', 2]] });
+    expect(indexedPageFromJson({ url: 'file:///etc', terms: [] })).toBeNull();
+  });
+});
+
+describe('SearchIndex', () => {
+  test('finds pages by words in their text, not just their titles', () => {
+    const index = new SearchIndex({ kv: null });
+    index.add('https://a.example/', doc('City news', 'The old bridge over the river closes for repairs.'));
+    index.add('https://b.example/', doc('Weather', 'Rain over the river all week.'));
+    expect(urls(index.search('bridge repairs'))).toEqual(['https://a.example/']);
+    expect(urls(index.search('river'))).toHaveLength(2);
+    expect(index.search('volcano')).toEqual([]);
+    expect(index.search('')).toEqual([]);
+  });
+
+  test('every query term must match, so a Japanese query behaves like a phrase', () => {
+    const index = new SearchIndex({ kv: null });
+    index.add('https://a.example/', doc('ニュース', '東京都の橋が改修のため閉鎖されます。'));
+    index.add('https://b.example/', doc('旅行', '京都の東にある寺を訪ねました。'));
+    expect(urls(index.search('東京都'))).toEqual(['https://a.example/']);
+    expect(urls(index.search('京都'))).toHaveLength(2);
+    expect(urls(index.search('橋'))).toEqual(['https://a.example/']);
+  });
+
+  test('the last word matches as a prefix while typing, not after a space', () => {
+    const index = new SearchIndex({ kv: null });
+    index.add('https://a.example/', doc('', 'WebXR layers make text sharp.'));
+    expect(urls(index.search('lay'))).toEqual(['https://a.example/']);
+    expect(index.search('lay ')).toEqual([]);
+  });
+
+  test('a rarer term and more occurrences rank higher', () => {
+    const index = new SearchIndex({ kv: null });
+    index.add('https://once.example/', doc('', 'quantum physics explained simply'));
+    index.add('https://often.example/', doc('', 'quantum quantum quantum computing'));
+    index.add('https://other.example/', doc('', 'physics of everyday things'));
+    expect(urls(index.search('quantum'))).toEqual(['https://often.example/', 'https://once.example/']);
+  });
+
+  test('re-indexing a page replaces its old text', () => {
+    const index = new SearchIndex({ kv: null });
+    index.add('https://a.example/', doc('', 'first version'));
+    index.add('https://a.example/', doc('', 'second edition'));
+    expect(index.search('first')).toEqual([]);
+    expect(urls(index.search('edition'))).toEqual(['https://a.example/']);
+    expect(index.size).toBe(1);
+  });
+
+  test('retain() drops pages no longer in history or the reading list', () => {
+    const index = new SearchIndex({ kv: null });
+    index.add('https://a.example/', doc('', 'alpha'));
+    index.add('https://b.example/', doc('', 'beta'));
+    expect(index.retain(['https://b.example/'])).toBe(1);
+    expect(index.search('alpha')).toEqual([]);
+    index.clear();
+    expect(index.size).toBe(0);
+    expect(index.search('beta')).toEqual([]);
+  });
+
+  test('holds at most MAX_INDEXED_PAGES, dropping the least recently indexed', () => {
+    const index = new SearchIndex({ kv: null });
+    for (let i = 0; i <= MAX_INDEXED_PAGES; i++) {
+      index.add(`https://a.example/${i}`, doc('', `page number${i}`));
+    }
+    expect(index.size).toBe(MAX_INDEXED_PAGES);
+    expect(index.has('https://a.example/0')).toBe(false);
+    expect(index.search('number0 ')).toEqual([]);
+  });
+
+  test('nothing to index is not indexed', () => {
+    const index = new SearchIndex({ kv: null });
+    expect(index.add('https://a.example/', doc('', '!!'))).toBe(false);
+    expect(index.add('javascript:alert(1)', doc('', 'text'))).toBe(false);
+    expect(index.size).toBe(0);
+  });
+
+  test('the index reads back from storage, and removals are stored too', async () => {
+    const kv = memoryKv();
+    const index = new SearchIndex({ kv });
+    await index.load();
+    index.add('https://a.example/', doc('A', 'persistent words'));
+    index.add('https://b.example/', doc('B', 'temporary words'));
+    index.remove('https://b.example/');
+    await new Promise((r) => setTimeout(r, 0));
+    expect(kv.data.has('page:https://b.example/')).toBe(false);
+
+    const again = new SearchIndex({ kv });
+    expect(await again.load()).toBe(1);
+    expect(again.search('persistent')).toEqual([{ url: 'https://a.example/', title: 'A', score: expect.any(Number) }]);
+  });
+
+  test('a page indexed before the stored index loads is kept with it', async () => {
+    const kv = memoryKv();
+    kv.data.set('pages', [{ url: 'https://old.example/' }]);
+    kv.data.set('page:https://old.example/', { url: 'https://old.example/', terms: [['old', 1]] });
+    const index = new SearchIndex({ kv });
+    index.add('https://new.example/', doc('', 'new'));
+    expect(kv.data.get('pages')).toHaveLength(1);
+    await index.load();
+    expect(urls(index.search('old'))).toEqual(['https://old.example/']);
+    expect(kv.data.get('pages').map((p) => p.url)).toEqual(['https://new.example/', 'https://old.example/']);
+  });
+
+  test('storage failures leave the index usable in memory', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const broken = { get: () => Promise.reject(new Error('x')), update: () => Promise.reject(new Error('x')), remove: () => Promise.reject(new Error('x')) };
+    const index = new SearchIndex({ kv: broken });
+    expect(await index.load()).toBe(0);
+    expect(index.add('https://a.example/', doc('', 'still works'))).toBe(true);
+    expect(urls(index.search('works'))).toEqual(['https://a.example/']);
+    await new Promise((r) => setTimeout(r, 0));
+    warn.mockRestore();
+  });
+});
@@ -113,9 +113,9 @@ describe('BASE-relative precache (subpath deploy support)', () => {
     expect(BASE).toBe('/');
   });
 
-  test('critical assets are the app shell, resolved against BASE', () => {
+  test('critical assets are the app shell and the IME dictionary, resolved against BASE', () => {
     expect(CRITICAL_ASSETS).toEqual([
-      '/', '/index.html', '/manifest.json', '/offline.html'
+      '/', '/index.html', '/manifest.json', '/offline.html', '/dict/kanji-dict.json'
     ]);
   });
 
@@ -0,0 +1,309 @@
+/**
+ * Speech recognition backends (src/vr/input/speechBackends.js): the phrases
+ * the offline spotter listens for, the spotter's start / result / stop and
+ * error flow against a fake microphone, AudioWorklet and WebAssembly, and
+ * VoiceCommands running on it.
+ */
+
+const {
+  commandVocabulary, spotterResultEvent, createWebRecognizer, createOfflineRecognizer, createRecognizer,
+  offlineSpeechAvailable, KWS_SAMPLE_RATE
+} = require('../src/vr/input/speechBackends.js');
+const { VoiceCommands } = require('../src/vr/input/VoiceCommands.js');
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+/** Browser APIs the offline spotter needs, recording what it did with them. */
+function fakeScope({ micError = null, moduleError = false, workletError = false, served = 'application/wasm' } = {}) {
+  const scope = { nodes: [], contexts: [], tracks: [] };
+  // `served` is the module's content type; null when the server has no module.
+  scope.fetch = jest.fn((url) => ({ url, ok: served !== null, headers: { get: () => served } }));
+  scope.WebAssembly = {
+    compileStreaming: jest.fn(() => (moduleError ? Promise.reject(new Error('404')) : Promise.resolve({ wasm: true })))
+  };
+  scope.navigator = {
+    mediaDevices: {
+      getUserMedia: jest.fn(() => {
+        if (micError) {
+          return Promise.reject(Object.assign(new Error('no'), { name: micError }));
+        }
+        const track = { stop: jest.fn() };
+        scope.tracks.push(track);
+        return Promise.resolve({ getTracks: () => [track] });
+      })
+    }
+  };
+  scope.AudioContext = function AudioContext(options) {
+    this.options = options;
+    this.audioWorklet = {
+      addModule: jest.fn(() => (workletError ? Promise.reject(new Error('worklet')) : Promise.resolve()))
+    };
+    this.createMediaStreamSource = () => ({ connect: jest.fn() });
+    this.close = jest.fn();
+    scope.contexts.push(this);
+  };
+  scope.AudioWorkletNode = function AudioWorkletNode(context, name, options) {
+    this.name = name;
+    this.options = options;
+    this.port = { onmessage: null };
+    this.disconnect = jest.fn();
+    scope.nodes.push(this);
+  };
+  return scope;
+}
+
+/** An offline recogniser on a fake scope, recording its events. */
+function spotter(scopeOptions, phrases = ['go back', 'reload', 'open the second tab']) {
+  const scope = fakeScope(scopeOptions);
+  const events = [];
+  const recognizer = createOfflineRecognizer({
+    vocabulary: () => phrases,
+    moduleUrl: '/app/kws/kws.wasm',
+    workletUrl: '/app/kws/kws-processor.js',
+    scope
+  });
+  for (const name of ['onstart', 'onresult', 'onerror', 'onend']) {
+    recognizer[name] = (event) => events.push([name, event]);
+  }
+  return { scope, recognizer, events };
+}
+
+/** VoiceCommands with the browser commands (the tab and scroll intents) registered. */
+function connected(language) {
+  const vc = new VoiceCommands({ language });
+  const tabManager = { count: 3, activeIndex: 0, setActive: jest.fn(), closeTab: jest.fn(), getActiveTab: () => null };
+  vc.connectBrowser({ tabManager });
+  return { vc, tabManager };
+}
+
+const said = (node, hypotheses) => node.port.onmessage({ data: { type: 'result', hypotheses } });
+
+describe('commandVocabulary', () => {
+  test.each([['en-US'], ['ja-JP']])('every phrase in %s is a command VoiceCommands understands', (language) => {
+    const { vc } = connected(language);
+    const phrases = commandVocabulary(vc.commands, vc.aliases, vc.grammar.spaced);
+    expect(phrases.length).toBeGreaterThan(50);
+    const failed = [];
+    vc.callbacks.onCommandFailed = ({ reason, transcript }) => {
+      if (reason === 'no_match') {
+        failed.push(transcript);
+      }
+    };
+    for (const phrase of phrases) {
+      vc.processCommand(phrase, 0.9);
+    }
+    expect(failed).toEqual([]);
+  });
+
+  test('holds string patterns, aliases and spelled-out templates, not regexes or free text', () => {
+    const { vc } = connected('en-US');
+    const phrases = commandVocabulary(vc.commands, vc.aliases, true);
+    expect(phrases).toEqual(expect.arrayContaining(['go back', 'what can i say', 'open the second tab', 'scroll down a lot']));
+    expect(phrases.every((p) => typeof p === 'string')).toBe(true);
+    expect(phrases.some((p) => p.startsWith('bookmark this page as'))).toBe(false);
+  });
+});
+
+describe('the offline spotter', () => {
+  test('opens the microphone into the worklet with the phrases, then reports what it heard', async () => {
+    const { scope, recognizer, events } = spotter();
+    recognizer.start();
+    await flush();
+    expect(scope.fetch).toHaveBeenCalledWith('/app/kws/kws.wasm');
+    expect(scope.contexts[0].options).toEqual({ sampleRate: KWS_SAMPLE_RATE });
+    expect(scope.contexts[0].audioWorklet.addModule).toHaveBeenCalledWith('/app/kws/kws-processor.js');
+    const [node] = scope.nodes;
+    expect(node.name).toBe('kws-processor');
+    expect(node.options.processorOptions.module).toEqual({ wasm: true });
+    expect(new TextDecoder().decode(node.options.processorOptions.vocabulary)).toBe('go back\nreload\nopen the second tab');
+    expect(events.map((e) => e[0])).toEqual(['onstart']);
+
+    said(node, [{ index: 2, confidence: 0.8 }, { index: 9, confidence: 0.5 }, { index: 0, confidence: 0.3 }]);
+    const result = events[1][1].results[0];
+    expect(result.isFinal).toBe(true);
+    expect([result.length, result[0], result[1]]).toEqual([
+      2, { transcript: 'open the second tab', confidence: 0.8 }, { transcript: 'go back', confidence: 0.3 }
+    ]);
+  });
+
+  test('stop() releases the microphone and ends', async () => {
+    const { scope, recognizer, events } = spotter();
+    recognizer.start();
+    await flush();
+    recognizer.stop();
+    expect(scope.tracks[0].stop).toHaveBeenCalled();
+    expect(scope.contexts[0].close).toHaveBeenCalled();
+    expect(scope.nodes[0].disconnect).toHaveBeenCalled();
+    expect(events.map((e) => e[0])).toEqual(['onstart', 'onend']);
+  });
+
+  test('stopping before it has started leaves nothing open', async () => {
+    const { scope, recognizer, events } = spotter();
+    recognizer.start();
+    recognizer.stop();
+    await flush();
+    expect(scope.nodes).toEqual([]);
+    expect(scope.tracks.every((t) => t.stop.mock.calls.length === 1)).toBe(true);
+    expect(events).toEqual([]);
+  });
+
+  test.each([
+    [{ micError: 'NotAllowedError' }, 'not-allowed'],
+    [{ micError: 'NotFoundError' }, 'audio-capture'],
+    [{ moduleError: true }, 'language-not-supported'],
+    [{ workletError: true }, 'language-not-supported']
+  ])('%j is reported as %s, then it ends', async (scopeOptions, code) => {
+    const { recognizer, events } = spotter(scopeOptions);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    recognizer.start();
+    await flush();
+    expect(events.map((e) => e[0])).toEqual(['onerror', 'onend']);
+    expect(events[0][1].error).toBe(code);
+  });
+
+  test('a module that will not run in the worklet is an error too', async () => {
+    const { scope, recognizer, events } = spotter();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    recognizer.start();
+    await flush();
+    scope.nodes[0].port.onmessage({ data: { type: 'error', message: 'kws_init failed (-1)' } });
+    expect(events.map((e) => e[0])).toEqual(['onstart', 'onerror', 'onend']);
+    expect(events[1][1].error).toBe('language-not-supported');
+    expect(scope.tracks[0].stop).toHaveBeenCalled();
+  });
+
+  test('a failed module load is tried again on the next start', async () => {
+    const { scope, recognizer } = spotter({ moduleError: true });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    recognizer.start();
+    await flush();
+    recognizer.start();
+    await flush();
+    expect(scope.WebAssembly.compileStreaming).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('choosing a recogniser', () => {
+  test('web is the browser\'s SpeechRecognition, offline where there is none and the module is served', () => {
+    const SpeechRecognition = jest.fn();
+    const opts = { vocabulary: () => [], offlineAvailable: true };
+    expect(createWebRecognizer({ webkitSpeechRecognition: SpeechRecognition })).toBeInstanceOf(SpeechRecognition);
+    expect(createWebRecognizer({})).toBeNull();
+    expect(createRecognizer('web', { ...opts, scope: fakeScope() }).id).toBe('offline');
+    expect(createRecognizer('offline', { ...opts, scope: { webkitSpeechRecognition: SpeechRecognition } })).toBeNull();
+  });
+
+  test('without the module there is no offline fallback and no offline choice', () => {
+    const opts = { vocabulary: () => [], scope: fakeScope(), offlineAvailable: false };
+    expect(createRecognizer('web', opts)).toBeNull();
+    expect(createRecognizer('offline', opts)).toBeNull();
+  });
+
+  test.each([
+    ['served as wasm', {}, true],
+    ['not served', { served: null }, false],
+    ['answered with an index page', { served: 'text/html; charset=utf-8' }, false]
+  ])('offlineSpeechAvailable: a module %s is %s', async (_name, scopeOptions, available) => {
+    const scope = fakeScope(scopeOptions);
+    expect(await offlineSpeechAvailable({ moduleUrl: '/app/kws/kws.wasm', scope })).toBe(available);
+    expect(scope.fetch).toHaveBeenCalledWith('/app/kws/kws.wasm', { method: 'HEAD' });
+  });
+
+  test('offlineSpeechAvailable is false where the browser cannot run the spotter or the request fails', async () => {
+    const scope = fakeScope();
+    expect(await offlineSpeechAvailable({ scope: { ...scope, AudioWorkletNode: undefined } })).toBe(false);
+    expect(scope.fetch).not.toHaveBeenCalled();
+    scope.fetch = () => Promise.reject(new TypeError('Failed to fetch'));
+    expect(await offlineSpeechAvailable({ scope })).toBe(false);
+  });
+
+  test('spotterResultEvent is what handleRecognitionResult reads', () => {
+    const vc = new VoiceCommands({ language: 'en-US' });
+    const action = jest.fn();
+    vc.registerCommand('theatre', { patterns: ['theatre mode'], action });
+    vc.handleRecognitionResult(spotterResultEvent([{ transcript: 'theatre mode', confidence: 0.9 }]));
+    expect(action).toHaveBeenCalled();
+  });
+});
+
+describe('VoiceCommands on the offline spotter', () => {
+  const APIS = ['fetch', 'WebAssembly', 'navigator', 'AudioContext', 'AudioWorkletNode', 'SpeechRecognition'];
+  let saved, scope;
+  beforeEach(() => {
+    saved = APIS.map((name) => [name, Object.getOwnPropertyDescriptor(globalThis, name)]);
+    scope = fakeScope();
+    for (const name of APIS.slice(0, 5)) {
+      Object.defineProperty(globalThis, name, { value: scope[name], configurable: true, writable: true });
+    }
+  });
+  afterEach(() => {
+    for (const [name, descriptor] of saved) {
+      if (descriptor) {
+        Object.defineProperty(globalThis, name, descriptor);
+      } else {
+        delete globalThis[name];
+      }
+    }
+  });
+
+  test('hears a command and runs it', async () => {
+    const vc = new VoiceCommands({ language: 'en-US', backend: 'offline' });
+    const tabManager = { count: 3, activeIndex: 0, setActive: jest.fn(), closeTab: jest.fn(), getActiveTab: () => null };
+    vc.connectBrowser({ tabManager });
+    expect(await vc.initialize()).toBe(true);
+    vc.start();
+    await flush();
+    expect(vc.isListening).toBe(true);
+    const [node] = scope.nodes;
+    const phrases = new TextDecoder().decode(node.options.processorOptions.vocabulary).split('\n');
+    said(node, [{ index: phrases.indexOf('open the second tab'), confidence: 0.9 }]);
+    expect(tabManager.setActive).toHaveBeenCalledWith(1);
+    vc.dispose();
+  });
+
+  test('setBackend moves a listening VoiceCommands onto the spotter', async () => {
+    const web = { start: jest.fn(), stop: jest.fn() };
+    globalThis.SpeechRecognition = function SpeechRecognition() {
+      return web;
+    };
+    const vc = new VoiceCommands({ language: 'en-US' });
+    await vc.initialize();
+    vc.start();
+    web.onstart();
+    expect(vc.setBackend('offline')).toBe(true);
+    expect(web.stop).toHaveBeenCalled();
+    expect(web.onend).toBeNull();
+    await flush();
+    expect(scope.nodes).toHaveLength(1);
+    expect(vc.isListening).toBe(true);
+    vc.dispose();
+  });
+
+  test('a build without the module keeps to the browser\'s recogniser', async () => {
+    scope = fakeScope({ served: null });
+    globalThis.fetch = scope.fetch;
+    const web = { start: jest.fn(), stop: jest.fn() };
+    globalThis.SpeechRecognition = function SpeechRecognition() {
+      return web;
+    };
+    const vc = new VoiceCommands({ language: 'en-US', backend: 'offline' });
+    expect(await vc.initialize()).toBe(true);
+    expect(vc.offlineAvailable).toBe(false);
+    expect(vc.recognition).toBe(web);
+    expect(vc.setBackend('offline')).toBe(false);
+    expect(vc.recognition).toBe(web);
+    vc.dispose();
+  });
+
+  test('a spotter module that will not load stops the restarts', async () => {
+    scope.WebAssembly.compileStreaming = jest.fn(() => Promise.reject(new Error('404')));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const vc = new VoiceCommands({ language: 'en-US', backend: 'offline' });
+    vc.callbacks.onError = jest.fn();
+    await vc.initialize();
+    vc.start();
+    await flush();
+    expect(vc.callbacks.onError).toHaveBeenCalledWith('language-not-supported');
+    expect(vc.isEnabled).toBe(false);
+  });
+});
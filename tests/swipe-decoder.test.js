@@ -0,0 +1,61 @@
+/**
+ * Swipe typing (src/vr/input/swipeDecoder.js): which keys a path crosses,
+ * and the words it is read as.
+ */
+
+const { keyAt, swipeKeys, decodeSwipe } = require('../src/vr/input/swipeDecoder.js');
+const { SWIPE_WORDS } = require('../src/vr/input/swipeWords.js');
+const { computeKeyLayout, ROWS } = require('../src/vr/input/keyboardLayout.js');
+
+const keys = computeKeyLayout(ROWS);
+const centre = (label) => {
+  const k = keys.find((key) => key.label === label);
+  return { x: k.x, y: k.y };
+};
+/** A swipe straight from key centre to key centre through a word's letters. */
+const swipe = (word) => Array.from(word).map(centre);
+
+describe('keyAt', () => {
+  test('finds the key under a point, and nothing in a gap', () => {
+    const q = keys.find((k) => k.label === 'q');
+    expect(keyAt(keys, q.x, q.y).label).toBe('q');
+    expect(keyAt(keys, q.x + q.w / 2 + 0.002, q.y)).toBeNull();
+    expect(keyAt(keys, 5, 5)).toBeNull();
+  });
+});
+
+describe('swipeKeys', () => {
+  test('lists each letter crossed once per visit, including keys between samples', () => {
+    expect(swipeKeys(swipe('to'), keys)).toEqual(['t', 'y', 'u', 'i', 'o']);
+  });
+
+  test('ignores keys that are not letters', () => {
+    expect(swipeKeys([centre('1'), centre('2')], keys)).toEqual([]);
+  });
+});
+
+describe('decodeSwipe', () => {
+  test.each(['hello', 'google', 'news', 'weather', 'github'])('reads a swipe through %s as it', (word) => {
+    expect(decodeSwipe(swipe(word), keys, SWIPE_WORDS)[0].word).toBe(word);
+  });
+
+  test('ranks words of the same shape by the list order', () => {
+    expect(decodeSwipe(swipe('to'), keys, SWIPE_WORDS).map((r) => r.word)).toEqual(['to', 'too']);
+  });
+
+  test('a word must start and end where the swipe did', () => {
+    const words = decodeSwipe(swipe('the'), keys, ['he', 'the', 'them']).map((r) => r.word);
+    expect(words).toEqual(['the']);
+  });
+
+  test('returns at most `max` words, best first', () => {
+    const ranked = decodeSwipe(swipe('weather'), keys, SWIPE_WORDS, { max: 1 });
+    expect(ranked).toHaveLength(1);
+    expect(ranked[0].score).toBeGreaterThanOrEqual(0);
+  });
+
+  test('a path on one key is a tap, not a word', () => {
+    expect(decodeSwipe([centre('a'), centre('a')], keys, SWIPE_WORDS)).toEqual([]);
+    expect(decodeSwipe([], keys, SWIPE_WORDS)).toEqual([]);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Sync ops (syncOps.js) and how BookmarkStore records and merges them.
+ *
+ * The property that matters is convergence: two headsets that have seen the
+ * same ops hold the same bookmarks and visit counts, whatever order the ops
+ * reached them in. localStorage is shimmed by tests/setup.js.
+ */
+
+const { syncOpFromJson, compareClock, compactOps } = require('../src/utils/syncOps.js');
+const { BookmarkStore } = require('../src/utils/BookmarkStore.js');
+
+const op = (fields) => ({ id: `${fields.device || 'a'}:${fields.ts}`, device: 'a', ...fields });
+
+describe('syncOpFromJson', () => {
+  test('a valid put keeps its fields', () => {
+    const o = op({ ts: 5, type: 'bookmark.put', url: 'https://a.example/', title: 'A', tags: ['x'], folder: ['Dev'], addedAt: 3 });
+    expect(syncOpFromJson(o)).toEqual(o);
+  });
+
+  test.each([
+    ['an unknown type', { type: 'bookmark.explode' }],
+    ['a javascript: URL', { type: 'bookmark.put', url: 'javascript:alert(1)' }],
+    ['a missing clock', { type: 'history.clear', ts: 0 }],
+    ['a missing device', { type: 'history.clear', device: '' }]
+  ])('%s is rejected', (_name, fields) => {
+    expect(syncOpFromJson(op({ ts: 1, url: 'https://a.example/', ...fields }))).toBeNull();
+  });
+
+  test('loose fields are cleaned rather than trusted', () => {
+    const o = syncOpFromJson(op({
+      ts: 9, type: 'bookmark.put', url: 'https://a.example/', title: 7, tags: ['ok', 3, ''], folder: ['  ', 'Dev', {}]
+    }));
+    expect(o).toMatchObject({ title: 'https://a.example/', tags: ['ok'], folder: ['Dev'], addedAt: 9 });
+    expect(syncOpFromJson(op({ ts: 9, type: 'history.visit', url: 'https://a.example/', visits: -4 })).visits).toBe(1);
+  });
+});
+
+describe('compareClock', () => {
+  test('time first, then device, then id', () => {
+    expect(compareClock({ ts: 1, device: 'z', id: 'z' }, { ts: 2, device: 'a', id: 'a' })).toBeLessThan(0);
+    expect(compareClock({ ts: 2, device: 'b', id: 'a' }, { ts: 2, device: 'a', id: 'z' })).toBeGreaterThan(0);
+    expect(compareClock({ ts: 2, device: 'a', id: 'a:1' }, { ts: 2, device: 'a', id: 'a:2' })).toBeLessThan(0);
+  });
+});
+
+describe('compactOps', () => {
+  test('keeps the newest op per bookmark and every history op', () => {
+    const ops = [
+      op({ ts: 1, type: 'bookmark.put', url: 'https://a.example/' }),
+      op({ ts: 2, type: 'history.visit', url: 'https://a.example/' }),
+      op({ ts: 3, type: 'bookmark.remove', url: 'https://a.example/' }),
+      op({ ts: 4, type: 'history.visit', url: 'https://a.example/' }),
+      op({ ts: 5, type: 'bookmark.put', url: 'https://b.example/' })
+    ];
+    expect(compactOps(ops).map((o) => o.ts)).toEqual([2, 3, 4, 5]);
+  });
+});
+
+describe('BookmarkStore — recording ops', () => {
+  let store;
+  let recorded;
+
+  beforeEach(() => {
+    localStorage.clear();
+    recorded = [];
+    let ts = 100;
+    store = new BookmarkStore();
+    store.attachSync({ record: (o) => { const s = op({ ...o, ts: ++ts }); recorded.push(s); return s; } });
+  });
+
+  test('bookmark edits record the whole bookmark, folder as a path', () => {
+    const dev = store.createFolder('Dev');
+    store.createFolder('Web', dev.id);
+    store.addBookmark('https://a.example/', 'A', { folderId: store.getFolderContents(dev.id).folders[0].id, tags: ['x'] });
+    expect(recorded).toHaveLength(1);
+    expect(recorded[0]).toMatchObject({ type: 'bookmark.put', title: 'A', tags: ['x'], folder: ['Dev', 'Web'] });
+  });
+
+  test('renaming a folder re-records every bookmark under it', () => {
+    const dev = store.createFolder('Dev');
+    const web = store.createFolder('Web', dev.id);
+    store.addBookmark('https://a.example/', 'A', { folderId: web.id });
+    store.addBookmark('https://b.example/', 'B');
+    recorded.length = 0;
+    store.renameFolder(dev.id, 'Code');
+    expect(recorded.map((o) => [o.url, o.folder])).toEqual([['https://a.example/', ['Code', 'Web']]]);
+  });
+
+  test('reordering within a folder records nothing; removing records a remove', () => {
+    store.addBookmark('https://a.example/', 'A');
+    store.addBookmark('https://b.example/', 'B');
+    recorded.length = 0;
+    store.moveBookmark('https://a.example/', undefined, 0);
+    expect(recorded).toEqual([]);
+    store.removeBookmark('https://a.example/');
+    store.removeBookmark('https://a.example/');
+    expect(recorded.map((o) => o.type)).toEqual(['bookmark.remove']);
+  });
+
+  test('history records visits, removals and clears', () => {
+    store.addHistory('https://a.example/', 'A');
+    store.removeHistory('https://a.example/');
+    store.clearHistory();
+    expect(recorded.map((o) => o.type)).toEqual(['history.visit', 'history.remove', 'history.clear']);
+  });
+
+  test('nothing is recorded without a sync log', () => {
+    store.attachSync(null);
+    store.addBookmark('https://a.example/', 'A');
+    expect(recorded).toEqual([]);
+  });
+});
+
+describe('BookmarkStore.applyRemoteOps', () => {
+  beforeEach(() => localStorage.clear());
+
+  const url = 'https://a.example/';
+  const ops = [
+    op({ ts: 10, device: 'a', type: 'bookmark.put', url, title: 'From A', tags: ['a'], folder: ['Dev'] }),
+    op({ ts: 20, device: 'b', type: 'bookmark.put', url, title: 'From B', tags: ['b'], folder: [] }),
+    op({ ts: 20, device: 'a', type: 'bookmark.put', url: 'https://tie.example/', title: 'Loses the tie' }),
+    op({ ts: 20, device: 'c', type: 'bookmark.put', url: 'https://tie.example/', title: 'C wins the tie' }),
+    op({ ts: 15, device: 'a', type: 'bookmark.put', url: 'https://gone.example/', title: 'Gone' }),
+    op({ ts: 16, device: 'b', type: 'bookmark.remove', url: 'https://gone.example/' }),
+    op({ ts: 11, device: 'a', type: 'history.visit', url, title: 'A', visits: 3 }),
+    op({ ts: 12, device: 'b', type: 'history.visit', url, title: 'A newer', visits: 2 })
+  ];
+
+  const stateAfter = (order) => {
+    localStorage.clear();
+    const store = new BookmarkStore();
+    for (const o of order) {
+      store.applyRemoteOps([o]);
+    }
+    const bookmarks = store.getBookmarks().map(({ url: u, title, tags, folderId }) => ({
+      u, title, tags, folder: store.getFolderPath(folderId).map((f) => f.name)
+    })).sort((x, y) => (x.u < y.u ? -1 : 1));
+    return { bookmarks, history: store.getHistory() };
+  };
+
+  test('last writer wins per URL, ties broken by device', () => {
+    const { bookmarks } = stateAfter(ops);
+    expect(bookmarks).toEqual([
+      { u: url, title: 'From B', tags: ['b'], folder: [] },
+      { u: 'https://tie.example/', title: 'C wins the tie', tags: [], folder: [] }
+    ]);
+  });
+
+  test('visits from both headsets are summed', () => {
+    expect(stateAfter(ops).history).toEqual([{ url, title: 'A newer', visitedAt: 12, visits: 5 }]);
+  });
+
+  test('any arrival order converges on the same state', () => {
+    const forward = stateAfter(ops);
+    expect(stateAfter([...ops].reverse())).toEqual(forward);
+    expect(stateAfter([ops[5], ops[1], ops[7], ops[3], ops[0], ops[6], ops[2], ops[4]])).toEqual(forward);
+  });
+
+  test('applying the same batch twice counts its visits once', () => {
+    const store = new BookmarkStore();
+    expect(store.applyRemoteOps(ops)).toEqual({ bookmarks: 6, history: 2 });
+    expect(store.applyRemoteOps(ops)).toEqual({ bookmarks: 0, history: 0 });
+    expect(store.getHistory()).toEqual([{ url, title: 'A newer', visitedAt: 12, visits: 5 }]);
+    // A later visit from the same headset still counts.
+    store.applyRemoteOps([op({ ts: 13, device: 'a', type: 'history.visit', url, visits: 1 })]);
+    expect(store.getHistory()[0].visits).toBe(6);
+  });
+
+  test('a remote folder path creates the folders once', () => {
+    const store = new BookmarkStore();
+    store.applyRemoteOps([
+      op({ ts: 1, type: 'bookmark.put', url: 'https://a.example/', folder: ['Dev', 'Web'] }),
+      op({ ts: 2, type: 'bookmark.put', url: 'https://b.example/', folder: ['Dev', 'Web'] })
+    ]);
+    expect(store.getFolders().map((f) => f.name)).toEqual(['Dev', 'Web']);
+  });
+
+  test('a local edit made after a remote one is not overwritten by it arriving again', () => {
+    const store = new BookmarkStore();
+    store.attachSync({ record: (o) => op({ ...o, device: 'me', ts: 50 }) });
+    store.applyRemoteOps([ops[0]]);
+    store.renameBookmark(url, 'Mine');
+    store.applyRemoteOps([ops[0]]);
+    expect(store.getBookmark(url).title).toBe('Mine');
+  });
+
+  test('a history clear drops older visits, including ones that arrive later', () => {
+    const store = new BookmarkStore();
+    const later = op({ ts: 40, device: 'b', type: 'history.visit', url: 'https://b.example/', visits: 1 });
+    expect(store.applyRemoteOps([ops[6], op({ ts: 30, device: 'b', type: 'history.clear' }), later]))
+      .toEqual({ bookmarks: 0, history: 3 });
+    store.applyRemoteOps([ops[7]]);
+    expect(store.getHistory().map((e) => e.url)).toEqual(['https://b.example/']);
+  });
+
+  test('malformed ops are skipped', () => {
+    const store = new BookmarkStore();
+    expect(store.applyRemoteOps([null, { type: 'bookmark.put', url }, 'x'])).toEqual({ bookmarks: 0, history: 0 });
+  });
+});
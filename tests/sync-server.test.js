@@ -0,0 +1,246 @@
+/**
+ * The sync server (proxy/syncServer.js) and the service worker's exchange
+ * with it, end to end: two headsets, each with its own localStorage and
+ * outbox, syncing through a real server on a loopback port.
+ *
+ * IndexedDB is replaced by an in-memory key-value store with the same
+ * interface; the worker's syncBookmarks and SyncClient both accept one.
+ */
+
+const { mkdtempSync, readFileSync, appendFileSync, rmSync } = require('node:fs');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
+const { OpLog, createSyncServer } = require('../proxy/syncServer.js');
+
+const op = (fields) => ({ id: `${fields.device || 'a'}:${fields.ts}`, device: 'a', type: 'history.clear', ...fields });
+
+describe('OpLog', () => {
+  test('appends in order and keeps each op id once', () => {
+    const log = new OpLog();
+    expect(log.append([op({ ts: 1 }), op({ ts: 2 }), op({ ts: 1 })])).toEqual({ accepted: 2, duplicates: 1, seq: 2 });
+    expect(log.append([op({ ts: 2 }), op({ ts: 3 })])).toEqual({ accepted: 1, duplicates: 1, seq: 3 });
+  });
+
+  test('since() skips the asking device and pages through', () => {
+    const log = new OpLog();
+    log.append([op({ ts: 1, device: 'a' }), op({ ts: 2, device: 'b' }), op({ ts: 3, device: 'b' }), op({ ts: 4, device: 'a' })]);
+    expect(log.since(0, { device: 'a' })).toEqual({ ops: [log.entries[1].op, log.entries[2].op], seq: 4, more: false });
+    expect(log.since(0, { device: 'c', limit: 3 })).toMatchObject({ seq: 3, more: true });
+    expect(log.since(4)).toEqual({ ops: [], seq: 4, more: false });
+    expect(log.since(99)).toEqual({ ops: [], seq: 4, more: false });
+  });
+
+  test('a log file is replayed on start, torn last line and all', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'qui-sync-'));
+    try {
+      const file = join(dir, 'sync.jsonl');
+      new OpLog(file).append([op({ ts: 1 }), op({ ts: 2 })]);
+      appendFileSync(file, '{"seq":3,"op":{"id":');
+      const log = new OpLog(file);
+      expect(log.seq).toBe(2);
+      log.append([op({ ts: 3 })]);
+      expect(readFileSync(file, 'utf8').trim().split('\n').pop()).toContain('"seq":3');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('sync server routes', () => {
+  let server;
+  let base;
+  const auth = { authorization: 'Bearer s3cret', 'content-type': 'application/json' };
+
+  beforeAll((done) => {
+    server = createSyncServer({ token: 's3cret' }).listen(0, '127.0.0.1', () => {
+      base = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+  afterAll((done) => { server.close(done); });
+
+  test('health needs no token; ops do', async () => {
+    expect((await fetch(`${base}/health`)).status).toBe(200);
+    expect((await fetch(`${base}/ops`)).status).toBe(401);
+    expect((await fetch(`${base}/ops`, { headers: { authorization: 'Bearer wrong' } })).status).toBe(401);
+  });
+
+  test('push then pull, invalid ops rejected', async () => {
+    const ops = [op({ ts: 10, device: 'x' }), { type: 'bookmark.put', url: 'javascript:x' }];
+    const push = await fetch(`${base}/ops`, { method: 'POST', headers: auth, body: JSON.stringify({ ops }) });
+    expect(await push.json()).toEqual({ accepted: 1, duplicates: 0, rejected: 1, seq: 1 });
+    const pull = await fetch(`${base}/ops?since=0&device=y`, { headers: auth });
+    expect(await pull.json()).toEqual({ ops: [ops[0]], seq: 1, more: false });
+  });
+
+  test.each([
+    ['bad JSON', 'POST', '{', 400],
+    ['no ops array', 'POST', '{}', 400],
+    ['a bad cursor', 'GET', null, 400, '?since=-1'],
+    ['another method', 'PUT', null, 405]
+  ])('%s is refused', async (_name, method, body, status, query = '') => {
+    const res = await fetch(`${base}/ops${query}`, { method, headers: auth, body: body ?? undefined });
+    expect(res.status).toBe(status);
+  });
+
+  test('the server needs a token to start', () => {
+    expect(() => createSyncServer({ token: '' })).toThrow();
+  });
+});
+
+describe('two headsets syncing through the service worker', () => {
+  // The worker is a classic script: stub its globals before requiring it.
+  const posted = [];
+  global.self = {
+    addEventListener: () => {},
+    location: { origin: 'https://app.example', pathname: '/service-worker.js' },
+    clients: { matchAll: async () => [{ postMessage: (m) => posted.push(m) }] }
+  };
+  const { syncBookmarks } = require('../public/service-worker.js');
+  const { BookmarkStore } = require('../src/utils/BookmarkStore.js');
+  const { SyncClient } = require('../src/utils/SyncClient.js');
+
+  const memoryKv = () => {
+    const data = new Map();
+    return {
+      data,
+      get: async (key) => data.get(key),
+      update: async (key, fn) => {
+        const prev = data.get(key);
+        data.set(key, fn(prev));
+        return prev;
+      }
+    };
+  };
+
+  /** A headset: its own localStorage, outbox and store. */
+  const headset = (base) => {
+    const storage = new Map();
+    const local = {
+      getItem: (k) => storage.get(k) ?? null,
+      setItem: (k, v) => storage.set(k, String(v)),
+      removeItem: (k) => storage.delete(k),
+      clear: () => storage.clear()
+    };
+    const kv = memoryKv();
+    const h = {
+      kv,
+      async run(fn) {
+        const saved = global.localStorage;
+        global.localStorage = local;
+        try {
+          return await fn(h);
+        } finally {
+          global.localStorage = saved;
+        }
+      }
+    };
+    return h.run(async () => {
+      h.store = new BookmarkStore();
+      h.client = new SyncClient({ serverUrl: base, token: 's3cret', kv, serviceWorker: null, intervalMs: 0 });
+      await h.client.start(h.store);
+      return h;
+    });
+  };
+
+  /** Push what is queued, pull, and apply. */
+  const sync = (h) => h.run(async () => {
+    await h.client.flush();
+    await syncBookmarks(h.kv);
+    return h.client.pull();
+  });
+
+  let server;
+  let base;
+  beforeAll((done) => {
+    server = createSyncServer({ token: 's3cret' }).listen(0, '127.0.0.1', () => {
+      base = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+  afterAll((done) => { server.close(done); });
+
+  test('concurrent edits converge: last writer wins, visits add up', async () => {
+    const a = await headset(base);
+    const b = await headset(base);
+
+    await a.run(() => {
+      a.store.addBookmark('https://mdn.example/', 'MDN', { folderId: a.store.createFolder('Dev').id });
+      a.store.addHistory('https://mdn.example/', 'MDN');
+      a.store.addHistory('https://mdn.example/', 'MDN');
+    });
+    await sync(a);
+    expect(await sync(b)).toEqual({ bookmarks: 1, history: 2 });
+    expect(posted.some((m) => m.type === 'SYNC_APPLIED')).toBe(true);
+
+    // Both rename offline; B renames second.
+    await a.run(() => a.store.renameBookmark('https://mdn.example/', 'Renamed on A'));
+    await new Promise((r) => setTimeout(r, 5));
+    await b.run(() => {
+      b.store.renameBookmark('https://mdn.example/', 'Renamed on B');
+      b.store.addHistory('https://mdn.example/', 'MDN');
+    });
+    await sync(a);
+    await sync(b);
+    await sync(a);
+
+    for (const h of [a, b]) {
+      await h.run(() => {
+        expect(h.store.getBookmark('https://mdn.example/').title).toBe('Renamed on B');
+        expect(h.store.getFolderPath(h.store.getBookmark('https://mdn.example/').folderId).map((f) => f.name)).toEqual(['Dev']);
+        expect(h.store.getHistory()[0].visits).toBe(3);
+      });
+    }
+    expect(a.kv.data.get('outbox')).toEqual([]);
+    expect(b.kv.data.get('outbox')).toEqual([]);
+  });
+
+  test('overlapping syncs and a replayed pull add each visit once', async () => {
+    const a = await headset(base);
+    const b = await headset(base);
+    await a.run(() => {
+      for (let i = 0; i < 3; i++) {
+        a.store.addHistory('https://twice.example/', 'Twice');
+      }
+      return a.client.flush();
+    });
+    await syncBookmarks(a.kv);
+
+    // A SYNC_NOW while the sync event runs joins it instead of pulling again.
+    const [first, second] = await Promise.all([syncBookmarks(b.kv), syncBookmarks(b.kv)]);
+    expect(second).toBe(first);
+    const inbox = b.kv.data.get('inbox');
+    expect(new Set(inbox.ops.map((o) => o.id)).size).toBe(inbox.ops.length);
+
+    // The same ops pulled again (a stale cursor) are not queued twice, and the
+    // cursor does not go back.
+    const { cursor } = inbox;
+    b.kv.data.set('inbox', { cursor: 0, ops: inbox.ops });
+    await syncBookmarks(b.kv);
+    expect(b.kv.data.get('inbox').ops).toEqual(inbox.ops);
+    b.kv.data.set('inbox', { cursor: cursor + 100, ops: [] });
+    await syncBookmarks(b.kv);
+    expect(b.kv.data.get('inbox').cursor).toBe(cursor + 100);
+
+    // And applying a batch that was applied already changes nothing.
+    await b.run(async () => {
+      b.kv.data.set('inbox', { cursor, ops: inbox.ops });
+      await b.client.pull();
+      b.kv.data.set('inbox', { cursor, ops: inbox.ops });
+      await b.client.pull();
+      expect(b.store.getHistory().find((e) => e.url === 'https://twice.example/').visits).toBe(3);
+    });
+  });
+
+  test('a failed push keeps the outbox for the retry', async () => {
+    const h = await headset('http://127.0.0.1:1');
+    await h.run(() => h.store.addBookmark('https://a.example/', 'A'));
+    await h.run(() => h.client.flush());
+    await expect(syncBookmarks(h.kv)).rejects.toThrow();
+    expect(h.kv.data.get('outbox')).toHaveLength(1);
+  });
+
+  test('nothing happens until a server is configured', async () => {
+    expect(await syncBookmarks(memoryKv())).toBe(0);
+  });
+});
@@ -58,6 +58,15 @@ jest.mock('../src/vr/browser/WebPanel.js', () => ({
     setVisible(v) { this.visible = !!v; }
     setCurved(v) { this.curved = !!v; }
     dispose() { this.disposed = true; }
+    // Session restore: the real WebPanel saves its page, reading position and
+    // back/forward stack; the stub only needs to show what was handed back.
+    sessionState() { return { url: this.currentUrl, scroll: this.scroll || 0 }; }
+    restoreSessionState(state, { load = true } = {}) {
+      this.currentUrl = state.url;
+      this.scroll = state.scroll;
+      this.deferred = !load;
+    }
+    resumeDeferredLoad() { this.deferred = false; }
   }
 }));
 
@@ -73,7 +82,8 @@ global.document = {
 };
 global.URL = URL;
 
-const { TabManager } = require('../src/vr/browser/TabManager.js');
+const { TabManager, MAX_TABS } = require('../src/vr/browser/TabManager.js');
+const { MAX_CLOSED_TABS } = require('../src/vr/browser/tabSession.js');
 
 function makeManager() {
   return new TabManager({
@@ -316,3 +326,102 @@ describe('TabManager — rootGroup owns the strip and every panel', () => {
     expect(tm.scene.remove).toHaveBeenCalledWith(tm.rootGroup);
   });
 });
+
+// ── Session restore and reopen closed tab ────────────────────────────────────
+describe('TabManager — session restore', () => {
+  beforeEach(() => { panelInstances.length = 0; });
+
+  const savedTab = (url, scroll = 0) => ({ url, scroll });
+
+  test('closing a tab remembers it; reopenClosedTab brings it back active', () => {
+    const tm = makeManager();
+    tm.newTab('https://a.example/');
+    const b = tm.newTab('https://b.example/');
+    b.scroll = 120;
+    tm.closeTab(1);
+    const reopened = tm.reopenClosedTab();
+    expect(reopened.currentUrl).toBe('https://b.example/');
+    expect(reopened.scroll).toBe(120);
+    expect(tm.getActiveTab()).toBe(reopened);
+    expect(tm.closedTabs).toEqual([]);
+    expect(tm.reopenClosedTab()).toBeNull();
+  });
+
+  test('blank tabs are not remembered, and only the last MAX_CLOSED_TABS are', () => {
+    const tm = makeManager();
+    tm.newTab();
+    tm.closeTab(0);
+    expect(tm.closedTabs).toEqual([]);
+    for (let i = 0; i < MAX_CLOSED_TABS + 3; i++) {
+      tm.newTab(`https://a.example/${i}`);
+      tm.closeTab(0);
+    }
+    expect(tm.closedTabs).toHaveLength(MAX_CLOSED_TABS);
+    expect(tm.closedTabs[0].url).toBe('https://a.example/3');
+  });
+
+  test('clearClosedTabs forgets them', () => {
+    const tm = makeManager();
+    tm.newTab('https://a.example/');
+    tm.closeTab(0);
+    tm.clearClosedTabs();
+    expect(tm.reopenClosedTab()).toBeNull();
+  });
+
+  test('restoreSession reopens every tab, loading only the active one', () => {
+    const tm = makeManager();
+    const restored = tm.restoreSession({
+      tabs: [savedTab('https://a.example/'), savedTab('https://b.example/', 80)],
+      activeIndex: 0, curved: true, closed: [savedTab('https://c.example/')]
+    });
+    expect(restored).toBe(true);
+    expect(tm.tabs.map((p) => p.currentUrl)).toEqual(['https://a.example/', 'https://b.example/']);
+    expect(tm.getActiveTab()).toBe(tm.tabs[0]);
+    expect(tm.tabs[0].deferred).toBe(false);
+    expect(tm.tabs[1].deferred).toBe(true);
+    expect(tm.tabs.every((p) => p.curved)).toBe(true);
+    tm.setActive(1);
+    expect(tm.tabs[1].deferred).toBe(false);
+    expect(tm.tabs[1].scroll).toBe(80);
+    expect(tm.reopenClosedTab().currentUrl).toBe('https://c.example/');
+  });
+
+  test('restoreSession does nothing without a session or over open tabs', () => {
+    const tm = makeManager();
+    expect(tm.restoreSession(null)).toBe(false);
+    tm.newTab();
+    expect(tm.restoreSession({ tabs: [savedTab('https://a.example/')], activeIndex: 0, closed: [] })).toBe(false);
+    expect(tm.count).toBe(1);
+  });
+
+  test('restoreSession opens no more than MAX_TABS', () => {
+    const tm = makeManager();
+    const tabs = Array.from({ length: MAX_TABS + 2 }, (_, i) => savedTab(`https://a.example/${i}`));
+    tm.restoreSession({ tabs, activeIndex: 0, closed: [] });
+    expect(tm.count).toBe(MAX_TABS);
+  });
+
+  test('onSessionChange reports changes, but not the restore itself or dispose', () => {
+    const onSessionChange = jest.fn();
+    const tm = new TabManager({
+      scene: { add: jest.fn(), remove: jest.fn() },
+      registerInteractable: jest.fn(),
+      unregisterInteractable: jest.fn(),
+      onNavigate: jest.fn(),
+      onSessionChange
+    });
+    tm.restoreSession({ tabs: [savedTab('https://a.example/'), savedTab('https://b.example/')], activeIndex: 1, closed: [] });
+    // One report: the setActive that finishes the restore.
+    expect(onSessionChange).toHaveBeenCalledTimes(1);
+    expect(onSessionChange.mock.calls[0][0]).toMatchObject({ activeIndex: 1, closed: [] });
+    expect(onSessionChange.mock.calls[0][0].tabs.map((t) => t.url)).toEqual(['https://a.example/', 'https://b.example/']);
+
+    onSessionChange.mockClear();
+    tm.tabs[0].opts.onStateChange();
+    expect(onSessionChange).toHaveBeenCalledTimes(1);
+
+    onSessionChange.mockClear();
+    tm.dispose();
+    expect(onSessionChange).not.toHaveBeenCalled();
+  });
+});
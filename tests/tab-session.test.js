@@ -0,0 +1,124 @@
+/**
+ * Saved-session validation and storage (tabSession.js).
+ *
+ * The stored session is untrusted input — an older build's shape, a hand
+ * edit, a write cut short — so most cases here are what gets dropped.
+ * localStorage is shimmed by tests/setup.js.
+ */
+
+const {
+  SESSION_KEY, SESSION_VERSION, MAX_CLOSED_TABS, MAX_SESSION_HISTORY,
+  tabStateFromJson, sessionFromJson, readSession, writeSession
+} = require('../src/vr/browser/tabSession.js');
+
+const tab = (url, extra = {}) => ({
+  url, title: 'T', scroll: 0, history: [url], historyIdx: 0, historyScroll: [0], ...extra
+});
+
+describe('tabStateFromJson', () => {
+  test('a consistent tab round-trips', () => {
+    const state = {
+      url: 'https://b.example/', title: 'B', scroll: 40,
+      history: ['https://a.example/', 'https://b.example/', 'https://c.example/'],
+      historyIdx: 1, historyScroll: [10, 40, 0]
+    };
+    expect(tabStateFromJson(state)).toEqual(state);
+  });
+
+  test('a javascript: URL is never restored', () => {
+    expect(tabStateFromJson(tab('javascript:alert(1)'))).toBeNull();
+  });
+
+  test('a blank tab is kept', () => {
+    expect(tabStateFromJson({ url: '' })).toMatchObject({ url: '', history: [], historyIdx: -1 });
+  });
+
+  test('an inconsistent history falls back to just the page', () => {
+    const restored = tabStateFromJson({
+      url: 'https://b.example/', scroll: 5, history: ['https://a.example/', 'javascript:x'], historyIdx: 1
+    });
+    expect(restored).toMatchObject({ history: ['https://b.example/'], historyIdx: 0, historyScroll: [5] });
+  });
+
+  test('bad scroll offsets become 0', () => {
+    expect(tabStateFromJson(tab('https://a.example/', { scroll: -3, historyScroll: ['x'] })))
+      .toMatchObject({ scroll: 0, historyScroll: [0] });
+  });
+
+  test('a long history is capped, keeping the current page', () => {
+    const history = Array.from({ length: MAX_SESSION_HISTORY + 20 }, (_, i) => `https://a.example/${i}`);
+    const idx = history.length - 1;
+    const restored = tabStateFromJson({ url: history[idx], history, historyIdx: idx });
+    expect(restored.history).toHaveLength(MAX_SESSION_HISTORY);
+    expect(restored.history[restored.historyIdx]).toBe(history[idx]);
+  });
+});
+
+describe('sessionFromJson', () => {
+  const session = (extra = {}) => ({
+    version: SESSION_VERSION, tabs: [tab('https://a.example/'), tab('https://b.example/')],
+    activeIndex: 1, curved: true, closed: [], ...extra
+  });
+
+  test('a valid session is returned as saved', () => {
+    expect(sessionFromJson(session())).toMatchObject({ activeIndex: 1, curved: true, closed: [] });
+  });
+
+  test('another version is ignored', () => {
+    expect(sessionFromJson(session({ version: SESSION_VERSION + 1 }))).toBeNull();
+  });
+
+  test('nothing to restore is null', () => {
+    expect(sessionFromJson(session({ tabs: [] }))).toBeNull();
+    expect(sessionFromJson(null)).toBeNull();
+  });
+
+  test('closed tabs alone are still a session', () => {
+    expect(sessionFromJson(session({ tabs: [], closed: [tab('https://c.example/')] })))
+      .toMatchObject({ tabs: [], activeIndex: -1 });
+  });
+
+  test('bad tabs are dropped and activeIndex is clamped', () => {
+    const s = sessionFromJson(session({ tabs: [tab('javascript:x'), tab('https://a.example/')], activeIndex: 9 }));
+    expect(s.tabs.map((t) => t.url)).toEqual(['https://a.example/']);
+    expect(s.activeIndex).toBe(0);
+  });
+
+  test('tabs and closed tabs are capped', () => {
+    const many = Array.from({ length: 15 }, (_, i) => tab(`https://a.example/${i}`));
+    const s = sessionFromJson(session({ tabs: many, closed: many }), { maxTabs: 8 });
+    expect(s.tabs).toHaveLength(8);
+    expect(s.closed).toHaveLength(MAX_CLOSED_TABS);
+    expect(s.closed[MAX_CLOSED_TABS - 1].url).toBe('https://a.example/14');
+  });
+
+  test('a non-boolean curved is left undefined', () => {
+    expect(sessionFromJson(session({ curved: 'yes' })).curved).toBeUndefined();
+  });
+});
+
+describe('readSession / writeSession', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('round-trip through localStorage', () => {
+    expect(writeSession({ tabs: [tab('https://a.example/')], activeIndex: 0, curved: false, closed: [] })).toBe(true);
+    expect(JSON.parse(localStorage.getItem(SESSION_KEY)).version).toBe(SESSION_VERSION);
+    expect(readSession().tabs[0].url).toBe('https://a.example/');
+  });
+
+  test('nothing saved, or unparseable JSON, reads as null', () => {
+    expect(readSession()).toBeNull();
+    localStorage.setItem(SESSION_KEY, '{"version":1,"tabs":[');
+    expect(readSession()).toBeNull();
+  });
+
+  test('a full store reports failure instead of throwing', () => {
+    const realSetItem = localStorage.setItem;
+    localStorage.setItem = () => { throw new Error('QuotaExceededError'); };
+    try {
+      expect(writeSession({ tabs: [], activeIndex: -1, closed: [] })).toBe(false);
+    } finally {
+      localStorage.setItem = realSetItem;
+    }
+  });
+});
@@ -24,7 +24,7 @@ const {
 const G = require('../src/vr/browser/panelGeometry.js');
 const {
   PANEL_PX_W, PANEL_PX_H, HEADER_H, ROW_H, DELETE_ZONE_W,
-  SCROLL_UP_X0, SCROLL_UP_X1
+  SCROLL_UP_X0, SCROLL_UP_X1, BREADCRUMB_H, MIN_CRUMB_W, TAB_W
 } = require('../src/vr/browser/bookmarkLayout.js');
 const {
   CONTENT_PX_W, CONTENT_PX_H, ARROW_W, ARROW_H
@@ -121,7 +121,7 @@ function panelTargets() {
   return [
     // Chrome bar. _onChromeSelect keys off the horizontal coordinate only, so
     // the vertical extent of every button is the full bar height.
-    { label: 'chrome back/forward/reload', w: cw(68), h: G.CHROME_M_H },
+    { label: 'chrome back/forward/reload/read aloud/skip', w: cw(68), h: G.CHROME_M_H },
     { label: 'chrome close', w: cw(60), h: G.CHROME_M_H },
     { label: 'chrome bookmark star', w: cw(56), h: G.CHROME_M_H },
     { label: 'move bar (grab handle)', w: G.MOVE_BAR_W, h: G.MOVE_BAR_HIT_H },
@@ -139,7 +139,8 @@ function panelTargets() {
     { label: 'bookmark row', w: bmw(PANEL_PX_W - DELETE_ZONE_W), h: bmh(ROW_H) },
     { label: 'bookmark delete', w: bmw(DELETE_ZONE_W), h: bmh(ROW_H) },
     { label: 'bookmark scroll arrow', w: bmw(SCROLL_UP_X1 - SCROLL_UP_X0), h: bmh(HEADER_H) },
-    { label: 'bookmark tab', w: bmw(200), h: bmh(HEADER_H) }
+    { label: 'bookmark tab', w: bmw(TAB_W), h: bmh(HEADER_H) },
+    { label: 'bookmark breadcrumb', w: bmw(MIN_CRUMB_W), h: bmh(BREADCRUMB_H) }
   ];
 }
 
@@ -220,6 +220,15 @@ describe('readerFetchUrl', () => {
       .toBe('http://127.0.0.1:8080/fetch?url=https%3A%2F%2Fexample.com%2Fa%3Fb%3D1%26c%3D2');
   });
 
+  test('the reader route asks the proxy for extracted JSON instead of markup', () => {
+    expect(readerFetchUrl('https://example.com/a', 'http://127.0.0.1:8080', 'reader'))
+      .toBe('http://127.0.0.1:8080/reader?url=https%3A%2F%2Fexample.com%2Fa');
+    // The route only shapes proxy URLs; the direct path is unchanged.
+    expect(readerFetchUrl('https://example.com/a', '', 'reader')).toBe('https://example.com/a');
+    // Anything unrecognised stays on /fetch rather than inventing a path.
+    expect(readerFetchUrl('https://e.com/', 'http://p:8080', '../admin')).toBe('http://p:8080/fetch?url=https%3A%2F%2Fe.com%2F');
+  });
+
   test('query characters in the target cannot break out of the parameter', () => {
     // A target containing & or # must not become extra proxy parameters.
     const out = readerFetchUrl('https://x.test/?a=1&b=2#frag', 'http://p:8080');
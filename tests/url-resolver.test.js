@@ -8,7 +8,8 @@ const {
   isSearchQuery,
   SEARCH_ENGINES,
   DEFAULT_SEARCH_ENGINE,
-  searchEngineHosts
+  searchEngineHosts,
+  resolveLinkTarget
 } = require('../src/vr/browser/urlResolver.js');
 
 // NFD "が" = か (U+304B) + combining voiced sound mark (U+3099) → 2 code points.
@@ -186,3 +187,31 @@ describe('searchEngineHosts', () => {
     }
   });
 });
+
+describe('resolveLinkTarget', () => {
+  test('resolves a relative href against the page URL', () => {
+    expect(resolveLinkTarget('../b?q=1', 'https://e.com/x/y/a')).toBe('https://e.com/x/b?q=1');
+  });
+
+  test('keeps an absolute http(s) href as-is', () => {
+    expect(resolveLinkTarget('http://other.example/', 'https://e.com/')).toBe('http://other.example/');
+  });
+
+  test.each([
+    'javascript:alert(1)',
+    'data:text/html,x',
+    'ftp://files.example.com/',
+    'mailto:a@e.com'
+  ])('refuses %s', (href) => {
+    expect(resolveLinkTarget(href, 'https://e.com/')).toBeNull();
+  });
+
+  test('refuses credentials in the authority, which only disguise the host', () => {
+    expect(resolveLinkTarget('https://e.com@evil.example/', '')).toBeNull();
+  });
+
+  test('a relative href with no base cannot be resolved', () => {
+    expect(resolveLinkTarget('/b', '')).toBeNull();
+    expect(resolveLinkTarget('', 'https://e.com/')).toBeNull();
+  });
+});
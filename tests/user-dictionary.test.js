@@ -0,0 +1,171 @@
+/**
+ * The IME's user dictionary (src/vr/input/UserDictionary.js): registered
+ * words, learning from picks, other IMEs' export formats, and JapaneseIME
+ * offering learned candidates first.
+ */
+
+const {
+  UserDictionary, USER_DICT_KEY, MAX_LEARNED, parseUserDictionaryText, normalizeReading
+} = require('../src/vr/input/UserDictionary.js');
+const { JapaneseIME } = require('../src/vr/input/JapaneseIME.js');
+const { KANJI_DICT_FORMAT } = require('../src/vr/input/kanjiDictionary.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('registered words', () => {
+  test('add, list and remove; persisted across instances', () => {
+    const dict = new UserDictionary();
+    expect(dict.add('やまだ', '山田')).toBe(true);
+    expect(dict.add('ヤマダ', '山だ')).toBe(true); // katakana readings fold to hiragana
+    expect(dict.add('やまだ', '山田')).toBe(false);
+    expect(dict.add('yamada', '山田')).toBe(false);
+    expect(dict.add('やまだ', '')).toBe(false);
+
+    const again = new UserDictionary();
+    expect(again.wordsFor('やまだ')).toEqual(['山田', '山だ']);
+    expect(again.remove('やまだ', '山田')).toBe(true);
+    expect(again.remove('やまだ', '山田')).toBe(false);
+    expect(new UserDictionary().getWords().map((e) => e.word)).toEqual(['山だ']);
+  });
+
+  test('an unreadable store starts empty', () => {
+    localStorage.setItem(USER_DICT_KEY, '{not json');
+    expect(new UserDictionary().getWords()).toEqual([]);
+  });
+
+  test('normalizeReading accepts kana only', () => {
+    expect(normalizeReading(' キタガワ ')).toBe('きたがわ');
+    expect(normalizeReading('きた川')).toBeNull();
+    expect(normalizeReading('')).toBeNull();
+  });
+});
+
+describe('ranking', () => {
+  const now = Date.UTC(2026, 0, 1);
+
+  test('picks come first, most frecent first; then registered words', () => {
+    const dict = new UserDictionary();
+    dict.add('かんじ', '幹事');
+    expect(dict.rank('かんじ', ['漢字', '感じ'])).toEqual(['幹事', '漢字', '感じ']);
+
+    dict.learn('かんじ', '感じ', '', now - 60 * DAY);
+    dict.learn('かんじ', '感じ', '', now - 60 * DAY);
+    dict.learn('かんじ', '漢字', '', now);
+    expect(dict.rank('かんじ', ['漢字', '感じ'], '', now)).toEqual(['漢字', '感じ', '幹事']);
+    expect(dict.source('かんじ', '感じ')).toBe('learned');
+    expect(dict.source('かんじ', '幹事')).toBe('user');
+    expect(dict.source('かんじ', '監事')).toBeNull();
+  });
+
+  test("what is learned is the clause's word, whatever particle follows", () => {
+    const dict = new UserDictionary();
+    dict.learn('わたしは', '渡しは', 'は');
+    expect(dict.rank('わたしが', ['私が', '渡しが'], 'が')).toEqual(['渡しが', '私が']);
+    dict.add('やまだ', '山田');
+    expect(dict.rank('やまだが', ['やまだが'], 'が')).toEqual(['山田が', 'やまだが']);
+  });
+
+  test('forgetLearning keeps the registered words', () => {
+    const dict = new UserDictionary();
+    dict.add('やまだ', '山田');
+    dict.learn('かんじ', '感じ');
+    dict.forgetLearning();
+    expect(new UserDictionary().rank('かんじ', ['漢字', '感じ'])).toEqual(['漢字', '感じ']);
+    expect(new UserDictionary().wordsFor('やまだ')).toEqual(['山田']);
+  });
+
+  test('past MAX_LEARNED the longest-unused pick is forgotten', () => {
+    const dict = new UserDictionary();
+    for (let i = 0; i <= MAX_LEARNED; i++) {
+      dict.learn('かんじ', `字${i}`, '', now + i);
+    }
+    expect(dict.source('かんじ', '字0')).toBeNull();
+    expect(dict.source('かんじ', '字1')).toBe('learned');
+  });
+});
+
+describe('import and export', () => {
+  test('reads Google Japanese Input / Mozc / MS-IME text and SKK lines', () => {
+    const text = [
+      '!Microsoft IME Dictionary Tool',
+      '# comment',
+      'やまだ\t山田\t人名\t',
+      'キタガワ\t北川\t名詞\t',
+      'きゅーあい /QUI/キューアイ;browser/',
+      'not a line',
+      'やまだ\t山田\t人名\t'
+    ].join('\r\n');
+    expect(parseUserDictionaryText(text).skipped).toBe(1);
+
+    const dict = new UserDictionary();
+    expect(dict.importText(text)).toEqual({ added: 4, duplicates: 1, skipped: 1 });
+    expect(dict.wordsFor('きゅーあい')).toEqual(['QUI', 'キューアイ']);
+    expect(dict.importText('nothing here')).toBeNull();
+  });
+
+  test('exports tab-separated lines that import back', () => {
+    const dict = new UserDictionary();
+    dict.add('やまだ', '山田');
+    dict.add('きたがわ', '北川');
+    const text = dict.exportText();
+    expect(text).toBe('きたがわ\t北川\t名詞\t\nやまだ\t山田\t名詞\t\n');
+
+    localStorage.clear();
+    const fresh = new UserDictionary();
+    expect(fresh.importText(text)).toEqual({ added: 2, duplicates: 0, skipped: 0 });
+  });
+});
+
+describe('JapaneseIME', () => {
+  beforeEach(() => {
+    jest.spyOn(global, 'fetch').mockRejectedValue(new TypeError('offline'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const file = { format: KANJI_DICT_FORMAT, version: 1, words: { 'わたし': '私/渡し', 'がくせい': '学生' } };
+  const ime = () => {
+    const i = new JapaneseIME({ loadDictionary: async () => file });
+    i.compositionBuffer = 'watashihagakuseidesu';
+    return i;
+  };
+
+  test('a candidate chosen once is offered first next time', async () => {
+    const first = ime();
+    await first.convertToKanji();
+    first.chooseCandidate(1); // 渡しは
+    first.chooseCandidate(0);
+
+    const next = ime();
+    const result = await next.convertToKanji();
+    expect(result.candidates.slice(0, 2)).toEqual(['渡しは', '私は']);
+    expect(next.candidateSource('渡しは')).toBe('learned');
+    expect(next.candidateSource('私は')).toBeNull();
+  });
+
+  test('Enter learns the clause it was pressed on, not the ones it fills in', async () => {
+    const first = ime();
+    await first.convertToKanji();
+    first.selectCandidate(1);
+    expect(first.confirmSelection()).toBe('渡しは学生です');
+    expect(first.userDictionary.source('がくせいです', '学生です', 'です')).toBeNull();
+    expect(first.userDictionary.source('わたしは', '渡しは', 'は')).toBe('learned');
+  });
+
+  test("the user's words segment and convert offline", async () => {
+    const i = ime();
+    expect(i.addUserWord('きゅーあい', 'QUI')).toBe(true);
+    i.compositionBuffer = 'kyu-aihagakusei';
+    const result = await i.convertToKanji();
+    expect(result).toMatchObject({ candidates: ['QUIは', 'きゅーあいは', 'キューアイハ'], clauses: 2 });
+    expect(i.exportUserWords()).toBe('きゅーあい\tQUI\t名詞\t\n');
+    expect(i.removeUserWord('きゅーあい', 'QUI')).toBe(true);
+  });
+});
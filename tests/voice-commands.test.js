@@ -7,6 +7,12 @@
  */
 
 const { VoiceCommands } = require('../src/vr/input/VoiceCommands.js');
+const { setLanguage } = require('../src/i18n/i18n.js');
+
+// These suites cover the Japanese grammar. VoiceCommands follows the UI
+// language, which is English here (there is no navigator.language); the
+// English grammar is covered in voice-grammar.test.js.
+setLanguage('ja');
 
 describe('VoiceCommands — spoken feedback is mirrored for captions', () => {
   let vc, spoken;
@@ -193,6 +199,64 @@ describe('VoiceCommands — connectBrowser go-to command', () => {
   });
 });
 
+describe('VoiceCommands — back / forward / refresh drive the active tab', () => {
+  // These used to call window.history.back()/forward() and
+  // location.reload(), which navigate the WebXR app itself rather than the
+  // page shown in the panel.
+  let vc, spoken, tab;
+  beforeEach(() => {
+    vc = new VoiceCommands();
+    spoken = [];
+    vc.callbacks.onSpeak = (t) => spoken.push(t);
+    tab = { currentUrl: 'https://a.example/', moved: true, calls: [] };
+    tab.goBack = () => { tab.calls.push('back'); return tab.moved; };
+    tab.goForward = () => { tab.calls.push('forward'); return tab.moved; };
+    tab.reload = () => { tab.calls.push('reload'); };
+    vc.connectBrowser({ tabManager: { getActiveTab: () => tab } });
+  });
+
+  test.each([
+    ['戻る', 'back', '戻ります'],
+    ['進む', 'forward', '進みます'],
+    ['更新', 'reload', '更新します']
+  ])('"%s" calls the active tab\'s %s', (phrase, call, feedback) => {
+    vc.processCommand(phrase, 0.9);
+    expect(tab.calls).toEqual([call]);
+    expect(spoken).toEqual([feedback]);
+  });
+
+  test('at the end of the tab\'s history the feedback says so instead of confirming', () => {
+    tab.moved = false;
+    vc.processCommand('戻る', 0.9);
+    expect(vc.lastCommand.result).toEqual({ action: 'navigate', direction: 'back', moved: false });
+    expect(spoken).toEqual(['前のページはありません']);
+  });
+
+  test('the tab active when spoken is the one that moves', () => {
+    const other = { goBack: () => { other.went = true; return true; } };
+    vc.connectBrowser({ tabManager: { getActiveTab: () => other } });
+    vc.processCommand('戻る', 0.9);
+    expect(other.went).toBe(true);
+    expect(tab.calls).toEqual([]);
+  });
+
+  test('before connectBrowser nothing navigates, and nothing claims to', () => {
+    const fresh = new VoiceCommands();
+    const said = [];
+    fresh.callbacks.onSpeak = (t) => said.push(t);
+    global.window = { history: { back: jest.fn() }, location: { reload: jest.fn() } };
+    try {
+      fresh.processCommand('戻る', 0.9);
+      fresh.processCommand('更新', 0.9);
+      expect(window.history.back).not.toHaveBeenCalled();
+      expect(window.location.reload).not.toHaveBeenCalled();
+    } finally {
+      delete global.window;
+    }
+    expect(said).toEqual(['前のページはありません', '開いているページがありません']);
+  });
+});
+
 describe('VoiceCommands — connectBrowser clear-history command', () => {
   let vc;
   beforeEach(() => {
@@ -233,6 +297,101 @@ describe('VoiceCommands — connectBrowser clear-history command', () => {
   });
 });
 
+describe('VoiceCommands — connectBrowser reopen-tab command', () => {
+  let vc;
+  let spoken;
+  beforeEach(() => {
+    vc = new VoiceCommands();
+    spoken = [];
+    vc.callbacks.onSpeak = (text) => spoken.push(text);
+  });
+
+  test('"閉じたタブを開く" reopens a tab, not the go-to catch-all', () => {
+    const onReopenTab = jest.fn(() => true);
+    const onGoTo = jest.fn();
+    vc.connectBrowser({ onReopenTab, onGoTo });
+    vc.processCommand('閉じたタブを開く', 0.9);
+    expect(onReopenTab).toHaveBeenCalledTimes(1);
+    expect(onGoTo).not.toHaveBeenCalled();
+    expect(vc.lastCommand.result).toEqual({ action: 'reopen-tab', reopened: true });
+    expect(spoken).toEqual(['閉じたタブを開きます']);
+  });
+
+  test('"reopen closed tab" (English) also triggers it', () => {
+    const onReopenTab = jest.fn(() => true);
+    vc.connectBrowser({ onReopenTab });
+    vc.processCommand('reopen closed tab', 0.9);
+    expect(onReopenTab).toHaveBeenCalledTimes(1);
+  });
+
+  test('says so when there is nothing to reopen', () => {
+    vc.connectBrowser({ onReopenTab: () => false });
+    vc.processCommand('タブを復元', 0.9);
+    expect(vc.lastCommand.result).toEqual({ action: 'reopen-tab', reopened: false });
+    expect(spoken).toEqual(['閉じたタブはありません']);
+  });
+});
+
+describe('VoiceCommands — connectBrowser save-for-later command', () => {
+  let vc;
+  beforeEach(() => {
+    vc = new VoiceCommands();
+    vc.callbacks.onSpeak = () => {};
+  });
+
+  test.each(['あとで読む', '後で読む', 'save this page for later', 'read it later'])('"%s" saves the page', (phrase) => {
+    const onSaveForLater = jest.fn();
+    const onGoTo = jest.fn();
+    vc.connectBrowser({ onSaveForLater, onGoTo });
+    vc.processCommand(phrase, 0.9);
+    expect(onSaveForLater).toHaveBeenCalledTimes(1);
+    expect(vc.lastCommand.result).toEqual({ action: 'save-for-later' });
+    expect(onGoTo).not.toHaveBeenCalled();
+  });
+
+  test('a site name containing the phrase still goes there', () => {
+    const onSaveForLater = jest.fn();
+    const onGoTo = jest.fn();
+    vc.connectBrowser({ onSaveForLater, onGoTo });
+    vc.processCommand('あとで読むを開く', 0.9);
+    expect(onSaveForLater).not.toHaveBeenCalled();
+    expect(onGoTo).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('VoiceCommands — connectBrowser search-history command', () => {
+  let vc;
+  beforeEach(() => {
+    vc = new VoiceCommands();
+    vc.callbacks.onSpeak = () => {};
+  });
+
+  test.each([
+    ['履歴から東京の橋を検索', '東京の橋'],
+    ['履歴で天気を探す', '天気'],
+    ['search my history for WebXR layers', 'WebXR layers'],
+    ['search history bridge', 'bridge'],
+    ['find bridge closures in my history', 'bridge closures']
+  ])('"%s" searches history for "%s"', (phrase, query) => {
+    const onSearchHistory = jest.fn();
+    const onSearch = jest.fn();
+    vc.connectBrowser({ onSearchHistory, onSearch });
+    vc.processCommand(phrase, 0.9);
+    expect(onSearchHistory).toHaveBeenCalledWith(query);
+    expect(onSearch).not.toHaveBeenCalled();
+    expect(vc.lastCommand.result).toEqual({ action: 'search-history', query });
+  });
+
+  test('"履歴" alone still opens the history panel', () => {
+    const onSearchHistory = jest.fn();
+    const bookmarkPanel = { toggle: jest.fn() };
+    vc.connectBrowser({ onSearchHistory, bookmarkPanel });
+    vc.processCommand('履歴', 0.9);
+    expect(onSearchHistory).not.toHaveBeenCalled();
+    expect(bookmarkPanel.toggle).toHaveBeenCalled();
+  });
+});
+
 describe('VoiceCommands — help command announces actual phrases (WCAG 4.1.3 discoverability)', () => {
   // Socratic finding: a voice-command user (often relying on voice because
   // gaze/controller input is difficult) has no other way to learn the
@@ -0,0 +1,227 @@
+/**
+ * Voice command grammars per locale (src/vr/input/voiceGrammar.js): which
+ * grammar VoiceCommands picks, and processCommand in English and Japanese —
+ * the same commands, the same actions, each language's phrases and replies.
+ * The Japanese grammar's finer points are in voice-commands.test.js.
+ */
+
+const { VoiceCommands } = require('../src/vr/input/VoiceCommands.js');
+const { VOICE_GRAMMARS, voiceLocale, voiceGrammar } = require('../src/vr/input/voiceGrammar.js');
+const { setLanguage } = require('../src/i18n/i18n.js');
+
+/** A VoiceCommands connected to a fake browser, recording what it says. */
+function connected(language) {
+  const vc = new VoiceCommands({ language });
+  const spoken = [];
+  vc.callbacks.onSpeak = (text) => spoken.push(text);
+  const tab = { currentUrl: 'https://a.example/', goBack: jest.fn(() => true), goForward: jest.fn(() => true), reload: jest.fn() };
+  const browser = {
+    tabManager: { getActiveTab: () => tab },
+    bookmarkPanel: { toggle: jest.fn() },
+    vrKeyboard: { visible: false, show: jest.fn(), hide: jest.fn() },
+    onSearch: jest.fn(),
+    onTopSites: jest.fn(),
+    onGoTo: jest.fn(),
+    onClearHistory: jest.fn(),
+    onScrollContent: jest.fn(),
+    onReopenTab: jest.fn(() => true),
+    onSaveForLater: jest.fn(),
+    onSearchHistory: jest.fn()
+  };
+  vc.connectBrowser(browser);
+  return { vc, spoken, tab, browser };
+}
+
+afterAll(() => {
+  setLanguage('en');
+});
+
+describe('choosing a grammar', () => {
+  test('voiceLocale maps UI languages and regional tags to a grammar locale', () => {
+    expect(voiceLocale('ja')).toBe('ja-JP');
+    expect(voiceLocale('en')).toBe('en-US');
+    expect(voiceLocale('en-GB')).toBe('en-US');
+    expect(voiceLocale('ja-JP')).toBe('ja-JP');
+    expect(voiceLocale('fr-FR')).toBe('en-US');
+    expect(voiceLocale()).toBe('en-US');
+  });
+
+  test('every locale has the same commands, each with something to say', () => {
+    const names = Object.keys(VOICE_GRAMMARS['ja-JP'].commands).sort();
+    for (const grammar of Object.values(VOICE_GRAMMARS)) {
+      expect(Object.keys(grammar.commands).sort()).toEqual(names);
+      for (const entry of Object.values(grammar.commands)) {
+        expect(entry.patterns.length + (entry.templates || []).length).toBeGreaterThan(0);
+      }
+      expect(grammar.wakeWord).toBeTruthy();
+      expect(grammar.messages.help).toContain('{count}');
+    }
+  });
+
+  test('VoiceCommands follows the UI language when none is given', () => {
+    setLanguage('en');
+    expect(new VoiceCommands().language).toBe('en-US');
+    setLanguage('ja');
+    const vc = new VoiceCommands();
+    expect(vc.language).toBe('ja-JP');
+    expect(vc.settings.wakeWord).toBe('キューブラウザ');
+  });
+
+  test('an explicit language wins, and regional English uses the en-US phrases', () => {
+    setLanguage('ja');
+    const vc = new VoiceCommands({ language: 'en-GB' });
+    expect(vc.language).toBe('en-GB');
+    expect(vc.grammar).toBe(voiceGrammar('en-US'));
+  });
+});
+
+describe.each([
+  ['en-US', {
+    back: ['go back', 'Going back'],
+    forward: ['forward', 'Going forward'],
+    reload: ['reload', 'Reloading'],
+    search: ['search for weather in tokyo', 'weather in tokyo'],
+    goTo: ['open GitHub', 'github'],
+    keyboard: 'open keyboard',
+    bookmarks: 'bookmarks',
+    history: 'history',
+    scrollDown: 'scroll down',
+    clearHistory: 'clear my browsing history',
+    reopen: ['reopen the last closed tab', 'Reopening the closed tab'],
+    later: 'read it later',
+    searchHistory: ['search my history for webxr', 'webxr'],
+    help: 'help',
+    helpStart: /^There are \d+ commands: /,
+    notRecognized: 'Sorry, I didn\'t recognize that command'
+  }],
+  ['ja-JP', {
+    back: ['戻る', '戻ります'],
+    forward: ['進む', '進みます'],
+    reload: ['更新', '更新します'],
+    search: ['検索：東京の天気', '東京の天気'],
+    goTo: ['GitHubを開く', 'github'],
+    keyboard: 'キーボードを開く',
+    bookmarks: 'ブックマーク',
+    history: '履歴',
+    scrollDown: '下にスクロール',
+    clearHistory: '履歴を消去',
+    reopen: ['閉じたタブを開く', '閉じたタブを開きます'],
+    later: 'あとで読む',
+    searchHistory: ['履歴から橋を検索', '橋'],
+    help: 'ヘルプ',
+    helpStart: /^使用可能なコマンドは、\d+個です。/,
+    notRecognized: 'コマンドが認識できませんでした'
+  }]
+])('processCommand in %s', (language, say) => {
+  let vc, spoken, tab, browser;
+  beforeEach(() => {
+    ({ vc, spoken, tab, browser } = connected(language));
+  });
+
+  test('back, forward and reload drive the active tab and say so', () => {
+    vc.processCommand(say.back[0], 0.9);
+    vc.processCommand(say.forward[0], 0.9);
+    vc.processCommand(say.reload[0], 0.9);
+    expect(tab.goBack).toHaveBeenCalled();
+    expect(tab.goForward).toHaveBeenCalled();
+    expect(tab.reload).toHaveBeenCalled();
+    expect(spoken).toEqual([say.back[1], say.forward[1], say.reload[1]]);
+  });
+
+  test('a web search passes on what was said after the command words', () => {
+    vc.processCommand(say.search[0], 0.9);
+    expect(browser.onSearch).toHaveBeenCalledWith(say.search[1]);
+    expect(spoken).toEqual([voiceGrammar(language).commands.search.confirmation]);
+  });
+
+  test('go-to hands over the site name; the keyboard phrase is not a site', () => {
+    vc.processCommand(say.goTo[0], 0.9);
+    expect(browser.onGoTo).toHaveBeenCalledWith(say.goTo[1]);
+    vc.processCommand(say.keyboard, 0.9);
+    expect(browser.vrKeyboard.show).toHaveBeenCalled();
+    expect(browser.onGoTo).toHaveBeenCalledTimes(1);
+  });
+
+  test.each([
+    ['bookmarks', 'bookmarks'],
+    ['history', 'bookmarks'],
+    ['scrollDown', 'scroll-down'],
+    ['clearHistory', 'clear-history'],
+    ['later', 'save-for-later']
+  ])('the %s phrase runs %s', (phrase, key) => {
+    vc.processCommand(say[phrase], 0.9);
+    expect(vc.lastCommand.key).toBe(key);
+  });
+
+  test('history search and reopening a tab', () => {
+    vc.processCommand(say.searchHistory[0], 0.9);
+    expect(browser.onSearchHistory).toHaveBeenCalledWith(say.searchHistory[1]);
+    expect(browser.onSearch).not.toHaveBeenCalled();
+    vc.processCommand(say.reopen[0], 0.9);
+    expect(browser.onReopenTab).toHaveBeenCalled();
+    expect(spoken).toContain(say.reopen[1]);
+  });
+
+  test('help reads out this language\'s phrases', () => {
+    vc.processCommand(say.help, 0.9);
+    expect(spoken[0]).toMatch(say.helpStart);
+    expect(spoken[0]).toContain(voiceGrammar(language).commands.back.patterns[0]);
+    expect(spoken[0]).toContain(voiceGrammar(language).commands['go-to'].example);
+  });
+
+  test('an unknown phrase gets this language\'s "not recognized"', () => {
+    vc.processCommand('zzzz nonsense zzzz', 0.9);
+    expect(spoken).toEqual([say.notRecognized]);
+  });
+});
+
+describe('English grammar details', () => {
+  test('an alias is heard inside a longer sentence', () => {
+    const { vc } = connected('en-US');
+    vc.processCommand('so what can i say here', 0.9);
+    expect(vc.lastCommand.key).toBe('help');
+  });
+
+  test('Japanese phrases are not understood in English', () => {
+    const { vc, tab } = connected('en-US');
+    vc.processCommand('戻る', 0.9);
+    expect(tab.goBack).not.toHaveBeenCalled();
+  });
+});
+
+describe('setLanguage', () => {
+  test('swaps the phrases and keeps the browser wiring', () => {
+    const { vc, spoken, tab } = connected('ja-JP');
+    vc.setLanguage('en-US');
+    expect(vc.settings.wakeWord).toBe('qui browser');
+    vc.processCommand('go back', 0.9);
+    expect(tab.goBack).toHaveBeenCalledTimes(1);
+    expect(spoken).toEqual(['Going back']);
+
+    vc.processCommand('戻る', 0.9);
+    expect(tab.goBack).toHaveBeenCalledTimes(1);
+  });
+
+  test('leaves the host\'s own commands alone, and go-to still comes after them', () => {
+    const { vc, browser } = connected('ja-JP');
+    const action = jest.fn();
+    vc.registerCommand('theatre', { patterns: ['open theatre mode'], action });
+    vc.setLanguage('en-US');
+    vc.processCommand('open theatre mode', 0.9);
+    expect(action).toHaveBeenCalled();
+    expect(browser.onGoTo).not.toHaveBeenCalled();
+  });
+
+  test('drops the previous locale\'s aliases', () => {
+    const { vc } = connected('en-US');
+    vc.setLanguage('ja-JP');
+    expect(Array.from(vc.aliases.keys())).toEqual(['ヘルプ']);
+  });
+
+  test('sets the recognizer\'s language', () => {
+    const vc = new VoiceCommands({ language: 'ja-JP' });
+    vc.recognition = { lang: 'ja-JP' };
+    vc.setLanguage('en-US');
+    expect(vc.recognition.lang).toBe('en-US');
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * VoiceCommands intents: commands with slots (which tab, how far, what name),
+ * fuzzy matching over the recogniser's alternatives, and the "did you mean"
+ * question when two commands are equally close — in English and Japanese.
+ */
+
+const { VoiceCommands } = require('../src/vr/input/VoiceCommands.js');
+
+function connected(language) {
+  const vc = new VoiceCommands({ language });
+  const spoken = [];
+  vc.callbacks.onSpeak = (text) => spoken.push(text);
+  const tabManager = {
+    count: 3,
+    activeIndex: 0,
+    setActive: jest.fn(),
+    closeTab: jest.fn(),
+    getActiveTab: () => null
+  };
+  const browser = {
+    tabManager,
+    onGoTo: jest.fn(),
+    onScrollContent: jest.fn(),
+    onBookmarkPage: jest.fn(() => true),
+    bookmarkPanel: { toggle: jest.fn() }
+  };
+  vc.connectBrowser(browser);
+  return { vc, spoken, tabManager, browser };
+}
+
+describe.each([
+  ['en-US', {
+    secondTab: 'open the second tab',
+    lastTab: 'switch to the last tab',
+    tabNumber: 'tab 3',
+    noTab: 'open the ninth tab',
+    closeSecond: 'close the second tab',
+    closeThis: 'close this tab',
+    scrollLot: 'scroll down a lot',
+    scrollLines: 'scroll up 4 lines',
+    bookmarkAs: ['bookmark this page as Recipes', 'Recipes'],
+    bookmark: 'bookmark this page',
+    misheard: 'scrol dawn a lot'
+  }],
+  ['ja-JP', {
+    secondTab: '2番目のタブを開く',
+    lastTab: '最後のタブに切り替え',
+    tabNumber: 'タブ3',
+    noTab: '九番目のタブを開く',
+    closeSecond: '二番目のタブを閉じる',
+    closeThis: 'このタブを閉じる',
+    scrollLot: '下に大きくスクロール',
+    scrollLines: '上に4行スクロール',
+    bookmarkAs: ['このページをレシピとしてブックマーク', 'レシピ'],
+    bookmark: 'このページをブックマーク',
+    misheard: '下に大きくスクロールー'
+  }]
+])('intents in %s', (language, say) => {
+  let vc, spoken, tabManager, browser;
+  beforeEach(() => {
+    ({ vc, spoken, tabManager, browser } = connected(language));
+  });
+
+  test('a tab by position, by number, or the last', () => {
+    vc.processCommand(say.secondTab, 0.9);
+    vc.processCommand(say.lastTab, 0.9);
+    vc.processCommand(say.tabNumber, 0.9);
+    expect(tabManager.setActive.mock.calls).toEqual([[1], [2], [2]]);
+    expect(browser.onGoTo).not.toHaveBeenCalled();
+  });
+
+  test('a tab that does not exist is said so', () => {
+    vc.processCommand(say.noTab, 0.9);
+    expect(tabManager.setActive).not.toHaveBeenCalled();
+    expect(spoken).toEqual([vc.grammar.commands['switch-tab'].replies.none]);
+  });
+
+  test('closing a tab by position, or the active one', () => {
+    vc.processCommand(say.closeSecond, 0.9);
+    vc.processCommand(say.closeThis, 0.9);
+    expect(tabManager.closeTab.mock.calls).toEqual([[1], [0]]);
+  });
+
+  test('scrolling by an amount', () => {
+    vc.processCommand(say.scrollLot, 0.9);
+    vc.processCommand(say.scrollLines, 0.9);
+    expect(browser.onScrollContent.mock.calls).toEqual([[24], [-4]]);
+  });
+
+  test('bookmarking the page, with or without a name', () => {
+    vc.processCommand(say.bookmarkAs[0], 0.9);
+    vc.processCommand(say.bookmark, 0.9);
+    expect(browser.onBookmarkPage.mock.calls).toEqual([[say.bookmarkAs[1]], [null]]);
+    expect(spoken).toEqual(Array(2).fill(vc.grammar.commands['bookmark-page'].replies.done));
+  });
+
+  test('a misheard word is forgiven', () => {
+    vc.processCommand(say.misheard, 0.9);
+    expect(browser.onScrollContent).toHaveBeenCalledWith(24);
+  });
+});
+
+describe('the recogniser\'s alternatives', () => {
+  test('a later alternative that matches exactly beats a fuzzy first guess', () => {
+    const { vc, tabManager } = connected('en-US');
+    vc.processCommand('switch to the second tap', 0.9, ['switch to the second tab']);
+    expect(tabManager.setActive).toHaveBeenCalledWith(1);
+  });
+
+  test('alternatives are only tried when the transcript does not match exactly', () => {
+    const { vc, browser } = connected('en-US');
+    vc.processCommand('scroll down a lot', 0.9, ['scroll up a lot']);
+    expect(browser.onScrollContent).toHaveBeenCalledWith(24);
+  });
+
+  test('they reach processCommand from a recognition result', () => {
+    const { vc, tabManager } = connected('en-US');
+    const result = {
+      0: { transcript: 'switch to the second tap', confidence: 0.9 },
+      1: { transcript: 'switch to the second tab', confidence: 0.8 },
+      isFinal: true,
+      length: 2
+    };
+    vc.handleRecognitionResult({ results: { 0: result, length: 1 } });
+    expect(tabManager.setActive).toHaveBeenCalledWith(1);
+  });
+});
+
+describe('when two commands are equally close', () => {
+  let vc, spoken, browser;
+  beforeEach(() => {
+    ({ vc, spoken, browser } = connected('en-US'));
+    vc.registerCommand('dark', { patterns: ['dark mode'], action: jest.fn(() => 'dark') });
+    vc.registerCommand('park', { patterns: ['park mode'], action: jest.fn(() => 'park') });
+  });
+
+  test('asks which was meant, through onSpeak', () => {
+    vc.processCommand('bark mode', 0.9);
+    expect(vc.commands.get('dark').action).not.toHaveBeenCalled();
+    expect(vc.commands.get('park').action).not.toHaveBeenCalled();
+    expect(spoken).toEqual(['Did you mean dark mode or park mode?']);
+  });
+
+  test('"the second one" runs the second choice', () => {
+    vc.processCommand('bark mode', 0.9);
+    vc.processCommand('the second one', 0.9);
+    expect(vc.commands.get('park').action).toHaveBeenCalled();
+    expect(vc.lastCommand.key).toBe('park');
+  });
+
+  test('anything else is heard as a new command', () => {
+    vc.processCommand('bark mode', 0.9);
+    vc.processCommand('bookmarks', 0.9);
+    expect(browser.bookmarkPanel.toggle).toHaveBeenCalled();
+    vc.processCommand('second', 0.9);
+    expect(vc.commands.get('park').action).not.toHaveBeenCalled();
+  });
+
+  test('the question lapses after a while', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    try {
+      vc.processCommand('bark mode', 0.9);
+      now.mockReturnValue(1000 + 60000);
+      vc.processCommand('second', 0.9);
+      expect(vc.commands.get('park').action).not.toHaveBeenCalled();
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  test('Japanese asks in Japanese and takes 2番目 as an answer', () => {
+    vc.setLanguage('ja-JP');
+    spoken.length = 0;
+    vc.processCommand('bark mode', 0.9);
+    expect(spoken).toEqual(['dark mode、park modeのどれですか？']);
+    vc.processCommand('2番目', 0.9);
+    expect(vc.lastCommand.key).toBe('park');
+  });
+});
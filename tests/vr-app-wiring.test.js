@@ -269,6 +269,49 @@ describe('VRApp.onControllerSelect — release (grab-to-move end)', () => {
   });
 });
 
+describe('VRApp.onControllerSelect / updateHover — held presses (drag)', () => {
+  function makeDraggable() {
+    const handlers = { onSelect: jest.fn(), onDrag: jest.fn(), onSelectEnd: jest.fn() };
+    return { handlers, target: { userData: { interactable: handlers }, dispatchEvent: jest.fn() } };
+  }
+
+  test('a pressed object hears the ray every frame until release, wherever it points', () => {
+    const { handlers, target } = makeDraggable();
+    const other = { userData: { interactable: {} } };
+    const controller = makeController('right');
+    const app = makeVRAppLike({ interactables: [target, other], controllers: [controller] });
+    let hits = [{ object: target }];
+    app.raycasterFromController = jest.fn(() => ({ intersectObjects: jest.fn(() => hits) }));
+
+    VRApp.prototype.onControllerSelect.call(app, controller, true);
+    expect(controller.userData.pressed).toBe(target);
+
+    hits = [{ object: other }];
+    VRApp.prototype.updateHover.call(app);
+    expect(handlers.onDrag).toHaveBeenLastCalledWith({ intersection: hits[0], controller });
+    hits = [];
+    VRApp.prototype.updateHover.call(app);
+    expect(handlers.onDrag).toHaveBeenLastCalledWith({ intersection: null, controller });
+
+    VRApp.prototype.onControllerSelect.call(app, controller, false);
+    expect(handlers.onSelectEnd).toHaveBeenCalledWith({ controller });
+    expect(controller.userData.pressed).toBeNull();
+    VRApp.prototype.updateHover.call(app);
+    expect(handlers.onDrag).toHaveBeenCalledTimes(2);
+  });
+
+  test('an object without drag handlers is not held', () => {
+    const target = { userData: { interactable: { onSelect: jest.fn() } }, dispatchEvent: jest.fn() };
+    const controller = makeController('right');
+    const app = makeVRAppLike({ interactables: [target] });
+    app.raycasterFromController = jest.fn(() => ({ intersectObjects: jest.fn(() => [{ object: target }]) }));
+
+    VRApp.prototype.onControllerSelect.call(app, controller, true);
+
+    expect(controller.userData.pressed).toBeUndefined();
+  });
+});
+
 describe('VRApp._onPanelGrabRequested', () => {
   test('begins a grab and fires grab feedback', () => {
     const controller = makeController('left');
@@ -406,6 +449,44 @@ describe('VRApp.updateHover', () => {
   });
 });
 
+describe('VRApp.updateLocomotion — the turn stick and the VR keyboard', () => {
+  function makeStickApp(keyboardVisible) {
+    const controller = { userData: { inputSource: { handedness: 'right' } } };
+    let stickX = 0;
+    const app = makeVRAppLike({
+      controllers: [controller],
+      playerRig: makeGroup(),
+      settings: { enableSnapTurn: true, southpaw: false, enableSmoothMove: false },
+      controllerInput: { read: () => ({ axes: { stickX, stickY: 0 }, buttons: {}, hand: 'right' }) },
+      vrKeyboard: { visible: keyboardVisible, moveCaret: jest.fn() },
+      comfortSystem: null,
+      snapTurn: jest.fn()
+    });
+    const push = (x) => {
+      stickX = x;
+      VRApp.prototype.updateLocomotion.call(app, 0.016);
+    };
+    return { app, push };
+  }
+
+  test('moves the caret one character per push while the keyboard is open', () => {
+    const { app, push } = makeStickApp(true);
+    push(0.9);
+    push(0.9); // held: still one
+    push(0);
+    push(-0.9);
+    expect(app.vrKeyboard.moveCaret.mock.calls).toEqual([[1], [-1]]);
+    expect(app.snapTurn).not.toHaveBeenCalled();
+  });
+
+  test('snap-turns when the keyboard is closed', () => {
+    const { app, push } = makeStickApp(false);
+    push(0.9);
+    expect(app.snapTurn).toHaveBeenCalledWith(-1, 'right');
+    expect(app.vrKeyboard.moveCaret).not.toHaveBeenCalled();
+  });
+});
+
 describe('VRApp.recenter', () => {
   test('resets the player rig position and orientation', () => {
     const playerRig = makeGroup();
@@ -1048,3 +1129,103 @@ describe('VRApp._buildBrowsingSystems / _teardownBrowsingSystems', () => {
     expect(app.scene.add).not.toHaveBeenCalled();
   });
 });
+
+describe('VRApp full-text history search', () => {
+  const { BookmarkStore } = require('../src/utils/BookmarkStore.js');
+  const { ReadingList } = require('../src/utils/ReadingList.js');
+  const { SearchIndex } = require('../src/utils/SearchIndex.js');
+  const page = (title, text) => ({ title, blocks: [{ type: 'p', text }] });
+
+  function makeSearchApp(overrides = {}) {
+    localStorage.clear();
+    return makeVRAppLike({
+      bookmarks: new BookmarkStore(),
+      readingList: new ReadingList({ kv: null }),
+      searchIndex: new SearchIndex({ kv: null }),
+      _searchIndexReady: true,
+      bookmarkPanel: null,
+      showVRToast: jest.fn(),
+      _pruneSearchIndex: VRApp.prototype._pruneSearchIndex,
+      ...overrides
+    });
+  }
+
+  test('URL-bar suggestions add pages whose text matches after title matches', () => {
+    const app = makeSearchApp();
+    app.bookmarks.addHistory('https://bridge.example/', 'Bridge news');
+    app.bookmarks.addHistory('https://city.example/', 'City');
+    app.searchIndex.add('https://city.example/', page('City', 'The bridge closes for repairs.'));
+    expect(VRApp.prototype._urlSuggestions.call(app, 'bridge').map((h) => h.url))
+      .toEqual(['https://bridge.example/', 'https://city.example/']);
+  });
+
+  test('clearing history drops its pages from the index, but not saved pages', async () => {
+    const app = makeSearchApp({ tabManager: null });
+    app.bookmarks.addHistory('https://a.example/', 'A');
+    app.searchIndex.add('https://a.example/', page('A', 'visited text'));
+    await app.readingList.save({ url: 'https://s.example/', ...page('S', 'saved text') });
+    app.searchIndex.add('https://s.example/', page('S', 'saved text'));
+
+    VRApp.prototype._clearBrowsingHistory.call(app);
+
+    expect(app.searchIndex.has('https://a.example/')).toBe(false);
+    expect(app.searchIndex.has('https://s.example/')).toBe(true);
+  });
+
+  test('nothing is pruned until history and the reading list have both loaded', () => {
+    const app = makeSearchApp({ _searchIndexReady: false });
+    VRApp.prototype._indexPage.call(app, 'https://s.example/', page('S', 'saved before load'));
+    expect(app.searchIndex.has('https://s.example/')).toBe(true);
+  });
+
+  test('"search my history" opens the best match, or says nothing matched', () => {
+    const active = { navigate: jest.fn() };
+    const app = makeSearchApp({ tabManager: { getActiveTab: () => active } });
+    app.searchIndex.add('https://a.example/', page('Bridge story', 'The bridge closes.'));
+
+    expect(VRApp.prototype._searchHistory.call(app, 'bridge')).toBe(true);
+    expect(active.navigate).toHaveBeenCalledWith('https://a.example/');
+    expect(app.captionSystem.show.mock.calls[0][0]).toContain('Bridge story');
+
+    expect(VRApp.prototype._searchHistory.call(app, 'volcano')).toBe(false);
+    expect(app.showVRToast).toHaveBeenCalledWith(expect.stringContaining('volcano'), { type: 'warn' });
+  });
+});
+
+describe('VRApp._runShortcut (paired keyboard)', () => {
+  const makeTabs = (active) => ({
+    activeIndex: active ? 0 : -1,
+    getActiveTab: () => active,
+    newTab: jest.fn(() => ({ requestUrlInput: jest.fn() })),
+    closeTab: jest.fn()
+  });
+
+  test('Ctrl+L edits the active tab\'s URL', () => {
+    const active = { requestUrlInput: jest.fn() };
+    const app = { tabManager: makeTabs(active) };
+    VRApp.prototype._runShortcut.call(app, 'focusUrl');
+    expect(active.requestUrlInput).toHaveBeenCalled();
+    expect(app.tabManager.newTab).not.toHaveBeenCalled();
+  });
+
+  test('Ctrl+T opens a tab and asks for its URL; past the limit it does nothing more', () => {
+    const app = { tabManager: makeTabs(null) };
+    VRApp.prototype._runShortcut.call(app, 'newTab');
+    expect(app.tabManager.newTab.mock.results[0].value.requestUrlInput).toHaveBeenCalled();
+
+    app.tabManager.newTab.mockReturnValue(null);
+    expect(() => VRApp.prototype._runShortcut.call(app, 'newTab')).not.toThrow();
+  });
+
+  test('Ctrl+W closes the active tab and dismisses the VR keyboard', () => {
+    const vrKeyboard = { clearOnConfirm: jest.fn(), hide: jest.fn() };
+    const app = { tabManager: makeTabs({}), vrKeyboard };
+    VRApp.prototype._runShortcut.call(app, 'closeTab');
+    expect(app.tabManager.closeTab).toHaveBeenCalledWith(0);
+    expect(vrKeyboard.clearOnConfirm).toHaveBeenCalled();
+
+    const none = { tabManager: makeTabs(null), vrKeyboard };
+    VRApp.prototype._runShortcut.call(none, 'closeTab');
+    expect(none.tabManager.closeTab).not.toHaveBeenCalled();
+  });
+});
@@ -48,6 +48,7 @@ class MockGroup {
   add(o) { this.children.push(o); }
   remove(o) { this.children = this.children.filter((c) => c !== o); }
   traverse(fn) { fn(this); this.children.forEach((c) => (c.traverse ? c.traverse(fn) : fn(c))); }
+  worldToLocal(v) { return v; }
 }
 class MockCanvasTexture {
   constructor() { this.needsUpdate = false; this.colorSpace = ''; }
@@ -102,12 +103,15 @@ global.document = {
 const { JapaneseIME, VRJapaneseKeyboard, candidateStyle } =
   require('../src/vr/input/JapaneseIME.js');
 const { imeColors } = require('../src/vr/input/keyboardLayout.js');
+const { HangulIME } = require('../src/vr/input/HangulIME.js');
+const { PinyinIME } = require('../src/vr/input/PinyinIME.js');
 
-function makeKeyboard() {
+function makeKeyboard(opts = {}) {
   const registered = [];
   const kb = new VRJapaneseKeyboard({ add: jest.fn(), remove: jest.fn() }, new JapaneseIME(), {
     registerInteractable: (mesh, handlers) => registered.push({ mesh, handlers }),
-    unregisterInteractable: jest.fn()
+    unregisterInteractable: jest.fn(),
+    ...opts
   });
   kb.createKeyboard();
   return { kb, registered };
@@ -252,3 +256,222 @@ describe('the keyboard honours the OS contrast preference', () => {
     expect(registered.length).toBeGreaterThan(0);
   });
 });
+
+describe('converting several clauses', () => {
+  test('choosing for one clause shows the next; the last choice confirms', () => {
+    const { kb, registered } = makeKeyboard();
+    const confirmed = jest.fn();
+    kb.setOnConfirm(confirmed);
+    kb.ime.clauses = [
+      { reading: 'わたしは', candidates: ['私は', 'わたしは'] },
+      { reading: 'がくせい', candidates: ['学生', 'がくせい'] }
+    ];
+    kb.ime.candidates = kb.ime.clauses[0].candidates;
+    kb.showCandidates(kb.ime.candidates);
+
+    // The row's buttons are the last ones registered: 私は, then わたしは.
+    registered[registered.length - 2].handlers.onSelect();
+    expect(confirmed).not.toHaveBeenCalled();
+    expect(kb.ime.candidates).toEqual(['学生', 'がくせい']);
+
+    // A fresh row for the second clause: 学生, がくせい.
+    registered[registered.length - 1].handlers.onSelect();
+    expect(confirmed).toHaveBeenCalledWith('私はがくせい');
+  });
+});
+
+describe('learned candidates', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('a candidate picked before or registered by the user carries a star', () => {
+    const { kb } = makeKeyboard();
+    kb.ime.userDictionary.learn('わたし', '渡し');
+    kb.ime.clauses = [{ reading: 'わたしは', tail: 'は', candidates: ['渡しは', '私は', 'わたしは'] }];
+    kb.ime.candidates = kb.ime.clauses[0].candidates;
+    kb.showCandidates(kb.ime.candidates);
+
+    const starred = canvases.slice(-3).map((c) => c.paints.some((p) => p.text === '★'));
+    expect(starred).toEqual([true, false, false]);
+  });
+});
+
+describe('switching input method', () => {
+  const makeMultilingual = () => {
+    const onLanguageChange = jest.fn();
+    const made = makeKeyboard({ imes: [new HangulIME(), new PinyinIME()], onLanguageChange });
+    return { ...made, onLanguageChange };
+  };
+  const labels = (kb) => kb.keyMeshes.map((k) => k.label);
+  const glyphOf = (kb, label) => kb.keyMeshes.find((k) => k.label === label).mesh.userData.keyGlyph;
+
+  test('the language key cycles Japanese → Korean → Chinese and reports each', async () => {
+    const { kb, onLanguageChange } = makeMultilingual();
+    expect(labels(kb)).toContain('変換');
+
+    await kb.onKeyPress('lang');
+    expect(kb.ime.id).toBe('ko');
+    expect(onLanguageChange).toHaveBeenLastCalledWith('ko');
+    expect(labels(kb)).not.toContain('変換');
+    expect(glyphOf(kb, 'r')).toBe('ㄱ');
+
+    await kb.onKeyPress('lang');
+    await kb.onKeyPress('lang');
+    expect(kb.ime.id).toBe('ja');
+    expect(glyphOf(kb, 'r')).toBe('r');
+  });
+
+  test('the old keys are unregistered and the text carries over', async () => {
+    const { kb } = makeMultilingual();
+    const oldKeys = kb.keyMeshes.map((k) => k.mesh);
+    await kb.onKeyPress('h');
+    kb.switchLanguage('ko');
+    expect(kb.unregisterInteractable).toHaveBeenCalledWith(oldKeys[0]);
+    expect(kb.ime.compositionBuffer).toBe('h');
+    await kb.onKeyPress('k');
+    expect(kb.ime.compositionBuffer).toBe('hㅏ');
+  });
+
+  test('Hangul shift repaints the letters with tense consonants', async () => {
+    const { kb } = makeMultilingual();
+    kb.switchLanguage('ko');
+    await kb.onKeyPress('shift');
+    expect(glyphOf(kb, 'r')).toBe('ㄲ');
+    await kb.onKeyPress('r');
+    expect(glyphOf(kb, 'r')).toBe('ㄱ');
+  });
+
+  test('pinyin shows candidates while typing; choosing one commits it', async () => {
+    const { kb, registered } = makeMultilingual();
+    kb.switchLanguage('zh');
+    for (const key of 'nihao') {
+      await kb.onKeyPress(key);
+    }
+    expect(kb._candidateMeshes.length).toBeGreaterThan(0);
+    const first = registered[registered.length - kb._candidateMeshes.length];
+    first.handlers.onSelect();
+    expect(kb.ime.compositionBuffer).toBe('你好');
+    expect(kb._candidateMeshes).toHaveLength(0);
+  });
+});
+
+describe('a paired hardware keyboard', () => {
+  /** A minimal EventTarget that records its listeners. */
+  const makeTarget = () => {
+    const listeners = {};
+    return {
+      listeners,
+      addEventListener: jest.fn((type, fn) => {
+        listeners[type] = fn;
+      }),
+      removeEventListener: jest.fn((type) => {
+        delete listeners[type];
+      })
+    };
+  };
+  const press = (k, mods = {}) => ({ key: k, preventDefault: jest.fn(), stopPropagation: jest.fn(), ...mods });
+
+  test('is heard only while the keyboard is showing', () => {
+    const target = makeTarget();
+    const { kb } = makeKeyboard({ keyEventTarget: target });
+    expect(target.listeners.keydown).toBeUndefined();
+    kb.show();
+    expect(target.addEventListener).toHaveBeenCalledWith('keydown', expect.any(Function), true);
+    kb.hide();
+    expect(target.listeners.keydown).toBeUndefined();
+  });
+
+  test('types romaji into the IME and keeps the keys from the page', async () => {
+    const target = makeTarget();
+    const { kb } = makeKeyboard({ keyEventTarget: target });
+    kb.show();
+    for (const k of 'ka') {
+      target.listeners.keydown(press(k));
+    }
+    await Promise.resolve();
+    expect(kb.ime.compositionBuffer).toBe('ka');
+
+    const escape = press('Escape');
+    target.listeners.keydown(escape);
+    expect(escape.stopPropagation).toHaveBeenCalled(); // app.js would dispose the app
+    expect(kb.group.visible).toBe(false);
+  });
+
+  test('leaves shortcuts to the browser and composition to the system IME', async () => {
+    const target = makeTarget();
+    const { kb } = makeKeyboard({ keyEventTarget: target });
+    kb.show();
+    const ctrlL = press('l', { ctrlKey: true });
+    expect(kb.handleKeyEvent(ctrlL)).toBe(false);
+    expect(ctrlL.preventDefault).not.toHaveBeenCalled();
+
+    target.listeners.compositionstart({});
+    expect(kb.handleKeyEvent(press('k'))).toBe(false);
+    target.listeners.compositionend({ data: '日本' });
+    await Promise.resolve();
+    expect(kb.ime.compositionBuffer).toBe('日本');
+  });
+});
+
+describe('swipe typing', () => {
+  const { computeKeyLayout, ROWS } = require('../src/vr/input/keyboardLayout.js');
+  const keys = computeKeyLayout(ROWS);
+  const handlersOf = (registered, kb, label) => {
+    const mesh = kb.keyMeshes.find((k) => k.label === label).mesh;
+    return { mesh, handlers: registered.find((r) => r.mesh === mesh).handlers };
+  };
+  /** Hold on a word's first letter, sweep through the rest, let go. */
+  const swipeWord = async (kb, registered, word) => {
+    const controller = {};
+    const at = (label) => {
+      const k = keys.find((key) => key.label === label);
+      const point = { x: k.x, y: k.y, z: 0, clone() { return { ...this }; } };
+      return { point, object: handlersOf(registered, kb, label).mesh };
+    };
+    const start = handlersOf(registered, kb, word[0]).handlers;
+    start.onSelect({ intersection: at(word[0]), controller });
+    for (const letter of word.slice(1)) {
+      start.onDrag({ intersection: at(letter), controller });
+    }
+    await start.onSelectEnd({ controller });
+  };
+
+  test('types the word a sweep traces and offers the others in the suggestion bar', async () => {
+    const { kb, registered } = makeKeyboard({ swipeTyping: true });
+    await swipeWord(kb, registered, 'to');
+    expect(kb.ime.compositionBuffer).toBe('to');
+    expect(kb._suggestionMeshes).toHaveLength(2);
+
+    // "too" has the same shape; picking it replaces "to".
+    const too = registered[registered.length - 1];
+    await too.handlers.onSelect();
+    expect(kb.ime.compositionBuffer).toBe('too');
+    expect(kb._suggestionMeshes).toHaveLength(0);
+  });
+
+  test('a second word is spaced from the first', async () => {
+    const { kb, registered } = makeKeyboard({ swipeTyping: true });
+    await swipeWord(kb, registered, 'to');
+    await swipeWord(kb, registered, 'hello');
+    expect(kb.ime.compositionBuffer).toBe('to hello');
+  });
+
+  test('a press that stays on its key is a tap, typed on release', async () => {
+    const { kb, registered } = makeKeyboard({ swipeTyping: true });
+    await swipeWord(kb, registered, 'k');
+    expect(kb.ime.compositionBuffer).toBe('k');
+  });
+
+  test('off, or by gaze, a letter types on press', async () => {
+    const { kb, registered } = makeKeyboard();
+    await swipeWord(kb, registered, 'to');
+    expect(kb.ime.compositionBuffer).toBe('t');
+
+    kb.swipeTyping = true;
+    kb.ime.compositionBuffer = '';
+    handlersOf(registered, kb, 'k').handlers.onSelect({ intersection: {}, gaze: true });
+    await Promise.resolve();
+    expect(kb.ime.compositionBuffer).toBe('k');
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Editing in the VR keyboard's text field: the caret (edit-row keys, the
+ * thumbstick's moveCaret, pointing into the display), word-wise delete,
+ * select-all / cut / copy / paste and undo.
+ *
+ * THREE and the 2D canvas are mocked as in vr-keyboard-suggestions.test.js.
+ */
+
+class MockGeometry { dispose() {} }
+class MockMaterial {
+  constructor(o = {}) { Object.assign(this, o); }
+  dispose() {}
+}
+class MockMesh {
+  constructor(geometry, material) {
+    this.geometry = geometry;
+    this.material = material;
+    this.position = { set: jest.fn() };
+    this.rotation = { x: 0 };
+    this.userData = {};
+  }
+  worldToLocal(v) { return v; }
+}
+class MockGroup {
+  constructor() {
+    this.visible = true;
+    this.position = { set: jest.fn() };
+    this.rotation = { x: 0 };
+    this.children = [];
+  }
+  add(o) { this.children.push(o); }
+  remove(o) { this.children = this.children.filter(c => c !== o); }
+  traverse(fn) { fn(this); this.children.forEach(c => (c.traverse ? c.traverse(fn) : fn(c))); }
+}
+class MockCanvasTexture {
+  dispose() {}
+}
+
+jest.mock('three', () => ({
+  Group: MockGroup,
+  Mesh: MockMesh,
+  PlaneGeometry: MockGeometry,
+  MeshBasicMaterial: MockMaterial,
+  CanvasTexture: MockCanvasTexture,
+  SRGBColorSpace: 'srgb'
+}));
+
+const ctx2d = {
+  clearRect: jest.fn(), fillRect: jest.fn(), fillText: jest.fn(), strokeRect: jest.fn(),
+  fillStyle: '', strokeStyle: '', lineWidth: 0, font: '', textAlign: '', textBaseline: ''
+};
+global.document = {
+  createElement: () => ({ width: 0, height: 0, getContext: () => ctx2d })
+};
+
+const { JapaneseIME, VRJapaneseKeyboard } = require('../src/vr/input/JapaneseIME.js');
+const { PinyinIME } = require('../src/vr/input/PinyinIME.js');
+
+function makeKeyboard(opts = {}) {
+  const registered = [];
+  const kb = new VRJapaneseKeyboard({ add: jest.fn(), remove: jest.fn() }, new JapaneseIME(), {
+    registerInteractable: (mesh, handlers) => registered.push({ mesh, handlers }),
+    unregisterInteractable: jest.fn(),
+    keyEventTarget: null,
+    ...opts
+  });
+  kb.createKeyboard();
+  return { kb, registered };
+}
+
+async function type(kb, keys) {
+  for (const key of keys) {
+    await kb.onKeyPress(key);
+  }
+}
+
+afterEach(() => {
+  delete global.navigator.clipboard;
+});
+
+describe('the caret', () => {
+  test('typing goes in at the caret, and Enter sends the whole text', async () => {
+    const { kb } = makeKeyboard();
+    const confirmed = jest.fn();
+    kb.setOnConfirm(confirmed);
+    await type(kb, 'exmple.com');
+    for (let i = 0; i < 8; i++) {
+      await kb.onKeyPress('left');
+    }
+    expect(kb.caret).toBe(2);
+    await kb.onKeyPress('a');
+    expect(kb.text).toBe('example.com');
+    expect(kb.caret).toBe(3);
+
+    await kb.onKeyPress('enter');
+    expect(confirmed).toHaveBeenCalledWith('example.com');
+    expect(kb.text).toBe('');
+  });
+
+  test('Home and End go to either end; moveCaret stops there', async () => {
+    const { kb } = makeKeyboard();
+    await type(kb, 'abc');
+    await kb.onKeyPress('home');
+    expect(kb.caret).toBe(0);
+    kb.moveCaret(-1);
+    expect(kb.caret).toBe(0);
+    await kb.onKeyPress('end');
+    expect(kb.caret).toBe(3);
+  });
+
+  test('Backspace deletes before the caret and leaves the rest', async () => {
+    const { kb } = makeKeyboard();
+    await type(kb, 'abcd');
+    kb.moveCaret(-2);
+    await kb.onKeyPress('back');
+    expect(kb.text).toBe('acd');
+    expect(kb.caret).toBe(1);
+  });
+
+  test('pointing into the display puts the caret at the nearest gap', async () => {
+    const { kb, registered } = makeKeyboard();
+    await type(kb, 'abcdef');
+    const display = registered.find((r) => r.mesh === kb._displayMesh);
+    // Latin is 24px a character at the display's 40px: the gap after two
+    // characters is at 24 + 48 px of the 1024px canvas.
+    const x = (72 / 1024 - 0.5) * kb._displayWidth;
+    display.handlers.onSelect({ intersection: { point: { x, y: 0, z: 0, clone() { return { ...this }; } } } });
+    expect(kb.caret).toBe(2);
+  });
+
+  test('moving the caret ends a conversion and keeps the text as typed', async () => {
+    const { kb } = makeKeyboard();
+    await type(kb, 'kanji');
+    await kb.onKeyPress('space');
+    expect(kb.ime.conversionPreview()).not.toBeNull();
+    await kb.onKeyPress('left');
+    expect(kb.ime.conversionPreview()).toBeNull();
+    expect(kb.text).toBe('kanji');
+    expect(kb._candidateMeshes).toHaveLength(0);
+  });
+
+  test('long text scrolls to keep the caret in view', async () => {
+    const { kb } = makeKeyboard();
+    await type(kb, 'https://example.com/a/rather/long/path/that/does/not/fit/on/the/display');
+    expect(kb._viewStart).toBeGreaterThan(0);
+    await kb.onKeyPress('home');
+    expect(kb._viewStart).toBe(0);
+  });
+
+  test('pinyin being typed is committed as letters when the caret moves', async () => {
+    const { kb } = makeKeyboard({ imes: [new PinyinIME()] });
+    kb.switchLanguage('zh');
+    await type(kb, 'nihao');
+    await kb.onKeyPress('left');
+    expect(kb.ime.candidates).toEqual([]);
+    expect(kb.text).toBe('nihao');
+  });
+});
+
+describe('word-wise delete', () => {
+  test('goes back to the last / or . in a URL, then a word at a time', async () => {
+    const { kb } = makeKeyboard();
+    await type(kb, 'example.com/path');
+    await kb.onKeyPress('wordBack');
+    expect(kb.text).toBe('example.com/');
+    await kb.onKeyPress('wordBack');
+    expect(kb.text).toBe('example.');
+  });
+
+  test('keeps the text after the caret', async () => {
+    const { kb } = makeKeyboard();
+    await type(kb, 'one two');
+    kb.moveCaret(-4);
+    await kb.onKeyPress('wordBack');
+    expect(kb.text).toBe(' two');
+  });
+});
+
+describe('selection and the clipboard', () => {
+  test('typing over select-all replaces the text; Backspace clears it', async () => {
+    const { kb } = makeKeyboard();
+    await type(kb, 'old');
+    await kb.onKeyPress('selectAll');
+    await kb.onKeyPress('n');
+    expect(kb.text).toBe('n');
+
+    await kb.onKeyPress('selectAll');
+    await kb.onKeyPress('back');
+    expect(kb.text).toBe('');
+  });
+
+  test('copy and paste go through the system clipboard when there is one', async () => {
+    global.navigator.clipboard = {
+      writeText: jest.fn(() => Promise.resolve()),
+      readText: jest.fn(() => Promise.resolve('pasted\ntext'))
+    };
+    const { kb } = makeKeyboard();
+    await type(kb, 'abc');
+    await kb.onKeyPress('selectAll');
+    await kb.onKeyPress('copy');
+    expect(global.navigator.clipboard.writeText).toHaveBeenCalledWith('abc');
+
+    await kb.onKeyPress('end');
+    await kb.onKeyPress('paste');
+    expect(kb.text).toBe('abcpasted text');
+  });
+
+  test('without clipboard access, cut and paste use the keyboard\'s own', async () => {
+    global.navigator.clipboard = {
+      writeText: jest.fn(() => Promise.reject(new Error('denied'))),
+      readText: jest.fn(() => Promise.reject(new Error('denied')))
+    };
+    const { kb } = makeKeyboard();
+    await type(kb, 'abc');
+    await kb.onKeyPress('selectAll');
+    await kb.onKeyPress('cut');
+    expect(kb.text).toBe('');
+    await kb.onKeyPress('paste');
+    await kb.onKeyPress('paste');
+    expect(kb.text).toBe('abcabc');
+  });
+
+  test('copy with nothing selected copies nothing', async () => {
+    const { kb } = makeKeyboard();
+    await type(kb, 'abc');
+    expect(await kb.copy()).toBe('');
+  });
+});
+
+describe('undo', () => {
+  test('a run of typing is one step; each paste is another', async () => {
+    const { kb } = makeKeyboard();
+    await type(kb, 'abc');
+    kb._clipboard = 'xyz';
+    await kb.onKeyPress('paste');
+    await kb.onKeyPress('undo');
+    expect(kb.text).toBe('abc');
+    await kb.onKeyPress('undo');
+    expect(kb.text).toBe('');
+    expect(kb.undo()).toBe(false);
+  });
+
+  test('brings back a word deleted in the middle, caret and all', async () => {
+    const { kb } = makeKeyboard();
+    await type(kb, 'one two');
+    kb.moveCaret(-4);
+    await kb.onKeyPress('wordBack');
+    await kb.onKeyPress('undo');
+    expect(kb.text).toBe('one two');
+    expect(kb.caret).toBe(3);
+  });
+
+  test('a hardware keyboard edits with Ctrl: select all, then undo', async () => {
+    const { kb } = makeKeyboard();
+    kb.show();
+    await type(kb, 'abc');
+    const press = (key) => ({ key, ctrlKey: true, preventDefault: jest.fn(), stopPropagation: jest.fn() });
+    kb.handleKeyEvent(press('a'));
+    await kb.onKeyPress('x');
+    expect(kb.text).toBe('x');
+    kb.handleKeyEvent(press('z'));
+    await Promise.resolve();
+    expect(kb.text).toBe('abc');
+  });
+});
@@ -50,7 +50,8 @@ global.document = {
     }
     return {};
   },
-  body: { appendChild() {}, removeChild() {} }
+  body: { appendChild() {}, removeChild() {} },
+  documentElement: {}
 };
 
 const { WebPanel, urlBarMaxChars } = require('../src/vr/browser/WebPanel.js');
@@ -409,6 +410,14 @@ describe('WebPanel reader viewport', () => {
     expect(p._contentState).toBe('unavailable');
   });
 
+  test('a page the reader cannot lay out shows the error state, not loading', async () => {
+    global.fetch = () => Promise.resolve({ ok: true, status: 200, text: () => Promise.resolve(ARTICLE) });
+    const p = makePanel();
+    p._showReaderDocument = () => { throw new RangeError('Maximum call stack size exceeded'); };
+    await expect(p._loadReaderText('https://example.com/a')).resolves.toBeUndefined();
+    expect(p._contentState).toBe('error');
+  });
+
   test('a non-ok response falls back to unavailable', async () => {
     global.fetch = () => Promise.resolve({ ok: false, status: 403, text: () => Promise.resolve('') });
     const p = makePanel();
@@ -458,6 +467,72 @@ describe('WebPanel reader viewport', () => {
     expect(p.scrollContent(5)).toBe(false);
   });
 
+  test('with a proxy, the /reader JSON is consumed without local extraction', async () => {
+    const urls = [];
+    global.fetch = (u) => {
+      urls.push(u);
+      return Promise.resolve({
+        ok: true, status: 200,
+        json: () => Promise.resolve({
+          title: 'Server Title',
+          blocks: [{ type: 'h', text: 'Heading' }, { type: 'p', text: 'Body from the proxy.' }],
+          finalUrl: 'https://example.co.jp/a?page=1',
+          charset: 'shift_jis', lang: 'ja', byline: 'Taro', publishedAt: '', links: []
+        })
+      });
+    };
+    const p = makePanel({ readerProxyUrl: 'http://127.0.0.1:8080' });
+    await p._loadReaderText('https://example.co.jp/a');
+    expect(urls).toEqual(['http://127.0.0.1:8080/reader?url=https%3A%2F%2Fexample.co.jp%2Fa']);
+    expect(p._contentState).toBe('reader');
+    expect(p._readerLines[0]).toEqual({ text: 'Server Title', style: 'title' });
+    expect(p._readerLines.some(l => l.text === 'Body from the proxy.')).toBe(true);
+    expect(p._readerCharset).toBe('shift_jis');
+    expect(p._readerDoc.finalUrl).toBe('https://example.co.jp/a?page=1');
+    expect(p._readerDoc.lang).toBe('ja');
+  });
+
+  test('a proxy without /reader (404) falls back to /fetch and reads its charset header', async () => {
+    const urls = [];
+    global.fetch = (u) => {
+      urls.push(u);
+      if (u.includes('/reader?')) {
+        return Promise.resolve({ ok: false, status: 404 });
+      }
+      return Promise.resolve({
+        ok: true, status: 200,
+        headers: { get: (h) => (h === 'x-reader-charset' ? 'euc-jp' : null) },
+        text: () => Promise.resolve(ARTICLE)
+      });
+    };
+    const p = makePanel({ readerProxyUrl: 'http://127.0.0.1:8080' });
+    await p._loadReaderText('https://example.co.jp/a');
+    expect(urls.map(u => u.split('?')[0])).toEqual(['http://127.0.0.1:8080/reader', 'http://127.0.0.1:8080/fetch']);
+    expect(p._contentState).toBe('reader');
+    expect(p._readerCharset).toBe('euc-jp');
+    expect(p._readerDoc.finalUrl).toBe('https://example.co.jp/a');
+  });
+
+  test('a proxy refusing the page on /reader does not retry on /fetch', async () => {
+    let calls = 0;
+    global.fetch = () => {
+      calls++;
+      return Promise.resolve({ ok: false, status: 400, json: () => Promise.resolve({ error: 'host-blocked' }) });
+    };
+    const p = makePanel({ readerProxyUrl: 'http://127.0.0.1:8080' });
+    await p._loadReaderText('http://127.0.0.1/');
+    expect(calls).toBe(1);
+    expect(p._contentState).toBe('unavailable');
+  });
+
+  test('a response without the charset header leaves it empty', async () => {
+    global.fetch = () => Promise.resolve({ ok: true, status: 200, text: () => Promise.resolve(ARTICLE) });
+    const p = makePanel();
+    p._readerCharset = 'euc-jp'; // left over from a previous page
+    await p._loadReaderText('https://example.com/a');
+    expect(p._readerCharset).toBe('');
+  });
+
   test('no fetch available degrades to unavailable without throwing', async () => {
     global.fetch = undefined;
     const p = makePanel();
@@ -645,3 +720,439 @@ describe('WebPanel reader is scrollable by ray/gaze, not just voice', () => {
     expect(unregisteredMeshes()).toContain(mesh);
   });
 });
+
+// Links in the reader are drawn in the link colour and followed by the same
+// select that scrolls — controller ray, hand pinch or gaze dwell.
+describe('WebPanel reader links are followable', () => {
+  const { CONTENT_PX_W, CONTENT_PX_H, readerLinkRects } = require('../src/vr/browser/readerLayout.js');
+
+  const PAGE = '<html><head><title>T</title></head><body><article>' +
+    '<p>Go <a href="/next">onward</a> or <a href="javascript:alert(1)">not</a>.</p></article></body></html>';
+
+  async function linkedPanel(opts = {}) {
+    global.fetch = () => Promise.resolve({ ok: true, status: 200, text: () => Promise.resolve(PAGE) });
+    const p = makePanel(opts);
+    await p._loadReaderText('https://example.com/dir/a');
+    return p;
+  }
+
+  function localForContent(px, py) {
+    const PANEL_W = 1.6, contentH = 1.0 * (1 - 0.08);
+    return {
+      x: (px / CONTENT_PX_W - 0.5) * PANEL_W,
+      y: ((1 - py / CONTENT_PX_H) - 0.5) * contentH,
+      clone() { return this; }
+    };
+  }
+
+  test('drawing the reader caches hit rects for its links', async () => {
+    const p = await linkedPanel();
+    expect(p._readerLinkRects.map((r) => r.href)).toEqual(['https://example.com/next']);
+    expect(p._readerLinkRects).toEqual(readerLinkRects(p._readerLines, { scale: 1 }));
+  });
+
+  test('selecting a link navigates to its resolved URL', async () => {
+    const p = await linkedPanel();
+    const r = p._readerLinkRects[0];
+    p.contentMesh.worldToLocal = () => localForContent((r.x0 + r.x1) / 2, (r.y0 + r.y1) / 2);
+    p._onContentSelect({ clone() { return this; } });
+    expect(p.history).toEqual(['https://example.com/next']);
+    expect(p.currentUrl).toBe('https://example.com/next');
+  });
+
+  test('selecting beside the link does nothing', async () => {
+    const p = await linkedPanel();
+    const r = p._readerLinkRects[0];
+    p.contentMesh.worldToLocal = () => localForContent(r.x1 + 200, (r.y0 + r.y1) / 2);
+    p._onContentSelect({ clone() { return this; } });
+    expect(p.history).toHaveLength(0);
+  });
+
+  test('relative links resolve against the final URL after redirects', async () => {
+    const p = await linkedPanel();
+    p._readerDoc = { ...p._readerDoc, finalUrl: 'https://moved.example/x/' };
+    expect(p.followReaderLink('y')).toBe(true);
+    expect(p.history).toEqual(['https://moved.example/x/y']);
+  });
+
+  test('a refused link reports a blocked navigation instead of following it', async () => {
+    const onBlockedNavigation = jest.fn();
+    const p = await linkedPanel({ onBlockedNavigation });
+    expect(p.followReaderLink('https://user:pw@example.com/')).toBe(false);
+    expect(onBlockedNavigation).toHaveBeenCalledWith('https://user:pw@example.com/');
+    expect(p.history).toHaveLength(0);
+  });
+});
+
+describe('WebPanel reader draws structured blocks', () => {
+  const PAGE = '<html><head><title>T</title></head><body><article>' +
+    '<ol><li>First step</li><li>Second step</li></ol><pre>  code()</pre>' +
+    '<blockquote><p>Quoted.</p></blockquote><table><tr><th>K</th><th>V</th></tr><tr><td>a</td><td>1</td></tr></table>' +
+    '<figure><img src="x.png" alt="x"><figcaption>Caption</figcaption></figure></article></body></html>';
+
+  test('every block type reaches the reader with its own line style', async () => {
+    global.fetch = () => Promise.resolve({ ok: true, status: 200, text: () => Promise.resolve(PAGE) });
+    const p = makePanel();
+    await p._loadReaderText('https://example.com/a');
+    expect(p._contentState).toBe('reader');
+    const styles = new Set(p._readerLines.map((l) => l.style));
+    for (const s of ['li', 'pre', 'quote', 'tableHead', 'table', 'caption']) {
+      expect(styles).toContain(s);
+    }
+    expect(p._readerLines.find((l) => l.style === 'pre').text).toBe('  code()');
+  });
+});
+
+describe('WebPanel stitches multi-page articles', () => {
+  const { MAX_READER_PAGES } = require('../src/vr/browser/pagination.js');
+  const realFetch = global.fetch;
+  afterEach(() => { global.fetch = realFetch; });
+
+  /** Page n of an article with `last` pages, each repeating headline and byline. */
+  const page = (n, last) => '<html><head><title>Bridge to reopen</title></head><body><article>' +
+    `<h1>Bridge to reopen${n > 1 ? ` (${n}/${last})` : ''}</h1><p class="lede">By A. Writer</p>` +
+    `<p>Part ${n} of the story, long enough to be read as a paragraph.</p></article>` +
+    (n < last ? `<a href="/s?page=${n + 1}">Next</a>` : '') + '</body></html>';
+  const serve = (last, urls, fail = () => false) => (u) => {
+    urls.push(u);
+    const n = Number(new URL(u).searchParams.get('page') || 1);
+    if (fail(n)) {
+      return Promise.reject(new TypeError('Failed to fetch'));
+    }
+    return Promise.resolve({ ok: true, status: 200, text: () => Promise.resolve(page(n, last)) });
+  };
+  const texts = (p) => p._readerLines.map((l) => l.text);
+
+  test('following pages are appended after a page rule, without the repeated headline or byline', async () => {
+    const urls = [];
+    global.fetch = serve(3, urls);
+    const p = makePanel();
+    await p._loadReaderText('https://n.example/s');
+    expect(urls).toEqual(['https://n.example/s', 'https://n.example/s?page=2', 'https://n.example/s?page=3']);
+    const t = texts(p);
+    expect(t.filter((x) => x.startsWith('Part '))).toHaveLength(3);
+    expect(t.filter((x) => x === 'By A. Writer')).toHaveLength(1);
+    expect(t.some((x) => x.includes('(2/3)'))).toBe(false);
+    expect(p._readerLines.filter((l) => l.style === 'pageBreak').map((l) => l.text)).toEqual(['Page 2', 'Page 3']);
+  });
+
+  test('stitching stops at the page cap with a link to the rest', async () => {
+    const urls = [];
+    global.fetch = serve(20, urls);
+    const p = makePanel();
+    await p._loadReaderText('https://n.example/s');
+    expect(urls).toHaveLength(MAX_READER_PAGES);
+    const last = p._readerLines[p._readerLines.length - 1];
+    expect(last.style).toBe('pageBreak');
+    expect(last.text).toContain(`page ${MAX_READER_PAGES + 1}`);
+    expect(last.links[0].href).toBe(`https://n.example/s?page=${MAX_READER_PAGES + 1}`);
+  });
+
+  test('a page that fails keeps what was read and links to the failed page', async () => {
+    global.fetch = serve(4, [], (n) => n === 3);
+    const p = makePanel();
+    await p._loadReaderText('https://n.example/s');
+    expect(p._contentState).toBe('reader');
+    expect(texts(p).filter((x) => x.startsWith('Part '))).toHaveLength(2);
+    const last = p._readerLines[p._readerLines.length - 1];
+    expect(last.text).toContain('Page 3 could not be loaded');
+    expect(last.links[0].href).toBe('https://n.example/s?page=3');
+  });
+
+  test('page rules follow the UI language', async () => {
+    const { setLanguage } = require('../src/i18n/i18n.js');
+    const rules = async (lang) => {
+      setLanguage(lang);
+      global.fetch = serve(20, [], (n) => n === 3);
+      const p = makePanel();
+      await p._loadReaderText('https://n.example/s');
+      return p._readerLines.filter((l) => l.style === 'pageBreak').map((l) => l.text);
+    };
+    try {
+      expect(await rules('ja')).toEqual(['2 ページ', '3 ページを読み込めませんでした — 開く']);
+      expect(await rules('en')).toEqual(['Page 2', 'Page 3 could not be loaded — open it']);
+      global.fetch = serve(20, []);
+      setLanguage('ja');
+      const p = makePanel();
+      await p._loadReaderText('https://n.example/s');
+      const last = p._readerLines[p._readerLines.length - 1];
+      expect(last.text).toBe(`${MAX_READER_PAGES + 1} ページに続きます — 開く`);
+      expect(last.links[0]).toMatchObject({ start: 0, end: last.text.length });
+    } finally {
+      setLanguage('en');
+    }
+  });
+
+  test('a site that serves page 1 again for ?page=2 adds nothing', async () => {
+    const urls = [];
+    global.fetch = (u) => {
+      urls.push(u);
+      return Promise.resolve({ ok: true, status: 200, text: () => Promise.resolve(page(1, 3)) });
+    };
+    const p = makePanel();
+    await p._loadReaderText('https://n.example/s');
+    expect(urls).toHaveLength(2);
+    expect(p._readerLines.some((l) => l.style === 'pageBreak')).toBe(false);
+  });
+
+  test('a newer navigation abandons stitching', async () => {
+    const urls = [];
+    const p = makePanel();
+    global.fetch = (u) => {
+      urls.push(u);
+      if (u.includes('page=2')) {
+        p._readerSeq++;
+      }
+      return Promise.resolve({ ok: true, status: 200, text: () => Promise.resolve(page(urls.length, 3)) });
+    };
+    await p._loadReaderText('https://n.example/s');
+    expect(urls).toHaveLength(2);
+    expect(p._readerLines.some((l) => l.style === 'pageBreak')).toBe(false);
+  });
+
+  test('scrolling is kept while pages arrive', async () => {
+    const p = makePanel();
+    let release;
+    const gate = new Promise((r) => { release = r; });
+    global.fetch = (u) => {
+      const n = Number(new URL(u).searchParams.get('page') || 1);
+      const filler = Array.from({ length: 40 }, (_, i) => `<p>Filler paragraph ${n}.${i} of the story.</p>`).join('');
+      const body = () => Promise.resolve(page(n, 2).replace('</article>', `${filler}</article>`));
+      return n === 1 ? Promise.resolve({ ok: true, status: 200, text: body })
+        : gate.then(() => ({ ok: true, status: 200, text: body }));
+    };
+    const load = p._loadReaderText('https://n.example/s');
+    await new Promise((r) => setTimeout(r, 0));
+    p._readerScroll = 10;
+    release();
+    await load;
+    expect(p._readerScroll).toBe(10);
+    expect(p._readerLines.some((l) => l.style === 'pageBreak')).toBe(true);
+  });
+});
+
+describe('WebPanel back/forward restore the reading position', () => {
+  const realFetch = global.fetch;
+  afterEach(() => { global.fetch = realFetch; });
+
+  const article = (name) => `<html><head><title>${name}</title></head><body><article>` +
+    Array.from({ length: 60 }, (_, i) => `<p>${name} paragraph ${i} with enough words to fill its own line.</p>`).join('') +
+    '</article></body></html>';
+  const flush = () => new Promise((r) => setTimeout(r, 0));
+
+  async function panelWithTwoPages() {
+    global.fetch = (u) => Promise.resolve({
+      ok: true, status: 200, text: () => Promise.resolve(article(u.endsWith('/a') ? 'A' : 'B'))
+    });
+    const p = makePanel();
+    p.navigate('https://example.com/a');
+    await flush();
+    p.scrollContent(20);
+    p.navigate('https://example.com/b');
+    await flush();
+    return p;
+  }
+
+  test('going back reopens the previous page where it was left', async () => {
+    const p = await panelWithTwoPages();
+    expect(p._readerScroll).toBe(0);
+    p.scrollContent(7);
+    expect(p.goBack()).toBe(true);
+    await flush();
+    expect(p.currentUrl).toBe('https://example.com/a');
+    expect(p._readerScroll).toBe(20);
+    expect(p.goForward()).toBe(true);
+    await flush();
+    expect(p._readerScroll).toBe(7);
+  });
+
+  test('a new navigation drops the forward entries and their positions', async () => {
+    const p = await panelWithTwoPages();
+    p.goBack();
+    await flush();
+    p.navigate('https://example.com/c');
+    expect(p.history).toEqual(['https://example.com/a', 'https://example.com/c']);
+    expect(p.historyScroll).toEqual([20]);
+  });
+
+  test('leaving a page before it loads keeps the position it was reopening at', async () => {
+    const p = await panelWithTwoPages();
+    p.goBack(); // /a, restoring line 20 — not loaded yet
+    p.goForward();
+    await flush();
+    expect(p.historyScroll[0]).toBe(20);
+  });
+
+  test('reload keeps the position', async () => {
+    const p = await panelWithTwoPages();
+    p.scrollContent(5);
+    p.reload();
+    await flush();
+    expect(p._readerScroll).toBe(5);
+  });
+
+  test('each panel (tab) keeps its own stack', async () => {
+    const p1 = await panelWithTwoPages();
+    const p2 = makePanel();
+    p2.navigate('https://example.com/z');
+    expect(p2.goBack()).toBe(false);
+    expect(p1.history).toHaveLength(2);
+  });
+});
+
+describe('WebPanel session state', () => {
+  const realFetch = global.fetch;
+  afterEach(() => { global.fetch = realFetch; });
+
+  const article = (name) => `<html><head><title>${name}</title></head><body><article>` +
+    Array.from({ length: 60 }, (_, i) => `<p>${name} paragraph ${i} with enough words to fill its own line.</p>`).join('') +
+    '</article></body></html>';
+  const flush = () => new Promise((r) => setTimeout(r, 0));
+
+  async function savedTwoPageTab() {
+    global.fetch = (u) => Promise.resolve({
+      ok: true, status: 200, text: () => Promise.resolve(article(u.endsWith('/a') ? 'A' : 'B'))
+    });
+    const p = makePanel();
+    p.navigate('https://example.com/a');
+    await flush();
+    p.scrollContent(20);
+    p.navigate('https://example.com/b');
+    await flush();
+    p.scrollContent(6);
+    return p.sessionState();
+  }
+
+  test('sessionState captures the page, its position and the back/forward stack', async () => {
+    expect(await savedTwoPageTab()).toMatchObject({
+      url: 'https://example.com/b',
+      scroll: 6,
+      history: ['https://example.com/a', 'https://example.com/b'],
+      historyIdx: 1,
+      historyScroll: [20, 6]
+    });
+  });
+
+  test('a deferred restore fetches nothing until resumed, then reopens in place', async () => {
+    const state = await savedTwoPageTab();
+    const fetchSpy = jest.fn(global.fetch);
+    global.fetch = fetchSpy;
+    const p = makePanel();
+    p.restoreSessionState(state, { load: false });
+    expect(p.currentUrl).toBe('https://example.com/b');
+    expect(p.history).toEqual(['https://example.com/a', 'https://example.com/b']);
+    expect(fetchSpy).not.toHaveBeenCalled();
+
+    p.resumeDeferredLoad();
+    await flush();
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+    expect(p._readerScroll).toBe(6);
+    p.resumeDeferredLoad();
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+
+    p.goBack();
+    await flush();
+    expect(p._readerScroll).toBe(20);
+  });
+
+  test('onStateChange fires on loads and scrolls', async () => {
+    global.fetch = () => Promise.resolve({ ok: true, status: 200, text: () => Promise.resolve(article('A')) });
+    const onStateChange = jest.fn();
+    const p = makePanel({ onStateChange });
+    p.navigate('https://example.com/a');
+    await flush();
+    const afterLoad = onStateChange.mock.calls.length;
+    expect(afterLoad).toBeGreaterThan(0);
+    p.scrollContent(3);
+    expect(onStateChange.mock.calls.length).toBeGreaterThan(afterLoad);
+  });
+});
+
+describe('WebPanel reading list', () => {
+  const realFetch = global.fetch;
+  afterEach(() => { global.fetch = realFetch; });
+
+  const article = (name) => `<html><head><title>${name}</title></head><body><article>` +
+    Array.from({ length: 60 }, (_, i) => `<p>${name} paragraph ${i} with enough words to fill its own line.</p>`).join('') +
+    '</article></body></html>';
+  const flush = () => new Promise((r) => setTimeout(r, 0));
+  const saved = {
+    title: 'Saved',
+    blocks: Array.from({ length: 60 }, (_, i) => ({ type: 'p', text: `Saved paragraph ${i} with enough words to fill a line.` }))
+  };
+
+  test('a saved article opens without fetching, where it was left', () => {
+    const urls = [];
+    global.fetch = (u) => {
+      urls.push(u);
+      return Promise.reject(new TypeError('Failed to fetch'));
+    };
+    const onNavigate = jest.fn();
+    const p = makePanel({ onNavigate });
+    expect(p.openSavedArticle('https://example.com/s', saved, { scroll: 12 })).toBe(true);
+    expect(urls).toEqual([]);
+    expect(p._contentState).toBe('reader');
+    expect(p._readerScroll).toBe(12);
+    expect(p.currentUrl).toBe('https://example.com/s');
+    expect(p.history[p.historyIdx]).toBe('https://example.com/s');
+    expect(onNavigate).toHaveBeenCalledWith('https://example.com/s', 'Saved');
+    expect(p.openSavedArticle('https://example.com/e', { blocks: [] })).toBe(false);
+  });
+
+  test('the snapshot to save is the reader document as shown', async () => {
+    global.fetch = () => Promise.resolve({ ok: true, status: 200, text: () => Promise.resolve(article('A')) });
+    const p = makePanel();
+    expect(p.readerSnapshot()).toBeNull();
+    p.navigate('https://example.com/a');
+    await flush();
+    const snap = p.readerSnapshot();
+    expect(snap).toMatchObject({ url: 'https://example.com/a', title: 'A', nextPage: '' });
+    expect(snap.blocks).toHaveLength(60);
+  });
+
+  test('offline, going back to a saved page falls back to its saved copy', async () => {
+    global.fetch = () => Promise.reject(new TypeError('Failed to fetch'));
+    const p = makePanel({ loadSavedArticle: async (u) => (u === 'https://example.com/s' ? saved : null) });
+    await p._loadReaderText('https://example.com/s');
+    expect(p._contentState).toBe('reader');
+    expect(p._readerLines.some((l) => l.text.startsWith('Saved paragraph'))).toBe(true);
+    await p._loadReaderText('https://example.com/other');
+    expect(p._contentState).toBe('unavailable');
+  });
+
+  test('a fetched page reports its reader text once, with every stitched page', async () => {
+    const page = (n) => '<html><head><title>Split</title></head><body><article>' +
+      `<h1>Split</h1><p>Part ${n} of the story, long enough to be read as a paragraph.</p></article>` +
+      (n < 2 ? '<a href="/s?page=2">Next</a>' : '') + '</body></html>';
+    global.fetch = (u) => Promise.resolve({
+      ok: true, status: 200, text: () => Promise.resolve(page(u.endsWith('page=2') ? 2 : 1))
+    });
+    const reports = [];
+    const p = makePanel({ onReaderText: (url, doc) => reports.push([url, doc]) });
+    p.currentUrl = 'https://n.example/s';
+    await p._loadReaderText('https://n.example/s');
+    expect(reports).toHaveLength(1);
+    expect(reports[0][0]).toBe('https://n.example/s');
+    expect(reports[0][1].blocks.filter((b) => b.text.startsWith('Part '))).toHaveLength(2);
+  });
+
+  test('a saved copy shown offline is not reported as newly read', async () => {
+    global.fetch = () => Promise.reject(new TypeError('Failed to fetch'));
+    const reports = [];
+    const p = makePanel({ loadSavedArticle: async () => saved, onReaderText: (url) => reports.push(url) });
+    p.currentUrl = 'https://example.com/s';
+    await p._loadReaderText('https://example.com/s');
+    expect(p._contentState).toBe('reader');
+    expect(reports).toEqual([]);
+  });
+
+  test('scrolling reports how far through the article the reader is', () => {
+    const reports = [];
+    const p = makePanel({ onReaderProgress: (url, pos) => reports.push([url, pos]) });
+    p.openSavedArticle('https://example.com/s', saved);
+    p.scrollContent(5);
+    expect(reports[reports.length - 1]).toEqual(['https://example.com/s', { scroll: 5, progress: expect.any(Number) }]);
+    p.scrollContent(10000);
+    expect(reports[reports.length - 1][1].progress).toBe(1);
+  });
+});
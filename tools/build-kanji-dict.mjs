@@ -0,0 +1,230 @@
+/**
+ * Build public/dict/kanji-dict.json, JapaneseIME's offline dictionary, from
+ * SKK, Mozc or IPADIC dictionary files.
+ *
+ * Usage: node tools/build-kanji-dict.mjs [--max N] [--out FILE] SOURCE... [--more SOURCE...]
+ *   npm run dict   (rebuilds the bundled dictionary: the seed list,
+ *                   tools/kanji-dict-seed.skk, with IPADIC from the
+ *                   mecab-ipadic-seed dev dependency as its second tier)
+ *
+ * Sources after --more are the second tier (see kanjiDictionary.js), written
+ * under "more" and offered after the first tier's candidates.
+ *
+ * Sources, merged in the order given (earlier sources' candidates first):
+ *   SKK-JISYO files — "reading /cand;annotation/cand/" lines; okuri-ari
+ *     entries ("たb /食/") are kept as stems, okuri-nasi ones as words.
+ *     UTF-8 or EUC-JP (SKK-JISYO.L and friends ship as EUC-JP).
+ *   Mozc dictionary TSV (dictionary00.txt …) — "reading\tleft\tright\tcost\t
+ *     surface"; a reading's surfaces are ranked by cost, cheapest first.
+ *   IPADIC CSV (mecab-ipadic's Noun.csv …) — "surface,left,right,cost,pos,
+ *     …,reading,pronunciation"; ranked by cost too. Verbs and adjectives are
+ *     kept as okuri-ari stems from their dictionary form (食べる is たb /食/),
+ *     and only common proper nouns are kept. A directory source
+ *     means every .csv file in it, ranked together.
+ *
+ * The format is documented in src/vr/input/kanjiDictionary.js. A full
+ * SKK-JISYO.L builds to several megabytes; --max trims candidates per reading.
+ */
+import { readFile, readdir, stat, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import {
+  KANJI_DICT_FORMAT, MAX_CANDIDATES, MAX_READING_CHARS, okuriConsonant
+} from '../src/vr/input/kanjiDictionary.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const READING_RE = /^[ぁ-ゖー]+$/;
+const OKURI_KEY_RE = /^[ぁ-ゖー]+[a-z]$/;
+
+function decode(buf) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buf);
+  } catch {
+    return new TextDecoder('euc-jp').decode(buf);
+  }
+}
+
+function add(map, key, candidates) {
+  const list = map.get(key) || [];
+  for (const c of candidates) {
+    if (c && c !== key && !list.includes(c)) {
+      list.push(c);
+    }
+  }
+  if (list.length) {
+    map.set(key, list);
+  }
+}
+
+/** SKK lines into `words` / `okuri`. Lisp candidates and [okuri blocks] are skipped. */
+function readSkk(text, words, okuri) {
+  for (const line of text.split('\n')) {
+    const m = /^(\S+) \/(.*)\/\s*$/.exec(line);
+    if (!m || line.startsWith(';')) {
+      continue;
+    }
+    const [, key, body] = m;
+    const candidates = body.replace(/\[[^\]]*\]\//g, '').split('/')
+      .map((c) => c.split(';')[0].trim())
+      .filter((c) => c && !c.startsWith('(') && !c.includes('"'));
+    if (OKURI_KEY_RE.test(key) && key.length <= MAX_READING_CHARS + 1) {
+      add(okuri, key, candidates);
+    } else if (READING_RE.test(key) && key.length <= MAX_READING_CHARS) {
+      add(words, key, candidates);
+    }
+  }
+}
+
+/** Push `surface` at `cost` onto `key`'s list in `byKey`. */
+function collect(byKey, key, surface, cost) {
+  const list = byKey.get(key) || [];
+  list.push({ surface, cost });
+  byKey.set(key, list);
+}
+
+/** `byKey`'s lists into `map`, each cheapest first. */
+function addRanked(map, byKey) {
+  for (const [key, list] of byKey) {
+    add(map, key, list.sort((a, b) => a.cost - b.cost).map((e) => e.surface));
+  }
+}
+
+/** Mozc TSV lines into `words`, each reading's surfaces cheapest first. */
+function readMozc(text, words) {
+  const byReading = new Map();
+  for (const line of text.split('\n')) {
+    const [reading, , , cost, surface] = line.split('\t');
+    if (!surface || !READING_RE.test(reading) || reading.length > MAX_READING_CHARS) {
+      continue;
+    }
+    collect(byReading, reading, surface.trim(), Number(cost) || 0);
+  }
+  addRanked(words, byReading);
+}
+
+// Parts of speech (品詞) worth converting; particles, auxiliaries, symbols and
+// fillers are left to FUNCTION_WORDS and the kana they are typed as.
+const IPADIC_WORD_POS = new Set(['名詞', '副詞', '連体詞', '接続詞', '感動詞', '接頭詞']);
+const IPADIC_OKURI_POS = new Set(['動詞', '形容詞']);
+// IPADIC lists some 110,000 proper nouns, mostly villages, districts and rare
+// names; only those it rates as common (東京 3003, 佐藤 …) are kept.
+const IPADIC_PROPER_MAX_COST = 8000;
+
+const toHiragana = (s) => s.replace(/[ァ-ヶ]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0x60));
+
+/** IPADIC CSV lines into `words` / `okuri`. */
+function readIpadic(text, words, okuri) {
+  const wordsByReading = new Map();
+  const stemsByKey = new Map();
+  for (const line of text.split('\n')) {
+    const f = line.split(',');
+    if (f.length !== 13) {
+      continue;
+    }
+    const [surface, , , cost, pos, sub1, , , , form] = f;
+    const reading = toHiragana(f[11]);
+    if (!READING_RE.test(reading) || surface === reading) {
+      continue;
+    }
+    if (IPADIC_WORD_POS.has(pos) && sub1 !== '数') {
+      if (reading.length <= MAX_READING_CHARS && (sub1 !== '固有名詞' || Number(cost) < IPADIC_PROPER_MAX_COST)) {
+        collect(wordsByReading, reading, surface, Number(cost) || 0);
+      }
+    } else if (IPADIC_OKURI_POS.has(pos) && form === '基本形') {
+      // 食べる/たべる: the kana after the last kanji (べる) is the okurigana,
+      // the reading without it (た) the stem, its first kana the consonant.
+      const tail = /[ぁ-ゖ]+$/.exec(surface);
+      const stem = tail && surface.slice(0, tail.index);
+      const stemReading = tail && reading.endsWith(tail[0]) && reading.slice(0, -tail[0].length);
+      const consonant = tail && okuriConsonant(tail[0][0]);
+      if (stem && stemReading && consonant && stemReading.length <= MAX_READING_CHARS) {
+        collect(stemsByKey, stemReading + consonant, stem, Number(cost) || 0);
+      }
+    }
+  }
+  addRanked(words, wordsByReading);
+  addRanked(okuri, stemsByKey);
+}
+
+/**
+ * A source's text. A directory is its .csv files run together, so IPADIC's
+ * per-part-of-speech files are ranked as one dictionary.
+ */
+async function sourceText(source) {
+  if (!(await stat(source)).isDirectory()) {
+    return decode(await readFile(source));
+  }
+  const names = (await readdir(source)).filter((name) => name.endsWith('.csv')).sort();
+  const texts = [];
+  for (const name of names) {
+    texts.push(decode(await readFile(join(source, name))));
+  }
+  return texts.join('\n');
+}
+
+/** Every source into `words` / `okuri`, by its format. */
+async function readSources(sources, words, okuri) {
+  for (const source of sources) {
+    const text = await sourceText(source);
+    if (/^[^\t\n]+\t\d+\t\d+\t-?\d+\t/m.test(text)) {
+      readMozc(text, words);
+    } else if (/^[^,\n]+,\d+,\d+,-?\d+,/m.test(text)) {
+      readIpadic(text, words, okuri);
+    } else {
+      readSkk(text, words, okuri);
+    }
+  }
+}
+
+const sorted = (map, max) => Object.fromEntries(
+  [...map.keys()].sort().map((k) => [k, map.get(k).slice(0, max).join('/')])
+);
+
+async function main(argv) {
+  let max = MAX_CANDIDATES;
+  let out = join(root, 'public', 'dict', 'kanji-dict.json');
+  const sources = [];
+  const moreSources = [];
+  let into = sources;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--max') {
+      max = Number(argv[++i]) || MAX_CANDIDATES;
+    } else if (argv[i] === '--out') {
+      out = argv[++i];
+    } else if (argv[i] === '--more') {
+      into = moreSources;
+    } else {
+      into.push(argv[i]);
+    }
+  }
+  if (!sources.length && !moreSources.length) {
+    sources.push(join(root, 'tools', 'kanji-dict-seed.skk'));
+    moreSources.push(join(root, 'node_modules', 'mecab-ipadic-seed', 'lib', 'dict'));
+  }
+
+  const words = new Map();
+  const okuri = new Map();
+  await readSources(sources, words, okuri);
+  const moreWords = new Map();
+  const moreOkuri = new Map();
+  await readSources(moreSources, moreWords, moreOkuri);
+
+  const dict = {
+    format: KANJI_DICT_FORMAT,
+    version: 1,
+    words: sorted(words, max),
+    okuri: sorted(okuri, max)
+  };
+  if (moreWords.size || moreOkuri.size) {
+    dict.more = { words: sorted(moreWords, max), okuri: sorted(moreOkuri, max) };
+  }
+  await writeFile(out, `${JSON.stringify(dict)}\n`);
+  console.log(`kanji dictionary: ${words.size} words, ${okuri.size} okuri stems`
+    + ` (+ ${moreWords.size} words, ${moreOkuri.size} stems in the second tier) → ${out}`);
+}
+
+main(process.argv.slice(2)).catch((e) => {
+  console.error(e);
+  process.exit(1);
+});